@@ -6,6 +6,34 @@
  * pruebas unitarias e integradas en la aplicación de balance eléctrico.
  */
 
+/**
+ * Opciones que cada proyecto necesita repetir: Jest no hereda en `projects`
+ * las opciones de nivel superior que afectan a la carga de los tests
+ */
+const projectDefaults = {
+    rootDir: '.',
+    testEnvironment: 'node',
+    transform: {
+        '^.+\\.js$': 'babel-jest'
+    },
+    moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/src/$1'
+    },
+    moduleDirectories: [
+        'node_modules',
+        '<rootDir>/src',
+        '<rootDir>/tests'
+    ],
+    modulePathIgnorePatterns: [
+        '<rootDir>/node_modules/',
+        '<rootDir>/dist/'
+    ],
+    setupFiles: ['<rootDir>/tests/setupEnv.js'],
+    setupFilesAfterEnv: ['<rootDir>/tests/setupTests.js'],
+    resetMocks: true,
+    restoreMocks: false
+};
+
 module.exports = {
     // Directorio raíz para buscar archivos de prueba
     rootDir: '.',
@@ -123,7 +151,7 @@ module.exports = {
     slowTestThreshold: 5, // segundos
 
     // Ejecutar todas las pruebas de forma secuencial en el mismo thread
-    runInBand: process.env.RUN_IN_BAND === 'true',
+    maxWorkers: process.env.RUN_IN_BAND === 'true' ? 1 : '50%',
 
     // Archivos de mocks globales
     modulePathIgnorePatterns: [
@@ -178,16 +206,19 @@ module.exports = {
     // Proyectos para configuración dividida de pruebas (opcional)
     projects: [
         {
+            ...projectDefaults,
             displayName: 'unit',
-            testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
-            testEnvironment: 'node'
+            testMatch: ['<rootDir>/tests/unit/**/*.test.js']
         },
         {
+            ...projectDefaults,
             displayName: 'integration',
             testMatch: ['<rootDir>/tests/integration/**/*.test.js'],
-            testEnvironment: 'node',
             // Mayor timeout para pruebas de integración
-            testTimeout: 60000
+            setupFilesAfterEnv: [
+                ...projectDefaults.setupFilesAfterEnv,
+                '<rootDir>/tests/integration/setupIntegration.js'
+            ]
         }
     ]
 };
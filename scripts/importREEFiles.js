@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * @file importREEFiles.js
+ * @description Script para importar respuestas de REE guardadas en ficheros JSON
+ *
+ * Ingiere los ficheros que genera `scripts/testREEApi.js --output` (o cualquier
+ * respuesta del widget de balance eléctrico) sin acceder a la API de REE, lo que
+ * permite poblar la base de datos en entornos sin red.
+ */
+
+// Importar dependencias
+const mongoose = require('mongoose');
+const { program } = require('commander');
+const colors = require('colors/safe');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Cargar variables de entorno
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Importar componentes de la aplicación
+const ImportREEFiles = require('../src/application/use-cases/ImportREEFiles');
+const MongoElectricBalanceRepository = require('../src/infrastructure/repositories/MongoElectricBalanceRepository');
+const MongoQuarantineRepository = require('../src/infrastructure/repositories/MongoQuarantineRepository');
+const { DEFAULT_REGION, REGIONS } = require('../src/domain/constants/regions');
+
+// Configurar opciones del CLI
+program
+    .version('1.0.0')
+    .description('Import saved REE electric balance JSON responses into the database')
+    .argument('<paths...>', 'JSON files or directories to import')
+    .option('-t, --time-scope <scope>', 'Time scope (hour, day, month, year); defaults to the time-trunc of each response')
+    .option('-r, --region <region>', `Geographic scope (${REGIONS.join(', ')})`, DEFAULT_REGION)
+    .option('-R, --recursive', 'Walk subdirectories', false)
+    .option('-d, --db <connection-string>', 'MongoDB connection string', process.env.MONGODB_URI || 'mongodb://localhost:27017/electric-balance')
+    .option('-f, --force', 'Force update existing records', false)
+    .option('-v, --verbose', 'Enable verbose output', false)
+    .option('--dry-run', 'Parse the files without storing data', false)
+    .parse(process.argv);
+
+// Obtener opciones
+const options = program.opts();
+const paths = program.args;
+
+// Configurar logger
+const logger = {
+    info: (msg) => console.log(colors.blue('INFO:'), msg),
+    warn: (msg) => console.log(colors.yellow('WARN:'), msg),
+    error: (msg, err) => {
+        console.error(colors.red('ERROR:'), msg);
+        if (err && options.verbose) {
+            console.error(colors.red(err.stack || err));
+        }
+    },
+    success: (msg) => console.log(colors.green('SUCCESS:'), msg),
+    debug: (msg) => options.verbose && console.log(colors.gray('DEBUG:'), msg)
+};
+
+/**
+ * Función principal del script
+ */
+async function main() {
+    logger.info('Starting REE file import');
+
+    try {
+        if (options.dryRun) {
+            logger.warn('DRY RUN MODE: No data will be stored in the database');
+        } else {
+            await mongoose.connect(options.db, {
+                useNewUrlParser: true,
+                useUnifiedTopology: true
+            });
+            logger.success('Connected to MongoDB');
+        }
+
+        const importUseCase = new ImportREEFiles(
+            new MongoElectricBalanceRepository(logger),
+            logger,
+            new MongoQuarantineRepository(logger)
+        );
+
+        const result = await importUseCase.execute({
+            paths,
+            timeScope: options.timeScope,
+            region: options.region,
+            recursive: options.recursive,
+            forceUpdate: options.force,
+            dryRun: options.dryRun
+        });
+
+        for (const file of result.files) {
+            if (file.status === 'failed') {
+                logger.error(`${file.file}: ${file.error}`);
+            } else {
+                logger.debug(`${file.file}: ${file.parsedCount} parsed, ${file.savedCount} saved, ${file.quarantinedCount} quarantined (${file.timeScope})`);
+            }
+        }
+
+        logger.success(result.message);
+
+        if (!options.dryRun) {
+            await mongoose.disconnect();
+            logger.info('Disconnected from MongoDB');
+        }
+
+        process.exit(result.status === 'failed' ? 1 : 0);
+
+    } catch (error) {
+        logger.error(`Fatal error: ${error.message}`, error);
+
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.disconnect();
+            logger.info('Disconnected from MongoDB');
+        }
+
+        process.exit(1);
+    }
+}
+
+// Ejecutar script
+main();
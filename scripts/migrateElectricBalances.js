@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * @file migrateElectricBalances.js
+ * @description Script para copiar los balances eléctricos entre MongoDB y SQLite
+ *
+ * Copia los balances vigentes y sus revisiones conservando IDs, versiones y
+ * fechas. Se puede repetir sin duplicar datos: los balances que ya están en el
+ * destino se sustituyen por los del origen.
+ */
+
+// Importar dependencias
+const mongoose = require('mongoose');
+const { program } = require('commander');
+const colors = require('colors/safe');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Cargar variables de entorno
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Importar componentes de la aplicación
+const MigrateElectricBalances = require('../src/application/use-cases/MigrateElectricBalances');
+const createElectricBalanceRepository = require('../src/infrastructure/repositories/createElectricBalanceRepository');
+const SQLiteConnection = require('../src/infrastructure/database/sqlite/connection');
+
+/**
+ * Almacenamientos entre los que se puede migrar
+ */
+const STORAGES = ['mongo', 'sqlite'];
+
+// Configurar opciones del CLI
+program
+    .version('1.0.0')
+    .description('Copy electric balances and their revisions between MongoDB and SQLite')
+    .requiredOption('--from <storage>', `Storage to copy from (${STORAGES.join(', ')})`)
+    .requiredOption('--to <storage>', `Storage to copy to (${STORAGES.join(', ')})`)
+    .option('--sqlite-file <path>', 'SQLite database file', process.env.SQLITE_FILE || './data/electric-balance.sqlite')
+    .option('-d, --db <connection-string>', 'MongoDB connection string', process.env.MONGODB_URI || 'mongodb://localhost:27017/electric-balance')
+    .option('-b, --batch-size <number>', 'Electric balances per batch', '500')
+    .option('-v, --verbose', 'Enable verbose output', false)
+    .option('--dry-run', 'Read the source storage without writing to the target', false)
+    .parse(process.argv);
+
+// Obtener opciones
+const options = program.opts();
+
+// Configurar logger
+const logger = {
+    info: (msg) => console.log(colors.blue('INFO:'), msg),
+    warn: (msg) => console.log(colors.yellow('WARN:'), msg),
+    error: (msg, err) => {
+        console.error(colors.red('ERROR:'), msg);
+        if (err && options.verbose) {
+            console.error(colors.red(err.stack || err));
+        }
+    },
+    success: (msg) => console.log(colors.green('SUCCESS:'), msg),
+    debug: (msg) => options.verbose && console.log(colors.gray('DEBUG:'), msg)
+};
+
+/**
+ * Valida los almacenamientos de origen y destino
+ *
+ * @throws {Error} - Si alguno no es válido o son el mismo
+ */
+function validateStorages() {
+    for (const storage of [options.from, options.to]) {
+        if (!STORAGES.includes(storage)) {
+            throw new Error(`Invalid storage: ${storage}. Valid values: ${STORAGES.join(', ')}`);
+        }
+    }
+
+    if (options.from === options.to) {
+        throw new Error('Source and target storages must be different');
+    }
+}
+
+/**
+ * Cierra las conexiones abiertas
+ */
+async function closeConnections() {
+    if (mongoose.connection.readyState !== 0) {
+        await mongoose.disconnect();
+        logger.info('Disconnected from MongoDB');
+    }
+
+    await SQLiteConnection.close(logger);
+}
+
+/**
+ * Función principal del script
+ */
+async function main() {
+    logger.info(`Starting electric balance migration from ${options.from} to ${options.to}`);
+
+    try {
+        validateStorages();
+
+        if (options.dryRun) {
+            logger.warn('DRY RUN MODE: No data will be stored in the target storage');
+        }
+
+        await mongoose.connect(options.db, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true
+        });
+        logger.success('Connected to MongoDB');
+
+        const storageOptions = { sqliteFile: options.sqliteFile };
+
+        const migrateUseCase = new MigrateElectricBalances(
+            createElectricBalanceRepository(options.from, storageOptions, logger),
+            createElectricBalanceRepository(options.to, storageOptions, logger),
+            logger
+        );
+
+        const startTime = Date.now();
+
+        const result = await migrateUseCase.execute({
+            batchSize: parseInt(options.batchSize, 10),
+            dryRun: options.dryRun,
+            onBatch: (totals) => logger.info(
+                `Batch ${totals.batchCount}: ${totals.balanceCount} electric balances and ` +
+                `${totals.revisionCount} revisions read`
+            )
+        });
+
+        for (const failure of result.failures) {
+            logger.warn(
+                `Electric balance ${failure.id} (${failure.timeScope}, ${failure.region}, ` +
+                `${new Date(failure.timestamp).toISOString()}): ${failure.message}`
+            );
+        }
+
+        const duration = (Date.now() - startTime) / 1000;
+        logger.success(`Process completed in ${duration.toFixed(2)} seconds`);
+        logger.info(`Electric balances read: ${result.balanceCount}`);
+        logger.info(`Revisions read: ${result.revisionCount}`);
+        logger.info(`Electric balances imported: ${result.importedCount}`);
+        logger.info(`Revisions imported: ${result.importedRevisionCount}`);
+        logger.info(`Failed records: ${result.failedCount}`);
+
+        await closeConnections();
+
+        process.exit(result.failedCount > 0 ? 1 : 0);
+
+    } catch (error) {
+        logger.error(`Fatal error: ${error.message}`, error);
+
+        await closeConnections();
+
+        process.exit(1);
+    }
+}
+
+// Ejecutar script
+main();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * @file mockREEServer.js
+ * @description Script para arrancar una API de REE local para desarrollo y pruebas
+ *
+ * Sirve los widgets que ingiere la aplicación con datos sintéticos o con
+ * fixtures grabadas (por ejemplo con `testREEApi.js --output`). Para usarlo,
+ * arrancar la aplicación o los scripts con `REE_API_BASE_URL` apuntando a la
+ * dirección que muestra al arrancar. Los fallos se pueden configurar al
+ * arrancar o en caliente con `POST /__mock/faults`.
+ */
+
+// Importar dependencias
+const { program } = require('commander');
+const colors = require('colors/safe');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Cargar variables de entorno
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Importar componentes de la aplicación
+const MockREEServer = require('../src/infrastructure/external/mockREE/MockREEServer');
+
+// Configurar opciones del CLI
+program
+    .version('1.0.0')
+    .description('Start a local stand-in for the REE API with synthetic data, recorded fixtures and fault injection')
+    .option('-p, --port <number>', 'Port to listen on', process.env.MOCK_REE_PORT || '4010')
+    .option('-H, --host <host>', 'Interface to listen on', '127.0.0.1')
+    .option('--fixtures <dir>', 'Directory with recorded REE responses', process.env.MOCK_REE_FIXTURES_DIR || undefined)
+    .option('--latency <ms>', 'Delay added to every response', '0')
+    .option('--fault <type>', 'Inject a fault: timeout, malformed or an HTTP status such as 429 or 500')
+    .option('--fault-rate <rate>', 'Probability that a request gets the fault (0-1)', '1')
+    .option('--fault-count <number>', 'Only fail this many requests, then recover')
+    .option('--fault-endpoint <text>', 'Only fail requests whose path contains this text')
+    .option('--retry-after <seconds>', 'Retry-After header sent with injected HTTP errors')
+    .option('--timeout-delay <ms>', 'How long a request with the timeout fault is held before the connection is dropped', '60000')
+    .option('-v, --verbose', 'Log every request', false)
+    .parse(process.argv);
+
+// Obtener opciones
+const options = program.opts();
+
+// Configurar logger
+const logger = {
+    info: (msg) => console.log(colors.blue('INFO:'), msg),
+    warn: (msg) => console.log(colors.yellow('WARN:'), msg),
+    error: (msg, err) => {
+        console.error(colors.red('ERROR:'), msg);
+        if (err && options.verbose) {
+            console.error(colors.red(err.stack || err));
+        }
+    },
+    success: (msg) => console.log(colors.green('SUCCESS:'), msg),
+    debug: (msg) => options.verbose && console.log(colors.gray('DEBUG:'), msg)
+};
+
+/**
+ * Función principal del script
+ */
+async function main() {
+    let server;
+
+    try {
+        const faults = options.fault
+            ? [{
+                type: options.fault,
+                rate: options.faultRate,
+                count: options.faultCount,
+                endpoint: options.faultEndpoint,
+                retryAfter: options.retryAfter
+            }]
+            : [];
+
+        server = new MockREEServer({
+            port: parseInt(options.port),
+            host: options.host,
+            fixturesDir: options.fixtures,
+            latency: parseInt(options.latency),
+            timeoutDelay: parseInt(options.timeoutDelay),
+            faults
+        }, logger);
+
+        const { url } = await server.start();
+
+        logger.success(`Point the application to the mock with REE_API_BASE_URL=${url}`);
+
+        for (const fault of server.faults) {
+            logger.warn(
+                `Injecting ${fault.status || fault.type} on ${fault.endpoint || 'every widget'} ` +
+                `(rate ${fault.rate}${fault.remaining !== null ? `, ${fault.remaining} requests` : ''})`
+            );
+        }
+    } catch (error) {
+        logger.error(`Fatal error: ${error.message}`, error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Ejecutar script
+main();
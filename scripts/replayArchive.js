@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * @file replayArchive.js
+ * @description Script para reconstruir los balances eléctricos desde el archivo de respuestas de REE
+ *
+ * Vuelve a parsear las respuestas en bruto guardadas en `raw_ree_responses` y
+ * sustituye los balances almacenados, sin hacer ninguna petición a REE.
+ */
+
+// Importar dependencias
+const mongoose = require('mongoose');
+const { program } = require('commander');
+const colors = require('colors/safe');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Cargar variables de entorno
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Importar componentes de la aplicación
+const ReplayArchivedResponses = require('../src/application/use-cases/ReplayArchivedResponses');
+const MongoRawREEResponseRepository = require('../src/infrastructure/repositories/MongoRawREEResponseRepository');
+const MongoElectricBalanceRepository = require('../src/infrastructure/repositories/MongoElectricBalanceRepository');
+const MongoQuarantineRepository = require('../src/infrastructure/repositories/MongoQuarantineRepository');
+const { REGIONS } = require('../src/domain/constants/regions');
+
+// Configurar opciones del CLI
+program
+    .version('1.0.0')
+    .description('Rebuild electric balances from archived raw REE responses')
+    .option('--from <date>', 'Replay responses fetched from this date (YYYY-MM-DD)')
+    .option('--to <date>', 'Replay responses fetched up to this date (YYYY-MM-DD)')
+    .option('-t, --time-scope <scope>', 'Only replay this time scope (hour, day, month, year)')
+    .option('-r, --region <region>', `Only replay this geographic scope (${REGIONS.join(', ')})`)
+    .option('-d, --db <connection-string>', 'MongoDB connection string', process.env.MONGODB_URI || 'mongodb://localhost:27017/electric-balance')
+    .option('-v, --verbose', 'Enable verbose output', false)
+    .option('--dry-run', 'Parse archived responses without storing data', false)
+    .parse(process.argv);
+
+// Obtener opciones
+const options = program.opts();
+
+// Configurar logger
+const logger = {
+    info: (msg) => console.log(colors.blue('INFO:'), msg),
+    warn: (msg) => console.log(colors.yellow('WARN:'), msg),
+    error: (msg, err) => {
+        console.error(colors.red('ERROR:'), msg);
+        if (err && options.verbose) {
+            console.error(colors.red(err.stack || err));
+        }
+    },
+    success: (msg) => console.log(colors.green('SUCCESS:'), msg),
+    debug: (msg) => options.verbose && console.log(colors.gray('DEBUG:'), msg)
+};
+
+/**
+ * Función principal del script
+ */
+async function main() {
+    logger.info('Starting archive replay');
+
+    try {
+        if (options.dryRun) {
+            logger.warn('DRY RUN MODE: No data will be stored in the database');
+        }
+
+        await mongoose.connect(options.db, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true
+        });
+        logger.success('Connected to MongoDB');
+
+        const replayUseCase = new ReplayArchivedResponses(
+            new MongoRawREEResponseRepository(logger),
+            new MongoElectricBalanceRepository(logger),
+            logger,
+            new MongoQuarantineRepository(logger)
+        );
+
+        const startTime = Date.now();
+
+        const result = await replayUseCase.execute({
+            fetchedFrom: options.from,
+            fetchedTo: options.to,
+            timeScope: options.timeScope,
+            region: options.region,
+            dryRun: options.dryRun
+        });
+
+        for (const failure of result.failures) {
+            logger.warn(`Archived response ${failure.archiveId} (${failure.fetchedAt.toISOString()}): ${failure.error}`);
+        }
+
+        const duration = (Date.now() - startTime) / 1000;
+        logger.success(`Process completed in ${duration.toFixed(2)} seconds`);
+        logger.info(`Archived responses processed: ${result.processedCount}`);
+        logger.info(`Electric balances rebuilt: ${result.rebuiltCount}`);
+        logger.info(`Electric balances quarantined: ${result.quarantinedCount}`);
+        logger.info(`Failed responses: ${result.failures.length}`);
+
+        await mongoose.disconnect();
+        logger.info('Disconnected from MongoDB');
+
+        process.exit(0);
+
+    } catch (error) {
+        logger.error(`Fatal error: ${error.message}`, error);
+
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.disconnect();
+            logger.info('Disconnected from MongoDB');
+        }
+
+        process.exit(1);
+    }
+}
+
+// Ejecutar script
+main();
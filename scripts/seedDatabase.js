@@ -7,6 +7,11 @@
  * Este script obtiene datos históricos de balance eléctrico desde la API de REE
  * y los carga en la base de datos MongoDB para proporcionar una configuración
  * inicial con datos reales.
+ *
+ * El rango se carga por tramos y el avance se guarda en `seed_checkpoints`: si
+ * el proceso se interrumpe, al volver a lanzarlo con el mismo rango (o con
+ * `--resume`) continúa por el primer tramo que no terminó. `--status` muestra
+ * el avance de las cargas sin lanzar ninguna.
  */
 
 // Importar dependencias
@@ -15,7 +20,6 @@ const { program } = require('commander');
 const colors = require('colors/safe');
 const ProgressBar = require('progress');
 const path = require('path');
-const fs = require('fs');
 const dotenv = require('dotenv');
 
 // Cargar variables de entorno
@@ -23,24 +27,41 @@ dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
 // Importar componentes de la aplicación
 const REEApiService = require('../src/infrastructure/external/REEApiService');
-const ElectricBalanceModel = require('../src/infrastructure/database/models/ElectricBalanceModel');
-const ElectricBalance = require('../src/domain/entities/ElectricBalance');
-const { formatDateForREEApi } = require('../src/utils/dateFormatter');
+const createElectricBalanceSources = require('../src/infrastructure/sources/createElectricBalanceSources');
+const MongoElectricBalanceRepository = require('../src/infrastructure/repositories/MongoElectricBalanceRepository');
+const MongoQuarantineRepository = require('../src/infrastructure/repositories/MongoQuarantineRepository');
+const MongoIngestionRunRepository = require('../src/infrastructure/repositories/MongoIngestionRunRepository');
+const MongoSeedCheckpointRepository = require('../src/infrastructure/repositories/MongoSeedCheckpointRepository');
+const SeedHistoricalData = require('../src/application/use-cases/SeedHistoricalData');
+const GetSeedingProgress = require('../src/application/use-cases/GetSeedingProgress');
+const { DEFAULT_REGION, REGIONS } = require('../src/domain/constants/regions');
+const { getMadridParts, addMadridPeriods, parseMadridDateTime } = require('../src/utils/madridTime');
+
+/**
+ * Fecha de hoy en hora de Madrid con formato YYYY-MM-DD
+ *
+ * @returns {string} - Fecha de hoy
+ */
+function getMadridToday() {
+    const { year, month, day } = getMadridParts(new Date());
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
 
 // Configurar opciones del CLI
 program
     .version('1.0.0')
     .description('Seed the database with historical electric balance data from REE API')
-    .option('-s, --start <date>', 'Start date (YYYY-MM-DD)', '2019-01-01')
-    .option('-e, --end <date>', 'End date (YYYY-MM-DD)', () => {
-        const today = new Date();
-        return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-    })
+    .option('-s, --start <date>', 'Start date (YYYY-MM-DD, Madrid time)', '2019-01-01')
+    .option('-e, --end <date>', 'End date, inclusive (YYYY-MM-DD, Madrid time)', getMadridToday())
     .option('-t, --time-scope <scope>', 'Time scope (hour, day, month, year)', 'day')
-    .option('-c, --chunk-size <size>', 'Number of days to fetch at once', '30')
+    .option('-r, --region <region>', `Geographic scope (${REGIONS.join(', ')})`, DEFAULT_REGION)
+    .option('-c, --concurrency <number>', 'Number of simultaneous REE requests', process.env.REE_API_CHUNK_CONCURRENCY || '2')
     .option('-d, --db <connection-string>', 'MongoDB connection string', process.env.MONGODB_URI || 'mongodb://localhost:27017/electric-balance')
     .option('-f, --force', 'Force update existing records', false)
     .option('-v, --verbose', 'Enable verbose output', false)
+    .option('--resume', 'Resume the latest unfinished seeding for the time scope and region, with its original range', false)
+    .option('--restart', 'Discard the saved progress for the range and start over', false)
+    .option('--status', 'Show the progress of the seedings for the time scope and region and exit', false)
     .option('--dry-run', 'Simulate the process without storing data', false)
     .parse(process.argv);
 
@@ -62,38 +83,88 @@ const logger = {
 };
 
 /**
- * Función principal del script
+ * Convierte una fecha del CLI en un instante
+ *
+ * Las fechas sin hora se leen en hora de Madrid; la de fin cubre el día completo.
+ *
+ * @param {string} value - Fecha recibida
+ * @param {boolean} [endOfDay=false] - Si una fecha sin hora debe llegar al final del día
+ * @returns {Date} - Instante correspondiente
  */
-async function main() {
-    logger.info('Starting database seed process');
+function parseCliDate(value, endOfDay = false) {
+    const date = parseMadridDateTime(value);
 
-    try {
-        // Validar y parsear fechas
-        const startDate = new Date(options.start);
-        const endDate = new Date(options.end);
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        return new Date(addMadridPeriods(date, 'day', 1).getTime() - 1);
+    }
+
+    return date;
+}
+
+/**
+ * Formatea una duración en segundos de forma legible
+ *
+ * @param {number|null} seconds - Duración en segundos
+ * @returns {string} - Duración formateada
+ */
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return 'unknown';
+    }
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
 
-        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-            throw new Error('Invalid date format. Use YYYY-MM-DD');
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+}
+
+/**
+ * Muestra el avance de las cargas guardadas
+ *
+ * @param {GetSeedingProgress} getSeedingProgressUseCase - Caso de uso de consulta del avance
+ */
+async function showStatus(getSeedingProgressUseCase) {
+    const seedings = await getSeedingProgressUseCase.execute({
+        timeScope: options.timeScope,
+        region: options.region
+    });
+
+    if (seedings.length === 0) {
+        logger.info(`No ${options.timeScope} seedings found for ${options.region}`);
+        return;
+    }
+
+    for (const seeding of seedings) {
+        logger.info(
+            `${seeding.timeScope}/${seeding.region} ${seeding.startDate.toISOString()} to ${seeding.endDate.toISOString()}: ` +
+            `${seeding.status}, ${seeding.completedChunks}/${seeding.totalChunks} chunks (${seeding.percentComplete}%), ` +
+            `${seeding.remainingChunks} remaining, ${seeding.savedCount} records saved, ETA ${formatDuration(seeding.etaSeconds)}`
+        );
+
+        if (seeding.lastError) {
+            logger.warn(`Last error: ${seeding.lastError}`);
         }
+    }
+}
 
-        if (startDate > endDate) {
-            throw new Error('Start date must be before end date');
+/**
+ * Función principal del script
+ */
+async function main() {
+    try {
+        if (options.resume && options.restart) {
+            throw new Error('--resume and --restart cannot be used together');
         }
 
-        // Validar time scope
-        const validScopes = ['hour', 'day', 'month', 'year'];
-        if (!validScopes.includes(options.timeScope)) {
-            throw new Error(`Invalid time scope. Valid values: ${validScopes.join(', ')}`);
+        if (options.dryRun && (options.resume || options.status)) {
+            throw new Error('--dry-run cannot be combined with --resume or --status');
         }
 
         // Si es un dry run, notificar
         if (options.dryRun) {
-            logger.warn('DRY RUN MODE: No data will be stored in the database');
-        }
-
-        // Conectar a la base de datos
-        logger.info(`Connecting to MongoDB: ${options.db}`);
-        if (!options.dryRun) {
+            logger.warn('DRY RUN MODE: No data or progress will be stored in the database');
+        } else {
+            logger.info(`Connecting to MongoDB: ${options.db}`);
             await mongoose.connect(options.db, {
                 useNewUrlParser: true,
                 useUnifiedTopology: true
@@ -101,105 +172,78 @@ async function main() {
             logger.success('Connected to MongoDB');
         }
 
+        const seedCheckpointRepository = new MongoSeedCheckpointRepository(logger);
+
+        if (options.status) {
+            await showStatus(new GetSeedingProgress(seedCheckpointRepository, logger));
+            await mongoose.disconnect();
+            process.exit(0);
+        }
+
+        logger.info('Starting database seed process');
+
         // Inicializar servicio de API de REE
         const reeApiService = new REEApiService({
             baseUrl: process.env.REE_API_BASE_URL || 'https://apidatos.ree.es',
             timeout: parseInt(process.env.REE_API_TIMEOUT || '10000'),
-            headers: {}
+            headers: {},
+            chunkConcurrency: parseInt(options.concurrency)
         }, logger);
 
-        // Calcular número de días entre fechas
-        const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-        const chunkSize = parseInt(options.chunkSize);
-
-        logger.info(`Fetching data from ${options.start} to ${options.end} (${totalDays} days) with time scope: ${options.timeScope}`);
-
-        // Inicializar estadísticas
-        const stats = {
-            totalProcessed: 0,
-            totalSaved: 0,
-            totalSkipped: 0,
-            totalErrors: 0,
-            startTime: Date.now()
-        };
-
-        // Crear barra de progreso
-        const bar = new ProgressBar('[:bar] :current/:total chunks (:percent) :etas - Saved: :saved, Skipped: :skipped, Errors: :errors', {
-            complete: '=',
-            incomplete: ' ',
-            width: 30,
-            total: Math.ceil(totalDays / chunkSize)
-        });
-
-        // Procesar en chunks
-        let currentDate = new Date(startDate);
-        let chunkIndex = 0;
-
-        while (currentDate < endDate) {
-            // Calcular fin del chunk
-            const chunkEndDate = new Date(currentDate);
-            chunkEndDate.setDate(chunkEndDate.getDate() + chunkSize - 1);
-
-            // Asegurar que no exceda la fecha final
-            const actualEndDate = chunkEndDate > endDate ? endDate : chunkEndDate;
-
-            try {
-                // Formatear fechas para la API
-                const formattedStartDate = formatDateForREEApi(currentDate);
-                const formattedEndDate = formatDateForREEApi(actualEndDate);
-
-                logger.debug(`Processing chunk ${chunkIndex + 1}: ${formattedStartDate} to ${formattedEndDate}`);
-
-                // Obtener datos de la API
-                const apiResponse = await reeApiService.fetchBalanceData(
-                    formattedStartDate,
-                    formattedEndDate,
-                    options.timeScope
-                );
-
-                // Procesar la respuesta
-                const { saved, skipped, errors } = await processApiResponse(apiResponse, options.timeScope, options.dryRun, options.force);
-
-                // Actualizar estadísticas
-                stats.totalProcessed++;
-                stats.totalSaved += saved;
-                stats.totalSkipped += skipped;
-                stats.totalErrors += errors;
-
-                // Actualizar barra de progreso
-                bar.tick({
-                    saved: stats.totalSaved,
-                    skipped: stats.totalSkipped,
-                    errors: stats.totalErrors
-                });
+        const seedUseCase = new SeedHistoricalData(
+            createElectricBalanceSources(reeApiService, {}, logger),
+            new MongoElectricBalanceRepository(logger),
+            seedCheckpointRepository,
+            logger,
+            new MongoQuarantineRepository(logger),
+            new MongoIngestionRunRepository(logger)
+        );
+
+        let bar = null;
+
+        const result = await seedUseCase.execute({
+            startDate: options.resume ? undefined : parseCliDate(options.start),
+            endDate: options.resume ? undefined : parseCliDate(options.end, true),
+            timeScope: options.timeScope,
+            region: options.region,
+            resume: options.resume,
+            restart: options.restart,
+            forceUpdate: options.force,
+            dryRun: options.dryRun,
+            onChunkComplete: (chunk, progress) => {
+                // La barra muestra el avance de toda la carga, también lo hecho en ejecuciones anteriores
+                if (!bar) {
+                    bar = new ProgressBar('[:bar] :current/:total chunks (:percent) ETA :eta - Failed: :failed', {
+                        complete: '=',
+                        incomplete: ' ',
+                        width: 30,
+                        total: progress.totalChunks
+                    });
+                }
 
-            } catch (error) {
-                logger.error(`Error processing chunk ${chunkIndex + 1}`, error);
-                stats.totalErrors++;
+                if (chunk.error) {
+                    logger.error(`Error processing chunk ${chunk.startDate.toISOString()} to ${chunk.endDate.toISOString()}: ${chunk.error}`);
+                } else {
+                    logger.debug(`Processed chunk ${chunk.startDate.toISOString()} to ${chunk.endDate.toISOString()}: ${chunk.savedCount} records saved`);
+                }
 
-                // Actualizar barra de progreso en caso de error
-                bar.tick({
-                    saved: stats.totalSaved,
-                    skipped: stats.totalSkipped,
-                    errors: stats.totalErrors
+                bar.update(progress.completedChunks / progress.totalChunks, {
+                    eta: formatDuration(progress.etaSeconds),
+                    failed: progress.failedChunks
                 });
             }
-
-            // Avanzar al siguiente chunk
-            currentDate.setDate(currentDate.getDate() + chunkSize);
-            chunkIndex++;
-
-            // Pequeña pausa para no sobrecargar la API
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
+        });
 
         // Mostrar resumen
-        const duration = (Date.now() - stats.startTime) / 1000;
-        logger.success(`Process completed in ${duration.toFixed(2)} seconds`);
-        logger.info(`Total chunks processed: ${stats.totalProcessed}`);
-        logger.info(`Total records saved: ${stats.totalSaved}`);
-        logger.info(`Total records skipped: ${stats.totalSkipped}`);
-        logger.info(`Total errors: ${stats.totalErrors}`);
+        const { progress } = result;
+        logger.success(`Chunks processed in this run: ${result.processedChunks} (${result.failedChunks} failed)`);
+        logger.info(`Records parsed in this run: ${result.parsedCount}`);
+        logger.info(`Records saved in this run: ${result.savedCount}`);
+        logger.info(`Overall progress: ${progress.completedChunks}/${progress.totalChunks} chunks (${progress.percentComplete}%)`);
+
+        if (progress.remainingChunks > 0) {
+            logger.warn(`${progress.remainingChunks} chunks remaining. Run again with --resume to retry them`);
+        }
 
         // Cerrar conexión a la base de datos
         if (!options.dryRun) {
@@ -207,10 +251,10 @@ async function main() {
             logger.info('Disconnected from MongoDB');
         }
 
-        process.exit(0);
+        process.exit(progress.remainingChunks > 0 ? 1 : 0);
 
     } catch (error) {
-        logger.error('Fatal error:', error);
+        logger.error(`Fatal error: ${error.message}`, error);
 
         // Cerrar conexión a la base de datos en caso de error
         if (mongoose.connection.readyState !== 0) {
@@ -222,107 +266,5 @@ async function main() {
     }
 }
 
-/**
- * Procesa la respuesta de la API y guarda los datos
- *
- * @param {Object} apiResponse - Respuesta de la API de REE
- * @param {string} timeScope - Alcance temporal
- * @param {boolean} dryRun - Si es un dry run
- * @param {boolean} force - Forzar actualización de registros existentes
- * @returns {Object} - Estadísticas de procesamiento
- */
-async function processApiResponse(apiResponse, timeScope, dryRun, force) {
-    const stats = { saved: 0, skipped: 0, errors: 0 };
-
-    if (!apiResponse) {
-        throw new Error('API response is null or undefined');
-    }
-
-    try {
-        // Crear entidades de balance eléctrico
-        let electricBalances = [];
-
-        try {
-            // Crear una entidad a partir de la respuesta completa
-            const balance = ElectricBalance.fromREEApiResponse(apiResponse);
-            electricBalances.push(balance);
-            logger.debug(`Created entity for ${balance.timestamp}`);
-        } catch (error) {
-            logger.error(`Error creating entity: ${error.message}`, error);
-            stats.errors++;
-        }
-
-        logger.debug(`Created ${electricBalances.length} entities`);
-
-        // Si es un dry run, no guardar
-        if (dryRun) {
-            logger.debug(`[DRY RUN] Would save ${electricBalances.length} records`);
-            stats.skipped = electricBalances.length;
-            return stats;
-        }
-
-        // Guardar cada entidad
-        for (const balance of electricBalances) {
-            try {
-                // Verificar si tienen elementos
-                logger.debug(`Entity has: generation=${balance.generation.length}, demand=${balance.demand.length}, interchange=${balance.interchange.length}`);
-
-                // Preparar documento para MongoDB
-                const balanceData = {
-                    timestamp: balance.timestamp,
-                    timeScope: balance.timeScope,
-                    generation: balance.generation,
-                    demand: balance.demand,
-                    interchange: balance.interchange,
-                    metadata: {
-                        title: balance.metadata.title || 'Balance Eléctrico',
-                        description: balance.metadata.description || '',
-                        source: balance.metadata.source || 'REE API'
-                    }
-                };
-
-                // Verificar si ya existe un registro para esta fecha y scope
-                const existsQuery = {
-                    timestamp: balance.timestamp,
-                    timeScope: balance.timeScope
-                };
-
-                const exists = await ElectricBalanceModel.findOne(existsQuery);
-
-                if (exists && !force) {
-                    // Ya existe y no se fuerza actualización
-                    logger.debug(`Record already exists for ${balance.timestamp} - skipping`);
-                    stats.skipped++;
-                } else if (exists && force) {
-                    // Existe y se fuerza actualización
-                    logger.debug(`Updating record for ${balance.timestamp}`);
-                    await ElectricBalanceModel.findByIdAndUpdate(
-                      exists._id,
-                      balanceData,
-                      { new: true }
-                    );
-                    stats.saved++;
-                } else {
-                    // No existe, crear nuevo
-                    logger.debug(`Creating new record for ${balance.timestamp}`);
-                    const doc = new ElectricBalanceModel(balanceData);
-                    await doc.save();
-                    stats.saved++;
-                }
-
-            } catch (error) {
-                logger.error(`Error saving: ${error.message}`, error);
-                stats.errors++;
-            }
-        }
-
-        return stats;
-
-    } catch (error) {
-        logger.error('Error en processApiResponse:', error);
-        throw error;
-    }
-}
-
 // Ejecutar script
 main();
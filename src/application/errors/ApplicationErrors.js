@@ -417,6 +417,39 @@ class NetworkError extends ExternalResourceError {
     }
 }
 
+/**
+ * Error para peticiones rechazadas porque el circuito del recurso externo está abierto
+ */
+class CircuitBreakerOpenError extends ExternalResourceError {
+    /**
+     * Constructor del error de circuito abierto
+     *
+     * @param {string} message - Mensaje descriptivo del error
+     * @param {Object} [options={}] - Opciones adicionales
+     * @param {number} [options.retryAfterMs] - Milisegundos hasta que se admita un nuevo intento
+     */
+    constructor(message, options = {}) {
+        super(message, {
+            ...options,
+            resource: options.resource || 'API',
+            action: options.action || 'request'
+        });
+        this.retryAfterMs = options.retryAfterMs;
+    }
+
+    /**
+     * Convierte el error a un objeto simple para logging o serialización
+     *
+     * @returns {Object} - Representación del error
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            retryAfterMs: this.retryAfterMs
+        };
+    }
+}
+
 module.exports = {
     ApplicationError,
     ValidationError,
@@ -431,5 +464,6 @@ module.exports = {
     NotFoundError,
     BusinessRuleViolationError,
     ConfigurationError,
-    NetworkError
+    NetworkError,
+    CircuitBreakerOpenError
 };
@@ -0,0 +1,185 @@
+/**
+ * @file DetectDataGaps.js
+ * @description Caso de uso para detectar huecos en los balances eléctricos almacenados
+ *
+ * Compara las marcas temporales guardadas con los períodos que debería haber en
+ * el rango según la granularidad, calculados en hora de Madrid para que los días
+ * de cambio de hora cuenten correctamente. Un rango con duplicados en un sitio y
+ * huecos en otro ya no se da por completo solo porque el número de registros cuadre.
+ */
+
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const {
+    startOfMadridPeriod,
+    addMadridPeriods,
+    listMadridPeriods
+} = require('../../utils/madridTime');
+const {
+    InvalidDateRangeError,
+    ValidationError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Granularidades para las que se pueden calcular los períodos esperados
+ */
+const SUPPORTED_TIME_SCOPES = ['hour', 'day', 'month', 'year'];
+
+/**
+ * Número máximo de períodos que se analizan en una sola consulta
+ */
+const MAX_EXPECTED_SLOTS = 20000;
+
+/**
+ * Clase que implementa el caso de uso para detectar huecos en los datos
+ */
+class DetectDataGaps {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balance eléctrico
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(electricBalanceRepository, logger) {
+        this.electricBalanceRepository = electricBalanceRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio (incluida)
+     * @param {Date|string} params.endDate - Fecha de fin (incluida)
+     * @param {string} [params.timeScope='day'] - Granularidad temporal (hour, day, month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico
+     * @returns {Promise<Object>} - Informe con los períodos esperados, los huecos agrupados y los duplicados
+     * @throws {InvalidDateRangeError} - Si el rango de fechas es inválido o demasiado grande
+     * @throws {ValidationError} - Si la granularidad no está soportada
+     * @throws {RepositoryError} - Si hay problemas al consultar el repositorio
+     */
+    async execute({ startDate, endDate, timeScope = 'day', region = DEFAULT_REGION }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new InvalidDateRangeError('Invalid date format');
+        }
+
+        if (parsedStartDate > parsedEndDate) {
+            throw new InvalidDateRangeError('Start date must be before end date');
+        }
+
+        if (!SUPPORTED_TIME_SCOPES.includes(timeScope)) {
+            throw new ValidationError(
+                `Invalid time scope: ${timeScope}. Valid values: ${SUPPORTED_TIME_SCOPES.join(', ')}`
+            );
+        }
+
+        const expectedSlots = this._listExpectedSlots(parsedStartDate, parsedEndDate, timeScope);
+
+        let timestamps;
+
+        try {
+            timestamps = await this.electricBalanceRepository.findTimestamps(
+                parsedStartDate,
+                parsedEndDate,
+                timeScope,
+                region
+            );
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Failed to detect data gaps: ${error.message}`,
+                { originalError: error, entity: 'ElectricBalance', operation: 'detectGaps' }
+            );
+        }
+
+        const countsBySlot = new Map();
+
+        for (const timestamp of timestamps) {
+            const slot = startOfMadridPeriod(timestamp, timeScope).getTime();
+            countsBySlot.set(slot, (countsBySlot.get(slot) || 0) + 1);
+        }
+
+        const missingSlots = expectedSlots.filter(slot => !countsBySlot.has(slot.getTime()));
+
+        const duplicates = [...countsBySlot.entries()]
+            .filter(([, count]) => count > 1)
+            .map(([slot, count]) => ({ timestamp: new Date(slot), count }));
+
+        const gaps = this._groupContiguousSlots(missingSlots, timeScope);
+
+        if (gaps.length > 0) {
+            this.logger.debug(`Found ${missingSlots.length} missing ${timeScope} slots in ${gaps.length} gaps (${region})`);
+        }
+
+        return {
+            timeScope,
+            region,
+            startDate: parsedStartDate,
+            endDate: parsedEndDate,
+            expectedCount: expectedSlots.length,
+            existingCount: timestamps.length,
+            missingCount: missingSlots.length,
+            duplicateCount: duplicates.length,
+            complete: missingSlots.length === 0,
+            gaps,
+            missingSlots,
+            duplicates
+        };
+    }
+
+    /**
+     * Calcula los períodos que debería haber en el rango
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @returns {Array<Date>} - Inicios de período esperados
+     * @throws {InvalidDateRangeError} - Si el rango contiene demasiados períodos
+     * @private
+     */
+    _listExpectedSlots(startDate, endDate, timeScope) {
+        const periodEstimateMs = { hour: 36e5, day: 864e5, month: 28 * 864e5, year: 365 * 864e5 };
+        const estimate = (endDate - startDate) / periodEstimateMs[timeScope];
+
+        if (estimate > MAX_EXPECTED_SLOTS) {
+            throw new InvalidDateRangeError(
+                `Date range is too large for ${timeScope} gap detection (max ${MAX_EXPECTED_SLOTS} periods)`
+            );
+        }
+
+        return listMadridPeriods(startDate, endDate, timeScope);
+    }
+
+    /**
+     * Agrupa los períodos que faltan en huecos contiguos
+     *
+     * @param {Array<Date>} missingSlots - Inicios de período que faltan, ordenados
+     * @param {string} timeScope - Granularidad temporal
+     * @returns {Array<Object>} - Huecos { startDate, endDate, slotCount }, donde endDate es el inicio del último período
+     * @private
+     */
+    _groupContiguousSlots(missingSlots, timeScope) {
+        const gaps = [];
+        let current = null;
+
+        for (const slot of missingSlots) {
+            if (current && addMadridPeriods(current.endDate, timeScope, 1).getTime() === slot.getTime()) {
+                current.endDate = slot;
+                current.slotCount++;
+            } else {
+                current = { startDate: slot, endDate: slot, slotCount: 1 };
+                gaps.push(current);
+            }
+        }
+
+        return gaps;
+    }
+}
+
+module.exports = DetectDataGaps;
@@ -0,0 +1,195 @@
+/**
+ * @file FetchCo2Emissions.js
+ * @description Caso de uso para obtener las emisiones de CO2 de la API de REE y almacenarlas
+ *
+ * Consulta el widget `generacion/no-renovables-detalle-emisiones-CO2` de REE,
+ * construye un registro por fecha con las emisiones de cada tecnología y lo
+ * guarda en el repositorio.
+ */
+
+const Co2Emission = require('../../domain/entities/Co2Emission');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Granularidades para las que REE publica emisiones
+ */
+const SUPPORTED_TIME_SCOPES = ['day', 'month', 'year'];
+
+/**
+ * Clase que implementa el caso de uso para obtener emisiones de CO2 de REE
+ */
+class FetchCo2Emissions {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {import('../../domain/repositories/Co2EmissionRepository')} co2EmissionRepository - Repositorio de emisiones
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(reeApiService, co2EmissionRepository, logger) {
+        this.reeApiService = reeApiService;
+        this.co2EmissionRepository = co2EmissionRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Indica si REE publica emisiones para una granularidad
+     *
+     * @param {string} timeScope - Granularidad temporal
+     * @returns {boolean} - true si está soportada
+     */
+    static supportsTimeScope(timeScope) {
+        return SUPPORTED_TIME_SCOPES.includes(timeScope);
+    }
+
+    /**
+     * Ejecuta el caso de uso para obtener emisiones de REE
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio
+     * @param {Date|string} params.endDate - Fecha de fin
+     * @param {string} [params.timeScope='day'] - Granularidad temporal (day, month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico a consultar
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir emisiones ya almacenadas
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ApiRequestError} - Si los parámetros no son válidos o falla la petición
+     * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      timeScope = 'day',
+                      region = DEFAULT_REGION,
+                      forceUpdate = false
+                  }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new ApiRequestError('Invalid date format');
+        }
+
+        if (!FetchCo2Emissions.supportsTimeScope(timeScope)) {
+            throw new ApiRequestError(
+                `CO2 emissions are not published for time scope ${timeScope}. Valid values: ${SUPPORTED_TIME_SCOPES.join(', ')}`
+            );
+        }
+
+        try {
+            this.logger.info(`Fetching REE CO2 emissions from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope} (${region})`);
+
+            const apiResponse = await this.reeApiService.fetchCo2Emissions(
+                formatDateForREEApi(parsedStartDate),
+                formatDateForREEApi(parsedEndDate),
+                timeScope,
+                { region }
+            );
+
+            if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+                throw new ApiResponseError('Invalid API response structure');
+            }
+
+            const failedChunks = (apiResponse.meta?.chunks || []).filter(chunk => chunk.status === 'rejected');
+
+            let emissions;
+            try {
+                emissions = Co2Emission.fromREEApiResponseSeries(apiResponse, timeScope, region);
+            } catch (error) {
+                throw new ApiResponseError(
+                    `Error processing API response: ${error.message}`,
+                    { originalError: error }
+                );
+            }
+
+            const savedCount = await this._saveProcessedData(emissions, forceUpdate);
+
+            return {
+                status: failedChunks.length > 0 ? 'partial' : 'success',
+                message: failedChunks.length > 0
+                    ? `Fetched and saved CO2 emissions from REE API with ${failedChunks.length} failed chunks`
+                    : 'Successfully fetched and saved CO2 emissions from REE API',
+                savedCount,
+                timeScope,
+                region,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                failedChunks
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching REE CO2 emissions: ${error.message}`, error);
+
+            if (error instanceof ApiRequestError ||
+                error instanceof ApiResponseError ||
+                error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new ApiRequestError(
+                `Failed to fetch CO2 emissions from REE API: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Guarda las emisiones procesadas en el repositorio
+     *
+     * @param {Array<Co2Emission>} emissions - Entidades a guardar
+     * @param {boolean} forceUpdate - Si se deben sobrescribir los registros existentes
+     * @returns {Promise<number>} - Número de registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     * @private
+     */
+    async _saveProcessedData(emissions, forceUpdate) {
+        if (!emissions || emissions.length === 0) {
+            this.logger.warn('No CO2 emissions to save');
+            return 0;
+        }
+
+        try {
+            let pending = emissions;
+
+            if (!forceUpdate) {
+                pending = [];
+
+                for (const emission of emissions) {
+                    const exists = await this.co2EmissionRepository.existsForDateAndScope(
+                        emission.timestamp,
+                        emission.timeScope,
+                        emission.region
+                    );
+
+                    if (!exists) {
+                        pending.push(emission);
+                    }
+                }
+            }
+
+            if (pending.length === 0) {
+                this.logger.info('All CO2 emission records already exist in the database');
+                return 0;
+            }
+
+            await this.co2EmissionRepository.saveMany(pending);
+            return pending.length;
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Error saving CO2 emissions: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = FetchCo2Emissions;
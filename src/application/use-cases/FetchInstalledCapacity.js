@@ -0,0 +1,195 @@
+/**
+ * @file FetchInstalledCapacity.js
+ * @description Caso de uso para obtener la potencia instalada de la API de REE y almacenarla
+ *
+ * Consulta el widget `generacion/potencia-instalada` de REE, construye un
+ * registro por mes con la potencia de cada tecnología y lo guarda en el
+ * repositorio.
+ */
+
+const InstalledCapacity = require('../../domain/entities/InstalledCapacity');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Granularidades para las que REE publica la potencia instalada
+ */
+const SUPPORTED_TIME_SCOPES = ['month', 'year'];
+
+/**
+ * Clase que implementa el caso de uso para obtener la potencia instalada de REE
+ */
+class FetchInstalledCapacity {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {import('../../domain/repositories/InstalledCapacityRepository')} installedCapacityRepository - Repositorio de potencia instalada
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(reeApiService, installedCapacityRepository, logger) {
+        this.reeApiService = reeApiService;
+        this.installedCapacityRepository = installedCapacityRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Indica si REE publica la potencia instalada para una granularidad
+     *
+     * @param {string} timeScope - Granularidad temporal
+     * @returns {boolean} - true si está soportada
+     */
+    static supportsTimeScope(timeScope) {
+        return SUPPORTED_TIME_SCOPES.includes(timeScope);
+    }
+
+    /**
+     * Ejecuta el caso de uso para obtener la potencia instalada de REE
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio
+     * @param {Date|string} params.endDate - Fecha de fin
+     * @param {string} [params.timeScope='month'] - Granularidad temporal (month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico a consultar
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir registros ya almacenados
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ApiRequestError} - Si los parámetros no son válidos o falla la petición
+     * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      timeScope = 'month',
+                      region = DEFAULT_REGION,
+                      forceUpdate = false
+                  }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new ApiRequestError('Invalid date format');
+        }
+
+        if (!FetchInstalledCapacity.supportsTimeScope(timeScope)) {
+            throw new ApiRequestError(
+                `Installed capacity is not published for time scope ${timeScope}. Valid values: ${SUPPORTED_TIME_SCOPES.join(', ')}`
+            );
+        }
+
+        try {
+            this.logger.info(`Fetching REE installed capacity from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope} (${region})`);
+
+            const apiResponse = await this.reeApiService.fetchInstalledCapacity(
+                formatDateForREEApi(parsedStartDate),
+                formatDateForREEApi(parsedEndDate),
+                timeScope,
+                { region }
+            );
+
+            if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+                throw new ApiResponseError('Invalid API response structure');
+            }
+
+            const failedChunks = (apiResponse.meta?.chunks || []).filter(chunk => chunk.status === 'rejected');
+
+            let capacities;
+            try {
+                capacities = InstalledCapacity.fromREEApiResponseSeries(apiResponse, timeScope, region);
+            } catch (error) {
+                throw new ApiResponseError(
+                    `Error processing API response: ${error.message}`,
+                    { originalError: error }
+                );
+            }
+
+            const savedCount = await this._saveProcessedData(capacities, forceUpdate);
+
+            return {
+                status: failedChunks.length > 0 ? 'partial' : 'success',
+                message: failedChunks.length > 0
+                    ? `Fetched and saved installed capacity from REE API with ${failedChunks.length} failed chunks`
+                    : 'Successfully fetched and saved installed capacity from REE API',
+                savedCount,
+                timeScope,
+                region,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                failedChunks
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching REE installed capacity: ${error.message}`, error);
+
+            if (error instanceof ApiRequestError ||
+                error instanceof ApiResponseError ||
+                error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new ApiRequestError(
+                `Failed to fetch installed capacity from REE API: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Guarda la potencia instalada procesada en el repositorio
+     *
+     * @param {Array<InstalledCapacity>} capacities - Entidades a guardar
+     * @param {boolean} forceUpdate - Si se deben sobrescribir los registros existentes
+     * @returns {Promise<number>} - Número de registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     * @private
+     */
+    async _saveProcessedData(capacities, forceUpdate) {
+        if (!capacities || capacities.length === 0) {
+            this.logger.warn('No installed capacity to save');
+            return 0;
+        }
+
+        try {
+            let pending = capacities;
+
+            if (!forceUpdate) {
+                pending = [];
+
+                for (const capacity of capacities) {
+                    const exists = await this.installedCapacityRepository.existsForDateAndScope(
+                        capacity.timestamp,
+                        capacity.timeScope,
+                        capacity.region
+                    );
+
+                    if (!exists) {
+                        pending.push(capacity);
+                    }
+                }
+            }
+
+            if (pending.length === 0) {
+                this.logger.info('All installed capacity records already exist in the database');
+                return 0;
+            }
+
+            await this.installedCapacityRepository.saveMany(pending);
+            return pending.length;
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Error saving installed capacity: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = FetchInstalledCapacity;
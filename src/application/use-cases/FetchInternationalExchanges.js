@@ -0,0 +1,191 @@
+/**
+ * @file FetchInternationalExchanges.js
+ * @description Caso de uso para obtener los intercambios internacionales por frontera y almacenarlos
+ *
+ * Consulta el widget de intercambios de cada frontera (Francia, Portugal,
+ * Marruecos y Andorra), combina los resultados en un registro por fecha y
+ * lo guarda en el repositorio.
+ */
+
+const InternationalExchange = require('../../domain/entities/InternationalExchange');
+const { BORDERS } = require('../../domain/constants/borders');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para obtener intercambios internacionales de REE
+ */
+class FetchInternationalExchanges {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {import('../../domain/repositories/InternationalExchangeRepository')} internationalExchangeRepository - Repositorio de intercambios
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(reeApiService, internationalExchangeRepository, logger) {
+        this.reeApiService = reeApiService;
+        this.internationalExchangeRepository = internationalExchangeRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso para obtener intercambios de REE
+     *
+     * Si falla la petición de alguna frontera se guardan las demás y el resultado
+     * se marca como parcial; solo se lanza un error si fallan todas.
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio
+     * @param {Date|string} params.endDate - Fecha de fin
+     * @param {string} [params.timeScope='day'] - Granularidad temporal (hour, day, month, year)
+     * @param {Array<string>} [params.borders] - Fronteras a consultar (por defecto todas)
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir intercambios ya almacenados
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ApiRequestError} - Si los parámetros no son válidos o fallan todas las peticiones
+     * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      timeScope = 'day',
+                      borders = BORDERS,
+                      forceUpdate = false
+                  }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new ApiRequestError('Invalid date format');
+        }
+
+        try {
+            this.logger.info(`Fetching REE international exchanges from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope}`);
+
+            const responsesByBorder = {};
+            const failedBorders = [];
+
+            for (const border of borders) {
+                try {
+                    const apiResponse = await this.reeApiService.fetchInternationalExchanges(
+                        formatDateForREEApi(parsedStartDate),
+                        formatDateForREEApi(parsedEndDate),
+                        timeScope,
+                        { border }
+                    );
+
+                    if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+                        throw new ApiResponseError('Invalid API response structure');
+                    }
+
+                    responsesByBorder[border] = apiResponse;
+                } catch (error) {
+                    this.logger.warn(`International exchanges for ${border} failed: ${error.message}`);
+                    failedBorders.push({ border, error: error.message });
+                }
+            }
+
+            if (Object.keys(responsesByBorder).length === 0) {
+                throw new ApiRequestError(
+                    `Failed to fetch international exchanges for every border: ${failedBorders.map(item => item.error).join('; ')}`
+                );
+            }
+
+            let exchanges;
+            try {
+                exchanges = InternationalExchange.fromREEBorderResponses(responsesByBorder, timeScope);
+            } catch (error) {
+                throw new ApiResponseError(
+                    `Error processing API response: ${error.message}`,
+                    { originalError: error }
+                );
+            }
+
+            const savedCount = await this._saveProcessedData(exchanges, forceUpdate);
+
+            return {
+                status: failedBorders.length > 0 ? 'partial' : 'success',
+                message: failedBorders.length > 0
+                    ? `Fetched and saved international exchanges from REE API with ${failedBorders.length} failed borders`
+                    : 'Successfully fetched and saved international exchanges from REE API',
+                savedCount,
+                timeScope,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                failedBorders
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching REE international exchanges: ${error.message}`, error);
+
+            if (error instanceof ApiRequestError ||
+                error instanceof ApiResponseError ||
+                error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new ApiRequestError(
+                `Failed to fetch international exchanges from REE API: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Guarda los intercambios procesados en el repositorio
+     *
+     * @param {Array<InternationalExchange>} exchanges - Entidades a guardar
+     * @param {boolean} forceUpdate - Si se deben sobrescribir los registros existentes
+     * @returns {Promise<number>} - Número de registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     * @private
+     */
+    async _saveProcessedData(exchanges, forceUpdate) {
+        if (!exchanges || exchanges.length === 0) {
+            this.logger.warn('No international exchanges to save');
+            return 0;
+        }
+
+        try {
+            let pending = exchanges;
+
+            if (!forceUpdate) {
+                pending = [];
+
+                for (const exchange of exchanges) {
+                    const exists = await this.internationalExchangeRepository.existsForDateAndScope(
+                        exchange.timestamp,
+                        exchange.timeScope
+                    );
+
+                    if (!exists) {
+                        pending.push(exchange);
+                    }
+                }
+            }
+
+            if (pending.length === 0) {
+                this.logger.info('All international exchange records already exist in the database');
+                return 0;
+            }
+
+            await this.internationalExchangeRepository.saveMany(pending);
+            return pending.length;
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Error saving international exchanges: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = FetchInternationalExchanges;
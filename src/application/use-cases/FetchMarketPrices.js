@@ -0,0 +1,198 @@
+/**
+ * @file FetchMarketPrices.js
+ * @description Caso de uso para obtener precios de mercado de la API de REE y almacenarlos
+ *
+ * Consulta el widget `mercados/precios-mercados-tiempo-real` de REE, construye
+ * un registro por hora con el PVPC y el precio spot, y lo guarda en el repositorio.
+ */
+
+const MarketPrice = require('../../domain/entities/MarketPrice');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para obtener precios de mercado de REE
+ */
+class FetchMarketPrices {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {import('../../domain/repositories/MarketPriceRepository')} marketPriceRepository - Repositorio de precios de mercado
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(reeApiService, marketPriceRepository, logger) {
+        this.reeApiService = reeApiService;
+        this.marketPriceRepository = marketPriceRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso para obtener precios de REE
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio
+     * @param {Date|string} params.endDate - Fecha de fin
+     * @param {string} [params.timeScope='hour'] - Granularidad temporal (hour, day, month, year)
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir precios ya almacenados
+     * @param {number} [params.maxRetries] - Intentos por petición a REE ante fallos transitorios (por defecto los del servicio)
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ApiRequestError} - Si hay problemas al realizar la petición
+     * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      timeScope = 'hour',
+                      forceUpdate = false,
+                      maxRetries
+                  }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new ApiRequestError('Invalid date format');
+        }
+
+        try {
+            this.logger.info(`Fetching REE market prices from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope}`);
+
+            const apiResponse = await this._fetchWithRetry(parsedStartDate, parsedEndDate, timeScope, maxRetries);
+
+            if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+                throw new ApiResponseError('Invalid API response structure');
+            }
+
+            const failedChunks = (apiResponse.meta?.chunks || []).filter(chunk => chunk.status === 'rejected');
+
+            let marketPrices;
+            try {
+                marketPrices = MarketPrice.fromREEApiResponseSeries(apiResponse, timeScope);
+            } catch (error) {
+                throw new ApiResponseError(
+                    `Error processing API response: ${error.message}`,
+                    { originalError: error }
+                );
+            }
+
+            const savedCount = await this._saveProcessedData(marketPrices, forceUpdate);
+
+            return {
+                status: failedChunks.length > 0 ? 'partial' : 'success',
+                message: failedChunks.length > 0
+                    ? `Fetched and saved market prices from REE API with ${failedChunks.length} failed chunks`
+                    : 'Successfully fetched and saved market prices from REE API',
+                savedCount,
+                timeScope,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                failedChunks
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching REE market prices: ${error.message}`, error);
+
+            if (error instanceof ApiRequestError ||
+                error instanceof ApiResponseError ||
+                error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new ApiRequestError(
+                `Failed to fetch market prices from REE API: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Obtiene los precios de la API de REE
+     *
+     * Los reintentos los gestiona REEApiService por petición, con backoff con jitter,
+     * respeto de `Retry-After` y circuit breaker, para no multiplicarlos aquí.
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @param {number} [maxRetries] - Intentos máximos por petición
+     * @returns {Promise<Object>} - Respuesta de la API
+     * @throws {ApiRequestError} - Si no se pueden obtener los precios
+     * @private
+     */
+    async _fetchWithRetry(startDate, endDate, timeScope, maxRetries) {
+        try {
+            return await this.reeApiService.fetchMarketPrices(
+                formatDateForREEApi(startDate),
+                formatDateForREEApi(endDate),
+                timeScope,
+                {},
+                { maxAttempts: maxRetries }
+            );
+        } catch (error) {
+            this.logger.warn(`Fetching market prices failed: ${error.message}`);
+
+            throw new ApiRequestError(
+                `Failed to fetch market prices: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Guarda los precios procesados en el repositorio
+     *
+     * @param {Array<MarketPrice>} marketPrices - Entidades a guardar
+     * @param {boolean} forceUpdate - Si se deben sobrescribir los precios existentes
+     * @returns {Promise<number>} - Número de registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     * @private
+     */
+    async _saveProcessedData(marketPrices, forceUpdate) {
+        if (!marketPrices || marketPrices.length === 0) {
+            this.logger.warn('No market prices to save');
+            return 0;
+        }
+
+        try {
+            let pending = marketPrices;
+
+            if (!forceUpdate) {
+                pending = [];
+
+                for (const price of marketPrices) {
+                    const exists = await this.marketPriceRepository.existsForDateAndScope(
+                        price.timestamp,
+                        price.timeScope
+                    );
+
+                    if (!exists) {
+                        pending.push(price);
+                    }
+                }
+            }
+
+            if (pending.length === 0) {
+                this.logger.info('All market prices already exist in the database');
+                return 0;
+            }
+
+            await this.marketPriceRepository.saveMany(pending);
+            return pending.length;
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Error saving market prices: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = FetchMarketPrices;
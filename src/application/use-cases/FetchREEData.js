@@ -4,16 +4,39 @@
  *
  * Este caso de uso se encarga de consultar la API pública de REE,
  * procesar los datos recibidos y almacenarlos en el repositorio.
- * Incluye manejo de errores, reintentos y validación de datos.
+ * Incluye manejo de errores, reintentos y validación de datos: los balances
+ * que no superan la validación se guardan en cuarentena y no en el repositorio.
+ * Los datos se piden a una fuente intercambiable (REE por defecto, o ficheros
+ * locales) que los entrega ya normalizados en un balance por punto temporal.
  */
 
 const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const QuarantinedRecord = require('../../domain/entities/QuarantinedRecord');
+const IngestionRun = require('../../domain/entities/IngestionRun');
+const ElectricBalanceValidator = require('../../domain/services/ElectricBalanceValidator');
+const DetectDataGaps = require('./DetectDataGaps');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { DATASETS } = require('../../domain/constants/datasets');
+const { DEFAULT_BALANCE_SOURCE } = require('../../domain/constants/balanceSources');
+const { INGESTION_TRIGGERS, INGESTION_RUN_STATUSES } = require('../../domain/constants/ingestionRuns');
+const { parseMadridDateTime } = require('../../utils/madridTime');
 const {
     ApiRequestError,
     ApiResponseError,
-    RepositoryError
+    RepositoryError,
+    ValidationError
 } = require('../errors/ApplicationErrors');
 
+/**
+ * Resumen de guardado cuando no se escribe nada
+ */
+const EMPTY_SAVE_SUMMARY = Object.freeze({
+    insertedCount: 0,
+    updatedCount: 0,
+    unchangedCount: 0,
+    failedCount: 0
+});
+
 /**
  * Clase que implementa el caso de uso para obtener datos de la API de REE
  */
@@ -21,26 +44,40 @@ class FetchREEData {
     /**
      * Constructor del caso de uso
      *
-     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {Object<string, import('../../domain/sources/ElectricBalanceSource')>|null} balanceSources - Fuentes de balances por nombre; null si solo se usa ingestResponse
      * @param {import('../../domain/repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balance eléctrico
      * @param {Object} logger - Logger para registrar eventos y errores
+     * @param {import('../../domain/repositories/QuarantineRepository')} [quarantineRepository] - Repositorio de registros en cuarentena
+     * @param {import('../../domain/repositories/IngestionRunRepository')} [ingestionRunRepository] - Registro de ejecuciones de ingesta
      */
-    constructor(reeApiService, electricBalanceRepository, logger) {
-        this.reeApiService = reeApiService;
+    constructor(balanceSources, electricBalanceRepository, logger, quarantineRepository = null, ingestionRunRepository = null) {
+        this.balanceSources = balanceSources || {};
         this.electricBalanceRepository = electricBalanceRepository;
         this.logger = logger || console;
+        this.quarantineRepository = quarantineRepository;
+        this.ingestionRunRepository = ingestionRunRepository;
+        this.validator = new ElectricBalanceValidator();
+        this.gapDetector = new DetectDataGaps(electricBalanceRepository, this.logger);
     }
 
     /**
      * Ejecuta el caso de uso para obtener datos de REE
      *
+     * Si hay registro de ejecuciones, cada llamada con fechas válidas queda
+     * guardada con su origen, resultado y duración, también cuando falla.
+     *
      * @param {Object} params - Parámetros del caso de uso
      * @param {Date|string} params.startDate - Fecha de inicio
      * @param {Date|string} params.endDate - Fecha de fin
      * @param {string} [params.timeScope='day'] - Granularidad temporal (hour, day, month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico a consultar
      * @param {boolean} [params.forceUpdate=false] - Forzar actualización incluso si los datos ya existen
-     * @param {number} [params.maxRetries=3] - Número máximo de reintentos en caso de fallo
+     * @param {number} [params.maxRetries] - Intentos por petición a REE ante fallos transitorios (por defecto los del servicio)
+     * @param {string} [params.trigger='manual'] - Origen de la ejecución (scheduled, initial, retry, manual, backfill, api, seed)
+     * @param {string} [params.source='ree'] - Fuente de los datos (ree, file)
+     * @param {boolean} [params.dryRun=false] - Obtener y validar los datos sin consultar lo guardado ni guardar nada
      * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ValidationError} - Si la fuente no está disponible
      * @throws {ApiRequestError} - Si hay problemas al realizar la petición
      * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
      * @throws {RepositoryError} - Si hay problemas al guardar los datos
@@ -49,58 +86,132 @@ class FetchREEData {
                       startDate,
                       endDate,
                       timeScope = 'day',
+                      region = DEFAULT_REGION,
                       forceUpdate = false,
-                      maxRetries = 3
+                      maxRetries,
+                      trigger = INGESTION_TRIGGERS.MANUAL,
+                      source = DEFAULT_BALANCE_SOURCE,
+                      dryRun = false
                   }) {
-        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
-        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+        const balanceSource = this._getBalanceSource(source);
+        // Las fechas sin desfase son hora peninsular, sea cual sea la zona del servidor
+        const parsedStartDate = parseMadridDateTime(startDate);
+        const parsedEndDate = parseMadridDateTime(endDate);
 
         if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
             throw new ApiRequestError('Invalid date format');
         }
 
+        const run = {
+            trigger,
+            timeScope,
+            region,
+            source,
+            startDate: parsedStartDate,
+            endDate: parsedEndDate,
+            startedAt: new Date()
+        };
+
+        let result;
+
         try {
-            this.logger.info(`Fetching REE data from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope}`);
+            result = await this._fetchAndIngest(balanceSource, parsedStartDate, parsedEndDate, timeScope, region, forceUpdate, maxRetries, dryRun);
+        } catch (error) {
+            if (!dryRun) {
+                await this._recordRun(run, { status: INGESTION_RUN_STATUSES.FAILED, error: error.message });
+            }
+            throw error;
+        }
+
+        if (!dryRun) {
+            await this._recordRun(run, result);
+        }
 
-            if (!forceUpdate) {
-                const existingData = await this._checkExistingData(parsedStartDate, parsedEndDate, timeScope);
+        return result;
+    }
+
+    /**
+     * Obtiene los datos de una fuente para un rango y los guarda, salvo que ya estén completos
+     *
+     * @param {import('../../domain/sources/ElectricBalanceSource')} balanceSource - Fuente de los datos
+     * @param {Date} parsedStartDate - Fecha de inicio
+     * @param {Date} parsedEndDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico
+     * @param {boolean} forceUpdate - Forzar actualización incluso si los datos ya existen
+     * @param {number} [maxRetries] - Intentos por petición a la fuente
+     * @param {boolean} [dryRun=false] - Obtener y validar los datos sin consultar lo guardado ni guardar nada
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @private
+     */
+    async _fetchAndIngest(balanceSource, parsedStartDate, parsedEndDate, timeScope, region, forceUpdate, maxRetries, dryRun = false) {
+        const sourceName = balanceSource.getName();
+
+        try {
+            this.logger.info(`Fetching ${sourceName} data from ${parsedStartDate} to ${parsedEndDate} with timeScope ${timeScope} (${region})`);
+
+            if (!forceUpdate && !dryRun) {
+                const existingData = await this._checkExistingData(parsedStartDate, parsedEndDate, timeScope, region);
 
                 if (existingData.complete) {
                     this.logger.info('Data already exists for this range and will not be updated');
                     return {
                         status: 'skipped',
                         message: 'Data already exists for this range',
-                        existingCount: existingData.count
+                        existingCount: existingData.count,
+                        skippedCount: existingData.count
                     };
                 }
             }
 
-            const apiResponse = await this._fetchWithRetry(
-                parsedStartDate,
-                parsedEndDate,
+            const { balances, issues = [], failedChunks = [] } = await balanceSource.fetchRange({
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
                 timeScope,
+                region,
                 maxRetries
-            );
+            });
 
-            if (!apiResponse || !apiResponse.data || !apiResponse.included) {
-                throw new ApiResponseError('Invalid API response structure');
+            if (failedChunks.length > 0) {
+                this.logger.warn(`${failedChunks.length} ${sourceName} request chunks failed and will be missing from this run`);
             }
 
-            const electricBalances = await this._processApiResponse(apiResponse, timeScope);
+            const ingested = await this._ingestBalances(balances, issues, { forceUpdate, dryRun });
+            const problems = [];
 
-            const savedCount = await this._saveProcessedData(electricBalances, forceUpdate);
+            if (failedChunks.length > 0) {
+                problems.push(`${failedChunks.length} failed chunks`);
+            }
+
+            if (ingested.failedCount > 0) {
+                problems.push(`${ingested.failedCount} records that could not be saved`);
+            }
 
             return {
-                status: 'success',
-                message: `Successfully fetched and saved data from REE API`,
-                savedCount,
+                status: problems.length > 0 ? 'partial' : 'success',
+                message: problems.length > 0
+                    ? `Fetched and saved data from ${sourceName} source with ${problems.join(' and ')}`
+                    : `Successfully fetched and saved data from ${sourceName} source`,
+                parsedCount: ingested.parsedCount,
+                savedCount: ingested.savedCount,
+                insertedCount: ingested.insertedCount,
+                updatedCount: ingested.updatedCount,
+                skippedCount: ingested.unchangedCount,
+                failedCount: ingested.failedCount,
+                quarantinedCount: ingested.quarantinedCount,
+                error: ingested.failedCount > 0
+                    ? `${ingested.failedCount} records could not be saved: ${ingested.failures[0].message}`
+                    : null,
                 timeScope,
+                region,
+                source: sourceName,
                 startDate: parsedStartDate,
-                endDate: parsedEndDate
+                endDate: parsedEndDate,
+                failedChunks
             };
 
         } catch (error) {
-            this.logger.error(`Error fetching REE data: ${error.message}`, error);
+            this.logger.error(`Error fetching ${sourceName} data: ${error.message}`, error);
 
             if (error instanceof ApiRequestError ||
                 error instanceof ApiResponseError ||
@@ -109,177 +220,191 @@ class FetchREEData {
             }
 
             throw new ApiRequestError(
-                `Failed to fetch data from REE API: ${error.message}`,
+                `Failed to fetch data from ${sourceName}: ${error.message}`,
                 { originalError: error }
             );
         }
     }
 
     /**
-     * Verifica si ya existen datos para el rango de fechas
+     * Procesa y guarda una respuesta de balance eléctrico de REE ya obtenida
      *
-     * @param {Date} startDate - Fecha de inicio
-     * @param {Date} endDate - Fecha de fin
-     * @param {string} timeScope - Granularidad temporal
-     * @returns {Promise<Object>} - Información sobre datos existentes
-     * @private
+     * Se expone para ingerir respuestas de REE que no llegan por red, como
+     * ficheros JSON guardados o respuestas archivadas. Cada balance recibe sus
+     * indicadores de calidad y los que tienen errores van a cuarentena.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {Object} [options={}] - Opciones de la ingesta
+     * @param {string} [options.timeScope] - Granularidad; por defecto el `time-trunc` de la respuesta o 'day'
+     * @param {string} [options.region='national'] - Ámbito geográfico de los datos
+     * @param {boolean} [options.forceUpdate=false] - Sobrescribir los registros existentes
+     * @param {boolean} [options.dryRun=false] - Procesar la respuesta sin guardar nada
+     * @returns {Promise<Object>} - { parsedCount, savedCount, quarantinedCount, timeScope, region }
+     * @throws {ApiResponseError} - Si la respuesta no tiene la estructura esperada
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
      */
-    async _checkExistingData(startDate, endDate, timeScope) {
-        try {
-            const existingData = await this.electricBalanceRepository.findByDateRange(
-                startDate,
-                endDate,
-                timeScope,
-                { onlyCount: true }
-            );
-
-            const expectedCount = this._calculateExpectedRecordCount(startDate, endDate, timeScope);
+    async ingestResponse(apiResponse, {
+        timeScope,
+        region = DEFAULT_REGION,
+        forceUpdate = false,
+        dryRun = false
+    } = {}) {
+        if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+            throw new ApiResponseError('Invalid API response structure');
+        }
 
-            const complete = (existingData.count >= expectedCount);
+        const scope = timeScope || apiResponse.data.attributes?.['time-trunc'] || 'day';
 
-            return {
-                complete,
-                count: existingData.count,
-                expected: expectedCount,
-                missing: expectedCount - existingData.count
-            };
+        const issues = this.validator.validateResponse(apiResponse);
+        const electricBalances = await this._processApiResponse(apiResponse, scope, region);
+        const result = await this._ingestBalances(electricBalances, issues, { forceUpdate, dryRun });
 
-        } catch (error) {
-            this.logger.warn(`Error checking existing data: ${error.message}`);
-            return { complete: false, count: 0, expected: 0, missing: 0 };
-        }
+        return {
+            ...result,
+            timeScope: scope,
+            region
+        };
     }
 
     /**
-     * Calcula el número esperado de registros según el rango y granularidad
+     * Valida los balances normalizados, guarda los correctos y pone en cuarentena el resto
      *
-     * @param {Date} startDate - Fecha de inicio
-     * @param {Date} endDate - Fecha de fin
-     * @param {string} timeScope - Granularidad temporal
-     * @returns {number} - Número esperado de registros
+     * @param {Array<import('../../domain/entities/ElectricBalance')>} electricBalances - Balances a ingerir
+     * @param {Array<Object>} issues - Incidencias de esquema de los datos de origen
+     * @param {Object} options - Opciones de la ingesta
+     * @param {boolean} [options.forceUpdate=false] - Sobrescribir los registros existentes
+     * @param {boolean} [options.dryRun=false] - Procesar los balances sin guardar nada
+     * @returns {Promise<Object>} - { parsedCount, savedCount, insertedCount, updatedCount, unchangedCount, failedCount, failures, quarantinedCount }
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
      * @private
      */
-    _calculateExpectedRecordCount(startDate, endDate, timeScope) {
-        const diffMs = endDate.getTime() - startDate.getTime();
-        const diffDays = diffMs / (1000 * 60 * 60 * 24);
-
-        switch (timeScope) {
-            case 'hour':
-                return Math.ceil(diffDays * 24);
-            case 'day':
-                return Math.ceil(diffDays);
-            case 'month':
-                return Math.ceil(diffDays / 30);
-            case 'year':
-                return Math.ceil(diffDays / 365);
-            default:
-                return Math.ceil(diffDays);
+    async _ingestBalances(electricBalances, issues, { forceUpdate = false, dryRun = false } = {}) {
+        const { accepted, quarantined } = this.validator.partition(electricBalances, issues);
+
+        if (quarantined.length > 0) {
+            this.logger.warn(`${quarantined.length} electric balances failed validation and will be quarantined`);
+        }
+
+        const summary = dryRun
+            ? { ...EMPTY_SAVE_SUMMARY, failures: [] }
+            : await this._saveProcessedData(accepted, forceUpdate);
+
+        if (!dryRun) {
+            await this._quarantine(quarantined);
         }
+
+        return {
+            parsedCount: electricBalances.length,
+            savedCount: summary.insertedCount + summary.updatedCount,
+            insertedCount: summary.insertedCount,
+            updatedCount: summary.updatedCount,
+            unchangedCount: summary.unchangedCount,
+            failedCount: summary.failedCount,
+            failures: summary.failures,
+            quarantinedCount: quarantined.length
+        };
     }
 
     /**
-     * Obtiene datos de la API con reintentos en caso de fallo
+     * Obtiene la fuente de balances con el nombre indicado
      *
-     * @param {Date} startDate - Fecha de inicio
-     * @param {Date} endDate - Fecha de fin
-     * @param {string} timeScope - Granularidad temporal
-     * @param {number} maxRetries - Número máximo de reintentos
-     * @returns {Promise<Object>} - Respuesta de la API
-     * @throws {ApiRequestError} - Si no se puede obtener los datos después de los reintentos
+     * @param {string} name - Nombre de la fuente
+     * @returns {import('../../domain/sources/ElectricBalanceSource')} - Fuente de balances
+     * @throws {ValidationError} - Si no hay ninguna fuente con ese nombre
      * @private
      */
-    async _fetchWithRetry(startDate, endDate, timeScope, maxRetries) {
-        let attempts = 0;
-        let lastError = null;
-
-        while (attempts < maxRetries) {
-            try {
-                attempts++;
+    _getBalanceSource(name) {
+        const balanceSource = this.balanceSources[name];
 
-                const formattedStartDate = this._formatDateForApi(startDate);
-                const formattedEndDate = this._formatDateForApi(endDate);
+        if (!balanceSource) {
+            const available = Object.keys(this.balanceSources);
 
-                const response = await this.reeApiService.fetchBalanceData(
-                    formattedStartDate,
-                    formattedEndDate,
-                    timeScope
-                );
-
-                return response;
-
-            } catch (error) {
-                lastError = error;
+            throw new ValidationError(
+                `Unknown data source: ${name}. Available sources: ${available.length > 0 ? available.join(', ') : 'none'}`,
+                { validationErrors: { source: 'Unsupported data source' } }
+            );
+        }
 
-                this.logger.warn(
-                    `Attempt ${attempts}/${maxRetries} failed: ${error.message}`
-                );
+        return balanceSource;
+    }
 
-                if (attempts < maxRetries) {
-                    const delay = Math.pow(2, attempts) * 1000; // Backoff exponencial
-                    this.logger.info(`Retrying in ${delay}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
+    /**
+     * Guarda una ejecución en el registro de ingestas
+     *
+     * Un fallo al registrar no debe hacer fallar la ingesta, así que solo se avisa.
+     *
+     * @param {Object} run - Origen, alcance, región, rango e inicio de la ejecución
+     * @param {Object} result - Resultado de la ejecución o { status, error } si falló
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _recordRun(run, result) {
+        if (!this.ingestionRunRepository) {
+            return;
         }
 
-        throw new ApiRequestError(
-            `Failed to fetch data after ${maxRetries} attempts: ${lastError.message}`,
-            { originalError: lastError }
-        );
+        try {
+            await this.ingestionRunRepository.save(new IngestionRun({
+                ...run,
+                dataset: DATASETS.ELECTRIC_BALANCE,
+                status: result.status,
+                savedCount: result.savedCount,
+                skippedCount: result.skippedCount,
+                quarantinedCount: result.quarantinedCount,
+                failedChunkCount: (result.failedChunks || []).length,
+                finishedAt: new Date(),
+                error: result.error || null
+            }));
+        } catch (error) {
+            this.logger.warn(`Could not record ingestion run: ${error.message}`);
+        }
     }
 
     /**
-     * Formatea una fecha para la API de REE
+     * Verifica si ya existen datos para todos los períodos del rango
      *
-     * @param {Date} date - Fecha a formatear
-     * @returns {string} - Fecha formateada
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object>} - Información sobre datos existentes
      * @private
      */
-    _formatDateForApi(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-
-        return `${year}-${month}-${day}T${hours}:${minutes}`;
+    async _checkExistingData(startDate, endDate, timeScope, region) {
+        try {
+            const report = await this.gapDetector.execute({ startDate, endDate, timeScope, region });
+
+            return {
+                complete: report.complete,
+                count: report.existingCount,
+                expected: report.expectedCount,
+                missing: report.missingCount
+            };
+
+        } catch (error) {
+            this.logger.warn(`Error checking existing data: ${error.message}`);
+            return { complete: false, count: 0, expected: 0, missing: 0 };
+        }
     }
 
     /**
-     * Procesa la respuesta de la API y crea entidades de dominio
+     * Procesa la respuesta de la API y crea una entidad de dominio por cada punto temporal
      *
      * @param {Object} apiResponse - Respuesta de la API
      * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico de los datos
      * @returns {Promise<Array<import('../../domain/entities/ElectricBalance')>>} - Entidades procesadas
      * @private
      */
-    async _processApiResponse(apiResponse, timeScope) {
+    async _processApiResponse(apiResponse, timeScope, region) {
         this.logger.info('Processing API response');
 
         try {
-            if (apiResponse.data &&
-                apiResponse.data.attributes &&
-                apiResponse.data.attributes.values &&
-                Array.isArray(apiResponse.data.attributes.values)) {
-
-                return apiResponse.data.attributes.values.map(dataPoint => {
-                    const pointResponse = {
-                        ...apiResponse,
-                        data: {
-                            ...apiResponse.data,
-                            attributes: {
-                                ...apiResponse.data.attributes,
-                                'last-update': dataPoint.datetime || dataPoint.date,
-                                'time-trunc': timeScope
-                            }
-                        }
-                    };
+            const electricBalances = ElectricBalance.listFromREEApiResponse(apiResponse, timeScope, region);
 
-                    return ElectricBalance.fromREEApiResponse(pointResponse);
-                });
-            } else {
-                return [ElectricBalance.fromREEApiResponse(apiResponse)];
-            }
+            this.logger.debug(`Built ${electricBalances.length} electric balances from API response`);
+
+            return electricBalances;
         } catch (error) {
             throw new ApiResponseError(
                 `Error processing API response: ${error.message}`,
@@ -289,52 +414,76 @@ class FetchREEData {
     }
 
     /**
-     * Guarda las entidades procesadas en el repositorio
+     * Guarda las entidades procesadas en el repositorio con una única escritura en bloque
+     *
+     * Sin `forceUpdate` los balances que ya existen se dejan como están. Los que no
+     * se pueden guardar se cuentan como fallidos sin interrumpir el resto.
      *
      * @param {Array<import('../../domain/entities/ElectricBalance')>} electricBalances - Entidades a guardar
      * @param {boolean} forceUpdate - Si se debe forzar la actualización de datos existentes
-     * @returns {Promise<number>} - Número de entidades guardadas
+     * @returns {Promise<Object>} - { insertedCount, updatedCount, unchangedCount, failedCount, failures }
      * @throws {RepositoryError} - Si hay problemas al guardar los datos
      * @private
      */
     async _saveProcessedData(electricBalances, forceUpdate) {
         if (!electricBalances || electricBalances.length === 0) {
             this.logger.warn('No data to save');
-            return 0;
+            return { ...EMPTY_SAVE_SUMMARY, failures: [] };
         }
 
+        let summary;
+
         try {
             this.logger.info(`Saving ${electricBalances.length} electric balance records`);
             this.logger.debug(`First record timestamp: ${electricBalances[0].timestamp}`);
 
-            if (!forceUpdate) {
-                const filteredBalances = [];
+            summary = await this.electricBalanceRepository.bulkUpsert(electricBalances, { overwrite: forceUpdate });
+        } catch (error) {
+            throw new RepositoryError(
+                `Error saving electric balance data: ${error.message}`,
+                { originalError: error }
+            );
+        }
 
-                for (const balance of electricBalances) {
-                    const exists = await this.electricBalanceRepository.existsForDateAndScope(
-                        balance.timestamp,
-                        balance.timeScope
-                    );
+        this.logger.info(
+            `Saved electric balances: ${summary.insertedCount} inserted, ${summary.updatedCount} updated, ` +
+            `${summary.unchangedCount} unchanged, ${summary.failedCount} failed`
+        );
 
-                    if (!exists) {
-                        filteredBalances.push(balance);
-                    }
-                }
+        summary.failures.forEach(failure => {
+            this.logger.warn(`Could not save ${failure.timeScope} balance ${failure.timestamp.toISOString()} (${failure.region}): ${failure.message}`);
+        });
 
-                if (filteredBalances.length === 0) {
-                    this.logger.info('All records already exist in the database');
-                    return 0;
-                }
+        return summary;
+    }
 
-                await this.electricBalanceRepository.saveMany(filteredBalances);
-                return filteredBalances.length;
-            } else {
-                await this.electricBalanceRepository.saveMany(electricBalances);
-                return electricBalances.length;
-            }
+    /**
+     * Guarda en cuarentena los balances que no superaron la validación
+     *
+     * Sin repositorio de cuarentena los balances se descartan tras registrarlos.
+     *
+     * @param {Array<import('../../domain/entities/ElectricBalance')>} electricBalances - Balances con indicadores de error
+     * @returns {Promise<void>}
+     * @throws {RepositoryError} - Si hay problemas al guardar los registros
+     * @private
+     */
+    async _quarantine(electricBalances) {
+        if (electricBalances.length === 0) {
+            return;
+        }
+
+        if (!this.quarantineRepository) {
+            this.logger.warn(`No quarantine repository configured, discarding ${electricBalances.length} invalid electric balances`);
+            return;
+        }
+
+        try {
+            await this.quarantineRepository.upsertMany(
+                electricBalances.map(balance => QuarantinedRecord.fromEntity(DATASETS.ELECTRIC_BALANCE, balance))
+            );
         } catch (error) {
             throw new RepositoryError(
-                `Error saving electric balance data: ${error.message}`,
+                `Error quarantining electric balance data: ${error.message}`,
                 { originalError: error }
             );
         }
@@ -0,0 +1,147 @@
+/**
+ * @file FetchRealTimeDemand.js
+ * @description Caso de uso para obtener la demanda en tiempo real de la API de REE y almacenarla
+ *
+ * Consulta el widget `demanda/demanda-tiempo-real` de REE, construye un
+ * registro cada diez minutos con la demanda real, prevista y programada y lo
+ * guarda en el repositorio.
+ */
+
+const RealTimeDemand = require('../../domain/entities/RealTimeDemand');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para obtener la demanda en tiempo real de REE
+ */
+class FetchRealTimeDemand {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../infrastructure/external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {import('../../domain/repositories/RealTimeDemandRepository')} realTimeDemandRepository - Repositorio de demanda en tiempo real
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(reeApiService, realTimeDemandRepository, logger) {
+        this.reeApiService = reeApiService;
+        this.realTimeDemandRepository = realTimeDemandRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso para obtener la demanda en tiempo real de REE
+     *
+     * Los registros se sobrescriben siempre: la demanda real de un instante se
+     * publica después que su previsión, así que una lectura anterior puede estar incompleta.
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} params.startDate - Fecha de inicio
+     * @param {Date|string} params.endDate - Fecha de fin
+     * @param {string} [params.region='national'] - Ámbito geográfico a consultar
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {ApiRequestError} - Si los parámetros no son válidos o falla la petición
+     * @throws {ApiResponseError} - Si la respuesta de la API es incorrecta
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      region = DEFAULT_REGION
+                  }) {
+        const parsedStartDate = startDate instanceof Date ? startDate : new Date(startDate);
+        const parsedEndDate = endDate instanceof Date ? endDate : new Date(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new ApiRequestError('Invalid date format');
+        }
+
+        try {
+            this.logger.info(`Fetching REE real-time demand from ${parsedStartDate} to ${parsedEndDate} (${region})`);
+
+            const apiResponse = await this.reeApiService.fetchRealTimeDemand(
+                formatDateForREEApi(parsedStartDate),
+                formatDateForREEApi(parsedEndDate),
+                { region }
+            );
+
+            if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+                throw new ApiResponseError('Invalid API response structure');
+            }
+
+            const failedChunks = (apiResponse.meta?.chunks || []).filter(chunk => chunk.status === 'rejected');
+
+            let demands;
+            try {
+                demands = RealTimeDemand.fromREEApiResponseSeries(apiResponse, region);
+            } catch (error) {
+                throw new ApiResponseError(
+                    `Error processing API response: ${error.message}`,
+                    { originalError: error }
+                );
+            }
+
+            const savedCount = await this._saveProcessedData(demands);
+
+            return {
+                status: failedChunks.length > 0 ? 'partial' : 'success',
+                message: failedChunks.length > 0
+                    ? `Fetched and saved real-time demand from REE API with ${failedChunks.length} failed chunks`
+                    : 'Successfully fetched and saved real-time demand from REE API',
+                savedCount,
+                region,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                failedChunks
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching REE real-time demand: ${error.message}`, error);
+
+            if (error instanceof ApiRequestError ||
+                error instanceof ApiResponseError ||
+                error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new ApiRequestError(
+                `Failed to fetch real-time demand from REE API: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+
+    /**
+     * Guarda la demanda procesada en el repositorio
+     *
+     * @param {Array<RealTimeDemand>} demands - Entidades a guardar
+     * @returns {Promise<number>} - Número de registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     * @private
+     */
+    async _saveProcessedData(demands) {
+        if (!demands || demands.length === 0) {
+            this.logger.warn('No real-time demand to save');
+            return 0;
+        }
+
+        try {
+            await this.realTimeDemandRepository.saveMany(demands);
+            return demands.length;
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Error saving real-time demand: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = FetchRealTimeDemand;
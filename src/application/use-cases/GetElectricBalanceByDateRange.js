@@ -32,7 +32,7 @@ class GetElectricBalanceByDateRange {
      * @param {string|Date} params.endDate - Fecha de fin
      * @param {string} [params.timeScope='day'] - Granularidad temporal (day, month, year)
      * @param {string} [params.format='default'] - Formato de respuesta (default, raw, analysis, compact)
-     * @param {Object} [params.options={}] - Opciones adicionales (paginación, filtros, etc.)
+     * @param {Object} [params.options={}] - Opciones adicionales (región, paginación, filtros, etc.)
      * @returns {Promise<Object>} - Datos de balance eléctrico
      * @throws {InvalidDateRangeError} - Si el rango de fechas es inválido
      * @throws {RepositoryError} - Si hay problemas con el repositorio
@@ -191,14 +191,16 @@ class GetElectricBalanceByDateRange {
         const analysisResult = await this.electricBalanceService.analyzeBalanceDataByDateRange(
             startDate,
             endDate,
-            timeScope
+            timeScope,
+            options.region
         );
 
         if (options.includePatterns) {
             const patterns = await this.electricBalanceService.detectPatternsAndAnomalies(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                options.region
             );
 
             return {
@@ -212,7 +214,8 @@ class GetElectricBalanceByDateRange {
             const sustainability = await this.electricBalanceService.calculateSustainabilityMetrics(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                options.region
             );
 
             return {
@@ -256,7 +259,8 @@ class GetElectricBalanceByDateRange {
             generationDistribution = await this.electricBalanceRepository.getGenerationDistribution(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                options.region
             );
         }
 
@@ -0,0 +1,88 @@
+/**
+ * @file GetSeedingProgress.js
+ * @description Caso de uso para consultar el avance de las cargas de histórico
+ *
+ * Informa de los tramos cargados y pendientes de cada carga y estima cuánto
+ * falta para terminarla a partir de la duración media de los tramos ya cargados.
+ */
+
+const { REGIONS, isValidRegion } = require('../../domain/constants/regions');
+const { SEED_CHUNK_PERIODS, SEED_STATUSES, isValidSeedStatus } = require('../../domain/constants/seedCheckpoints');
+const { RepositoryError, ValidationError } = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para consultar el avance de las cargas
+ */
+class GetSeedingProgress {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../domain/repositories/SeedCheckpointRepository')} seedCheckpointRepository - Puntos de control de las cargas
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(seedCheckpointRepository, logger) {
+        this.seedCheckpointRepository = seedCheckpointRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso
+     *
+     * @param {Object} [params={}] - Filtros de la consulta
+     * @param {string} [params.timeScope] - Granularidad temporal
+     * @param {string} [params.region] - Ámbito geográfico
+     * @param {string} [params.status] - Estado de la carga (in_progress, completed)
+     * @returns {Promise<Array<Object>>} - Avance de cada carga, de la más reciente a la más antigua
+     * @throws {ValidationError} - Si algún filtro no es válido
+     * @throws {RepositoryError} - Si hay problemas al consultar el repositorio
+     */
+    async execute({ timeScope, region, status } = {}) {
+        if (timeScope && !SEED_CHUNK_PERIODS[timeScope]) {
+            throw new ValidationError(
+                `Invalid time scope: ${timeScope}. Valid values: ${Object.keys(SEED_CHUNK_PERIODS).join(', ')}`
+            );
+        }
+
+        if (region && !isValidRegion(region)) {
+            throw new ValidationError(`Invalid region: ${region}. Valid values: ${REGIONS.join(', ')}`);
+        }
+
+        if (status && !isValidSeedStatus(status)) {
+            throw new ValidationError(
+                `Invalid status: ${status}. Valid values: ${Object.values(SEED_STATUSES).join(', ')}`
+            );
+        }
+
+        let checkpoints;
+
+        try {
+            checkpoints = await this.seedCheckpointRepository.findAll({ timeScope, region, status });
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                throw error;
+            }
+
+            throw new RepositoryError(
+                `Failed to get seeding progress: ${error.message}`,
+                { originalError: error, entity: 'SeedCheckpoint', operation: 'getProgress' }
+            );
+        }
+
+        const now = new Date();
+
+        return checkpoints.map(checkpoint => ({
+            id: checkpoint.id,
+            timeScope: checkpoint.timeScope,
+            region: checkpoint.region,
+            startDate: checkpoint.startDate,
+            endDate: checkpoint.endDate,
+            status: checkpoint.getStatus(),
+            startedAt: checkpoint.startedAt,
+            updatedAt: checkpoint.updatedAt,
+            completedAt: checkpoint.completedAt,
+            ...checkpoint.getProgress(now)
+        }));
+    }
+}
+
+module.exports = GetSeedingProgress;
@@ -0,0 +1,234 @@
+/**
+ * @file ImportREEFiles.js
+ * @description Caso de uso para importar respuestas de REE guardadas en ficheros JSON
+ *
+ * Carga ficheros con respuestas del widget de balance eléctrico (por ejemplo los
+ * que escribe `scripts/testREEApi.js --output`) y los ingiere por el mismo camino
+ * de parseo y persistencia que FetchREEData, sin ningún acceso a red.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FetchREEData = require('./FetchREEData');
+const { DEFAULT_REGION, isValidRegion } = require('../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../domain/constants/timeScopes');
+const { InvalidDataError } = require('../errors/ApplicationErrors');
+
+/**
+ * Extensión de los ficheros que se importan al recorrer un directorio
+ */
+const JSON_EXTENSION = '.json';
+
+/**
+ * Clase que implementa el caso de uso para importar ficheros de REE
+ */
+class ImportREEFiles {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balance eléctrico
+     * @param {Object} logger - Logger para registrar eventos y errores
+     * @param {import('../../domain/repositories/QuarantineRepository')} [quarantineRepository] - Repositorio de registros en cuarentena
+     */
+    constructor(electricBalanceRepository, logger, quarantineRepository = null) {
+        this.logger = logger || console;
+        this.fetchREEData = new FetchREEData(null, electricBalanceRepository, this.logger, quarantineRepository);
+    }
+
+    /**
+     * Ejecuta la importación
+     *
+     * Cada fichero puede contener una respuesta de REE o un array de respuestas.
+     * Los directorios se recorren buscando ficheros `.json`. Un fichero que no se
+     * puede leer o parsear se anota como fallido y no detiene el resto.
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {string|Array<string>} params.paths - Ficheros o directorios a importar
+     * @param {string} [params.timeScope] - Granularidad; por defecto el `time-trunc` de cada respuesta
+     * @param {string} [params.region='national'] - Ámbito geográfico de los datos
+     * @param {boolean} [params.recursive=false] - Recorrer subdirectorios
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir los registros existentes
+     * @param {boolean} [params.dryRun=false] - Parsear los ficheros sin guardar nada
+     * @returns {Promise<Object>} - Resultado de la importación con el detalle por fichero
+     * @throws {InvalidDataError} - Si los parámetros no son válidos
+     */
+    async execute({
+                      paths,
+                      timeScope,
+                      region = DEFAULT_REGION,
+                      recursive = false,
+                      forceUpdate = false,
+                      dryRun = false
+                  }) {
+        this._validate({ paths, timeScope, region });
+
+        const files = await this._resolveFiles([].concat(paths), recursive);
+
+        this.logger.info(`Importing ${files.length} REE JSON files${dryRun ? ' (dry run)' : ''}`);
+
+        const results = [];
+
+        for (const file of files) {
+            results.push(await this._importFile(file, { timeScope, region, forceUpdate, dryRun }));
+        }
+
+        const failed = results.filter(result => result.status === 'failed');
+        const parsedCount = results.reduce((sum, result) => sum + (result.parsedCount || 0), 0);
+        const savedCount = results.reduce((sum, result) => sum + (result.savedCount || 0), 0);
+        const quarantinedCount = results.reduce((sum, result) => sum + (result.quarantinedCount || 0), 0);
+
+        return {
+            status: failed.length === 0 ? 'success' : (failed.length === results.length ? 'failed' : 'partial'),
+            message: `Imported ${results.length - failed.length}/${results.length} files: ` +
+                `${parsedCount} electric balances parsed, ${savedCount} saved, ${quarantinedCount} quarantined`,
+            fileCount: results.length,
+            parsedCount,
+            savedCount,
+            quarantinedCount,
+            dryRun,
+            files: results
+        };
+    }
+
+    /**
+     * Importa todas las respuestas de un fichero
+     *
+     * @param {string} file - Ruta del fichero
+     * @param {Object} options - Opciones de ingesta
+     * @returns {Promise<Object>} - Resultado del fichero
+     * @private
+     */
+    async _importFile(file, options) {
+        try {
+            const content = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            const responses = Array.isArray(content) ? content : [content];
+
+            let parsedCount = 0;
+            let savedCount = 0;
+            let quarantinedCount = 0;
+            let fileTimeScope = options.timeScope;
+
+            for (const apiResponse of responses) {
+                const result = await this.fetchREEData.ingestResponse(apiResponse, options);
+
+                parsedCount += result.parsedCount;
+                savedCount += result.savedCount;
+                quarantinedCount += result.quarantinedCount;
+                fileTimeScope = result.timeScope;
+            }
+
+            this.logger.debug(`Imported ${file}: ${parsedCount} parsed, ${savedCount} saved, ${quarantinedCount} quarantined`);
+
+            return {
+                file,
+                status: 'success',
+                responseCount: responses.length,
+                timeScope: fileTimeScope,
+                parsedCount,
+                savedCount,
+                quarantinedCount
+            };
+        } catch (error) {
+            this.logger.warn(`Could not import ${file}: ${error.message}`);
+
+            return {
+                file,
+                status: 'failed',
+                parsedCount: 0,
+                savedCount: 0,
+                quarantinedCount: 0,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Expande las rutas recibidas a la lista ordenada de ficheros a importar
+     *
+     * @param {Array<string>} paths - Ficheros o directorios
+     * @param {boolean} recursive - Recorrer subdirectorios
+     * @returns {Promise<Array<string>>} - Rutas absolutas de los ficheros
+     * @throws {InvalidDataError} - Si alguna ruta no existe
+     * @private
+     */
+    async _resolveFiles(paths, recursive) {
+        const files = [];
+
+        for (const entry of paths) {
+            const absolutePath = path.resolve(entry);
+            let stats;
+
+            try {
+                stats = await fs.promises.stat(absolutePath);
+            } catch (error) {
+                throw new InvalidDataError(`Path not found: ${entry}`, {
+                    originalError: error,
+                    validationErrors: { paths: `Path not found: ${entry}` }
+                });
+            }
+
+            if (stats.isDirectory()) {
+                files.push(...await this._listJsonFiles(absolutePath, recursive));
+            } else {
+                files.push(absolutePath);
+            }
+        }
+
+        return [...new Set(files)];
+    }
+
+    /**
+     * Lista los ficheros JSON de un directorio en orden alfabético
+     *
+     * @param {string} directory - Directorio a recorrer
+     * @param {boolean} recursive - Recorrer subdirectorios
+     * @returns {Promise<Array<string>>} - Rutas de los ficheros
+     * @private
+     */
+    async _listJsonFiles(directory, recursive) {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = path.join(directory, entry.name);
+
+            if (entry.isDirectory() && recursive) {
+                files.push(...await this._listJsonFiles(entryPath, recursive));
+            } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === JSON_EXTENSION) {
+                files.push(entryPath);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Valida los parámetros de la importación
+     *
+     * @param {Object} params - Parámetros recibidos
+     * @throws {InvalidDataError} - Si algún parámetro no es válido
+     * @private
+     */
+    _validate({ paths, timeScope, region }) {
+        const validationErrors = {};
+
+        if (!paths || [].concat(paths).length === 0) {
+            validationErrors.paths = 'At least one file or directory is required';
+        }
+
+        if (timeScope && !TIME_SCOPES.includes(timeScope)) {
+            validationErrors.timeScope = `Invalid time scope: ${timeScope}. Valid values: ${TIME_SCOPES.join(', ')}`;
+        }
+
+        if (!isValidRegion(region)) {
+            validationErrors.region = `Invalid region: ${region}`;
+        }
+
+        if (Object.keys(validationErrors).length > 0) {
+            throw new InvalidDataError('Invalid import parameters', { validationErrors });
+        }
+    }
+}
+
+module.exports = ImportREEFiles;
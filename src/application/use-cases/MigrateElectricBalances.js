@@ -0,0 +1,99 @@
+/**
+ * @file MigrateElectricBalances.js
+ * @description Caso de uso para copiar los balances eléctricos de un almacenamiento a otro
+ *
+ * Recorre el repositorio de origen por lotes ordenados por ID y los guarda en el
+ * de destino con sus IDs, versiones, fechas y revisiones. Como la importación es
+ * idempotente, una migración interrumpida se puede repetir desde el principio.
+ */
+
+const { InvalidDataError } = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para migrar balances eléctricos
+ */
+class MigrateElectricBalances {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} sourceRepository - Repositorio de origen
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} targetRepository - Repositorio de destino
+     * @param {Object} logger - Logger para registrar eventos y errores
+     */
+    constructor(sourceRepository, targetRepository, logger) {
+        this.sourceRepository = sourceRepository;
+        this.targetRepository = targetRepository;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Ejecuta el caso de uso
+     *
+     * @param {Object} [params={}] - Parámetros del caso de uso
+     * @param {number} [params.batchSize=500] - Número de balances por lote
+     * @param {boolean} [params.dryRun=false] - Leer el origen sin escribir en el destino
+     * @param {Function} [params.onBatch] - Se llama tras cada lote con los totales acumulados
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {InvalidDataError} - Si el tamaño del lote no es válido
+     * @throws {RepositoryError} - Si hay problemas al leer o escribir un lote
+     */
+    async execute({ batchSize = 500, dryRun = false, onBatch } = {}) {
+        if (!Number.isInteger(batchSize) || batchSize <= 0) {
+            throw new InvalidDataError('Invalid migration parameters', {
+                validationErrors: { batchSize: 'Batch size must be a positive integer' }
+            });
+        }
+
+        this.logger.info(`Migrating electric balances in batches of ${batchSize}${dryRun ? ' (dry run)' : ''}`);
+
+        const totals = {
+            batchCount: 0,
+            balanceCount: 0,
+            revisionCount: 0,
+            importedCount: 0,
+            importedRevisionCount: 0,
+            failedCount: 0
+        };
+        const failures = [];
+        let batch = await this.sourceRepository.exportBatch({ limit: batchSize });
+
+        while (batch.balances.length > 0) {
+            const { balances, revisions, lastId } = batch;
+
+            totals.batchCount++;
+            totals.balanceCount += balances.length;
+            totals.revisionCount += revisions.length;
+
+            if (!dryRun) {
+                const result = await this.targetRepository.importBatch({ balances, revisions });
+
+                totals.importedCount += result.importedCount;
+                totals.importedRevisionCount += result.revisionCount;
+                totals.failedCount += result.failedCount;
+                failures.push(...result.failures);
+            }
+
+            this.logger.debug(`Batch ${totals.batchCount}: ${balances.length} electric balances, ${revisions.length} revisions`);
+
+            if (onBatch) {
+                onBatch({ ...totals });
+            }
+
+            batch = await this.sourceRepository.exportBatch({ afterId: lastId, limit: batchSize });
+        }
+
+        const action = dryRun ? 'would be migrated' : 'migrated';
+
+        return {
+            status: failures.length > 0 ? 'partial' : 'success',
+            message: `${dryRun ? totals.balanceCount : totals.importedCount} electric balances ${action}` +
+                ` with ${dryRun ? totals.revisionCount : totals.importedRevisionCount} revisions` +
+                (failures.length > 0 ? ` (${failures.length} failed)` : ''),
+            ...totals,
+            dryRun,
+            failures
+        };
+    }
+}
+
+module.exports = MigrateElectricBalances;
@@ -0,0 +1,163 @@
+/**
+ * @file ReplayArchivedResponses.js
+ * @description Caso de uso para reconstruir balances eléctricos a partir de respuestas archivadas
+ *
+ * Vuelve a pasar los payloads de balance eléctrico guardados en el archivo de
+ * respuestas por la misma ingesta que FetchREEData (parseo, validación y
+ * cuarentena) y sustituye los registros existentes. Permite corregir errores de
+ * parseo sobre el histórico sin volver a pedir los datos a REE.
+ */
+
+const FetchREEData = require('./FetchREEData');
+const { DATASETS } = require('../../domain/constants/datasets');
+const { isValidRegion } = require('../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../domain/constants/timeScopes');
+const {
+    ApiResponseError,
+    InvalidDataError,
+    RepositoryError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para reprocesar respuestas archivadas
+ */
+class ReplayArchivedResponses {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {import('../../domain/repositories/RawREEResponseRepository')} rawResponseRepository - Archivo de respuestas de REE
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balances
+     * @param {Object} logger - Logger para registrar eventos y errores
+     * @param {import('../../domain/repositories/QuarantineRepository')} [quarantineRepository] - Repositorio de registros en cuarentena
+     */
+    constructor(rawResponseRepository, electricBalanceRepository, logger, quarantineRepository = null) {
+        this.rawResponseRepository = rawResponseRepository;
+        this.electricBalanceRepository = electricBalanceRepository;
+        this.logger = logger || console;
+        this.fetchREEData = new FetchREEData(null, electricBalanceRepository, this.logger, quarantineRepository);
+    }
+
+    /**
+     * Ejecuta el caso de uso
+     *
+     * Las respuestas se procesan de la más antigua a la más reciente, de modo que
+     * cuando varias cubren la misma fecha prevalece la última recibida.
+     *
+     * @param {Object} [params={}] - Parámetros del caso de uso
+     * @param {Date|string} [params.fetchedFrom] - Reprocesar respuestas recibidas desde esta fecha
+     * @param {Date|string} [params.fetchedTo] - Reprocesar respuestas recibidas hasta esta fecha
+     * @param {string} [params.region] - Limitar a una región
+     * @param {string} [params.timeScope] - Limitar a una granularidad
+     * @param {boolean} [params.dryRun=false] - Parsear sin guardar los resultados
+     * @returns {Promise<Object>} - Resultado de la operación
+     * @throws {InvalidDataError} - Si los filtros no son válidos
+     * @throws {RepositoryError} - Si hay problemas al leer el archivo o guardar los datos
+     */
+    async execute({
+                      fetchedFrom,
+                      fetchedTo,
+                      region,
+                      timeScope,
+                      dryRun = false
+                  } = {}) {
+        const criteria = this._buildCriteria({ fetchedFrom, fetchedTo, region, timeScope });
+
+        this.logger.info(`Replaying archived electric balance responses${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(criteria)}`);
+
+        let processedCount = 0;
+        let rebuiltCount = 0;
+        let quarantinedCount = 0;
+        const failures = [];
+
+        for await (const archived of this.rawResponseRepository.iterateByCriteria(criteria)) {
+            processedCount++;
+
+            let result;
+            try {
+                result = await this.fetchREEData.ingestResponse(archived.payload, {
+                    timeScope: archived.timeScope,
+                    region: archived.region,
+                    forceUpdate: true,
+                    dryRun
+                });
+            } catch (error) {
+                if (error instanceof ApiResponseError) {
+                    this.logger.warn(`Archived response ${archived.id} could not be parsed: ${error.message}`);
+                    failures.push({ archiveId: archived.id, fetchedAt: archived.fetchedAt, error: error.message });
+                    continue;
+                }
+
+                throw new RepositoryError(
+                    `Error saving electric balances rebuilt from archived response ${archived.id}: ${error.message}`,
+                    { originalError: error, metadata: { archiveId: archived.id } }
+                );
+            }
+
+            rebuiltCount += result.parsedCount - result.quarantinedCount;
+            quarantinedCount += result.quarantinedCount;
+        }
+
+        const action = dryRun ? 'would be rebuilt' : 'rebuilt';
+
+        return {
+            status: failures.length > 0 ? 'partial' : 'success',
+            message: `${rebuiltCount} electric balances ${action} from ${processedCount} archived responses` +
+                (quarantinedCount > 0 ? `, ${quarantinedCount} quarantined` : '') +
+                (failures.length > 0 ? ` (${failures.length} could not be parsed)` : ''),
+            processedCount,
+            rebuiltCount,
+            quarantinedCount,
+            dryRun,
+            failures
+        };
+    }
+
+    /**
+     * Valida los filtros y los traduce a criterios del archivo
+     *
+     * @param {Object} filters - Filtros recibidos
+     * @returns {Object} - Criterios para el repositorio de respuestas
+     * @throws {InvalidDataError} - Si algún filtro no es válido
+     * @private
+     */
+    _buildCriteria({ fetchedFrom, fetchedTo, region, timeScope }) {
+        const validationErrors = {};
+        const criteria = { dataset: DATASETS.ELECTRIC_BALANCE };
+
+        for (const [key, value] of Object.entries({ fetchedFrom, fetchedTo })) {
+            if (value === undefined || value === null) continue;
+
+            const date = value instanceof Date ? value : new Date(value);
+
+            if (isNaN(date.getTime())) {
+                validationErrors[key] = `Invalid date: ${value}`;
+            } else {
+                criteria[key] = date;
+            }
+        }
+
+        if (region) {
+            if (isValidRegion(region)) {
+                criteria.region = region;
+            } else {
+                validationErrors.region = `Invalid region: ${region}`;
+            }
+        }
+
+        if (timeScope) {
+            if (TIME_SCOPES.includes(timeScope)) {
+                criteria.timeScope = timeScope;
+            } else {
+                validationErrors.timeScope = `Invalid time scope: ${timeScope}. Valid values: ${TIME_SCOPES.join(', ')}`;
+            }
+        }
+
+        if (Object.keys(validationErrors).length > 0) {
+            throw new InvalidDataError('Invalid replay filters', { validationErrors });
+        }
+
+        return criteria;
+    }
+}
+
+module.exports = ReplayArchivedResponses;
@@ -0,0 +1,284 @@
+/**
+ * @file SeedHistoricalData.js
+ * @description Caso de uso para cargar el histórico de balances eléctricos de forma reanudable
+ *
+ * Divide el rango en tramos de calendario en hora de Madrid (un mes para los
+ * datos horarios, un año para el resto) y los carga uno a uno con FetchREEData.
+ * Tras cada tramo se guarda un punto de control, así una carga interrumpida
+ * continúa por el primer tramo que no terminó en lugar de empezar de nuevo.
+ */
+
+const FetchREEData = require('./FetchREEData');
+const SeedCheckpoint = require('../../domain/entities/SeedCheckpoint');
+const { DEFAULT_REGION, REGIONS, isValidRegion } = require('../../domain/constants/regions');
+const { SEED_CHUNK_PERIODS } = require('../../domain/constants/seedCheckpoints');
+const { INGESTION_TRIGGERS, INGESTION_RUN_STATUSES } = require('../../domain/constants/ingestionRuns');
+const { startOfMadridPeriod, addMadridPeriods, parseMadridDateTime } = require('../../utils/madridTime');
+const {
+    InvalidDateRangeError,
+    NotFoundError,
+    RepositoryError,
+    ValidationError
+} = require('../errors/ApplicationErrors');
+
+/**
+ * Clase que implementa el caso de uso para cargar el histórico por tramos
+ */
+class SeedHistoricalData {
+    /**
+     * Constructor del caso de uso
+     *
+     * @param {Object<string, import('../../domain/sources/ElectricBalanceSource')>} balanceSources - Fuentes de balances por nombre
+     * @param {import('../../domain/repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balance eléctrico
+     * @param {import('../../domain/repositories/SeedCheckpointRepository')} seedCheckpointRepository - Puntos de control de las cargas
+     * @param {Object} logger - Logger para registrar eventos y errores
+     * @param {import('../../domain/repositories/QuarantineRepository')} [quarantineRepository] - Repositorio de registros en cuarentena
+     * @param {import('../../domain/repositories/IngestionRunRepository')} [ingestionRunRepository] - Registro de ejecuciones de ingesta
+     */
+    constructor(balanceSources, electricBalanceRepository, seedCheckpointRepository, logger, quarantineRepository = null, ingestionRunRepository = null) {
+        this.seedCheckpointRepository = seedCheckpointRepository;
+        this.logger = logger || console;
+        this.fetchREEData = new FetchREEData(
+            balanceSources,
+            electricBalanceRepository,
+            this.logger,
+            quarantineRepository,
+            ingestionRunRepository
+        );
+    }
+
+    /**
+     * Ejecuta el caso de uso
+     *
+     * Si ya hay una carga para el mismo alcance, región y rango, se reanuda: solo
+     * se cargan los tramos que no terminaron. Los tramos que fallan se marcan y se
+     * vuelven a intentar en la siguiente ejecución sin detener el resto.
+     *
+     * @param {Object} params - Parámetros del caso de uso
+     * @param {Date|string} [params.startDate] - Inicio del rango (no hace falta con `resume`)
+     * @param {Date|string} [params.endDate] - Fin del rango (no hace falta con `resume`)
+     * @param {string} [params.timeScope='day'] - Granularidad temporal (hour, day, month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico
+     * @param {boolean} [params.resume=false] - Continuar la última carga sin terminar del alcance y región, con su rango
+     * @param {boolean} [params.restart=false] - Descartar el avance guardado del rango y empezar de nuevo
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir los registros existentes
+     * @param {boolean} [params.dryRun=false] - Obtener los datos sin guardar nada, ni tampoco el avance
+     * @param {Function} [params.onChunkComplete] - Se llama tras cada tramo con (chunk, progress)
+     * @returns {Promise<Object>} - { checkpoint, resumed, processedChunks, failedChunks, parsedCount, savedCount, progress }
+     * @throws {ValidationError} - Si la granularidad o la región no son válidas
+     * @throws {InvalidDateRangeError} - Si el rango de fechas no es válido
+     * @throws {NotFoundError} - Si se pide reanudar y no hay ninguna carga sin terminar
+     * @throws {RepositoryError} - Si no se puede leer o guardar el avance
+     */
+    async execute({
+                      startDate,
+                      endDate,
+                      timeScope = 'day',
+                      region = DEFAULT_REGION,
+                      resume = false,
+                      restart = false,
+                      forceUpdate = false,
+                      dryRun = false,
+                      onChunkComplete = null
+                  }) {
+        this._validateScope(timeScope, region);
+
+        const { checkpoint, resumed } = resume
+            ? await this._findUnfinished(timeScope, region)
+            : await this._prepareCheckpoint(startDate, endDate, timeScope, region, { restart, dryRun });
+
+        const pendingIndexes = checkpoint.getPendingChunkIndexes();
+
+        this.logger.info(
+            `${resumed ? 'Resuming' : 'Starting'} ${timeScope} seeding for ${region} from ` +
+            `${checkpoint.startDate.toISOString()} to ${checkpoint.endDate.toISOString()}: ` +
+            `${pendingIndexes.length} of ${checkpoint.chunks.length} chunks pending`
+        );
+
+        await this._saveCheckpoint(checkpoint, dryRun);
+
+        const summary = { processedChunks: 0, failedChunks: 0, parsedCount: 0, savedCount: 0 };
+
+        for (const index of pendingIndexes) {
+            const chunk = checkpoint.chunks[index];
+            const chunkStartedAt = Date.now();
+
+            try {
+                const result = await this.fetchREEData.execute({
+                    startDate: chunk.startDate,
+                    endDate: chunk.endDate,
+                    timeScope,
+                    region,
+                    forceUpdate,
+                    trigger: INGESTION_TRIGGERS.SEED,
+                    dryRun
+                });
+
+                summary.parsedCount += result.parsedCount || 0;
+
+                // Un tramo con peticiones o registros fallidos se repite al reanudar
+                if (result.status === INGESTION_RUN_STATUSES.PARTIAL) {
+                    checkpoint.failChunk(index, { error: result.error || result.message, durationMs: Date.now() - chunkStartedAt });
+                } else {
+                    checkpoint.completeChunk(index, { savedCount: result.savedCount || 0, durationMs: Date.now() - chunkStartedAt });
+                    summary.savedCount += result.savedCount || 0;
+                }
+            } catch (error) {
+                // Sin almacenamiento no se puede guardar nada, tampoco el avance
+                if (error instanceof RepositoryError) {
+                    throw error;
+                }
+
+                this.logger.warn(`Seeding chunk ${chunk.startDate.toISOString()} to ${chunk.endDate.toISOString()} failed: ${error.message}`);
+                checkpoint.failChunk(index, { error: error.message, durationMs: Date.now() - chunkStartedAt });
+            }
+
+            summary.processedChunks++;
+
+            if (chunk.error) {
+                summary.failedChunks++;
+            }
+
+            await this._saveCheckpoint(checkpoint, dryRun);
+
+            if (onChunkComplete) {
+                onChunkComplete(chunk, checkpoint.getProgress());
+            }
+        }
+
+        return {
+            checkpoint,
+            resumed,
+            ...summary,
+            progress: checkpoint.getProgress()
+        };
+    }
+
+    /**
+     * Valida la granularidad y la región de la carga
+     *
+     * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico
+     * @throws {ValidationError} - Si alguna no es válida
+     * @private
+     */
+    _validateScope(timeScope, region) {
+        if (!SEED_CHUNK_PERIODS[timeScope]) {
+            throw new ValidationError(
+                `Invalid time scope: ${timeScope}. Valid values: ${Object.keys(SEED_CHUNK_PERIODS).join(', ')}`
+            );
+        }
+
+        if (!isValidRegion(region)) {
+            throw new ValidationError(
+                `Invalid region: ${region}. Valid values: ${REGIONS.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Busca la última carga sin terminar del alcance y región
+     *
+     * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object>} - { checkpoint, resumed: true }
+     * @throws {NotFoundError} - Si no hay ninguna carga sin terminar
+     * @private
+     */
+    async _findUnfinished(timeScope, region) {
+        const checkpoint = await this.seedCheckpointRepository.findLatestUnfinished(timeScope, region);
+
+        if (!checkpoint) {
+            throw new NotFoundError(`No unfinished ${timeScope} seeding for ${region} to resume`);
+        }
+
+        return { checkpoint, resumed: true };
+    }
+
+    /**
+     * Obtiene la carga guardada del rango o crea una nueva
+     *
+     * @param {Date|string} startDate - Inicio del rango; sin desfase se toma como hora peninsular
+     * @param {Date|string} endDate - Fin del rango; sin desfase se toma como hora peninsular
+     * @param {string} timeScope - Granularidad temporal
+     * @param {string} region - Ámbito geográfico
+     * @param {Object} options - { restart, dryRun }
+     * @returns {Promise<Object>} - { checkpoint, resumed }
+     * @throws {InvalidDateRangeError} - Si el rango de fechas no es válido
+     * @private
+     */
+    async _prepareCheckpoint(startDate, endDate, timeScope, region, { restart, dryRun }) {
+        const parsedStartDate = parseMadridDateTime(startDate);
+        const parsedEndDate = parseMadridDateTime(endDate);
+
+        if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+            throw new InvalidDateRangeError('Invalid date format');
+        }
+
+        if (parsedStartDate > parsedEndDate) {
+            throw new InvalidDateRangeError('Start date must be before end date');
+        }
+
+        if (!dryRun && !restart) {
+            const existing = await this.seedCheckpointRepository.findByRange(timeScope, region, parsedStartDate, parsedEndDate);
+
+            if (existing) {
+                return { checkpoint: existing, resumed: true };
+            }
+        }
+
+        return {
+            checkpoint: new SeedCheckpoint({
+                timeScope,
+                region,
+                startDate: parsedStartDate,
+                endDate: parsedEndDate,
+                chunks: this._splitIntoChunks(parsedStartDate, parsedEndDate, SEED_CHUNK_PERIODS[timeScope])
+            }),
+            resumed: false
+        };
+    }
+
+    /**
+     * Divide el rango en tramos que terminan en los límites de período de Madrid
+     *
+     * @param {Date} startDate - Inicio del rango
+     * @param {Date} endDate - Fin del rango
+     * @param {string} chunkPeriod - Período de cada tramo (month, year)
+     * @returns {Array<Object>} - Tramos { startDate, endDate }
+     * @private
+     */
+    _splitIntoChunks(startDate, endDate, chunkPeriod) {
+        const chunks = [];
+        let chunkStart = startDate;
+
+        while (chunkStart <= endDate) {
+            const nextPeriod = addMadridPeriods(startOfMadridPeriod(chunkStart, chunkPeriod), chunkPeriod, 1);
+            const chunkEnd = new Date(Math.min(nextPeriod.getTime() - 1, endDate.getTime()));
+
+            chunks.push({ startDate: chunkStart, endDate: chunkEnd });
+            chunkStart = nextPeriod;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Guarda el avance de la carga salvo en modo simulación
+     *
+     * @param {SeedCheckpoint} checkpoint - Carga a guardar
+     * @param {boolean} dryRun - Si es una simulación
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveCheckpoint(checkpoint, dryRun) {
+        if (dryRun) {
+            return;
+        }
+
+        const saved = await this.seedCheckpointRepository.save(checkpoint);
+        checkpoint.id = saved.id;
+    }
+}
+
+module.exports = SeedHistoricalData;
@@ -9,6 +9,8 @@
 
 require('dotenv').config();
 
+const os = require('os');
+
 /**
  * Obtiene una variable de entorno
  *
@@ -111,16 +113,43 @@ const config = {
         }
     },
 
+    // Almacenamiento de los balances eléctricos (mongo, memory, sqlite); en memoria los datos se pierden al reiniciar
+    storage: {
+        electricBalances: getEnv('ELECTRIC_BALANCE_STORAGE', 'mongo'),
+        sqliteFile: getEnv('SQLITE_FILE', './data/electric-balance.sqlite')
+    },
+
     // API de REE
     ree: {
         baseUrl: getEnv('REE_API_BASE_URL', 'https://apidatos.ree.es'),
         timeout: getEnv('REE_API_TIMEOUT', 10000, toNumber), // 10 segundos
         retryAttempts: getEnv('REE_API_RETRY_ATTEMPTS', 3, toNumber),
-        retryDelay: getEnv('REE_API_RETRY_DELAY', 1000, toNumber), // 1 segundo
+        retryDelay: getEnv('REE_API_RETRY_DELAY', 1000, toNumber), // 1 segundo, base del backoff exponencial
+        retryMaxDelay: getEnv('REE_API_RETRY_MAX_DELAY', 30000, toNumber), // 30 segundos
+        // Limitador compartido por todos los consumidores de REE
+        rateLimit: {
+            requestsPerSecond: getEnv('REE_API_RATE_LIMIT_PER_SECOND', 2, toNumber),
+            burst: getEnv('REE_API_RATE_LIMIT_BURST', 5, toNumber)
+        },
+        // Circuit breaker ante fallos consecutivos de red o 5xx
+        circuitBreaker: {
+            failureThreshold: getEnv('REE_API_CIRCUIT_FAILURE_THRESHOLD', 5, toNumber),
+            resetTimeout: getEnv('REE_API_CIRCUIT_RESET_TIMEOUT', 60000, toNumber) // 1 minuto
+        },
+        // Peticiones simultáneas al dividir rangos que superan el límite de REE
+        chunkConcurrency: getEnv('REE_API_CHUNK_CONCURRENCY', 2, toNumber),
+        // Guardar cada respuesta en bruto (comprimida) para poder reprocesarla
+        archiveResponses: getEnv('REE_API_ARCHIVE_RESPONSES', true, toBoolean),
         // Headers adicionales, si se necesitan
         headers: toObject(getEnv('REE_API_HEADERS', '{}'))
     },
 
+    // Fuentes del balance eléctrico distintas de la API de REE
+    balanceSources: {
+        // Directorio con ficheros CSV o NDJSON de balances; sin valor, la fuente de ficheros no está disponible
+        fileDirectory: getEnv('BALANCE_FILE_SOURCE_DIR', '')
+    },
+
     // Tareas programadas
     scheduling: {
         enabled: getEnv('SCHEDULED_TASKS_ENABLED', true, toBoolean),
@@ -128,7 +157,42 @@ const config = {
         hourlyFetchCron: getEnv('HOURLY_FETCH_CRON', '0 */1 * * *'), // Cada hora
         dailyFetchCron: getEnv('DAILY_FETCH_CRON', '0 4 * * *'), // Cada día a las 4 AM
         monthlyFetchCron: getEnv('MONTHLY_FETCH_CRON', '0 5 1 * *'), // Primer día del mes a las 5 AM
+        yearlyFetchCron: getEnv('YEARLY_FETCH_CRON', '0 6 1 * *'), // Primer día del mes a las 6 AM, para completar el año en curso
+        // Fuente por defecto de los balances programados (ree, file); se puede cambiar por alcance temporal desde GraphQL
+        balanceSource: getEnv('SCHEDULED_BALANCE_SOURCE', 'ree'),
+        // Frecuencia con la que cada réplica recoge los cambios de programación hechos desde GraphQL
+        scheduleSyncIntervalMs: getEnv('SCHEDULE_SYNC_INTERVAL_MS', 60000, toNumber),
         initialFetch: getEnv('INITIAL_FETCH_ENABLED', true, toBoolean),
+        // Regiones a sincronizar (national, peninsular, canarias, baleares, ceuta, melilla)
+        regions: getEnv('SCHEDULED_REGIONS', 'national', toArray),
+        // Precios de mercado (PVPC y spot)
+        marketPrices: {
+            enabled: getEnv('MARKET_PRICES_FETCH_ENABLED', true, toBoolean),
+            cron: getEnv('MARKET_PRICES_FETCH_CRON', '15 */1 * * *'), // Cada hora, a y cuarto
+            lookbackDays: getEnv('MARKET_PRICES_LOOKBACK_DAYS', 2, toNumber),
+            historicalDays: getEnv('MARKET_PRICES_HISTORICAL_DAYS', 30, toNumber)
+        },
+        // Demanda real, prevista y programada cada diez minutos
+        realTimeDemand: {
+            enabled: getEnv('REAL_TIME_DEMAND_FETCH_ENABLED', true, toBoolean),
+            cron: getEnv('REAL_TIME_DEMAND_FETCH_CRON', '*/10 * * * *'), // Cada diez minutos
+            lookbackHours: getEnv('REAL_TIME_DEMAND_LOOKBACK_HOURS', 3, toNumber),
+            historicalDays: getEnv('REAL_TIME_DEMAND_HISTORICAL_DAYS', 2, toNumber)
+        },
+        // Relleno de huecos en los balances de la ventana histórica
+        gapBackfill: {
+            enabled: getEnv('GAP_BACKFILL_ENABLED', true, toBoolean),
+            cron: getEnv('GAP_BACKFILL_CRON', '30 3 * * *'), // Cada día a las 3:30 AM
+            maxGapsPerRun: getEnv('GAP_BACKFILL_MAX_GAPS_PER_RUN', 20, toNumber)
+        },
+        // Concesiones para que, con varias réplicas, solo una ejecute cada tarea
+        lock: {
+            enabled: getEnv('SCHEDULER_LOCK_ENABLED', true, toBoolean),
+            // Sin valor, cada proceso se identifica por su host (el contenedor) y su PID
+            instanceId: getEnv('SCHEDULER_INSTANCE_ID', '') || `${os.hostname()}-${process.pid}`,
+            ttlMs: getEnv('SCHEDULER_LOCK_TTL_MS', 60000, toNumber), // Caduca al minuto sin renovar
+            renewIntervalMs: getEnv('SCHEDULER_LOCK_RENEW_INTERVAL_MS', 20000, toNumber)
+        },
         historicalPeriods: {
             hour: getEnv('HISTORICAL_HOURS_DAYS', 2, toNumber), // 2 días de datos horarios
             day: getEnv('HISTORICAL_DAYS_DAYS', 60, toNumber), // 60 días de datos diarios
@@ -3,13 +3,39 @@
  * @description Configuración y gestión de tareas programadas de la aplicación
  *
  * Este archivo configura y gestiona las tareas programadas que se ejecutan
- * periódicamente, como la obtención de datos de la API de REE.
+ * periódicamente, como la obtención de datos de la API de REE. Con varias
+ * réplicas, cada tarea tiene una concesión en MongoDB y solo la réplica
+ * titular la ejecuta. La programación de los balances, incluida la fuente de
+ * la que se obtienen, se puede cambiar desde GraphQL; los cambios se guardan
+ * en MongoDB y cada réplica los aplica sin reiniciarse.
+ *
+ * Si los balances no se guardan en MongoDB, las tareas se ejecutan sin
+ * concesiones, los cambios de programación duran hasta reiniciar y no se
+ * obtienen precios de mercado ni demanda en tiempo real.
  */
 
+const cron = require('node-cron');
 const REEDataFetcher = require('../infrastructure/jobs/reeDataFetcher');
+const MarketPriceFetcher = require('../infrastructure/jobs/marketPriceFetcher');
+const RealTimeDemandFetcher = require('../infrastructure/jobs/realTimeDemandFetcher');
+const GapBackfillJob = require('../infrastructure/jobs/gapBackfillJob');
+const SchedulerLease = require('../infrastructure/jobs/schedulerLease');
+const FetchSchedule = require('../domain/entities/FetchSchedule');
+const { DEFAULT_BALANCE_SOURCE } = require('../domain/constants/balanceSources');
+const { ValidationError } = require('../application/errors/ApplicationErrors');
 const config = require('./environment');
 const logger = require('./logger').createComponentLogger('schedulers');
 
+/**
+ * Alcances temporales del balance eléctrico que se obtienen de forma programada
+ */
+const FETCH_TIME_SCOPES = ['hour', 'day', 'month', 'year'];
+
+/**
+ * Máximo de días de histórico que se puede configurar
+ */
+const MAX_HISTORICAL_DAYS = 7300;
+
 /**
  * Clase que gestiona todas las tareas programadas de la aplicación
  */
@@ -24,6 +50,9 @@ class SchedulerManager {
         this.services = services;
         this.repositories = repositories;
         this.schedulers = {};
+        this.leases = {};
+        this.fetchSchedules = null;
+        this.scheduleSyncTimer = null;
         this.isInitialized = false;
     }
 
@@ -46,8 +75,27 @@ class SchedulerManager {
                 return;
             }
 
+            await this._loadFetchSchedules();
             await this._initREEDataFetcher();
 
+            // Sin MongoDB no hay dónde guardar precios ni demanda en tiempo real
+            if (config.scheduling.marketPrices.enabled && this.repositories.marketPriceRepository) {
+                await this._initMarketPriceFetcher();
+            } else if (config.scheduling.marketPrices.enabled) {
+                logger.warn('Market price fetcher disabled: market prices are only stored in MongoDB');
+            }
+
+            if (config.scheduling.realTimeDemand.enabled && this.repositories.realTimeDemandRepository) {
+                await this._initRealTimeDemandFetcher();
+            } else if (config.scheduling.realTimeDemand.enabled) {
+                logger.warn('Real-time demand fetcher disabled: real-time demand is only stored in MongoDB');
+            }
+
+            if (config.scheduling.gapBackfill.enabled) {
+                await this._initGapBackfillJob();
+            }
+
+            this._startScheduleSync();
 
             this.isInitialized = true;
             logger.info('All schedulers initialized successfully');
@@ -66,11 +114,33 @@ class SchedulerManager {
         logger.info('Shutting down schedulers');
 
         try {
+            if (this.scheduleSyncTimer) {
+                clearInterval(this.scheduleSyncTimer);
+                this.scheduleSyncTimer = null;
+            }
+
             if (this.schedulers.reeDataFetcher) {
                 this.schedulers.reeDataFetcher.stop();
                 logger.info('REE data fetcher stopped');
             }
 
+            if (this.schedulers.marketPriceFetcher) {
+                this.schedulers.marketPriceFetcher.stop();
+                logger.info('Market price fetcher stopped');
+            }
+
+            if (this.schedulers.realTimeDemandFetcher) {
+                this.schedulers.realTimeDemandFetcher.stop();
+                logger.info('Real-time demand fetcher stopped');
+            }
+
+            if (this.schedulers.gapBackfillJob) {
+                this.schedulers.gapBackfillJob.stop();
+                logger.info('Gap backfill job stopped');
+            }
+
+            await Promise.all(Object.values(this.leases).map(lease => lease.stop()));
+            this.leases = {};
 
             this.isInitialized = false;
             logger.info('All schedulers shut down successfully');
@@ -89,6 +159,7 @@ class SchedulerManager {
         const status = {
             isInitialized: this.isInitialized,
             enabled: config.scheduling.enabled,
+            instanceId: config.scheduling.lock.instanceId,
             schedulers: {}
         };
 
@@ -96,10 +167,65 @@ class SchedulerManager {
             status.schedulers.reeDataFetcher = this.schedulers.reeDataFetcher.getStatus();
         }
 
+        if (this.schedulers.marketPriceFetcher) {
+            status.schedulers.marketPriceFetcher = this.schedulers.marketPriceFetcher.getStatus();
+        }
+
+        if (this.schedulers.realTimeDemandFetcher) {
+            status.schedulers.realTimeDemandFetcher = this.schedulers.realTimeDemandFetcher.getStatus();
+        }
+
+        if (this.schedulers.gapBackfillJob) {
+            status.schedulers.gapBackfillJob = this.schedulers.gapBackfillJob.getStatus();
+        }
 
         return status;
     }
 
+    /**
+     * Obtiene la programación vigente de cada alcance temporal del balance
+     *
+     * @returns {Promise<Array<FetchSchedule>>} - Programaciones, de menor a mayor granularidad
+     */
+    async getFetchSchedules() {
+        if (!this.fetchSchedules) {
+            await this._loadFetchSchedules();
+        }
+
+        return FETCH_TIME_SCOPES.map(timeScope => this.fetchSchedules[timeScope]);
+    }
+
+    /**
+     * Cambia la programación de un alcance temporal, la guarda y la aplica sin reiniciar
+     *
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {Object} changes - Cambios a aplicar
+     * @param {string} [changes.cron] - Expresión cron de las obtenciones programadas
+     * @param {number} [changes.historicalDays] - Días de histórico
+     * @param {boolean} [changes.enabled] - Activa o desactiva el alcance temporal
+     * @param {string} [changes.source] - Fuente de los balances
+     * @returns {Promise<FetchSchedule>} - Programación aplicada
+     * @throws {ValidationError} - Si los cambios no son válidos
+     */
+    async updateFetchSchedule(timeScope, changes = {}) {
+        this._validateFetchScheduleChanges(timeScope, changes);
+
+        if (!this.fetchSchedules) {
+            await this._loadFetchSchedules();
+        }
+
+        let fetchSchedule = this.fetchSchedules[timeScope].withChanges(changes);
+
+        if (this.repositories && this.repositories.fetchScheduleRepository) {
+            fetchSchedule = await this.repositories.fetchScheduleRepository.save(fetchSchedule);
+        }
+
+        this._applyFetchSchedule(fetchSchedule);
+        logger.info(`Fetch schedule for ${timeScope} updated: ${JSON.stringify(fetchSchedule.toJSON())}`);
+
+        return fetchSchedule;
+    }
+
     /**
      * Inicializa la tarea de obtención de datos de REE
      *
@@ -110,11 +236,12 @@ class SchedulerManager {
         logger.info('Initializing REE data fetcher scheduler');
 
         try {
-            const timeScopes = ['hour', 'day', 'month'];
             const schedulers = {};
 
-            for (const timeScope of timeScopes) {
-                const schedule = this._getScheduleForTimeScope(timeScope);
+            for (const timeScope of FETCH_TIME_SCOPES) {
+                const fetchSchedule = this.fetchSchedules[timeScope];
+                const schedule = fetchSchedule.cron;
+                const lease = await this._startLease(`reeDataFetcher-${timeScope}`);
                 const fetcher = new REEDataFetcher(
                     this.services.reeApiService,
                     this.repositories.electricBalanceRepository,
@@ -122,19 +249,30 @@ class SchedulerManager {
                     {
                         schedule,
                         timeScopes: [timeScope],
-                        enabled: config.scheduling.enabled,
+                        enabled: fetchSchedule.enabled,
                         initialFetch: config.scheduling.initialFetch,
-                        historicalPeriods: config.scheduling.historicalPeriods,
+                        regions: config.scheduling.regions,
+                        historicalPeriods: this._getHistoricalPeriods(),
                         retryOnFailure: true,
                         retryDelay: 5 * 60 * 1000,
-                        maxRetries: 3
+                        maxRetries: 3,
+                        lease,
+                        balanceSources: this.services.electricBalanceSources,
+                        source: fetchSchedule.source
+                    },
+                    {
+                        co2EmissionRepository: this.repositories.co2EmissionRepository,
+                        internationalExchangeRepository: this.repositories.internationalExchangeRepository,
+                        installedCapacityRepository: this.repositories.installedCapacityRepository,
+                        quarantineRepository: this.repositories.quarantineRepository,
+                        ingestionRunRepository: this.repositories.ingestionRunRepository
                     }
                 );
 
                 await fetcher.start();
 
                 schedulers[timeScope] = fetcher;
-                logger.info(`REE data fetcher for ${timeScope} initialized with schedule: ${schedule}`);
+                logger.info(`REE data fetcher for ${timeScope} initialized with schedule: ${fetchSchedule.enabled ? schedule : 'disabled'} (source: ${fetchSchedule.source})`);
             }
 
             this.schedulers.reeDataFetcher = schedulers.hour;
@@ -175,10 +313,381 @@ class SchedulerManager {
         }
     }
 
+    /**
+     * Inicializa la tarea de obtención de precios de mercado
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initMarketPriceFetcher() {
+        logger.info('Initializing market price fetcher scheduler');
+
+        try {
+            const marketPricesConfig = config.scheduling.marketPrices;
+            const lease = await this._startLease('marketPriceFetcher');
+
+            const fetcher = new MarketPriceFetcher(
+                this.services.reeApiService,
+                this.repositories.marketPriceRepository,
+                logger.child({ component: 'marketPriceFetcher' }),
+                {
+                    schedule: marketPricesConfig.cron,
+                    enabled: config.scheduling.enabled,
+                    initialFetch: config.scheduling.initialFetch,
+                    lookbackDays: marketPricesConfig.lookbackDays,
+                    historicalDays: marketPricesConfig.historicalDays,
+                    lease
+                }
+            );
+
+            await fetcher.start();
+
+            this.schedulers.marketPriceFetcher = fetcher;
+            logger.info(`Market price fetcher initialized with schedule: ${marketPricesConfig.cron}`);
+        } catch (error) {
+            logger.error(`Error initializing market price fetcher: ${error.message}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa la tarea de obtención de la demanda en tiempo real
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initRealTimeDemandFetcher() {
+        logger.info('Initializing real-time demand fetcher scheduler');
+
+        try {
+            const realTimeDemandConfig = config.scheduling.realTimeDemand;
+            const lease = await this._startLease('realTimeDemandFetcher');
+
+            const fetcher = new RealTimeDemandFetcher(
+                this.services.reeApiService,
+                this.repositories.realTimeDemandRepository,
+                logger.child({ component: 'realTimeDemandFetcher' }),
+                {
+                    schedule: realTimeDemandConfig.cron,
+                    regions: config.scheduling.regions,
+                    enabled: config.scheduling.enabled,
+                    initialFetch: config.scheduling.initialFetch,
+                    lookbackHours: realTimeDemandConfig.lookbackHours,
+                    historicalDays: realTimeDemandConfig.historicalDays,
+                    lease
+                }
+            );
+
+            await fetcher.start();
+
+            this.schedulers.realTimeDemandFetcher = fetcher;
+            logger.info(`Real-time demand fetcher initialized with schedule: ${realTimeDemandConfig.cron}`);
+        } catch (error) {
+            logger.error(`Error initializing real-time demand fetcher: ${error.message}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa la tarea de relleno de huecos en los balances eléctricos
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _initGapBackfillJob() {
+        logger.info('Initializing gap backfill job scheduler');
+
+        try {
+            const gapBackfillConfig = config.scheduling.gapBackfill;
+            const lease = await this._startLease('gapBackfillJob');
+
+            const job = new GapBackfillJob(
+                this.services.reeApiService,
+                this.repositories.electricBalanceRepository,
+                logger.child({ component: 'gapBackfillJob' }),
+                {
+                    schedule: gapBackfillConfig.cron,
+                    enabled: config.scheduling.enabled,
+                    timeScopes: this._getEnabledTimeScopes(),
+                    regions: config.scheduling.regions,
+                    historicalPeriods: this._getHistoricalPeriods(),
+                    maxGapsPerRun: gapBackfillConfig.maxGapsPerRun,
+                    lease,
+                    balanceSources: this.services.electricBalanceSources,
+                    timeScopeSources: this._getTimeScopeSources()
+                },
+                {
+                    quarantineRepository: this.repositories.quarantineRepository,
+                    ingestionRunRepository: this.repositories.ingestionRunRepository
+                }
+            );
+
+            await job.start();
+
+            this.schedulers.gapBackfillJob = job;
+            logger.info(`Gap backfill job initialized with schedule: ${gapBackfillConfig.cron}`);
+        } catch (error) {
+            logger.error(`Error initializing gap backfill job: ${error.message}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pide la concesión de una tarea y programa su renovación
+     *
+     * @param {string} name - Nombre de la tarea
+     * @returns {Promise<SchedulerLease|null>} - Concesión, o null si están desactivadas
+     * @private
+     */
+    async _startLease(name) {
+        const lockConfig = config.scheduling.lock;
+
+        if (!lockConfig.enabled || !this.repositories.schedulerLockRepository) {
+            return null;
+        }
+
+        const lease = new SchedulerLease(
+            this.repositories.schedulerLockRepository,
+            logger.child({ component: `schedulerLease-${name}` }),
+            {
+                name,
+                instanceId: lockConfig.instanceId,
+                ttlMs: lockConfig.ttlMs,
+                renewIntervalMs: lockConfig.renewIntervalMs
+            }
+        );
+
+        this.leases[name] = lease;
+
+        if (await lease.start()) {
+            logger.info(`Scheduler lease ${name} acquired by this instance`);
+        } else {
+            logger.info(`Scheduler lease ${name} is held by ${lease.getStatus().holderId || 'another instance'}; standing by`);
+        }
+
+        return lease;
+    }
+
+    /**
+     * Carga la programación de cada alcance temporal
+     *
+     * Parte de la configuración de entorno y la sustituye por los cambios
+     * guardados en MongoDB. Si no se pueden leer, se usa la configuración de entorno.
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadFetchSchedules() {
+        const fetchSchedules = {};
+
+        for (const timeScope of FETCH_TIME_SCOPES) {
+            fetchSchedules[timeScope] = new FetchSchedule({
+                timeScope,
+                cron: this._getScheduleForTimeScope(timeScope),
+                historicalDays: config.scheduling.historicalPeriods[timeScope],
+                enabled: true,
+                source: config.scheduling.balanceSource
+            });
+        }
+
+        if (this.repositories && this.repositories.fetchScheduleRepository) {
+            try {
+                const persisted = await this.repositories.fetchScheduleRepository.findAll();
+
+                persisted
+                    .filter(fetchSchedule => fetchSchedules[fetchSchedule.timeScope] && cron.validate(fetchSchedule.cron))
+                    .forEach(fetchSchedule => {
+                        fetchSchedules[fetchSchedule.timeScope] = fetchSchedule;
+                    });
+            } catch (error) {
+                logger.warn(`Could not load persisted fetch schedules, using configuration defaults: ${error.message}`);
+            }
+        }
+
+        this.fetchSchedules = fetchSchedules;
+    }
+
+    /**
+     * Programa la lectura periódica de los cambios de programación guardados por otras réplicas
+     *
+     * @private
+     */
+    _startScheduleSync() {
+        if (!this.repositories.fetchScheduleRepository || this.scheduleSyncTimer) {
+            return;
+        }
+
+        this.scheduleSyncTimer = setInterval(() => {
+            this._syncFetchSchedules();
+        }, config.scheduling.scheduleSyncIntervalMs);
+
+        if (typeof this.scheduleSyncTimer.unref === 'function') {
+            this.scheduleSyncTimer.unref();
+        }
+    }
+
+    /**
+     * Aplica las programaciones guardadas que sean más recientes que las vigentes
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _syncFetchSchedules() {
+        try {
+            const persisted = await this.repositories.fetchScheduleRepository.findAll();
+
+            for (const fetchSchedule of persisted) {
+                const current = this.fetchSchedules[fetchSchedule.timeScope];
+
+                if (!current || !cron.validate(fetchSchedule.cron)) {
+                    continue;
+                }
+
+                if (!current.updatedAt || fetchSchedule.updatedAt.getTime() > current.updatedAt.getTime()) {
+                    logger.info(`Applying fetch schedule for ${fetchSchedule.timeScope} changed on another instance`);
+                    this._applyFetchSchedule(fetchSchedule);
+                }
+            }
+        } catch (error) {
+            logger.warn(`Could not synchronize fetch schedules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Aplica una programación a los fetchers y a la tarea de relleno de huecos
+     *
+     * @param {FetchSchedule} fetchSchedule - Programación a aplicar
+     * @private
+     */
+    _applyFetchSchedule(fetchSchedule) {
+        const { timeScope } = fetchSchedule;
+        this.fetchSchedules[timeScope] = fetchSchedule;
+
+        const fetcher = this.schedulers.reeDataFetcher && this.schedulers.reeDataFetcher.allFetchers[timeScope];
+
+        if (fetcher) {
+            fetcher.reschedule({
+                schedule: fetchSchedule.cron,
+                enabled: fetchSchedule.enabled,
+                historicalPeriods: { [timeScope]: fetchSchedule.historicalDays },
+                source: fetchSchedule.source
+            });
+        }
+
+        if (this.schedulers.gapBackfillJob) {
+            this.schedulers.gapBackfillJob.reconfigure({
+                timeScopes: this._getEnabledTimeScopes(),
+                historicalPeriods: this._getHistoricalPeriods(),
+                timeScopeSources: this._getTimeScopeSources()
+            });
+        }
+    }
+
+    /**
+     * Valida los cambios de programación de un alcance temporal
+     *
+     * @param {string} timeScope - Alcance temporal
+     * @param {Object} changes - Cambios a validar (cron, historicalDays, enabled, source)
+     * @throws {ValidationError} - Si algún cambio no es válido
+     * @private
+     */
+    _validateFetchScheduleChanges(timeScope, { cron: expression, historicalDays, enabled, source }) {
+        if (!FETCH_TIME_SCOPES.includes(timeScope)) {
+            throw new ValidationError(
+                `Invalid timeScope: ${timeScope}. Valid values: ${FETCH_TIME_SCOPES.join(', ')}`,
+                { validationErrors: { timeScope: 'Unsupported time scope' } }
+            );
+        }
+
+        if ([expression, historicalDays, enabled, source].every(value => value === undefined || value === null)) {
+            throw new ValidationError('At least one of cron, historicalDays, enabled or source must be provided');
+        }
+
+        if (expression !== undefined && expression !== null && !cron.validate(expression)) {
+            throw new ValidationError(
+                `Invalid cron expression: ${expression}`,
+                { validationErrors: { cron: 'Invalid cron expression' } }
+            );
+        }
+
+        if (historicalDays !== undefined && historicalDays !== null &&
+            (!Number.isInteger(historicalDays) || historicalDays < 1 || historicalDays > MAX_HISTORICAL_DAYS)) {
+            throw new ValidationError(
+                `historicalDays must be an integer between 1 and ${MAX_HISTORICAL_DAYS}`,
+                { validationErrors: { historicalDays: 'Out of range' } }
+            );
+        }
+
+        const sourceNames = this._getBalanceSourceNames();
+
+        if (source !== undefined && source !== null && !sourceNames.includes(source)) {
+            throw new ValidationError(
+                `Unknown data source: ${source}. Available sources: ${sourceNames.join(', ')}`,
+                { validationErrors: { source: 'Unsupported data source' } }
+            );
+        }
+    }
+
+    /**
+     * Obtiene los nombres de las fuentes de balances disponibles
+     *
+     * @returns {Array<string>} - Nombres de las fuentes
+     * @private
+     */
+    _getBalanceSourceNames() {
+        if (this.services && this.services.electricBalanceSources) {
+            return Object.keys(this.services.electricBalanceSources);
+        }
+
+        return [DEFAULT_BALANCE_SOURCE];
+    }
+
+    /**
+     * Obtiene los alcances temporales con obtención programada activa
+     *
+     * @returns {Array<string>} - Alcances temporales activos
+     * @private
+     */
+    _getEnabledTimeScopes() {
+        return FETCH_TIME_SCOPES.filter(timeScope => this.fetchSchedules[timeScope].enabled);
+    }
+
+    /**
+     * Obtiene la fuente de los balances de cada alcance temporal según la programación vigente
+     *
+     * @returns {Object} - Fuente por alcance temporal
+     * @private
+     */
+    _getTimeScopeSources() {
+        const timeScopeSources = {};
+
+        FETCH_TIME_SCOPES.forEach(timeScope => {
+            timeScopeSources[timeScope] = this.fetchSchedules[timeScope].source;
+        });
+
+        return timeScopeSources;
+    }
+
+    /**
+     * Obtiene los días de histórico de cada alcance temporal según la programación vigente
+     *
+     * @returns {Object} - Días de histórico por alcance temporal
+     * @private
+     */
+    _getHistoricalPeriods() {
+        const historicalPeriods = { ...config.scheduling.historicalPeriods };
+
+        FETCH_TIME_SCOPES.forEach(timeScope => {
+            historicalPeriods[timeScope] = this.fetchSchedules[timeScope].historicalDays;
+        });
+
+        return historicalPeriods;
+    }
+
     /**
      * Obtiene la expresión cron para un timeScope específico
      *
-     * @param {string} timeScope - Alcance temporal (hour, day, month)
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
      * @returns {string} - Expresión cron
      * @private
      */
@@ -190,6 +699,8 @@ class SchedulerManager {
                 return config.scheduling.dailyFetchCron;
             case 'month':
                 return config.scheduling.monthlyFetchCron;
+            case 'year':
+                return config.scheduling.yearlyFetchCron;
             default:
                 return config.scheduling.hourlyFetchCron;
         }
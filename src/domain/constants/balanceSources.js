@@ -0,0 +1,25 @@
+/**
+ * @file balanceSources.js
+ * @description Fuentes de datos del balance eléctrico
+ *
+ * El balance se obtiene por defecto de la API de REE, pero también se puede
+ * cargar desde ficheros locales con datos de otros operadores o revisados a mano.
+ */
+
+/**
+ * Identificadores de las fuentes de datos del balance
+ */
+const BALANCE_SOURCES = {
+    REE: 'ree',
+    FILE: 'file'
+};
+
+/**
+ * Fuente que se usa si no se indica otra
+ */
+const DEFAULT_BALANCE_SOURCE = BALANCE_SOURCES.REE;
+
+module.exports = {
+    BALANCE_SOURCES,
+    DEFAULT_BALANCE_SOURCE
+};
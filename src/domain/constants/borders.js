@@ -0,0 +1,32 @@
+/**
+ * @file borders.js
+ * @description Fronteras internacionales para las que REE publica intercambios
+ *
+ * Los identificadores coinciden con el nombre que REE usa en la ruta de cada
+ * widget (`intercambios/<frontera>-frontera`).
+ */
+
+/**
+ * Fronteras admitidas
+ */
+const BORDERS = [
+    'francia',
+    'portugal',
+    'marruecos',
+    'andorra'
+];
+
+/**
+ * Indica si una frontera es válida
+ *
+ * @param {string} border - Frontera a comprobar
+ * @returns {boolean} - true si la frontera está admitida
+ */
+function isValidBorder(border) {
+    return BORDERS.includes(border);
+}
+
+module.exports = {
+    BORDERS,
+    isValidBorder
+};
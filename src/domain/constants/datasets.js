@@ -0,0 +1,34 @@
+/**
+ * @file datasets.js
+ * @description Conjuntos de datos de REE que ingiere la aplicación
+ *
+ * Identifican el origen de cada respuesta archivada con independencia de la
+ * ruta concreta del widget de REE que la produjo.
+ */
+
+/**
+ * Identificadores de los conjuntos de datos
+ */
+const DATASETS = {
+    ELECTRIC_BALANCE: 'electricBalance',
+    MARKET_PRICES: 'marketPrices',
+    CO2_EMISSIONS: 'co2Emissions',
+    INSTALLED_CAPACITY: 'installedCapacity',
+    INTERNATIONAL_EXCHANGES: 'internationalExchanges',
+    REAL_TIME_DEMAND: 'realTimeDemand'
+};
+
+/**
+ * Indica si un conjunto de datos es válido
+ *
+ * @param {string} dataset - Conjunto de datos a comprobar
+ * @returns {boolean} - true si el conjunto está admitido
+ */
+function isValidDataset(dataset) {
+    return Object.values(DATASETS).includes(dataset);
+}
+
+module.exports = {
+    DATASETS,
+    isValidDataset
+};
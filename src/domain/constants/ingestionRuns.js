@@ -0,0 +1,57 @@
+/**
+ * @file ingestionRuns.js
+ * @description Orígenes y estados de las ejecuciones de ingesta
+ *
+ * Cada obtención de datos de REE queda registrada con lo que la disparó y cómo
+ * terminó, para poder auditar qué se cargó y cuándo.
+ */
+
+/**
+ * Orígenes de una ejecución de ingesta
+ */
+const INGESTION_TRIGGERS = {
+    SCHEDULED: 'scheduled',
+    INITIAL: 'initial',
+    RETRY: 'retry',
+    MANUAL: 'manual',
+    BACKFILL: 'backfill',
+    API: 'api',
+    SEED: 'seed'
+};
+
+/**
+ * Estados finales de una ejecución de ingesta
+ */
+const INGESTION_RUN_STATUSES = {
+    SUCCESS: 'success',
+    PARTIAL: 'partial',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+/**
+ * Indica si un origen de ejecución es válido
+ *
+ * @param {string} trigger - Origen a comprobar
+ * @returns {boolean} - true si el origen está admitido
+ */
+function isValidIngestionTrigger(trigger) {
+    return Object.values(INGESTION_TRIGGERS).includes(trigger);
+}
+
+/**
+ * Indica si un estado de ejecución es válido
+ *
+ * @param {string} status - Estado a comprobar
+ * @returns {boolean} - true si el estado está admitido
+ */
+function isValidIngestionRunStatus(status) {
+    return Object.values(INGESTION_RUN_STATUSES).includes(status);
+}
+
+module.exports = {
+    INGESTION_TRIGGERS,
+    INGESTION_RUN_STATUSES,
+    isValidIngestionTrigger,
+    isValidIngestionRunStatus
+};
@@ -0,0 +1,27 @@
+/**
+ * @file marketPrices.js
+ * @description Indicadores de precio del mercado eléctrico que se almacenan
+ *
+ * `pvpc` es el precio voluntario para el pequeño consumidor y `spot` el precio
+ * del mercado diario; ambos en €/MWh.
+ */
+
+/**
+ * Precios admitidos como indicador de series temporales
+ */
+const PRICE_INDICATORS = ['pvpc', 'spot'];
+
+/**
+ * Indica si un indicador de precio es válido
+ *
+ * @param {string} indicator - Indicador a comprobar
+ * @returns {boolean} - true si el indicador está admitido
+ */
+function isValidPriceIndicator(indicator) {
+    return PRICE_INDICATORS.includes(indicator);
+}
+
+module.exports = {
+    PRICE_INDICATORS,
+    isValidPriceIndicator
+};
@@ -0,0 +1,64 @@
+/**
+ * @file qualityFlags.js
+ * @description Indicadores de calidad que se asignan a los registros ingeridos
+ *
+ * Cada indicador tiene una severidad: los avisos (`warning`) se guardan junto al
+ * registro y los errores (`error`) hacen que el registro se envíe a cuarentena
+ * en lugar de guardarse.
+ */
+
+/**
+ * Severidades de los indicadores
+ */
+const QUALITY_SEVERITIES = {
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+/**
+ * Códigos de los indicadores de calidad y su severidad
+ */
+const QUALITY_FLAGS = {
+    SCHEMA_VIOLATION: { code: 'SCHEMA_VIOLATION', severity: QUALITY_SEVERITIES.ERROR },
+    MISSING_GENERATION: { code: 'MISSING_GENERATION', severity: QUALITY_SEVERITIES.ERROR },
+    MISSING_DEMAND: { code: 'MISSING_DEMAND', severity: QUALITY_SEVERITIES.ERROR },
+    NEGATIVE_VALUES: { code: 'NEGATIVE_VALUES', severity: QUALITY_SEVERITIES.ERROR },
+    MISSING_TECHNOLOGIES: { code: 'MISSING_TECHNOLOGIES', severity: QUALITY_SEVERITIES.WARNING },
+    UNKNOWN_TECHNOLOGIES: { code: 'UNKNOWN_TECHNOLOGIES', severity: QUALITY_SEVERITIES.WARNING },
+    PERCENTAGE_SUM: { code: 'PERCENTAGE_SUM', severity: QUALITY_SEVERITIES.WARNING },
+    GENERATION_DEMAND_MISMATCH: { code: 'GENERATION_DEMAND_MISMATCH', severity: QUALITY_SEVERITIES.WARNING }
+};
+
+/**
+ * Crea un indicador de calidad
+ *
+ * @param {Object} flag - Entrada de QUALITY_FLAGS
+ * @param {string} message - Descripción del problema
+ * @param {Object} [details={}] - Datos que permiten localizar el problema
+ * @returns {Object} - Indicador con code, severity, message y details
+ */
+function createQualityFlag(flag, message, details = {}) {
+    return {
+        code: flag.code,
+        severity: flag.severity,
+        message,
+        details
+    };
+}
+
+/**
+ * Indica si alguno de los indicadores obliga a poner el registro en cuarentena
+ *
+ * @param {Array<Object>} qualityFlags - Indicadores del registro
+ * @returns {boolean} - true si hay algún indicador de severidad error
+ */
+function hasBlockingQualityFlags(qualityFlags = []) {
+    return qualityFlags.some(flag => flag.severity === QUALITY_SEVERITIES.ERROR);
+}
+
+module.exports = {
+    QUALITY_SEVERITIES,
+    QUALITY_FLAGS,
+    createQualityFlag,
+    hasBlockingQualityFlags
+};
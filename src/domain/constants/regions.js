@@ -0,0 +1,40 @@
+/**
+ * @file regions.js
+ * @description Ámbitos geográficos para los que se almacenan balances eléctricos
+ *
+ * `national` corresponde al balance del conjunto de España, que es lo que REE
+ * devuelve cuando no se indica ningún filtro geográfico.
+ */
+
+/**
+ * Región por defecto cuando no se especifica ninguna
+ */
+const DEFAULT_REGION = 'national';
+
+/**
+ * Regiones admitidas
+ */
+const REGIONS = [
+    'national',
+    'peninsular',
+    'canarias',
+    'baleares',
+    'ceuta',
+    'melilla'
+];
+
+/**
+ * Indica si una región es válida
+ *
+ * @param {string} region - Región a comprobar
+ * @returns {boolean} - true si la región está admitida
+ */
+function isValidRegion(region) {
+    return REGIONS.includes(region);
+}
+
+module.exports = {
+    DEFAULT_REGION,
+    REGIONS,
+    isValidRegion
+};
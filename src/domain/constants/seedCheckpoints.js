@@ -0,0 +1,53 @@
+/**
+ * @file seedCheckpoints.js
+ * @description Estados y tamaño de los tramos de la carga de histórico
+ *
+ * La carga de histórico divide el rango en tramos de calendario y guarda cuáles
+ * terminaron, para poder reanudarla donde se quedó si se interrumpe.
+ */
+
+/**
+ * Estados de una carga de histórico
+ */
+const SEED_STATUSES = {
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+};
+
+/**
+ * Estados de un tramo de la carga
+ */
+const SEED_CHUNK_STATUSES = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * Período de calendario (en hora de Madrid) que abarca cada tramo según la granularidad
+ *
+ * Un mes de datos horarios cabe en una petición a REE; para el resto basta un año.
+ */
+const SEED_CHUNK_PERIODS = {
+    hour: 'month',
+    day: 'year',
+    month: 'year',
+    year: 'year'
+};
+
+/**
+ * Indica si un estado de carga es válido
+ *
+ * @param {string} status - Estado a comprobar
+ * @returns {boolean} - true si el estado está admitido
+ */
+function isValidSeedStatus(status) {
+    return Object.values(SEED_STATUSES).includes(status);
+}
+
+module.exports = {
+    SEED_STATUSES,
+    SEED_CHUNK_STATUSES,
+    SEED_CHUNK_PERIODS,
+    isValidSeedStatus
+};
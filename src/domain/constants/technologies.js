@@ -0,0 +1,168 @@
+/**
+ * @file technologies.js
+ * @description Catálogo canónico de tecnologías que aparecen en los widgets de REE
+ *
+ * REE identifica cada tecnología por su nombre en castellano, que varía entre
+ * widgets (acentos, espacios, `Fuel + Gas` / `Fuel+Gas`). El catálogo asigna a
+ * cada una un código estable y sus propiedades: si es renovable, de bajas
+ * emisiones o síncrona (aporta inercia al sistema), su color y si es una fila
+ * agregada. Las filas agregadas (`Generación renovable`, `Saldo almacenamiento`...)
+ * repiten la suma de otras filas y no deben sumarse de nuevo.
+ */
+
+/**
+ * Categorías de tecnología
+ */
+const TECHNOLOGY_CATEGORIES = ['generation', 'storage', 'demand', 'interchange'];
+
+/**
+ * Catálogo de tecnologías
+ */
+const TECHNOLOGIES = Object.freeze([
+    // Generación renovable
+    { code: 'hydro', nameEs: 'Hidráulica', nameEn: 'Hydro', category: 'generation', renewable: true, lowCarbon: true, synchronous: true, color: '#0090d1' },
+    { code: 'wind', nameEs: 'Eólica', nameEn: 'Wind', category: 'generation', renewable: true, lowCarbon: true, synchronous: false, color: '#6fb114' },
+    { code: 'solar_pv', nameEs: 'Solar fotovoltaica', nameEn: 'Solar photovoltaic', category: 'generation', renewable: true, lowCarbon: true, synchronous: false, color: '#ffcc66' },
+    { code: 'solar_thermal', nameEs: 'Solar térmica', nameEn: 'Solar thermal', category: 'generation', renewable: true, lowCarbon: true, synchronous: true, color: '#ff0000' },
+    { code: 'other_renewables', nameEs: 'Otras renovables', nameEn: 'Other renewables', category: 'generation', renewable: true, lowCarbon: true, synchronous: true, color: '#ef7e3b' },
+    { code: 'renewable_waste', nameEs: 'Residuos renovables', nameEn: 'Renewable waste', category: 'generation', renewable: true, lowCarbon: true, synchronous: true, color: '#467fb1' },
+    { code: 'hydro_wind', nameEs: 'Hidroeólica', nameEn: 'Hydro-wind', category: 'generation', renewable: true, lowCarbon: true, synchronous: true, color: '#5ba8d9' },
+
+    // Generación no renovable
+    { code: 'nuclear', nameEs: 'Nuclear', nameEn: 'Nuclear', category: 'generation', renewable: false, lowCarbon: true, synchronous: true, color: '#464394' },
+    { code: 'combined_cycle', nameEs: 'Ciclo combinado', nameEn: 'Combined cycle', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#ffb44d' },
+    { code: 'coal', nameEs: 'Carbón', nameEn: 'Coal', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#ad5c34' },
+    { code: 'diesel_engines', nameEs: 'Motores diésel', nameEn: 'Diesel engines', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#a1a1a1' },
+    { code: 'gas_turbine', nameEs: 'Turbina de gas', nameEn: 'Gas turbine', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#8a9b00' },
+    { code: 'steam_turbine', nameEs: 'Turbina de vapor', nameEn: 'Steam turbine', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#f0b0b0' },
+    { code: 'fuel_gas', nameEs: 'Fuel + Gas', nameEn: 'Fuel + gas', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#b7a0c8', aliases: ['Fuel+Gas', 'Fuel-Gas'] },
+    { code: 'cogeneration', nameEs: 'Cogeneración', nameEn: 'Cogeneration', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#d6a8d3' },
+    { code: 'non_renewable_waste', nameEs: 'Residuos no renovables', nameEn: 'Non-renewable waste', category: 'generation', renewable: false, lowCarbon: false, synchronous: true, color: '#a57c52' },
+
+    // Almacenamiento
+    { code: 'pumped_hydro_generation', nameEs: 'Turbinación bombeo', nameEn: 'Pumped hydro generation', category: 'storage', renewable: false, lowCarbon: false, synchronous: true, color: '#004563' },
+    { code: 'pumped_hydro_consumption', nameEs: 'Consumo bombeo', nameEn: 'Pumped hydro consumption', category: 'storage', renewable: false, lowCarbon: false, synchronous: true, color: '#00a2d8' },
+    { code: 'battery_discharge', nameEs: 'Entrega baterías', nameEn: 'Battery discharge', category: 'storage', renewable: false, lowCarbon: false, synchronous: false, color: '#7bc6c4' },
+    { code: 'battery_charge', nameEs: 'Carga baterías', nameEn: 'Battery charge', category: 'storage', renewable: false, lowCarbon: false, synchronous: false, color: '#3ea5a3' },
+
+    // Demanda
+    { code: 'demand', nameEs: 'Demanda en b.c.', nameEn: 'Demand at busbars', category: 'demand', renewable: false, lowCarbon: false, synchronous: false, color: '#ffea00', aliases: ['Demanda'] },
+
+    // Intercambios
+    { code: 'interchange_balance', nameEs: 'Saldo I. internacionales', nameEn: 'International exchange balance', category: 'interchange', renewable: false, lowCarbon: false, synchronous: false, color: '#b3b3b3', aliases: ['Saldo intercambios internacionales'] },
+
+    // Filas agregadas
+    { code: 'renewable_generation_total', nameEs: 'Generación renovable', nameEn: 'Renewable generation', category: 'generation', renewable: true, lowCarbon: true, synchronous: false, color: '#2ab34a', aggregate: true },
+    { code: 'non_renewable_generation_total', nameEs: 'Generación no renovable', nameEn: 'Non-renewable generation', category: 'generation', renewable: false, lowCarbon: false, synchronous: false, color: '#8f6b4e', aggregate: true },
+    { code: 'generation_total', nameEs: 'Generación total', nameEn: 'Total generation', category: 'generation', renewable: false, lowCarbon: false, synchronous: false, color: null, aggregate: true },
+    { code: 'storage_balance', nameEs: 'Saldo almacenamiento', nameEn: 'Storage balance', category: 'storage', renewable: false, lowCarbon: false, synchronous: false, color: null, aggregate: true }
+].map(technology => Object.freeze({
+    aggregate: false,
+    aliases: [],
+    ...technology
+})));
+
+/**
+ * Nombres genéricos de totales que REE añade en algunos widgets (`Total`,
+ * `Potencia total`, `Total tCO2 eq.`) y que no figuran en el catálogo
+ */
+const GENERIC_TOTAL_PATTERN = /^(potencia\s+)?total/;
+
+/**
+ * Normaliza un nombre para compararlo sin acentos, mayúsculas ni espacios repetidos
+ *
+ * @param {string} name - Nombre a normalizar
+ * @returns {string} - Nombre normalizado
+ */
+function normalizeTechnologyName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Índice del catálogo por código y por nombres normalizados
+ */
+const TECHNOLOGY_INDEX = new Map();
+
+for (const technology of TECHNOLOGIES) {
+    for (const key of [technology.code, technology.nameEs, technology.nameEn, ...technology.aliases]) {
+        TECHNOLOGY_INDEX.set(normalizeTechnologyName(key), technology);
+    }
+}
+
+/**
+ * Busca una tecnología por código o por cualquiera de sus nombres
+ *
+ * @param {string} nameOrCode - Código, nombre en castellano o inglés, o alias de REE
+ * @returns {Object|null} - Tecnología del catálogo o null si no se reconoce
+ */
+function findTechnology(nameOrCode) {
+    return TECHNOLOGY_INDEX.get(normalizeTechnologyName(nameOrCode)) || null;
+}
+
+/**
+ * Indica si un tipo es una fila agregada que no debe sumarse con el resto
+ *
+ * @param {string} type - Tipo tal como llega de REE
+ * @returns {boolean} - true si es un agregado
+ */
+function isAggregateTechnology(type) {
+    const technology = findTechnology(type);
+
+    if (technology) {
+        return technology.aggregate;
+    }
+
+    return GENERIC_TOTAL_PATTERN.test(normalizeTechnologyName(type));
+}
+
+/**
+ * Indica si un tipo es generación renovable; los agregados nunca lo son
+ *
+ * @param {string} type - Tipo tal como llega de REE
+ * @returns {boolean} - true si es renovable
+ */
+function isRenewableTechnology(type) {
+    const technology = findTechnology(type);
+    return Boolean(technology && !technology.aggregate && technology.renewable);
+}
+
+/**
+ * Indica si un tipo es generación de bajas emisiones (renovables y nuclear)
+ *
+ * @param {string} type - Tipo tal como llega de REE
+ * @returns {boolean} - true si es de bajas emisiones
+ */
+function isLowCarbonTechnology(type) {
+    const technology = findTechnology(type);
+    return Boolean(technology && !technology.aggregate && technology.lowCarbon);
+}
+
+/**
+ * Obtiene todos los nombres con los que REE puede enviar filas agregadas
+ *
+ * Útil para excluirlas en consultas a base de datos, donde no se puede usar
+ * `isAggregateTechnology`.
+ *
+ * @returns {Array<string>} - Nombres en castellano y alias de los agregados
+ */
+function getAggregateTechnologyNames() {
+    return TECHNOLOGIES
+        .filter(technology => technology.aggregate)
+        .flatMap(technology => [technology.nameEs, ...technology.aliases]);
+}
+
+module.exports = {
+    TECHNOLOGY_CATEGORIES,
+    TECHNOLOGIES,
+    normalizeTechnologyName,
+    findTechnology,
+    isAggregateTechnology,
+    isRenewableTechnology,
+    isLowCarbonTechnology,
+    getAggregateTechnologyNames
+};
@@ -0,0 +1,28 @@
+/**
+ * @file timeScopes.js
+ * @description Granularidades temporales con las que se almacenan los datos
+ *
+ * `10min` es la resolución de la demanda en tiempo real de REE; el resto
+ * coinciden con los valores de `time_trunc` de la API.
+ */
+
+/**
+ * Granularidad de diez minutos de la demanda en tiempo real
+ */
+const TEN_MINUTE_TIME_SCOPE = '10min';
+
+/**
+ * Granularidades admitidas, de menor a mayor
+ */
+const TIME_SCOPES = [
+    TEN_MINUTE_TIME_SCOPE,
+    'hour',
+    'day',
+    'month',
+    'year'
+];
+
+module.exports = {
+    TEN_MINUTE_TIME_SCOPE,
+    TIME_SCOPES
+};
@@ -0,0 +1,153 @@
+/**
+ * @file Co2Emission.js
+ * @description Entidad de dominio que representa las emisiones de CO2 de la generación eléctrica
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+const { isAggregateTechnology } = require('../constants/technologies');
+
+class Co2Emission {
+    /**
+     * Crea una nueva instancia de Co2Emission
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {Date} params.timestamp - Fecha a la que corresponden las emisiones
+     * @param {string} params.timeScope - Alcance temporal de los datos (day, month, year)
+     * @param {string} params.region - Ámbito geográfico
+     * @param {Array} params.byTechnology - Emisiones por tecnología en tCO2 eq.
+     * @param {Date} params.createdAt - Fecha de creación del registro
+     * @param {Date} params.updatedAt - Fecha de última actualización del registro
+     * @param {Object} params.metadata - Metadatos adicionales
+     */
+    constructor({
+                    id = null,
+                    timestamp,
+                    timeScope = 'day',
+                    region = DEFAULT_REGION,
+                    byTechnology = [],
+                    createdAt = new Date(),
+                    updatedAt = new Date(),
+                    metadata = {}
+                }) {
+        this.id = id;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.byTechnology = byTechnology.map(item => ({
+            type: item.type || '',
+            value: Number.isFinite(parseFloat(item.value)) ? parseFloat(item.value) : 0,
+            percentage: parseFloat(item.percentage || 0),
+            color: item.color || null,
+            unit: 'tCO2 eq.'
+        }));
+        this.createdAt = new Date(createdAt);
+        this.updatedAt = new Date(updatedAt);
+        this.metadata = metadata;
+    }
+
+    /**
+     * Calcula las emisiones totales sumando todas las tecnologías
+     *
+     * @returns {number} - Emisiones totales en tCO2 eq.
+     */
+    getTotalEmissions() {
+        const total = this.byTechnology.reduce((sum, item) => sum + item.value, 0);
+        return Number.isFinite(total) ? total : 0;
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con las emisiones
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            region: this.region,
+            byTechnology: this.byTechnology,
+            totalEmissions: this.getTotalEmissions(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            metadata: this.metadata
+        };
+    }
+
+    /**
+     * Crea una instancia de Co2Emission por cada punto temporal de la respuesta de REE
+     *
+     * El widget `generacion/no-renovables-detalle-emisiones-CO2` devuelve un elemento
+     * de `included` por tecnología; si REE los agrupa, los valores vienen en
+     * `attributes.content[]`. En ambos casos se pivotan por `datetime`. Se descarta
+     * el agregado total que REE añade en algunas respuestas para no contarlo dos veces.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [timeScope] - Alcance temporal; por defecto el `time-trunc` de la respuesta
+     * @param {string} [region] - Ámbito geográfico consultado
+     * @returns {Array<Co2Emission>} - Emisiones ordenadas por timestamp ascendente
+     */
+    static fromREEApiResponseSeries(apiResponse, timeScope, region = DEFAULT_REGION) {
+        if (!apiResponse || !apiResponse.data) {
+            throw new Error('Invalid API response format');
+        }
+
+        const { data, included } = apiResponse;
+        const scope = timeScope || data.attributes?.['time-trunc'] || 'day';
+        const metadata = {
+            title: data.attributes?.title || 'Emisiones de CO2 asociadas a la generación',
+            description: data.attributes?.description || '',
+            source: 'REE API'
+        };
+
+        const technologies = [];
+
+        for (const item of Array.isArray(included) ? included : []) {
+            if (Array.isArray(item?.attributes?.content)) {
+                technologies.push(...item.attributes.content);
+            } else if (item) {
+                technologies.push(item);
+            }
+        }
+
+        const itemsByTimestamp = new Map();
+
+        for (const technology of technologies) {
+            const type = technology.type || technology.attributes?.title;
+            const values = technology.attributes?.values;
+
+            if (!type || !Array.isArray(values) || isAggregateTechnology(type)) continue;
+
+            const color = technology.attributes?.color || null;
+
+            for (const valueObj of values) {
+                const time = new Date(valueObj?.datetime).getTime();
+                if (!Number.isFinite(time)) continue;
+
+                if (!itemsByTimestamp.has(time)) {
+                    itemsByTimestamp.set(time, []);
+                }
+
+                itemsByTimestamp.get(time).push({
+                    type,
+                    value: valueObj.value,
+                    percentage: valueObj.percentage,
+                    color
+                });
+            }
+        }
+
+        return [...itemsByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => new Co2Emission({
+                timestamp: new Date(time),
+                timeScope: scope,
+                region,
+                byTechnology: itemsByTimestamp.get(time),
+                metadata: { ...metadata }
+            }));
+    }
+}
+
+module.exports = Co2Emission;
@@ -3,6 +3,9 @@
  * @description Entidad de dominio que representa el balance eléctrico
  */
 
+const { DEFAULT_REGION } = require('../constants/regions');
+const { isAggregateTechnology, isRenewableTechnology } = require('../constants/technologies');
+
 class ElectricBalance {
     /**
      * Crea una nueva instancia de ElectricBalance
@@ -10,34 +13,46 @@ class ElectricBalance {
      * @param {Object} params - Parámetros para crear la entidad
      * @param {string} params.id - Identificador único del balance eléctrico
      * @param {Date} params.timestamp - Fecha y hora a la que corresponden los datos
-     * @param {string} params.timeScope - Alcance temporal de los datos (day, month, year)
+     * @param {string} params.timeScope - Alcance temporal de los datos (10min, hour, day, month, year)
+     * @param {string} params.region - Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)
      * @param {Array} params.generation - Datos de generación eléctrica por tipo
      * @param {Array} params.demand - Datos de demanda eléctrica
      * @param {Array} params.interchange - Datos de intercambios internacionales
      * @param {Date} params.createdAt - Fecha de creación del registro
      * @param {Date} params.updatedAt - Fecha de última actualización del registro
      * @param {Object} params.metadata - Metadatos adicionales
+     * @param {Array} params.qualityFlags - Indicadores de calidad asignados en la ingesta
+     * @param {number} params.version - Número de versión; aumenta cada vez que REE corrige los datos
+     * @param {Date} params.validFrom - Momento desde el que esta versión es la vigente
      */
     constructor({
                     id = null,
                     timestamp,
                     timeScope = 'day',
+                    region = DEFAULT_REGION,
                     generation = [],
                     demand = [],
                     interchange = [],
                     createdAt = new Date(),
                     updatedAt = new Date(),
-                    metadata = {}
+                    metadata = {},
+                    qualityFlags = [],
+                    version = 1,
+                    validFrom = null
                 }) {
         this.id = id;
         this.timestamp = new Date(timestamp);
         this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
         this.generation = this._processGenerationData(generation);
         this.demand = this._processDemandData(demand);
         this.interchange = this._processInterchangeData(interchange);
         this.createdAt = new Date(createdAt);
         this.updatedAt = new Date(updatedAt);
         this.metadata = metadata;
+        this.qualityFlags = qualityFlags || [];
+        this.version = version || 1;
+        this.validFrom = validFrom ? new Date(validFrom) : this.createdAt;
     }
 
     /**
@@ -94,6 +109,9 @@ class ElectricBalance {
     /**
      * Calcula el total de generación eléctrica
      *
+     * Las filas agregadas (`Generación renovable`...) no se suman para no contar
+     * dos veces la misma energía en balances guardados antes de filtrarlas.
+     *
      * @returns {number} - Total de generación en MW
      */
     getTotalGeneration() {
@@ -102,6 +120,8 @@ class ElectricBalance {
         }
 
         const total = this.generation.reduce((total, item) => {
+            if (item && isAggregateTechnology(item.type)) return total;
+
             const value = item && item.value !== undefined ?
               (Number.isFinite(parseFloat(item.value)) ? parseFloat(item.value) : 0)
               : 0;
@@ -141,13 +161,8 @@ class ElectricBalance {
      * @returns {number} - Porcentaje de generación renovable
      */
     getRenewablePercentage() {
-        const renewableTypes = [
-            'Hidráulica', 'Eólica', 'Solar fotovoltaica', 'Solar térmica',
-            'Otras renovables', 'Hidroeólica'
-        ];
-
         const renewableGeneration = this.generation
-          .filter(item => renewableTypes.includes(item.type))
+          .filter(item => isRenewableTechnology(item.type))
           .reduce((total, item) => {
               const value = Number.isFinite(item.value) ? item.value : 0;
               return total + value;
@@ -173,6 +188,7 @@ class ElectricBalance {
             id: this.id,
             timestamp: this.timestamp,
             timeScope: this.timeScope,
+            region: this.region,
             generation: this.generation,
             demand: this.demand,
             interchange: this.interchange,
@@ -182,7 +198,10 @@ class ElectricBalance {
             renewablePercentage: this.getRenewablePercentage(),
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
-            metadata: this.metadata
+            metadata: this.metadata,
+            qualityFlags: this.qualityFlags,
+            version: this.version,
+            validFrom: this.validFrom
         };
     }
 
@@ -190,10 +209,14 @@ class ElectricBalance {
     /**
      * Crea una instancia de ElectricBalance a partir de la respuesta de la API de REE
      *
+     * Solo se toma el primer valor de cada tecnología; para respuestas con varios
+     * puntos temporales debe usarse fromREEApiResponseSeries.
+     *
      * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [region] - Ámbito geográfico consultado
      * @returns {ElectricBalance} - Nueva instancia de ElectricBalance
      */
-    static fromREEApiResponse(apiResponse) {
+    static fromREEApiResponse(apiResponse, region = DEFAULT_REGION) {
         if (!apiResponse || !apiResponse.data) {
             throw new Error('Invalid API response format');
         }
@@ -213,174 +236,222 @@ class ElectricBalance {
 
         const timeScope = data.attributes?.['time-trunc'] || 'day';
 
-        const generation = [];
-        const demand = [];
-        const interchange = [];
+        const items = { generation: [], demand: [], interchange: [] };
 
         if (included && Array.isArray(included)) {
-            const generationTypes = ['Renovable', 'No-Renovable'];
-            const demandTypes = ['Demanda'];
-            const interchangeTypes = ['Intercambios Internacionales'];
-            const storageTypes = ['Almacenamiento'];
-
             for (const item of included) {
-                if (!item.type || !item.attributes || !item.attributes.content) {
-                    continue;
+                const category = ElectricBalance._getCategoryForGroup(item);
+                if (!category) continue;
+
+                for (const contentItem of item.attributes.content) {
+                    if (!contentItem || !contentItem.type || isAggregateTechnology(contentItem.type)) continue;
+
+                    let value = 0;
+                    let percentage = 0;
+
+                    if (contentItem.attributes && contentItem.attributes.values && contentItem.attributes.values.length > 0) {
+                        const valueObj = contentItem.attributes.values[0];
+                        value = parseFloat(valueObj.value || 0);
+                        percentage = parseFloat(valueObj.percentage || 0);
+                    } else if (contentItem.value !== undefined) {
+                        value = parseFloat(contentItem.value || 0);
+                        percentage = parseFloat(contentItem.percentage || 0);
+                    }
+
+                    const color = contentItem.attributes?.color || contentItem.color || null;
+
+                    ElectricBalance._pushBalanceItem(items, category, {
+                        type: contentItem.type,
+                        value,
+                        percentage,
+                        color
+                    });
                 }
+            }
+        }
 
-                if (generationTypes.includes(item.type)) {
-                    for (const contentItem of item.attributes.content) {
-                        if (!contentItem || !contentItem.type) continue;
+        return ElectricBalance._buildFromItems(
+            timestamp,
+            timeScope,
+            region,
+            items,
+            ElectricBalance._extractMetadata(data)
+        );
+    }
 
-                        let value = 0;
-                        let percentage = 0;
+    /**
+     * Crea los balances de una respuesta de la API de REE, con o sin series temporales
+     *
+     * Si la respuesta no trae valores por punto temporal se devuelve un único
+     * balance con la instantánea de la respuesta.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} timeScope - Alcance temporal de los balances
+     * @param {string} [region] - Ámbito geográfico consultado
+     * @returns {Array<ElectricBalance>} - Balances ordenados por timestamp ascendente
+     */
+    static listFromREEApiResponse(apiResponse, timeScope, region = DEFAULT_REGION) {
+        const electricBalances = ElectricBalance.fromREEApiResponseSeries(apiResponse, timeScope, region);
 
-                        if (contentItem.attributes && contentItem.attributes.values && contentItem.attributes.values.length > 0) {
-                            const valueObj = contentItem.attributes.values[0];
-                            value = parseFloat(valueObj.value || 0);
-                            percentage = parseFloat(valueObj.percentage || 0);
-                        } else if (contentItem.value !== undefined) {
-                            value = parseFloat(contentItem.value || 0);
-                            percentage = parseFloat(contentItem.percentage || 0);
-                        }
+        if (electricBalances.length > 0) {
+            return electricBalances;
+        }
 
-                        const color = contentItem.attributes?.color || contentItem.color || null;
+        const snapshot = ElectricBalance.fromREEApiResponse(apiResponse, region);
+        snapshot.timeScope = timeScope;
 
-                        generation.push({
-                            type: contentItem.type,
-                            value: value,
-                            percentage: percentage,
-                            color: color,
-                            unit: 'MW'
-                        });
-                    }
-                }
-                else if (demandTypes.includes(item.type)) {
-                    for (const contentItem of item.attributes.content) {
-                        if (!contentItem || !contentItem.type) continue;
-
-                        let value = 0;
-                        let percentage = 0;
-
-                        if (contentItem.attributes && contentItem.attributes.values && contentItem.attributes.values.length > 0) {
-                            const valueObj = contentItem.attributes.values[0];
-                            value = parseFloat(valueObj.value || 0);
-                            percentage = parseFloat(valueObj.percentage || 0);
-                        } else if (contentItem.value !== undefined) {
-                            value = parseFloat(contentItem.value || 0);
-                            percentage = parseFloat(contentItem.percentage || 0);
-                        }
+        return [snapshot];
+    }
 
-                        const color = contentItem.attributes?.color || contentItem.color || null;
+    /**
+     * Crea una instancia de ElectricBalance por cada punto temporal de la respuesta de la API de REE
+     *
+     * Pivota los arrays `included[].attributes.content[].attributes.values[]` agrupando
+     * los valores por `datetime`, de forma que cada marca temporal obtiene su propio
+     * balance con la generación, demanda e intercambios correspondientes.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [timeScope] - Alcance temporal; por defecto el `time-trunc` de la respuesta
+     * @param {string} [region] - Ámbito geográfico consultado
+     * @returns {Array<ElectricBalance>} - Balances ordenados por timestamp ascendente
+     */
+    static fromREEApiResponseSeries(apiResponse, timeScope, region = DEFAULT_REGION) {
+        if (!apiResponse || !apiResponse.data) {
+            throw new Error('Invalid API response format');
+        }
 
-                        demand.push({
-                            type: contentItem.type,
-                            value: value,
-                            percentage: percentage,
-                            color: color,
-                            unit: 'MW'
-                        });
-                    }
-                }
-                else if (interchangeTypes.includes(item.type)) {
-                    for (const contentItem of item.attributes.content) {
-                        if (!contentItem || !contentItem.type) continue;
-
-                        let value = 0;
-                        let percentage = 0;
-
-                        if (contentItem.attributes && contentItem.attributes.values && contentItem.attributes.values.length > 0) {
-                            const valueObj = contentItem.attributes.values[0];
-                            value = parseFloat(valueObj.value || 0);
-                            percentage = parseFloat(valueObj.percentage || 0);
-                        } else if (contentItem.value !== undefined) {
-                            value = parseFloat(contentItem.value || 0);
-                            percentage = parseFloat(contentItem.percentage || 0);
-                        }
+        const { data, included } = apiResponse;
+        const scope = timeScope || data.attributes?.['time-trunc'] || 'day';
+        const metadata = ElectricBalance._extractMetadata(data);
 
-                        const color = contentItem.attributes?.color || contentItem.color || null;
+        const itemsByTimestamp = new Map();
 
-                        interchange.push({
-                            type: contentItem.type,
-                            value: value,
-                            percentage: percentage,
-                            color: color,
-                            unit: 'MW'
-                        });
-                    }
-                }
-                else if (storageTypes.includes(item.type)) {
-                    for (const contentItem of item.attributes.content) {
-                        if (!contentItem || !contentItem.type) continue;
-
-                        let value = 0;
-                        let percentage = 0;
-
-                        if (contentItem.attributes && contentItem.attributes.values && contentItem.attributes.values.length > 0) {
-                            const valueObj = contentItem.attributes.values[0];
-                            value = parseFloat(valueObj.value || 0);
-                            percentage = parseFloat(valueObj.percentage || 0);
-                        } else if (contentItem.value !== undefined) {
-                            value = parseFloat(contentItem.value || 0);
-                            percentage = parseFloat(contentItem.percentage || 0);
-                        }
+        if (included && Array.isArray(included)) {
+            for (const item of included) {
+                const category = ElectricBalance._getCategoryForGroup(item);
+                if (!category) continue;
+
+                for (const contentItem of item.attributes.content) {
+                    if (!contentItem || !contentItem.type || isAggregateTechnology(contentItem.type)) continue;
+
+                    const values = contentItem.attributes?.values;
+                    if (!Array.isArray(values)) continue;
+
+                    const color = contentItem.attributes?.color || contentItem.color || null;
+
+                    for (const valueObj of values) {
+                        const time = new Date(valueObj?.datetime).getTime();
+                        if (!Number.isFinite(time)) continue;
 
-                        const color = contentItem.attributes?.color || contentItem.color || null;
-
-                        if (value < 0) {
-                            demand.push({
-                                type: contentItem.type,
-                                value: Math.abs(value),
-                                percentage: percentage,
-                                color: color,
-                                unit: 'MW'
-                            });
-                        } else {
-                            generation.push({
-                                type: contentItem.type,
-                                value: value,
-                                percentage: percentage,
-                                color: color,
-                                unit: 'MW'
-                            });
+                        if (!itemsByTimestamp.has(time)) {
+                            itemsByTimestamp.set(time, { generation: [], demand: [], interchange: [] });
                         }
+
+                        ElectricBalance._pushBalanceItem(itemsByTimestamp.get(time), category, {
+                            type: contentItem.type,
+                            value: parseFloat(valueObj.value || 0),
+                            percentage: parseFloat(valueObj.percentage || 0),
+                            color
+                        });
                     }
                 }
             }
         }
 
-        if (generation.length === 0) {
-            generation.push({
-                type: 'No disponible',
-                value: 0,
-                percentage: 0,
-                color: null,
-                unit: 'MW'
-            });
+        return [...itemsByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => ElectricBalance._buildFromItems(
+                new Date(time),
+                scope,
+                region,
+                itemsByTimestamp.get(time),
+                { ...metadata }
+            ));
+    }
+
+    /**
+     * Determina la categoría del balance a la que pertenece un grupo de la respuesta de REE
+     *
+     * @param {Object} group - Elemento de `included` de la respuesta
+     * @returns {string|null} - generation, demand, interchange, storage o null si no aplica
+     * @private
+     */
+    static _getCategoryForGroup(group) {
+        if (!group || !group.type || !group.attributes || !Array.isArray(group.attributes.content)) {
+            return null;
         }
 
-        if (demand.length === 0) {
-            demand.push({
-                type: 'No disponible',
-                value: 0,
-                percentage: 0,
-                color: null,
-                unit: 'MW'
-            });
+        switch (group.type) {
+            case 'Renovable':
+            case 'No-Renovable':
+                return 'generation';
+            case 'Demanda':
+                return 'demand';
+            case 'Intercambios Internacionales':
+                return 'interchange';
+            case 'Almacenamiento':
+                return 'storage';
+            default:
+                return null;
         }
+    }
 
-        const metadata = {
+    /**
+     * Añade un item al grupo correspondiente; el almacenamiento negativo (consumo
+     * de bombeo o baterías) se contabiliza como demanda y el positivo como generación
+     *
+     * @param {Object} items - Acumulador con arrays generation, demand e interchange
+     * @param {string} category - Categoría devuelta por _getCategoryForGroup
+     * @param {Object} item - Item con type, value, percentage y color
+     * @private
+     */
+    static _pushBalanceItem(items, category, { type, value, percentage, color }) {
+        if (category === 'storage') {
+            const target = value < 0 ? items.demand : items.generation;
+            target.push({ type, value: Math.abs(value), percentage, color, unit: 'MW' });
+            return;
+        }
+
+        items[category].push({ type, value, percentage, color, unit: 'MW' });
+    }
+
+    /**
+     * Extrae los metadatos comunes de la respuesta de REE
+     *
+     * @param {Object} data - Nodo `data` de la respuesta
+     * @returns {Object} - Metadatos del balance
+     * @private
+     */
+    static _extractMetadata(data) {
+        return {
             title: data.attributes?.title || 'Balance Eléctrico',
             description: data.attributes?.description || '',
             source: 'REE API'
         };
+    }
 
+    /**
+     * Construye la entidad a partir de los items agrupados
+     *
+     * Los grupos vacíos se mantienen vacíos; es la validación de la ingesta la que
+     * marca el balance como incompleto.
+     *
+     * @param {Date|string} timestamp - Fecha y hora del balance
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @param {Object} items - Items agrupados en generation, demand e interchange
+     * @param {Object} metadata - Metadatos del balance
+     * @returns {ElectricBalance} - Nueva instancia de ElectricBalance
+     * @private
+     */
+    static _buildFromItems(timestamp, timeScope, region, items, metadata) {
         return new ElectricBalance({
             timestamp,
             timeScope,
-            generation,
-            demand,
-            interchange,
+            region,
+            generation: items.generation,
+            demand: items.demand,
+            interchange: items.interchange,
             metadata
         });
     }
@@ -0,0 +1,69 @@
+/**
+ * @file ElectricBalanceRevision.js
+ * @description Entidad de dominio que representa una versión de un balance eléctrico
+ */
+
+class ElectricBalanceRevision {
+    /**
+     * Crea una nueva instancia de ElectricBalanceRevision
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.balanceId - Identificador del balance eléctrico
+     * @param {number} params.version - Número de versión
+     * @param {Date} params.validFrom - Momento desde el que la versión fue la vigente
+     * @param {Date|null} params.supersededAt - Momento en que otra versión la sustituyó; null si es la vigente
+     * @param {import('./ElectricBalance')} params.electricBalance - Datos del balance en esta versión
+     */
+    constructor({
+                    balanceId,
+                    version,
+                    validFrom,
+                    supersededAt = null,
+                    electricBalance
+                }) {
+        this.balanceId = balanceId;
+        this.version = version;
+        this.validFrom = new Date(validFrom);
+        this.supersededAt = supersededAt ? new Date(supersededAt) : null;
+        this.electricBalance = electricBalance;
+    }
+
+    /**
+     * Indica si es la versión vigente del balance
+     *
+     * @returns {boolean} - true si ninguna versión posterior la ha sustituido
+     */
+    isCurrent() {
+        return this.supersededAt === null;
+    }
+
+    /**
+     * Indica si la versión era la vigente en un instante dado
+     *
+     * @param {Date} instant - Instante a comprobar
+     * @returns {boolean} - true si el instante está dentro de su intervalo de vigencia
+     */
+    wasValidAt(instant) {
+        const time = new Date(instant).getTime();
+
+        return this.validFrom.getTime() <= time &&
+            (this.supersededAt === null || time < this.supersededAt.getTime());
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos de la versión
+     */
+    toJSON() {
+        return {
+            balanceId: this.balanceId,
+            version: this.version,
+            validFrom: this.validFrom,
+            supersededAt: this.supersededAt,
+            electricBalance: this.electricBalance ? this.electricBalance.toJSON() : null
+        };
+    }
+}
+
+module.exports = ElectricBalanceRevision;
@@ -0,0 +1,70 @@
+/**
+ * @file FetchSchedule.js
+ * @description Entidad de dominio que representa la programación de la obtención de balances de un alcance temporal
+ */
+
+const { DEFAULT_BALANCE_SOURCE } = require('../constants/balanceSources');
+
+class FetchSchedule {
+    /**
+     * Crea una nueva instancia de FetchSchedule
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} params.cron - Expresión cron de las obtenciones programadas
+     * @param {number} params.historicalDays - Días de histórico que se cargan y se revisan en busca de huecos
+     * @param {boolean} params.enabled - Indica si el alcance temporal se obtiene de forma programada
+     * @param {string} params.source - Fuente de los balances (ree, file)
+     * @param {Date|null} params.updatedAt - Última modificación en tiempo de ejecución; null si es la configuración por defecto
+     */
+    constructor({
+                    timeScope,
+                    cron,
+                    historicalDays,
+                    enabled = true,
+                    source = DEFAULT_BALANCE_SOURCE,
+                    updatedAt = null
+                }) {
+        this.timeScope = timeScope;
+        this.cron = cron;
+        this.historicalDays = historicalDays;
+        this.enabled = enabled;
+        this.source = source || DEFAULT_BALANCE_SOURCE;
+        this.updatedAt = updatedAt ? new Date(updatedAt) : null;
+    }
+
+    /**
+     * Crea una copia con los cambios indicados
+     *
+     * @param {Object} changes - Campos a cambiar (cron, historicalDays, enabled, source)
+     * @returns {FetchSchedule} - Nueva programación
+     */
+    withChanges({ cron, historicalDays, enabled, source }) {
+        return new FetchSchedule({
+            timeScope: this.timeScope,
+            cron: cron !== undefined && cron !== null ? cron : this.cron,
+            historicalDays: historicalDays !== undefined && historicalDays !== null ? historicalDays : this.historicalDays,
+            enabled: enabled !== undefined && enabled !== null ? enabled : this.enabled,
+            source: source || this.source,
+            updatedAt: new Date()
+        });
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos de la programación
+     */
+    toJSON() {
+        return {
+            timeScope: this.timeScope,
+            cron: this.cron,
+            historicalDays: this.historicalDays,
+            enabled: this.enabled,
+            source: this.source,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = FetchSchedule;
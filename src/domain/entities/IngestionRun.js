@@ -0,0 +1,114 @@
+/**
+ * @file IngestionRun.js
+ * @description Entidad de dominio que representa una ejecución de ingesta de datos de REE
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+const { DATASETS } = require('../constants/datasets');
+const { INGESTION_TRIGGERS, INGESTION_RUN_STATUSES } = require('../constants/ingestionRuns');
+
+class IngestionRun {
+    /**
+     * Crea una nueva instancia de IngestionRun
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único de la ejecución
+     * @param {string} params.dataset - Conjunto de datos ingerido
+     * @param {string} params.trigger - Origen de la ejecución (scheduled, initial, retry, manual, backfill, api, seed)
+     * @param {string} params.timeScope - Alcance temporal solicitado
+     * @param {string} params.region - Ámbito geográfico solicitado
+     * @param {string|null} params.source - Fuente de los datos (ree, file); null si no aplica
+     * @param {Date} params.startDate - Inicio del rango solicitado
+     * @param {Date} params.endDate - Fin del rango solicitado
+     * @param {string} params.status - Estado final (success, partial, skipped, failed)
+     * @param {number} params.savedCount - Registros guardados
+     * @param {number} params.skippedCount - Registros que ya existían y no se guardaron
+     * @param {number} params.quarantinedCount - Registros enviados a cuarentena
+     * @param {number} params.failedChunkCount - Peticiones parciales a REE que fallaron
+     * @param {Date} params.startedAt - Inicio de la ejecución
+     * @param {Date} params.finishedAt - Fin de la ejecución
+     * @param {string|null} params.error - Mensaje de error si la ejecución falló
+     */
+    constructor({
+                    id = null,
+                    dataset = DATASETS.ELECTRIC_BALANCE,
+                    trigger = INGESTION_TRIGGERS.MANUAL,
+                    timeScope,
+                    region = DEFAULT_REGION,
+                    source = null,
+                    startDate = null,
+                    endDate = null,
+                    status,
+                    savedCount = 0,
+                    skippedCount = 0,
+                    quarantinedCount = 0,
+                    failedChunkCount = 0,
+                    startedAt,
+                    finishedAt = new Date(),
+                    error = null
+                }) {
+        this.id = id;
+        this.dataset = dataset;
+        this.trigger = trigger;
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.source = source;
+        this.startDate = startDate ? new Date(startDate) : null;
+        this.endDate = endDate ? new Date(endDate) : null;
+        this.status = status;
+        this.savedCount = savedCount || 0;
+        this.skippedCount = skippedCount || 0;
+        this.quarantinedCount = quarantinedCount || 0;
+        this.failedChunkCount = failedChunkCount || 0;
+        this.startedAt = new Date(startedAt);
+        this.finishedAt = new Date(finishedAt);
+        this.error = error;
+    }
+
+    /**
+     * Calcula la duración de la ejecución
+     *
+     * @returns {number} - Duración en milisegundos
+     */
+    getDurationMs() {
+        return Math.max(this.finishedAt.getTime() - this.startedAt.getTime(), 0);
+    }
+
+    /**
+     * Indica si la ejecución terminó sin errores
+     *
+     * @returns {boolean} - true si todos los datos solicitados se obtuvieron
+     */
+    isSuccessful() {
+        return this.status === INGESTION_RUN_STATUSES.SUCCESS;
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos de la ejecución
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            dataset: this.dataset,
+            trigger: this.trigger,
+            timeScope: this.timeScope,
+            region: this.region,
+            source: this.source,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            status: this.status,
+            savedCount: this.savedCount,
+            skippedCount: this.skippedCount,
+            quarantinedCount: this.quarantinedCount,
+            failedChunkCount: this.failedChunkCount,
+            durationMs: this.getDurationMs(),
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            error: this.error
+        };
+    }
+}
+
+module.exports = IngestionRun;
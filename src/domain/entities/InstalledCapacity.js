@@ -0,0 +1,163 @@
+/**
+ * @file InstalledCapacity.js
+ * @description Entidad de dominio que representa la potencia instalada por tecnología
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+const { isAggregateTechnology } = require('../constants/technologies');
+
+class InstalledCapacity {
+    /**
+     * Crea una nueva instancia de InstalledCapacity
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {Date} params.timestamp - Mes (o año) al que corresponde la potencia
+     * @param {string} params.timeScope - Alcance temporal de los datos (month, year)
+     * @param {string} params.region - Ámbito geográfico
+     * @param {Array} params.byTechnology - Potencia instalada por tecnología en MW
+     * @param {Date} params.createdAt - Fecha de creación del registro
+     * @param {Date} params.updatedAt - Fecha de última actualización del registro
+     * @param {Object} params.metadata - Metadatos adicionales
+     */
+    constructor({
+                    id = null,
+                    timestamp,
+                    timeScope = 'month',
+                    region = DEFAULT_REGION,
+                    byTechnology = [],
+                    createdAt = new Date(),
+                    updatedAt = new Date(),
+                    metadata = {}
+                }) {
+        this.id = id;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.byTechnology = byTechnology.map(item => ({
+            type: item.type || '',
+            value: Number.isFinite(parseFloat(item.value)) ? parseFloat(item.value) : 0,
+            percentage: parseFloat(item.percentage || 0),
+            color: item.color || null,
+            unit: 'MW'
+        }));
+        this.createdAt = new Date(createdAt);
+        this.updatedAt = new Date(updatedAt);
+        this.metadata = metadata;
+    }
+
+    /**
+     * Calcula la potencia instalada total sumando todas las tecnologías
+     *
+     * @returns {number} - Potencia total en MW
+     */
+    getTotalCapacity() {
+        const total = this.byTechnology.reduce((sum, item) => sum + item.value, 0);
+        return Number.isFinite(total) ? total : 0;
+    }
+
+    /**
+     * Obtiene la potencia instalada de una tecnología
+     *
+     * @param {string} type - Tecnología de generación
+     * @returns {number|null} - Potencia en MW o null si no hay dato
+     */
+    getCapacityForType(type) {
+        const item = this.byTechnology.find(technology => technology.type === type);
+        return item ? item.value : null;
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con la potencia instalada
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            region: this.region,
+            byTechnology: this.byTechnology,
+            totalCapacity: this.getTotalCapacity(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            metadata: this.metadata
+        };
+    }
+
+    /**
+     * Crea una instancia de InstalledCapacity por cada punto temporal de la respuesta de REE
+     *
+     * El widget `generacion/potencia-instalada` devuelve un elemento de `included`
+     * por tecnología (o agrupados en `attributes.content[]`). Se descarta la
+     * potencia total que REE añade para no contarla dos veces.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [timeScope] - Alcance temporal; por defecto el `time-trunc` de la respuesta
+     * @param {string} [region] - Ámbito geográfico consultado
+     * @returns {Array<InstalledCapacity>} - Potencias ordenadas por timestamp ascendente
+     */
+    static fromREEApiResponseSeries(apiResponse, timeScope, region = DEFAULT_REGION) {
+        if (!apiResponse || !apiResponse.data) {
+            throw new Error('Invalid API response format');
+        }
+
+        const { data, included } = apiResponse;
+        const scope = timeScope || data.attributes?.['time-trunc'] || 'month';
+        const metadata = {
+            title: data.attributes?.title || 'Potencia instalada',
+            description: data.attributes?.description || '',
+            source: 'REE API'
+        };
+
+        const technologies = [];
+
+        for (const item of Array.isArray(included) ? included : []) {
+            if (Array.isArray(item?.attributes?.content)) {
+                technologies.push(...item.attributes.content);
+            } else if (item) {
+                technologies.push(item);
+            }
+        }
+
+        const itemsByTimestamp = new Map();
+
+        for (const technology of technologies) {
+            const type = technology.type || technology.attributes?.title;
+            const values = technology.attributes?.values;
+
+            if (!type || !Array.isArray(values) || isAggregateTechnology(type)) continue;
+
+            const color = technology.attributes?.color || null;
+
+            for (const valueObj of values) {
+                const time = new Date(valueObj?.datetime).getTime();
+                if (!Number.isFinite(time)) continue;
+
+                if (!itemsByTimestamp.has(time)) {
+                    itemsByTimestamp.set(time, []);
+                }
+
+                itemsByTimestamp.get(time).push({
+                    type,
+                    value: valueObj.value,
+                    percentage: valueObj.percentage,
+                    color
+                });
+            }
+        }
+
+        return [...itemsByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => new InstalledCapacity({
+                timestamp: new Date(time),
+                timeScope: scope,
+                region,
+                byTechnology: itemsByTimestamp.get(time),
+                metadata: { ...metadata }
+            }));
+    }
+}
+
+module.exports = InstalledCapacity;
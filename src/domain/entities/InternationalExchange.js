@@ -0,0 +1,214 @@
+/**
+ * @file InternationalExchange.js
+ * @description Entidad de dominio que representa los intercambios internacionales por frontera
+ *
+ * Importaciones y exportaciones se guardan como magnitudes positivas en MWh.
+ * El saldo (`net`) es importación menos exportación: positivo cuando España
+ * importa energía por esa frontera y negativo cuando la exporta.
+ */
+
+const { BORDERS } = require('../constants/borders');
+
+class InternationalExchange {
+    /**
+     * Crea una nueva instancia de InternationalExchange
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {Date} params.timestamp - Fecha a la que corresponden los intercambios
+     * @param {string} params.timeScope - Alcance temporal de los datos (hour, day, month, year)
+     * @param {Array} params.borders - Intercambios por frontera ({ border, import, export, net })
+     * @param {Date} params.createdAt - Fecha de creación del registro
+     * @param {Date} params.updatedAt - Fecha de última actualización del registro
+     * @param {Object} params.metadata - Metadatos adicionales
+     */
+    constructor({
+                    id = null,
+                    timestamp,
+                    timeScope = 'day',
+                    borders = [],
+                    createdAt = new Date(),
+                    updatedAt = new Date(),
+                    metadata = {}
+                }) {
+        this.id = id;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.borders = borders.map(item => InternationalExchange._normalizeBorder(item));
+        this.createdAt = new Date(createdAt);
+        this.updatedAt = new Date(updatedAt);
+        this.metadata = metadata;
+    }
+
+    /**
+     * Obtiene los intercambios de una frontera
+     *
+     * @param {string} border - Frontera
+     * @returns {Object|null} - { border, import, export, net } o null si no hay datos
+     */
+    getBorder(border) {
+        return this.borders.find(item => item.border === border) || null;
+    }
+
+    /**
+     * Calcula el total importado por todas las fronteras
+     *
+     * @returns {number} - Importaciones en MWh
+     */
+    getTotalImports() {
+        return this.borders.reduce((sum, item) => sum + item.import, 0);
+    }
+
+    /**
+     * Calcula el total exportado por todas las fronteras
+     *
+     * @returns {number} - Exportaciones en MWh
+     */
+    getTotalExports() {
+        return this.borders.reduce((sum, item) => sum + item.export, 0);
+    }
+
+    /**
+     * Calcula el saldo neto de todas las fronteras
+     *
+     * @returns {number} - Saldo en MWh (positivo si España es importadora neta)
+     */
+    getNetPosition() {
+        return this.borders.reduce((sum, item) => sum + item.net, 0);
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los intercambios
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            borders: this.borders,
+            totalImports: this.getTotalImports(),
+            totalExports: this.getTotalExports(),
+            netPosition: this.getNetPosition(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            metadata: this.metadata
+        };
+    }
+
+    /**
+     * Crea una instancia por cada punto temporal a partir de las respuestas de REE de cada frontera
+     *
+     * Cada widget `intercambios/<frontera>-frontera` devuelve un elemento de `included`
+     * para la exportación, otro para la importación y otro para el saldo (en algunos
+     * casos agrupados en `attributes.content[]`). REE publica la exportación con signo
+     * negativo; aquí se almacena su valor absoluto. Si falta el saldo se calcula.
+     *
+     * @param {Object<string, Object>} responsesByBorder - Respuesta de la API indexada por frontera
+     * @param {string} timeScope - Alcance temporal
+     * @returns {Array<InternationalExchange>} - Intercambios ordenados por timestamp ascendente
+     */
+    static fromREEBorderResponses(responsesByBorder, timeScope) {
+        const bordersByTimestamp = new Map();
+        let metadata = null;
+
+        for (const [border, apiResponse] of Object.entries(responsesByBorder || {})) {
+            if (!apiResponse || !apiResponse.data) continue;
+
+            if (!metadata) {
+                metadata = {
+                    title: 'Intercambios internacionales por frontera',
+                    description: apiResponse.data.attributes?.description || '',
+                    source: 'REE API'
+                };
+            }
+
+            const items = [];
+
+            for (const item of Array.isArray(apiResponse.included) ? apiResponse.included : []) {
+                if (Array.isArray(item?.attributes?.content)) {
+                    items.push(...item.attributes.content);
+                } else if (item) {
+                    items.push(item);
+                }
+            }
+
+            for (const item of items) {
+                const field = InternationalExchange._classifyFlow(item.type || item.attributes?.title);
+                const values = item.attributes?.values;
+
+                if (!field || !Array.isArray(values)) continue;
+
+                for (const valueObj of values) {
+                    const time = new Date(valueObj?.datetime).getTime();
+                    const value = parseFloat(valueObj?.value);
+                    if (!Number.isFinite(time) || !Number.isFinite(value)) continue;
+
+                    if (!bordersByTimestamp.has(time)) {
+                        bordersByTimestamp.set(time, new Map());
+                    }
+
+                    const entries = bordersByTimestamp.get(time);
+                    if (!entries.has(border)) {
+                        entries.set(border, { border, import: 0, export: 0, net: null });
+                    }
+
+                    entries.get(border)[field] = field === 'net' ? value : Math.abs(value);
+                }
+            }
+        }
+
+        return [...bordersByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => new InternationalExchange({
+                timestamp: new Date(time),
+                timeScope,
+                borders: [...bordersByTimestamp.get(time).values()]
+                    .sort((a, b) => BORDERS.indexOf(a.border) - BORDERS.indexOf(b.border)),
+                metadata: { ...metadata }
+            }));
+    }
+
+    /**
+     * Normaliza los intercambios de una frontera
+     *
+     * @param {Object} item - Intercambios de la frontera
+     * @returns {Object} - { border, import, export, net } con valores numéricos
+     * @private
+     */
+    static _normalizeBorder(item) {
+        const toNumber = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : 0);
+        const importValue = Math.abs(toNumber(item.import));
+        const exportValue = Math.abs(toNumber(item.export));
+        const net = item.net === null || item.net === undefined || !Number.isFinite(parseFloat(item.net))
+            ? importValue - exportValue
+            : parseFloat(item.net);
+
+        return {
+            border: item.border,
+            import: importValue,
+            export: exportValue,
+            net
+        };
+    }
+
+    /**
+     * Identifica el flujo al que corresponde un elemento de la respuesta
+     *
+     * @param {string} type - Tipo del elemento
+     * @returns {string|null} - import, export, net o null si no se reconoce
+     * @private
+     */
+    static _classifyFlow(type) {
+        const value = String(type || '').trim().toLowerCase();
+
+        if (value.startsWith('import')) return 'import';
+        if (value.startsWith('export')) return 'export';
+        if (value.startsWith('saldo')) return 'net';
+
+        return null;
+    }
+}
+
+module.exports = InternationalExchange;
@@ -0,0 +1,184 @@
+/**
+ * @file MarketPrice.js
+ * @description Entidad de dominio que representa los precios del mercado eléctrico
+ */
+
+/**
+ * Identificadores de los indicadores de precio en la respuesta de REE
+ */
+const REE_PRICE_INDICATORS = {
+    '1001': 'pvpc',
+    '600': 'spot'
+};
+
+class MarketPrice {
+    /**
+     * Crea una nueva instancia de MarketPrice
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {Date} params.timestamp - Fecha y hora a la que corresponden los precios
+     * @param {string} params.timeScope - Alcance temporal de los datos (hour, day, month, year)
+     * @param {number|null} params.pvpc - Precio voluntario para el pequeño consumidor (€/MWh)
+     * @param {number|null} params.spot - Precio del mercado diario (€/MWh)
+     * @param {string} params.unit - Unidad de los precios
+     * @param {Date} params.createdAt - Fecha de creación del registro
+     * @param {Date} params.updatedAt - Fecha de última actualización del registro
+     * @param {Object} params.metadata - Metadatos adicionales
+     */
+    constructor({
+                    id = null,
+                    timestamp,
+                    timeScope = 'hour',
+                    pvpc = null,
+                    spot = null,
+                    unit = '€/MWh',
+                    createdAt = new Date(),
+                    updatedAt = new Date(),
+                    metadata = {}
+                }) {
+        this.id = id;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.pvpc = MarketPrice._parsePrice(pvpc);
+        this.spot = MarketPrice._parsePrice(spot);
+        this.unit = unit;
+        this.createdAt = new Date(createdAt);
+        this.updatedAt = new Date(updatedAt);
+        this.metadata = metadata;
+    }
+
+    /**
+     * Calcula la diferencia entre el PVPC y el precio spot
+     *
+     * @returns {number|null} - Diferencia en €/MWh o null si falta alguno de los precios
+     */
+    getSpread() {
+        if (this.pvpc === null || this.spot === null) {
+            return null;
+        }
+
+        return this.pvpc - this.spot;
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los precios
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            pvpc: this.pvpc,
+            spot: this.spot,
+            spread: this.getSpread(),
+            unit: this.unit,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            metadata: this.metadata
+        };
+    }
+
+    /**
+     * Crea una instancia de MarketPrice por cada punto temporal de la respuesta de REE
+     *
+     * El widget `mercados/precios-mercados-tiempo-real` devuelve un elemento de
+     * `included` por indicador (PVPC y spot) con sus valores en `attributes.values`;
+     * se agrupan por `datetime` para obtener un registro por hora con ambos precios.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [timeScope] - Alcance temporal; por defecto el `time-trunc` de la respuesta
+     * @returns {Array<MarketPrice>} - Precios ordenados por timestamp ascendente
+     */
+    static fromREEApiResponseSeries(apiResponse, timeScope) {
+        if (!apiResponse || !apiResponse.data) {
+            throw new Error('Invalid API response format');
+        }
+
+        const { data, included } = apiResponse;
+        const scope = timeScope || data.attributes?.['time-trunc'] || 'hour';
+        const metadata = {
+            title: data.attributes?.title || 'Precios mercado peninsular en tiempo real',
+            description: data.attributes?.description || '',
+            source: 'REE API'
+        };
+
+        const pricesByTimestamp = new Map();
+
+        for (const indicator of Array.isArray(included) ? included : []) {
+            const field = MarketPrice._getFieldForIndicator(indicator);
+            const values = indicator?.attributes?.values;
+
+            if (!field || !Array.isArray(values)) continue;
+
+            for (const valueObj of values) {
+                const time = new Date(valueObj?.datetime).getTime();
+                if (!Number.isFinite(time)) continue;
+
+                if (!pricesByTimestamp.has(time)) {
+                    pricesByTimestamp.set(time, {});
+                }
+
+                pricesByTimestamp.get(time)[field] = valueObj.value;
+            }
+        }
+
+        return [...pricesByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => new MarketPrice({
+                timestamp: new Date(time),
+                timeScope: scope,
+                ...pricesByTimestamp.get(time),
+                metadata: { ...metadata }
+            }));
+    }
+
+    /**
+     * Determina a qué precio corresponde un indicador de la respuesta de REE
+     *
+     * @param {Object} indicator - Elemento de `included` de la respuesta
+     * @returns {string|null} - pvpc, spot o null si no aplica
+     * @private
+     */
+    static _getFieldForIndicator(indicator) {
+        if (!indicator) {
+            return null;
+        }
+
+        if (REE_PRICE_INDICATORS[indicator.id]) {
+            return REE_PRICE_INDICATORS[indicator.id];
+        }
+
+        const type = String(indicator.type || indicator.attributes?.title || '').toLowerCase();
+
+        if (type.includes('pvpc')) {
+            return 'pvpc';
+        }
+
+        if (type.includes('spot')) {
+            return 'spot';
+        }
+
+        return null;
+    }
+
+    /**
+     * Convierte un precio a número, devolviendo null si no es válido
+     *
+     * @param {*} value - Valor a convertir
+     * @returns {number|null} - Precio numérico o null
+     * @private
+     */
+    static _parsePrice(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        const price = parseFloat(value);
+        return Number.isFinite(price) ? price : null;
+    }
+}
+
+module.exports = MarketPrice;
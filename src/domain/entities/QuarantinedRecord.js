@@ -0,0 +1,87 @@
+/**
+ * @file QuarantinedRecord.js
+ * @description Entidad de dominio que representa un registro ingerido que no superó la validación
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+
+class QuarantinedRecord {
+    /**
+     * Crea una nueva instancia de QuarantinedRecord
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {string} params.dataset - Conjunto de datos al que pertenece el registro
+     * @param {Date} params.timestamp - Fecha y hora a la que corresponden los datos
+     * @param {string} params.timeScope - Alcance temporal de los datos
+     * @param {string} params.region - Ámbito geográfico
+     * @param {Object} params.record - Registro tal como se construyó a partir de la respuesta
+     * @param {Array} params.qualityFlags - Indicadores de calidad que motivaron la cuarentena
+     * @param {string} params.source - Origen de los datos
+     * @param {Date} params.quarantinedAt - Momento en que se puso en cuarentena
+     */
+    constructor({
+                    id = null,
+                    dataset,
+                    timestamp,
+                    timeScope,
+                    region = DEFAULT_REGION,
+                    record = {},
+                    qualityFlags = [],
+                    source = 'REE API',
+                    quarantinedAt = new Date()
+                }) {
+        this.id = id;
+        this.dataset = dataset;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.record = record || {};
+        this.qualityFlags = qualityFlags || [];
+        this.source = source;
+        this.quarantinedAt = new Date(quarantinedAt);
+    }
+
+    /**
+     * Crea un registro en cuarentena a partir de una entidad con indicadores de calidad
+     *
+     * @param {string} dataset - Conjunto de datos de la entidad
+     * @param {Object} entity - Entidad con timestamp, timeScope, region, qualityFlags y toJSON
+     * @returns {QuarantinedRecord} - Nueva instancia de QuarantinedRecord
+     */
+    static fromEntity(dataset, entity) {
+        // El ID y los indicadores de calidad se guardan aparte del registro
+        const { id: _id, qualityFlags: _qualityFlags, ...record } = entity.toJSON();
+
+        return new QuarantinedRecord({
+            dataset,
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region,
+            record,
+            qualityFlags: entity.qualityFlags,
+            source: entity.metadata?.source || 'REE API'
+        });
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos del registro
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            dataset: this.dataset,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            region: this.region,
+            record: this.record,
+            qualityFlags: this.qualityFlags,
+            source: this.source,
+            quarantinedAt: this.quarantinedAt
+        };
+    }
+}
+
+module.exports = QuarantinedRecord;
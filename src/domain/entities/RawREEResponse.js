@@ -0,0 +1,77 @@
+/**
+ * @file RawREEResponse.js
+ * @description Entidad de dominio que representa una respuesta de REE archivada tal cual se recibió
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+
+class RawREEResponse {
+    /**
+     * Crea una nueva instancia de RawREEResponse
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {string} params.dataset - Conjunto de datos al que pertenece la respuesta
+     * @param {string} params.endpoint - Ruta del widget de REE consultado
+     * @param {Object} params.params - Parámetros de la petición (start_date, end_date, time_trunc, geo_*)
+     * @param {string} params.timeScope - Granularidad solicitada
+     * @param {string} params.region - Ámbito geográfico consultado
+     * @param {Date} params.fetchedAt - Momento en que se recibió la respuesta
+     * @param {Object} [params.payload] - Cuerpo JSON de la respuesta; ausente en los listados
+     * @param {number} params.sizeBytes - Tamaño del cuerpo sin comprimir
+     * @param {number} params.compressedBytes - Tamaño del cuerpo comprimido
+     */
+    constructor({
+                    id = null,
+                    dataset,
+                    endpoint,
+                    params = {},
+                    timeScope,
+                    region = DEFAULT_REGION,
+                    fetchedAt = new Date(),
+                    payload = null,
+                    sizeBytes = 0,
+                    compressedBytes = 0
+                }) {
+        this.id = id;
+        this.dataset = dataset;
+        this.endpoint = endpoint;
+        this.params = params || {};
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.fetchedAt = new Date(fetchedAt);
+        this.payload = payload;
+        this.sizeBytes = sizeBytes;
+        this.compressedBytes = compressedBytes;
+    }
+
+    /**
+     * Indica si la entidad incluye el cuerpo de la respuesta
+     *
+     * @returns {boolean} - true si el payload está cargado
+     */
+    hasPayload() {
+        return this.payload !== null && this.payload !== undefined;
+    }
+
+    /**
+     * Obtiene los datos en formato plano, sin el cuerpo de la respuesta
+     *
+     * @returns {Object} - Objeto plano con los metadatos de la respuesta
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            dataset: this.dataset,
+            endpoint: this.endpoint,
+            params: this.params,
+            timeScope: this.timeScope,
+            region: this.region,
+            fetchedAt: this.fetchedAt,
+            sizeBytes: this.sizeBytes,
+            compressedBytes: this.compressedBytes
+        };
+    }
+}
+
+module.exports = RawREEResponse;
@@ -0,0 +1,202 @@
+/**
+ * @file RealTimeDemand.js
+ * @description Entidad de dominio que representa la demanda real, prevista y programada
+ *
+ * REE publica la demanda en tiempo real cada diez minutos junto con la
+ * previsión y la programación para ese mismo instante, en MW.
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+const { TEN_MINUTE_TIME_SCOPE } = require('../constants/timeScopes');
+
+/**
+ * Identificadores de REE de cada serie de la demanda en tiempo real
+ */
+const SERIES_BY_ID = {
+    '1293': 'real',
+    '544': 'forecast',
+    '545': 'programmed'
+};
+
+class RealTimeDemand {
+    /**
+     * Crea una nueva instancia de RealTimeDemand
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único del registro
+     * @param {Date} params.timestamp - Instante al que corresponde la demanda
+     * @param {string} params.timeScope - Alcance temporal de los datos (10min)
+     * @param {string} params.region - Ámbito geográfico
+     * @param {number|null} params.real - Demanda real en MW
+     * @param {number|null} params.forecast - Demanda prevista en MW
+     * @param {number|null} params.programmed - Demanda programada en MW
+     * @param {Date} params.createdAt - Fecha de creación del registro
+     * @param {Date} params.updatedAt - Fecha de última actualización del registro
+     * @param {Object} params.metadata - Metadatos adicionales
+     */
+    constructor({
+                    id = null,
+                    timestamp,
+                    timeScope = TEN_MINUTE_TIME_SCOPE,
+                    region = DEFAULT_REGION,
+                    real = null,
+                    forecast = null,
+                    programmed = null,
+                    createdAt = new Date(),
+                    updatedAt = new Date(),
+                    metadata = {}
+                }) {
+        this.id = id;
+        this.timestamp = new Date(timestamp);
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.real = RealTimeDemand._toNumberOrNull(real);
+        this.forecast = RealTimeDemand._toNumberOrNull(forecast);
+        this.programmed = RealTimeDemand._toNumberOrNull(programmed);
+        this.createdAt = new Date(createdAt);
+        this.updatedAt = new Date(updatedAt);
+        this.metadata = metadata;
+    }
+
+    /**
+     * Calcula el error de la previsión (real menos prevista)
+     *
+     * @returns {number|null} - Error en MW o null si falta alguno de los dos valores
+     */
+    getForecastError() {
+        if (this.real === null || this.forecast === null) {
+            return null;
+        }
+
+        return this.real - this.forecast;
+    }
+
+    /**
+     * Calcula el error porcentual de la previsión respecto a la demanda real
+     *
+     * @returns {number|null} - Error en porcentaje o null si no se puede calcular
+     */
+    getForecastErrorPercentage() {
+        const error = this.getForecastError();
+
+        if (error === null || this.real === 0) {
+            return null;
+        }
+
+        return (error / this.real) * 100;
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con la demanda
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            timeScope: this.timeScope,
+            region: this.region,
+            real: this.real,
+            forecast: this.forecast,
+            programmed: this.programmed,
+            forecastError: this.getForecastError(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            metadata: this.metadata
+        };
+    }
+
+    /**
+     * Crea una instancia de RealTimeDemand por cada instante de la respuesta de REE
+     *
+     * El widget `demanda/demanda-tiempo-real` devuelve un elemento de `included` por
+     * serie (real, prevista y programada). Se identifican por id y, si no coincide,
+     * por el texto del tipo.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @param {string} [region] - Ámbito geográfico consultado
+     * @returns {Array<RealTimeDemand>} - Demandas ordenadas por timestamp ascendente
+     */
+    static fromREEApiResponseSeries(apiResponse, region = DEFAULT_REGION) {
+        if (!apiResponse || !apiResponse.data) {
+            throw new Error('Invalid API response format');
+        }
+
+        const { data, included } = apiResponse;
+        const metadata = {
+            title: data.attributes?.title || 'Demanda en tiempo real',
+            description: data.attributes?.description || '',
+            source: 'REE API'
+        };
+
+        const valuesByTimestamp = new Map();
+
+        for (const series of Array.isArray(included) ? included : []) {
+            const field = RealTimeDemand._getSeriesField(series);
+            const values = series?.attributes?.values;
+
+            if (!field || !Array.isArray(values)) continue;
+
+            for (const valueObj of values) {
+                const time = new Date(valueObj?.datetime).getTime();
+                if (!Number.isFinite(time)) continue;
+
+                if (!valuesByTimestamp.has(time)) {
+                    valuesByTimestamp.set(time, {});
+                }
+
+                valuesByTimestamp.get(time)[field] = valueObj.value;
+            }
+        }
+
+        return [...valuesByTimestamp.keys()]
+            .sort((a, b) => a - b)
+            .map(time => new RealTimeDemand({
+                timestamp: new Date(time),
+                timeScope: TEN_MINUTE_TIME_SCOPE,
+                region,
+                ...valuesByTimestamp.get(time),
+                metadata: { ...metadata }
+            }));
+    }
+
+    /**
+     * Identifica la serie a la que corresponde un elemento de la respuesta
+     *
+     * @param {Object} series - Elemento de `included`
+     * @returns {string|null} - real, forecast, programmed o null si no se reconoce
+     * @private
+     */
+    static _getSeriesField(series) {
+        if (!series) return null;
+
+        if (SERIES_BY_ID[String(series.id)]) {
+            return SERIES_BY_ID[String(series.id)];
+        }
+
+        const type = String(series.type || series.attributes?.title || '').toLowerCase();
+
+        if (type.includes('real')) return 'real';
+        if (type.includes('prevista')) return 'forecast';
+        if (type.includes('programada')) return 'programmed';
+
+        return null;
+    }
+
+    /**
+     * Convierte un valor a número o null si no es numérico
+     *
+     * @param {*} value - Valor a convertir
+     * @returns {number|null} - Número o null
+     * @private
+     */
+    static _toNumberOrNull(value) {
+        if (value === null || value === undefined) return null;
+
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+}
+
+module.exports = RealTimeDemand;
@@ -0,0 +1,71 @@
+/**
+ * @file SchedulerLock.js
+ * @description Entidad de dominio que representa la concesión temporal de una tarea programada
+ *
+ * Cuando la API se despliega en varias réplicas, solo la que tiene la concesión
+ * de una tarea la ejecuta. La concesión caduca si no se renueva, de modo que
+ * otra réplica puede tomarla si la titular se cae.
+ */
+
+class SchedulerLock {
+    /**
+     * Crea una nueva instancia de SchedulerLock
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.name - Nombre de la tarea protegida
+     * @param {string} params.holderId - Identificador de la réplica titular
+     * @param {Date} params.acquiredAt - Momento en que la réplica obtuvo la concesión
+     * @param {Date} params.renewedAt - Última renovación
+     * @param {Date} params.expiresAt - Momento en que caduca si no se renueva
+     */
+    constructor({
+                    name,
+                    holderId,
+                    acquiredAt,
+                    renewedAt,
+                    expiresAt
+                }) {
+        this.name = name;
+        this.holderId = holderId;
+        this.acquiredAt = new Date(acquiredAt);
+        this.renewedAt = new Date(renewedAt);
+        this.expiresAt = new Date(expiresAt);
+    }
+
+    /**
+     * Indica si la concesión pertenece a una réplica
+     *
+     * @param {string} holderId - Identificador de la réplica
+     * @returns {boolean} - true si la réplica es la titular
+     */
+    isHeldBy(holderId) {
+        return this.holderId === holderId;
+    }
+
+    /**
+     * Indica si la concesión ha caducado
+     *
+     * @param {Date} [now=new Date()] - Instante de referencia
+     * @returns {boolean} - true si ya no protege la tarea
+     */
+    isExpired(now = new Date()) {
+        return this.expiresAt.getTime() <= new Date(now).getTime();
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos de la concesión
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            holderId: this.holderId,
+            acquiredAt: this.acquiredAt,
+            renewedAt: this.renewedAt,
+            expiresAt: this.expiresAt
+        };
+    }
+}
+
+module.exports = SchedulerLock;
@@ -0,0 +1,185 @@
+/**
+ * @file SeedCheckpoint.js
+ * @description Entidad de dominio que representa el avance de una carga de histórico de balances
+ *
+ * Cada carga se identifica por su alcance temporal, región y rango. Guarda los
+ * tramos en que se divide y cuáles terminaron, de modo que si se interrumpe se
+ * puede reanudar sin volver a pedir lo ya cargado.
+ */
+
+const { DEFAULT_REGION } = require('../constants/regions');
+const { SEED_STATUSES, SEED_CHUNK_STATUSES } = require('../constants/seedCheckpoints');
+
+class SeedCheckpoint {
+    /**
+     * Crea una nueva instancia de SeedCheckpoint
+     *
+     * @param {Object} params - Parámetros para crear la entidad
+     * @param {string} params.id - Identificador único de la carga
+     * @param {string} params.timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} params.region - Ámbito geográfico
+     * @param {Date} params.startDate - Inicio del rango
+     * @param {Date} params.endDate - Fin del rango
+     * @param {Array<Object>} params.chunks - Tramos { startDate, endDate, status, savedCount, durationMs, attempts, error, completedAt }
+     * @param {Date} params.startedAt - Inicio de la carga
+     * @param {Date} params.updatedAt - Último avance registrado
+     * @param {Date|null} params.completedAt - Momento en que terminaron todos los tramos
+     */
+    constructor({
+                    id = null,
+                    timeScope,
+                    region = DEFAULT_REGION,
+                    startDate,
+                    endDate,
+                    chunks = [],
+                    startedAt = new Date(),
+                    updatedAt = null,
+                    completedAt = null
+                }) {
+        this.id = id;
+        this.timeScope = timeScope;
+        this.region = region || DEFAULT_REGION;
+        this.startDate = new Date(startDate);
+        this.endDate = new Date(endDate);
+        this.chunks = chunks.map(chunk => ({
+            startDate: new Date(chunk.startDate),
+            endDate: new Date(chunk.endDate),
+            status: chunk.status || SEED_CHUNK_STATUSES.PENDING,
+            savedCount: chunk.savedCount || 0,
+            durationMs: chunk.durationMs || 0,
+            attempts: chunk.attempts || 0,
+            error: chunk.error || null,
+            completedAt: chunk.completedAt ? new Date(chunk.completedAt) : null
+        }));
+        this.startedAt = new Date(startedAt);
+        this.updatedAt = updatedAt ? new Date(updatedAt) : new Date(this.startedAt);
+        this.completedAt = completedAt ? new Date(completedAt) : null;
+    }
+
+    /**
+     * Obtiene el estado de la carga
+     *
+     * @returns {string} - completed si todos los tramos terminaron, in_progress si no
+     */
+    getStatus() {
+        return this.isComplete() ? SEED_STATUSES.COMPLETED : SEED_STATUSES.IN_PROGRESS;
+    }
+
+    /**
+     * Indica si todos los tramos terminaron
+     *
+     * @returns {boolean} - true si no queda ningún tramo por cargar
+     */
+    isComplete() {
+        return this.chunks.every(chunk => chunk.status === SEED_CHUNK_STATUSES.COMPLETED);
+    }
+
+    /**
+     * Obtiene las posiciones de los tramos que faltan por cargar, incluidos los que fallaron
+     *
+     * @returns {Array<number>} - Posiciones de los tramos pendientes, en orden
+     */
+    getPendingChunkIndexes() {
+        return this.chunks
+            .map((chunk, index) => (chunk.status === SEED_CHUNK_STATUSES.COMPLETED ? null : index))
+            .filter(index => index !== null);
+    }
+
+    /**
+     * Marca un tramo como cargado
+     *
+     * @param {number} index - Posición del tramo
+     * @param {Object} result - Resultado del tramo
+     * @param {number} [result.savedCount=0] - Registros guardados
+     * @param {number} [result.durationMs=0] - Duración de la carga del tramo
+     */
+    completeChunk(index, { savedCount = 0, durationMs = 0 } = {}) {
+        const now = new Date();
+
+        Object.assign(this.chunks[index], {
+            status: SEED_CHUNK_STATUSES.COMPLETED,
+            savedCount,
+            durationMs,
+            attempts: this.chunks[index].attempts + 1,
+            error: null,
+            completedAt: now
+        });
+
+        this.updatedAt = now;
+        this.completedAt = this.isComplete() ? now : null;
+    }
+
+    /**
+     * Marca un tramo como fallido para que se vuelva a intentar al reanudar
+     *
+     * @param {number} index - Posición del tramo
+     * @param {Object} result - Resultado del tramo
+     * @param {string} result.error - Motivo del fallo
+     * @param {number} [result.durationMs=0] - Duración del intento
+     */
+    failChunk(index, { error, durationMs = 0 }) {
+        Object.assign(this.chunks[index], {
+            status: SEED_CHUNK_STATUSES.FAILED,
+            durationMs,
+            attempts: this.chunks[index].attempts + 1,
+            error
+        });
+
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Calcula el avance de la carga y el tiempo estimado hasta terminarla
+     *
+     * La estimación usa la duración media de los tramos ya cargados; no hay
+     * estimación hasta que termina el primero.
+     *
+     * @param {Date} [now=new Date()] - Momento desde el que se estima el final
+     * @returns {Object} - { totalChunks, completedChunks, failedChunks, remainingChunks, percentComplete, savedCount, etaSeconds, estimatedCompletionAt, lastError }
+     */
+    getProgress(now = new Date()) {
+        const completed = this.chunks.filter(chunk => chunk.status === SEED_CHUNK_STATUSES.COMPLETED);
+        const failed = this.chunks.filter(chunk => chunk.status === SEED_CHUNK_STATUSES.FAILED);
+        const remainingChunks = this.chunks.length - completed.length;
+        const averageMs = completed.length > 0
+            ? completed.reduce((sum, chunk) => sum + chunk.durationMs, 0) / completed.length
+            : null;
+        const etaMs = remainingChunks === 0 ? 0 : (averageMs === null ? null : averageMs * remainingChunks);
+
+        return {
+            totalChunks: this.chunks.length,
+            completedChunks: completed.length,
+            failedChunks: failed.length,
+            remainingChunks,
+            percentComplete: this.chunks.length > 0
+                ? Math.round((completed.length / this.chunks.length) * 10000) / 100
+                : 100,
+            savedCount: completed.reduce((sum, chunk) => sum + chunk.savedCount, 0),
+            etaSeconds: etaMs === null ? null : Math.round(etaMs / 1000),
+            estimatedCompletionAt: etaMs === null ? null : (remainingChunks === 0 ? this.completedAt : new Date(now.getTime() + etaMs)),
+            lastError: failed.length > 0 ? failed[failed.length - 1].error : null
+        };
+    }
+
+    /**
+     * Obtiene los datos en formato plano para almacenamiento o transferencia
+     *
+     * @returns {Object} - Objeto plano con los datos de la carga
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            timeScope: this.timeScope,
+            region: this.region,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            status: this.getStatus(),
+            chunks: this.chunks.map(chunk => ({ ...chunk })),
+            startedAt: this.startedAt,
+            updatedAt: this.updatedAt,
+            completedAt: this.completedAt
+        };
+    }
+}
+
+module.exports = SeedCheckpoint;
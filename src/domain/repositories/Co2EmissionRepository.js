@@ -0,0 +1,66 @@
+/**
+ * @file Co2EmissionRepository.js
+ * @description Interfaz del repositorio para la entidad Co2Emission
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del repositorio de emisiones de CO2 debe proporcionar.
+ */
+
+/**
+ * @interface Co2EmissionRepository
+ */
+class Co2EmissionRepository {
+  /**
+   * Guarda múltiples registros de emisiones en una sola operación
+   *
+   * @param {Array<import('../entities/Co2Emission')>} emissions - Array de entidades Co2Emission
+   * @returns {Promise<Array<import('../entities/Co2Emission')>>} - Array de registros guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async saveMany(emissions) {
+    throw new Error('Co2EmissionRepository.saveMany must be implemented');
+  }
+
+  /**
+   * Busca emisiones por rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal (day, month, year)
+   * @param {Object} options - Opciones adicionales (región, solo conteo)
+   * @returns {Promise<Array<import('../entities/Co2Emission')>>} - Array de Co2Emission
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+    throw new Error('Co2EmissionRepository.findByDateRange must be implemented');
+  }
+
+  /**
+   * Verifica si ya existen emisiones para una fecha, alcance y región
+   *
+   * @param {Date} timestamp - Fecha a verificar
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<boolean>} - true si existe, false si no
+   * @throws {Error} - Si hay problemas al verificar los datos
+   */
+  async existsForDateAndScope(timestamp, timeScope, region = 'national') {
+    throw new Error('Co2EmissionRepository.existsForDateAndScope must be implemented');
+  }
+
+  /**
+   * Obtiene las emisiones totales y por tecnología de un rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<Object>} - { count, totalEmissions, byTechnology }
+   * @throws {Error} - Si hay problemas al obtener los datos
+   */
+  async getTotalsByDateRange(startDate, endDate, timeScope = 'day', region = 'national') {
+    throw new Error('Co2EmissionRepository.getTotalsByDateRange must be implemented');
+  }
+}
+
+module.exports = Co2EmissionRepository;
@@ -34,6 +34,36 @@ class ElectricBalanceRepository {
     throw new Error('ElectricBalanceRepository.saveMany must be implemented');
   }
 
+  /**
+   * Guarda múltiples balances eléctricos sustituyendo los existentes para la misma fecha, alcance y región
+   *
+   * Si los datos de un balance existente cambian, la versión sustituida se conserva como revisión.
+   *
+   * @param {Array<import('../entities/ElectricBalance')>} electricBalances - Array de entidades ElectricBalance
+   * @returns {Promise<Array<import('../entities/ElectricBalance')>>} - Array de ElectricBalances guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async upsertMany(electricBalances) {
+    throw new Error('ElectricBalanceRepository.upsertMany must be implemented');
+  }
+
+  /**
+   * Inserta o actualiza un lote de balances de forma idempotente sobre la fecha, alcance y región
+   *
+   * Sin `overwrite` solo se insertan los que no existen; con `overwrite` los que
+   * cambian se sustituyen conservando la versión anterior como revisión. Los
+   * balances que fallan no detienen el lote.
+   *
+   * @param {Array<import('../entities/ElectricBalance')>} electricBalances - Balances a guardar
+   * @param {Object} [options={}] - Opciones de la escritura
+   * @param {boolean} [options.overwrite=false] - Sustituir los balances existentes cuyos datos cambian
+   * @returns {Promise<Object>} - { insertedCount, updatedCount, unchangedCount, failedCount, failures }
+   * @throws {Error} - Si no se puede escribir el lote
+   */
+  async bulkUpsert(electricBalances, { overwrite = false } = {}) {
+    throw new Error('ElectricBalanceRepository.bulkUpsert must be implemented');
+  }
+
   /**
    * Busca un balance eléctrico por su ID
    *
@@ -51,7 +81,7 @@ class ElectricBalanceRepository {
    * @param {Date} startDate - Fecha de inicio del rango
    * @param {Date} endDate - Fecha de fin del rango
    * @param {string} timeScope - Alcance temporal (day, month, year)
-   * @param {Object} options - Opciones adicionales (paginación, ordenación, etc.)
+   * @param {Object} options - Opciones adicionales (región, paginación, ordenación, asOf para ver los datos tal como se conocían en un instante, etc.)
    * @returns {Promise<Array<import('../entities/ElectricBalance')>>} - Array de ElectricBalances
    * @throws {Error} - Si hay problemas al buscar los datos
    */
@@ -65,26 +95,31 @@ class ElectricBalanceRepository {
    * @param {Date} startDate - Fecha de inicio del rango
    * @param {Date} endDate - Fecha de fin del rango
    * @param {string} timeScope - Alcance temporal (day, month, year)
+   * @param {string} region - Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)
+   * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
    * @returns {Promise<Object>} - Estadísticas agregadas
    * @throws {Error} - Si hay problemas al calcular las estadísticas
    */
-  async getStatsByDateRange(startDate, endDate, timeScope = 'day') {
+  async getStatsByDateRange(startDate, endDate, timeScope = 'day', region = 'national', asOf = null) {
     throw new Error('ElectricBalanceRepository.getStatsByDateRange must be implemented');
   }
 
   /**
    * Busca el balance eléctrico más reciente
    *
+   * @param {string} region - Ámbito geográfico
    * @returns {Promise<import('../entities/ElectricBalance') | null>} - ElectricBalance más reciente o null
    * @throws {Error} - Si hay problemas al buscar los datos
    */
-  async findMostRecent() {
+  async findMostRecent(region = 'national') {
     throw new Error('ElectricBalanceRepository.findMostRecent must be implemented');
   }
 
   /**
    * Actualiza un balance eléctrico existente
    *
+   * Si los datos cambian, la versión sustituida se conserva como revisión.
+   *
    * @param {string} id - ID del balance eléctrico a actualizar
    * @param {import('../entities/ElectricBalance')} electricBalance - Datos actualizados
    * @returns {Promise<import('../entities/ElectricBalance')>} - ElectricBalance actualizado
@@ -110,23 +145,51 @@ class ElectricBalanceRepository {
    *
    * @param {Date} timestamp - Fecha y hora a verificar
    * @param {string} timeScope - Alcance temporal (day, month, year)
+   * @param {string} region - Ámbito geográfico
    * @returns {Promise<boolean>} - true si existe, false si no
    * @throws {Error} - Si hay problemas al verificar los datos
    */
-  async existsForDateAndScope(timestamp, timeScope) {
+  async existsForDateAndScope(timestamp, timeScope, region = 'national') {
     throw new Error('ElectricBalanceRepository.existsForDateAndScope must be implemented');
   }
 
+  /**
+   * Obtiene todas las versiones de un balance eléctrico, de la más antigua a la vigente
+   *
+   * @param {string} id - ID del balance eléctrico
+   * @returns {Promise<Array<import('../entities/ElectricBalanceRevision')>>} - Versiones del balance
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findRevisions(id) {
+    throw new Error('ElectricBalanceRepository.findRevisions must be implemented');
+  }
+
+  /**
+   * Obtiene las marcas temporales almacenadas en un rango, ordenadas y con repeticiones
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<Array<Date>>} - Marcas temporales de los balances guardados
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findTimestamps(startDate, endDate, timeScope, region = 'national') {
+    throw new Error('ElectricBalanceRepository.findTimestamps must be implemented');
+  }
+
   /**
    * Obtiene la distribución de generación por tipo para un rango de fechas
    *
    * @param {Date} startDate - Fecha de inicio del rango
    * @param {Date} endDate - Fecha de fin del rango
    * @param {string} timeScope - Alcance temporal (day, month, year)
+   * @param {string} region - Ámbito geográfico
+   * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
    * @returns {Promise<Object>} - Distribución de generación por tipo
    * @throws {Error} - Si hay problemas al obtener los datos
    */
-  async getGenerationDistribution(startDate, endDate, timeScope = 'day') {
+  async getGenerationDistribution(startDate, endDate, timeScope = 'day', region = 'national', asOf = null) {
     throw new Error('ElectricBalanceRepository.getGenerationDistribution must be implemented');
   }
 
@@ -137,12 +200,47 @@ class ElectricBalanceRepository {
    * @param {Date} startDate - Fecha de inicio del rango
    * @param {Date} endDate - Fecha de fin del rango
    * @param {string} timeScope - Alcance temporal (day, month, year)
+   * @param {string} region - Ámbito geográfico
+   * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
    * @returns {Promise<Array<Object>>} - Evolución temporal del indicador
    * @throws {Error} - Si hay problemas al obtener los datos
    */
-  async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day') {
+  async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day', region = 'national', asOf = null) {
     throw new Error('ElectricBalanceRepository.getTimeSeriesForIndicator must be implemented');
   }
+
+  /**
+   * Obtiene un lote de balances, ordenados por ID, con sus versiones sustituidas
+   *
+   * Permite recorrer todo el almacenamiento para copiarlo a otro. Las revisiones
+   * de balances ya eliminados no se incluyen.
+   *
+   * @param {Object} [options={}] - Opciones del lote
+   * @param {string} [options.afterId] - ID del último balance del lote anterior
+   * @param {number} [options.limit=500] - Número máximo de balances
+   * @returns {Promise<Object>} - { balances: Array<ElectricBalance>, revisions: Array<ElectricBalanceRevision>, lastId }
+   * @throws {Error} - Si hay problemas al leer los datos
+   */
+  async exportBatch({ afterId = null, limit = 500 } = {}) {
+    throw new Error('ElectricBalanceRepository.exportBatch must be implemented');
+  }
+
+  /**
+   * Guarda un lote exportado de otro almacenamiento conservando IDs, versiones y fechas
+   *
+   * Es idempotente: los balances con el mismo ID se sustituyen y las revisiones
+   * que ya existen se dejan como están. Un balance cuya fecha, alcance y región ya
+   * tiene otro ID se cuenta como fallido sin detener el lote.
+   *
+   * @param {Object} batch - Lote devuelto por exportBatch
+   * @param {Array<import('../entities/ElectricBalance')>} batch.balances - Balances vigentes
+   * @param {Array<import('../entities/ElectricBalanceRevision')>} [batch.revisions=[]] - Versiones sustituidas
+   * @returns {Promise<Object>} - { importedCount, revisionCount, failedCount, failures }
+   * @throws {Error} - Si no se puede escribir el lote
+   */
+  async importBatch({ balances, revisions = [] }) {
+    throw new Error('ElectricBalanceRepository.importBatch must be implemented');
+  }
 }
 
 module.exports = ElectricBalanceRepository;
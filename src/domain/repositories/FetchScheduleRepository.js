@@ -0,0 +1,35 @@
+/**
+ * @file FetchScheduleRepository.js
+ * @description Interfaz del repositorio para la programación de las obtenciones de balances
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta de la programación de las obtenciones debe proporcionar.
+ */
+
+/**
+ * @interface FetchScheduleRepository
+ */
+class FetchScheduleRepository {
+  /**
+   * Lista las programaciones modificadas en tiempo de ejecución
+   *
+   * @returns {Promise<Array<import('../entities/FetchSchedule')>>} - Programaciones guardadas
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findAll() {
+    throw new Error('FetchScheduleRepository.findAll must be implemented');
+  }
+
+  /**
+   * Guarda la programación de un alcance temporal, sustituyendo la anterior
+   *
+   * @param {import('../entities/FetchSchedule')} fetchSchedule - Programación a guardar
+   * @returns {Promise<import('../entities/FetchSchedule')>} - Programación guardada
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async save(fetchSchedule) {
+    throw new Error('FetchScheduleRepository.save must be implemented');
+  }
+}
+
+module.exports = FetchScheduleRepository;
@@ -0,0 +1,60 @@
+/**
+ * @file IngestionRunRepository.js
+ * @description Interfaz del repositorio para el registro de ejecuciones de ingesta
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del registro de ejecuciones de ingesta debe proporcionar.
+ */
+
+/**
+ * @interface IngestionRunRepository
+ */
+class IngestionRunRepository {
+  /**
+   * Guarda una ejecución de ingesta
+   *
+   * @param {import('../entities/IngestionRun')} ingestionRun - Ejecución a guardar
+   * @returns {Promise<import('../entities/IngestionRun')>} - Ejecución guardada con ID asignado
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async save(ingestionRun) {
+    throw new Error('IngestionRunRepository.save must be implemented');
+  }
+
+  /**
+   * Lista ejecuciones de ingesta, de la más reciente a la más antigua
+   *
+   * @param {Object} criteria - Filtros (dataset, trigger, status, timeScope, region, startedAfter, startedBefore)
+   * @param {Object} options - Opciones adicionales (limit, skip)
+   * @returns {Promise<Array<import('../entities/IngestionRun')>>} - Ejecuciones encontradas
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByCriteria(criteria = {}, options = {}) {
+    throw new Error('IngestionRunRepository.findByCriteria must be implemented');
+  }
+
+  /**
+   * Cuenta las ejecuciones de ingesta que cumplen los filtros
+   *
+   * @param {Object} criteria - Filtros, como en findByCriteria
+   * @returns {Promise<number>} - Número de ejecuciones
+   * @throws {Error} - Si hay problemas al contar los datos
+   */
+  async countByCriteria(criteria = {}) {
+    throw new Error('IngestionRunRepository.countByCriteria must be implemented');
+  }
+
+  /**
+   * Busca la última ejecución que terminó sin errores para un alcance temporal
+   *
+   * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+   * @param {Object} options - Opciones adicionales (dataset, region)
+   * @returns {Promise<import('../entities/IngestionRun') | null>} - Última ejecución correcta o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findLastSuccessful(timeScope, options = {}) {
+    throw new Error('IngestionRunRepository.findLastSuccessful must be implemented');
+  }
+}
+
+module.exports = IngestionRunRepository;
@@ -0,0 +1,65 @@
+/**
+ * @file InstalledCapacityRepository.js
+ * @description Interfaz del repositorio para la entidad InstalledCapacity
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del repositorio de potencia instalada debe proporcionar.
+ */
+
+/**
+ * @interface InstalledCapacityRepository
+ */
+class InstalledCapacityRepository {
+  /**
+   * Guarda múltiples registros de potencia instalada en una sola operación
+   *
+   * @param {Array<import('../entities/InstalledCapacity')>} capacities - Array de entidades InstalledCapacity
+   * @returns {Promise<Array<import('../entities/InstalledCapacity')>>} - Array de registros guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async saveMany(capacities) {
+    throw new Error('InstalledCapacityRepository.saveMany must be implemented');
+  }
+
+  /**
+   * Busca la potencia instalada por rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal (month, year)
+   * @param {Object} options - Opciones adicionales (región, solo conteo)
+   * @returns {Promise<Array<import('../entities/InstalledCapacity')>>} - Array de InstalledCapacity
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByDateRange(startDate, endDate, timeScope = 'month', options = {}) {
+    throw new Error('InstalledCapacityRepository.findByDateRange must be implemented');
+  }
+
+  /**
+   * Busca el último registro de potencia instalada anterior o igual a una fecha
+   *
+   * @param {Date} timestamp - Fecha de referencia
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<import('../entities/InstalledCapacity')|null>} - Registro en vigor o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findLatestBefore(timestamp, timeScope = 'month', region = 'national') {
+    throw new Error('InstalledCapacityRepository.findLatestBefore must be implemented');
+  }
+
+  /**
+   * Verifica si ya existe potencia instalada para una fecha, alcance y región
+   *
+   * @param {Date} timestamp - Fecha a verificar
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<boolean>} - true si existe, false si no
+   * @throws {Error} - Si hay problemas al verificar los datos
+   */
+  async existsForDateAndScope(timestamp, timeScope, region = 'national') {
+    throw new Error('InstalledCapacityRepository.existsForDateAndScope must be implemented');
+  }
+}
+
+module.exports = InstalledCapacityRepository;
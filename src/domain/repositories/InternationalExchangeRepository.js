@@ -0,0 +1,65 @@
+/**
+ * @file InternationalExchangeRepository.js
+ * @description Interfaz del repositorio para la entidad InternationalExchange
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del repositorio de intercambios internacionales debe proporcionar.
+ */
+
+/**
+ * @interface InternationalExchangeRepository
+ */
+class InternationalExchangeRepository {
+  /**
+   * Guarda múltiples registros de intercambios en una sola operación
+   *
+   * @param {Array<import('../entities/InternationalExchange')>} exchanges - Array de entidades InternationalExchange
+   * @returns {Promise<Array<import('../entities/InternationalExchange')>>} - Array de registros guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async saveMany(exchanges) {
+    throw new Error('InternationalExchangeRepository.saveMany must be implemented');
+  }
+
+  /**
+   * Busca intercambios por rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+   * @param {Object} options - Opciones adicionales (solo conteo)
+   * @returns {Promise<Array<import('../entities/InternationalExchange')>>} - Array de InternationalExchange
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+    throw new Error('InternationalExchangeRepository.findByDateRange must be implemented');
+  }
+
+  /**
+   * Verifica si ya existen intercambios para una fecha y alcance
+   *
+   * @param {Date} timestamp - Fecha a verificar
+   * @param {string} timeScope - Alcance temporal
+   * @returns {Promise<boolean>} - true si existe, false si no
+   * @throws {Error} - Si hay problemas al verificar los datos
+   */
+  async existsForDateAndScope(timestamp, timeScope) {
+    throw new Error('InternationalExchangeRepository.existsForDateAndScope must be implemented');
+  }
+
+  /**
+   * Obtiene las importaciones, exportaciones y saldo acumulados por frontera
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} [border] - Frontera concreta; si no se indica, todas
+   * @returns {Promise<Array<Object>>} - Array de { border, import, export, net, count }
+   * @throws {Error} - Si hay problemas al obtener los datos
+   */
+  async getNetPositionsByBorder(startDate, endDate, timeScope = 'day', border = null) {
+    throw new Error('InternationalExchangeRepository.getNetPositionsByBorder must be implemented');
+  }
+}
+
+module.exports = InternationalExchangeRepository;
@@ -0,0 +1,76 @@
+/**
+ * @file MarketPriceRepository.js
+ * @description Interfaz del repositorio para la entidad MarketPrice
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del repositorio de precios de mercado debe proporcionar.
+ */
+
+/**
+ * @interface MarketPriceRepository
+ */
+class MarketPriceRepository {
+  /**
+   * Guarda múltiples precios de mercado en una sola operación
+   *
+   * @param {Array<import('../entities/MarketPrice')>} marketPrices - Array de entidades MarketPrice
+   * @returns {Promise<Array<import('../entities/MarketPrice')>>} - Array de MarketPrices guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async saveMany(marketPrices) {
+    throw new Error('MarketPriceRepository.saveMany must be implemented');
+  }
+
+  /**
+   * Busca precios de mercado por rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+   * @param {Object} options - Opciones adicionales (paginación, ordenación, solo conteo)
+   * @returns {Promise<Array<import('../entities/MarketPrice')>>} - Array de MarketPrices
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByDateRange(startDate, endDate, timeScope = 'hour', options = {}) {
+    throw new Error('MarketPriceRepository.findByDateRange must be implemented');
+  }
+
+  /**
+   * Busca el precio de mercado más reciente
+   *
+   * @param {string} timeScope - Alcance temporal
+   * @returns {Promise<import('../entities/MarketPrice') | null>} - MarketPrice más reciente o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findMostRecent(timeScope = 'hour') {
+    throw new Error('MarketPriceRepository.findMostRecent must be implemented');
+  }
+
+  /**
+   * Verifica si ya existen precios para una fecha y alcance específicos
+   *
+   * @param {Date} timestamp - Fecha y hora a verificar
+   * @param {string} timeScope - Alcance temporal
+   * @returns {Promise<boolean>} - true si existe, false si no
+   * @throws {Error} - Si hay problemas al verificar los datos
+   */
+  async existsForDateAndScope(timestamp, timeScope) {
+    throw new Error('MarketPriceRepository.existsForDateAndScope must be implemented');
+  }
+
+  /**
+   * Obtiene la evolución temporal de un precio
+   *
+   * @param {string} indicator - Precio a obtener (pvpc, spot)
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} timeScope - Alcance temporal
+   * @returns {Promise<Array<Object>>} - Puntos { timestamp, value }
+   * @throws {Error} - Si hay problemas al obtener los datos
+   */
+  async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'hour') {
+    throw new Error('MarketPriceRepository.getTimeSeriesForIndicator must be implemented');
+  }
+}
+
+module.exports = MarketPriceRepository;
@@ -0,0 +1,38 @@
+/**
+ * @file QuarantineRepository.js
+ * @description Interfaz del repositorio para los registros en cuarentena
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del almacén de registros en cuarentena debe proporcionar.
+ */
+
+/**
+ * @interface QuarantineRepository
+ */
+class QuarantineRepository {
+  /**
+   * Guarda registros en cuarentena, sustituyendo los existentes para el mismo
+   * conjunto de datos, fecha, alcance y región
+   *
+   * @param {Array<import('../entities/QuarantinedRecord')>} records - Registros a guardar
+   * @returns {Promise<Array<import('../entities/QuarantinedRecord')>>} - Registros guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async upsertMany(records) {
+    throw new Error('QuarantineRepository.upsertMany must be implemented');
+  }
+
+  /**
+   * Lista registros en cuarentena, del más reciente al más antiguo
+   *
+   * @param {Object} criteria - Filtros (dataset, region, timeScope, startDate, endDate, code)
+   * @param {Object} options - Opciones adicionales (limit)
+   * @returns {Promise<Array<import('../entities/QuarantinedRecord')>>} - Registros en cuarentena
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByCriteria(criteria = {}, options = {}) {
+    throw new Error('QuarantineRepository.findByCriteria must be implemented');
+  }
+}
+
+module.exports = QuarantineRepository;
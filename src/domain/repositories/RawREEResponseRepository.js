@@ -0,0 +1,48 @@
+/**
+ * @file RawREEResponseRepository.js
+ * @description Interfaz del repositorio para el archivo de respuestas de REE
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del archivo de respuestas en bruto debe proporcionar.
+ */
+
+/**
+ * @interface RawREEResponseRepository
+ */
+class RawREEResponseRepository {
+  /**
+   * Archiva una respuesta de REE
+   *
+   * @param {import('../entities/RawREEResponse')} rawResponse - Respuesta con su payload
+   * @returns {Promise<import('../entities/RawREEResponse')>} - Respuesta archivada, sin payload
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async save(rawResponse) {
+    throw new Error('RawREEResponseRepository.save must be implemented');
+  }
+
+  /**
+   * Lista respuestas archivadas sin su payload, de la más reciente a la más antigua
+   *
+   * @param {Object} criteria - Filtros (dataset, region, timeScope, fetchedFrom, fetchedTo)
+   * @param {Object} options - Opciones adicionales (limit)
+   * @returns {Promise<Array<import('../entities/RawREEResponse')>>} - Respuestas archivadas
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByCriteria(criteria = {}, options = {}) {
+    throw new Error('RawREEResponseRepository.findByCriteria must be implemented');
+  }
+
+  /**
+   * Recorre las respuestas archivadas con su payload en orden de recepción
+   *
+   * @param {Object} criteria - Filtros (dataset, region, timeScope, fetchedFrom, fetchedTo)
+   * @returns {AsyncIterable<import('../entities/RawREEResponse')>} - Respuestas con payload
+   * @throws {Error} - Si hay problemas al leer los datos
+   */
+  iterateByCriteria(criteria = {}) {
+    throw new Error('RawREEResponseRepository.iterateByCriteria must be implemented');
+  }
+}
+
+module.exports = RawREEResponseRepository;
@@ -0,0 +1,62 @@
+/**
+ * @file RealTimeDemandRepository.js
+ * @description Interfaz del repositorio para la entidad RealTimeDemand
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del repositorio de demanda en tiempo real debe proporcionar.
+ */
+
+/**
+ * @interface RealTimeDemandRepository
+ */
+class RealTimeDemandRepository {
+  /**
+   * Guarda múltiples registros de demanda en una sola operación
+   *
+   * @param {Array<import('../entities/RealTimeDemand')>} demands - Array de entidades RealTimeDemand
+   * @returns {Promise<Array<import('../entities/RealTimeDemand')>>} - Array de registros guardados
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async saveMany(demands) {
+    throw new Error('RealTimeDemandRepository.saveMany must be implemented');
+  }
+
+  /**
+   * Busca la demanda por rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {Object} options - Opciones adicionales (región, solo conteo)
+   * @returns {Promise<Array<import('../entities/RealTimeDemand')>>} - Array de RealTimeDemand
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByDateRange(startDate, endDate, options = {}) {
+    throw new Error('RealTimeDemandRepository.findByDateRange must be implemented');
+  }
+
+  /**
+   * Obtiene el registro más reciente con demanda real
+   *
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<import('../entities/RealTimeDemand')|null>} - Registro más reciente o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findMostRecent(region = 'national') {
+    throw new Error('RealTimeDemandRepository.findMostRecent must be implemented');
+  }
+
+  /**
+   * Calcula las estadísticas del error de previsión en un rango de fechas
+   *
+   * @param {Date} startDate - Fecha de inicio del rango
+   * @param {Date} endDate - Fecha de fin del rango
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<Object>} - { count, meanError, meanAbsoluteError, rootMeanSquareError, meanAbsolutePercentageError, maxAbsoluteError }
+   * @throws {Error} - Si hay problemas al obtener los datos
+   */
+  async getForecastErrorStats(startDate, endDate, region = 'national') {
+    throw new Error('RealTimeDemandRepository.getForecastErrorStats must be implemented');
+  }
+}
+
+module.exports = RealTimeDemandRepository;
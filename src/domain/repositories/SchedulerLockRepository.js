@@ -0,0 +1,52 @@
+/**
+ * @file SchedulerLockRepository.js
+ * @description Interfaz del repositorio para las concesiones de tareas programadas
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta de las concesiones de tareas programadas debe proporcionar.
+ */
+
+/**
+ * @interface SchedulerLockRepository
+ */
+class SchedulerLockRepository {
+  /**
+   * Obtiene o renueva la concesión de una tarea
+   *
+   * Solo tiene efecto si la concesión está libre, ha caducado o ya pertenece a
+   * la réplica que la pide. En cualquier caso devuelve la concesión vigente.
+   *
+   * @param {string} name - Nombre de la tarea
+   * @param {string} holderId - Identificador de la réplica que la pide
+   * @param {number} ttlMs - Duración de la concesión en milisegundos
+   * @returns {Promise<import('../entities/SchedulerLock')>} - Concesión vigente tras el intento
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async acquire(name, holderId, ttlMs) {
+    throw new Error('SchedulerLockRepository.acquire must be implemented');
+  }
+
+  /**
+   * Libera la concesión de una tarea si pertenece a la réplica indicada
+   *
+   * @param {string} name - Nombre de la tarea
+   * @param {string} holderId - Identificador de la réplica titular
+   * @returns {Promise<boolean>} - true si se liberó
+   * @throws {Error} - Si hay problemas al eliminar los datos
+   */
+  async release(name, holderId) {
+    throw new Error('SchedulerLockRepository.release must be implemented');
+  }
+
+  /**
+   * Lista las concesiones registradas
+   *
+   * @returns {Promise<Array<import('../entities/SchedulerLock')>>} - Concesiones ordenadas por nombre
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findAll() {
+    throw new Error('SchedulerLockRepository.findAll must be implemented');
+  }
+}
+
+module.exports = SchedulerLockRepository;
@@ -0,0 +1,62 @@
+/**
+ * @file SeedCheckpointRepository.js
+ * @description Interfaz del repositorio para el avance de las cargas de histórico
+ *
+ * Esta interfaz define los métodos que cualquier implementación
+ * concreta del almacenamiento de los puntos de control debe proporcionar.
+ */
+
+/**
+ * @interface SeedCheckpointRepository
+ */
+class SeedCheckpointRepository {
+  /**
+   * Busca la carga de un alcance temporal, región y rango exactos
+   *
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @param {Date} startDate - Inicio del rango
+   * @param {Date} endDate - Fin del rango
+   * @returns {Promise<import('../entities/SeedCheckpoint') | null>} - Carga encontrada o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findByRange(timeScope, region, startDate, endDate) {
+    throw new Error('SeedCheckpointRepository.findByRange must be implemented');
+  }
+
+  /**
+   * Busca la última carga sin terminar de un alcance temporal y región
+   *
+   * @param {string} timeScope - Alcance temporal
+   * @param {string} region - Ámbito geográfico
+   * @returns {Promise<import('../entities/SeedCheckpoint') | null>} - Carga encontrada o null
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findLatestUnfinished(timeScope, region) {
+    throw new Error('SeedCheckpointRepository.findLatestUnfinished must be implemented');
+  }
+
+  /**
+   * Lista las cargas, de la de avance más reciente a la más antigua
+   *
+   * @param {Object} [criteria={}] - Filtros (timeScope, region, status)
+   * @returns {Promise<Array<import('../entities/SeedCheckpoint')>>} - Cargas encontradas
+   * @throws {Error} - Si hay problemas al buscar los datos
+   */
+  async findAll(criteria = {}) {
+    throw new Error('SeedCheckpointRepository.findAll must be implemented');
+  }
+
+  /**
+   * Guarda una carga, sustituyendo la del mismo alcance temporal, región y rango
+   *
+   * @param {import('../entities/SeedCheckpoint')} seedCheckpoint - Carga a guardar
+   * @returns {Promise<import('../entities/SeedCheckpoint')>} - Carga guardada con ID asignado
+   * @throws {Error} - Si hay problemas al guardar los datos
+   */
+  async save(seedCheckpoint) {
+    throw new Error('SeedCheckpointRepository.save must be implemented');
+  }
+}
+
+module.exports = SeedCheckpointRepository;
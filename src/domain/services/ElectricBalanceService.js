@@ -6,6 +6,16 @@
  * coordinando operaciones que pueden involucrar múltiples entidades o reglas complejas.
  */
 
+const { DEFAULT_REGION } = require('../constants/regions');
+const { isRenewableTechnology, isLowCarbonTechnology } = require('../constants/technologies');
+const { TIME_SCOPES } = require('../constants/timeScopes');
+const { addMadridPeriods, startOfMadridPeriod } = require('../../utils/madridTime');
+
+/**
+ * Tamaño de página al cargar todos los balances de un rango
+ */
+const FULL_RANGE_PAGE_SIZE = 500;
+
 /**
  * Servicio para gestionar la lógica de negocio del balance eléctrico
  */
@@ -14,9 +24,13 @@ class ElectricBalanceService {
      * Crea una nueva instancia del servicio
      *
      * @param {import('../repositories/ElectricBalanceRepository')} electricBalanceRepository - Repositorio de balance eléctrico
+     * @param {import('../repositories/Co2EmissionRepository')} [co2EmissionRepository] - Repositorio de emisiones de CO2
+     * @param {import('../repositories/InstalledCapacityRepository')} [installedCapacityRepository] - Repositorio de potencia instalada
      */
-    constructor(electricBalanceRepository) {
+    constructor(electricBalanceRepository, co2EmissionRepository = null, installedCapacityRepository = null) {
         this.electricBalanceRepository = electricBalanceRepository;
+        this.co2EmissionRepository = co2EmissionRepository;
+        this.installedCapacityRepository = installedCapacityRepository;
     }
 
     /**
@@ -25,20 +39,22 @@ class ElectricBalanceService {
      * @param {Date} startDate - Fecha inicial
      * @param {Date} endDate - Fecha final
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<Object>} - Análisis completo del balance eléctrico
      * @throws {Error} - Si hay problemas al obtener o procesar los datos
      */
-    async analyzeBalanceDataByDateRange(startDate, endDate, timeScope = 'day') {
+    async analyzeBalanceDataByDateRange(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
         const balanceData = await this.electricBalanceRepository.findByDateRange(
           startDate,
           endDate,
-          timeScope
+          timeScope,
+          { region }
         );
 
         if (!balanceData || balanceData.length === 0) {
             return {
                 isEmpty: true,
-                period: { startDate, endDate, timeScope },
+                period: { startDate, endDate, timeScope, region },
                 message: 'No data available for the specified date range'
             };
         }
@@ -58,7 +74,7 @@ class ElectricBalanceService {
 
         return {
             isEmpty: false,
-            period: { startDate, endDate, timeScope },
+            period: { startDate, endDate, timeScope, region },
             summary: {
                 totalGeneration,
                 totalDemand,
@@ -81,6 +97,7 @@ class ElectricBalanceService {
      * @param {Date} previousPeriodStart - Inicio del período anterior
      * @param {Date} previousPeriodEnd - Fin del período anterior
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<Object>} - Análisis comparativo entre períodos
      * @throws {Error} - Si hay problemas al obtener o procesar los datos
      */
@@ -89,11 +106,12 @@ class ElectricBalanceService {
       currentPeriodEnd,
       previousPeriodStart,
       previousPeriodEnd,
-      timeScope = 'day'
+      timeScope = 'day',
+      region = DEFAULT_REGION
     ) {
         const [currentPeriodData, previousPeriodData] = await Promise.all([
-            this.electricBalanceRepository.findByDateRange(currentPeriodStart, currentPeriodEnd, timeScope),
-            this.electricBalanceRepository.findByDateRange(previousPeriodStart, previousPeriodEnd, timeScope)
+            this.electricBalanceRepository.findByDateRange(currentPeriodStart, currentPeriodEnd, timeScope, { region }),
+            this.electricBalanceRepository.findByDateRange(previousPeriodStart, previousPeriodEnd, timeScope, { region })
         ]);
 
         const currentTotalGeneration = currentPeriodData.reduce((sum, balance) =>
@@ -168,100 +186,369 @@ class ElectricBalanceService {
     /**
      * Calcula métricas de sostenibilidad basadas en los datos de balance eléctrico
      *
+     * Las emisiones proceden de los datos oficiales de REE por tecnología. Las
+     * evitadas se obtienen aplicando a la generación renovable la intensidad de
+     * la generación fósil del mismo período (emisiones / MWh no bajos en carbono).
+     * Las cifras de CO2 se calculan solo con la generación de los períodos que
+     * cubren las emisiones; si no hay emisiones almacenadas, son null.
+     *
      * @param {Date} startDate - Fecha inicial
      * @param {Date} endDate - Fecha final
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<Object>} - Métricas de sostenibilidad
      * @throws {Error} - Si hay problemas al obtener o procesar los datos
      */
-    async calculateSustainabilityMetrics(startDate, endDate, timeScope = 'day') {
-        const balanceData = await this.electricBalanceRepository.findByDateRange(
-          startDate,
-          endDate,
-          timeScope
-        );
+    async calculateSustainabilityMetrics(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
+        const balanceData = await this._findAllByDateRange(startDate, endDate, timeScope, region);
 
         if (!balanceData || balanceData.length === 0) {
             return {
                 isEmpty: true,
-                period: { startDate, endDate, timeScope },
+                period: { startDate, endDate, timeScope, region },
                 message: 'No data available for the specified date range'
             };
         }
 
-        const renewableTypes = [
-            'Hidráulica', 'Eólica', 'Solar fotovoltaica', 'Solar térmica',
-            'Otras renovables', 'Hidroeólica'
-        ];
+        const {
+            totalGeneration,
+            renewableGeneration,
+            lowCarbonGeneration
+        } = this._sumGenerationByCategory(balanceData);
 
-        const lowCarbonTypes = [
-            ...renewableTypes, 'Nuclear'
-        ];
+        const renewablePercentage = (renewableGeneration / totalGeneration) * 100;
+        const lowCarbonPercentage = (lowCarbonGeneration / totalGeneration) * 100;
+
+        const emissionsPeriod = this._getEmissionsPeriod(startDate, endDate, timeScope);
+        const emissions = emissionsPeriod
+            ? await this._getEmissionsForPeriod(emissionsPeriod, region)
+            : null;
+
+        let co2Emitted = null;
+        let co2Avoided = null;
+        let emissionIntensity = null;
+
+        if (emissions) {
+            const covered = this._sumGenerationByCategory(
+                balanceData.filter(balance =>
+                    balance.timestamp >= emissionsPeriod.generationStart &&
+                    balance.timestamp < emissionsPeriod.generationEnd)
+            );
+            const fossilGeneration = covered.totalGeneration - covered.lowCarbonGeneration;
+
+            // Los valores del balance son energía por período (MWh), así que no se multiplica por horas
+            co2Emitted = emissions.totalEmissions;
+            emissionIntensity = covered.totalGeneration > 0
+                ? co2Emitted / covered.totalGeneration
+                : 0;
+            co2Avoided = fossilGeneration > 0
+                ? covered.renewableGeneration * (co2Emitted / fossilGeneration)
+                : 0;
+        }
+
+        return {
+            isEmpty: false,
+            period: { startDate, endDate, timeScope, region },
+            metrics: {
+                totalGeneration,
+                renewableGeneration,
+                lowCarbonGeneration,
+                renewablePercentage,
+                lowCarbonPercentage,
+                co2Emitted,
+                co2Avoided,
+                emissionIntensity,
+                emissionsByTechnology: emissions ? emissions.byTechnology : [],
+                emissionsTimeScope: emissions ? emissions.timeScope : null,
+                sustainabilityScore: this._calculateSustainabilityScore(
+                  renewablePercentage,
+                  lowCarbonPercentage
+                )
+            },
+            dailyTrend: this._calculateDailyTrend(balanceData)
+        };
+    }
+
+    /**
+     * Carga todos los balances de un rango, página a página
+     *
+     * `findByDateRange` pagina por defecto, y las métricas agregadas necesitan
+     * el rango completo.
+     *
+     * @param {Date} startDate - Fecha inicial
+     * @param {Date} endDate - Fecha final
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Array<import('../entities/ElectricBalance')>>} - Balances ordenados por fecha
+     * @private
+     */
+    async _findAllByDateRange(startDate, endDate, timeScope, region) {
+        const balances = [];
+        let page;
+
+        do {
+            page = await this.electricBalanceRepository.findByDateRange(
+              startDate,
+              endDate,
+              timeScope,
+              { region, sort: { timestamp: 1 }, limit: FULL_RANGE_PAGE_SIZE, skip: balances.length }
+            );
+            balances.push(...page);
+        } while (page.length === FULL_RANGE_PAGE_SIZE);
+
+        return balances;
+    }
 
+    /**
+     * Suma la generación total, renovable y baja en carbono de un conjunto de balances
+     *
+     * @param {Array<import('../entities/ElectricBalance')>} balances - Balances a sumar
+     * @returns {Object} - { totalGeneration, renewableGeneration, lowCarbonGeneration }
+     * @private
+     */
+    _sumGenerationByCategory(balances) {
         let totalGeneration = 0;
         let renewableGeneration = 0;
         let lowCarbonGeneration = 0;
 
-        for (const balance of balanceData) {
-            const generationTotal = balance.getTotalGeneration();
-            totalGeneration += generationTotal;
+        for (const balance of balances) {
+            totalGeneration += balance.getTotalGeneration();
 
             for (const gen of balance.generation) {
-                if (renewableTypes.includes(gen.type)) {
+                if (isRenewableTechnology(gen.type)) {
                     renewableGeneration += gen.value;
                 }
 
-                if (lowCarbonTypes.includes(gen.type)) {
+                if (isLowCarbonTechnology(gen.type)) {
                     lowCarbonGeneration += gen.value;
                 }
             }
         }
 
-        const renewablePercentage = (renewableGeneration / totalGeneration) * 100;
-        const lowCarbonPercentage = (lowCarbonGeneration / totalGeneration) * 100;
+        return { totalGeneration, renewableGeneration, lowCarbonGeneration };
+    }
 
-        const hoursInPeriod = (endDate - startDate) / (1000 * 60 * 60);
-        const co2Avoided = (renewableGeneration * hoursInPeriod * 0.5) / 1000; // en toneladas
+    /**
+     * Calcula qué emisiones corresponden a la generación de un rango
+     *
+     * REE no publica emisiones horarias, por lo que para el alcance `hour` se
+     * usan los días peninsulares que el rango cubre por completo, y solo la
+     * generación de esas horas. En el resto de alcances los períodos coinciden.
+     *
+     * @param {Date} startDate - Fecha inicial
+     * @param {Date} endDate - Fecha final
+     * @param {string} timeScope - Alcance temporal del balance
+     * @returns {Object|null} - { startDate, endDate, timeScope, generationStart, generationEnd }
+     *   (fin de generación excluido), o null si el rango no cubre ningún día completo
+     * @private
+     */
+    _getEmissionsPeriod(startDate, endDate, timeScope) {
+        if (timeScope !== 'hour') {
+            return {
+                startDate,
+                endDate,
+                timeScope,
+                generationStart: new Date(startDate),
+                generationEnd: new Date(new Date(endDate).getTime() + 1)
+            };
+        }
+
+        let firstDay = startOfMadridPeriod(startDate, 'day');
+        if (firstDay < new Date(startDate)) {
+            firstDay = addMadridPeriods(firstDay, 'day', 1);
+        }
+
+        // La última hora del rango llega hasta una hora después de su inicio
+        const rangeEnd = addMadridPeriods(startOfMadridPeriod(endDate, 'hour'), 'hour', 1);
+        const coveredEnd = startOfMadridPeriod(rangeEnd, 'day');
+
+        if (firstDay >= coveredEnd) {
+            return null;
+        }
 
         return {
-            isEmpty: false,
-            period: { startDate, endDate, timeScope },
-            metrics: {
-                totalGeneration,
-                renewableGeneration,
-                lowCarbonGeneration,
-                renewablePercentage,
-                lowCarbonPercentage,
-                co2AvoidedEstimation: co2Avoided,
-                sustainabilityScore: this._calculateSustainabilityScore(
-                  renewablePercentage,
-                  lowCarbonPercentage
-                )
-            },
-            dailyTrend: this._calculateDailyTrend(balanceData, renewableTypes, lowCarbonTypes)
+            startDate: firstDay,
+            endDate: addMadridPeriods(coveredEnd, 'day', -1),
+            timeScope: 'day',
+            generationStart: firstDay,
+            generationEnd: coveredEnd
         };
     }
 
+    /**
+     * Obtiene las emisiones agregadas del período
+     *
+     * @param {Object} emissionsPeriod - Período calculado por `_getEmissionsPeriod`
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object|null>} - Totales de emisiones o null si no hay datos
+     * @private
+     */
+    async _getEmissionsForPeriod(emissionsPeriod, region) {
+        if (!this.co2EmissionRepository) {
+            return null;
+        }
+
+        const totals = await this.co2EmissionRepository.getTotalsByDateRange(
+            emissionsPeriod.startDate,
+            emissionsPeriod.endDate,
+            emissionsPeriod.timeScope,
+            region
+        );
+
+        if (!totals || totals.count === 0) {
+            return null;
+        }
+
+        return { ...totals, timeScope: emissionsPeriod.timeScope };
+    }
+
+    /**
+     * Calcula el factor de capacidad de cada tecnología en un período
+     *
+     * El factor de capacidad es la energía generada frente a la que se habría
+     * generado con toda la potencia instalada funcionando el período completo.
+     * Cada registro del balance se compara con la potencia instalada vigente en
+     * su fecha (el último dato mensual publicado hasta entonces).
+     *
+     * @param {Date} startDate - Fecha inicial
+     * @param {Date} endDate - Fecha final
+     * @param {string} timeScope - Alcance temporal del balance (hour, day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object<string, Object>>} - Por tecnología: { installedCapacity, generation, capacityFactor }
+     * @throws {Error} - Si hay problemas al obtener los datos
+     */
+    async calculateCapacityFactors(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
+        if (!this.installedCapacityRepository) {
+            return {};
+        }
+
+        const [balanceData, capacitiesInRange, previousCapacity] = await Promise.all([
+            this._findAllByDateRange(startDate, endDate, timeScope, region),
+            this.installedCapacityRepository.findByDateRange(startDate, endDate, 'month', { region }),
+            this.installedCapacityRepository.findLatestBefore(startDate, 'month', region)
+        ]);
+
+        const capacities = [previousCapacity, ...capacitiesInRange]
+            .filter(Boolean)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (!balanceData || balanceData.length === 0 || capacities.length === 0) {
+            return {};
+        }
+
+        const totals = {};
+
+        for (const balance of balanceData) {
+            const capacity = this._findCapacityInForce(capacities, balance.timestamp);
+            if (!capacity) continue;
+
+            const hours = this._getHoursInPeriod(balance.timestamp, timeScope);
+
+            for (const gen of balance.generation) {
+                const installed = capacity.getCapacityForType(gen.type);
+                if (!installed || installed <= 0) continue;
+
+                if (!totals[gen.type]) {
+                    totals[gen.type] = { generation: 0, availableEnergy: 0, capacitySum: 0, count: 0 };
+                }
+
+                totals[gen.type].generation += gen.value;
+                totals[gen.type].availableEnergy += installed * hours;
+                totals[gen.type].capacitySum += installed;
+                totals[gen.type].count++;
+            }
+        }
+
+        return Object.fromEntries(
+            Object.entries(totals).map(([type, total]) => [type, {
+                installedCapacity: total.capacitySum / total.count,
+                generation: total.generation,
+                capacityFactor: total.availableEnergy > 0 ? (total.generation / total.availableEnergy) * 100 : null
+            }])
+        );
+    }
+
+    /**
+     * Añade la potencia instalada media y el factor de capacidad a una distribución de generación
+     *
+     * @param {Array<Object>} distribution - Distribución de generación por tipo
+     * @param {Date} startDate - Fecha inicial
+     * @param {Date} endDate - Fecha final
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Array<Object>>} - Distribución con installedCapacity y capacityFactor (null si no hay datos)
+     */
+    async addCapacityFactors(distribution, startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
+        const factors = await this.calculateCapacityFactors(startDate, endDate, timeScope, region);
+
+        return distribution.map(item => ({
+            ...item,
+            installedCapacity: factors[item.type] ? factors[item.type].installedCapacity : null,
+            capacityFactor: factors[item.type] ? factors[item.type].capacityFactor : null
+        }));
+    }
+
+    /**
+     * Busca la potencia instalada vigente en una fecha
+     *
+     * @param {Array<import('../entities/InstalledCapacity')>} capacities - Registros ordenados por fecha ascendente
+     * @param {Date} timestamp - Fecha de referencia
+     * @returns {import('../entities/InstalledCapacity')|null} - Último registro anterior o igual a la fecha
+     * @private
+     */
+    _findCapacityInForce(capacities, timestamp) {
+        const time = new Date(timestamp).getTime();
+        let inForce = null;
+
+        for (const capacity of capacities) {
+            if (capacity.timestamp.getTime() > time) break;
+            inForce = capacity;
+        }
+
+        return inForce;
+    }
+
+    /**
+     * Calcula las horas que abarca un registro según su alcance temporal
+     *
+     * Los períodos son de hora peninsular, así que los días del cambio de hora
+     * tienen 23 o 25 horas y los meses y años que los contienen una más o una menos.
+     *
+     * @param {Date} timestamp - Inicio del período
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @returns {number} - Número de horas del período
+     * @private
+     */
+    _getHoursInPeriod(timestamp, timeScope) {
+        const scope = TIME_SCOPES.includes(timeScope) ? timeScope : 'day';
+        const periodStart = startOfMadridPeriod(timestamp, scope);
+        const periodEnd = addMadridPeriods(periodStart, scope, 1);
+
+        return (periodEnd.getTime() - periodStart.getTime()) / (60 * 60 * 1000);
+    }
+
     /**
      * Identifica patrones y anomalías en los datos de balance eléctrico
      *
      * @param {Date} startDate - Fecha inicial
      * @param {Date} endDate - Fecha final
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<Object>} - Patrones y anomalías detectados
      * @throws {Error} - Si hay problemas al obtener o procesar los datos
      */
-    async detectPatternsAndAnomalies(startDate, endDate, timeScope = 'day') {
+    async detectPatternsAndAnomalies(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
         const balanceData = await this.electricBalanceRepository.findByDateRange(
           startDate,
           endDate,
-          timeScope
+          timeScope,
+          { region }
         );
 
         if (!balanceData || balanceData.length === 0) {
             return {
                 isEmpty: true,
-                period: { startDate, endDate, timeScope },
+                period: { startDate, endDate, timeScope, region },
                 message: 'No data available for the specified date range'
             };
         }
@@ -289,7 +576,7 @@ class ElectricBalanceService {
 
         return {
             isEmpty: false,
-            period: { startDate, endDate, timeScope },
+            period: { startDate, endDate, timeScope, region },
             anomalies: {
                 generation: generationAnomalies,
                 demand: demandAnomalies,
@@ -541,12 +828,10 @@ class ElectricBalanceService {
      * Calcula la tendencia diaria de renovables y bajas emisiones
      *
      * @param {Array<import('../entities/ElectricBalance')>} balanceData - Datos de balance
-     * @param {Array<string>} renewableTypes - Tipos de generación renovable
-     * @param {Array<string>} lowCarbonTypes - Tipos de generación de bajas emisiones
      * @returns {Array<Object>} - Tendencia diaria
      * @private
      */
-    _calculateDailyTrend(balanceData, renewableTypes, lowCarbonTypes) {
+    _calculateDailyTrend(balanceData) {
         const sortedData = [...balanceData].sort((a, b) =>
           a.timestamp.getTime() - b.timestamp.getTime());
 
@@ -556,11 +841,11 @@ class ElectricBalanceService {
             let lowCarbonGen = 0;
 
             for (const gen of balance.generation) {
-                if (renewableTypes.includes(gen.type)) {
+                if (isRenewableTechnology(gen.type)) {
                     renewableGen += gen.value;
                 }
 
-                if (lowCarbonTypes.includes(gen.type)) {
+                if (isLowCarbonTechnology(gen.type)) {
                     lowCarbonGen += gen.value;
                 }
             }
@@ -787,14 +1072,16 @@ class ElectricBalanceService {
      * @param {Date} endDate - Fecha final
      * @param {string} timeScope - Alcance temporal (day, month, year)
      * @param {string} metric - Métrica a analizar (generation, demand, renewable)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<Object>} - Picos y valles detectados
      * @throws {Error} - Si hay problemas al obtener o procesar los datos
      */
-    async getPeaksAndValleys(startDate, endDate, timeScope = 'day', metric = 'demand') {
+    async getPeaksAndValleys(startDate, endDate, timeScope = 'day', metric = 'demand', region = DEFAULT_REGION) {
         const balanceData = await this.electricBalanceRepository.findByDateRange(
           startDate,
           endDate,
-          timeScope
+          timeScope,
+          { region }
         );
 
         if (!balanceData || balanceData.length < 3) {
@@ -893,7 +1180,7 @@ class ElectricBalanceService {
         return {
             isEmpty: false,
             metric,
-            period: { startDate, endDate, timeScope },
+            period: { startDate, endDate, timeScope, region },
             statistics: {
                 mean,
                 max,
@@ -0,0 +1,352 @@
+/**
+ * @file ElectricBalanceValidator.js
+ * @description Servicio de dominio que valida las respuestas de balance eléctrico de REE
+ *
+ * Comprueba cada payload contra la estructura esperada del widget de balance y
+ * asigna a cada balance construido sus indicadores de calidad. Los balances con
+ * algún indicador de severidad error se separan para ponerlos en cuarentena.
+ */
+
+const {
+    findTechnology,
+    isAggregateTechnology
+} = require('../constants/technologies');
+const {
+    QUALITY_FLAGS,
+    createQualityFlag,
+    hasBlockingQualityFlags
+} = require('../constants/qualityFlags');
+
+/**
+ * Tecnologías que siempre publica REE para cada región; en los sistemas
+ * insulares el mix varía demasiado para exigir ninguna
+ */
+const EXPECTED_TECHNOLOGIES_BY_REGION = {
+    national: ['hydro', 'wind', 'solar_pv', 'nuclear', 'combined_cycle'],
+    peninsular: ['hydro', 'wind', 'solar_pv', 'nuclear', 'combined_cycle']
+};
+
+/**
+ * Número máximo de incidencias de esquema que se guardan en un indicador
+ */
+const MAX_REPORTED_ISSUES = 20;
+
+/**
+ * Servicio para validar balances eléctricos
+ */
+class ElectricBalanceValidator {
+    /**
+     * Crea una nueva instancia del validador
+     *
+     * @param {Object} [options={}] - Opciones de validación
+     * @param {number} [options.percentageTolerance=2] - Desviación admitida, en puntos, de la suma de porcentajes respecto a 100
+     * @param {number} [options.balanceTolerance=0.1] - Desviación relativa admitida entre generación más saldo de intercambios y demanda
+     * @param {Object} [options.expectedTechnologies] - Códigos de tecnología que deben aparecer por región
+     */
+    constructor({
+                    percentageTolerance = 2,
+                    balanceTolerance = 0.1,
+                    expectedTechnologies = EXPECTED_TECHNOLOGIES_BY_REGION
+                } = {}) {
+        this.percentageTolerance = percentageTolerance;
+        this.balanceTolerance = balanceTolerance;
+        this.expectedTechnologies = expectedTechnologies;
+    }
+
+    /**
+     * Comprueba que una respuesta de REE tiene la estructura esperada
+     *
+     * Cada incidencia indica la ruta del elemento afectado y, si se conoce, la
+     * marca temporal del valor para asignarla solo al balance correspondiente.
+     *
+     * @param {Object} apiResponse - Respuesta de la API de REE
+     * @returns {Array<Object>} - Incidencias { path, message, datetime }
+     */
+    validateResponse(apiResponse) {
+        const issues = [];
+
+        if (!apiResponse || typeof apiResponse.data !== 'object' || apiResponse.data === null) {
+            issues.push({ path: 'data', message: 'Missing data object', datetime: null });
+        }
+
+        if (!apiResponse || !Array.isArray(apiResponse.included)) {
+            issues.push({ path: 'included', message: 'Missing included array', datetime: null });
+            return issues;
+        }
+
+        apiResponse.included.forEach((group, groupIndex) => {
+            const groupPath = `included[${groupIndex}]`;
+
+            if (!group || typeof group.type !== 'string') {
+                issues.push({ path: groupPath, message: 'Group without type', datetime: null });
+                return;
+            }
+
+            const content = group.attributes?.content;
+
+            if (!Array.isArray(content)) {
+                issues.push({ path: `${groupPath}.attributes.content`, message: `Group ${group.type} has no content array`, datetime: null });
+                return;
+            }
+
+            content.forEach((item, itemIndex) => {
+                issues.push(...this._validateContentItem(item, `${groupPath}.attributes.content[${itemIndex}]`));
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Calcula los indicadores de calidad de un balance
+     *
+     * @param {import('../entities/ElectricBalance')} electricBalance - Balance a evaluar
+     * @param {Array<Object>} [issues=[]] - Incidencias de esquema de la respuesta de origen
+     * @returns {Array<Object>} - Indicadores de calidad
+     */
+    assess(electricBalance, issues = []) {
+        const flags = [];
+        const time = electricBalance.timestamp.getTime();
+
+        const recordIssues = issues.filter(issue => issue.datetime === null || issue.datetime === time);
+
+        if (recordIssues.length > 0) {
+            flags.push(createQualityFlag(
+                QUALITY_FLAGS.SCHEMA_VIOLATION,
+                `${recordIssues.length} items do not match the expected REE schema`,
+                {
+                    issueCount: recordIssues.length,
+                    issues: recordIssues.slice(0, MAX_REPORTED_ISSUES).map(({ path, message }) => ({ path, message }))
+                }
+            ));
+        }
+
+        const generation = electricBalance.generation.filter(item => !isAggregateTechnology(item.type));
+        const demand = electricBalance.demand;
+
+        if (generation.length === 0) {
+            flags.push(createQualityFlag(QUALITY_FLAGS.MISSING_GENERATION, 'No generation data'));
+        }
+
+        if (demand.length === 0) {
+            flags.push(createQualityFlag(QUALITY_FLAGS.MISSING_DEMAND, 'No demand data'));
+        }
+
+        const negativeTypes = [...generation, ...demand]
+            .filter(item => item.value < 0)
+            .map(item => item.type);
+
+        if (negativeTypes.length > 0) {
+            flags.push(createQualityFlag(
+                QUALITY_FLAGS.NEGATIVE_VALUES,
+                `Negative values for ${negativeTypes.join(', ')}`,
+                { types: negativeTypes }
+            ));
+        }
+
+        flags.push(...this._checkTechnologies(electricBalance.region, generation, demand));
+
+        const percentageFlag = this._checkPercentages(generation);
+        if (percentageFlag) flags.push(percentageFlag);
+
+        const balanceFlag = this._checkBalance(electricBalance);
+        if (balanceFlag) flags.push(balanceFlag);
+
+        return flags;
+    }
+
+    /**
+     * Asigna los indicadores de calidad a cada balance y separa los que deben ir a cuarentena
+     *
+     * @param {Array<import('../entities/ElectricBalance')>} electricBalances - Balances construidos a partir de la respuesta
+     * @param {Array<Object>} [issues=[]] - Incidencias devueltas por validateResponse
+     * @returns {Object} - { accepted, quarantined }
+     */
+    partition(electricBalances, issues = []) {
+        const accepted = [];
+        const quarantined = [];
+
+        for (const electricBalance of electricBalances) {
+            electricBalance.qualityFlags = this.assess(electricBalance, issues);
+
+            if (hasBlockingQualityFlags(electricBalance.qualityFlags)) {
+                quarantined.push(electricBalance);
+            } else {
+                accepted.push(electricBalance);
+            }
+        }
+
+        return { accepted, quarantined };
+    }
+
+    /**
+     * Valida un elemento de `content` y sus valores
+     *
+     * @param {Object} item - Elemento de la respuesta
+     * @param {string} path - Ruta del elemento
+     * @returns {Array<Object>} - Incidencias encontradas
+     * @private
+     */
+    _validateContentItem(item, path) {
+        if (!item || typeof item.type !== 'string' || item.type.trim() === '') {
+            return [{ path, message: 'Item without type', datetime: null }];
+        }
+
+        const values = item.attributes?.values;
+
+        if (!Array.isArray(values)) {
+            if (item.value !== undefined && this._isNumeric(item.value)) {
+                return [];
+            }
+
+            return [{ path, message: `Item ${item.type} has no values`, datetime: null }];
+        }
+
+        const issues = [];
+
+        values.forEach((valueObj, valueIndex) => {
+            const valuePath = `${path}.attributes.values[${valueIndex}]`;
+            const time = new Date(valueObj?.datetime).getTime();
+            const datetime = Number.isFinite(time) ? time : null;
+
+            if (datetime === null) {
+                issues.push({ path: valuePath, message: `Invalid datetime for ${item.type}`, datetime });
+            }
+
+            if (!this._isNumeric(valueObj?.value)) {
+                issues.push({ path: valuePath, message: `Non-numeric value for ${item.type}`, datetime });
+            }
+
+            if (valueObj?.percentage !== undefined && valueObj.percentage !== null && !this._isNumeric(valueObj.percentage)) {
+                issues.push({ path: valuePath, message: `Non-numeric percentage for ${item.type}`, datetime });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Comprueba que aparecen las tecnologías esperadas y que todas están en el catálogo
+     *
+     * @param {string} region - Ámbito geográfico del balance
+     * @param {Array<Object>} generation - Items de generación sin agregados
+     * @param {Array<Object>} demand - Items de demanda
+     * @returns {Array<Object>} - Indicadores de calidad
+     * @private
+     */
+    _checkTechnologies(region, generation, demand) {
+        const flags = [];
+        const presentCodes = new Set(
+            generation
+                .map(item => findTechnology(item.type))
+                .filter(Boolean)
+                .map(technology => technology.code)
+        );
+
+        const missing = (this.expectedTechnologies[region] || []).filter(code => !presentCodes.has(code));
+
+        if (missing.length > 0) {
+            flags.push(createQualityFlag(
+                QUALITY_FLAGS.MISSING_TECHNOLOGIES,
+                `Missing technologies: ${missing.join(', ')}`,
+                { technologies: missing }
+            ));
+        }
+
+        const unknown = [...generation, ...demand]
+            .filter(item => !findTechnology(item.type))
+            .map(item => item.type);
+
+        if (unknown.length > 0) {
+            flags.push(createQualityFlag(
+                QUALITY_FLAGS.UNKNOWN_TECHNOLOGIES,
+                `Technologies not in the catalog: ${unknown.join(', ')}`,
+                { types: unknown }
+            ));
+        }
+
+        return flags;
+    }
+
+    /**
+     * Comprueba que los porcentajes de generación suman aproximadamente 100
+     *
+     * REE publica los porcentajes como fracción (0-1); se aceptan también en
+     * escala 0-100. Si la respuesta no trae porcentajes no se comprueba nada.
+     *
+     * @param {Array<Object>} generation - Items de generación sin agregados
+     * @returns {Object|null} - Indicador de calidad o null si es correcto
+     * @private
+     */
+    _checkPercentages(generation) {
+        const percentages = generation
+            .map(item => item.percentage)
+            .filter(percentage => Number.isFinite(percentage) && percentage !== 0);
+
+        if (percentages.length === 0) {
+            return null;
+        }
+
+        const sum = percentages.reduce((total, percentage) => total + percentage, 0);
+        const total = sum <= 1.5 ? sum * 100 : sum;
+
+        if (Math.abs(total - 100) <= this.percentageTolerance) {
+            return null;
+        }
+
+        return createQualityFlag(
+            QUALITY_FLAGS.PERCENTAGE_SUM,
+            `Generation percentages add up to ${total.toFixed(2)}%`,
+            { sum: total }
+        );
+    }
+
+    /**
+     * Comprueba que la generación más el saldo de intercambios cubre la demanda
+     *
+     * @param {import('../entities/ElectricBalance')} electricBalance - Balance a evaluar
+     * @returns {Object|null} - Indicador de calidad o null si es correcto
+     * @private
+     */
+    _checkBalance(electricBalance) {
+        const totalGeneration = electricBalance.getTotalGeneration();
+        const totalDemand = electricBalance.getTotalDemand();
+
+        if (totalGeneration <= 0 || totalDemand <= 0) {
+            return null;
+        }
+
+        const netInterchange = electricBalance.interchange.reduce(
+            (total, item) => total + (Number.isFinite(item.value) ? item.value : 0), 0
+        );
+
+        const deviation = Math.abs(totalGeneration + netInterchange - totalDemand) / totalDemand;
+
+        if (deviation <= this.balanceTolerance) {
+            return null;
+        }
+
+        return createQualityFlag(
+            QUALITY_FLAGS.GENERATION_DEMAND_MISMATCH,
+            `Generation and demand differ by ${(deviation * 100).toFixed(1)}%`,
+            { totalGeneration, totalDemand, netInterchange, deviation }
+        );
+    }
+
+    /**
+     * Indica si un valor de la respuesta es numérico
+     *
+     * @param {*} value - Valor a comprobar
+     * @returns {boolean} - true si es un número finito o una cadena numérica
+     * @private
+     */
+    _isNumeric(value) {
+        if (value === null || value === undefined || value === '') {
+            return false;
+        }
+
+        return Number.isFinite(Number(value));
+    }
+}
+
+module.exports = ElectricBalanceValidator;
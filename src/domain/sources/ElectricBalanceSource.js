@@ -0,0 +1,43 @@
+/**
+ * @file ElectricBalanceSource.js
+ * @description Interfaz de las fuentes de datos del balance eléctrico
+ *
+ * Esta interfaz define los métodos que cualquier fuente de balances debe
+ * proporcionar para que FetchREEData pueda ingerir sus datos con la misma
+ * validación, cuarentena y registro de ejecuciones que los de REE.
+ */
+
+/**
+ * @interface ElectricBalanceSource
+ */
+class ElectricBalanceSource {
+  /**
+   * Obtiene el nombre con el que se selecciona la fuente
+   *
+   * @returns {string} - Nombre de la fuente (ree, file...)
+   */
+  getName() {
+    throw new Error('ElectricBalanceSource.getName must be implemented');
+  }
+
+  /**
+   * Obtiene los balances de un rango, normalizados a un balance por punto temporal
+   *
+   * Las incidencias siguen el formato de ElectricBalanceValidator.validateResponse
+   * ({ path, message, datetime }); las de datetime null afectan a todos los balances.
+   *
+   * @param {Object} params - Parámetros de la consulta
+   * @param {Date} params.startDate - Fecha de inicio
+   * @param {Date} params.endDate - Fecha de fin
+   * @param {string} params.timeScope - Granularidad temporal (hour, day, month, year)
+   * @param {string} params.region - Ámbito geográfico
+   * @param {number} [params.maxRetries] - Intentos por petición, si la fuente los admite
+   * @returns {Promise<Object>} - { balances: Array<ElectricBalance>, issues: Array<Object>, failedChunks: Array<Object> }
+   * @throws {Error} - Si no se pueden obtener los datos
+   */
+  async fetchRange({ startDate, endDate, timeScope, region, maxRetries }) {
+    throw new Error('ElectricBalanceSource.fetchRange must be implemented');
+  }
+}
+
+module.exports = ElectricBalanceSource;
@@ -18,9 +18,26 @@ const logger = require('./config/logger');
 const { schedulerManager } = require('./config/schedulers');
 
 const MongoConnection = require('./infrastructure/database/connection');
+const SQLiteConnection = require('./infrastructure/database/sqlite/connection');
+const ElectricBalanceModel = require('./infrastructure/database/models/ElectricBalanceModel');
 const REEApiService = require('./infrastructure/external/REEApiService');
-const MongoElectricBalanceRepository = require('./infrastructure/repositories/MongoElectricBalanceRepository');
+const TokenBucketRateLimiter = require('./infrastructure/external/TokenBucketRateLimiter');
+const CircuitBreaker = require('./infrastructure/external/CircuitBreaker');
+const createElectricBalanceRepository = require('./infrastructure/repositories/createElectricBalanceRepository');
+const MongoMarketPriceRepository = require('./infrastructure/repositories/MongoMarketPriceRepository');
+const MongoCo2EmissionRepository = require('./infrastructure/repositories/MongoCo2EmissionRepository');
+const MongoInternationalExchangeRepository = require('./infrastructure/repositories/MongoInternationalExchangeRepository');
+const MongoInstalledCapacityRepository = require('./infrastructure/repositories/MongoInstalledCapacityRepository');
+const MongoRealTimeDemandRepository = require('./infrastructure/repositories/MongoRealTimeDemandRepository');
+const MongoRawREEResponseRepository = require('./infrastructure/repositories/MongoRawREEResponseRepository');
+const MongoQuarantineRepository = require('./infrastructure/repositories/MongoQuarantineRepository');
+const MongoIngestionRunRepository = require('./infrastructure/repositories/MongoIngestionRunRepository');
+const MongoSchedulerLockRepository = require('./infrastructure/repositories/MongoSchedulerLockRepository');
+const MongoFetchScheduleRepository = require('./infrastructure/repositories/MongoFetchScheduleRepository');
+const MongoSeedCheckpointRepository = require('./infrastructure/repositories/MongoSeedCheckpointRepository');
+const createElectricBalanceSources = require('./infrastructure/sources/createElectricBalanceSources');
 const ElectricBalanceService = require('./domain/services/ElectricBalanceService');
+const { INGESTION_TRIGGERS } = require('./domain/constants/ingestionRuns');
 
 const createGraphQLServer = require('./infrastructure/graphql/server');
 
@@ -97,14 +114,24 @@ async function bootstrap() {
         console.log('[BOOTSTRAP] Middlewares configurados.');
 
         // Conectar a la base de datos
-        console.log('\n[BOOTSTRAP] Conectando a MongoDB...');
-        const mongoConnection = await connectToDatabase();
-        initializedServices.push({ name: 'MongoDB', instance: mongoConnection });
-        console.log('[BOOTSTRAP] Conexión a MongoDB establecida.');
+        if (usesMongo()) {
+            console.log('\n[BOOTSTRAP] Conectando a MongoDB...');
+            const mongoConnection = await connectToDatabase();
+            initializedServices.push({ name: 'MongoDB', instance: mongoConnection });
+            console.log('[BOOTSTRAP] Conexión a MongoDB establecida.');
+        } else {
+            console.log(`\n[BOOTSTRAP] Almacenamiento ${config.storage.electricBalances}: sin conexión a MongoDB.`);
+        }
 
         // Inicializar repositorios
         console.log('\n[BOOTSTRAP] Inicializando repositorios...');
         const repositories = initializeRepositories();
+        if (config.storage.electricBalances === 'sqlite') {
+            initializedServices.push({
+                name: 'SQLite',
+                instance: { close: () => SQLiteConnection.close(logger) }
+            });
+        }
         console.log('[BOOTSTRAP] Repositorios inicializados.');
 
         // Inicializar servicios
@@ -114,7 +141,7 @@ async function bootstrap() {
 
         // Configurar rutas de API REST básicas - ANTES de GraphQL
         console.log('\n[BOOTSTRAP] Configurando rutas básicas...');
-        setupBasicRoutes();
+        setupBasicRoutes(repositories);
         console.log('[BOOTSTRAP] Rutas básicas configuradas.');
 
         // Inicializar servidor GraphQL
@@ -215,6 +242,18 @@ function setupMiddlewares() {
     logger.debug('Express middlewares configured');
 }
 
+/**
+ * Indica si el almacenamiento configurado necesita MongoDB
+ *
+ * Con `memory` o `sqlite` no se conecta a MongoDB y los datos que solo
+ * tienen repositorio en MongoDB quedan desactivados.
+ *
+ * @returns {boolean} - true si los balances se guardan en MongoDB
+ */
+function usesMongo() {
+    return config.storage.electricBalances === 'mongo';
+}
+
 /**
  * Conecta a la base de datos MongoDB
  *
@@ -230,6 +269,12 @@ async function connectToDatabase() {
         // Pequeño retraso para asegurar que la conexión está estable
         await new Promise(resolve => setTimeout(resolve, 1000));
 
+        // Asignar región nacional a los registros anteriores a la dimensión regional
+        const { migratedCount } = await ElectricBalanceModel.migrateRegionDimension();
+        if (migratedCount > 0) {
+            logger.info(`Migrated ${migratedCount} electric balance records to the national region`);
+        }
+
         return connection;
     } catch (error) {
         logger.error(`Failed to connect to MongoDB: ${error.message}`, error);
@@ -245,14 +290,117 @@ async function connectToDatabase() {
 function initializeRepositories() {
     logger.info('Initializing repositories');
 
-    const electricBalanceRepository = new MongoElectricBalanceRepository(
+    const electricBalanceRepository = createElectricBalanceRepository(
+        config.storage.electricBalances,
+        { sqliteFile: config.storage.sqliteFile },
         logger.createComponentLogger('ElectricBalanceRepository')
     );
+    logger.info(`Electric balances stored in ${config.storage.electricBalances}`);
+
+    // Los demás repositorios solo existen en MongoDB; sin él, sus datos quedan desactivados
+    let mongoRepositories = {};
+
+    if (usesMongo()) {
+        mongoRepositories = createMongoRepositories();
+    } else {
+        logger.warn('MongoDB is not used: market prices, CO2 emissions, exchanges, installed capacity, ' +
+            'real-time demand, archived responses, quarantine, ingestion runs, scheduler locks, ' +
+            'persisted fetch schedules and seeding are disabled');
+    }
 
     logger.debug('Repositories initialized');
 
     return {
-        electricBalanceRepository
+        electricBalanceRepository,
+        marketPriceRepository: mongoRepositories.marketPriceRepository || null,
+        co2EmissionRepository: mongoRepositories.co2EmissionRepository || null,
+        internationalExchangeRepository: mongoRepositories.internationalExchangeRepository || null,
+        installedCapacityRepository: mongoRepositories.installedCapacityRepository || null,
+        realTimeDemandRepository: mongoRepositories.realTimeDemandRepository || null,
+        rawREEResponseRepository: mongoRepositories.rawREEResponseRepository || null,
+        quarantineRepository: mongoRepositories.quarantineRepository || null,
+        ingestionRunRepository: mongoRepositories.ingestionRunRepository || null,
+        schedulerLockRepository: mongoRepositories.schedulerLockRepository || null,
+        fetchScheduleRepository: mongoRepositories.fetchScheduleRepository || null,
+        seedCheckpointRepository: mongoRepositories.seedCheckpointRepository || null
+    };
+}
+
+/**
+ * Crea los repositorios que solo tienen implementación en MongoDB
+ *
+ * @returns {Object} Objeto con los repositorios de MongoDB
+ */
+function createMongoRepositories() {
+    return {
+        marketPriceRepository: new MongoMarketPriceRepository(
+            logger.createComponentLogger('MarketPriceRepository')
+        ),
+        co2EmissionRepository: new MongoCo2EmissionRepository(
+            logger.createComponentLogger('Co2EmissionRepository')
+        ),
+        internationalExchangeRepository: new MongoInternationalExchangeRepository(
+            logger.createComponentLogger('InternationalExchangeRepository')
+        ),
+        installedCapacityRepository: new MongoInstalledCapacityRepository(
+            logger.createComponentLogger('InstalledCapacityRepository')
+        ),
+        realTimeDemandRepository: new MongoRealTimeDemandRepository(
+            logger.createComponentLogger('RealTimeDemandRepository')
+        ),
+        rawREEResponseRepository: new MongoRawREEResponseRepository(
+            logger.createComponentLogger('RawREEResponseRepository')
+        ),
+        quarantineRepository: new MongoQuarantineRepository(
+            logger.createComponentLogger('QuarantineRepository')
+        ),
+        ingestionRunRepository: new MongoIngestionRunRepository(
+            logger.createComponentLogger('IngestionRunRepository')
+        ),
+        schedulerLockRepository: new MongoSchedulerLockRepository(
+            logger.createComponentLogger('SchedulerLockRepository')
+        ),
+        fetchScheduleRepository: new MongoFetchScheduleRepository(
+            logger.createComponentLogger('FetchScheduleRepository')
+        ),
+        seedCheckpointRepository: new MongoSeedCheckpointRepository(
+            logger.createComponentLogger('SeedCheckpointRepository')
+        )
+    };
+}
+
+/**
+ * Limitador y circuit breaker compartidos por todos los clientes de REE
+ */
+let reeApiRateLimiter = null;
+let reeApiCircuitBreaker = null;
+
+/**
+ * Obtiene la configuración de reintentos, limitador y circuit breaker para REEApiService
+ *
+ * Todas las instancias del servicio reciben el mismo limitador y circuito para que
+ * el ritmo de peticiones y la detección de caídas sean globales al proceso.
+ *
+ * @returns {Object} - Opciones de resiliencia para el constructor de REEApiService
+ */
+function getREEApiResilienceConfig() {
+    if (!reeApiRateLimiter) {
+        reeApiRateLimiter = new TokenBucketRateLimiter(config.ree.rateLimit);
+    }
+
+    if (!reeApiCircuitBreaker) {
+        reeApiCircuitBreaker = new CircuitBreaker(
+            { name: 'REE API', ...config.ree.circuitBreaker },
+            logger.createComponentLogger('REECircuitBreaker')
+        );
+    }
+
+    return {
+        retryAttempts: config.ree.retryAttempts,
+        retryDelay: config.ree.retryDelay,
+        retryMaxDelay: config.ree.retryMaxDelay,
+        rateLimiter: reeApiRateLimiter,
+        circuitBreaker: reeApiCircuitBreaker
     };
 }
 
@@ -267,32 +415,47 @@ function initializeServices(repositories) {
 
     const reeApiService = new REEApiService(
         {
+            ...getREEApiResilienceConfig(),
             baseUrl: config.ree.baseUrl,
             timeout: config.ree.timeout,
-            headers: config.ree.headers
+            headers: config.ree.headers,
+            chunkConcurrency: config.ree.chunkConcurrency,
+            responseArchive: config.ree.archiveResponses ? repositories.rawREEResponseRepository : null
         },
         logger.createComponentLogger('REEApiService')
     );
 
     const electricBalanceService = new ElectricBalanceService(
-        repositories.electricBalanceRepository
+        repositories.electricBalanceRepository,
+        repositories.co2EmissionRepository,
+        repositories.installedCapacityRepository
+    );
+
+    const electricBalanceSources = createElectricBalanceSources(
+        reeApiService,
+        { fileDirectory: config.balanceSources.fileDirectory },
+        logger.createComponentLogger('ElectricBalanceSources')
     );
 
-    const mongoConnection = MongoConnection;
+    const mongoConnection = usesMongo() ? MongoConnection : null;
 
     logger.debug('Services initialized');
 
     return {
         reeApiService,
+        electricBalanceSources,
         electricBalanceService,
-        mongoConnection
+        mongoConnection,
+        schedulerManager
     };
 }
 
 /**
  * Configura rutas básicas para la API REST
+ *
+ * @param {Object} repositories - Repositorios inicializados
  */
-function setupBasicRoutes() {
+function setupBasicRoutes(repositories) {
 
     app.get('/', (req, res) => {
         res.json({
@@ -308,15 +471,19 @@ function setupBasicRoutes() {
     });
     // Ruta de verificación de salud
     app.get('/health', async (req, res) => {
-        const mongoStatus = await MongoConnection.healthCheck();
+        const services = {
+            electricBalances: { storage: config.storage.electricBalances }
+        };
+
+        if (usesMongo()) {
+            services.mongodb = await MongoConnection.healthCheck();
+        }
 
         const status = {
-            status: mongoStatus.status === 'healthy' ? 'ok' : 'error',
+            status: !services.mongodb || services.mongodb.status === 'healthy' ? 'ok' : 'error',
             timestamp: new Date().toISOString(),
             version: process.env.npm_package_version || '1.0.0',
-            services: {
-                mongodb: mongoStatus
-            }
+            services
         };
 
         const statusCode = status.status === 'ok' ? 200 : 503;
@@ -341,15 +508,19 @@ function setupBasicRoutes() {
         try {
             logger.info('Forcing data load from REE API');
 
-            const repository = new MongoElectricBalanceRepository(
-              logger.createComponentLogger('ManualLoadRepository')
-            );
+            // El mismo repositorio de la API, para que los datos cargados se vean también en memoria
+            const repository = repositories.electricBalanceRepository;
 
             const reeService = new REEApiService(
               {
+                  ...getREEApiResilienceConfig(),
                   baseUrl: config.ree.baseUrl,
                   timeout: config.ree.timeout,
-                  headers: config.ree.headers
+                  headers: config.ree.headers,
+                  chunkConcurrency: config.ree.chunkConcurrency,
+                  responseArchive: config.ree.archiveResponses
+                    ? repositories.rawREEResponseRepository
+                    : null
               },
               logger.createComponentLogger('ManualLoadREEService')
             );
@@ -357,9 +528,11 @@ function setupBasicRoutes() {
             // Crear una instancia del caso de uso
             const FetchREEDataClass = require('./application/use-cases/FetchREEData');
             const fetchUseCase = new FetchREEDataClass(
-              reeService,
+              createElectricBalanceSources(reeService),
               repository,
-              logger.createComponentLogger('ManualLoad')
+              logger.createComponentLogger('ManualLoad'),
+              repositories.quarantineRepository,
+              repositories.ingestionRunRepository
             );
 
             // Fechas para los últimos 30 días
@@ -372,7 +545,8 @@ function setupBasicRoutes() {
                 startDate,
                 endDate,
                 timeScope: 'day',
-                forceUpdate: true
+                forceUpdate: true,
+                trigger: INGESTION_TRIGGERS.API
             });
 
             res.json({
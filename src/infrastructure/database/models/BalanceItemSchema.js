@@ -0,0 +1,38 @@
+/**
+ * @file BalanceItemSchema.js
+ * @description Subesquema de MongoDB para los items de generación, demanda e intercambio
+ *
+ * Lo comparten los balances eléctricos y sus revisiones.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para representar un item de generación, demanda o intercambio
+ */
+const balanceItemSchema = new Schema({
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    value: {
+        type: Number,
+        required: true
+    },
+    percentage: {
+        type: Number,
+        default: 0
+    },
+    color: {
+        type: String,
+        default: null
+    },
+    unit: {
+        type: String,
+        default: 'MW'
+    }
+}, { _id: false });
+
+module.exports = balanceItemSchema;
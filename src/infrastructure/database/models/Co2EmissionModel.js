@@ -0,0 +1,138 @@
+/**
+ * @file Co2EmissionModel.js
+ * @description Modelo de MongoDB para las emisiones de CO2 de la generación
+ *
+ * Este archivo define el esquema y modelo de MongoDB para almacenar las
+ * emisiones por tecnología no renovable publicadas por REE.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para las emisiones de una tecnología
+ */
+const emissionItemSchema = new Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true
+    },
+    percentage: {
+        type: Number,
+        default: 0
+    },
+    color: {
+        type: String,
+        default: null
+    },
+    unit: {
+        type: String,
+        default: 'tCO2 eq.'
+    }
+}, { _id: false });
+
+/**
+ * Esquema principal para las emisiones de CO2
+ */
+const co2EmissionSchema = new Schema({
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    timeScope: {
+        type: String,
+        enum: ['day', 'month', 'year'],
+        required: true,
+        index: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true,
+        index: true
+    },
+    byTechnology: {
+        type: [emissionItemSchema],
+        default: []
+    },
+    totalEmissions: {
+        type: Number,
+        default: 0
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: {
+            type: String,
+            default: 'REE API'
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'co2_emissions'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+co2EmissionSchema.index({ timestamp: 1, timeScope: 1, region: 1 }, { unique: true });
+
+/**
+ * Método estático para obtener las emisiones agregadas por tecnología
+ */
+co2EmissionSchema.statics.getTotalsByTechnology = async function(startDate, endDate, timeScope, region = DEFAULT_REGION) {
+    return this.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope: timeScope,
+                region: region
+            }
+        },
+        {
+            $unwind: '$byTechnology'
+        },
+        {
+            $group: {
+                _id: '$byTechnology.type',
+                value: { $sum: '$byTechnology.value' },
+                color: { $first: '$byTechnology.color' },
+                timestamps: { $addToSet: '$timestamp' }
+            }
+        },
+        {
+            $project: {
+                type: '$_id',
+                value: 1,
+                color: 1,
+                count: { $size: '$timestamps' },
+                _id: 0
+            }
+        },
+        {
+            $sort: { value: -1 }
+        }
+    ]);
+};
+
+/**
+ * Hook para calcular el total antes de guardar
+ */
+co2EmissionSchema.pre('save', function(next) {
+    this.totalEmissions = this.byTechnology.reduce(
+        (sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0
+    );
+
+    next();
+});
+
+const Co2EmissionModel = mongoose.model('Co2Emission', co2EmissionSchema);
+
+module.exports = Co2EmissionModel;
@@ -7,35 +7,18 @@
  */
 
 const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const {
+    isAggregateTechnology,
+    isRenewableTechnology,
+    getAggregateTechnologyNames
+} = require('../../../domain/constants/technologies');
+const balanceItemSchema = require('./BalanceItemSchema');
+const qualityFlagSchema = require('./QualityFlagSchema');
+const ElectricBalanceRevisionModel = require('./ElectricBalanceRevisionModel');
 const Schema = mongoose.Schema;
 
-/**
- * Esquema para representar un item de generación, demanda o intercambio
- */
-const balanceItemSchema = new Schema({
-    type: {
-        type: String,
-        required: true,
-        index: true
-    },
-    value: {
-        type: Number,
-        required: true
-    },
-    percentage: {
-        type: Number,
-        default: 0
-    },
-    color: {
-        type: String,
-        default: null
-    },
-    unit: {
-        type: String,
-        default: 'MW'
-    }
-}, { _id: false });
-
 /**
  * Esquema principal para el balance eléctrico
  */
@@ -47,7 +30,14 @@ const electricBalanceSchema = new Schema({
     },
     timeScope: {
         type: String,
-        enum: ['hour', 'day', 'month', 'year'],
+        enum: TIME_SCOPES,
+        required: true,
+        index: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
         required: true,
         index: true
     },
@@ -96,6 +86,18 @@ const electricBalanceSchema = new Schema({
             type: Schema.Types.Mixed,
             select: false
         }
+    },
+    qualityFlags: {
+        type: [qualityFlagSchema],
+        default: []
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true,
@@ -105,11 +107,12 @@ const electricBalanceSchema = new Schema({
 /**
  * Índices compuestos para optimizar las consultas frecuentes
  */
-electricBalanceSchema.index({ timestamp: 1, timeScope: 1 }, { unique: true });
+electricBalanceSchema.index({ timestamp: 1, timeScope: 1, region: 1 }, { unique: true });
 electricBalanceSchema.index({ timeScope: 1, 'generation.type': 1 });
 electricBalanceSchema.index({ timestamp: 1, totalGeneration: 1 });
 electricBalanceSchema.index({ timestamp: 1, totalDemand: 1 });
 electricBalanceSchema.index({ timestamp: 1, renewablePercentage: 1 });
+electricBalanceSchema.index({ 'qualityFlags.code': 1 });
 
 /**
  * Método para convertir un documento a un objeto plano eliminando propiedades internas de MongoDB
@@ -129,16 +132,61 @@ electricBalanceSchema.methods.toPlainObject = function() {
 };
 
 /**
- * Método estático para calcular estadísticas agregadas
+ * Construye las etapas iniciales de una agregación sobre los balances
+ *
+ * Sin `asOf` solo filtra los balances vigentes. Con `asOf` devuelve cada balance
+ * en la versión que estaba vigente en ese instante: el documento actual si ya lo
+ * era, o la revisión cuyo intervalo de vigencia lo contiene. Los balances
+ * anteriores al versionado no tienen `validFrom` y cuentan desde su creación.
+ *
+ * @param {Object} match - Filtro sobre los campos del balance
+ * @param {Date} [asOf] - Instante en el que se quieren ver los datos
+ * @returns {Array<Object>} - Etapas de agregación
  */
-electricBalanceSchema.statics.getStatsByDateRange = async function(startDate, endDate, timeScope) {
-    return this.aggregate([
+const buildSourceStages = (match, asOf) => {
+    if (!asOf) {
+        return [{ $match: match }];
+    }
+
+    const asOfDate = new Date(asOf);
+
+    return [
         {
             $match: {
-                timestamp: { $gte: startDate, $lte: endDate },
-                timeScope: timeScope
+                ...match,
+                $expr: { $lte: [{ $ifNull: ['$validFrom', '$createdAt'] }, asOfDate] }
             }
         },
+        {
+            $unionWith: {
+                coll: ElectricBalanceRevisionModel.collection.collectionName,
+                pipeline: [
+                    {
+                        $match: {
+                            ...match,
+                            validFrom: { $lte: asOfDate },
+                            supersededAt: { $gt: asOfDate }
+                        }
+                    },
+                    {
+                        $set: { _id: '$balanceId', updatedAt: '$validFrom' }
+                    }
+                ]
+            }
+        }
+    ];
+};
+
+/**
+ * Método estático para calcular estadísticas agregadas
+ */
+electricBalanceSchema.statics.getStatsByDateRange = async function(startDate, endDate, timeScope, region = DEFAULT_REGION, asOf = null) {
+    return this.aggregate([
+        ...buildSourceStages({
+            timestamp: { $gte: startDate, $lte: endDate },
+            timeScope: timeScope,
+            region: region
+        }, asOf),
         {
             $group: {
                 _id: null,
@@ -160,16 +208,20 @@ electricBalanceSchema.statics.getStatsByDateRange = async function(startDate, en
 /**
  * Método estático para obtener la distribución de generación por tipo
  */
-electricBalanceSchema.statics.getGenerationDistribution = async function(startDate, endDate, timeScope) {
+electricBalanceSchema.statics.getGenerationDistribution = async function(startDate, endDate, timeScope, region = DEFAULT_REGION, asOf = null) {
     return this.aggregate([
+        ...buildSourceStages({
+            timestamp: { $gte: startDate, $lte: endDate },
+            timeScope: timeScope,
+            region: region
+        }, asOf),
         {
-            $match: {
-                timestamp: { $gte: startDate, $lte: endDate },
-                timeScope: timeScope
-            }
+            $unwind: '$generation'
         },
         {
-            $unwind: '$generation'
+            $match: {
+                'generation.type': { $nin: getAggregateTechnologyNames() }
+            }
         },
         {
             $group: {
@@ -203,7 +255,7 @@ electricBalanceSchema.statics.getGenerationDistribution = async function(startDa
 /**
  * Método estático para obtener la evolución temporal de un indicador
  */
-electricBalanceSchema.statics.getTimeSeriesForIndicator = async function(indicator, startDate, endDate, timeScope) {
+electricBalanceSchema.statics.getTimeSeriesForIndicator = async function(indicator, startDate, endDate, timeScope, region = DEFAULT_REGION, asOf = null) {
     const allowedIndicators = [
         'totalGeneration', 'totalDemand', 'balance', 'renewablePercentage'
     ];
@@ -213,12 +265,11 @@ electricBalanceSchema.statics.getTimeSeriesForIndicator = async function(indicat
     }
 
     return this.aggregate([
-        {
-            $match: {
-                timestamp: { $gte: startDate, $lte: endDate },
-                timeScope: timeScope
-            }
-        },
+        ...buildSourceStages({
+            timestamp: { $gte: startDate, $lte: endDate },
+            timeScope: timeScope,
+            region: region
+        }, asOf),
         {
             $project: {
                 timestamp: 1,
@@ -232,13 +283,58 @@ electricBalanceSchema.statics.getTimeSeriesForIndicator = async function(indicat
     ]);
 };
 
+/**
+ * Método estático para obtener los balances tal como estaban en un instante
+ *
+ * Los documentos devueltos son objetos planos con el `_id` del balance, también
+ * cuando proceden de una revisión.
+ */
+electricBalanceSchema.statics.findAsOf = async function(match, asOf, { sort = { timestamp: 1 }, skip = 0, limit = 100 } = {}) {
+    return this.aggregate([
+        ...buildSourceStages(match, asOf),
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { 'metadata.originalResponse': 0 } }
+    ]);
+};
+
+/**
+ * Método estático para contar los balances que existían en un instante
+ */
+electricBalanceSchema.statics.countAsOf = async function(match, asOf) {
+    const [result] = await this.aggregate([
+        ...buildSourceStages(match, asOf),
+        { $count: 'count' }
+    ]);
+
+    return result ? result.count : 0;
+};
+
+/**
+ * Método estático para adaptar documentos anteriores a la dimensión de región
+ *
+ * Asigna la región nacional a los documentos que no la tienen y sincroniza los
+ * índices para sustituir el antiguo índice único {timestamp, timeScope}.
+ */
+electricBalanceSchema.statics.migrateRegionDimension = async function() {
+    const result = await this.updateMany(
+        { region: { $exists: false } },
+        { $set: { region: DEFAULT_REGION } }
+    );
+
+    await this.syncIndexes();
+
+    return { migratedCount: result.modifiedCount };
+};
+
 /**
  * Hook para calcular campos derivados antes de guardar
  */
 electricBalanceSchema.pre('save', function(next) {
-    this.totalGeneration = this.generation.reduce(
-      (sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0
-    );
+    this.totalGeneration = this.generation
+      .filter(item => !isAggregateTechnology(item.type))
+      .reduce((sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0);
 
     this.totalDemand = this.demand.reduce(
       (sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0
@@ -246,13 +342,8 @@ electricBalanceSchema.pre('save', function(next) {
 
     this.balance = this.totalGeneration - this.totalDemand;
 
-    const renewableTypes = [
-        'Hidráulica', 'Eólica', 'Solar fotovoltaica', 'Solar térmica',
-        'Otras renovables', 'Hidroeólica'
-    ];
-
     const renewableGeneration = this.generation
-      .filter(item => renewableTypes.includes(item.type))
+      .filter(item => isRenewableTechnology(item.type))
       .reduce((sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0);
 
     if (this.totalGeneration > 0) {
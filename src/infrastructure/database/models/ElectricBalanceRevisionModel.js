@@ -0,0 +1,108 @@
+/**
+ * @file ElectricBalanceRevisionModel.js
+ * @description Modelo de MongoDB para las versiones anteriores de los balances eléctricos
+ *
+ * REE revisa los datos provisionales durante semanas. Cada vez que una
+ * actualización cambia un balance, la versión sustituida se copia aquí con el
+ * intervalo en el que fue la vigente, para poder consultar los datos tal como
+ * se conocían en un instante anterior.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const balanceItemSchema = require('./BalanceItemSchema');
+const qualityFlagSchema = require('./QualityFlagSchema');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para las revisiones de balance eléctrico
+ *
+ * Repite los campos del balance para que una revisión pueda ocupar su lugar en
+ * las mismas consultas y agregaciones.
+ */
+const electricBalanceRevisionSchema = new Schema({
+    balanceId: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    validFrom: {
+        type: Date,
+        required: true
+    },
+    supersededAt: {
+        type: Date,
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true
+    },
+    generation: {
+        type: [balanceItemSchema],
+        default: []
+    },
+    demand: {
+        type: [balanceItemSchema],
+        default: []
+    },
+    interchange: {
+        type: [balanceItemSchema],
+        default: []
+    },
+    totalGeneration: {
+        type: Number,
+        default: 0
+    },
+    totalDemand: {
+        type: Number,
+        default: 0
+    },
+    balance: {
+        type: Number,
+        default: 0
+    },
+    renewablePercentage: {
+        type: Number,
+        default: 0
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: String
+    },
+    qualityFlags: {
+        type: [qualityFlagSchema],
+        default: []
+    },
+    createdAt: {
+        type: Date
+    }
+}, {
+    collection: 'electric_balance_revisions'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+electricBalanceRevisionSchema.index({ balanceId: 1, version: 1 }, { unique: true });
+electricBalanceRevisionSchema.index({ timestamp: 1, timeScope: 1, region: 1, validFrom: 1, supersededAt: 1 });
+
+const ElectricBalanceRevisionModel = mongoose.model('ElectricBalanceRevision', electricBalanceRevisionSchema);
+
+module.exports = ElectricBalanceRevisionModel;
@@ -0,0 +1,51 @@
+/**
+ * @file FetchScheduleModel.js
+ * @description Modelo de MongoDB para la programación de las obtenciones de balances
+ *
+ * Guarda los cambios hechos en tiempo de ejecución sobre la configuración de
+ * entorno, para que sobrevivan a los reinicios y lleguen a todas las réplicas.
+ */
+
+const mongoose = require('mongoose');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const { DEFAULT_BALANCE_SOURCE } = require('../../../domain/constants/balanceSources');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para la programación de las obtenciones
+ */
+const fetchScheduleSchema = new Schema({
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true,
+        unique: true
+    },
+    cron: {
+        type: String,
+        required: true
+    },
+    historicalDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    source: {
+        type: String,
+        default: DEFAULT_BALANCE_SOURCE
+    },
+    updatedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'fetch_schedules'
+});
+
+const FetchScheduleModel = mongoose.model('FetchSchedule', fetchScheduleSchema);
+
+module.exports = FetchScheduleModel;
@@ -0,0 +1,102 @@
+/**
+ * @file IngestionRunModel.js
+ * @description Modelo de MongoDB para el registro de ejecuciones de ingesta
+ *
+ * Este archivo define el esquema y modelo de MongoDB para guardar cada
+ * obtención de datos de REE con su origen, rango, resultado y duración.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const { DATASETS } = require('../../../domain/constants/datasets');
+const { INGESTION_TRIGGERS, INGESTION_RUN_STATUSES } = require('../../../domain/constants/ingestionRuns');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para las ejecuciones de ingesta
+ */
+const ingestionRunSchema = new Schema({
+    dataset: {
+        type: String,
+        enum: Object.values(DATASETS),
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: Object.values(INGESTION_TRIGGERS),
+        required: true
+    },
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true
+    },
+    source: {
+        type: String,
+        default: null
+    },
+    startDate: {
+        type: Date,
+        default: null
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: Object.values(INGESTION_RUN_STATUSES),
+        required: true
+    },
+    savedCount: {
+        type: Number,
+        default: 0
+    },
+    skippedCount: {
+        type: Number,
+        default: 0
+    },
+    quarantinedCount: {
+        type: Number,
+        default: 0
+    },
+    failedChunkCount: {
+        type: Number,
+        default: 0
+    },
+    durationMs: {
+        type: Number,
+        default: 0
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: {
+        type: Date,
+        required: true
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    collection: 'ingestion_runs'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+ingestionRunSchema.index({ startedAt: -1 });
+ingestionRunSchema.index({ dataset: 1, timeScope: 1, region: 1, status: 1, finishedAt: -1 });
+
+const IngestionRunModel = mongoose.model('IngestionRun', ingestionRunSchema);
+
+module.exports = IngestionRunModel;
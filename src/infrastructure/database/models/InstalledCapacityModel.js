@@ -0,0 +1,100 @@
+/**
+ * @file InstalledCapacityModel.js
+ * @description Modelo de MongoDB para la potencia instalada por tecnología
+ *
+ * Este archivo define el esquema y modelo de MongoDB para almacenar las
+ * potencias instaladas mensuales por tecnología publicadas por REE.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para la potencia de una tecnología
+ */
+const capacityItemSchema = new Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true
+    },
+    percentage: {
+        type: Number,
+        default: 0
+    },
+    color: {
+        type: String,
+        default: null
+    },
+    unit: {
+        type: String,
+        default: 'MW'
+    }
+}, { _id: false });
+
+/**
+ * Esquema principal para la potencia instalada
+ */
+const installedCapacitySchema = new Schema({
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    timeScope: {
+        type: String,
+        enum: ['month', 'year'],
+        required: true,
+        index: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true,
+        index: true
+    },
+    byTechnology: {
+        type: [capacityItemSchema],
+        default: []
+    },
+    totalCapacity: {
+        type: Number,
+        default: 0
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: {
+            type: String,
+            default: 'REE API'
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'installed_capacities'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+installedCapacitySchema.index({ timestamp: 1, timeScope: 1, region: 1 }, { unique: true });
+
+/**
+ * Hook para calcular el total antes de guardar
+ */
+installedCapacitySchema.pre('save', function(next) {
+    this.totalCapacity = this.byTechnology.reduce(
+        (sum, item) => sum + (Number.isFinite(item.value) ? item.value : 0), 0
+    );
+
+    next();
+});
+
+const InstalledCapacityModel = mongoose.model('InstalledCapacity', installedCapacitySchema);
+
+module.exports = InstalledCapacityModel;
@@ -0,0 +1,138 @@
+/**
+ * @file InternationalExchangeModel.js
+ * @description Modelo de MongoDB para los intercambios internacionales por frontera
+ *
+ * Este archivo define el esquema y modelo de MongoDB para almacenar las
+ * importaciones, exportaciones y saldo de cada frontera publicados por REE.
+ */
+
+const mongoose = require('mongoose');
+const { BORDERS } = require('../../../domain/constants/borders');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para los intercambios de una frontera
+ */
+const borderExchangeSchema = new Schema({
+    border: {
+        type: String,
+        enum: BORDERS,
+        required: true
+    },
+    import: {
+        type: Number,
+        default: 0
+    },
+    export: {
+        type: Number,
+        default: 0
+    },
+    net: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+/**
+ * Esquema principal para los intercambios internacionales
+ */
+const internationalExchangeSchema = new Schema({
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    timeScope: {
+        type: String,
+        enum: ['hour', 'day', 'month', 'year'],
+        required: true,
+        index: true
+    },
+    borders: {
+        type: [borderExchangeSchema],
+        default: []
+    },
+    totalImports: {
+        type: Number,
+        default: 0
+    },
+    totalExports: {
+        type: Number,
+        default: 0
+    },
+    netPosition: {
+        type: Number,
+        default: 0
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: {
+            type: String,
+            default: 'REE API'
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'international_exchanges'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+internationalExchangeSchema.index({ timestamp: 1, timeScope: 1 }, { unique: true });
+
+/**
+ * Método estático para obtener los intercambios acumulados por frontera
+ */
+internationalExchangeSchema.statics.getTotalsByBorder = async function(startDate, endDate, timeScope, border = null) {
+    return this.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope: timeScope
+            }
+        },
+        {
+            $unwind: '$borders'
+        },
+        ...(border ? [{ $match: { 'borders.border': border } }] : []),
+        {
+            $group: {
+                _id: '$borders.border',
+                import: { $sum: '$borders.import' },
+                export: { $sum: '$borders.export' },
+                net: { $sum: '$borders.net' },
+                count: { $sum: 1 }
+            }
+        },
+        {
+            $project: {
+                border: '$_id',
+                import: 1,
+                export: 1,
+                net: 1,
+                count: 1,
+                _id: 0
+            }
+        },
+        {
+            $sort: { net: -1 }
+        }
+    ]);
+};
+
+/**
+ * Hook para calcular los totales antes de guardar
+ */
+internationalExchangeSchema.pre('save', function(next) {
+    this.totalImports = this.borders.reduce((sum, item) => sum + (item.import || 0), 0);
+    this.totalExports = this.borders.reduce((sum, item) => sum + (item.export || 0), 0);
+    this.netPosition = this.borders.reduce((sum, item) => sum + (item.net || 0), 0);
+
+    next();
+});
+
+const InternationalExchangeModel = mongoose.model('InternationalExchange', internationalExchangeSchema);
+
+module.exports = InternationalExchangeModel;
@@ -0,0 +1,89 @@
+/**
+ * @file MarketPriceModel.js
+ * @description Modelo de MongoDB para precios del mercado eléctrico
+ *
+ * Este archivo define el esquema y modelo de MongoDB para almacenar
+ * los precios PVPC y del mercado diario obtenidos de la API de REE.
+ */
+
+const mongoose = require('mongoose');
+const { PRICE_INDICATORS, isValidPriceIndicator } = require('../../../domain/constants/marketPrices');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para los precios de mercado
+ */
+const marketPriceSchema = new Schema({
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    timeScope: {
+        type: String,
+        enum: ['hour', 'day', 'month', 'year'],
+        required: true,
+        index: true
+    },
+    pvpc: {
+        type: Number,
+        default: null
+    },
+    spot: {
+        type: Number,
+        default: null
+    },
+    unit: {
+        type: String,
+        default: '€/MWh'
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: {
+            type: String,
+            default: 'REE API'
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'market_prices'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+marketPriceSchema.index({ timestamp: 1, timeScope: 1 }, { unique: true });
+
+/**
+ * Método estático para obtener la evolución temporal de un precio
+ */
+marketPriceSchema.statics.getTimeSeriesForIndicator = async function(indicator, startDate, endDate, timeScope) {
+    if (!isValidPriceIndicator(indicator)) {
+        throw new Error(`Invalid indicator: ${indicator}. Allowed values: ${PRICE_INDICATORS.join(', ')}`);
+    }
+
+    return this.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope: timeScope,
+                [indicator]: { $ne: null }
+            }
+        },
+        {
+            $project: {
+                timestamp: 1,
+                value: `$${indicator}`,
+                _id: 0
+            }
+        },
+        {
+            $sort: { timestamp: 1 }
+        }
+    ]);
+};
+
+const MarketPriceModel = mongoose.model('MarketPrice', marketPriceSchema);
+
+module.exports = MarketPriceModel;
@@ -0,0 +1,35 @@
+/**
+ * @file QualityFlagSchema.js
+ * @description Subesquema de MongoDB para los indicadores de calidad de los registros ingeridos
+ *
+ * Lo comparten los balances eléctricos y los registros en cuarentena.
+ */
+
+const mongoose = require('mongoose');
+const { QUALITY_SEVERITIES } = require('../../../domain/constants/qualityFlags');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para representar un indicador de calidad
+ */
+const qualityFlagSchema = new Schema({
+    code: {
+        type: String,
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: Object.values(QUALITY_SEVERITIES),
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    details: {
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+}, { _id: false, minimize: false });
+
+module.exports = qualityFlagSchema;
@@ -0,0 +1,71 @@
+/**
+ * @file QuarantinedRecordModel.js
+ * @description Modelo de MongoDB para los registros en cuarentena
+ *
+ * Este archivo define el esquema y modelo de MongoDB para guardar, separados de
+ * las colecciones de datos, los registros que no superaron la validación.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const { DATASETS } = require('../../../domain/constants/datasets');
+const qualityFlagSchema = require('./QualityFlagSchema');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para los registros en cuarentena
+ */
+const quarantinedRecordSchema = new Schema({
+    dataset: {
+        type: String,
+        enum: Object.values(DATASETS),
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true
+    },
+    record: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    qualityFlags: {
+        type: [qualityFlagSchema],
+        default: []
+    },
+    source: {
+        type: String,
+        default: 'REE API'
+    },
+    quarantinedAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    minimize: false,
+    collection: 'quarantined_records'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+quarantinedRecordSchema.index({ dataset: 1, timestamp: 1, timeScope: 1, region: 1 }, { unique: true });
+quarantinedRecordSchema.index({ 'qualityFlags.code': 1 });
+
+const QuarantinedRecordModel = mongoose.model('QuarantinedRecord', quarantinedRecordSchema);
+
+module.exports = QuarantinedRecordModel;
@@ -0,0 +1,90 @@
+/**
+ * @file RawREEResponseModel.js
+ * @description Modelo de MongoDB para el archivo de respuestas en bruto de REE
+ *
+ * Este archivo define el esquema y modelo de MongoDB para guardar cada respuesta
+ * de REE comprimida con gzip, de forma que se puedan reprocesar sin volver a
+ * pedirlas a la API.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const { DATASETS } = require('../../../domain/constants/datasets');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para las respuestas archivadas
+ */
+const rawREEResponseSchema = new Schema({
+    dataset: {
+        type: String,
+        enum: Object.values(DATASETS),
+        required: true,
+        index: true
+    },
+    endpoint: {
+        type: String,
+        required: true
+    },
+    params: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // Parámetros serializados con las claves ordenadas para agrupar peticiones idénticas
+    paramsKey: {
+        type: String,
+        required: true
+    },
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true
+    },
+    fetchedAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    payload: {
+        type: Buffer,
+        required: true,
+        select: false
+    },
+    encoding: {
+        type: String,
+        enum: ['gzip'],
+        default: 'gzip'
+    },
+    sizeBytes: {
+        type: Number,
+        default: 0
+    },
+    compressedBytes: {
+        type: Number,
+        default: 0
+    },
+    checksum: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'raw_ree_responses'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+rawREEResponseSchema.index({ endpoint: 1, paramsKey: 1, fetchedAt: -1 });
+rawREEResponseSchema.index({ dataset: 1, region: 1, timeScope: 1, fetchedAt: 1 });
+
+const RawREEResponseModel = mongoose.model('RawREEResponse', rawREEResponseSchema);
+
+module.exports = RawREEResponseModel;
@@ -0,0 +1,110 @@
+/**
+ * @file RealTimeDemandModel.js
+ * @description Modelo de MongoDB para la demanda en tiempo real
+ *
+ * Este archivo define el esquema y modelo de MongoDB para almacenar la
+ * demanda real, prevista y programada que REE publica cada diez minutos.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TEN_MINUTE_TIME_SCOPE } = require('../../../domain/constants/timeScopes');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para la demanda en tiempo real
+ */
+const realTimeDemandSchema = new Schema({
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    timeScope: {
+        type: String,
+        enum: [TEN_MINUTE_TIME_SCOPE],
+        default: TEN_MINUTE_TIME_SCOPE,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true,
+        index: true
+    },
+    real: {
+        type: Number,
+        default: null
+    },
+    forecast: {
+        type: Number,
+        default: null
+    },
+    programmed: {
+        type: Number,
+        default: null
+    },
+    metadata: {
+        title: String,
+        description: String,
+        source: {
+            type: String,
+            default: 'REE API'
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'real_time_demand'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+realTimeDemandSchema.index({ timestamp: 1, timeScope: 1, region: 1 }, { unique: true });
+
+/**
+ * Método estático para calcular las estadísticas del error de previsión
+ */
+realTimeDemandSchema.statics.getForecastErrorStats = async function(startDate, endDate, region = DEFAULT_REGION) {
+    const [stats] = await this.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: startDate, $lte: endDate },
+                region: region,
+                real: { $ne: null },
+                forecast: { $ne: null }
+            }
+        },
+        {
+            $project: {
+                error: { $subtract: ['$real', '$forecast'] },
+                absoluteError: { $abs: { $subtract: ['$real', '$forecast'] } },
+                absolutePercentageError: {
+                    $cond: [
+                        { $eq: ['$real', 0] },
+                        null,
+                        { $multiply: [{ $abs: { $divide: [{ $subtract: ['$real', '$forecast'] }, '$real'] } }, 100] }
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                count: { $sum: 1 },
+                meanError: { $avg: '$error' },
+                meanAbsoluteError: { $avg: '$absoluteError' },
+                meanSquaredError: { $avg: { $multiply: ['$error', '$error'] } },
+                meanAbsolutePercentageError: { $avg: '$absolutePercentageError' },
+                maxAbsoluteError: { $max: '$absoluteError' }
+            }
+        }
+    ]);
+
+    return stats || null;
+};
+
+const RealTimeDemandModel = mongoose.model('RealTimeDemand', realTimeDemandSchema);
+
+module.exports = RealTimeDemandModel;
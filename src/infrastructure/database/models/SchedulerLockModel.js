@@ -0,0 +1,43 @@
+/**
+ * @file SchedulerLockModel.js
+ * @description Modelo de MongoDB para las concesiones de tareas programadas
+ *
+ * Cada documento usa el nombre de la tarea como _id, así que el índice único
+ * de MongoDB garantiza que solo una réplica pueda tener la concesión.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema principal para las concesiones de tareas programadas
+ */
+const schedulerLockSchema = new Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    holderId: {
+        type: String,
+        required: true
+    },
+    acquiredAt: {
+        type: Date,
+        required: true
+    },
+    renewedAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'scheduler_locks',
+    versionKey: false
+});
+
+const SchedulerLockModel = mongoose.model('SchedulerLock', schedulerLockSchema);
+
+module.exports = SchedulerLockModel;
@@ -0,0 +1,110 @@
+/**
+ * @file SeedCheckpointModel.js
+ * @description Modelo de MongoDB para el avance de las cargas de histórico
+ *
+ * Guarda los tramos de cada carga y cuáles terminaron, para que una carga
+ * interrumpida se pueda reanudar donde se quedó.
+ */
+
+const mongoose = require('mongoose');
+const { REGIONS, DEFAULT_REGION } = require('../../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const { SEED_STATUSES, SEED_CHUNK_STATUSES } = require('../../../domain/constants/seedCheckpoints');
+const Schema = mongoose.Schema;
+
+/**
+ * Esquema para los tramos de una carga
+ */
+const seedChunkSchema = new Schema({
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(SEED_CHUNK_STATUSES),
+        default: SEED_CHUNK_STATUSES.PENDING
+    },
+    savedCount: {
+        type: Number,
+        default: 0
+    },
+    durationMs: {
+        type: Number,
+        default: 0
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Esquema principal para las cargas de histórico
+ */
+const seedCheckpointSchema = new Schema({
+    timeScope: {
+        type: String,
+        enum: TIME_SCOPES,
+        required: true
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: DEFAULT_REGION,
+        required: true
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(SEED_STATUSES),
+        required: true
+    },
+    chunks: {
+        type: [seedChunkSchema],
+        default: []
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    updatedAt: {
+        type: Date,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'seed_checkpoints'
+});
+
+/**
+ * Índices compuestos para optimizar las consultas frecuentes
+ */
+seedCheckpointSchema.index({ timeScope: 1, region: 1, startDate: 1, endDate: 1 }, { unique: true });
+seedCheckpointSchema.index({ timeScope: 1, region: 1, status: 1, updatedAt: -1 });
+
+const SeedCheckpointModel = mongoose.model('SeedCheckpoint', seedCheckpointSchema);
+
+module.exports = SeedCheckpointModel;
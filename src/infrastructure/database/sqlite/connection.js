@@ -0,0 +1,88 @@
+/**
+ * @file connection.js
+ * @description Apertura y cierre de las bases de datos SQLite
+ *
+ * Mantiene una conexión por fichero y aplica el esquema al abrirla. El
+ * controlador se carga al abrir la primera base de datos, para que las
+ * instalaciones que solo usan MongoDB no necesiten el módulo nativo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { applySchema } = require('./schema');
+const { ConfigurationError } = require('../../../application/errors/ApplicationErrors');
+
+/**
+ * Conexiones abiertas por ruta del fichero
+ */
+const databases = new Map();
+
+/**
+ * Objeto que encapsula la gestión de las conexiones a SQLite
+ */
+const SQLiteConnection = {
+    /**
+     * Abre una base de datos SQLite, o devuelve la ya abierta para el mismo fichero
+     *
+     * El directorio del fichero se crea si no existe. `:memory:` abre una base de
+     * datos en memoria.
+     *
+     * @param {string} filename - Ruta del fichero
+     * @param {Object} [logger=console] - Logger para registrar eventos
+     * @returns {Object} - Base de datos de better-sqlite3
+     * @throws {ConfigurationError} - Si no se puede abrir el fichero
+     */
+    open(filename, logger = console) {
+        if (!filename) {
+            throw new ConfigurationError('SQLite database file is required', { configKey: 'SQLITE_FILE' });
+        }
+
+        const key = filename === ':memory:' ? null : path.resolve(filename);
+
+        if (key && databases.has(key)) {
+            return databases.get(key);
+        }
+
+        try {
+            const Database = require('better-sqlite3');
+
+            if (key) {
+                fs.mkdirSync(path.dirname(key), { recursive: true });
+            }
+
+            const database = new Database(key || ':memory:');
+
+            database.pragma('journal_mode = WAL');
+            applySchema(database, logger);
+
+            if (key) {
+                databases.set(key, database);
+            }
+
+            logger.info(`SQLite database opened at ${key || ':memory:'}`);
+
+            return database;
+        } catch (error) {
+            throw new ConfigurationError(
+                `Cannot open SQLite database ${filename}: ${error.message}`,
+                { originalError: error, configKey: 'SQLITE_FILE' }
+            );
+        }
+    },
+
+    /**
+     * Cierra todas las bases de datos abiertas
+     *
+     * @param {Object} [logger=console] - Logger para registrar eventos
+     * @returns {Promise<void>}
+     */
+    async close(logger = console) {
+        for (const [key, database] of databases) {
+            database.close();
+            databases.delete(key);
+            logger.info(`SQLite database at ${key} closed`);
+        }
+    }
+};
+
+module.exports = SQLiteConnection;
@@ -0,0 +1,111 @@
+/**
+ * @file schema.js
+ * @description Esquema relacional de SQLite para los balances eléctricos
+ *
+ * Cada balance es una fila de `electric_balances` y sus items de generación,
+ * demanda e intercambio son filas de `electric_balance_items`. Los items se
+ * identifican por balance y versión, así al corregirse un balance los de la
+ * versión sustituida siguen sirviendo a su fila de `electric_balance_revisions`
+ * sin copiarlos. Las fechas se guardan en milisegundos desde la época.
+ */
+
+/**
+ * Versión del esquema; se guarda en `PRAGMA user_version`
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Sentencias que crean el esquema, por versión de destino
+ */
+const MIGRATIONS = {
+    1: `
+        CREATE TABLE IF NOT EXISTS electric_balances (
+            id TEXT PRIMARY KEY,
+            timestamp INTEGER NOT NULL,
+            time_scope TEXT NOT NULL,
+            region TEXT NOT NULL,
+            total_generation REAL NOT NULL DEFAULT 0,
+            total_demand REAL NOT NULL DEFAULT 0,
+            balance REAL NOT NULL DEFAULT 0,
+            renewable_percentage REAL NOT NULL DEFAULT 0,
+            title TEXT,
+            description TEXT,
+            source TEXT NOT NULL DEFAULT 'REE API',
+            quality_flags TEXT NOT NULL DEFAULT '[]',
+            version INTEGER NOT NULL DEFAULT 1,
+            valid_from INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            UNIQUE (timestamp, time_scope, region)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_electric_balances_scope
+            ON electric_balances (time_scope, region, timestamp);
+
+        CREATE TABLE IF NOT EXISTS electric_balance_revisions (
+            balance_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            valid_from INTEGER NOT NULL,
+            superseded_at INTEGER NOT NULL,
+            timestamp INTEGER NOT NULL,
+            time_scope TEXT NOT NULL,
+            region TEXT NOT NULL,
+            total_generation REAL NOT NULL DEFAULT 0,
+            total_demand REAL NOT NULL DEFAULT 0,
+            balance REAL NOT NULL DEFAULT 0,
+            renewable_percentage REAL NOT NULL DEFAULT 0,
+            title TEXT,
+            description TEXT,
+            source TEXT,
+            quality_flags TEXT NOT NULL DEFAULT '[]',
+            created_at INTEGER,
+            PRIMARY KEY (balance_id, version)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_electric_balance_revisions_scope
+            ON electric_balance_revisions (time_scope, region, timestamp, valid_from, superseded_at);
+
+        CREATE TABLE IF NOT EXISTS electric_balance_items (
+            balance_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            category TEXT NOT NULL CHECK (category IN ('generation', 'demand', 'interchange')),
+            position INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            value REAL NOT NULL,
+            percentage REAL NOT NULL DEFAULT 0,
+            color TEXT,
+            unit TEXT NOT NULL DEFAULT 'MW',
+            PRIMARY KEY (balance_id, version, category, position)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_electric_balance_items_type
+            ON electric_balance_items (category, type);
+    `
+};
+
+/**
+ * Aplica las migraciones pendientes del esquema
+ *
+ * @param {Object} database - Base de datos de better-sqlite3
+ * @param {Object} [logger=console] - Logger para registrar eventos
+ * @returns {number} - Versión del esquema tras aplicar las migraciones
+ */
+function applySchema(database, logger = console) {
+    const currentVersion = database.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion + 1; version <= SCHEMA_VERSION; version++) {
+        database.transaction(() => {
+            database.exec(MIGRATIONS[version]);
+            database.pragma(`user_version = ${version}`);
+        })();
+
+        logger.info(`SQLite schema migrated to version ${version}`);
+    }
+
+    return SCHEMA_VERSION;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    applySchema
+};
@@ -0,0 +1,179 @@
+/**
+ * @file CircuitBreaker.js
+ * @description Circuit breaker para las llamadas a APIs externas
+ *
+ * Tras un número de fallos consecutivos de red o 5xx el circuito se abre y las
+ * peticiones se rechazan sin llegar a la API hasta que pasa el tiempo de espera.
+ * Entonces se permite una única petición de prueba (semiabierto): si tiene éxito
+ * el circuito se cierra y, si falla, vuelve a abrirse.
+ */
+
+const { NetworkError, CircuitBreakerOpenError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Estados posibles del circuito
+ */
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker compartido por los consumidores de una API externa
+ */
+class CircuitBreaker {
+    /**
+     * Constructor del circuit breaker
+     *
+     * @param {Object} [options={}] - Opciones del circuito
+     * @param {string} [options.name='REE API'] - Nombre del recurso protegido
+     * @param {number} [options.failureThreshold=5] - Fallos consecutivos que abren el circuito
+     * @param {number} [options.resetTimeout=60000] - Milisegundos abierto antes de probar de nuevo
+     * @param {Object} logger - Logger para registro de eventos
+     */
+    constructor({ name = 'REE API', failureThreshold = 5, resetTimeout = 60000 } = {}, logger = console) {
+        this.name = name;
+        this.failureThreshold = Math.max(1, failureThreshold);
+        this.resetTimeout = resetTimeout;
+        this.logger = logger;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failureCount = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Indica si un error debe contar como fallo del recurso
+     *
+     * Solo los errores de red y las respuestas 5xx indican que el recurso no está
+     * disponible; los 4xx (incluido 429) son problemas de la petición o de cuota.
+     *
+     * @param {Error} error - Error producido
+     * @returns {boolean} - true si cuenta como fallo
+     */
+    static isFailure(error) {
+        return error instanceof NetworkError || (Number.isInteger(error?.statusCode) && error.statusCode >= 500);
+    }
+
+    /**
+     * Reserva el paso de una petición o lanza si el circuito no lo admite
+     *
+     * @throws {CircuitBreakerOpenError} - Si el circuito está abierto o ya hay una prueba en curso
+     */
+    acquire() {
+        if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this._getNextAttemptTime()) {
+            this.state = CIRCUIT_STATES.HALF_OPEN;
+            this.trialInProgress = false;
+            this.logger.info(`Circuit for ${this.name} is half-open, allowing a trial request`);
+        }
+
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return;
+        }
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInProgress) {
+            this.trialInProgress = true;
+            return;
+        }
+
+        const retryAfterMs = Math.max(0, this._getNextAttemptTime() - Date.now());
+
+        throw new CircuitBreakerOpenError(
+            `Circuit for ${this.name} is open after ${this.failureCount} consecutive failures; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+            {
+                resource: this.name,
+                retryAfterMs,
+                originalError: this.lastError || undefined
+            }
+        );
+    }
+
+    /**
+     * Registra una petición correcta y cierra el circuito
+     */
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.logger.info(`Circuit for ${this.name} closed after a successful request`);
+        }
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failureCount = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Registra el resultado fallido de una petición
+     *
+     * Los errores que no indican caída del recurso cuentan como respuesta válida:
+     * demuestran que la API contesta.
+     *
+     * @param {Error} error - Error producido
+     */
+    recordFailure(error) {
+        if (!CircuitBreaker.isFailure(error)) {
+            this.recordSuccess();
+            return;
+        }
+
+        this.failureCount++;
+        this.lastError = error;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failureCount >= this.failureThreshold) {
+            this._open();
+        }
+    }
+
+    /**
+     * Obtiene el estado actual del circuito
+     *
+     * @returns {Object} - Estado, fallos consecutivos y ventana de reapertura
+     */
+    getStatus() {
+        const isOpen = this.state !== CIRCUIT_STATES.CLOSED;
+
+        return {
+            state: this.state,
+            failureCount: this.failureCount,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt,
+            nextAttemptAt: isOpen && this.openedAt ? new Date(this._getNextAttemptTime()) : null,
+            lastError: this.lastError ? this.lastError.message : null
+        };
+    }
+
+    /**
+     * Abre el circuito
+     *
+     * @private
+     */
+    _open() {
+        if (this.state !== CIRCUIT_STATES.OPEN) {
+            this.logger.warn(
+                `Circuit for ${this.name} opened after ${this.failureCount} consecutive failures; ` +
+                `pausing requests for ${this.resetTimeout / 1000}s`
+            );
+        }
+
+        this.state = CIRCUIT_STATES.OPEN;
+        this.openedAt = new Date();
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Calcula el instante a partir del cual se admite una petición de prueba
+     *
+     * @returns {number} - Instante en ms
+     * @private
+     */
+    _getNextAttemptTime() {
+        return this.openedAt ? this.openedAt.getTime() + this.resetTimeout : 0;
+    }
+}
+
+CircuitBreaker.STATES = CIRCUIT_STATES;
+
+module.exports = CircuitBreaker;
@@ -5,10 +5,81 @@
  * Este servicio encapsula toda la lógica de comunicación con la API de REE,
  * proporcionando métodos para obtener datos de balance eléctrico y gestionar
  * errores de forma robusta.
+ *
+ * Cada petición pasa por un limitador de tokens y un circuit breaker que se
+ * comparten entre instancias, y los fallos transitorios se reintentan con
+ * backoff exponencial con jitter respetando la cabecera `Retry-After` de REE.
  */
 
 const axios = require('axios');
-const { ApiRequestError, ApiResponseError, NetworkError } = require('../../application/errors/ApplicationErrors');
+const {
+    ApplicationError,
+    ApiRequestError,
+    ApiResponseError,
+    NetworkError
+} = require('../../application/errors/ApplicationErrors');
+const TokenBucketRateLimiter = require('./TokenBucketRateLimiter');
+const CircuitBreaker = require('./CircuitBreaker');
+const { BORDERS, isValidBorder } = require('../../domain/constants/borders');
+const { TEN_MINUTE_TIME_SCOPE } = require('../../domain/constants/timeScopes');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { isRenewableTechnology } = require('../../domain/constants/technologies');
+const { DATASETS } = require('../../domain/constants/datasets');
+const RawREEResponse = require('../../domain/entities/RawREEResponse');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const { addMadridPeriods, parseMadridDateTime, startOfMadridPeriod } = require('../../utils/madridTime');
+
+/**
+ * Rutas de los widgets de REE consumidos por el servicio
+ */
+const BALANCE_ENDPOINT = '/es/datos/balance/balance-electrico';
+const MARKET_PRICES_ENDPOINT = '/es/datos/mercados/precios-mercados-tiempo-real';
+const CO2_EMISSIONS_ENDPOINT = '/es/datos/generacion/no-renovables-detalle-emisiones-CO2';
+const INSTALLED_CAPACITY_ENDPOINT = '/es/datos/generacion/potencia-instalada';
+const INTERCHANGE_ENDPOINT_PREFIX = '/es/datos/intercambios/';
+const REAL_TIME_DEMAND_ENDPOINT = '/es/datos/demanda/demanda-tiempo-real';
+
+/**
+ * Conjunto de datos al que pertenece cada widget, para el archivo de respuestas
+ */
+const DATASET_BY_ENDPOINT = {
+    [BALANCE_ENDPOINT]: DATASETS.ELECTRIC_BALANCE,
+    [MARKET_PRICES_ENDPOINT]: DATASETS.MARKET_PRICES,
+    [CO2_EMISSIONS_ENDPOINT]: DATASETS.CO2_EMISSIONS,
+    [INSTALLED_CAPACITY_ENDPOINT]: DATASETS.INSTALLED_CAPACITY,
+    [REAL_TIME_DEMAND_ENDPOINT]: DATASETS.REAL_TIME_DEMAND
+};
+
+/**
+ * Amplitud máxima en días que REE admite en una sola petición según la granularidad
+ */
+const MAX_RANGE_DAYS = {
+    [TEN_MINUTE_TIME_SCOPE]: 7,
+    hour: 31,
+    day: 365,
+    month: 3650,
+    year: 36500
+};
+
+/**
+ * `time_trunc` que se envía a REE para las granularidades que la API no admite
+ * directamente; la demanda en tiempo real se pide por horas y llega cada diez minutos
+ */
+const REE_TIME_TRUNC = {
+    [TEN_MINUTE_TIME_SCOPE]: 'hour'
+};
+
+/**
+ * Parámetros geográficos de REE para cada región; la nacional no lleva filtro
+ */
+const GEO_PARAMS_BY_REGION = {
+    national: null,
+    peninsular: { geo_trunc: 'electric_system', geo_limit: 'peninsular', geo_ids: 8741 },
+    canarias: { geo_trunc: 'electric_system', geo_limit: 'canarias', geo_ids: 8742 },
+    baleares: { geo_trunc: 'electric_system', geo_limit: 'baleares', geo_ids: 8743 },
+    ceuta: { geo_trunc: 'electric_system', geo_limit: 'ceuta', geo_ids: 8744 },
+    melilla: { geo_trunc: 'electric_system', geo_limit: 'melilla', geo_ids: 8745 }
+};
 
 /**
  * Clase que implementa el servicio para interactuar con la API de REE
@@ -21,17 +92,35 @@ class REEApiService {
      * @param {string} config.baseUrl - URL base de la API de REE
      * @param {number} config.timeout - Timeout para las peticiones en ms
      * @param {Object} config.headers - Headers adicionales para las peticiones
+     * @param {number} [config.chunkConcurrency=2] - Peticiones simultáneas al trocear un rango
+     * @param {Object} [config.maxRangeDays] - Amplitud máxima por petición según timeScope
+     * @param {number} [config.retryAttempts=3] - Intentos por petición ante fallos transitorios
+     * @param {number} [config.retryDelay=1000] - Espera base en ms del backoff exponencial
+     * @param {number} [config.retryMaxDelay=30000] - Espera máxima en ms entre intentos
+     * @param {TokenBucketRateLimiter} [config.rateLimiter] - Limitador compartido; si no se indica se crea uno propio
+     * @param {Object} [config.rateLimit] - Opciones del limitador propio ({ requestsPerSecond, burst })
+     * @param {CircuitBreaker} [config.circuitBreaker] - Circuit breaker compartido; si no se indica se crea uno propio
+     * @param {Object} [config.circuitBreakerOptions] - Opciones del circuito propio ({ failureThreshold, resetTimeout })
+     * @param {import('../../domain/repositories/RawREEResponseRepository')} [config.responseArchive] - Archivo donde guardar cada respuesta en bruto
      * @param {Object} logger - Logger para registro de eventos
      */
     constructor(config = {}, logger = console) {
         this.baseUrl = config.baseUrl || 'https://apidatos.ree.es';
         this.timeout = config.timeout || 10000;
+        this.chunkConcurrency = config.chunkConcurrency || 2;
+        this.maxRangeDays = { ...MAX_RANGE_DAYS, ...config.maxRangeDays };
         this.headers = {
             'Accept': 'application/json',
             'Content-Type': 'application/json',
             ...config.headers
         };
         this.logger = logger;
+        this.retryAttempts = Math.max(1, config.retryAttempts || 3);
+        this.retryDelay = config.retryDelay || 1000;
+        this.retryMaxDelay = config.retryMaxDelay || 30000;
+        this.rateLimiter = config.rateLimiter || new TokenBucketRateLimiter(config.rateLimit);
+        this.circuitBreaker = config.circuitBreaker || new CircuitBreaker(config.circuitBreakerOptions, logger);
+        this.responseArchive = config.responseArchive || null;
 
         this.client = axios.create({
             baseURL: this.baseUrl,
@@ -45,29 +134,341 @@ class REEApiService {
     /**
      * Obtiene datos de balance eléctrico de la API de REE
      *
+     * Si el rango supera la amplitud máxima que REE admite para el timeScope, se divide
+     * en ventanas consecutivas que se consultan con concurrencia limitada y se fusionan
+     * en una única respuesta. El resultado de cada ventana queda en `meta.chunks`.
+     *
      * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
      * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
      * @param {string} timeScope - Granularidad temporal (hour, day, month, year)
-     * @param {Object} options - Opciones adicionales para la petición
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {string} [options.region] - Región a consultar; se traduce a geo_trunc/geo_limit/geo_ids
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @param {number} [chunkOptions.concurrency] - Peticiones simultáneas (por defecto la del servicio)
+     * @param {Function} [chunkOptions.onChunkComplete] - Callback invocado al terminar cada ventana
+     * @param {number} [chunkOptions.maxAttempts] - Intentos por petición (por defecto los del servicio)
      * @returns {Promise<Object>} - Respuesta de la API con los datos de balance eléctrico
      * @throws {ApiRequestError} - Si hay problemas con la petición
      * @throws {ApiResponseError} - Si la respuesta de la API no es válida
      * @throws {NetworkError} - Si hay problemas de red
      */
-    async fetchBalanceData(startDate, endDate, timeScope = 'day', options = {}) {
-        try {
-            const endpoint = '/es/datos/balance/balance-electrico';
+    async fetchBalanceData(startDate, endDate, timeScope = 'day', options = {}, chunkOptions = {}) {
+        const { region, ...queryParams } = options;
+        const params = { ...this._getGeoParams(region), ...queryParams };
+
+        return this._fetchInChunks(BALANCE_ENDPOINT, startDate, endDate, timeScope, params, chunkOptions);
+    }
+
+    /**
+     * Obtiene los precios de mercado (PVPC y mercado diario spot) de la API de REE
+     *
+     * Los rangos largos se trocean igual que en `fetchBalanceData`.
+     *
+     * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} timeScope - Granularidad temporal (hour, day, month, year)
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API con los indicadores de precio
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
+     */
+    async fetchMarketPrices(startDate, endDate, timeScope = 'hour', options = {}, chunkOptions = {}) {
+        return this._fetchInChunks(MARKET_PRICES_ENDPOINT, startDate, endDate, timeScope, options, chunkOptions);
+    }
+
+    /**
+     * Obtiene las emisiones de CO2 por tecnología no renovable de la API de REE
+     *
+     * REE no publica este widget con granularidad horaria; se admite day, month y year.
+     *
+     * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} timeScope - Granularidad temporal (day, month, year)
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {string} [options.region] - Región a consultar; se traduce a geo_trunc/geo_limit/geo_ids
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API con las emisiones en tCO2 eq.
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
+     */
+    async fetchCo2Emissions(startDate, endDate, timeScope = 'day', options = {}, chunkOptions = {}) {
+        const { region, ...queryParams } = options;
+        const params = { ...this._getGeoParams(region), ...queryParams };
+
+        return this._fetchInChunks(CO2_EMISSIONS_ENDPOINT, startDate, endDate, timeScope, params, chunkOptions);
+    }
+
+    /**
+     * Obtiene la potencia instalada por tecnología de la API de REE
+     *
+     * REE publica este widget con granularidad mensual o anual.
+     *
+     * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} timeScope - Granularidad temporal (month, year)
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {string} [options.region] - Región a consultar; se traduce a geo_trunc/geo_limit/geo_ids
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API con la potencia instalada en MW
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
+     */
+    async fetchInstalledCapacity(startDate, endDate, timeScope = 'month', options = {}, chunkOptions = {}) {
+        const { region, ...queryParams } = options;
+        const params = { ...this._getGeoParams(region), ...queryParams };
+
+        return this._fetchInChunks(INSTALLED_CAPACITY_ENDPOINT, startDate, endDate, timeScope, params, chunkOptions);
+    }
+
+    /**
+     * Obtiene la demanda real, prevista y programada en tiempo real de la API de REE
+     *
+     * Los valores llegan cada diez minutos; el rango se trocea según el límite de `10min`.
+     *
+     * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {string} [options.region] - Región a consultar; se traduce a geo_trunc/geo_limit/geo_ids
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API con las series de demanda en MW
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
+     */
+    async fetchRealTimeDemand(startDate, endDate, options = {}, chunkOptions = {}) {
+        const { region, ...queryParams } = options;
+        const params = { ...this._getGeoParams(region), ...queryParams };
+
+        return this._fetchInChunks(
+            REAL_TIME_DEMAND_ENDPOINT,
+            startDate,
+            endDate,
+            TEN_MINUTE_TIME_SCOPE,
+            params,
+            chunkOptions
+        );
+    }
+
+    /**
+     * Obtiene los intercambios internacionales de una frontera de la API de REE
+     *
+     * Cada frontera se publica en su propio widget (`intercambios/<frontera>-frontera`)
+     * con la exportación, la importación y el saldo por separado.
+     *
+     * @param {string} startDate - Fecha de inicio en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} endDate - Fecha de fin en formato ISO o 'YYYY-MM-DDThh:mm'
+     * @param {string} timeScope - Granularidad temporal (hour, day, month, year)
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {string} options.border - Frontera a consultar (francia, portugal, marruecos, andorra)
+     * @param {Object} [chunkOptions={}] - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API con los intercambios de la frontera
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
+     */
+    async fetchInternationalExchanges(startDate, endDate, timeScope = 'day', options = {}, chunkOptions = {}) {
+        const { border, ...queryParams } = options;
+
+        if (!isValidBorder(border)) {
+            throw new ApiRequestError(
+                `Unsupported border: ${border}. Valid values: ${BORDERS.join(', ')}`,
+                { requestParams: { border } }
+            );
+        }
+
+        return this._fetchInChunks(
+            `${INTERCHANGE_ENDPOINT_PREFIX}${border}-frontera`,
+            startDate,
+            endDate,
+            timeScope,
+            queryParams,
+            chunkOptions
+        );
+    }
+
+    /**
+     * Consulta un widget de REE troceando el rango si supera el límite del timeScope
+     *
+     * @param {string} endpoint - Ruta del widget
+     * @param {string} startDate - Fecha de inicio
+     * @param {string} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @param {Object} params - Parámetros adicionales para la petición
+     * @param {Object} chunkOptions - Opciones del troceado
+     * @returns {Promise<Object>} - Respuesta de la API, fusionada si hubo varias ventanas
+     * @private
+     */
+    async _fetchInChunks(endpoint, startDate, endDate, timeScope, params, chunkOptions = {}) {
+        const chunks = this.splitDateRange(startDate, endDate, timeScope);
+
+        if (chunks.length <= 1) {
+            let response;
+
+            try {
+                response = await this._fetchChunk(
+                    endpoint,
+                    startDate,
+                    endDate,
+                    timeScope,
+                    params,
+                    chunkOptions.maxAttempts
+                );
+            } catch (error) {
+                // Con una sola ventana el error se propaga, pero también se notifica como en las demás
+                if (chunkOptions.onChunkComplete) {
+                    chunkOptions.onChunkComplete({ startDate, endDate, status: 'rejected', error });
+                }
 
+                throw error;
+            }
+
+            if (chunkOptions.onChunkComplete) {
+                chunkOptions.onChunkComplete({ startDate, endDate, status: 'fulfilled' });
+            }
+
+            return response;
+        }
+
+        this.logger.info(`Splitting ${startDate} to ${endDate} (${timeScope}) into ${chunks.length} requests`);
+
+        const results = await this._runWithConcurrency(
+            chunks,
+            chunkOptions.concurrency || this.chunkConcurrency,
+            async chunk => {
+                try {
+                    const response = await this._fetchChunk(
+                        endpoint,
+                        chunk.startDate,
+                        chunk.endDate,
+                        timeScope,
+                        params,
+                        chunkOptions.maxAttempts
+                    );
+                    const result = { ...chunk, status: 'fulfilled', response };
+
+                    if (chunkOptions.onChunkComplete) {
+                        chunkOptions.onChunkComplete(result);
+                    }
+
+                    return result;
+                } catch (error) {
+                    this.logger.warn(`REE chunk ${chunk.startDate} to ${chunk.endDate} failed: ${error.message}`);
+                    const result = { ...chunk, status: 'rejected', error };
+
+                    if (chunkOptions.onChunkComplete) {
+                        chunkOptions.onChunkComplete(result);
+                    }
+
+                    return result;
+                }
+            }
+        );
+
+        const fulfilled = results.filter(result => result.status === 'fulfilled');
+
+        if (fulfilled.length === 0) {
+            throw results[0].error;
+        }
+
+        const merged = this._mergeChunkResponses(fulfilled.map(result => result.response));
+
+        merged.meta = {
+            ...merged.meta,
+            chunks: results.map(({ startDate: chunkStart, endDate: chunkEnd, status, error }) => ({
+                startDate: chunkStart,
+                endDate: chunkEnd,
+                status,
+                ...(error ? { error: error.message } : {})
+            }))
+        };
+
+        return merged;
+    }
+
+    /**
+     * Divide un rango de fechas en ventanas que respetan el límite de REE para el timeScope
+     *
+     * REE recibe las fechas como hora de Madrid sin desfase, que es ambigua durante la
+     * hora repetida del cambio de hora de otoño. Por eso cada ventana termina el minuto
+     * anterior a una medianoche de Madrid y la siguiente empieza en ella: ningún corte
+     * intermedio cae en esa hora, y solo los extremos del rango pedido pueden hacerlo.
+     *
+     * @param {string|Date} startDate - Fecha de inicio
+     * @param {string|Date} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal (hour, day, month, year)
+     * @returns {Array<{startDate: string, endDate: string}>} - Ventanas en formato 'YYYY-MM-DDThh:mm'
+     */
+    splitDateRange(startDate, endDate, timeScope = 'day') {
+        // Las fechas sin desfase son hora peninsular, como las interpreta REE
+        const start = parseMadridDateTime(startDate);
+        const end = parseMadridDateTime(endDate);
+        const maxDays = this.maxRangeDays[timeScope];
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || !maxDays || start >= end) {
+            return [{ startDate: String(startDate), endDate: String(endDate) }];
+        }
+
+        const chunks = [];
+        let chunkStart = new Date(start);
+
+        while (chunkStart <= end) {
+            const nextBoundary = addMadridPeriods(startOfMadridPeriod(chunkStart, 'day'), 'day', maxDays);
+            const chunkEnd = new Date(nextBoundary.getTime() - 60 * 1000);
+
+            const actualEnd = chunkEnd > end ? end : chunkEnd;
+
+            chunks.push({
+                startDate: formatDateForREEApi(chunkStart),
+                endDate: formatDateForREEApi(actualEnd)
+            });
+
+            chunkStart = new Date(actualEnd.getTime() + 60 * 1000);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Obtiene los parámetros geográficos de REE para una región
+     *
+     * @param {string} [region] - Región (national, peninsular, canarias, baleares, ceuta, melilla)
+     * @returns {Object} - Parámetros geo_trunc, geo_limit y geo_ids, vacío para la nacional
+     * @throws {ApiRequestError} - Si la región no está soportada
+     * @private
+     */
+    _getGeoParams(region) {
+        if (!region) {
+            return {};
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(GEO_PARAMS_BY_REGION, region)) {
+            throw new ApiRequestError(
+                `Unsupported region: ${region}. Valid values: ${Object.keys(GEO_PARAMS_BY_REGION).join(', ')}`,
+                { requestParams: { region } }
+            );
+        }
+
+        return GEO_PARAMS_BY_REGION[region] || {};
+    }
+
+    /**
+     * Realiza una única petición a un widget de la API de REE
+     *
+     * @param {string} endpoint - Ruta del widget
+     * @param {string} startDate - Fecha de inicio
+     * @param {string} endDate - Fecha de fin
+     * @param {string} timeScope - Granularidad temporal
+     * @param {Object} options - Parámetros adicionales para la petición
+     * @param {number} [maxAttempts] - Intentos ante fallos transitorios (por defecto los del servicio)
+     * @returns {Promise<Object>} - Respuesta de la API
+     * @private
+     */
+    async _fetchChunk(endpoint, startDate, endDate, timeScope, options = {}, maxAttempts = this.retryAttempts) {
+        try {
             const params = {
                 start_date: startDate,
                 end_date: endDate,
-                time_trunc: timeScope,
+                time_trunc: REE_TIME_TRUNC[timeScope] || timeScope,
                 ...options
             };
 
-            this.logger.info(`Fetching electric balance data from REE API: ${startDate} to ${endDate} (${timeScope})`);
+            this.logger.info(`Fetching ${endpoint} from REE API: ${startDate} to ${endDate} (${timeScope})`);
 
-            const response = await this.client.get(endpoint, { params });
+            const response = await this._requestWithRetry(endpoint, params, maxAttempts);
 
             if (!response.data) {
                 throw new ApiResponseError(
@@ -76,20 +477,222 @@ class REEApiService {
                 );
             }
 
+            await this._archiveResponse(endpoint, params, timeScope, response.data);
+
             return response.data;
         } catch (error) {
-            return this._handleApiError(error, 'fetchBalanceData', { startDate, endDate, timeScope });
+            return this._handleApiError(error, endpoint, { startDate, endDate, timeScope });
+        }
+    }
+
+    /**
+     * Realiza una petición GET pasando por el circuit breaker y el limitador
+     *
+     * Los errores de red, los 5xx y los 429 se reintentan con backoff exponencial
+     * con jitter; si REE envía `Retry-After` se respeta esa espera y se pausa el
+     * limitador compartido para que el resto de consumidores tampoco insista. Con
+     * el circuito abierto la petición se rechaza sin reintentos.
+     *
+     * @param {string} endpoint - Ruta del widget
+     * @param {Object} params - Parámetros de la petición
+     * @param {number} maxAttempts - Número máximo de intentos
+     * @returns {Promise<Object>} - Respuesta de axios
+     * @throws {CircuitBreakerOpenError} - Si el circuito está abierto
+     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si se agotan los intentos o el error no es transitorio
+     * @private
+     */
+    async _requestWithRetry(endpoint, params, maxAttempts) {
+        const attempts = Math.max(1, maxAttempts || 1);
+
+        for (let attempt = 1; ; attempt++) {
+            this.circuitBreaker.acquire();
+
+            let apiError;
+
+            try {
+                await this.rateLimiter.acquire();
+
+                const response = await this.client.get(endpoint, { params });
+                this.circuitBreaker.recordSuccess();
+
+                return response;
+            } catch (error) {
+                apiError = this._toApiError(error, endpoint, params);
+                this.circuitBreaker.recordFailure(apiError);
+            }
+
+            const retryAfterMs = apiError.metadata.retryAfterMs;
+
+            if (retryAfterMs !== undefined) {
+                this.rateLimiter.pause(retryAfterMs);
+            }
+
+            const canRetry = attempt < attempts &&
+                this._isRetryableError(apiError) &&
+                (retryAfterMs === undefined || retryAfterMs <= this.retryMaxDelay);
+
+            if (!canRetry) {
+                throw apiError;
+            }
+
+            const delay = retryAfterMs !== undefined ? retryAfterMs : this._getBackoffDelay(attempt);
+
+            this.logger.warn(
+                `REE request to ${endpoint} failed (attempt ${attempt}/${attempts}): ${apiError.message}. Retrying in ${delay}ms`
+            );
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Guarda la respuesta en bruto en el archivo, si está configurado
+     *
+     * Un fallo al archivar no debe impedir la ingesta, así que solo se registra.
+     *
+     * @param {string} endpoint - Ruta del widget
+     * @param {Object} params - Parámetros enviados a REE
+     * @param {string} timeScope - Granularidad solicitada
+     * @param {Object} payload - Cuerpo de la respuesta
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _archiveResponse(endpoint, params, timeScope, payload) {
+        if (!this.responseArchive) {
+            return;
+        }
+
+        try {
+            await this.responseArchive.save(new RawREEResponse({
+                dataset: this._getDatasetForEndpoint(endpoint),
+                endpoint,
+                params,
+                timeScope,
+                region: this._getRegionFromParams(params),
+                fetchedAt: new Date(),
+                payload
+            }));
+        } catch (error) {
+            this.logger.warn(`Could not archive ${endpoint} response: ${error.message}`);
         }
     }
 
+    /**
+     * Obtiene el conjunto de datos al que pertenece un widget
+     *
+     * @param {string} endpoint - Ruta del widget
+     * @returns {string} - Identificador del conjunto de datos
+     * @private
+     */
+    _getDatasetForEndpoint(endpoint) {
+        if (endpoint.startsWith(INTERCHANGE_ENDPOINT_PREFIX)) {
+            return DATASETS.INTERNATIONAL_EXCHANGES;
+        }
+
+        return DATASET_BY_ENDPOINT[endpoint];
+    }
+
+    /**
+     * Deduce la región a partir de los parámetros geográficos de la petición
+     *
+     * @param {Object} params - Parámetros enviados a REE
+     * @returns {string} - Región; la nacional si no hay filtro geográfico
+     * @private
+     */
+    _getRegionFromParams(params = {}) {
+        const region = Object.keys(GEO_PARAMS_BY_REGION).find(key =>
+            GEO_PARAMS_BY_REGION[key] && GEO_PARAMS_BY_REGION[key].geo_limit === params.geo_limit
+        );
+
+        return region || DEFAULT_REGION;
+    }
+
+    /**
+     * Indica si un error de la API es transitorio y merece un reintento
+     *
+     * @param {Error} error - Error normalizado
+     * @returns {boolean} - true para errores de red, 5xx y 429
+     * @private
+     */
+    _isRetryableError(error) {
+        return error instanceof NetworkError ||
+            error.statusCode === 429 ||
+            (Number.isInteger(error.statusCode) && error.statusCode >= 500);
+    }
+
+    /**
+     * Calcula la espera antes de un reintento (backoff exponencial con jitter)
+     *
+     * La mitad de la espera es fija y la otra mitad aleatoria, para que los
+     * consumidores que fallaron a la vez no reintenten todos en el mismo instante.
+     *
+     * @param {number} attempt - Intento que acaba de fallar (desde 1)
+     * @returns {number} - Milisegundos de espera
+     * @private
+     */
+    _getBackoffDelay(attempt) {
+        const exponential = Math.min(this.retryMaxDelay, this.retryDelay * Math.pow(2, attempt - 1));
+
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    /**
+     * Interpreta la cabecera `Retry-After` (segundos o fecha HTTP)
+     *
+     * @param {Object} [response] - Respuesta de axios
+     * @returns {number|undefined} - Milisegundos de espera o undefined si no viene
+     * @private
+     */
+    _parseRetryAfter(response) {
+        const header = response?.headers?.['retry-after'];
+
+        if (header === undefined || header === null || header === '') {
+            return undefined;
+        }
+
+        const seconds = Number(header);
+
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(header);
+
+        return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+    }
+
+    /**
+     * Obtiene el estado del limitador y del circuit breaker
+     *
+     * @returns {Object} - { circuitBreaker, rateLimiter }
+     */
+    getResilienceStatus() {
+        return {
+            circuitBreaker: this.circuitBreaker.getStatus(),
+            rateLimiter: this.rateLimiter.getStatus()
+        };
+    }
 
     /**
      * Verifica el estado de la API de REE
      *
+     * Con el circuito abierto no se consulta la API: se informa de la caída
+     * detectada por las peticiones de datos.
+     *
      * @returns {Promise<Object>} - Estado de la API
      * @throws {ApiRequestError|ApiResponseError|NetworkError} - Si hay errores
      */
     async checkApiStatus() {
+        const circuit = this.circuitBreaker.getStatus();
+
+        if (circuit.state === CircuitBreaker.STATES.OPEN) {
+            return {
+                status: 'unavailable',
+                error: `Circuit open until ${circuit.nextAttemptAt.toISOString()}: ${circuit.lastError}`,
+                timestamp: new Date().toISOString()
+            };
+        }
+
         try {
             const response = await this.client.get('/es/datos', {
                 timeout: 5000
@@ -122,8 +725,8 @@ class REEApiService {
             const now = new Date();
             const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
-            const startDate = this._formatDate(yesterday);
-            const endDate = this._formatDate(now);
+            const startDate = formatDateForREEApi(yesterday);
+            const endDate = formatDateForREEApi(now);
 
             const response = await this.fetchBalanceData(startDate, endDate, 'day');
 
@@ -136,14 +739,14 @@ class REEApiService {
                     return generationData.attributes.content.map(item => ({
                         type: item.type,
                         color: item.color || null,
-                        renewable: this._isRenewableType(item.type)
+                        renewable: isRenewableTechnology(item.type)
                     }));
                 }
             }
 
             throw new ApiResponseError(
                 'Could not extract generation types from API response',
-                { endpoint: '/es/datos/balance/balance-electrico' }
+                { endpoint: BALANCE_ENDPOINT }
             );
         } catch (error) {
             return this._handleApiError(error, 'fetchGenerationTypes');
@@ -158,7 +761,7 @@ class REEApiService {
     _setupInterceptors() {
         this.client.interceptors.request.use(
             config => {
-                const { method, url, params, data } = config;
+                const { method, url, params } = config;
                 this.logger.debug(`REE API Request: ${method?.toUpperCase()} ${url}`, { params });
 
                 return config;
@@ -200,13 +803,33 @@ class REEApiService {
      * @param {string} operation - Operación que produjo el error
      * @param {Object} params - Parámetros de la operación
      * @returns {never} - Nunca retorna, siempre lanza una excepción
-     * @throws {ApiRequestError|ApiResponseError|NetworkError} - Error específico según el caso
+     * @throws {ApiRequestError|ApiResponseError|NetworkError|CircuitBreakerOpenError} - Error específico según el caso
      * @private
      */
     _handleApiError(error, operation, params = {}) {
+        throw this._toApiError(error, operation, params);
+    }
+
+    /**
+     * Convierte un error de axios en el error de aplicación correspondiente
+     *
+     * Los errores que ya son de aplicación se devuelven tal cual. Si la respuesta
+     * trae `Retry-After`, la espera queda en `metadata.retryAfterMs`.
+     *
+     * @param {Error} error - Error producido
+     * @param {string} operation - Operación que produjo el error
+     * @param {Object} params - Parámetros de la operación
+     * @returns {ApplicationError} - Error normalizado
+     * @private
+     */
+    _toApiError(error, operation, params = {}) {
+        if (error instanceof ApplicationError) {
+            return error;
+        }
+
         if (!error.response) {
             if (error.code === 'ECONNABORTED') {
-                throw new NetworkError(
+                return new NetworkError(
                     `Timeout when connecting to REE API: ${error.message}`,
                     {
                         isTimeout: true,
@@ -217,7 +840,7 @@ class REEApiService {
                 );
             }
 
-            throw new NetworkError(
+            return new NetworkError(
                 `Network error when connecting to REE API: ${error.message}`,
                 {
                     originalError: error,
@@ -227,35 +850,37 @@ class REEApiService {
             );
         }
 
-        if (error.response) {
-            const { status, data } = error.response;
+        const { status, data } = error.response;
+        const retryAfterMs = this._parseRetryAfter(error.response);
+        const metadata = retryAfterMs !== undefined ? { retryAfterMs } : {};
 
-            if (status >= 400 && status < 500) {
-                throw new ApiRequestError(
-                    `Client error when calling REE API: ${status} ${data?.message || error.message}`,
-                    {
-                        statusCode: status,
-                        originalError: error,
-                        endpoint: error.config?.url,
-                        requestParams: params
-                    }
-                );
-            }
+        if (status >= 400 && status < 500) {
+            return new ApiRequestError(
+                `Client error when calling REE API: ${status} ${data?.message || error.message}`,
+                {
+                    statusCode: status,
+                    originalError: error,
+                    endpoint: error.config?.url,
+                    requestParams: params,
+                    metadata
+                }
+            );
+        }
 
-            if (status >= 500) {
-                throw new ApiResponseError(
-                    `Server error from REE API: ${status} ${data?.message || error.message}`,
-                    {
-                        statusCode: status,
-                        originalError: error,
-                        endpoint: error.config?.url,
-                        response: data
-                    }
-                );
-            }
+        if (status >= 500) {
+            return new ApiResponseError(
+                `Server error from REE API: ${status} ${data?.message || error.message}`,
+                {
+                    statusCode: status,
+                    originalError: error,
+                    endpoint: error.config?.url,
+                    response: data,
+                    metadata
+                }
+            );
         }
 
-        throw new ApiRequestError(
+        return new ApiRequestError(
             `Error when calling REE API: ${error.message}`,
             {
                 originalError: error,
@@ -266,36 +891,122 @@ class REEApiService {
     }
 
     /**
-     * Formatea una fecha para la API de REE
+     * Ejecuta una tarea por elemento con un número máximo de tareas simultáneas
      *
-     * @param {Date} date - Fecha a formatear
-     * @returns {string} - Fecha formateada
+     * @param {Array} items - Elementos a procesar
+     * @param {number} limit - Máximo de tareas en paralelo
+     * @param {Function} task - Función asíncrona que procesa un elemento
+     * @returns {Promise<Array>} - Resultados en el mismo orden que los elementos
      * @private
      */
-    _formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-
-        return `${year}-${month}-${day}T${hours}:${minutes}`;
+    async _runWithConcurrency(items, limit, task) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await task(items[index], index);
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+        await Promise.all(workers);
+
+        return results;
     }
 
     /**
-     * Determina si un tipo de generación es renovable
+     * Fusiona las respuestas de varias ventanas en una única respuesta JSON:API
+     *
+     * Los valores de cada tecnología se concatenan, se eliminan duplicados por
+     * `datetime` y se ordenan cronológicamente.
      *
-     * @param {string} type - Tipo de generación
-     * @returns {boolean} - true si es renovable, false si no
+     * @param {Array<Object>} responses - Respuestas de la API ordenadas por fecha
+     * @returns {Object} - Respuesta fusionada
      * @private
      */
-    _isRenewableType(type) {
-        const renewableTypes = [
-            'Hidráulica', 'Eólica', 'Solar fotovoltaica', 'Solar térmica',
-            'Otras renovables', 'Hidroeólica'
-        ];
+    _mergeChunkResponses(responses) {
+        const [first] = responses;
+        const groups = new Map();
+
+        for (const response of responses) {
+            for (const group of response.included || []) {
+                const groupKey = group.id || group.type;
+
+                if (!groups.has(groupKey)) {
+                    groups.set(groupKey, {
+                        group: {
+                            ...group,
+                            attributes: {
+                                ...group.attributes,
+                                content: [],
+                                ...(Array.isArray(group.attributes?.values) ? { values: [] } : {})
+                            }
+                        },
+                        contents: new Map()
+                    });
+                }
+
+                const { group: mergedGroup, contents } = groups.get(groupKey);
+
+                // Widgets como el de precios traen los valores directamente en el indicador
+                if (Array.isArray(group.attributes?.values)) {
+                    mergedGroup.attributes.values = [
+                        ...(mergedGroup.attributes.values || []),
+                        ...group.attributes.values
+                    ];
+                }
+
+                for (const content of group.attributes?.content || []) {
+                    const contentKey = content.id || content.type;
+
+                    if (!contents.has(contentKey)) {
+                        const mergedContent = {
+                            ...content,
+                            attributes: { ...content.attributes, values: [] }
+                        };
+                        contents.set(contentKey, mergedContent);
+                        mergedGroup.attributes.content.push(mergedContent);
+                    }
+
+                    contents.get(contentKey).attributes.values.push(...(content.attributes?.values || []));
+                }
+            }
+        }
+
+        const dedupeValues = values => {
+            const byDatetime = new Map();
+            values.forEach(value => byDatetime.set(value.datetime, value));
+
+            return [...byDatetime.values()].sort(
+                (a, b) => new Date(a.datetime) - new Date(b.datetime)
+            );
+        };
 
-        return renewableTypes.includes(type);
+        for (const { group, contents } of groups.values()) {
+            if (Array.isArray(group.attributes.values)) {
+                group.attributes.values = dedupeValues(group.attributes.values);
+            }
+
+            for (const content of contents.values()) {
+                content.attributes.values = dedupeValues(content.attributes.values);
+            }
+        }
+
+        const last = responses[responses.length - 1];
+
+        return {
+            ...first,
+            data: {
+                ...first.data,
+                attributes: {
+                    ...first.data?.attributes,
+                    'last-update': last.data?.attributes?.['last-update'] || first.data?.attributes?.['last-update']
+                }
+            },
+            included: [...groups.values()].map(({ group }) => group)
+        };
     }
 }
 
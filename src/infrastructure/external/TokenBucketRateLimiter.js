@@ -0,0 +1,116 @@
+/**
+ * @file TokenBucketRateLimiter.js
+ * @description Limitador de peticiones por cubo de tokens
+ *
+ * Una única instancia se comparte entre todos los clientes de REE del proceso
+ * (jobs programados, refrescos manuales, carga forzada) para que el ritmo
+ * total de peticiones no dependa de cuántos consumidores haya activos.
+ */
+
+/**
+ * Limitador de peticiones basado en un cubo de tokens
+ */
+class TokenBucketRateLimiter {
+    /**
+     * Constructor del limitador
+     *
+     * @param {Object} [options={}] - Opciones del limitador
+     * @param {number} [options.requestsPerSecond=2] - Tokens que se reponen por segundo
+     * @param {number} [options.burst=5] - Capacidad máxima del cubo (ráfaga permitida)
+     */
+    constructor({ requestsPerSecond = 2, burst = 5 } = {}) {
+        this.requestsPerSecond = requestsPerSecond > 0 ? requestsPerSecond : 2;
+        this.burst = Math.max(1, burst);
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.blockedUntil = 0;
+        this.waiting = 0;
+    }
+
+    /**
+     * Espera hasta disponer de un token y lo consume
+     *
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+        this.waiting++;
+
+        try {
+            for (;;) {
+                const now = Date.now();
+
+                if (now < this.blockedUntil) {
+                    await this._sleep(this.blockedUntil - now);
+                    continue;
+                }
+
+                this._refill(now);
+
+                if (this.tokens >= 1) {
+                    this.tokens -= 1;
+                    return;
+                }
+
+                await this._sleep(Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000));
+            }
+        } finally {
+            this.waiting--;
+        }
+    }
+
+    /**
+     * Bloquea todas las peticiones durante un tiempo (p. ej. al recibir `Retry-After`)
+     *
+     * @param {number} ms - Milisegundos de bloqueo
+     */
+    pause(ms) {
+        if (!Number.isFinite(ms) || ms <= 0) return;
+
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Obtiene el estado actual del limitador
+     *
+     * @returns {Object} - Tokens disponibles, configuración y peticiones en espera
+     */
+    getStatus() {
+        this._refill(Date.now());
+
+        return {
+            availableTokens: Math.floor(this.tokens),
+            requestsPerSecond: this.requestsPerSecond,
+            burst: this.burst,
+            waiting: this.waiting,
+            blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil) : null
+        };
+    }
+
+    /**
+     * Repone los tokens correspondientes al tiempo transcurrido
+     *
+     * @param {number} now - Instante actual en ms
+     * @private
+     */
+    _refill(now) {
+        const elapsed = now - this.lastRefill;
+
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.burst, this.tokens + (elapsed / 1000) * this.requestsPerSecond);
+            this.lastRefill = now;
+        }
+    }
+
+    /**
+     * Espera el tiempo indicado
+     *
+     * @param {number} ms - Milisegundos de espera
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = TokenBucketRateLimiter;
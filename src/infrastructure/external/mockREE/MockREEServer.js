@@ -0,0 +1,552 @@
+/**
+ * @file MockREEServer.js
+ * @description Servidor local que imita la API de REE para desarrollo y pruebas sin red
+ *
+ * Responde en las mismas rutas que `apidatos.ree.es` con la forma JSON:API de
+ * cada widget. Los datos salen de fixtures grabadas, si hay una para el widget
+ * pedido, o de los generadores sintéticos. Se le pueden inyectar fallos
+ * (timeouts, códigos de error, cuerpos mal formados) para ejercitar los
+ * reintentos, el circuit breaker y la cuarentena. Para usarlo basta con apuntar
+ * `REE_API_BASE_URL` a su dirección.
+ *
+ * Las fixtures se buscan en el directorio configurado por la ruta del widget:
+ * `<dir>/balance/balance-electrico/<geo_limit>/<time_trunc>.json`, después
+ * `<dir>/balance/balance-electrico/<time_trunc>.json` y por último
+ * `<dir>/balance/balance-electrico.json`. Se devuelven recortadas al rango pedido.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const { ValidationError } = require('../../../application/errors/ApplicationErrors');
+const { BORDERS } = require('../../../domain/constants/borders');
+const { parseMadridDateTime } = require('../../../utils/madridTime');
+const synthetic = require('./syntheticREEResponses');
+
+/**
+ * Generador sintético de cada widget, por su ruta bajo `/es/datos`
+ */
+const SYNTHETIC_WIDGETS = {
+    'balance/balance-electrico': synthetic.generateBalance,
+    'mercados/precios-mercados-tiempo-real': synthetic.generateMarketPrices,
+    'generacion/no-renovables-detalle-emisiones-CO2': synthetic.generateCo2Emissions,
+    'generacion/potencia-instalada': synthetic.generateInstalledCapacity,
+    'demanda/demanda-tiempo-real': synthetic.generateRealTimeDemand,
+    ...Object.fromEntries(BORDERS.map(border => [
+        `intercambios/${border}-frontera`,
+        params => synthetic.generateInterchange({ ...params, border })
+    ]))
+};
+
+/**
+ * Granularidades que acepta el parámetro `time_trunc`
+ */
+const TIME_TRUNCS = ['hour', 'day', 'month', 'year'];
+
+/**
+ * Tipos de fallo que no son un código de estado HTTP
+ */
+const FAULT_TYPES = {
+    TIMEOUT: 'timeout',
+    MALFORMED: 'malformed',
+    STATUS: 'status'
+};
+
+/**
+ * Número máximo de peticiones que se guardan en el registro
+ */
+const MAX_LOGGED_REQUESTS = 500;
+
+/**
+ * Cuerpo truncado que se devuelve con el fallo `malformed`
+ */
+const MALFORMED_BODY = '{"data":{"type":"Balance de energía eléctrica","attributes":{"title":';
+
+/**
+ * Normaliza la definición de un fallo
+ *
+ * @param {Object|string|number} spec - Fallo: 'timeout', 'malformed', un código HTTP o un objeto
+ * @param {string|number} spec.type - Tipo de fallo o código HTTP
+ * @param {number} [spec.rate=1] - Probabilidad de que una petición falle (0-1)
+ * @param {number} [spec.count] - Número de peticiones que fallarán; sin límite si no se indica
+ * @param {string} [spec.endpoint] - Solo afecta a las rutas que contengan este texto
+ * @param {number} [spec.retryAfter] - Segundos de la cabecera `Retry-After`
+ * @returns {Object} - Fallo normalizado
+ * @throws {ValidationError} - Si la definición no es válida
+ */
+function normalizeFault(spec) {
+    const fault = typeof spec === 'object' && spec !== null ? spec : { type: spec };
+    const type = String(fault.type || '').trim().toLowerCase();
+    const status = Number(type);
+    const rate = fault.rate === undefined ? 1 : Number(fault.rate);
+    const count = fault.count === undefined || fault.count === null ? null : Number(fault.count);
+
+    const isStatus = Number.isInteger(status) && status >= 400 && status <= 599;
+
+    if (!isStatus && type !== FAULT_TYPES.TIMEOUT && type !== FAULT_TYPES.MALFORMED) {
+        throw new ValidationError(
+            `Invalid fault type: ${fault.type}. Use timeout, malformed or an HTTP status between 400 and 599`
+        );
+    }
+
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+        throw new ValidationError(`Invalid fault rate: ${fault.rate}. Use a number between 0 and 1`);
+    }
+
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+        throw new ValidationError(`Invalid fault count: ${fault.count}. Use a positive integer`);
+    }
+
+    return {
+        type: isStatus ? FAULT_TYPES.STATUS : type,
+        status: isStatus ? status : null,
+        rate,
+        remaining: count,
+        endpoint: fault.endpoint || null,
+        retryAfter: fault.retryAfter === undefined || fault.retryAfter === null ? null : Number(fault.retryAfter)
+    };
+}
+
+/**
+ * Servidor local con la API de REE
+ */
+class MockREEServer {
+    /**
+     * Constructor del servidor
+     *
+     * @param {Object} [options={}] - Opciones del servidor
+     * @param {number} [options.port=4010] - Puerto de escucha (0 para uno libre)
+     * @param {string} [options.host='127.0.0.1'] - Interfaz de escucha
+     * @param {string} [options.fixturesDir] - Directorio de fixtures grabadas
+     * @param {number} [options.latency=0] - Retardo en ms añadido a cada respuesta
+     * @param {number} [options.timeoutDelay=60000] - Ms que se retiene una petición con el fallo `timeout` antes de cortarla
+     * @param {Array<Object|string|number>} [options.faults=[]] - Fallos iniciales (ver normalizeFault)
+     * @param {Object} logger - Logger para registro de eventos
+     */
+    constructor({
+                    port = 4010,
+                    host = '127.0.0.1',
+                    fixturesDir = null,
+                    latency = 0,
+                    timeoutDelay = 60000,
+                    faults = []
+                } = {}, logger = console) {
+        this.port = port;
+        this.host = host;
+        this.fixturesDir = fixturesDir ? path.resolve(fixturesDir) : null;
+        this.latency = latency;
+        this.timeoutDelay = timeoutDelay;
+        this.logger = logger;
+
+        this.faults = faults.map(normalizeFault);
+        this.requests = [];
+        this.fixtureCache = new Map();
+        this.server = null;
+        this.sockets = new Set();
+        this.pendingTimers = new Set();
+
+        this.app = this._createApp();
+    }
+
+    /**
+     * Arranca el servidor
+     *
+     * @returns {Promise<Object>} - { url, port }
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, this.host, resolve);
+            this.server.once('error', reject);
+        });
+
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        const { port } = this.server.address();
+        const url = `http://${this.host}:${port}`;
+
+        this.logger.info(`Mock REE API listening on ${url}${this.fixturesDir ? ` (fixtures: ${this.fixturesDir})` : ''}`);
+
+        return { url, port };
+    }
+
+    /**
+     * Detiene el servidor cortando las peticiones retenidas y las conexiones abiertas
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        for (const timer of this.pendingTimers) {
+            clearTimeout(timer);
+        }
+        this.pendingTimers.clear();
+
+        const closed = new Promise(resolve => this.server.close(resolve));
+
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+
+        await closed;
+        this.server = null;
+        this.logger.info('Mock REE API stopped');
+    }
+
+    /**
+     * Sustituye los fallos configurados
+     *
+     * @param {Array<Object|string|number>} faults - Fallos (ver normalizeFault)
+     * @returns {Array<Object>} - Fallos normalizados
+     * @throws {ValidationError} - Si algún fallo no es válido
+     */
+    setFaults(faults) {
+        this.faults = faults.map(normalizeFault);
+        return this.faults;
+    }
+
+    /**
+     * Añade un fallo a los configurados
+     *
+     * @param {Object|string|number} fault - Fallo (ver normalizeFault)
+     * @returns {Object} - Fallo normalizado
+     * @throws {ValidationError} - Si el fallo no es válido
+     */
+    addFault(fault) {
+        const normalized = normalizeFault(fault);
+        this.faults.push(normalized);
+        return normalized;
+    }
+
+    /**
+     * Elimina todos los fallos
+     */
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Obtiene las peticiones recibidas, de la más antigua a la más reciente
+     *
+     * @returns {Array<Object>} - Peticiones { receivedAt, path, query, fault, status }
+     */
+    getRequests() {
+        return [...this.requests];
+    }
+
+    /**
+     * Elimina los fallos, el registro de peticiones y las fixtures en memoria
+     */
+    reset() {
+        this.clearFaults();
+        this.requests = [];
+        this.fixtureCache.clear();
+    }
+
+    /**
+     * Crea la aplicación Express con las rutas de REE y las de control del mock
+     *
+     * @returns {Object} - Aplicación Express
+     * @private
+     */
+    _createApp() {
+        const app = express();
+
+        app.use(express.json());
+
+        app.get('/__mock/requests', (req, res) => res.json({ requests: this.getRequests() }));
+
+        app.get('/__mock/faults', (req, res) => res.json({ faults: this.faults }));
+
+        app.post('/__mock/faults', (req, res) => {
+            try {
+                const body = req.body || {};
+                const faults = Array.isArray(body) ? body.map(fault => this.addFault(fault)) : [this.addFault(body)];
+                res.status(201).json({ faults });
+            } catch (error) {
+                res.status(400).json({ message: error.message });
+            }
+        });
+
+        app.put('/__mock/faults', (req, res) => {
+            try {
+                res.json({ faults: this.setFaults(Array.isArray(req.body) ? req.body : []) });
+            } catch (error) {
+                res.status(400).json({ message: error.message });
+            }
+        });
+
+        app.delete('/__mock/faults', (req, res) => {
+            this.clearFaults();
+            res.status(204).end();
+        });
+
+        app.post('/__mock/reset', (req, res) => {
+            this.reset();
+            res.status(204).end();
+        });
+
+        app.get('/es/datos', (req, res) => {
+            this._logRequest(req, null, 200);
+            res.json({ data: { type: 'REE API mock', id: 'mock', attributes: { title: 'REE API mock' } } });
+        });
+
+        app.get('/es/datos/:category/:widget', (req, res) => {
+            this._handleWidget(req, res, `${req.params.category}/${req.params.widget}`);
+        });
+
+        app.use((req, res) => {
+            this._logRequest(req, null, 404);
+            this._sendError(res, 404, 'Not Found', `Resource ${req.path} not found`);
+        });
+
+        return app;
+    }
+
+    /**
+     * Responde a la petición de un widget, aplicando antes los fallos que toquen
+     *
+     * @param {Object} req - Petición de Express
+     * @param {Object} res - Respuesta de Express
+     * @param {string} widgetPath - Ruta del widget bajo `/es/datos`
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleWidget(req, res, widgetPath) {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const fault = this._pickFault(req.path);
+
+        if (fault) {
+            this._logRequest(req, fault, fault.status);
+            this._applyFault(fault, req, res);
+            return;
+        }
+
+        const generator = SYNTHETIC_WIDGETS[widgetPath];
+
+        if (!generator) {
+            this._logRequest(req, null, 404);
+            this._sendError(res, 404, 'Not Found', `Widget ${widgetPath} not found`);
+            return;
+        }
+
+        const { start_date: rawStart, end_date: rawEnd, time_trunc: timeTrunc = 'day', geo_limit: geoLimit } = req.query;
+        const startDate = parseMadridDateTime(rawStart || '');
+        const endDate = parseMadridDateTime(rawEnd || '');
+        const region = geoLimit || 'national';
+
+        let problem = null;
+
+        if (!rawStart || !rawEnd || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+            problem = 'Parameters start_date and end_date are required (YYYY-MM-DDThh:mm)';
+        } else if (startDate > endDate) {
+            problem = 'start_date must be before end_date';
+        } else if (!TIME_TRUNCS.includes(timeTrunc)) {
+            problem = `Invalid time_trunc: ${timeTrunc}. Valid values: ${TIME_TRUNCS.join(', ')}`;
+        } else if (!synthetic.REGION_PROFILES[region]) {
+            problem = `Invalid geo_limit: ${geoLimit}`;
+        }
+
+        if (problem) {
+            this._logRequest(req, null, 400);
+            this._sendError(res, 400, 'Bad Request', problem);
+            return;
+        }
+
+        try {
+            const fixture = this._loadFixture(widgetPath, timeTrunc, geoLimit);
+            const payload = fixture
+                ? this._filterFixture(fixture, startDate, endDate)
+                : generator({ startDate, endDate, timeTrunc, region });
+
+            this._logRequest(req, null, 200, fixture ? 'fixture' : 'synthetic');
+            res.json(payload);
+        } catch (error) {
+            this.logger.error(`Mock REE API could not serve ${widgetPath}: ${error.message}`, error);
+            this._logRequest(req, null, 500);
+            this._sendError(res, 500, 'Internal Server Error', error.message);
+        }
+    }
+
+    /**
+     * Elige el primer fallo configurado que se aplica a la petición
+     *
+     * Los fallos con `count` se consumen: tras fallar ese número de peticiones dejan de aplicarse.
+     *
+     * @param {string} requestPath - Ruta de la petición
+     * @returns {Object|null} - Fallo a aplicar o null
+     * @private
+     */
+    _pickFault(requestPath) {
+        for (const fault of this.faults) {
+            if (fault.remaining === 0) continue;
+            if (fault.endpoint && !requestPath.includes(fault.endpoint)) continue;
+            if (Math.random() >= fault.rate) continue;
+
+            if (fault.remaining !== null) {
+                fault.remaining--;
+            }
+
+            return fault;
+        }
+
+        return null;
+    }
+
+    /**
+     * Responde a la petición con el fallo indicado
+     *
+     * @param {Object} fault - Fallo normalizado
+     * @param {Object} req - Petición de Express
+     * @param {Object} res - Respuesta de Express
+     * @private
+     */
+    _applyFault(fault, req, res) {
+        if (fault.type === FAULT_TYPES.TIMEOUT) {
+            // No se responde; el cliente agota su timeout y la conexión se corta después
+            const timer = setTimeout(() => {
+                this.pendingTimers.delete(timer);
+                req.socket.destroy();
+            }, this.timeoutDelay);
+
+            this.pendingTimers.add(timer);
+            return;
+        }
+
+        if (fault.type === FAULT_TYPES.MALFORMED) {
+            res.status(200).type('application/json').send(MALFORMED_BODY);
+            return;
+        }
+
+        if (fault.retryAfter !== null) {
+            res.set('Retry-After', String(fault.retryAfter));
+        }
+
+        this._sendError(res, fault.status, fault.status === 429 ? 'Too Many Requests' : 'Injected fault', `Injected ${fault.status} response`);
+    }
+
+    /**
+     * Envía un error con el formato de REE
+     *
+     * @param {Object} res - Respuesta de Express
+     * @param {number} status - Código HTTP
+     * @param {string} title - Título del error
+     * @param {string} detail - Detalle del error
+     * @private
+     */
+    _sendError(res, status, title, detail) {
+        res.status(status).json({
+            errors: [{ code: status, status: String(status), title, detail }]
+        });
+    }
+
+    /**
+     * Busca y carga la fixture de un widget, si existe
+     *
+     * @param {string} widgetPath - Ruta del widget bajo `/es/datos`
+     * @param {string} timeTrunc - Granularidad pedida
+     * @param {string} [geoLimit] - Región pedida
+     * @returns {Object|null} - Respuesta grabada o null
+     * @private
+     */
+    _loadFixture(widgetPath, timeTrunc, geoLimit) {
+        if (!this.fixturesDir) {
+            return null;
+        }
+
+        const candidates = [
+            geoLimit ? path.join(this.fixturesDir, widgetPath, geoLimit, `${timeTrunc}.json`) : null,
+            path.join(this.fixturesDir, widgetPath, `${timeTrunc}.json`),
+            path.join(this.fixturesDir, `${widgetPath}.json`)
+        ].filter(Boolean);
+
+        for (const file of candidates) {
+            if (!this.fixtureCache.has(file)) {
+                this.fixtureCache.set(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+            }
+
+            if (this.fixtureCache.get(file)) {
+                return this.fixtureCache.get(file);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Recorta los valores de una respuesta grabada al rango pedido
+     *
+     * @param {Object} fixture - Respuesta grabada
+     * @param {Date} startDate - Inicio del rango
+     * @param {Date} endDate - Fin del rango
+     * @returns {Object} - Copia de la respuesta con solo los valores del rango
+     * @private
+     */
+    _filterFixture(fixture, startDate, endDate) {
+        const inRange = valueObj => {
+            const time = new Date(valueObj?.datetime).getTime();
+            return time >= startDate.getTime() && time <= endDate.getTime();
+        };
+
+        const filterItem = item => {
+            if (!item?.attributes) return item;
+
+            const attributes = { ...item.attributes };
+
+            if (Array.isArray(attributes.content)) {
+                attributes.content = attributes.content.map(filterItem);
+            }
+
+            if (Array.isArray(attributes.values)) {
+                attributes.values = attributes.values.filter(inRange);
+            }
+
+            return { ...item, attributes };
+        };
+
+        return {
+            ...fixture,
+            included: Array.isArray(fixture.included) ? fixture.included.map(filterItem) : fixture.included
+        };
+    }
+
+    /**
+     * Guarda una petición en el registro, descartando las más antiguas
+     *
+     * @param {Object} req - Petición de Express
+     * @param {Object|null} fault - Fallo aplicado
+     * @param {number|null} status - Código HTTP devuelto (null si no hubo respuesta)
+     * @param {string} [source] - Origen de los datos (fixture, synthetic)
+     * @private
+     */
+    _logRequest(req, fault, status, source = null) {
+        this.requests.push({
+            receivedAt: new Date(),
+            path: req.path,
+            query: { ...req.query },
+            fault: fault ? (fault.status ? String(fault.status) : fault.type) : null,
+            status,
+            source
+        });
+
+        if (this.requests.length > MAX_LOGGED_REQUESTS) {
+            this.requests.shift();
+        }
+
+        this.logger.debug(`${req.method} ${req.originalUrl} -> ${status === null ? 'no response' : status}${fault ? ' (injected)' : ''}`);
+    }
+}
+
+MockREEServer.FAULT_TYPES = FAULT_TYPES;
+MockREEServer.normalizeFault = normalizeFault;
+
+module.exports = MockREEServer;
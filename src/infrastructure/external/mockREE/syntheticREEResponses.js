@@ -0,0 +1,595 @@
+/**
+ * @file syntheticREEResponses.js
+ * @description Generadores de respuestas sintéticas con la forma JSON:API de los widgets de REE
+ *
+ * Los valores son verosímiles pero inventados: siguen una curva diaria y
+ * estacional sencilla y un ruido que depende solo de la serie, la región y el
+ * instante, así que pedir el mismo rango dos veces devuelve los mismos datos.
+ * Las fechas se interpretan y se devuelven en hora de Madrid, como hace REE.
+ */
+
+const { findTechnology } = require('../../../domain/constants/technologies');
+const {
+    getMadridParts,
+    addMadridPeriods,
+    listMadridPeriods,
+    formatMadridISO
+} = require('../../../utils/madridTime');
+
+/**
+ * Milisegundos de una hora
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Potencia media en MW de cada tecnología del balance nacional
+ *
+ * `shape` indica cómo varía a lo largo del día: solar sigue al sol, el resto es plana.
+ */
+const NATIONAL_MIX = [
+    { group: 'Renovable', type: 'Hidráulica', mw: 3500, spread: 0.8 },
+    { group: 'Renovable', type: 'Eólica', mw: 6500, spread: 1.2 },
+    { group: 'Renovable', type: 'Solar fotovoltaica', mw: 12000, spread: 0.3, shape: 'solar' },
+    { group: 'Renovable', type: 'Solar térmica', mw: 1100, spread: 0.3, shape: 'solar' },
+    { group: 'Renovable', type: 'Otras renovables', mw: 450, spread: 0.1 },
+    { group: 'Renovable', type: 'Residuos renovables', mw: 80, spread: 0.1 },
+    { group: 'No-Renovable', type: 'Nuclear', mw: 6800, spread: 0.05 },
+    { group: 'No-Renovable', type: 'Ciclo combinado', mw: 5000, spread: 0.8 },
+    { group: 'No-Renovable', type: 'Carbón', mw: 300, spread: 1 },
+    { group: 'No-Renovable', type: 'Cogeneración', mw: 1800, spread: 0.2 },
+    { group: 'No-Renovable', type: 'Residuos no renovables', mw: 200, spread: 0.1 }
+];
+
+/**
+ * Mix de los sistemas no peninsulares, escalado por región
+ */
+const ISLAND_MIX = [
+    { group: 'Renovable', type: 'Eólica', mw: 200, spread: 1.2 },
+    { group: 'Renovable', type: 'Solar fotovoltaica', mw: 250, spread: 0.3, shape: 'solar' },
+    { group: 'No-Renovable', type: 'Ciclo combinado', mw: 300, spread: 0.5 },
+    { group: 'No-Renovable', type: 'Turbina de vapor', mw: 250, spread: 0.3 },
+    { group: 'No-Renovable', type: 'Motores diésel', mw: 200, spread: 0.3 },
+    { group: 'No-Renovable', type: 'Turbina de gas', mw: 50, spread: 1 }
+];
+
+/**
+ * Mix y factor de escala de cada región
+ */
+const REGION_PROFILES = {
+    national: { mix: NATIONAL_MIX, scale: 1, storage: true, interchange: 1 },
+    peninsular: { mix: NATIONAL_MIX, scale: 0.95, storage: true, interchange: 1 },
+    canarias: { mix: ISLAND_MIX, scale: 1, storage: false, interchange: 0 },
+    baleares: { mix: ISLAND_MIX, scale: 0.6, storage: false, interchange: 0.15 },
+    ceuta: { mix: ISLAND_MIX.filter(item => item.type === 'Motores diésel'), scale: 0.12, storage: false, interchange: 0 },
+    melilla: { mix: ISLAND_MIX.filter(item => item.type === 'Motores diésel'), scale: 0.12, storage: false, interchange: 0 }
+};
+
+/**
+ * Factores de emisión en tCO2 eq./MWh de las tecnologías no renovables
+ */
+const EMISSION_FACTORS = {
+    'Carbón': 0.95,
+    'Ciclo combinado': 0.37,
+    'Cogeneración': 0.38,
+    'Motores diésel': 0.77,
+    'Turbina de gas': 0.62,
+    'Turbina de vapor': 0.72,
+    'Residuos no renovables': 0.24
+};
+
+/**
+ * Potencia instalada en MW a principios de 2019 y crecimiento anual por tecnología
+ */
+const INSTALLED_CAPACITY = [
+    { type: 'Hidráulica', mw: 17100, growth: 0 },
+    { type: 'Turbinación bombeo', mw: 3330, growth: 0 },
+    { type: 'Nuclear', mw: 7117, growth: 0 },
+    { type: 'Carbón', mw: 10000, growth: -1800 },
+    { type: 'Ciclo combinado', mw: 26250, growth: 0 },
+    { type: 'Eólica', mw: 23500, growth: 1500 },
+    { type: 'Solar fotovoltaica', mw: 4700, growth: 4500 },
+    { type: 'Solar térmica', mw: 2300, growth: 0 },
+    { type: 'Otras renovables', mw: 860, growth: 10 },
+    { type: 'Residuos renovables', mw: 160, growth: 0 },
+    { type: 'Cogeneración', mw: 5700, growth: -50 },
+    { type: 'Residuos no renovables', mw: 450, growth: 0 }
+];
+
+/**
+ * Intercambio medio en MW de cada frontera: exportación e importación
+ */
+const BORDER_PROFILES = {
+    francia: { export: 1200, import: 1800 },
+    portugal: { export: 1500, import: 900 },
+    marruecos: { export: 600, import: 50 },
+    andorra: { export: 25, import: 0 }
+};
+
+/**
+ * Indicadores de precio con los identificadores que usa REE
+ */
+const PRICE_INDICATORS = [
+    { id: '1001', type: 'PVPC (€/MWh)', base: 140, amplitude: 60 },
+    { id: '600', type: 'Precio mercado spot (€/MWh)', base: 85, amplitude: 40 }
+];
+
+/**
+ * Series de demanda en tiempo real con los identificadores que usa REE
+ */
+const DEMAND_SERIES = [
+    { id: '1293', type: 'Demanda real', deviation: 0 },
+    { id: '544', type: 'Demanda prevista', deviation: 0.03 },
+    { id: '545', type: 'Demanda programada', deviation: 0.05 }
+];
+
+/**
+ * Genera un número pseudoaleatorio en [0, 1) a partir de una clave
+ *
+ * La misma clave da siempre el mismo número (hash FNV-1a con mezcla final).
+ *
+ * @param {string} key - Clave de la serie y el instante
+ * @returns {number} - Valor entre 0 y 1
+ * @private
+ */
+function noise(key) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x2c1b3c6d);
+    hash ^= hash >>> 12;
+
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Formatea un instante como los `datetime` de REE ('2019-01-01T00:00:00.000+01:00')
+ *
+ * @param {Date} date - Instante a formatear
+ * @returns {string} - Fecha en hora de Madrid con desfase
+ */
+function formatREEDateTime(date) {
+    return formatMadridISO(date).replace(/(T\d{2}:\d{2}:\d{2})/, '$1.000');
+}
+
+/**
+ * Obtiene los períodos del rango con su duración en horas y su hora del día
+ *
+ * Para granularidades de un día o más la hora del día es null y se usan medias.
+ *
+ * @param {Date} startDate - Inicio del rango
+ * @param {Date} endDate - Fin del rango
+ * @param {string} timeTrunc - Granularidad (10min, hour, day, month, year)
+ * @returns {Array<Object>} - Períodos { start, hours, hourOfDay, month, year }
+ * @private
+ */
+function listPeriods(startDate, endDate, timeTrunc) {
+    return listMadridPeriods(startDate, endDate, timeTrunc).map(start => {
+        const { year, month, hour, minute } = getMadridParts(start);
+        const intraday = timeTrunc === 'hour' || timeTrunc === '10min';
+
+        return {
+            start,
+            hours: (addMadridPeriods(start, timeTrunc, 1).getTime() - start.getTime()) / HOUR_MS,
+            hourOfDay: intraday ? hour + minute / 60 : null,
+            month,
+            year
+        };
+    });
+}
+
+/**
+ * Factor de la curva solar: cero de noche y máximo a mediodía, más alto en verano
+ *
+ * @param {Object} period - Período de listPeriods
+ * @returns {number} - Factor multiplicativo
+ * @private
+ */
+function solarFactor(period) {
+    const season = 1 - 0.35 * Math.cos((2 * Math.PI * (period.month - 1)) / 12);
+
+    if (period.hourOfDay === null) {
+        // Media diaria de la curva de abajo
+        return season * (13 / 24) * (2 / Math.PI);
+    }
+
+    return season * Math.max(0, Math.sin((Math.PI * (period.hourOfDay - 7)) / 13));
+}
+
+/**
+ * Factor de la curva de demanda: valle nocturno y punta de tarde
+ *
+ * @param {Object} period - Período de listPeriods
+ * @returns {number} - Factor multiplicativo
+ * @private
+ */
+function demandFactor(period) {
+    const season = 1 + 0.08 * Math.cos((2 * Math.PI * (period.month - 1)) / 6);
+
+    if (period.hourOfDay === null) {
+        return season;
+    }
+
+    return season * (1 + 0.15 * Math.sin((Math.PI * (period.hourOfDay - 8)) / 12));
+}
+
+/**
+ * Redondea a dos decimales
+ *
+ * @param {number} value - Valor a redondear
+ * @returns {number} - Valor redondeado
+ * @private
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Construye el nodo `data` y envuelve los elementos de `included`
+ *
+ * @param {string} title - Título del widget
+ * @param {string} description - Descripción del widget
+ * @param {Array<Object>} included - Elementos de la respuesta
+ * @returns {Object} - Respuesta con la forma JSON:API de REE
+ * @private
+ */
+function buildResponse(title, description, included) {
+    const lastUpdate = formatREEDateTime(new Date());
+
+    return {
+        data: {
+            type: title,
+            id: `mock-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            attributes: {
+                title,
+                'last-update': lastUpdate,
+                description
+            },
+            meta: {
+                'cache-control': { cache: 'MISS' }
+            }
+        },
+        included
+    };
+}
+
+/**
+ * Construye un elemento de serie de REE (tecnología, indicador o flujo)
+ *
+ * @param {string} type - Nombre de la serie
+ * @param {Array<Object>} values - Valores { value, percentage, datetime }
+ * @param {Object} [options={}] - Identificador, grupo y color ({ id, groupId, group, color })
+ * @returns {Object} - Elemento con la forma de REE
+ * @private
+ */
+function buildSeries(type, values, { id = null, groupId = null, color = null, group = null } = {}) {
+    const technology = findTechnology(type);
+    const total = values.reduce((sum, value) => sum + value.value, 0);
+
+    return {
+        type,
+        id: id || (technology ? technology.code : type),
+        groupId,
+        attributes: {
+            title: type,
+            description: null,
+            color: color || (technology ? technology.color : null),
+            type: group,
+            magnitude: null,
+            composite: false,
+            'last-update': formatREEDateTime(new Date()),
+            values,
+            total: round(total),
+            'total-percentage': 1
+        }
+    };
+}
+
+/**
+ * Calcula la generación, el almacenamiento y el intercambio de un período en MW medios
+ *
+ * @param {Object} period - Período de listPeriods
+ * @param {string} region - Región
+ * @returns {Object} - { generation: [{ group, type, mw }], pumpedGeneration, pumpedConsumption, interchange }
+ * @private
+ */
+function computeMix(period, region) {
+    const profile = REGION_PROFILES[region];
+    const time = period.start.getTime();
+
+    const generation = profile.mix.map(item => {
+        const variation = 1 + item.spread * (noise(`${item.type}|${region}|${time}`) - 0.5);
+        const shape = item.shape === 'solar' ? solarFactor(period) : 1;
+
+        return { group: item.group, type: item.type, mw: item.mw * profile.scale * variation * shape };
+    });
+
+    return {
+        generation,
+        pumpedGeneration: profile.storage ? 500 * profile.scale * noise(`pump-gen|${region}|${time}`) : 0,
+        pumpedConsumption: profile.storage ? 700 * profile.scale * noise(`pump-con|${region}|${time}`) : 0,
+        interchange: profile.interchange * 2000 * (noise(`interchange|${region}|${time}`) - 0.5)
+    };
+}
+
+/**
+ * Genera la respuesta del widget `balance/balance-electrico`
+ *
+ * Los grupos incluyen las filas agregadas que publica REE (`Generación renovable`,
+ * `Saldo almacenamiento`...) y la demanda cuadra con la generación y el intercambio.
+ *
+ * @param {Object} params - Parámetros de la petición
+ * @param {Date} params.startDate - Inicio del rango
+ * @param {Date} params.endDate - Fin del rango
+ * @param {string} params.timeTrunc - Granularidad (hour, day, month, year)
+ * @param {string} params.region - Región
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateBalance({ startDate, endDate, timeTrunc, region }) {
+    const periods = listPeriods(startDate, endDate, timeTrunc);
+    const series = new Map();
+
+    const push = (group, type, period, value, percentage) => {
+        const key = `${group}|${type}`;
+
+        if (!series.has(key)) {
+            series.set(key, { group, type, values: [] });
+        }
+
+        series.get(key).values.push({
+            value: round(value),
+            percentage: round(percentage * 10000) / 10000,
+            datetime: formatREEDateTime(period.start)
+        });
+    };
+
+    for (const period of periods) {
+        const mix = computeMix(period, region);
+        const totalGeneration = mix.generation.reduce((sum, item) => sum + item.mw, 0) + mix.pumpedGeneration;
+        const renewable = mix.generation.filter(item => item.group === 'Renovable').reduce((sum, item) => sum + item.mw, 0);
+        const energy = mw => mw * period.hours;
+        const share = mw => (totalGeneration > 0 ? mw / totalGeneration : 0);
+
+        for (const item of mix.generation) {
+            push(item.group, item.type, period, energy(item.mw), share(item.mw));
+        }
+
+        push('Renovable', 'Generación renovable', period, energy(renewable), share(renewable));
+        push('No-Renovable', 'Generación no renovable', period, energy(totalGeneration - renewable - mix.pumpedGeneration), share(totalGeneration - renewable - mix.pumpedGeneration));
+
+        if (REGION_PROFILES[region].storage) {
+            push('Almacenamiento', 'Turbinación bombeo', period, energy(mix.pumpedGeneration), share(mix.pumpedGeneration));
+            push('Almacenamiento', 'Consumo bombeo', period, -energy(mix.pumpedConsumption), 0);
+            push('Almacenamiento', 'Saldo almacenamiento', period, energy(mix.pumpedGeneration - mix.pumpedConsumption), 0);
+        }
+
+        if (REGION_PROFILES[region].interchange > 0) {
+            push('Intercambios Internacionales', 'Saldo I. internacionales', period, energy(mix.interchange), 0);
+        }
+
+        push('Demanda', 'Demanda en b.c.', period, energy(totalGeneration + mix.interchange - mix.pumpedConsumption), 1);
+    }
+
+    const groups = new Map();
+
+    for (const { group, type, values } of series.values()) {
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+
+        groups.get(group).push(buildSeries(type, values, { groupId: group, group }));
+    }
+
+    return buildResponse(
+        'Balance de energía eléctrica',
+        'Balance eléctrico: asignación de unidades de producción según combustible principal',
+        [...groups.entries()].map(([group, content]) => ({
+            type: group,
+            id: group,
+            attributes: {
+                title: group,
+                'last-update': formatREEDateTime(new Date()),
+                description: null,
+                magnitude: null,
+                content
+            }
+        }))
+    );
+}
+
+/**
+ * Genera la respuesta del widget `mercados/precios-mercados-tiempo-real`
+ *
+ * @param {Object} params - Parámetros de la petición ({ startDate, endDate, timeTrunc })
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateMarketPrices({ startDate, endDate, timeTrunc }) {
+    const periods = listPeriods(startDate, endDate, timeTrunc);
+
+    return buildResponse(
+        'Precios mercado peninsular en tiempo real',
+        'Precio de la energía en el mercado diario y del PVPC',
+        PRICE_INDICATORS.map(indicator => buildSeries(
+            indicator.type,
+            periods.map(period => {
+                const daily = period.hourOfDay === null ? 0 : Math.sin((Math.PI * (period.hourOfDay - 14)) / 12);
+                const variation = noise(`${indicator.id}|${period.start.getTime()}`) - 0.5;
+
+                return {
+                    value: round(indicator.base + indicator.amplitude * (0.6 * daily + 0.4 * variation)),
+                    percentage: 1,
+                    datetime: formatREEDateTime(period.start)
+                };
+            }),
+            { id: indicator.id, color: null }
+        ))
+    );
+}
+
+/**
+ * Genera la respuesta del widget `generacion/no-renovables-detalle-emisiones-CO2`
+ *
+ * Las emisiones salen de la misma generación que el balance, así que ambos widgets
+ * son coherentes entre sí.
+ *
+ * @param {Object} params - Parámetros de la petición ({ startDate, endDate, timeTrunc, region })
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateCo2Emissions({ startDate, endDate, timeTrunc, region }) {
+    const series = new Map();
+    const totals = [];
+
+    for (const period of listPeriods(startDate, endDate, timeTrunc)) {
+        const emissions = computeMix(period, region).generation
+            .filter(item => EMISSION_FACTORS[item.type])
+            .map(item => ({ type: item.type, value: item.mw * period.hours * EMISSION_FACTORS[item.type] }));
+        const total = emissions.reduce((sum, item) => sum + item.value, 0);
+        const datetime = formatREEDateTime(period.start);
+
+        for (const { type, value } of emissions) {
+            if (!series.has(type)) {
+                series.set(type, []);
+            }
+
+            series.get(type).push({ value: round(value), percentage: total > 0 ? round((value / total) * 10000) / 10000 : 0, datetime });
+        }
+
+        totals.push({ value: round(total), percentage: 1, datetime });
+    }
+
+    return buildResponse(
+        'Emisiones de CO2 asociadas a la generación no renovable',
+        'Emisiones en tCO2 eq. de las tecnologías no renovables',
+        [
+            ...[...series.entries()].map(([type, values]) => buildSeries(type, values)),
+            buildSeries('Total tCO2 eq.', totals)
+        ]
+    );
+}
+
+/**
+ * Genera la respuesta del widget `generacion/potencia-instalada`
+ *
+ * La potencia crece linealmente desde 2019 según la tecnología y no tiene ruido.
+ *
+ * @param {Object} params - Parámetros de la petición ({ startDate, endDate, timeTrunc, region })
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateInstalledCapacity({ startDate, endDate, timeTrunc, region }) {
+    const profile = REGION_PROFILES[region];
+    const scale = profile.mix === NATIONAL_MIX ? profile.scale : profile.scale * 0.1;
+    const periods = listPeriods(startDate, endDate, timeTrunc);
+    const technologies = profile.mix === NATIONAL_MIX
+        ? INSTALLED_CAPACITY
+        : INSTALLED_CAPACITY.filter(item => profile.mix.some(mixItem => mixItem.type === item.type));
+
+    const capacityAt = (item, period) => {
+        const years = period.year - 2019 + (period.month - 1) / 12;
+        return Math.max(0, (item.mw + item.growth * years) * scale);
+    };
+
+    return buildResponse(
+        'Potencia instalada',
+        'Potencia instalada por tecnología en MW',
+        [
+            ...technologies.map(item => buildSeries(
+                item.type,
+                periods.map(period => ({
+                    value: round(capacityAt(item, period)),
+                    percentage: 0,
+                    datetime: formatREEDateTime(period.start)
+                }))
+            )),
+            buildSeries('Potencia total', periods.map(period => ({
+                value: round(technologies.reduce((sum, item) => sum + capacityAt(item, period), 0)),
+                percentage: 1,
+                datetime: formatREEDateTime(period.start)
+            })))
+        ]
+    );
+}
+
+/**
+ * Genera la respuesta del widget `intercambios/<frontera>-frontera`
+ *
+ * La exportación se publica en negativo y el saldo es la suma de ambos flujos, como en REE.
+ *
+ * @param {Object} params - Parámetros de la petición ({ startDate, endDate, timeTrunc, border })
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateInterchange({ startDate, endDate, timeTrunc, border }) {
+    const profile = BORDER_PROFILES[border];
+    const flows = { export: [], import: [], net: [] };
+
+    for (const period of listPeriods(startDate, endDate, timeTrunc)) {
+        const time = period.start.getTime();
+        const exported = profile.export * period.hours * (0.5 + noise(`${border}|export|${time}`));
+        const imported = profile.import * period.hours * (0.5 + noise(`${border}|import|${time}`));
+        const datetime = formatREEDateTime(period.start);
+
+        flows.export.push({ value: round(-exported), percentage: 1, datetime });
+        flows.import.push({ value: round(imported), percentage: 1, datetime });
+        flows.net.push({ value: round(imported - exported), percentage: 1, datetime });
+    }
+
+    const name = border.charAt(0).toUpperCase() + border.slice(1);
+
+    return buildResponse(
+        `Intercambios internacionales frontera ${name}`,
+        `Intercambios físicos con ${name} en MWh`,
+        [
+            buildSeries('Exportación', flows.export, { id: `${border}-export` }),
+            buildSeries('Importación', flows.import, { id: `${border}-import` }),
+            buildSeries('saldo', flows.net, { id: `${border}-saldo` })
+        ]
+    );
+}
+
+/**
+ * Genera la respuesta del widget `demanda/demanda-tiempo-real`
+ *
+ * REE publica esta demanda cada diez minutos sea cual sea el `time_trunc` pedido.
+ *
+ * @param {Object} params - Parámetros de la petición ({ startDate, endDate, region })
+ * @returns {Object} - Respuesta con la forma de REE
+ */
+function generateRealTimeDemand({ startDate, endDate, region }) {
+    const profile = REGION_PROFILES[region];
+    const baseMw = profile.mix.reduce((sum, item) => sum + item.mw, 0) * profile.scale * 0.9;
+    const periods = listPeriods(startDate, endDate, '10min');
+
+    return buildResponse(
+        'Demanda en tiempo real',
+        'Demanda real, prevista y programada en MW',
+        DEMAND_SERIES.map(series => buildSeries(
+            series.type,
+            periods.map(period => {
+                const real = baseMw * demandFactor(period) * (0.97 + 0.06 * noise(`demand|${region}|${period.start.getTime()}`));
+                const deviation = series.deviation * (noise(`${series.id}|${region}|${period.start.getTime()}`) - 0.5);
+
+                return {
+                    value: round(real * (1 + deviation)),
+                    percentage: 1,
+                    datetime: formatREEDateTime(period.start)
+                };
+            }),
+            { id: series.id }
+        ))
+    );
+}
+
+module.exports = {
+    REGION_PROFILES,
+    BORDER_PROFILES,
+    formatREEDateTime,
+    generateBalance,
+    generateMarketPrices,
+    generateCo2Emissions,
+    generateInstalledCapacity,
+    generateInterchange,
+    generateRealTimeDemand
+};
@@ -0,0 +1,100 @@
+/**
+ * @file co2EmissionResolvers.js
+ * @description Resolvers de GraphQL para las emisiones de CO2
+ *
+ * Este archivo implementa los resolvers para las queries y mutaciones
+ * relacionadas con las emisiones por tecnología.
+ */
+
+const FetchCo2Emissions = require('../../../application/use-cases/FetchCo2Emissions');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Resolvers para las emisiones de CO2
+ */
+const co2EmissionResolvers = {
+    Co2Emission: {
+        totalEmissions: (parent) => (
+            typeof parent.getTotalEmissions === 'function' ? parent.getTotalEmissions() : parent.totalEmissions
+        )
+    },
+
+    Query: {
+        /**
+         * Obtiene las emisiones de CO2 para un rango de fechas
+         */
+        co2Emissions: async (_, { dateRange, region }, { repositories, logger }) => {
+            try {
+                const selectedRegion = resolveRegion(region);
+                const timeScope = dateRange.timeScope || 'day';
+
+                const [items, totals] = await Promise.all([
+                    requireRepository(repositories, 'co2EmissionRepository').findByDateRange(
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope,
+                        { region: selectedRegion }
+                    ),
+                    requireRepository(repositories, 'co2EmissionRepository').getTotalsByDateRange(
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope,
+                        selectedRegion
+                    )
+                ]);
+
+                return {
+                    totalEmissions: totals.totalEmissions,
+                    count: totals.count,
+                    byTechnology: totals.byTechnology,
+                    items
+                };
+            } catch (error) {
+                logger.error(`Error fetching CO2 emissions: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Refresca las emisiones de CO2 desde la API de REE
+         */
+        refreshCo2Emissions: async (_, { dateRange, forceUpdate, region }, { services, repositories, logger }) => {
+            try {
+                const fetchCo2EmissionsUseCase = new FetchCo2Emissions(
+                    services.reeApiService,
+                    requireRepository(repositories, 'co2EmissionRepository'),
+                    logger
+                );
+
+                const result = await fetchCo2EmissionsUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    timeScope: dateRange.timeScope || 'day',
+                    region: resolveRegion(region),
+                    forceUpdate
+                });
+
+                return {
+                    success: true,
+                    message: result.message,
+                    savedCount: result.savedCount,
+                    timeScope: result.timeScope,
+                    region: result.region,
+                    startDate: result.startDate,
+                    endDate: result.endDate,
+                    status: result.status,
+                    failedChunks: result.failedChunks || []
+                };
+            } catch (error) {
+                logger.error(`Error refreshing CO2 emissions: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = co2EmissionResolvers;
@@ -0,0 +1,72 @@
+/**
+ * @file dataQualityResolvers.js
+ * @description Resolvers de GraphQL para la calidad de los datos ingeridos
+ *
+ * Este archivo implementa los resolvers para consultar los registros en
+ * cuarentena y los huecos en los balances almacenados.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const { isValidDataset, DATASETS } = require('../../../domain/constants/datasets');
+const DetectDataGaps = require('../../../application/use-cases/DetectDataGaps');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Número máximo de registros en cuarentena por consulta
+ */
+const MAX_LIMIT = 500;
+
+/**
+ * Resolvers para la calidad de los datos
+ */
+const dataQualityResolvers = {
+    Query: {
+        /**
+         * Lista los registros en cuarentena
+         */
+        quarantinedRecords: async (_, { dataset, region, timeScope, startDate, endDate, code, limit }, { repositories, logger }) => {
+            try {
+                if (dataset && !isValidDataset(dataset)) {
+                    throw new UserInputError(
+                        `Invalid dataset: ${dataset}. Valid values: ${Object.values(DATASETS).join(', ')}`
+                    );
+                }
+
+                return await requireRepository(repositories, 'quarantineRepository').findByCriteria(
+                    { dataset, region, timeScope, startDate, endDate, code },
+                    { limit: Math.min(Math.max(limit || 50, 1), MAX_LIMIT) }
+                );
+            } catch (error) {
+                logger.error(`Error fetching quarantined records: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Detecta los huecos en los balances eléctricos de un rango
+         */
+        dataGaps: async (_, { dateRange, region }, { repositories, logger }) => {
+            try {
+                const detectDataGapsUseCase = new DetectDataGaps(
+                    repositories.electricBalanceRepository,
+                    logger
+                );
+
+                return await detectDataGapsUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    timeScope: dateRange.timeScope || 'day',
+                    region: resolveRegion(region)
+                });
+            } catch (error) {
+                logger.error(`Error detecting data gaps: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = dataQualityResolvers;
@@ -0,0 +1,59 @@
+/**
+ * @file dateTimeInput.js
+ * @description Interpretación de las fechas recibidas como argumentos del escalar DateTime
+ *
+ * Una fecha con desfase (`Z`, `+02:00`) es un instante concreto. Una fecha sin
+ * desfase (`2024-03-31`, `2024-03-31T10:00`) es una hora civil: por defecto se
+ * interpreta en hora de Madrid, pero se conserva su texto para que las queries
+ * con `timeZone` puedan interpretarla en la zona pedida.
+ */
+
+const { MADRID_TIME_ZONE } = require('../../../utils/madridTime');
+const { parseZonedDateTime } = require('../../../utils/zonedTime');
+
+/**
+ * Fechas sin desfase y el texto con el que se recibieron
+ */
+const civilDateTimes = new WeakMap();
+
+/**
+ * Fecha u hora civil sin desfase ('YYYY-MM-DD' o 'YYYY-MM-DDThh:mm[:ss[.sss]]')
+ */
+const CIVIL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+)?$/;
+
+/**
+ * Convierte el valor de un argumento DateTime en fecha
+ *
+ * @param {string|number|Date} value - Valor recibido
+ * @returns {Date} - Instante; las horas civiles se interpretan en hora de Madrid
+ */
+const parseDateTimeInput = (value) => {
+    if (typeof value !== 'string' || !CIVIL_DATE_TIME_PATTERN.test(value.trim())) {
+        return new Date(value);
+    }
+
+    const date = parseZonedDateTime(value, MADRID_TIME_ZONE);
+    civilDateTimes.set(date, value.trim());
+
+    return date;
+};
+
+/**
+ * Interpreta una fecha recibida en la zona horaria indicada
+ *
+ * Solo cambian las fechas que llegaron sin desfase; las demás ya son un instante.
+ *
+ * @param {string|Date} value - Fecha devuelta por el escalar o texto
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} - Instante en la zona indicada
+ */
+const toZonedDateTime = (value, timeZone) => {
+    const civil = value instanceof Date ? civilDateTimes.get(value) : value;
+
+    return civil === undefined ? value : parseZonedDateTime(civil, timeZone);
+};
+
+module.exports = {
+    parseDateTimeInput,
+    toZonedDateTime
+};
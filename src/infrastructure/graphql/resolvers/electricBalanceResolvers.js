@@ -10,75 +10,33 @@
 
 const { GraphQLScalarType } = require('graphql');
 const { Kind } = require('graphql/language');
-const { UserInputError, ApolloError } = require('apollo-server-express');
+const { UserInputError } = require('apollo-server-express');
 
 const GetElectricBalanceByDateRange = require('../../../application/use-cases/GetElectricBalanceByDateRange');
 const FetchREEData = require('../../../application/use-cases/FetchREEData');
 
-const {
-    InvalidDateRangeError,
-    ApiRequestError,
-    ApiResponseError,
-    RepositoryError,
-    NotFoundError
-} = require('../../../application/errors/ApplicationErrors');
-
-/**
- * Mapeo de errores de aplicación a errores de Apollo GraphQL
- *
- * @param {Error} error - Error original
- * @returns {Error} - Error apropiado para GraphQL
- */
-const mapErrorToGraphQLError = (error) => {
-    if (error instanceof InvalidDateRangeError) {
-        return new UserInputError(error.message, {
-            validationErrors: error.validationErrors
-        });
-    }
-
-    if (error instanceof ApiRequestError || error instanceof ApiResponseError) {
-        return new ApolloError(
-            error.message,
-            'EXTERNAL_API_ERROR',
-            { originalError: error.toJSON() }
-        );
-    }
-
-    if (error instanceof RepositoryError) {
-        return new ApolloError(
-            error.message,
-            'DATABASE_ERROR',
-            { originalError: error.toJSON() }
-        );
-    }
-
-    if (error instanceof NotFoundError) {
-        return new ApolloError(
-            error.message,
-            'NOT_FOUND',
-            { originalError: error.toJSON() }
-        );
-    }
-
-    return new ApolloError(
-        error.message,
-        'INTERNAL_SERVER_ERROR',
-        { stack: error.stack }
-    );
-};
+const { NotFoundError } = require('../../../application/errors/ApplicationErrors');
+const { INGESTION_TRIGGERS } = require('../../../domain/constants/ingestionRuns');
+const { isAggregateTechnology, isRenewableTechnology } = require('../../../domain/constants/technologies');
+const { MADRID_TIME_ZONE } = require('../../../utils/madridTime');
+const { isValidTimeZone, formatZonedISO } = require('../../../utils/zonedTime');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const resolveRegion = require('./resolveRegion');
+const resolveDateRange = require('./resolveDateRange');
+const { parseDateTimeInput } = require('./dateTimeInput');
 
 const DateTimeScalar = new GraphQLScalarType({
     name: 'DateTime',
-    description: 'Fecha y hora en formato ISO 8601',
+    description: 'Fecha y hora en formato ISO 8601; sin desfase es hora de Madrid',
     serialize(value) {
         return value instanceof Date ? value.toISOString() : value;
     },
     parseValue(value) {
-        return new Date(value);
+        return parseDateTimeInput(value);
     },
     parseLiteral(ast) {
         if (ast.kind === Kind.STRING) {
-            return new Date(ast.value);
+            return parseDateTimeInput(ast.value);
         }
         return null;
     },
@@ -115,6 +73,15 @@ const electricBalanceResolvers = {
     DateTime: DateTimeScalar,
     JSONObject: JSONObjectScalar,
     ElectricBalance: {
+        localTimestamp: (parent, { timeZone }) => {
+            const zone = timeZone || MADRID_TIME_ZONE;
+
+            if (!isValidTimeZone(zone)) {
+                throw new UserInputError(`Invalid time zone: ${zone}. Use an IANA name such as ${MADRID_TIME_ZONE}`);
+            }
+
+            return formatZonedISO(parent.timestamp, zone);
+        },
         totalGeneration: (parent) => {
             // Si ya tiene un valor válido, usarlo
             if (parent.totalGeneration !== null && parent.totalGeneration !== undefined && parent.totalGeneration > 0) {
@@ -124,6 +91,8 @@ const electricBalanceResolvers = {
             // Si hay datos de generación, calcular la suma
             if (parent.generation && Array.isArray(parent.generation) && parent.generation.length > 0) {
                 const total = parent.generation.reduce((sum, item) => {
+                    if (isAggregateTechnology(item.type)) return sum;
+
                     const value = parseFloat(item.value);
                     return sum + (Number.isFinite(value) ? value : 0);
                 }, 0);
@@ -166,6 +135,8 @@ const electricBalanceResolvers = {
                 totalGeneration = parent.totalGeneration;
             } else if (parent.generation && Array.isArray(parent.generation) && parent.generation.length > 0) {
                 totalGeneration = parent.generation.reduce((sum, item) => {
+                    if (isAggregateTechnology(item.type)) return sum;
+
                     const value = parseFloat(item.value);
                     return sum + (Number.isFinite(value) ? value : 0);
                 }, 0);
@@ -196,20 +167,17 @@ const electricBalanceResolvers = {
 
             // Si hay datos de generación, calcular el porcentaje renovable
             if (parent.generation && Array.isArray(parent.generation) && parent.generation.length > 0) {
-                const renewableTypes = [
-                    'Hidráulica', 'Eólica', 'Solar fotovoltaica', 'Solar térmica',
-                    'Otras renovables', 'Hidroeólica', 'Residuos renovables', 'Generación renovable'
-                ];
-
                 // Calcular total de generación
                 const totalGen = parent.generation.reduce((sum, item) => {
+                    if (isAggregateTechnology(item.type)) return sum;
+
                     const value = parseFloat(item.value);
                     return sum + (Number.isFinite(value) ? value : 0);
                 }, 0);
 
                 // Calcular generación renovable
                 const renewableGen = parent.generation
-                  .filter(item => renewableTypes.includes(item.type))
+                  .filter(item => isRenewableTechnology(item.type))
                   .reduce((sum, item) => {
                       const value = parseFloat(item.value);
                       return sum + (Number.isFinite(value) ? value : 0);
@@ -221,7 +189,13 @@ const electricBalanceResolvers = {
 
             // Si no hay datos, devolver 0
             return 0;
-        }
+        },
+        qualityFlags: (parent) => parent.qualityFlags || [],
+        version: (parent) => parent.version || 1
+    },
+    ElectricBalanceRevision: {
+        current: (parent) => parent.isCurrent(),
+        data: (parent) => parent.electricBalance
     },
 
     // Queries
@@ -247,11 +221,35 @@ const electricBalanceResolvers = {
             }
         },
 
+        /**
+         * Obtiene el historial de versiones de un balance eléctrico
+         */
+        electricBalanceRevisions: async (_, { id }, { repositories, logger }) => {
+            try {
+                const revisions = await repositories.electricBalanceRepository.findRevisions(id);
+
+                if (revisions.length === 0) {
+                    throw new NotFoundError(
+                        `Electric balance with ID ${id} not found`,
+                        { resourceType: 'ElectricBalance', resourceId: id }
+                    );
+                }
+
+                return revisions;
+            } catch (error) {
+                logger.error(`Error fetching electric balance revisions: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
         /**
          * Obtiene balances eléctricos por rango de fechas con paginación y filtros
          */
-        electricBalanceByDateRange: async (_, { dateRange, pagination = {}, filters = {} }, { dataSources, repositories, services, logger }) => {
+        electricBalanceByDateRange: async (_, { dateRange, timeZone, pagination = {}, filters = {}, region, asOf }, { dataSources, repositories, services, logger }) => {
             try {
+                const range = resolveDateRange(dateRange, timeZone);
+                const selectedRegion = resolveRegion(region);
+
                 // Instanciar el caso de uso
                 const getElectricBalanceUseCase = new GetElectricBalanceByDateRange(
                     repositories.electricBalanceRepository,
@@ -313,23 +311,25 @@ const electricBalanceResolvers = {
                 // Ejecutar caso de uso
                 const options = {
                     ...paginationOptions,
-                    filters: additionalFilters
+                    region: selectedRegion,
+                    filters: additionalFilters,
+                    asOf
                 };
 
                 const result = await getElectricBalanceUseCase.execute({
-                    startDate: dateRange.startDate,
-                    endDate: dateRange.endDate,
-                    timeScope: dateRange.timeScope || 'day',
+                    startDate: range.startDate,
+                    endDate: range.endDate,
+                    timeScope: range.timeScope,
                     format: 'default',
                     options
                 });
 
                 // Obtener cuenta total para paginación
                 const totalCount = await repositories.electricBalanceRepository.findByDateRange(
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day',
-                    { onlyCount: true }
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    { onlyCount: true, region: selectedRegion, asOf }
                 );
 
                 // Preparar respuesta paginada
@@ -350,12 +350,17 @@ const electricBalanceResolvers = {
         /**
          * Obtiene estadísticas de balance eléctrico por rango de fechas
          */
-        electricBalanceStats: async (_, { dateRange }, { repositories, logger }) => {
+        electricBalanceStats: async (_, { dateRange, timeZone, region, asOf }, { repositories, logger }) => {
             try {
+                const range = resolveDateRange(dateRange, timeZone);
+                const selectedRegion = resolveRegion(region);
+
                 const stats = await repositories.electricBalanceRepository.getStatsByDateRange(
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day'
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    selectedRegion,
+                    asOf
                 );
 
                 if (!stats || !stats.stats) {
@@ -367,9 +372,10 @@ const electricBalanceResolvers = {
                     demand: stats.stats.demand,
                     renewablePercentage: stats.stats.renewablePercentage,
                     count: stats.count,
-                    startDate: dateRange.startDate,
-                    endDate: dateRange.endDate,
-                    timeScope: dateRange.timeScope || 'day'
+                    startDate: range.startDate,
+                    endDate: range.endDate,
+                    timeScope: range.timeScope,
+                    region: selectedRegion
                 };
             } catch (error) {
                 logger.error(`Error fetching electric balance stats: ${error.message}`, error);
@@ -380,15 +386,26 @@ const electricBalanceResolvers = {
         /**
          * Obtiene distribución de generación por tipo para un rango de fechas
          */
-        generationDistribution: async (_, { dateRange }, { repositories, logger }) => {
+        generationDistribution: async (_, { dateRange, timeZone, region, asOf }, { repositories, services, logger }) => {
             try {
+                const range = resolveDateRange(dateRange, timeZone);
+                const selectedRegion = resolveRegion(region);
+
                 const distribution = await repositories.electricBalanceRepository.getGenerationDistribution(
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day'
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    selectedRegion,
+                    asOf
                 );
 
-                return distribution;
+                return await services.electricBalanceService.addCapacityFactors(
+                    distribution,
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    selectedRegion
+                );
             } catch (error) {
                 logger.error(`Error fetching generation distribution: ${error.message}`, error);
                 throw mapErrorToGraphQLError(error);
@@ -398,8 +415,9 @@ const electricBalanceResolvers = {
         /**
          * Obtiene series temporales para un indicador específico
          */
-        electricBalanceTimeSeries: async (_, { dateRange, indicator }, { repositories, logger }) => {
+        electricBalanceTimeSeries: async (_, { dateRange, timeZone, indicator, region, asOf }, { repositories, logger }) => {
             try {
+                const range = resolveDateRange(dateRange, timeZone);
                 // Validar indicador permitido
                 const allowedIndicators = [
                     'totalGeneration', 'totalDemand', 'balance', 'renewablePercentage'
@@ -413,9 +431,11 @@ const electricBalanceResolvers = {
 
                 const timeSeries = await repositories.electricBalanceRepository.getTimeSeriesForIndicator(
                     indicator,
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day'
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    resolveRegion(region),
+                    asOf
                 );
 
                 return timeSeries;
@@ -428,35 +448,46 @@ const electricBalanceResolvers = {
         /**
          * Obtiene análisis completo de balance eléctrico para un rango de fechas
          */
-        electricBalanceAnalysis: async (_, { dateRange, options = {} }, { repositories, services, logger }) => {
+        electricBalanceAnalysis: async (_, { dateRange, timeZone, options = {}, region }, { repositories, services, logger }) => {
             try {
+                const range = resolveDateRange(dateRange, timeZone);
+                const selectedRegion = resolveRegion(region);
+
                 // Obtener estadísticas
                 const stats = await repositories.electricBalanceRepository.getStatsByDateRange(
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day'
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    selectedRegion
                 );
 
-                // Obtener distribución de generación
-                const generationDistribution = await repositories.electricBalanceRepository.getGenerationDistribution(
-                    dateRange.startDate,
-                    dateRange.endDate,
-                    dateRange.timeScope || 'day'
+                // Obtener distribución de generación con el factor de capacidad de cada tecnología
+                const generationDistribution = await services.electricBalanceService.addCapacityFactors(
+                    await repositories.electricBalanceRepository.getGenerationDistribution(
+                        range.startDate,
+                        range.endDate,
+                        range.timeScope,
+                        selectedRegion
+                    ),
+                    range.startDate,
+                    range.endDate,
+                    range.timeScope,
+                    selectedRegion
                 );
 
                 // Obtener series temporales para indicadores clave
                 const [generationSeries, demandSeries, renewableSeries, balanceSeries] = await Promise.all([
                     repositories.electricBalanceRepository.getTimeSeriesForIndicator(
-                        'totalGeneration', dateRange.startDate, dateRange.endDate, dateRange.timeScope || 'day'
+                        'totalGeneration', range.startDate, range.endDate, range.timeScope, selectedRegion
                     ),
                     repositories.electricBalanceRepository.getTimeSeriesForIndicator(
-                        'totalDemand', dateRange.startDate, dateRange.endDate, dateRange.timeScope || 'day'
+                        'totalDemand', range.startDate, range.endDate, range.timeScope, selectedRegion
                     ),
                     repositories.electricBalanceRepository.getTimeSeriesForIndicator(
-                        'renewablePercentage', dateRange.startDate, dateRange.endDate, dateRange.timeScope || 'day'
+                        'renewablePercentage', range.startDate, range.endDate, range.timeScope, selectedRegion
                     ),
                     repositories.electricBalanceRepository.getTimeSeriesForIndicator(
-                        'balance', dateRange.startDate, dateRange.endDate, dateRange.timeScope || 'day'
+                        'balance', range.startDate, range.endDate, range.timeScope, selectedRegion
                     )
                 ]);
 
@@ -466,17 +497,19 @@ const electricBalanceResolvers = {
 
                 if (options.includePatterns) {
                     trends = await services.electricBalanceService.detectPatternsAndAnomalies(
-                        dateRange.startDate,
-                        dateRange.endDate,
-                        dateRange.timeScope || 'day'
+                        range.startDate,
+                        range.endDate,
+                        range.timeScope,
+                        selectedRegion
                     );
                 }
 
                 if (options.includeSustainability) {
                     sustainability = await services.electricBalanceService.calculateSustainabilityMetrics(
-                        dateRange.startDate,
-                        dateRange.endDate,
-                        dateRange.timeScope || 'day'
+                        range.startDate,
+                        range.endDate,
+                        range.timeScope,
+                        selectedRegion
                     );
                 }
 
@@ -487,9 +520,10 @@ const electricBalanceResolvers = {
                         demand: stats.stats.demand,
                         renewablePercentage: stats.stats.renewablePercentage,
                         count: stats.count,
-                        startDate: dateRange.startDate,
-                        endDate: dateRange.endDate,
-                        timeScope: dateRange.timeScope || 'day'
+                        startDate: range.startDate,
+                        endDate: range.endDate,
+                        timeScope: range.timeScope,
+                        region: selectedRegion
                     },
                     generationDistribution,
                     generationSeries,
@@ -498,9 +532,10 @@ const electricBalanceResolvers = {
                     balanceSeries,
                     trends: trends ? trends.patterns : null,
                     period: {
-                        startDate: dateRange.startDate,
-                        endDate: dateRange.endDate,
-                        timeScope: dateRange.timeScope || 'day',
+                        startDate: range.startDate,
+                        endDate: range.endDate,
+                        timeScope: range.timeScope,
+                        region: selectedRegion,
                         recordCount: stats.count
                     },
                     ...(sustainability ? { sustainability: sustainability.metrics } : {})
@@ -514,14 +549,15 @@ const electricBalanceResolvers = {
         /**
          * Compara dos períodos de balance eléctrico
          */
-        compareElectricBalancePeriods: async (_, { periods }, { services, logger }) => {
+        compareElectricBalancePeriods: async (_, { periods, region }, { services, logger }) => {
             try {
                 const comparisonResult = await services.electricBalanceService.comparePeriods(
                     periods.currentStartDate,
                     periods.currentEndDate,
                     periods.previousStartDate,
                     periods.previousEndDate,
-                    periods.timeScope || 'day'
+                    periods.timeScope || 'day',
+                    resolveRegion(region)
                 );
 
                 return comparisonResult;
@@ -534,9 +570,11 @@ const electricBalanceResolvers = {
         /**
          * Obtiene el balance eléctrico más reciente
          */
-        latestElectricBalance: async (_, __, { repositories, logger }) => {
+        latestElectricBalance: async (_, { region }, { repositories, logger }) => {
             try {
-                const latestBalance = await repositories.electricBalanceRepository.findMostRecent();
+                const latestBalance = await repositories.electricBalanceRepository.findMostRecent(
+                    resolveRegion(region)
+                );
 
                 if (!latestBalance) {
                     return null;
@@ -560,15 +598,17 @@ const electricBalanceResolvers = {
         /**
          * Refresca los datos de balance eléctrico para un rango de fechas
          */
-        refreshElectricBalanceData: async (_, { dateRange, forceUpdate }, { dataSources, services, repositories, logger }) => {
+        refreshElectricBalanceData: async (_, { dateRange, forceUpdate, region, source }, { dataSources, services, repositories, logger }) => {
             try {
                 // Verificar permisos (simplificado - en producción se implementaría autenticación)
 
                 // Crear instancia del caso de uso
                 const fetchREEDataUseCase = new FetchREEData(
-                    services.reeApiService,
+                    services.electricBalanceSources,
                     repositories.electricBalanceRepository,
-                    logger
+                    logger,
+                    repositories.quarantineRepository,
+                    repositories.ingestionRunRepository
                 );
 
                 // Ejecutar caso de uso
@@ -576,17 +616,28 @@ const electricBalanceResolvers = {
                     startDate: dateRange.startDate,
                     endDate: dateRange.endDate,
                     timeScope: dateRange.timeScope || 'day',
-                    forceUpdate
+                    region: resolveRegion(region),
+                    forceUpdate,
+                    trigger: INGESTION_TRIGGERS.API,
+                    source
                 });
 
                 return {
                     success: true,
                     message: result.message,
                     savedCount: result.savedCount,
+                    insertedCount: result.insertedCount || 0,
+                    updatedCount: result.updatedCount || 0,
+                    unchangedCount: result.skippedCount || 0,
+                    failedCount: result.failedCount || 0,
+                    quarantinedCount: result.quarantinedCount || 0,
                     timeScope: result.timeScope,
+                    region: result.region,
+                    source: result.source,
                     startDate: result.startDate,
                     endDate: result.endDate,
-                    status: result.status
+                    status: result.status,
+                    failedChunks: result.failedChunks || []
                 };
             } catch (error) {
                 logger.error(`Error refreshing electric balance data: ${error.message}`, error);
@@ -0,0 +1,63 @@
+/**
+ * @file fetchScheduleResolvers.js
+ * @description Resolvers de GraphQL para la programación de las obtenciones de balances
+ *
+ * Este archivo implementa los resolvers para consultar y cambiar la
+ * programación de los fetchers de REE. Solo los administradores pueden usarlos.
+ */
+
+const { NotAuthorizedError } = require('../../../application/errors/ApplicationErrors');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+
+/**
+ * Comprueba que la petición la hace un administrador
+ *
+ * @param {boolean} isAdmin - Indica si el contexto es de administrador
+ * @throws {NotAuthorizedError} - Si no lo es
+ */
+const requireAdmin = (isAdmin) => {
+    if (!isAdmin) {
+        throw new NotAuthorizedError('Fetch schedules can only be managed by administrators', {
+            requiredPermission: 'admin'
+        });
+    }
+};
+
+/**
+ * Resolvers para la programación de las obtenciones
+ */
+const fetchScheduleResolvers = {
+    Query: {
+        /**
+         * Obtiene la programación vigente de cada alcance temporal
+         */
+        fetchSchedules: async (_, __, { services, isAdmin, logger }) => {
+            try {
+                requireAdmin(isAdmin);
+
+                return await services.schedulerManager.getFetchSchedules();
+            } catch (error) {
+                logger.error(`Error fetching fetch schedules: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Cambia la programación de un alcance temporal
+         */
+        updateFetchSchedule: async (_, { timeScope, input }, { services, isAdmin, logger }) => {
+            try {
+                requireAdmin(isAdmin);
+
+                return await services.schedulerManager.updateFetchSchedule(timeScope, input);
+            } catch (error) {
+                logger.error(`Error updating fetch schedule: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = fetchScheduleResolvers;
@@ -0,0 +1,156 @@
+/**
+ * @file ingestionRunResolvers.js
+ * @description Resolvers de GraphQL para el registro de ejecuciones de ingesta
+ *
+ * Este archivo implementa los resolvers para consultar qué se cargó desde REE
+ * y cuándo.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const { isValidDataset, DATASETS } = require('../../../domain/constants/datasets');
+const { TIME_SCOPES } = require('../../../domain/constants/timeScopes');
+const {
+    INGESTION_TRIGGERS,
+    INGESTION_RUN_STATUSES,
+    isValidIngestionTrigger,
+    isValidIngestionRunStatus
+} = require('../../../domain/constants/ingestionRuns');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Número máximo de ejecuciones por página
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Valida el conjunto de datos recibido
+ *
+ * @param {string} [dataset] - Conjunto de datos
+ * @throws {UserInputError} - Si el conjunto de datos no está soportado
+ */
+const validateDataset = (dataset) => {
+    if (dataset && !isValidDataset(dataset)) {
+        throw new UserInputError(
+            `Invalid dataset: ${dataset}. Valid values: ${Object.values(DATASETS).join(', ')}`
+        );
+    }
+};
+
+/**
+ * Valida el alcance temporal recibido
+ *
+ * @param {string} [timeScope] - Alcance temporal
+ * @throws {UserInputError} - Si el alcance temporal no está soportado
+ */
+const validateTimeScope = (timeScope) => {
+    if (timeScope && !TIME_SCOPES.includes(timeScope)) {
+        throw new UserInputError(
+            `Invalid timeScope: ${timeScope}. Valid values: ${TIME_SCOPES.join(', ')}`
+        );
+    }
+};
+
+/**
+ * Valida los filtros de la consulta de ejecuciones
+ *
+ * @param {Object} filter - Filtros recibidos
+ * @returns {Object} - Criterios para el repositorio
+ * @throws {UserInputError} - Si algún filtro no es válido
+ */
+const buildCriteria = (filter) => {
+    const { dataset, trigger, status, timeScope, region, startedAfter, startedBefore } = filter;
+
+    validateDataset(dataset);
+    validateTimeScope(timeScope);
+
+    if (trigger && !isValidIngestionTrigger(trigger)) {
+        throw new UserInputError(
+            `Invalid trigger: ${trigger}. Valid values: ${Object.values(INGESTION_TRIGGERS).join(', ')}`
+        );
+    }
+
+    if (status && !isValidIngestionRunStatus(status)) {
+        throw new UserInputError(
+            `Invalid status: ${status}. Valid values: ${Object.values(INGESTION_RUN_STATUSES).join(', ')}`
+        );
+    }
+
+    if (startedAfter && startedBefore && new Date(startedAfter) > new Date(startedBefore)) {
+        throw new UserInputError('startedAfter must be before startedBefore');
+    }
+
+    return {
+        dataset,
+        trigger,
+        status,
+        timeScope,
+        region: region ? resolveRegion(region) : undefined,
+        startedAfter,
+        startedBefore
+    };
+};
+
+/**
+ * Resolvers para el registro de ejecuciones de ingesta
+ */
+const ingestionRunResolvers = {
+    Query: {
+        /**
+         * Lista las ejecuciones de ingesta con filtros y paginación
+         */
+        ingestionRuns: async (_, { filter = {}, pagination = {} }, { repositories, logger }) => {
+            try {
+                const criteria = buildCriteria(filter || {});
+                const page = Math.max((pagination && pagination.page) || 1, 1);
+                const pageSize = Math.min(Math.max((pagination && pagination.pageSize) || 20, 1), MAX_PAGE_SIZE);
+
+                const [items, totalCount] = await Promise.all([
+                    requireRepository(repositories, 'ingestionRunRepository').findByCriteria(criteria, {
+                        limit: pageSize,
+                        skip: (page - 1) * pageSize
+                    }),
+                    requireRepository(repositories, 'ingestionRunRepository').countByCriteria(criteria)
+                ]);
+
+                return {
+                    items,
+                    totalCount,
+                    page,
+                    pageSize,
+                    hasPreviousPage: page > 1,
+                    hasNextPage: page * pageSize < totalCount
+                };
+            } catch (error) {
+                logger.error(`Error fetching ingestion runs: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene la última ingesta correcta para un alcance temporal
+         */
+        lastSuccessfulIngestion: async (_, { timeScope, region, dataset }, { repositories, logger }) => {
+            try {
+                validateDataset(dataset);
+                validateTimeScope(timeScope);
+
+                return await requireRepository(repositories, 'ingestionRunRepository').findLastSuccessful(timeScope, {
+                    dataset: dataset || DATASETS.ELECTRIC_BALANCE,
+                    region: resolveRegion(region)
+                });
+            } catch (error) {
+                logger.error(`Error fetching last successful ingestion: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    IngestionRun: {
+        durationMs: (parent) => parent.getDurationMs()
+    }
+};
+
+module.exports = ingestionRunResolvers;
@@ -0,0 +1,82 @@
+/**
+ * @file installedCapacityResolvers.js
+ * @description Resolvers de GraphQL para la potencia instalada
+ *
+ * Este archivo implementa los resolvers para las queries y mutaciones
+ * relacionadas con la potencia instalada por tecnología.
+ */
+
+const FetchInstalledCapacity = require('../../../application/use-cases/FetchInstalledCapacity');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Resolvers para la potencia instalada
+ */
+const installedCapacityResolvers = {
+    InstalledCapacity: {
+        totalCapacity: (parent) => (
+            typeof parent.getTotalCapacity === 'function' ? parent.getTotalCapacity() : parent.totalCapacity
+        )
+    },
+
+    Query: {
+        /**
+         * Obtiene la potencia instalada para un rango de fechas
+         */
+        installedCapacity: async (_, { dateRange, region }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'installedCapacityRepository').findByDateRange(
+                    dateRange.startDate,
+                    dateRange.endDate,
+                    dateRange.timeScope || 'month',
+                    { region: resolveRegion(region) }
+                );
+            } catch (error) {
+                logger.error(`Error fetching installed capacity: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Refresca la potencia instalada desde la API de REE
+         */
+        refreshInstalledCapacity: async (_, { dateRange, forceUpdate, region }, { services, repositories, logger }) => {
+            try {
+                const fetchInstalledCapacityUseCase = new FetchInstalledCapacity(
+                    services.reeApiService,
+                    requireRepository(repositories, 'installedCapacityRepository'),
+                    logger
+                );
+
+                const result = await fetchInstalledCapacityUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    timeScope: dateRange.timeScope || 'month',
+                    region: resolveRegion(region),
+                    forceUpdate
+                });
+
+                return {
+                    success: true,
+                    message: result.message,
+                    savedCount: result.savedCount,
+                    timeScope: result.timeScope,
+                    region: result.region,
+                    startDate: result.startDate,
+                    endDate: result.endDate,
+                    status: result.status,
+                    failedChunks: result.failedChunks || []
+                };
+            } catch (error) {
+                logger.error(`Error refreshing installed capacity: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = installedCapacityResolvers;
@@ -0,0 +1,203 @@
+/**
+ * @file internationalExchangeResolvers.js
+ * @description Resolvers de GraphQL para los intercambios internacionales
+ *
+ * Este archivo implementa los resolvers para las queries y mutaciones
+ * relacionadas con los intercambios por frontera, incluida la cobertura
+ * de la demanda con importaciones.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const FetchInternationalExchanges = require('../../../application/use-cases/FetchInternationalExchanges');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const { BORDERS, isValidBorder } = require('../../../domain/constants/borders');
+const { DEFAULT_REGION } = require('../../../domain/constants/regions');
+
+/**
+ * Valida una frontera recibida
+ *
+ * @param {string} border - Frontera
+ * @returns {string} - Frontera validada
+ * @throws {UserInputError} - Si la frontera no está soportada
+ */
+const resolveBorder = (border) => {
+    if (!isValidBorder(border)) {
+        throw new UserInputError(
+            `Invalid border: ${border}. Allowed values: ${BORDERS.join(', ')}`
+        );
+    }
+
+    return border;
+};
+
+/**
+ * Calcula el porcentaje de la demanda cubierto con importaciones
+ *
+ * @param {number|null} imports - Importaciones
+ * @param {number|null} demand - Demanda
+ * @returns {number|null} - Porcentaje o null si no se puede calcular
+ */
+const calculateCoverage = (imports, demand) => {
+    if (imports === null || demand === null || demand === 0) {
+        return null;
+    }
+
+    return (imports / demand) * 100;
+};
+
+/**
+ * Resolvers para los intercambios internacionales
+ */
+const internationalExchangeResolvers = {
+    InternationalExchange: {
+        totalImports: (parent) => (
+            typeof parent.getTotalImports === 'function' ? parent.getTotalImports() : parent.totalImports
+        ),
+        totalExports: (parent) => (
+            typeof parent.getTotalExports === 'function' ? parent.getTotalExports() : parent.totalExports
+        ),
+        netPosition: (parent) => (
+            typeof parent.getNetPosition === 'function' ? parent.getNetPosition() : parent.netPosition
+        )
+    },
+
+    Query: {
+        /**
+         * Obtiene los intercambios por frontera para un rango de fechas
+         */
+        internationalExchanges: async (_, { dateRange }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'internationalExchangeRepository').findByDateRange(
+                    dateRange.startDate,
+                    dateRange.endDate,
+                    dateRange.timeScope || 'day'
+                );
+            } catch (error) {
+                logger.error(`Error fetching international exchanges: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene el saldo acumulado de cada frontera
+         */
+        borderNetPositions: async (_, { dateRange, border }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'internationalExchangeRepository').getNetPositionsByBorder(
+                    dateRange.startDate,
+                    dateRange.endDate,
+                    dateRange.timeScope || 'day',
+                    border ? resolveBorder(border) : null
+                );
+            } catch (error) {
+                logger.error(`Error fetching border net positions: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene la cobertura de la demanda nacional con importaciones
+         */
+        importDemandCoverage: async (_, { dateRange }, { repositories, logger }) => {
+            try {
+                const timeScope = dateRange.timeScope || 'day';
+
+                const [exchanges, demandSeries] = await Promise.all([
+                    requireRepository(repositories, 'internationalExchangeRepository').findByDateRange(
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope
+                    ),
+                    repositories.electricBalanceRepository.getTimeSeriesForIndicator(
+                        'totalDemand',
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope,
+                        DEFAULT_REGION
+                    )
+                ]);
+
+                const points = new Map();
+
+                exchanges.forEach(exchange => {
+                    const time = exchange.timestamp.getTime();
+                    points.set(time, { timestamp: exchange.timestamp, imports: exchange.getTotalImports(), demand: null });
+                });
+
+                demandSeries.forEach(point => {
+                    const time = new Date(point.timestamp).getTime();
+                    const existing = points.get(time) || { timestamp: point.timestamp, imports: null };
+                    points.set(time, { ...existing, demand: Math.abs(point.value) });
+                });
+
+                let imports = 0;
+                let demand = 0;
+
+                const series = [...points.keys()]
+                    .sort((a, b) => a - b)
+                    .map(time => {
+                        const point = points.get(time);
+
+                        // Solo se acumulan los instantes con ambos datos para no sesgar el porcentaje
+                        if (point.imports !== null && point.demand !== null) {
+                            imports += point.imports;
+                            demand += point.demand;
+                        }
+
+                        return { ...point, coverage: calculateCoverage(point.imports, point.demand) };
+                    });
+
+                return {
+                    imports,
+                    demand,
+                    coverage: calculateCoverage(imports, demand),
+                    points: series
+                };
+            } catch (error) {
+                logger.error(`Error calculating import demand coverage: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Refresca los intercambios por frontera desde la API de REE
+         */
+        refreshInternationalExchanges: async (_, { dateRange, forceUpdate, borders }, { services, repositories, logger }) => {
+            try {
+                const fetchInternationalExchangesUseCase = new FetchInternationalExchanges(
+                    services.reeApiService,
+                    requireRepository(repositories, 'internationalExchangeRepository'),
+                    logger
+                );
+
+                const result = await fetchInternationalExchangesUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    timeScope: dateRange.timeScope || 'day',
+                    borders: borders && borders.length > 0 ? borders.map(resolveBorder) : BORDERS,
+                    forceUpdate
+                });
+
+                return {
+                    success: true,
+                    message: result.message,
+                    savedCount: result.savedCount,
+                    timeScope: result.timeScope,
+                    startDate: result.startDate,
+                    endDate: result.endDate,
+                    status: result.status,
+                    failedBorders: result.failedBorders
+                };
+            } catch (error) {
+                logger.error(`Error refreshing international exchanges: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = internationalExchangeResolvers;
@@ -0,0 +1,95 @@
+/**
+ * @file mapErrorToGraphQLError.js
+ * @description Conversión de errores de aplicación a errores de Apollo GraphQL
+ *
+ * Compartido por todos los resolvers para que los clientes reciban los mismos
+ * códigos de error independientemente de la query.
+ */
+
+const { UserInputError, ForbiddenError, ApolloError } = require('apollo-server-express');
+
+const {
+    ValidationError,
+    ApiRequestError,
+    ApiResponseError,
+    RepositoryError,
+    NotFoundError,
+    NotAuthorizedError,
+    ConfigurationError,
+    CircuitBreakerOpenError
+} = require('../../../application/errors/ApplicationErrors');
+
+/**
+ * Mapeo de errores de aplicación a errores de Apollo GraphQL
+ *
+ * @param {Error} error - Error original
+ * @returns {Error} - Error apropiado para GraphQL
+ */
+const mapErrorToGraphQLError = (error) => {
+    if (error instanceof UserInputError) {
+        return error;
+    }
+
+    if (error instanceof ValidationError) {
+        return new UserInputError(error.message, {
+            validationErrors: error.validationErrors
+        });
+    }
+
+    if (error instanceof NotAuthorizedError) {
+        return new ForbiddenError(error.message);
+    }
+
+    const circuitError = error instanceof CircuitBreakerOpenError ? error : error.originalError;
+
+    if (circuitError instanceof CircuitBreakerOpenError) {
+        return new ApolloError(
+            error.message,
+            'EXTERNAL_API_UNAVAILABLE',
+            {
+                retryAfterMs: circuitError.retryAfterMs,
+                originalError: circuitError.toJSON()
+            }
+        );
+    }
+
+    if (error instanceof ApiRequestError || error instanceof ApiResponseError) {
+        return new ApolloError(
+            error.message,
+            'EXTERNAL_API_ERROR',
+            { originalError: error.toJSON() }
+        );
+    }
+
+    if (error instanceof RepositoryError) {
+        return new ApolloError(
+            error.message,
+            'DATABASE_ERROR',
+            { originalError: error.toJSON() }
+        );
+    }
+
+    if (error instanceof NotFoundError) {
+        return new ApolloError(
+            error.message,
+            'NOT_FOUND',
+            { originalError: error.toJSON() }
+        );
+    }
+
+    if (error instanceof ConfigurationError) {
+        return new ApolloError(
+            error.message,
+            'CONFIGURATION_ERROR',
+            { originalError: error.toJSON() }
+        );
+    }
+
+    return new ApolloError(
+        error.message,
+        'INTERNAL_SERVER_ERROR',
+        { stack: error.stack }
+    );
+};
+
+module.exports = mapErrorToGraphQLError;
@@ -0,0 +1,184 @@
+/**
+ * @file marketPriceResolvers.js
+ * @description Resolvers de GraphQL para los precios de mercado
+ *
+ * Este archivo implementa los resolvers para las queries y mutaciones
+ * relacionadas con los precios PVPC y spot, incluida la serie combinada
+ * con los indicadores del balance eléctrico.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const FetchMarketPrices = require('../../../application/use-cases/FetchMarketPrices');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const { PRICE_INDICATORS, isValidPriceIndicator } = require('../../../domain/constants/marketPrices');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Valida el indicador de precio recibido
+ *
+ * @param {string} indicator - Indicador de precio
+ * @returns {string} - Indicador validado
+ * @throws {UserInputError} - Si el indicador no está soportado
+ */
+const resolvePriceIndicator = (indicator) => {
+    if (!isValidPriceIndicator(indicator)) {
+        throw new UserInputError(
+            `Invalid price indicator: ${indicator}. Allowed values: ${PRICE_INDICATORS.join(', ')}`
+        );
+    }
+
+    return indicator;
+};
+
+/**
+ * Resolvers para los precios de mercado
+ */
+const marketPriceResolvers = {
+    MarketPrice: {
+        spread: (parent) => (typeof parent.getSpread === 'function' ? parent.getSpread() : parent.spread)
+    },
+
+    Query: {
+        /**
+         * Obtiene los precios de mercado para un rango de fechas
+         */
+        marketPrices: async (_, { dateRange }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'marketPriceRepository').findByDateRange(
+                    dateRange.startDate,
+                    dateRange.endDate,
+                    dateRange.timeScope || 'hour'
+                );
+            } catch (error) {
+                logger.error(`Error fetching market prices: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene los precios de mercado más recientes
+         */
+        latestMarketPrice: async (_, { timeScope }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'marketPriceRepository').findMostRecent(timeScope || 'hour');
+            } catch (error) {
+                logger.error(`Error fetching latest market price: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene la serie temporal de un precio
+         */
+        marketPriceTimeSeries: async (_, { dateRange, indicator }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'marketPriceRepository').getTimeSeriesForIndicator(
+                    resolvePriceIndicator(indicator),
+                    dateRange.startDate,
+                    dateRange.endDate,
+                    dateRange.timeScope || 'hour'
+                );
+            } catch (error) {
+                logger.error(`Error fetching market price time series: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Combina un indicador del balance y un precio alineados por timestamp
+         */
+        balancePriceTimeSeries: async (_, { dateRange, indicator, priceIndicator, region }, { repositories, logger }) => {
+            try {
+                const selectedRegion = resolveRegion(region);
+
+                const allowedIndicators = [
+                    'totalGeneration', 'totalDemand', 'balance', 'renewablePercentage'
+                ];
+
+                if (!allowedIndicators.includes(indicator)) {
+                    throw new UserInputError(
+                        `Invalid indicator: ${indicator}. Allowed values: ${allowedIndicators.join(', ')}`
+                    );
+                }
+
+                const timeScope = dateRange.timeScope || 'hour';
+
+                const [balanceSeries, priceSeries] = await Promise.all([
+                    repositories.electricBalanceRepository.getTimeSeriesForIndicator(
+                        indicator,
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope,
+                        selectedRegion
+                    ),
+                    requireRepository(repositories, 'marketPriceRepository').getTimeSeriesForIndicator(
+                        resolvePriceIndicator(priceIndicator),
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        timeScope
+                    )
+                ]);
+
+                const points = new Map();
+
+                balanceSeries.forEach(point => {
+                    const time = new Date(point.timestamp).getTime();
+                    points.set(time, { timestamp: point.timestamp, value: point.value, price: null });
+                });
+
+                priceSeries.forEach(point => {
+                    const time = new Date(point.timestamp).getTime();
+                    const existing = points.get(time) || { timestamp: point.timestamp, value: null };
+                    points.set(time, { ...existing, price: point.value });
+                });
+
+                return [...points.keys()]
+                    .sort((a, b) => a - b)
+                    .map(time => points.get(time));
+            } catch (error) {
+                logger.error(`Error fetching balance and price time series: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Refresca los precios de mercado desde la API de REE
+         */
+        refreshMarketPrices: async (_, { dateRange, forceUpdate }, { services, repositories, logger }) => {
+            try {
+                const fetchMarketPricesUseCase = new FetchMarketPrices(
+                    services.reeApiService,
+                    requireRepository(repositories, 'marketPriceRepository'),
+                    logger
+                );
+
+                const result = await fetchMarketPricesUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    timeScope: dateRange.timeScope || 'hour',
+                    forceUpdate
+                });
+
+                return {
+                    success: true,
+                    message: result.message,
+                    savedCount: result.savedCount,
+                    timeScope: result.timeScope,
+                    startDate: result.startDate,
+                    endDate: result.endDate,
+                    status: result.status,
+                    failedChunks: result.failedChunks || []
+                };
+            } catch (error) {
+                logger.error(`Error refreshing market prices: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = marketPriceResolvers;
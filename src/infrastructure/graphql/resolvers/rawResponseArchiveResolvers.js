@@ -0,0 +1,75 @@
+/**
+ * @file rawResponseArchiveResolvers.js
+ * @description Resolvers de GraphQL para el archivo de respuestas de REE
+ *
+ * Este archivo implementa los resolvers para listar las respuestas archivadas
+ * y reconstruir los balances eléctricos a partir de ellas.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const ReplayArchivedResponses = require('../../../application/use-cases/ReplayArchivedResponses');
+const { isValidDataset, DATASETS } = require('../../../domain/constants/datasets');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+
+/**
+ * Número máximo de respuestas archivadas por consulta
+ */
+const MAX_LIMIT = 500;
+
+/**
+ * Resolvers para el archivo de respuestas de REE
+ */
+const rawResponseArchiveResolvers = {
+    Query: {
+        /**
+         * Lista las respuestas archivadas sin su payload
+         */
+        archivedResponses: async (_, { dataset, region, timeScope, fetchedFrom, fetchedTo, limit }, { repositories, logger }) => {
+            try {
+                if (dataset && !isValidDataset(dataset)) {
+                    throw new UserInputError(
+                        `Invalid dataset: ${dataset}. Valid values: ${Object.values(DATASETS).join(', ')}`
+                    );
+                }
+
+                return await requireRepository(repositories, 'rawREEResponseRepository').findByCriteria(
+                    { dataset, region, timeScope, fetchedFrom, fetchedTo },
+                    { limit: Math.min(Math.max(limit || 50, 1), MAX_LIMIT) }
+                );
+            } catch (error) {
+                logger.error(`Error fetching archived responses: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Reconstruye los balances eléctricos a partir de las respuestas archivadas
+         */
+        replayArchivedResponses: async (_, { input }, { repositories, logger }) => {
+            try {
+                const replayUseCase = new ReplayArchivedResponses(
+                    requireRepository(repositories, 'rawREEResponseRepository'),
+                    repositories.electricBalanceRepository,
+                    logger,
+                    repositories.quarantineRepository
+                );
+
+                const result = await replayUseCase.execute(input || {});
+
+                return {
+                    success: true,
+                    ...result
+                };
+            } catch (error) {
+                logger.error(`Error replaying archived responses: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = rawResponseArchiveResolvers;
@@ -0,0 +1,106 @@
+/**
+ * @file realTimeDemandResolvers.js
+ * @description Resolvers de GraphQL para la demanda en tiempo real
+ *
+ * Este archivo implementa los resolvers para las queries y mutaciones
+ * relacionadas con la demanda real, prevista y programada.
+ */
+
+const FetchRealTimeDemand = require('../../../application/use-cases/FetchRealTimeDemand');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Resolvers para la demanda en tiempo real
+ */
+const realTimeDemandResolvers = {
+    RealTimeDemand: {
+        forecastError: (parent) => (
+            typeof parent.getForecastError === 'function' ? parent.getForecastError() : parent.forecastError
+        ),
+        forecastErrorPercentage: (parent) => (
+            typeof parent.getForecastErrorPercentage === 'function'
+                ? parent.getForecastErrorPercentage()
+                : parent.forecastErrorPercentage
+        )
+    },
+
+    Query: {
+        /**
+         * Obtiene la demanda real frente a la prevista para un rango de fechas
+         */
+        realTimeDemand: async (_, { dateRange, region }, { repositories, logger }) => {
+            try {
+                const selectedRegion = resolveRegion(region);
+
+                const [items, stats] = await Promise.all([
+                    requireRepository(repositories, 'realTimeDemandRepository').findByDateRange(
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        { region: selectedRegion }
+                    ),
+                    requireRepository(repositories, 'realTimeDemandRepository').getForecastErrorStats(
+                        dateRange.startDate,
+                        dateRange.endDate,
+                        selectedRegion
+                    )
+                ]);
+
+                return { items, stats };
+            } catch (error) {
+                logger.error(`Error fetching real-time demand: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        },
+
+        /**
+         * Obtiene el último registro con demanda real publicada
+         */
+        latestRealTimeDemand: async (_, { region }, { repositories, logger }) => {
+            try {
+                return await requireRepository(repositories, 'realTimeDemandRepository').findMostRecent(resolveRegion(region));
+            } catch (error) {
+                logger.error(`Error fetching latest real-time demand: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    },
+
+    Mutation: {
+        /**
+         * Refresca la demanda en tiempo real desde la API de REE
+         */
+        refreshRealTimeDemand: async (_, { dateRange, region }, { services, repositories, logger }) => {
+            try {
+                const fetchRealTimeDemandUseCase = new FetchRealTimeDemand(
+                    services.reeApiService,
+                    requireRepository(repositories, 'realTimeDemandRepository'),
+                    logger
+                );
+
+                const result = await fetchRealTimeDemandUseCase.execute({
+                    startDate: dateRange.startDate,
+                    endDate: dateRange.endDate,
+                    region: resolveRegion(region)
+                });
+
+                return {
+                    success: true,
+                    message: result.message,
+                    savedCount: result.savedCount,
+                    region: result.region,
+                    startDate: result.startDate,
+                    endDate: result.endDate,
+                    status: result.status,
+                    failedChunks: result.failedChunks || []
+                };
+            } catch (error) {
+                logger.error(`Error refreshing real-time demand: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = realTimeDemandResolvers;
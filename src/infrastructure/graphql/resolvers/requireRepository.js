@@ -0,0 +1,31 @@
+/**
+ * @file requireRepository.js
+ * @description Comprobación de los repositorios que usan las queries GraphQL
+ *
+ * Los repositorios que solo existen en MongoDB no se crean cuando los balances
+ * se guardan en memoria o en SQLite, y sus queries responden con un error de
+ * configuración en lugar de fallar al usarlos.
+ */
+
+const { ConfigurationError } = require('../../../application/errors/ApplicationErrors');
+
+/**
+ * Obtiene un repositorio del contexto de GraphQL
+ *
+ * @param {Object} repositories - Repositorios del contexto
+ * @param {string} name - Nombre del repositorio
+ * @returns {Object} - Repositorio
+ * @throws {ConfigurationError} - Si el almacenamiento configurado no lo incluye
+ */
+const requireRepository = (repositories, name) => {
+    if (!repositories[name]) {
+        throw new ConfigurationError(
+            `${name} is only available when electric balances are stored in MongoDB`,
+            { configKey: 'ELECTRIC_BALANCE_STORAGE' }
+        );
+    }
+
+    return repositories[name];
+};
+
+module.exports = requireRepository;
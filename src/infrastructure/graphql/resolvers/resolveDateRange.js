@@ -0,0 +1,59 @@
+/**
+ * @file resolveDateRange.js
+ * @description Ajuste del argumento `dateRange` de las queries GraphQL a los períodos de una zona horaria
+ *
+ * Los balances se guardan en UTC con el inicio de su período en hora de Madrid,
+ * así que un día de cambio de hora dura 23 o 25 horas. El rango pedido se amplía
+ * a períodos completos en la zona indicada para que cada día, mes o año incluya
+ * exactamente sus registros.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const { MADRID_TIME_ZONE } = require('../../../utils/madridTime');
+const { isValidTimeZone, alignRangeToZonedPeriods } = require('../../../utils/zonedTime');
+const { toZonedDateTime } = require('./dateTimeInput');
+
+/**
+ * Granularidades cuyos límites se ajustan a la zona horaria
+ */
+const ALIGNED_TIME_SCOPES = ['10min', 'hour', 'day', 'month', 'year'];
+
+/**
+ * Valida la zona horaria y ajusta el rango a sus límites de período
+ *
+ * Las fechas recibidas sin desfase se interpretan en la zona indicada antes de
+ * ajustarlas, así `2024-03-31` es ese día en la zona y no en la del servidor.
+ *
+ * @param {Object} dateRange - Rango recibido { startDate, endDate, timeScope }
+ * @param {string} [timeZone] - Zona horaria IANA (Europe/Madrid si no se indica)
+ * @returns {Object} - { startDate, endDate, timeScope, timeZone }
+ * @throws {UserInputError} - Si la zona horaria o las fechas no son válidas
+ */
+const resolveDateRange = (dateRange, timeZone) => {
+    const zone = timeZone || MADRID_TIME_ZONE;
+    const timeScope = dateRange.timeScope || 'day';
+
+    if (!isValidTimeZone(zone)) {
+        throw new UserInputError(`Invalid time zone: ${zone}. Use an IANA name such as ${MADRID_TIME_ZONE}`);
+    }
+
+    const startDate = toZonedDateTime(dateRange.startDate, zone);
+    const endDate = toZonedDateTime(dateRange.endDate, zone);
+
+    if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+        throw new UserInputError('Invalid date range: startDate and endDate must be valid dates');
+    }
+
+    if (!ALIGNED_TIME_SCOPES.includes(timeScope)) {
+        return { startDate, endDate, timeScope, timeZone: zone };
+    }
+
+    return {
+        ...alignRangeToZonedPeriods(startDate, endDate, timeScope, zone),
+        timeScope,
+        timeZone: zone
+    };
+};
+
+module.exports = resolveDateRange;
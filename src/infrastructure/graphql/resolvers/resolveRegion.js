@@ -0,0 +1,29 @@
+/**
+ * @file resolveRegion.js
+ * @description Validación del argumento `region` de las queries GraphQL
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const { DEFAULT_REGION, REGIONS, isValidRegion } = require('../../../domain/constants/regions');
+
+/**
+ * Valida el argumento de región de una query
+ *
+ * @param {string} [region] - Región recibida
+ * @returns {string} - Región validada (nacional si no se indica)
+ * @throws {UserInputError} - Si la región no está soportada
+ */
+const resolveRegion = (region) => {
+    const value = region || DEFAULT_REGION;
+
+    if (!isValidRegion(value)) {
+        throw new UserInputError(
+            `Invalid region: ${value}. Allowed values: ${REGIONS.join(', ')}`
+        );
+    }
+
+    return value;
+};
+
+module.exports = resolveRegion;
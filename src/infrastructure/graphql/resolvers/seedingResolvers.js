@@ -0,0 +1,42 @@
+/**
+ * @file seedingResolvers.js
+ * @description Resolvers de GraphQL para el avance de las cargas de histórico
+ *
+ * Este archivo implementa los resolvers para consultar cuánto falta para
+ * terminar cada carga de histórico.
+ */
+
+const GetSeedingProgress = require('../../../application/use-cases/GetSeedingProgress');
+const mapErrorToGraphQLError = require('./mapErrorToGraphQLError');
+const requireRepository = require('./requireRepository');
+const resolveRegion = require('./resolveRegion');
+
+/**
+ * Resolvers para el avance de las cargas de histórico
+ */
+const seedingResolvers = {
+    Query: {
+        /**
+         * Lista el avance de las cargas con filtros opcionales
+         */
+        seedingProgress: async (_, { timeScope, region, status }, { repositories, logger }) => {
+            try {
+                const getSeedingProgressUseCase = new GetSeedingProgress(
+                    requireRepository(repositories, 'seedCheckpointRepository'),
+                    logger
+                );
+
+                return await getSeedingProgressUseCase.execute({
+                    timeScope,
+                    region: region ? resolveRegion(region) : undefined,
+                    status
+                });
+            } catch (error) {
+                logger.error(`Error fetching seeding progress: ${error.message}`, error);
+                throw mapErrorToGraphQLError(error);
+            }
+        }
+    }
+};
+
+module.exports = seedingResolvers;
@@ -0,0 +1,37 @@
+/**
+ * @file technologyResolvers.js
+ * @description Resolvers de GraphQL para el catálogo de tecnologías
+ *
+ * Este archivo implementa el resolver que expone el catálogo de tecnologías
+ * del dominio.
+ */
+
+const { UserInputError } = require('apollo-server-express');
+
+const { TECHNOLOGIES, TECHNOLOGY_CATEGORIES } = require('../../../domain/constants/technologies');
+
+/**
+ * Resolvers para el catálogo de tecnologías
+ */
+const technologyResolvers = {
+    Query: {
+        /**
+         * Lista las tecnologías del catálogo aplicando los filtros recibidos
+         */
+        technologies: (_, { category, renewable, includeAggregates }) => {
+            if (category && !TECHNOLOGY_CATEGORIES.includes(category)) {
+                throw new UserInputError(
+                    `Invalid category: ${category}. Valid values: ${TECHNOLOGY_CATEGORIES.join(', ')}`
+                );
+            }
+
+            return TECHNOLOGIES.filter(technology =>
+                (!category || technology.category === category) &&
+                (renewable === undefined || renewable === null || technology.renewable === renewable) &&
+                (includeAggregates || !technology.aggregate)
+            );
+        }
+    }
+};
+
+module.exports = technologyResolvers;
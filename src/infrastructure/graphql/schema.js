@@ -12,9 +12,31 @@ const { merge } = require('lodash');
 
 // Importar esquemas específicos
 const electricBalanceSchema = require('./schema/electricBalance');
+const marketPriceSchema = require('./schema/marketPrice');
+const co2EmissionSchema = require('./schema/co2Emission');
+const internationalExchangeSchema = require('./schema/internationalExchange');
+const installedCapacitySchema = require('./schema/installedCapacity');
+const realTimeDemandSchema = require('./schema/realTimeDemand');
+const rawResponseArchiveSchema = require('./schema/rawResponseArchive');
+const technologySchema = require('./schema/technology');
+const dataQualitySchema = require('./schema/dataQuality');
+const ingestionRunSchema = require('./schema/ingestionRun');
+const fetchScheduleSchema = require('./schema/fetchSchedule');
+const seedingSchema = require('./schema/seeding');
 
 // Importar resolvers específicos
 const electricBalanceResolvers = require('./resolvers/electricBalanceResolvers');
+const marketPriceResolvers = require('./resolvers/marketPriceResolvers');
+const co2EmissionResolvers = require('./resolvers/co2EmissionResolvers');
+const internationalExchangeResolvers = require('./resolvers/internationalExchangeResolvers');
+const installedCapacityResolvers = require('./resolvers/installedCapacityResolvers');
+const realTimeDemandResolvers = require('./resolvers/realTimeDemandResolvers');
+const rawResponseArchiveResolvers = require('./resolvers/rawResponseArchiveResolvers');
+const technologyResolvers = require('./resolvers/technologyResolvers');
+const dataQualityResolvers = require('./resolvers/dataQualityResolvers');
+const ingestionRunResolvers = require('./resolvers/ingestionRunResolvers');
+const fetchScheduleResolvers = require('./resolvers/fetchScheduleResolvers');
+const seedingResolvers = require('./resolvers/seedingResolvers');
 
 // Definir tipos base y directives
 const baseTypeDefs = gql`
@@ -33,7 +55,7 @@ const baseTypeDefs = gql`
     ) on FIELD_DEFINITION
 
     """
-    Scalar para fechas ISO 8601
+    Scalar para fechas ISO 8601; sin desfase se interpretan en hora de Madrid
     """
     scalar DateTime
 
@@ -58,6 +80,24 @@ const baseTypeDefs = gql`
         lastUpdated: DateTime!
     }
 
+    """
+    Estado del circuit breaker que protege las llamadas a la API de REE
+    """
+    type CircuitBreakerStatus {
+        """Estado del circuito (closed, open, half_open)"""
+        state: String!
+        """Fallos consecutivos de red o 5xx registrados"""
+        failureCount: Int!
+        """Fallos consecutivos que abren el circuito"""
+        failureThreshold: Int!
+        """Momento en que se abrió el circuito"""
+        openedAt: DateTime
+        """Momento a partir del cual se admite una petición de prueba"""
+        nextAttemptAt: DateTime
+        """Último error que contó como fallo"""
+        lastError: String
+    }
+
     """
     Tipo para información sobre el estado del servidor
     """
@@ -66,10 +106,12 @@ const baseTypeDefs = gql`
         status: String!
         """Tiempo de actividad en segundos"""
         uptime: Float!
-        """Estado de la conexión a la base de datos"""
+        """Estado de la conexión a MongoDB ("not used" si los balances no se guardan en MongoDB)"""
         dbStatus: String!
         """Estado de la API de REE"""
         reeApiStatus: String!
+        """Circuit breaker de las llamadas a REE"""
+        reeApiCircuitBreaker: CircuitBreakerStatus!
         """Fecha y hora actual del servidor"""
         serverTime: DateTime!
         """Información sobre la versión"""
@@ -109,13 +151,19 @@ const baseResolvers = {
         serverStatus: async (_, __, { dataSources, services }) => {
             const reeApiStatus = await services.reeApiService.checkApiStatus();
 
-            const dbStatus = await services.mongoConnection.healthCheck();
+            // Sin MongoDB los balances están en memoria o en SQLite, dentro del propio proceso
+            const dbStatus = services.mongoConnection
+                ? await services.mongoConnection.healthCheck()
+                : { status: 'not used' };
+
+            const { circuitBreaker } = services.reeApiService.getResilienceStatus();
 
             return {
                 status: 'operational',
                 uptime: process.uptime(),
                 dbStatus: dbStatus.status,
                 reeApiStatus: reeApiStatus.status,
+                reeApiCircuitBreaker: circuitBreaker,
                 serverTime: new Date(),
                 version: process.env.APP_VERSION || '1.0.0'
             };
@@ -129,12 +177,34 @@ const baseResolvers = {
 
 const typeDefs = [
     baseTypeDefs,
-    electricBalanceSchema
+    electricBalanceSchema,
+    marketPriceSchema,
+    co2EmissionSchema,
+    internationalExchangeSchema,
+    installedCapacitySchema,
+    realTimeDemandSchema,
+    rawResponseArchiveSchema,
+    technologySchema,
+    dataQualitySchema,
+    ingestionRunSchema,
+    fetchScheduleSchema,
+    seedingSchema
 ];
 
 const resolvers = merge(
     baseResolvers,
-    electricBalanceResolvers
+    electricBalanceResolvers,
+    marketPriceResolvers,
+    co2EmissionResolvers,
+    internationalExchangeResolvers,
+    installedCapacityResolvers,
+    realTimeDemandResolvers,
+    rawResponseArchiveResolvers,
+    technologyResolvers,
+    dataQualityResolvers,
+    ingestionRunResolvers,
+    fetchScheduleResolvers,
+    seedingResolvers
 );
 
 const schema = makeExecutableSchema({
@@ -0,0 +1,84 @@
+/**
+ * @file co2Emission.js
+ * @description Definición del esquema GraphQL para las emisiones de CO2
+ *
+ * Este archivo contiene las definiciones de tipos y queries para las
+ * emisiones por tecnología publicadas por REE.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const co2EmissionSchema = gql`
+    """
+    Emisiones de una tecnología de generación
+    """
+    type EmissionItem {
+        """Tecnología de generación"""
+        type: String!
+        """Emisiones en tCO2 eq."""
+        value: Float!
+        """Porcentaje respecto al total de emisiones"""
+        percentage: Float
+        """Color para visualización (opcional)"""
+        color: String
+        """Unidad de medida"""
+        unit: String
+    }
+
+    """
+    Emisiones de CO2 de una fecha
+    """
+    type Co2Emission {
+        """ID único"""
+        id: ID!
+        """Fecha"""
+        timestamp: DateTime!
+        """Alcance temporal (day, month, year)"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Emisiones totales en tCO2 eq."""
+        totalEmissions: Float!
+        """Emisiones por tecnología"""
+        byTechnology: [EmissionItem!]!
+    }
+
+    """
+    Emisiones de CO2 de un período con su desglose
+    """
+    type Co2EmissionsSummary {
+        """Emisiones totales del período en tCO2 eq."""
+        totalEmissions: Float!
+        """Número de registros del período"""
+        count: Int!
+        """Emisiones agregadas por tecnología"""
+        byTechnology: [EmissionItem!]!
+        """Registros del período"""
+        items: [Co2Emission!]!
+    }
+
+    extend type Query {
+        """
+        Obtiene las emisiones de CO2 para un rango de fechas (day, month o year)
+        """
+        co2Emissions(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): Co2EmissionsSummary!
+    }
+
+    extend type Mutation {
+        """
+        Refresca las emisiones de CO2 para un rango de fechas
+        """
+        refreshCo2Emissions(
+            dateRange: DateRangeInput!,
+            forceUpdate: Boolean = false,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): JSONObject!
+    }
+`;
+
+module.exports = co2EmissionSchema;
@@ -0,0 +1,114 @@
+/**
+ * @file dataQuality.js
+ * @description Definición del esquema GraphQL para la calidad de los datos ingeridos
+ *
+ * Este archivo contiene las definiciones de tipos y queries para consultar los
+ * registros que no superaron la validación y se guardaron en cuarentena, y los
+ * huecos en los balances almacenados.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const dataQualitySchema = gql`
+    """
+    Registro que no superó la validación de la ingesta
+    """
+    type QuarantinedRecord {
+        """ID único"""
+        id: ID!
+        """Conjunto de datos (electricBalance, marketPrices, co2Emissions, installedCapacity, internationalExchanges, realTimeDemand)"""
+        dataset: String!
+        """Fecha y hora a la que corresponden los datos"""
+        timestamp: DateTime!
+        """Alcance temporal"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Registro tal como se construyó a partir de la respuesta de REE"""
+        record: JSONObject!
+        """Indicadores de calidad que motivaron la cuarentena"""
+        qualityFlags: [QualityFlag!]!
+        """Origen de los datos"""
+        source: String
+        """Momento en que se puso en cuarentena"""
+        quarantinedAt: DateTime!
+    }
+
+    """
+    Períodos consecutivos sin balance eléctrico almacenado
+    """
+    type DataGap {
+        """Inicio del primer período que falta"""
+        startDate: DateTime!
+        """Inicio del último período que falta"""
+        endDate: DateTime!
+        """Número de períodos que faltan"""
+        slotCount: Int!
+    }
+
+    """
+    Período con más de un balance eléctrico almacenado
+    """
+    type DuplicateSlot {
+        """Inicio del período"""
+        timestamp: DateTime!
+        """Número de balances almacenados para el período"""
+        count: Int!
+    }
+
+    """
+    Informe de cobertura de los balances eléctricos en un rango
+    """
+    type DataGapReport {
+        """Alcance temporal"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Fecha de inicio del rango analizado"""
+        startDate: DateTime!
+        """Fecha de fin del rango analizado"""
+        endDate: DateTime!
+        """Períodos que debería haber en el rango, en hora de Madrid"""
+        expectedCount: Int!
+        """Balances almacenados en el rango"""
+        existingCount: Int!
+        """Períodos sin ningún balance"""
+        missingCount: Int!
+        """Períodos con más de un balance"""
+        duplicateCount: Int!
+        """Indica si todos los períodos tienen al menos un balance"""
+        complete: Boolean!
+        """Huecos agrupados en períodos consecutivos"""
+        gaps: [DataGap!]!
+        """Períodos duplicados"""
+        duplicates: [DuplicateSlot!]!
+    }
+
+    extend type Query {
+        """
+        Lista los registros en cuarentena, del más reciente al más antiguo
+        """
+        quarantinedRecords(
+            dataset: String,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String,
+            timeScope: String,
+            startDate: DateTime,
+            endDate: DateTime,
+            """Código de indicador de calidad"""
+            code: String,
+            limit: Int = 50
+        ): [QuarantinedRecord!]!
+
+        """
+        Detecta los períodos sin balance eléctrico en un rango (hour, day, month, year)
+        """
+        dataGaps(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): DataGapReport!
+    }
+`;
+
+module.exports = dataQualitySchema;
@@ -26,6 +26,20 @@ const electricBalanceSchema = gql`
         unit: String
     }
 
+    """
+    Indicador de calidad asignado a un registro durante la ingesta
+    """
+    type QualityFlag {
+        """Código del indicador (SCHEMA_VIOLATION, MISSING_TECHNOLOGIES, PERCENTAGE_SUM...)"""
+        code: String!
+        """Severidad (warning, error)"""
+        severity: String!
+        """Descripción del problema"""
+        message: String
+        """Datos que permiten localizar el problema"""
+        details: JSONObject
+    }
+
     """
     Tipo que representa un balance eléctrico completo
     """
@@ -34,8 +48,12 @@ const electricBalanceSchema = gql`
         id: ID!
         """Fecha y hora a la que corresponden los datos"""
         timestamp: DateTime!
+        """Fecha y hora civil del registro en una zona horaria IANA, con su desfase (p. ej. 2024-03-31T03:00:00+02:00)"""
+        localTimestamp(timeZone: String = "Europe/Madrid"): String!
         """Alcance temporal (hour, day, month, year)"""
         timeScope: String!
+        """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+        region: String!
         """Datos de generación por tipo"""
         generation: [BalanceItem!]!
         """Datos de demanda"""
@@ -52,12 +70,36 @@ const electricBalanceSchema = gql`
         renewablePercentage: Float!
         """Metadatos adicionales"""
         metadata: JSONObject
+        """Indicadores de calidad asignados durante la ingesta"""
+        qualityFlags: [QualityFlag!]!
+        """Número de versión; aumenta cada vez que REE corrige los datos"""
+        version: Int!
+        """Momento desde el que esta versión es la vigente"""
+        validFrom: DateTime
         """Fecha de creación del registro"""
         createdAt: DateTime
         """Fecha de última actualización del registro"""
         updatedAt: DateTime
     }
 
+    """
+    Versión de un balance eléctrico
+    """
+    type ElectricBalanceRevision {
+        """Identificador del balance eléctrico"""
+        balanceId: ID!
+        """Número de versión"""
+        version: Int!
+        """Momento desde el que la versión fue la vigente"""
+        validFrom: DateTime!
+        """Momento en que una corrección posterior la sustituyó"""
+        supersededAt: DateTime
+        """Indica si es la versión vigente"""
+        current: Boolean!
+        """Datos del balance en esta versión"""
+        data: ElectricBalance!
+    }
+
     """
     Tipo para estadísticas de un indicador específico
     """
@@ -88,6 +130,8 @@ const electricBalanceSchema = gql`
         endDate: DateTime!
         """Alcance temporal (hour, day, month, year)"""
         timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
     }
 
     """
@@ -110,6 +154,10 @@ const electricBalanceSchema = gql`
         color: String
         """Número de registros"""
         count: Int!
+        """Potencia instalada media del período en MW (null si no hay datos)"""
+        installedCapacity: Float
+        """Factor de capacidad del período en porcentaje (null si no hay potencia instalada)"""
+        capacityFactor: Float
     }
 
     """
@@ -140,6 +188,8 @@ const electricBalanceSchema = gql`
         balanceSeries: [TimeSeriesPoint!]!
         """Tendencias detectadas"""
         trends: JSONObject
+        """Métricas de sostenibilidad, con emisiones emitidas y evitadas en tCO2 eq. (si se solicitan)"""
+        sustainability: JSONObject
         """Período analizado"""
         period: JSONObject!
     }
@@ -170,7 +220,7 @@ const electricBalanceSchema = gql`
         startDate: DateTime!
         """Fecha de fin"""
         endDate: DateTime!
-        """Alcance temporal (hour, day, month, year)"""
+        """Alcance temporal (10min, hour, day, month, year)"""
         timeScope: String = "day"
     }
 
@@ -240,31 +290,64 @@ const electricBalanceSchema = gql`
         """
         electricBalance(id: ID!): ElectricBalance
 
+        """
+        Obtiene todas las versiones de un balance eléctrico, de la más antigua a la vigente
+        """
+        electricBalanceRevisions(id: ID!): [ElectricBalanceRevision!]!
+
         """
         Obtiene balances eléctricos por rango de fechas
         """
         electricBalanceByDateRange(
             dateRange: DateRangeInput!,
             pagination: PaginationInput,
-            filters: ElectricBalanceFilterInput
+            filters: ElectricBalanceFilterInput,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Instante en el que se quieren ver los datos, antes de las correcciones posteriores de REE"""
+            asOf: DateTime,
+            """Zona horaria IANA en la que se ajustan los límites de los períodos del rango"""
+            timeZone: String = "Europe/Madrid"
         ): ElectricBalancePaginatedResult!
 
         """
         Obtiene estadísticas de balance eléctrico por rango de fechas
         """
-        electricBalanceStats(dateRange: DateRangeInput!): ElectricBalanceStats!
+        electricBalanceStats(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Instante en el que se quieren ver los datos, antes de las correcciones posteriores de REE"""
+            asOf: DateTime,
+            """Zona horaria IANA en la que se ajustan los límites de los períodos del rango"""
+            timeZone: String = "Europe/Madrid"
+        ): ElectricBalanceStats!
 
         """
         Obtiene distribución de generación por tipo para un rango de fechas
         """
-        generationDistribution(dateRange: DateRangeInput!): [GenerationDistribution!]!
+        generationDistribution(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Instante en el que se quieren ver los datos, antes de las correcciones posteriores de REE"""
+            asOf: DateTime,
+            """Zona horaria IANA en la que se ajustan los límites de los períodos del rango"""
+            timeZone: String = "Europe/Madrid"
+        ): [GenerationDistribution!]!
 
         """
         Obtiene series temporales para un indicador específico
         """
         electricBalanceTimeSeries(
             dateRange: DateRangeInput!,
-            indicator: String!
+            indicator: String!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Instante en el que se quieren ver los datos, antes de las correcciones posteriores de REE"""
+            asOf: DateTime,
+            """Zona horaria IANA en la que se ajustan los límites de los períodos del rango"""
+            timeZone: String = "Europe/Madrid"
         ): [TimeSeriesPoint!]!
 
         """
@@ -272,20 +355,29 @@ const electricBalanceSchema = gql`
         """
         electricBalanceAnalysis(
             dateRange: DateRangeInput!,
-            options: AnalysisOptionsInput
+            options: AnalysisOptionsInput,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Zona horaria IANA en la que se ajustan los límites de los períodos del rango"""
+            timeZone: String = "Europe/Madrid"
         ): ElectricBalanceAnalysis!
 
         """
         Compara dos períodos de balance eléctrico
         """
         compareElectricBalancePeriods(
-            periods: ComparePeriodInput!
+            periods: ComparePeriodInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
         ): JSONObject!
 
         """
         Obtiene el balance eléctrico más reciente
         """
-        latestElectricBalance: ElectricBalance
+        latestElectricBalance(
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): ElectricBalance
     }
 
     extend type Mutation {
@@ -294,7 +386,11 @@ const electricBalanceSchema = gql`
         """
         refreshElectricBalanceData(
             dateRange: DateRangeInput!,
-            forceUpdate: Boolean = false
+            forceUpdate: Boolean = false,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Fuente de los datos (ree, file)"""
+            source: String = "ree"
         ): JSONObject!
     }
 `;
@@ -0,0 +1,64 @@
+/**
+ * @file fetchSchedule.js
+ * @description Definición del esquema GraphQL para la programación de las obtenciones de balances
+ *
+ * Este archivo contiene las definiciones de tipos, queries y mutations para que
+ * los administradores consulten y cambien en tiempo de ejecución cuándo, de
+ * qué fuente y cuánto histórico se obtiene de cada alcance temporal.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const fetchScheduleSchema = gql`
+    """
+    Programación de la obtención de balances de un alcance temporal
+    """
+    type FetchSchedule {
+        """Alcance temporal (hour, day, month, year)"""
+        timeScope: String!
+        """Expresión cron de las obtenciones programadas"""
+        cron: String!
+        """Días de histórico que se cargan y se revisan en busca de huecos"""
+        historicalDays: Int!
+        """Indica si el alcance temporal se obtiene de forma programada"""
+        enabled: Boolean!
+        """Fuente de los balances (ree, file)"""
+        source: String!
+        """Última modificación en tiempo de ejecución; nulo si es la configuración por defecto"""
+        updatedAt: DateTime
+    }
+
+    """
+    Cambios en la programación de un alcance temporal
+    """
+    input FetchScheduleInput {
+        """Expresión cron de las obtenciones programadas"""
+        cron: String
+        """Días de histórico que se cargan y se revisan en busca de huecos"""
+        historicalDays: Int
+        """Activa o desactiva la obtención programada"""
+        enabled: Boolean
+        """Fuente de los balances (ree, file)"""
+        source: String
+    }
+
+    extend type Query {
+        """
+        Obtiene la programación vigente de cada alcance temporal (requiere administrador)
+        """
+        fetchSchedules: [FetchSchedule!]!
+    }
+
+    extend type Mutation {
+        """
+        Cambia la programación de un alcance temporal sin reiniciar el servidor (requiere administrador)
+        """
+        updateFetchSchedule(
+            """Alcance temporal (hour, day, month, year)"""
+            timeScope: String!,
+            input: FetchScheduleInput!
+        ): FetchSchedule!
+    }
+`;
+
+module.exports = fetchScheduleSchema;
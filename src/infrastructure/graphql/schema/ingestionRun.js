@@ -0,0 +1,112 @@
+/**
+ * @file ingestionRun.js
+ * @description Definición del esquema GraphQL para el registro de ejecuciones de ingesta
+ *
+ * Este archivo contiene las definiciones de tipos y queries para auditar qué
+ * datos se cargaron desde REE, cuándo y con qué resultado.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const ingestionRunSchema = gql`
+    """
+    Ejecución de una ingesta de datos de REE
+    """
+    type IngestionRun {
+        """ID único"""
+        id: ID!
+        """Conjunto de datos ingerido"""
+        dataset: String!
+        """Origen de la ejecución (scheduled, initial, retry, manual, backfill, api, seed)"""
+        trigger: String!
+        """Alcance temporal solicitado"""
+        timeScope: String!
+        """Ámbito geográfico solicitado"""
+        region: String!
+        """Fuente de los datos (ree, file)"""
+        source: String
+        """Inicio del rango solicitado"""
+        startDate: DateTime
+        """Fin del rango solicitado"""
+        endDate: DateTime
+        """Estado final (success, partial, skipped, failed)"""
+        status: String!
+        """Registros guardados"""
+        savedCount: Int!
+        """Registros que ya existían y no se guardaron"""
+        skippedCount: Int!
+        """Registros enviados a cuarentena"""
+        quarantinedCount: Int!
+        """Peticiones parciales a REE que fallaron"""
+        failedChunkCount: Int!
+        """Duración de la ejecución en milisegundos"""
+        durationMs: Float!
+        """Inicio de la ejecución"""
+        startedAt: DateTime!
+        """Fin de la ejecución"""
+        finishedAt: DateTime!
+        """Mensaje de error si la ejecución falló"""
+        error: String
+    }
+
+    """
+    Resultado paginado de ejecuciones de ingesta
+    """
+    type IngestionRunPaginatedResult {
+        """Lista de ejecuciones"""
+        items: [IngestionRun!]!
+        """Número total de ejecuciones"""
+        totalCount: Int!
+        """Página actual"""
+        page: Int!
+        """Ejecuciones por página"""
+        pageSize: Int!
+        """Indica si hay página anterior"""
+        hasPreviousPage: Boolean!
+        """Indica si hay página siguiente"""
+        hasNextPage: Boolean!
+    }
+
+    """
+    Input para filtrar ejecuciones de ingesta
+    """
+    input IngestionRunFilterInput {
+        """Conjunto de datos"""
+        dataset: String
+        """Origen de la ejecución (scheduled, initial, retry, manual, backfill, api, seed)"""
+        trigger: String
+        """Estado final (success, partial, skipped, failed)"""
+        status: String
+        """Alcance temporal"""
+        timeScope: String
+        """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+        region: String
+        """Ejecuciones iniciadas a partir de esta fecha"""
+        startedAfter: DateTime
+        """Ejecuciones iniciadas hasta esta fecha"""
+        startedBefore: DateTime
+    }
+
+    extend type Query {
+        """
+        Lista las ejecuciones de ingesta, de la más reciente a la más antigua
+        """
+        ingestionRuns(
+            filter: IngestionRunFilterInput,
+            pagination: PaginationInput
+        ): IngestionRunPaginatedResult!
+
+        """
+        Obtiene la última ingesta que terminó sin errores para un alcance temporal
+        """
+        lastSuccessfulIngestion(
+            timeScope: String!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national",
+            """Conjunto de datos (por defecto electricBalance)"""
+            dataset: String
+        ): IngestionRun
+    }
+`;
+
+module.exports = ingestionRunSchema;
@@ -0,0 +1,70 @@
+/**
+ * @file installedCapacity.js
+ * @description Definición del esquema GraphQL para la potencia instalada
+ *
+ * Este archivo contiene las definiciones de tipos y queries para la
+ * potencia instalada por tecnología publicada por REE.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const installedCapacitySchema = gql`
+    """
+    Potencia instalada de una tecnología de generación
+    """
+    type CapacityItem {
+        """Tecnología de generación"""
+        type: String!
+        """Potencia instalada en MW"""
+        value: Float!
+        """Porcentaje respecto a la potencia total"""
+        percentage: Float
+        """Color para visualización (opcional)"""
+        color: String
+        """Unidad de medida"""
+        unit: String
+    }
+
+    """
+    Potencia instalada de un mes o año
+    """
+    type InstalledCapacity {
+        """ID único"""
+        id: ID!
+        """Fecha"""
+        timestamp: DateTime!
+        """Alcance temporal (month, year)"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Potencia instalada total en MW"""
+        totalCapacity: Float!
+        """Potencia instalada por tecnología"""
+        byTechnology: [CapacityItem!]!
+    }
+
+    extend type Query {
+        """
+        Obtiene la potencia instalada por tecnología para un rango de fechas (month o year)
+        """
+        installedCapacity(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): [InstalledCapacity!]!
+    }
+
+    extend type Mutation {
+        """
+        Refresca la potencia instalada para un rango de fechas
+        """
+        refreshInstalledCapacity(
+            dateRange: DateRangeInput!,
+            forceUpdate: Boolean = false,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): JSONObject!
+    }
+`;
+
+module.exports = installedCapacitySchema;
@@ -0,0 +1,124 @@
+/**
+ * @file internationalExchange.js
+ * @description Definición del esquema GraphQL para los intercambios internacionales
+ *
+ * Este archivo contiene las definiciones de tipos y queries para los
+ * intercambios por frontera (Francia, Portugal, Marruecos y Andorra).
+ */
+
+const { gql } = require('apollo-server-express');
+
+const internationalExchangeSchema = gql`
+    """
+    Intercambios de una frontera. El saldo es importación menos exportación.
+    """
+    type BorderExchange {
+        """Frontera (francia, portugal, marruecos, andorra)"""
+        border: String!
+        """Energía importada en MWh"""
+        import: Float!
+        """Energía exportada en MWh"""
+        export: Float!
+        """Saldo neto en MWh (positivo si España importa)"""
+        net: Float!
+    }
+
+    """
+    Intercambios internacionales de una fecha
+    """
+    type InternationalExchange {
+        """ID único"""
+        id: ID!
+        """Fecha"""
+        timestamp: DateTime!
+        """Alcance temporal (hour, day, month, year)"""
+        timeScope: String!
+        """Intercambios por frontera"""
+        borders: [BorderExchange!]!
+        """Importaciones totales en MWh"""
+        totalImports: Float!
+        """Exportaciones totales en MWh"""
+        totalExports: Float!
+        """Saldo neto total en MWh (positivo si España importa)"""
+        netPosition: Float!
+    }
+
+    """
+    Intercambios acumulados de una frontera en un período
+    """
+    type BorderNetPosition {
+        """Frontera"""
+        border: String!
+        """Energía importada en MWh"""
+        import: Float!
+        """Energía exportada en MWh"""
+        export: Float!
+        """Saldo neto en MWh (positivo si España importa)"""
+        net: Float!
+        """Número de registros agregados"""
+        count: Int!
+    }
+
+    """
+    Cobertura de la demanda con importaciones en una fecha
+    """
+    type ImportCoveragePoint {
+        """Fecha"""
+        timestamp: DateTime!
+        """Importaciones en MWh"""
+        imports: Float
+        """Demanda en MWh"""
+        demand: Float
+        """Porcentaje de la demanda cubierto con importaciones"""
+        coverage: Float
+    }
+
+    """
+    Cobertura de la demanda con importaciones en un período
+    """
+    type ImportCoverage {
+        """Importaciones del período en MWh"""
+        imports: Float!
+        """Demanda del período en MWh"""
+        demand: Float!
+        """Porcentaje de la demanda del período cubierto con importaciones"""
+        coverage: Float
+        """Serie temporal de la cobertura"""
+        points: [ImportCoveragePoint!]!
+    }
+
+    extend type Query {
+        """
+        Obtiene los intercambios por frontera para un rango de fechas
+        """
+        internationalExchanges(dateRange: DateRangeInput!): [InternationalExchange!]!
+
+        """
+        Obtiene el saldo acumulado de cada frontera en un rango de fechas
+        """
+        borderNetPositions(
+            dateRange: DateRangeInput!,
+            """Frontera concreta (francia, portugal, marruecos, andorra); todas si no se indica"""
+            border: String
+        ): [BorderNetPosition!]!
+
+        """
+        Obtiene el porcentaje de la demanda nacional cubierto con importaciones
+        """
+        importDemandCoverage(dateRange: DateRangeInput!): ImportCoverage!
+    }
+
+    extend type Mutation {
+        """
+        Refresca los intercambios por frontera para un rango de fechas
+        """
+        refreshInternationalExchanges(
+            dateRange: DateRangeInput!,
+            forceUpdate: Boolean = false,
+            """Fronteras a consultar; todas si no se indica"""
+            borders: [String!]
+        ): JSONObject!
+    }
+`;
+
+module.exports = internationalExchangeSchema;
@@ -0,0 +1,86 @@
+/**
+ * @file marketPrice.js
+ * @description Definición del esquema GraphQL para precios de mercado
+ *
+ * Este archivo contiene las definiciones de tipos y queries para los
+ * precios PVPC y del mercado diario (spot) publicados por REE.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const marketPriceSchema = gql`
+    """
+    Tipo que representa los precios de mercado de una marca temporal
+    """
+    type MarketPrice {
+        """ID único"""
+        id: ID!
+        """Fecha y hora"""
+        timestamp: DateTime!
+        """Alcance temporal (hour, day, month, year)"""
+        timeScope: String!
+        """Precio voluntario para el pequeño consumidor"""
+        pvpc: Float
+        """Precio del mercado diario"""
+        spot: Float
+        """Diferencia entre PVPC y spot"""
+        spread: Float
+        """Unidad de los precios"""
+        unit: String!
+    }
+
+    """
+    Punto de serie temporal que combina un indicador del balance con un precio
+    """
+    type BalancePricePoint {
+        """Fecha y hora del punto"""
+        timestamp: DateTime!
+        """Valor del indicador del balance (null si no hay balance para esa hora)"""
+        value: Float
+        """Precio en €/MWh (null si no hay precio para esa hora)"""
+        price: Float
+    }
+
+    extend type Query {
+        """
+        Obtiene los precios de mercado para un rango de fechas
+        """
+        marketPrices(dateRange: DateRangeInput!): [MarketPrice!]!
+
+        """
+        Obtiene los precios de mercado más recientes
+        """
+        latestMarketPrice(timeScope: String = "hour"): MarketPrice
+
+        """
+        Obtiene la serie temporal de un precio (pvpc o spot) con el mismo formato que electricBalanceTimeSeries
+        """
+        marketPriceTimeSeries(
+            dateRange: DateRangeInput!,
+            indicator: String = "pvpc"
+        ): [TimeSeriesPoint!]!
+
+        """
+        Combina un indicador del balance y un precio en una única serie alineada por timestamp
+        """
+        balancePriceTimeSeries(
+            dateRange: DateRangeInput!,
+            indicator: String!,
+            priceIndicator: String = "pvpc",
+            """Ámbito geográfico del balance (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): [BalancePricePoint!]!
+    }
+
+    extend type Mutation {
+        """
+        Refresca los precios de mercado para un rango de fechas
+        """
+        refreshMarketPrices(
+            dateRange: DateRangeInput!,
+            forceUpdate: Boolean = false
+        ): JSONObject!
+    }
+`;
+
+module.exports = marketPriceSchema;
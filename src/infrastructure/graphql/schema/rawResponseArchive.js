@@ -0,0 +1,109 @@
+/**
+ * @file rawResponseArchive.js
+ * @description Definición del esquema GraphQL para el archivo de respuestas de REE
+ *
+ * Este archivo contiene las definiciones de tipos, queries y mutaciones para
+ * consultar las respuestas en bruto archivadas y reprocesarlas.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const rawResponseArchiveSchema = gql`
+    """
+    Respuesta de REE archivada tal cual se recibió
+    """
+    type ArchivedResponse {
+        """ID único"""
+        id: ID!
+        """Conjunto de datos (electricBalance, marketPrices, co2Emissions, installedCapacity, internationalExchanges, realTimeDemand)"""
+        dataset: String!
+        """Ruta del widget de REE"""
+        endpoint: String!
+        """Parámetros enviados a REE"""
+        params: JSONObject!
+        """Alcance temporal solicitado"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Momento en que se recibió la respuesta"""
+        fetchedAt: DateTime!
+        """Tamaño del cuerpo sin comprimir en bytes"""
+        sizeBytes: Int!
+        """Tamaño del cuerpo comprimido en bytes"""
+        compressedBytes: Int!
+    }
+
+    """
+    Respuesta archivada que no se pudo reprocesar
+    """
+    type ReplayFailure {
+        """ID de la respuesta archivada"""
+        archiveId: ID!
+        """Momento en que se recibió la respuesta"""
+        fetchedAt: DateTime!
+        """Error producido al parsearla"""
+        error: String!
+    }
+
+    """
+    Resultado de reprocesar respuestas archivadas
+    """
+    type ReplayResult {
+        """Indica si la operación terminó"""
+        success: Boolean!
+        """Estado (success, partial)"""
+        status: String!
+        """Mensaje descriptivo"""
+        message: String!
+        """Respuestas archivadas reprocesadas"""
+        processedCount: Int!
+        """Balances reconstruidos"""
+        rebuiltCount: Int!
+        """Balances que no superaron la validación y se pusieron en cuarentena"""
+        quarantinedCount: Int!
+        """Indica si solo se simuló el reprocesado"""
+        dryRun: Boolean!
+        """Respuestas que no se pudieron parsear"""
+        failures: [ReplayFailure!]!
+    }
+
+    """
+    Filtros para reprocesar respuestas archivadas
+    """
+    input ReplayArchiveInput {
+        """Reprocesar respuestas recibidas desde esta fecha"""
+        fetchedFrom: DateTime
+        """Reprocesar respuestas recibidas hasta esta fecha"""
+        fetchedTo: DateTime
+        """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+        region: String
+        """Alcance temporal (hour, day, month, year)"""
+        timeScope: String
+        """Parsear sin guardar los resultados"""
+        dryRun: Boolean = false
+    }
+
+    extend type Query {
+        """
+        Lista las respuestas de REE archivadas, de la más reciente a la más antigua
+        """
+        archivedResponses(
+            dataset: String,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String,
+            timeScope: String,
+            fetchedFrom: DateTime,
+            fetchedTo: DateTime,
+            limit: Int = 50
+        ): [ArchivedResponse!]!
+    }
+
+    extend type Mutation {
+        """
+        Reconstruye los balances eléctricos a partir de las respuestas archivadas
+        """
+        replayArchivedResponses(input: ReplayArchiveInput): ReplayResult!
+    }
+`;
+
+module.exports = rawResponseArchiveSchema;
@@ -0,0 +1,95 @@
+/**
+ * @file realTimeDemand.js
+ * @description Definición del esquema GraphQL para la demanda en tiempo real
+ *
+ * Este archivo contiene las definiciones de tipos y queries para la demanda
+ * real, prevista y programada con resolución de diez minutos.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const realTimeDemandSchema = gql`
+    """
+    Demanda real, prevista y programada de un instante (MW)
+    """
+    type RealTimeDemand {
+        """ID único"""
+        id: ID!
+        """Instante"""
+        timestamp: DateTime!
+        """Alcance temporal (10min)"""
+        timeScope: String!
+        """Ámbito geográfico"""
+        region: String!
+        """Demanda real en MW (null si aún no se ha publicado)"""
+        real: Float
+        """Demanda prevista en MW"""
+        forecast: Float
+        """Demanda programada en MW"""
+        programmed: Float
+        """Error de la previsión (real - prevista) en MW"""
+        forecastError: Float
+        """Error de la previsión respecto a la demanda real en porcentaje"""
+        forecastErrorPercentage: Float
+    }
+
+    """
+    Estadísticas del error de la previsión de demanda
+    """
+    type DemandForecastStats {
+        """Número de instantes con demanda real y prevista"""
+        count: Int!
+        """Error medio (sesgo) en MW; positivo si la previsión se queda corta"""
+        meanError: Float
+        """Error absoluto medio en MW"""
+        meanAbsoluteError: Float
+        """Raíz del error cuadrático medio en MW"""
+        rootMeanSquareError: Float
+        """Error porcentual absoluto medio"""
+        meanAbsolutePercentageError: Float
+        """Mayor error absoluto en MW"""
+        maxAbsoluteError: Float
+    }
+
+    """
+    Demanda real frente a prevista en un período
+    """
+    type DemandForecastComparison {
+        """Registros del período"""
+        items: [RealTimeDemand!]!
+        """Estadísticas del error de la previsión"""
+        stats: DemandForecastStats!
+    }
+
+    extend type Query {
+        """
+        Obtiene la demanda real, prevista y programada con las estadísticas del error de previsión
+        """
+        realTimeDemand(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): DemandForecastComparison!
+
+        """
+        Obtiene el último registro con demanda real publicada
+        """
+        latestRealTimeDemand(
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): RealTimeDemand
+    }
+
+    extend type Mutation {
+        """
+        Refresca la demanda en tiempo real para un rango de fechas
+        """
+        refreshRealTimeDemand(
+            dateRange: DateRangeInput!,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String = "national"
+        ): JSONObject!
+    }
+`;
+
+module.exports = realTimeDemandSchema;
@@ -0,0 +1,69 @@
+/**
+ * @file seeding.js
+ * @description Definición del esquema GraphQL para el avance de las cargas de histórico
+ *
+ * Este archivo contiene las definiciones de tipos y queries para seguir las
+ * cargas lanzadas con scripts/seedDatabase.js.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const seedingSchema = gql`
+    """
+    Avance de una carga de histórico de balances eléctricos
+    """
+    type SeedingProgress {
+        """ID único"""
+        id: ID!
+        """Alcance temporal cargado"""
+        timeScope: String!
+        """Ámbito geográfico cargado"""
+        region: String!
+        """Inicio del rango"""
+        startDate: DateTime!
+        """Fin del rango"""
+        endDate: DateTime!
+        """Estado de la carga (in_progress, completed)"""
+        status: String!
+        """Tramos en que se divide el rango"""
+        totalChunks: Int!
+        """Tramos cargados"""
+        completedChunks: Int!
+        """Tramos cuyo último intento falló"""
+        failedChunks: Int!
+        """Tramos que faltan por cargar, incluidos los fallidos"""
+        remainingChunks: Int!
+        """Porcentaje de tramos cargados"""
+        percentComplete: Float!
+        """Registros guardados en los tramos cargados"""
+        savedCount: Int!
+        """Segundos estimados hasta terminar (null hasta que termina el primer tramo)"""
+        etaSeconds: Int
+        """Momento estimado de finalización"""
+        estimatedCompletionAt: DateTime
+        """Inicio de la carga"""
+        startedAt: DateTime!
+        """Último avance registrado"""
+        updatedAt: DateTime!
+        """Momento en que terminaron todos los tramos"""
+        completedAt: DateTime
+        """Último error de un tramo fallido"""
+        lastError: String
+    }
+
+    extend type Query {
+        """
+        Lista el avance de las cargas de histórico, de la más reciente a la más antigua
+        """
+        seedingProgress(
+            """Alcance temporal (hour, day, month, year)"""
+            timeScope: String,
+            """Ámbito geográfico (national, peninsular, canarias, baleares, ceuta, melilla)"""
+            region: String,
+            """Estado de la carga (in_progress, completed)"""
+            status: String
+        ): [SeedingProgress!]!
+    }
+`;
+
+module.exports = seedingSchema;
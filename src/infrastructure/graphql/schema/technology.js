@@ -0,0 +1,52 @@
+/**
+ * @file technology.js
+ * @description Definición del esquema GraphQL para el catálogo de tecnologías
+ *
+ * Este archivo contiene el tipo y la query para consultar las tecnologías que
+ * publica REE con sus códigos estables y propiedades.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const technologySchema = gql`
+    """
+    Tecnología de generación, almacenamiento, demanda o intercambio
+    """
+    type Technology {
+        """Código estable de la tecnología"""
+        code: ID!
+        """Nombre en castellano, tal como lo publica REE"""
+        nameEs: String!
+        """Nombre en inglés"""
+        nameEn: String!
+        """Categoría (generation, storage, demand, interchange)"""
+        category: String!
+        """Indica si es renovable"""
+        renewable: Boolean!
+        """Indica si es de bajas emisiones (renovables y nuclear)"""
+        lowCarbon: Boolean!
+        """Indica si es síncrona y aporta inercia al sistema"""
+        synchronous: Boolean!
+        """Color de representación"""
+        color: String
+        """Indica si es una fila agregada que repite la suma de otras"""
+        aggregate: Boolean!
+        """Otros nombres con los que REE publica la tecnología"""
+        aliases: [String!]!
+    }
+
+    extend type Query {
+        """
+        Lista el catálogo de tecnologías
+        """
+        technologies(
+            """Categoría (generation, storage, demand, interchange)"""
+            category: String,
+            renewable: Boolean,
+            """Incluir las filas agregadas (Generación renovable, Saldo almacenamiento...)"""
+            includeAggregates: Boolean = false
+        ): [Technology!]!
+    }
+`;
+
+module.exports = technologySchema;
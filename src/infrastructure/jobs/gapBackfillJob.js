@@ -0,0 +1,329 @@
+/**
+ * @file gapBackfillJob.js
+ * @description Tarea programada para rellenar huecos en los balances eléctricos
+ *
+ * Recorre la ventana histórica de cada granularidad y región, detecta los
+ * períodos que faltan y pide a REE solo esos huecos, en lugar de volver a
+ * descargar rangos completos. El período en curso no se revisa porque REE
+ * todavía no lo ha publicado entero.
+ */
+
+const cron = require('node-cron');
+const DetectDataGaps = require('../../application/use-cases/DetectDataGaps');
+const FetchREEData = require('../../application/use-cases/FetchREEData');
+const createElectricBalanceSources = require('../sources/createElectricBalanceSources');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { INGESTION_TRIGGERS } = require('../../domain/constants/ingestionRuns');
+const { DEFAULT_BALANCE_SOURCE } = require('../../domain/constants/balanceSources');
+const { startOfMadridPeriod, addMadridPeriods } = require('../../utils/madridTime');
+
+/**
+ * Clase que gestiona el relleno programado de huecos
+ */
+class GapBackfillJob {
+    /**
+     * Constructor de la tarea programada
+     *
+     * @param {Object} reeApiService - Servicio para interactuar con la API de REE
+     * @param {Object} electricBalanceRepository - Repositorio de balance eléctrico
+     * @param {Object} logger - Logger para registrar eventos
+     * @param {Object} config - Configuración de la tarea
+     * @param {Object} [config.lease] - Concesión que decide si esta réplica ejecuta las tareas programadas
+     * @param {Object} [config.balanceSources] - Fuentes de balances por nombre (por defecto solo REE)
+     * @param {Object} [config.timeScopeSources] - Fuente de cada granularidad; las que no aparecen usan REE
+     * @param {Object} [ingestionRepositories={}] - Repositorios auxiliares de la ingesta
+     * @param {Object} [ingestionRepositories.quarantineRepository] - Registros que no superan la validación
+     * @param {Object} [ingestionRepositories.ingestionRunRepository] - Registro de ejecuciones de ingesta
+     */
+    constructor(reeApiService, electricBalanceRepository, logger, config = {}, ingestionRepositories = {}) {
+        this.reeApiService = reeApiService;
+        this.electricBalanceRepository = electricBalanceRepository;
+        this.quarantineRepository = ingestionRepositories.quarantineRepository || null;
+        this.ingestionRunRepository = ingestionRepositories.ingestionRunRepository || null;
+        this.logger = logger;
+        this.lease = config.lease || null;
+        this.balanceSources = config.balanceSources || createElectricBalanceSources(reeApiService, {}, logger);
+        this.config = {
+            schedule: config.schedule || '30 3 * * *',
+            enabled: config.enabled !== undefined ? config.enabled : true,
+            timeScopes: config.timeScopes || ['hour', 'day', 'month'],
+            regions: config.regions && config.regions.length > 0 ? config.regions : [DEFAULT_REGION],
+            historicalPeriods: config.historicalPeriods || { hour: 2, day: 60, month: 365 },
+            timeScopeSources: config.timeScopeSources || {},
+            maxGapsPerRun: config.maxGapsPerRun || 20
+        };
+
+        this.job = null;
+        this.running = false;
+        this.backfillInProgress = false;
+        this.lastRunTime = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Inicia la tarea programada
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            this.logger.warn('Gap backfill job is already running');
+            return;
+        }
+
+        this.running = true;
+        this.logger.info('Starting gap backfill job');
+
+        if (!this.config.enabled) {
+            this.logger.info('Scheduled gap backfill job is disabled in configuration');
+            return;
+        }
+
+        this.job = cron.schedule(this.config.schedule, async () => {
+            await this._runBackfill('scheduled');
+        });
+
+        this.logger.info(`Scheduled gap backfill job with schedule: ${this.config.schedule}`);
+    }
+
+    /**
+     * Detiene la tarea programada
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+        }
+
+        this.running = false;
+        this.logger.info('Gap backfill job stopped');
+    }
+
+    /**
+     * Ejecuta manualmente el relleno de huecos
+     *
+     * @param {Object} [params={}] - Parámetros del relleno
+     * @param {string} [params.timeScope] - Granularidad a revisar (por defecto todas las configuradas)
+     * @param {string} [params.region] - Región a revisar (por defecto todas las configuradas)
+     * @param {Date} [params.startDate] - Inicio del rango (por defecto la ventana histórica)
+     * @param {Date} [params.endDate] - Fin del rango (por defecto el final del último período cerrado)
+     * @returns {Promise<Object>} - Resultado del relleno
+     */
+    async fetchDataManually(params = {}) {
+        this.logger.info(`Manual gap backfill requested: ${JSON.stringify(params)}`);
+
+        if (this.backfillInProgress) {
+            const message = 'Another gap backfill is already in progress';
+            this.logger.warn(message);
+            return { success: false, message };
+        }
+
+        try {
+            this.backfillInProgress = true;
+            return await this._backfill(params);
+        } catch (error) {
+            this.logger.error(`Error in manual gap backfill: ${error.message}`, error);
+            return {
+                success: false,
+                message: `Error: ${error.message}`,
+                error: error.toString()
+            };
+        } finally {
+            this.backfillInProgress = false;
+        }
+    }
+
+    /**
+     * Cambia las granularidades revisadas y sus ventanas históricas sin reiniciar la tarea
+     *
+     * @param {Object} changes - Cambios de configuración
+     * @param {Array<string>} [changes.timeScopes] - Granularidades a revisar
+     * @param {Object} [changes.historicalPeriods] - Días de histórico por granularidad
+     * @param {Object} [changes.timeScopeSources] - Fuente de cada granularidad
+     */
+    reconfigure({ timeScopes, historicalPeriods, timeScopeSources } = {}) {
+        if (timeScopes) {
+            this.config.timeScopes = [...timeScopes];
+        }
+
+        if (historicalPeriods) {
+            this.config.historicalPeriods = { ...this.config.historicalPeriods, ...historicalPeriods };
+        }
+
+        if (timeScopeSources) {
+            this.config.timeScopeSources = { ...this.config.timeScopeSources, ...timeScopeSources };
+        }
+
+        this.logger.info(`Gap backfill job reconfigured for: ${this.config.timeScopes.join(', ')}`);
+    }
+
+    /**
+     * Obtiene el estado actual de la tarea
+     *
+     * @returns {Object} - Estado actual
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            backfillInProgress: this.backfillInProgress,
+            scheduled: this.job !== null,
+            lastRunTime: this.lastRunTime,
+            lastResult: this.lastResult,
+            lease: this.lease ? this.lease.getStatus() : null,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Ejecuta un relleno sin solaparse con otro en curso
+     *
+     * @param {string} trigger - Origen de la ejecución, para los logs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runBackfill(trigger) {
+        if (!this._holdsLease()) {
+            this.logger.debug(`Skipping ${trigger} gap backfill because another replica holds the scheduler lease`);
+            return;
+        }
+
+        if (this.backfillInProgress) {
+            this.logger.warn(`Skipping ${trigger} gap backfill because another backfill is in progress`);
+            return;
+        }
+
+        try {
+            this.backfillInProgress = true;
+            const result = await this._backfill();
+            this.logger.info(`${trigger} gap backfill completed: ${result.message}`);
+        } catch (error) {
+            this.logger.error(`Error in ${trigger} gap backfill: ${error.message}`, error);
+        } finally {
+            this.backfillInProgress = false;
+        }
+    }
+
+    /**
+     * Detecta los huecos de cada granularidad y región y los rellena hasta el límite por ejecución
+     *
+     * @param {Object} [params={}] - Parámetros del relleno (timeScope, region, startDate, endDate)
+     * @returns {Promise<Object>} - Resultado del relleno
+     * @private
+     */
+    async _backfill(params = {}) {
+        const timeScopes = params.timeScope ? [params.timeScope] : this.config.timeScopes;
+        const regions = params.region ? [params.region] : this.config.regions;
+
+        const gapDetector = new DetectDataGaps(this.electricBalanceRepository, this.logger);
+        const fetchREEDataUseCase = new FetchREEData(
+            this.balanceSources,
+            this.electricBalanceRepository,
+            this.logger,
+            this.quarantineRepository,
+            this.ingestionRunRepository
+        );
+
+        const summary = {
+            detectedGaps: 0,
+            filledGaps: 0,
+            failedGaps: 0,
+            pendingGaps: 0,
+            savedCount: 0,
+            quarantinedCount: 0
+        };
+
+        for (const timeScope of timeScopes) {
+            const period = this._calculateCheckPeriod(timeScope, params);
+
+            for (const region of regions) {
+                let report;
+
+                try {
+                    report = await gapDetector.execute({ ...period, timeScope, region });
+                } catch (error) {
+                    this.logger.error(`Error detecting ${timeScope} gaps for ${region}: ${error.message}`, error);
+                    continue;
+                }
+
+                summary.detectedGaps += report.gaps.length;
+
+                if (report.gaps.length > 0) {
+                    this.logger.info(`Found ${report.missingCount} missing ${timeScope} periods in ${report.gaps.length} gaps for ${region}`);
+                }
+
+                for (const gap of report.gaps) {
+                    if (summary.filledGaps + summary.failedGaps >= this.config.maxGapsPerRun) {
+                        summary.pendingGaps++;
+                        continue;
+                    }
+
+                    try {
+                        const result = await fetchREEDataUseCase.execute({
+                            startDate: gap.startDate,
+                            endDate: new Date(addMadridPeriods(gap.endDate, timeScope, 1).getTime() - 60 * 1000),
+                            timeScope,
+                            region,
+                            trigger: INGESTION_TRIGGERS.BACKFILL,
+                            source: this.config.timeScopeSources[timeScope] || DEFAULT_BALANCE_SOURCE
+                        });
+
+                        summary.filledGaps++;
+                        summary.savedCount += result.savedCount || 0;
+                        summary.quarantinedCount += result.quarantinedCount || 0;
+                    } catch (error) {
+                        summary.failedGaps++;
+                        this.logger.error(`Error backfilling ${timeScope} gap from ${gap.startDate.toISOString()} for ${region}: ${error.message}`, error);
+                    }
+                }
+            }
+        }
+
+        this.lastRunTime = new Date();
+        this.lastResult = { ...summary };
+
+        return {
+            success: summary.failedGaps === 0,
+            message: `Filled ${summary.filledGaps} of ${summary.detectedGaps} gaps (${summary.failedGaps} failed, ${summary.pendingGaps} pending)`,
+            ...summary
+        };
+    }
+
+    /**
+     * Indica si esta réplica debe ejecutar las obtenciones programadas
+     *
+     * @returns {boolean} - true si no hay concesión configurada o esta réplica es la titular
+     * @private
+     */
+    _holdsLease() {
+        return !this.lease || this.lease.isHeld();
+    }
+
+    /**
+     * Calcula el rango a revisar: la ventana histórica de la granularidad hasta el último período cerrado
+     *
+     * @param {string} timeScope - Granularidad temporal
+     * @param {Object} params - Fechas indicadas en una ejecución manual
+     * @returns {Object} - Período a revisar (startDate, endDate)
+     * @private
+     */
+    _calculateCheckPeriod(timeScope, params) {
+        const endDate = params.endDate
+            ? new Date(params.endDate)
+            : new Date(startOfMadridPeriod(new Date(), timeScope).getTime() - 1);
+
+        let startDate = params.startDate ? new Date(params.startDate) : null;
+
+        if (!startDate) {
+            const days = this.config.historicalPeriods[timeScope] || 1;
+            startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
+        }
+
+        return { startDate, endDate };
+    }
+}
+
+module.exports = GapBackfillJob;
@@ -0,0 +1,243 @@
+/**
+ * @file marketPriceFetcher.js
+ * @description Tarea programada para obtener los precios de mercado de la API de REE
+ *
+ * Consulta periódicamente el PVPC y el precio del mercado diario. Como los
+ * precios del día siguiente se publican por la tarde, cada ejecución cubre
+ * desde unos días atrás hasta el final de mañana.
+ */
+
+const cron = require('node-cron');
+const FetchMarketPrices = require('../../application/use-cases/FetchMarketPrices');
+const { startOfMadridPeriod, addMadridPeriods } = require('../../utils/madridTime');
+
+/**
+ * Clase que gestiona la obtención programada de precios de mercado
+ */
+class MarketPriceFetcher {
+    /**
+     * Constructor de la tarea programada
+     *
+     * @param {Object} reeApiService - Servicio para interactuar con la API de REE
+     * @param {Object} marketPriceRepository - Repositorio de precios de mercado
+     * @param {Object} logger - Logger para registrar eventos
+     * @param {Object} config - Configuración de la tarea
+     * @param {Object} [config.lease] - Concesión que decide si esta réplica ejecuta las tareas programadas
+     */
+    constructor(reeApiService, marketPriceRepository, logger, config = {}) {
+        this.reeApiService = reeApiService;
+        this.marketPriceRepository = marketPriceRepository;
+        this.logger = logger;
+        this.lease = config.lease || null;
+        this.config = {
+            schedule: config.schedule || '15 */1 * * *',
+            enabled: config.enabled !== undefined ? config.enabled : true,
+            initialFetch: config.initialFetch !== undefined ? config.initialFetch : true,
+            lookbackDays: config.lookbackDays || 2,
+            historicalDays: config.historicalDays || 30
+        };
+
+        this.job = null;
+        this.running = false;
+        this.fetchInProgress = false;
+        this.lastFetchTime = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Inicia la tarea programada
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            this.logger.warn('Market price fetcher is already running');
+            return;
+        }
+
+        this.running = true;
+        this.logger.info('Starting market price fetcher');
+
+        if (this.config.initialFetch) {
+            await this._runFetch(this._calculateFetchPeriod(this.config.historicalDays), 'initial');
+        }
+
+        if (!this.config.enabled) {
+            this.logger.info('Scheduled market price job is disabled in configuration');
+            return;
+        }
+
+        this.job = cron.schedule(this.config.schedule, async () => {
+            await this._runFetch(this._calculateFetchPeriod(this.config.lookbackDays), 'scheduled');
+        });
+
+        this.logger.info(`Scheduled market price job with schedule: ${this.config.schedule}`);
+    }
+
+    /**
+     * Detiene la tarea programada
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+        }
+
+        this.running = false;
+        this.logger.info('Market price fetcher stopped');
+    }
+
+    /**
+     * Ejecuta manualmente la obtención de precios para un período específico
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @param {Date} params.startDate - Fecha de inicio
+     * @param {Date} params.endDate - Fecha de fin
+     * @param {string} [params.timeScope='hour'] - Alcance temporal
+     * @param {boolean} [params.forceUpdate=false] - Sobrescribir precios existentes
+     * @returns {Promise<Object>} - Resultado de la obtención
+     */
+    async fetchDataManually(params) {
+        this.logger.info(`Manual market price fetch requested: ${JSON.stringify(params)}`);
+
+        if (this.fetchInProgress) {
+            const message = 'Another market price fetch is already in progress';
+            this.logger.warn(message);
+            return { success: false, message };
+        }
+
+        try {
+            this.fetchInProgress = true;
+            return await this._fetchData(params);
+        } catch (error) {
+            this.logger.error(`Error in manual market price fetch: ${error.message}`, error);
+            return {
+                success: false,
+                message: `Error: ${error.message}`,
+                error: error.toString()
+            };
+        } finally {
+            this.fetchInProgress = false;
+        }
+    }
+
+    /**
+     * Obtiene el estado actual del fetcher
+     *
+     * @returns {Object} - Estado actual
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            fetchInProgress: this.fetchInProgress,
+            scheduled: this.job !== null,
+            lastFetchTime: this.lastFetchTime,
+            lastResult: this.lastResult,
+            lease: this.lease ? this.lease.getStatus() : null,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Ejecuta una obtención sin solaparse con otra en curso
+     *
+     * @param {Object} period - Período a obtener (startDate, endDate)
+     * @param {string} trigger - Origen de la ejecución, para los logs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runFetch(period, trigger) {
+        if (!this._holdsLease()) {
+            this.logger.debug(`Skipping ${trigger} market price fetch because another replica holds the scheduler lease`);
+            return;
+        }
+
+        if (this.fetchInProgress) {
+            this.logger.warn(`Skipping ${trigger} market price fetch because another fetch is in progress`);
+            return;
+        }
+
+        try {
+            this.fetchInProgress = true;
+
+            // Los precios del día siguiente pueden publicarse tras una primera lectura incompleta
+            const result = await this._fetchData({ ...period, timeScope: 'hour', forceUpdate: true });
+
+            this.logger.info(`${trigger} market price fetch completed: ${result.message}`);
+        } catch (error) {
+            this.logger.error(`Error in ${trigger} market price fetch: ${error.message}`, error);
+        } finally {
+            this.fetchInProgress = false;
+        }
+    }
+
+    /**
+     * Indica si esta réplica debe ejecutar las obtenciones programadas
+     *
+     * @returns {boolean} - true si no hay concesión configurada o esta réplica es la titular
+     * @private
+     */
+    _holdsLease() {
+        return !this.lease || this.lease.isHeld();
+    }
+
+    /**
+     * Calcula el período a obtener: desde `days` días atrás hasta el final de mañana, en días de Madrid
+     *
+     * @param {number} days - Días hacia atrás
+     * @returns {Object} - Período calculado (startDate, endDate)
+     * @private
+     */
+    _calculateFetchPeriod(days) {
+        const today = startOfMadridPeriod(new Date(), 'day');
+        const startDate = addMadridPeriods(today, 'day', -days);
+        const endDate = new Date(addMadridPeriods(today, 'day', 2).getTime() - 60 * 1000);
+
+        return { startDate, endDate };
+    }
+
+    /**
+     * Ejecuta la obtención de precios
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @returns {Promise<Object>} - Resultado de la obtención
+     * @private
+     */
+    async _fetchData(params) {
+        const fetchMarketPricesUseCase = new FetchMarketPrices(
+            this.reeApiService,
+            this.marketPriceRepository,
+            this.logger
+        );
+
+        const result = await fetchMarketPricesUseCase.execute({
+            startDate: params.startDate,
+            endDate: params.endDate,
+            timeScope: params.timeScope || 'hour',
+            forceUpdate: params.forceUpdate
+        });
+
+        this.lastFetchTime = new Date();
+        this.lastResult = {
+            status: result.status,
+            savedCount: result.savedCount
+        };
+
+        return {
+            success: true,
+            message: result.message,
+            savedCount: result.savedCount,
+            status: result.status,
+            startDate: result.startDate,
+            endDate: result.endDate,
+            timeScope: result.timeScope,
+            failedChunks: result.failedChunks || []
+        };
+    }
+}
+
+module.exports = MarketPriceFetcher;
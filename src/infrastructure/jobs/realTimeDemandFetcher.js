@@ -0,0 +1,247 @@
+/**
+ * @file realTimeDemandFetcher.js
+ * @description Tarea programada para obtener la demanda en tiempo real de la API de REE
+ *
+ * Consulta periódicamente la demanda real, prevista y programada. La previsión
+ * cubre el día completo, así que cada ejecución abarca desde unas horas atrás
+ * hasta el final del día en curso.
+ */
+
+const cron = require('node-cron');
+const FetchRealTimeDemand = require('../../application/use-cases/FetchRealTimeDemand');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { startOfMadridPeriod, addMadridPeriods } = require('../../utils/madridTime');
+
+/**
+ * Clase que gestiona la obtención programada de la demanda en tiempo real
+ */
+class RealTimeDemandFetcher {
+    /**
+     * Constructor de la tarea programada
+     *
+     * @param {Object} reeApiService - Servicio para interactuar con la API de REE
+     * @param {Object} realTimeDemandRepository - Repositorio de demanda en tiempo real
+     * @param {Object} logger - Logger para registrar eventos
+     * @param {Object} config - Configuración de la tarea
+     * @param {Object} [config.lease] - Concesión que decide si esta réplica ejecuta las tareas programadas
+     */
+    constructor(reeApiService, realTimeDemandRepository, logger, config = {}) {
+        this.reeApiService = reeApiService;
+        this.realTimeDemandRepository = realTimeDemandRepository;
+        this.logger = logger;
+        this.lease = config.lease || null;
+        this.config = {
+            schedule: config.schedule || '*/10 * * * *',
+            regions: config.regions && config.regions.length > 0 ? config.regions : [DEFAULT_REGION],
+            enabled: config.enabled !== undefined ? config.enabled : true,
+            initialFetch: config.initialFetch !== undefined ? config.initialFetch : true,
+            lookbackHours: config.lookbackHours || 3,
+            historicalDays: config.historicalDays || 2
+        };
+
+        this.job = null;
+        this.running = false;
+        this.fetchInProgress = false;
+        this.lastFetchTime = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Inicia la tarea programada
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            this.logger.warn('Real-time demand fetcher is already running');
+            return;
+        }
+
+        this.running = true;
+        this.logger.info('Starting real-time demand fetcher');
+
+        if (this.config.initialFetch) {
+            await this._runFetch(this._calculateFetchPeriod(this.config.historicalDays * 24), 'initial');
+        }
+
+        if (!this.config.enabled) {
+            this.logger.info('Scheduled real-time demand job is disabled in configuration');
+            return;
+        }
+
+        this.job = cron.schedule(this.config.schedule, async () => {
+            await this._runFetch(this._calculateFetchPeriod(this.config.lookbackHours), 'scheduled');
+        });
+
+        this.logger.info(`Scheduled real-time demand job with schedule: ${this.config.schedule}`);
+    }
+
+    /**
+     * Detiene la tarea programada
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+        }
+
+        this.running = false;
+        this.logger.info('Real-time demand fetcher stopped');
+    }
+
+    /**
+     * Ejecuta manualmente la obtención de la demanda para un período específico
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @param {Date} params.startDate - Fecha de inicio
+     * @param {Date} params.endDate - Fecha de fin
+     * @param {string} [params.region] - Ámbito geográfico (por defecto nacional)
+     * @returns {Promise<Object>} - Resultado de la obtención
+     */
+    async fetchDataManually(params) {
+        this.logger.info(`Manual real-time demand fetch requested: ${JSON.stringify(params)}`);
+
+        if (this.fetchInProgress) {
+            const message = 'Another real-time demand fetch is already in progress';
+            this.logger.warn(message);
+            return { success: false, message };
+        }
+
+        try {
+            this.fetchInProgress = true;
+            return await this._fetchData(params);
+        } catch (error) {
+            this.logger.error(`Error in manual real-time demand fetch: ${error.message}`, error);
+            return {
+                success: false,
+                message: `Error: ${error.message}`,
+                error: error.toString()
+            };
+        } finally {
+            this.fetchInProgress = false;
+        }
+    }
+
+    /**
+     * Obtiene el estado actual del fetcher
+     *
+     * @returns {Object} - Estado actual
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            fetchInProgress: this.fetchInProgress,
+            scheduled: this.job !== null,
+            scheduledRegions: this.config.regions,
+            lastFetchTime: this.lastFetchTime,
+            lastResult: this.lastResult,
+            lease: this.lease ? this.lease.getStatus() : null,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Ejecuta una obtención para todas las regiones sin solaparse con otra en curso
+     *
+     * @param {Object} period - Período a obtener (startDate, endDate)
+     * @param {string} trigger - Origen de la ejecución, para los logs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runFetch(period, trigger) {
+        if (!this._holdsLease()) {
+            this.logger.debug(`Skipping ${trigger} real-time demand fetch because another replica holds the scheduler lease`);
+            return;
+        }
+
+        if (this.fetchInProgress) {
+            this.logger.warn(`Skipping ${trigger} real-time demand fetch because another fetch is in progress`);
+            return;
+        }
+
+        try {
+            this.fetchInProgress = true;
+
+            for (const region of this.config.regions) {
+                try {
+                    const result = await this._fetchData({ ...period, region });
+                    this.logger.info(`${trigger} real-time demand fetch for ${region} completed: ${result.message}`);
+                } catch (error) {
+                    this.logger.error(`Error in ${trigger} real-time demand fetch for ${region}: ${error.message}`, error);
+                }
+            }
+        } finally {
+            this.fetchInProgress = false;
+        }
+    }
+
+    /**
+     * Indica si esta réplica debe ejecutar las obtenciones programadas
+     *
+     * @returns {boolean} - true si no hay concesión configurada o esta réplica es la titular
+     * @private
+     */
+    _holdsLease() {
+        return !this.lease || this.lease.isHeld();
+    }
+
+    /**
+     * Calcula el período a obtener: desde `hours` horas atrás hasta el final del día en Madrid
+     *
+     * @param {number} hours - Horas hacia atrás
+     * @returns {Object} - Período calculado (startDate, endDate)
+     * @private
+     */
+    _calculateFetchPeriod(hours) {
+        const now = new Date();
+        const startDate = addMadridPeriods(startOfMadridPeriod(now, 'hour'), 'hour', -hours);
+        const endDate = new Date(addMadridPeriods(startOfMadridPeriod(now, 'day'), 'day', 1).getTime() - 60 * 1000);
+
+        return { startDate, endDate };
+    }
+
+    /**
+     * Ejecuta la obtención de la demanda
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @returns {Promise<Object>} - Resultado de la obtención
+     * @private
+     */
+    async _fetchData(params) {
+        const fetchRealTimeDemandUseCase = new FetchRealTimeDemand(
+            this.reeApiService,
+            this.realTimeDemandRepository,
+            this.logger
+        );
+
+        const result = await fetchRealTimeDemandUseCase.execute({
+            startDate: params.startDate,
+            endDate: params.endDate,
+            region: params.region || DEFAULT_REGION
+        });
+
+        this.lastFetchTime = new Date();
+        this.lastResult = {
+            status: result.status,
+            region: result.region,
+            savedCount: result.savedCount
+        };
+
+        return {
+            success: true,
+            message: result.message,
+            savedCount: result.savedCount,
+            status: result.status,
+            startDate: result.startDate,
+            endDate: result.endDate,
+            region: result.region,
+            failedChunks: result.failedChunks || []
+        };
+    }
+}
+
+module.exports = RealTimeDemandFetcher;
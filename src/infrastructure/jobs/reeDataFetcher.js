@@ -9,6 +9,14 @@
 
 const cron = require('node-cron');
 const FetchREEData = require('../../application/use-cases/FetchREEData');
+const FetchCo2Emissions = require('../../application/use-cases/FetchCo2Emissions');
+const FetchInternationalExchanges = require('../../application/use-cases/FetchInternationalExchanges');
+const FetchInstalledCapacity = require('../../application/use-cases/FetchInstalledCapacity');
+const createElectricBalanceSources = require('../sources/createElectricBalanceSources');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { INGESTION_TRIGGERS } = require('../../domain/constants/ingestionRuns');
+const { DEFAULT_BALANCE_SOURCE } = require('../../domain/constants/balanceSources');
+const { startOfMadridPeriod, addMadridPeriods } = require('../../utils/madridTime');
 
 /**
  * Clase que gestiona la obtención programada de datos de REE
@@ -21,14 +29,32 @@ class REEDataFetcher {
      * @param {Object} electricBalanceRepository - Repositorio de balance eléctrico
      * @param {Object} logger - Logger para registrar eventos
      * @param {Object} config - Configuración de la tarea
+     * @param {Object} [config.lease] - Concesión que decide si esta réplica ejecuta las tareas programadas
+     * @param {Object} [config.balanceSources] - Fuentes de balances por nombre (por defecto solo REE)
+     * @param {string} [config.source='ree'] - Fuente de las obtenciones programadas
+     * @param {Object} [datasetRepositories={}] - Repositorios de los conjuntos que se ingieren junto al balance
+     * @param {Object} [datasetRepositories.co2EmissionRepository] - Emisiones de CO2
+     * @param {Object} [datasetRepositories.internationalExchangeRepository] - Intercambios por frontera (solo balance nacional)
+     * @param {Object} [datasetRepositories.installedCapacityRepository] - Potencia instalada (solo alcance mensual)
+     * @param {Object} [datasetRepositories.quarantineRepository] - Registros que no superan la validación
+     * @param {Object} [datasetRepositories.ingestionRunRepository] - Registro de ejecuciones de ingesta
      */
-    constructor(reeApiService, electricBalanceRepository, logger, config = {}) {
+    constructor(reeApiService, electricBalanceRepository, logger, config = {}, datasetRepositories = {}) {
         this.reeApiService = reeApiService;
         this.electricBalanceRepository = electricBalanceRepository;
+        this.co2EmissionRepository = datasetRepositories.co2EmissionRepository || null;
+        this.internationalExchangeRepository = datasetRepositories.internationalExchangeRepository || null;
+        this.installedCapacityRepository = datasetRepositories.installedCapacityRepository || null;
+        this.quarantineRepository = datasetRepositories.quarantineRepository || null;
+        this.ingestionRunRepository = datasetRepositories.ingestionRunRepository || null;
         this.logger = logger;
+        this.lease = config.lease || null;
+        this.balanceSources = config.balanceSources || createElectricBalanceSources(reeApiService, {}, logger);
         this.config = {
             schedule: config.schedule || '0 */1 * * *',
+            source: config.source || DEFAULT_BALANCE_SOURCE,
             timeScopes: config.timeScopes || ['hour', 'day'],
+            regions: config.regions && config.regions.length > 0 ? config.regions : [DEFAULT_REGION],
             enabled: config.enabled !== undefined ? config.enabled : true,
             initialFetch: config.initialFetch !== undefined ? config.initialFetch : true,
             retryOnFailure: config.retryOnFailure !== undefined ? config.retryOnFailure : true,
@@ -63,8 +89,12 @@ class REEDataFetcher {
         this.logger.info('Starting REE data fetcher');
 
         try {
-            if (this.config.initialFetch) {
-                await this._performInitialFetch();
+            if (this.config.initialFetch && this.config.enabled) {
+                if (this._holdsLease()) {
+                    await this._performInitialFetch();
+                } else {
+                    this.logger.info('Skipping initial historical fetch because another replica holds the scheduler lease');
+                }
             }
 
             this._scheduleJobs();
@@ -94,6 +124,42 @@ class REEDataFetcher {
         this.logger.info('REE data fetcher stopped');
     }
 
+    /**
+     * Cambia la programación sin reiniciar el fetcher
+     *
+     * Las tareas cron se vuelven a crear con la nueva configuración; una
+     * obtención en curso termina con la configuración anterior.
+     *
+     * @param {Object} changes - Cambios de configuración
+     * @param {string} [changes.schedule] - Nueva expresión cron
+     * @param {boolean} [changes.enabled] - Activa o desactiva las obtenciones programadas
+     * @param {Object} [changes.historicalPeriods] - Días de histórico por alcance temporal
+     * @param {string} [changes.source] - Fuente de las obtenciones programadas
+     */
+    reschedule({ schedule, enabled, historicalPeriods, source } = {}) {
+        if (schedule !== undefined) {
+            this.config.schedule = schedule;
+        }
+
+        if (enabled !== undefined) {
+            this.config.enabled = enabled;
+        }
+
+        if (historicalPeriods) {
+            this.config.historicalPeriods = { ...this.config.historicalPeriods, ...historicalPeriods };
+        }
+
+        if (source !== undefined) {
+            this.config.source = source;
+        }
+
+        if (this.running) {
+            this._scheduleJobs();
+        }
+
+        this.logger.info(`REE data fetcher rescheduled: ${this.config.enabled ? this.config.schedule : 'disabled'} (source: ${this.config.source})`);
+    }
+
     /**
      * Ejecuta manualmente la obtención de datos para un período específico
      *
@@ -101,6 +167,8 @@ class REEDataFetcher {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} [params.region] - Ámbito geográfico (por defecto nacional)
+     * @param {string} [params.source] - Fuente de los datos (por defecto la configurada)
      * @param {boolean} params.forceUpdate - Forzar actualización incluso si ya existen datos
      * @returns {Promise<Object>} - Resultado de la obtención
      */
@@ -140,8 +208,10 @@ class REEDataFetcher {
             fetchInProgress: this.fetchInProgress,
             jobsCount: this.jobs.length,
             scheduledTimeScopes: this.config.timeScopes,
+            scheduledRegions: this.config.regions,
             retryCount: this.retryCount,
             lastFetchTime: this.lastFetchTime || null,
+            lease: this.lease ? this.lease.getStatus() : null,
             config: {
                 ...this.config,
                 credentials: this.config.credentials ? '***' : undefined
@@ -176,9 +246,15 @@ class REEDataFetcher {
      * Ejecuta una obtención programada
      *
      * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} [trigger='scheduled'] - Origen de la ejecución (scheduled o retry)
      * @private
      */
-    async _executeScheduledFetch(timeScope) {
+    async _executeScheduledFetch(timeScope, trigger = INGESTION_TRIGGERS.SCHEDULED) {
+        if (!this._holdsLease()) {
+            this.logger.debug(`Skipping ${trigger} ${timeScope} fetch because another replica holds the scheduler lease`);
+            return;
+        }
+
         if (this.fetchInProgress) {
             this.logger.warn(`Skipping scheduled ${timeScope} fetch because another fetch is in progress`);
             return;
@@ -191,13 +267,18 @@ class REEDataFetcher {
 
             const params = this._calculateFetchPeriod(timeScope);
 
-            const result = await this._fetchData({
-                ...params,
-                timeScope,
-                forceUpdate: this.config.forceUpdate
-            });
+            for (const region of this.config.regions) {
+                const result = await this._fetchData({
+                    ...params,
+                    timeScope,
+                    region,
+                    forceUpdate: this.config.forceUpdate,
+                    trigger
+                });
+
+                this.logger.info(`Scheduled ${timeScope} fetch for ${region} completed: ${result.message}`);
+            }
 
-            this.logger.info(`Scheduled ${timeScope} fetch completed: ${result.message}`);
             this.lastFetchTime = new Date();
             this.retryCount = 0;
 
@@ -220,12 +301,15 @@ class REEDataFetcher {
      * @private
      */
     _scheduleRetry(timeScope) {
-        const delay = this.config.retryDelay;
+        const circuit = this.reeApiService.getResilienceStatus().circuitBreaker;
+        const circuitDelay = circuit.nextAttemptAt ? circuit.nextAttemptAt.getTime() - Date.now() : 0;
+        // Con el circuito abierto no tiene sentido reintentar antes de que admita peticiones
+        const delay = Math.max(this.config.retryDelay, circuitDelay);
 
         this.logger.info(`Scheduling retry for ${timeScope} fetch in ${delay / 1000} seconds (attempt ${this.retryCount}/${this.config.maxRetries})`);
 
         setTimeout(async () => {
-            await this._executeScheduledFetch(timeScope);
+            await this._executeScheduledFetch(timeScope, INGESTION_TRIGGERS.RETRY);
         }, delay);
     }
 
@@ -241,17 +325,20 @@ class REEDataFetcher {
                 const daysToFetch = this.config.historicalPeriods[timeScope] || 30;
 
                 const endDate = new Date();
-                const startDate = new Date();
-                startDate.setDate(startDate.getDate() - daysToFetch);
+                const startDate = addMadridPeriods(startOfMadridPeriod(endDate, 'day'), 'day', -daysToFetch);
 
-                this.logger.info(`Fetching historical ${timeScope} data from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+                for (const region of this.config.regions) {
+                    this.logger.info(`Fetching historical ${timeScope} data for ${region} from ${startDate.toISOString()} to ${endDate.toISOString()}`);
 
-                await this._fetchData({
-                    startDate,
-                    endDate,
-                    timeScope,
-                    forceUpdate: false
-                });
+                    await this._fetchData({
+                        startDate,
+                        endDate,
+                        timeScope,
+                        region,
+                        forceUpdate: false,
+                        trigger: INGESTION_TRIGGERS.INITIAL
+                    });
+                }
 
                 this.logger.info(`Historical ${timeScope} data fetch completed`);
             } catch (error) {
@@ -260,32 +347,45 @@ class REEDataFetcher {
         }
     }
 
+    /**
+     * Indica si esta réplica debe ejecutar las obtenciones programadas
+     *
+     * @returns {boolean} - true si no hay concesión configurada o esta réplica es la titular
+     * @private
+     */
+    _holdsLease() {
+        return !this.lease || this.lease.isHeld();
+    }
+
     /**
      * Calcula el período para la obtención según el timeScope
      *
+     * El inicio cae en un límite de período en hora de Madrid, donde REE publica
+     * los datos, para que los días de cambio de hora se pidan completos.
+     *
      * @param {string} timeScope - Alcance temporal
      * @returns {Object} - Período calculado (startDate, endDate)
      * @private
      */
     _calculateFetchPeriod(timeScope) {
         const now = new Date();
-        const startDate = new Date();
+        let startDate;
 
         switch (timeScope) {
             case 'hour':
-                startDate.setHours(startDate.getHours() - 24);
+                startDate = addMadridPeriods(startOfMadridPeriod(now, 'hour'), 'hour', -24);
                 break;
             case 'day':
-                startDate.setDate(startDate.getDate() - 7);
+                startDate = addMadridPeriods(startOfMadridPeriod(now, 'day'), 'day', -7);
                 break;
             case 'month':
-                startDate.setMonth(startDate.getMonth() - 3);
+                startDate = addMadridPeriods(startOfMadridPeriod(now, 'month'), 'month', -3);
                 break;
             case 'year':
-                startDate.setFullYear(startDate.getFullYear() - 1);
+                startDate = addMadridPeriods(startOfMadridPeriod(now, 'year'), 'year', -1);
                 break;
             default:
-                startDate.setDate(startDate.getDate() - 1);
+                startDate = addMadridPeriods(now, 'day', -1);
         }
 
         return { startDate, endDate: now };
@@ -301,33 +401,162 @@ class REEDataFetcher {
     async _fetchData(params) {
         try {
             const fetchREEDataUseCase = new FetchREEData(
-                this.reeApiService,
+                this.balanceSources,
                 this.electricBalanceRepository,
-                this.logger
+                this.logger,
+                this.quarantineRepository,
+                this.ingestionRunRepository
             );
 
             const result = await fetchREEDataUseCase.execute({
                 startDate: params.startDate,
                 endDate: params.endDate,
                 timeScope: params.timeScope,
-                forceUpdate: params.forceUpdate
+                region: params.region || DEFAULT_REGION,
+                forceUpdate: params.forceUpdate,
+                trigger: params.trigger || INGESTION_TRIGGERS.MANUAL,
+                source: params.source || this.config.source
             });
 
+            const emissions = await this._fetchEmissions(params);
+            const exchanges = await this._fetchExchanges(params);
+            const installedCapacity = await this._fetchInstalledCapacity(params);
+
             return {
                 success: true,
                 message: result.message,
                 savedCount: result.savedCount,
+                insertedCount: result.insertedCount || 0,
+                updatedCount: result.updatedCount || 0,
+                unchangedCount: result.skippedCount || 0,
+                failedCount: result.failedCount || 0,
+                quarantinedCount: result.quarantinedCount || 0,
                 status: result.status,
                 skipped: result.status === 'skipped',
                 startDate: result.startDate,
                 endDate: result.endDate,
-                timeScope: result.timeScope
+                timeScope: result.timeScope,
+                region: result.region,
+                source: result.source,
+                failedChunks: result.failedChunks || [],
+                ...(emissions ? { emissions } : {}),
+                ...(exchanges ? { exchanges } : {}),
+                ...(installedCapacity ? { installedCapacity } : {})
             };
         } catch (error) {
             this.logger.error(`Error in _fetchData: ${error.message}`, error);
             throw error;
         }
     }
+
+    /**
+     * Obtiene las emisiones de CO2 del mismo período que el balance
+     *
+     * Los fallos se registran pero no interrumpen la ingesta del balance.
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @returns {Promise<Object|null>} - Resultado resumido o null si no aplica
+     * @private
+     */
+    async _fetchEmissions(params) {
+        if (!this.co2EmissionRepository || !FetchCo2Emissions.supportsTimeScope(params.timeScope)) {
+            return null;
+        }
+
+        try {
+            const fetchCo2EmissionsUseCase = new FetchCo2Emissions(
+                this.reeApiService,
+                this.co2EmissionRepository,
+                this.logger
+            );
+
+            const result = await fetchCo2EmissionsUseCase.execute({
+                startDate: params.startDate,
+                endDate: params.endDate,
+                timeScope: params.timeScope,
+                region: params.region || DEFAULT_REGION,
+                forceUpdate: params.forceUpdate
+            });
+
+            return { status: result.status, savedCount: result.savedCount };
+        } catch (error) {
+            this.logger.warn(`CO2 emissions fetch failed: ${error.message}`);
+            return { status: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Obtiene los intercambios por frontera del mismo período que el balance
+     *
+     * REE solo los publica para el conjunto del sistema, así que se omiten en las
+     * regiones distintas de la nacional. Los fallos no interrumpen la ingesta del balance.
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @returns {Promise<Object|null>} - Resultado resumido o null si no aplica
+     * @private
+     */
+    async _fetchExchanges(params) {
+        if (!this.internationalExchangeRepository || (params.region || DEFAULT_REGION) !== DEFAULT_REGION) {
+            return null;
+        }
+
+        try {
+            const fetchInternationalExchangesUseCase = new FetchInternationalExchanges(
+                this.reeApiService,
+                this.internationalExchangeRepository,
+                this.logger
+            );
+
+            const result = await fetchInternationalExchangesUseCase.execute({
+                startDate: params.startDate,
+                endDate: params.endDate,
+                timeScope: params.timeScope,
+                forceUpdate: params.forceUpdate
+            });
+
+            return { status: result.status, savedCount: result.savedCount };
+        } catch (error) {
+            this.logger.warn(`International exchanges fetch failed: ${error.message}`);
+            return { status: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Obtiene la potencia instalada del mismo período que el balance
+     *
+     * REE la publica por meses, así que solo se consulta desde el fetcher mensual.
+     * Los fallos no interrumpen la ingesta del balance.
+     *
+     * @param {Object} params - Parámetros de la obtención
+     * @returns {Promise<Object|null>} - Resultado resumido o null si no aplica
+     * @private
+     */
+    async _fetchInstalledCapacity(params) {
+        if (!this.installedCapacityRepository || params.timeScope !== 'month') {
+            return null;
+        }
+
+        try {
+            const fetchInstalledCapacityUseCase = new FetchInstalledCapacity(
+                this.reeApiService,
+                this.installedCapacityRepository,
+                this.logger
+            );
+
+            const result = await fetchInstalledCapacityUseCase.execute({
+                startDate: params.startDate,
+                endDate: params.endDate,
+                timeScope: params.timeScope,
+                region: params.region || DEFAULT_REGION,
+                forceUpdate: params.forceUpdate
+            });
+
+            return { status: result.status, savedCount: result.savedCount };
+        } catch (error) {
+            this.logger.warn(`Installed capacity fetch failed: ${error.message}`);
+            return { status: 'error', message: error.message };
+        }
+    }
 }
 
 module.exports = REEDataFetcher;
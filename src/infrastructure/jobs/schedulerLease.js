@@ -0,0 +1,177 @@
+/**
+ * @file schedulerLease.js
+ * @description Concesión renovable que decide qué réplica ejecuta una tarea programada
+ *
+ * Con varias réplicas de la API, todas programan los mismos cron. Cada tarea
+ * pide su concesión al arrancar y la renueva periódicamente; solo la réplica
+ * titular ejecuta las obtenciones programadas. Si la titular se cae, la
+ * concesión caduca y otra réplica la toma en su siguiente renovación.
+ */
+
+/**
+ * Clase que mantiene la concesión de una tarea programada
+ */
+class SchedulerLease {
+    /**
+     * Constructor de la concesión
+     *
+     * @param {Object} schedulerLockRepository - Repositorio de concesiones
+     * @param {Object} logger - Logger para registrar eventos
+     * @param {Object} config - Configuración de la concesión
+     * @param {string} config.name - Nombre de la tarea protegida
+     * @param {string} config.instanceId - Identificador de esta réplica
+     * @param {number} [config.ttlMs=60000] - Duración de la concesión si no se renueva
+     * @param {number} [config.renewIntervalMs] - Intervalo de renovación (por defecto un tercio de la duración)
+     */
+    constructor(schedulerLockRepository, logger, config = {}) {
+        this.schedulerLockRepository = schedulerLockRepository;
+        this.logger = logger;
+        this.config = {
+            name: config.name,
+            instanceId: config.instanceId,
+            ttlMs: config.ttlMs || 60 * 1000,
+            renewIntervalMs: config.renewIntervalMs || Math.floor((config.ttlMs || 60 * 1000) / 3)
+        };
+
+        this.timer = null;
+        this.lock = null;
+        // Plazo medido con el reloj local desde antes de pedir la concesión, para no
+        // creerse titular más tiempo del que MongoDB la mantiene
+        this.heldUntil = 0;
+        this.lastCheckTime = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Pide la concesión y programa su renovación
+     *
+     * @returns {Promise<boolean>} - true si esta réplica es la titular
+     */
+    async start() {
+        await this.refresh();
+
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.refresh();
+            }, this.config.renewIntervalMs);
+
+            // La renovación no debe impedir que el proceso termine
+            if (typeof this.timer.unref === 'function') {
+                this.timer.unref();
+            }
+        }
+
+        return this.isHeld();
+    }
+
+    /**
+     * Deja de renovar la concesión y la libera si esta réplica es la titular
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (!this.isHeld()) {
+            return;
+        }
+
+        this.heldUntil = 0;
+
+        try {
+            await this.schedulerLockRepository.release(this.config.name, this.config.instanceId);
+            this.logger.info(`Released scheduler lease ${this.config.name}`);
+        } catch (error) {
+            this.logger.warn(`Could not release scheduler lease ${this.config.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renueva la concesión o intenta tomarla si está libre o caducada
+     *
+     * Los errores no se propagan: si no se puede renovar, la réplica deja de
+     * considerarse titular cuando vence el plazo.
+     *
+     * @returns {Promise<boolean>} - true si esta réplica es la titular
+     */
+    async refresh() {
+        const wasHeld = this.isHeld();
+        const requestedAt = Date.now();
+
+        try {
+            this.lock = await this.schedulerLockRepository.acquire(
+                this.config.name,
+                this.config.instanceId,
+                this.config.ttlMs
+            );
+            this.lastError = null;
+
+            if (this.lock && this.lock.isHeldBy(this.config.instanceId)) {
+                this.heldUntil = requestedAt + this.config.ttlMs;
+            } else {
+                this.heldUntil = 0;
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            this.logger.warn(`Could not refresh scheduler lease ${this.config.name}: ${error.message}`);
+        } finally {
+            this.lastCheckTime = new Date();
+        }
+
+        const held = this.isHeld();
+
+        if (held && !wasHeld) {
+            this.logger.info(`Acquired scheduler lease ${this.config.name} as ${this.config.instanceId}`);
+        } else if (!held && wasHeld) {
+            this.logger.warn(`Lost scheduler lease ${this.config.name}; current holder: ${this._getHolderId() || 'none'}`);
+        }
+
+        return held;
+    }
+
+    /**
+     * Indica si esta réplica tiene la concesión
+     *
+     * @returns {boolean} - true si es la titular y la concesión no ha vencido
+     */
+    isHeld() {
+        return this.heldUntil > Date.now();
+    }
+
+    /**
+     * Obtiene el estado actual de la concesión
+     *
+     * @returns {Object} - Estado actual
+     */
+    getStatus() {
+        return {
+            name: this.config.name,
+            instanceId: this.config.instanceId,
+            held: this.isHeld(),
+            holderId: this._getHolderId(),
+            acquiredAt: this.lock ? this.lock.acquiredAt : null,
+            expiresAt: this.lock ? this.lock.expiresAt : null,
+            lastCheckTime: this.lastCheckTime,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Obtiene la réplica titular según la última comprobación
+     *
+     * @returns {string|null} - Identificador de la réplica titular o null si no hay
+     * @private
+     */
+    _getHolderId() {
+        if (!this.lock || this.lock.isExpired()) {
+            return null;
+        }
+
+        return this.lock.holderId;
+    }
+}
+
+module.exports = SchedulerLease;
@@ -0,0 +1,1345 @@
+/**
+ * @file InMemoryElectricBalanceRepository.js
+ * @description Implementación del repositorio de balance eléctrico en memoria
+ *
+ * Este archivo implementa la interfaz ElectricBalanceRepository guardando los
+ * balances y sus revisiones en memoria del proceso, con la misma semántica que
+ * la implementación de MongoDB: clave única por fecha, alcance y región,
+ * versionado de las correcciones, consultas en un instante (`asOf`), filtros
+ * con operadores de comparación, paginación y agregados. Sirve para arrancar la
+ * API o probar los casos de uso sin base de datos; los datos se pierden al
+ * terminar el proceso.
+ */
+
+const crypto = require('crypto');
+const { types } = require('util');
+const ElectricBalanceRepository = require('../../domain/repositories/ElectricBalanceRepository');
+const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const ElectricBalanceRevision = require('../../domain/entities/ElectricBalanceRevision');
+const { RepositoryError, NotFoundError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION, REGIONS } = require('../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../domain/constants/timeScopes');
+const { getAggregateTechnologyNames } = require('../../domain/constants/technologies');
+
+/**
+ * Indicadores disponibles para las series temporales
+ */
+const TIME_SERIES_INDICATORS = ['totalGeneration', 'totalDemand', 'balance', 'renewablePercentage'];
+
+/**
+ * Implementación del repositorio de balance eléctrico en memoria
+ * @implements {ElectricBalanceRepository}
+ */
+class InMemoryElectricBalanceRepository extends ElectricBalanceRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+
+        // Documentos vigentes por ID, en orden de inserción
+        this.documents = new Map();
+        // ID del documento vigente por clave timestamp, alcance y región
+        this.idsByKey = new Map();
+        // Versiones sustituidas de los balances
+        this.revisions = [];
+
+        this.logger.debug('InMemoryElectricBalanceRepository initialized');
+    }
+
+    /**
+     * Guarda un balance eléctrico
+     *
+     * @param {ElectricBalance} electricBalance - Instancia de ElectricBalance a guardar
+     * @returns {Promise<ElectricBalance>} - Balance eléctrico guardado con ID asignado
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(electricBalance) {
+        try {
+            const savedDocument = this._insert(this._mapToDocument(electricBalance));
+
+            return this._mapToEntity(savedDocument);
+        } catch (error) {
+            this.logger.error(`Error saving electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'save'
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda múltiples balances eléctricos en una operación
+     *
+     * Como en MongoDB, los balances se guardan uno a uno y un fallo deja guardados
+     * los anteriores.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Array de entidades a guardar
+     * @returns {Promise<Array<ElectricBalance>>} - Array de entidades guardadas con IDs asignados
+     * @throws {Error} - Si hay problemas al guardar los datos
+     */
+    async saveMany(electricBalances) {
+        if (!electricBalances || electricBalances.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = electricBalances.map(entity => this._insert(this._mapToDocument(entity)));
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} documents`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving multiple electric balances: ${error.message}`, error);
+            throw new Error(`Failed to save multiple electric balances: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guarda múltiples balances eléctricos, sustituyendo los existentes para la misma fecha, alcance y región
+     *
+     * Cuando los datos de un balance existente cambian, la versión sustituida se
+     * guarda como revisión antes de sobrescribirla; si no cambian no se escribe nada.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Array de entidades a guardar
+     * @returns {Promise<Array<ElectricBalance>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async upsertMany(electricBalances) {
+        if (!electricBalances || electricBalances.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of electricBalances) {
+                const { _id, ...document } = this._mapToDocument(entity);
+                const existing = this._findByKey(document);
+
+                savedDocuments.push(existing
+                    ? this._replaceWithRevision(existing, document)
+                    : this._insert(document));
+            }
+
+            this.logger.debug(`Successfully upserted ${savedDocuments.length} electric balances`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'upsertMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Inserta o actualiza un lote de balances
+     *
+     * Es idempotente sobre la clave timestamp, alcance y región: volver a escribir
+     * los mismos datos no cambia nada. Sin `overwrite` solo se insertan los balances
+     * que no existen; con `overwrite` los que cambian se actualizan conservando la
+     * versión anterior como revisión. Un balance que falla no detiene el resto del
+     * lote: se cuenta y se devuelve en `failures`.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Balances a guardar
+     * @param {Object} [options={}] - Opciones de la escritura
+     * @param {boolean} [options.overwrite=false] - Sustituir los balances existentes cuyos datos cambian
+     * @returns {Promise<Object>} - { insertedCount, updatedCount, unchangedCount, failedCount, failures }
+     * @throws {RepositoryError} - Si no se puede escribir el lote
+     */
+    async bulkUpsert(electricBalances, { overwrite = false } = {}) {
+        const summary = {
+            insertedCount: 0,
+            updatedCount: 0,
+            unchangedCount: 0,
+            failedCount: 0,
+            failures: []
+        };
+
+        if (!electricBalances || electricBalances.length === 0) {
+            return summary;
+        }
+
+        try {
+            const now = new Date();
+
+            for (const entity of electricBalances) {
+                const { _id, ...document } = this._mapToDocument(entity);
+                const validationError = this._validateDocument(document);
+
+                if (validationError) {
+                    summary.failedCount++;
+                    summary.failures.push({
+                        timestamp: document.timestamp,
+                        timeScope: document.timeScope,
+                        region: document.region,
+                        message: validationError
+                    });
+                    continue;
+                }
+
+                const existing = this._findByKey(document);
+
+                if (!existing) {
+                    this._insert(document, now);
+                    summary.insertedCount++;
+                } else if (overwrite && this._hasContentChanged(existing, document)) {
+                    this._replaceWithRevision(existing, document, now);
+                    summary.updatedCount++;
+                } else {
+                    summary.unchangedCount++;
+                }
+            }
+
+            this.logger.debug(
+                `Bulk upsert of ${electricBalances.length} electric balances: ${summary.insertedCount} inserted, ` +
+                `${summary.updatedCount} updated, ${summary.unchangedCount} unchanged, ${summary.failedCount} failed`
+            );
+
+            return summary;
+        } catch (error) {
+            this.logger.error(`Error bulk upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to bulk upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'bulkUpsert'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca un balance eléctrico por su ID
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @returns {Promise<ElectricBalance|null>} - Balance eléctrico encontrado o null
+     */
+    async findById(id) {
+        return this._mapToEntity(this.documents.get(String(id)));
+    }
+
+    /**
+     * Busca balances eléctricos por rango de fechas
+     *
+     * Los filtros admiten igualdad y los operadores $eq, $ne, $gt, $gte, $lt, $lte,
+     * $in y $nin, también sobre campos de los items (`generation.type`).
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {Object} options - Opciones adicionales (región, paginación, ordenación, asOf para ver los datos tal como se conocían en un instante, etc.)
+     * @returns {Promise<Array<ElectricBalance>>} - Array de balances eléctricos
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+        try {
+            const match = this._buildRangeQuery(startDate, endDate, timeScope, options.region || DEFAULT_REGION);
+
+            if (!timeScope) {
+                delete match.timeScope;
+            }
+
+            Object.assign(match, options.filters || {});
+
+            const documents = this._selectDocuments(match, options.asOf);
+
+            if (options.onlyCount) {
+                return { count: documents.length };
+            }
+
+            if (options.onlyIds && !options.asOf) {
+                return documents.map(doc => doc._id);
+            }
+
+            const limit = options.limit || 100;
+            const skip = options.skip || ((options.page || 1) - 1) * limit;
+            const sort = options.sort && Object.keys(options.sort).length > 0 ? options.sort : { timestamp: 1 };
+
+            const page = this._sortDocuments(documents, sort).slice(skip, skip + limit);
+
+            if (options.onlyIds) {
+                return page.map(doc => doc._id);
+            }
+
+            return page.map(doc => this._mapToEntity(options.select ? this._project(doc, options.select) : doc));
+        } catch (error) {
+            this.logger.error(`Error finding electric balances by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balances by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope, region: options.region, asOf: options.asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene estadísticas agregadas de balance eléctrico por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Object>} - Estadísticas agregadas
+     * @throws {RepositoryError} - Si hay problemas al calcular las estadísticas
+     */
+    async getStatsByDateRange(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        try {
+            const documents = this._selectDocuments(this._buildRangeQuery(startDate, endDate, timeScope, region), asOf);
+
+            if (documents.length === 0) {
+                return {
+                    count: 0,
+                    stats: null,
+                    message: 'No data available for the specified range'
+                };
+            }
+
+            const summarize = (field) => {
+                const { average, max, min } = this._summarizeValues(documents.map(doc => doc[field]));
+                return { average, max, min };
+            };
+
+            return {
+                count: documents.length,
+                startDate,
+                endDate,
+                timeScope,
+                region,
+                stats: {
+                    generation: summarize('totalGeneration'),
+                    demand: summarize('totalDemand'),
+                    renewablePercentage: summarize('renewablePercentage')
+                }
+            };
+        } catch (error) {
+            this.logger.error(`Error getting stats by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get stats by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'getStatsByDateRange',
+                    metadata: { startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca el balance eléctrico más reciente
+     *
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<ElectricBalance|null>} - Balance eléctrico más reciente o null
+     */
+    async findMostRecent(region = DEFAULT_REGION) {
+        const [mostRecent] = this._sortDocuments(
+            this._selectDocuments({ region }),
+            { timestamp: -1 }
+        );
+
+        return this._mapToEntity(mostRecent);
+    }
+
+    /**
+     * Actualiza un balance eléctrico existente, conservando como revisión la versión sustituida
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @param {ElectricBalance} electricBalance - Datos actualizados
+     * @returns {Promise<ElectricBalance>} - Balance eléctrico actualizado
+     * @throws {NotFoundError} - Si el balance no existe
+     * @throws {RepositoryError} - Si hay problemas al actualizar
+     */
+    async update(id, electricBalance) {
+        const existing = this.documents.get(String(id));
+
+        if (!existing) {
+            throw new NotFoundError(
+                `Electric balance with ID ${id} not found`,
+                { resourceType: 'ElectricBalance', resourceId: id }
+            );
+        }
+
+        try {
+            const { _id, ...electricBalanceData } = this._mapToDocument(electricBalance);
+
+            return this._mapToEntity(this._replaceWithRevision(existing, electricBalanceData));
+        } catch (error) {
+            this.logger.error(`Error updating electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to update electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'update',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Elimina un balance eléctrico por su ID
+     *
+     * Como en MongoDB, las revisiones del balance se conservan.
+     *
+     * @param {string} id - ID del balance a eliminar
+     * @returns {Promise<boolean>} - true si se eliminó, false si no existía
+     */
+    async delete(id) {
+        const existing = this.documents.get(String(id));
+
+        if (!existing) {
+            return false;
+        }
+
+        this.documents.delete(existing._id);
+        this.idsByKey.delete(this._getBalanceKey(existing));
+
+        return true;
+    }
+
+    /**
+     * Verifica si ya existe un balance eléctrico para una fecha y alcance específicos
+     *
+     * @param {Date} timestamp - Fecha y hora a verificar
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<boolean>} - true si existe, false si no
+     */
+    async existsForDateAndScope(timestamp, timeScope, region = DEFAULT_REGION) {
+        return this.idsByKey.has(this._getBalanceKey({ timestamp, timeScope, region }));
+    }
+
+    /**
+     * Obtiene todas las versiones de un balance eléctrico, de la más antigua a la vigente
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @returns {Promise<Array<ElectricBalanceRevision>>} - Versiones del balance; vacío si no existe
+     */
+    async findRevisions(id) {
+        const balanceId = String(id);
+        const current = this.documents.get(balanceId);
+
+        const versions = this.revisions
+            .filter(revision => revision.balanceId === balanceId)
+            .sort((a, b) => a.version - b.version)
+            .map(revision => this._mapToRevision(revision));
+
+        if (current) {
+            const electricBalance = this._mapToEntity(current);
+
+            versions.push(new ElectricBalanceRevision({
+                balanceId: electricBalance.id,
+                version: electricBalance.version,
+                validFrom: electricBalance.validFrom,
+                supersededAt: null,
+                electricBalance
+            }));
+        }
+
+        return versions;
+    }
+
+    /**
+     * Obtiene las marcas temporales almacenadas en un rango, ordenadas y con repeticiones
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Array<Date>>} - Marcas temporales de los balances guardados
+     */
+    async findTimestamps(startDate, endDate, timeScope, region = DEFAULT_REGION) {
+        return this._sortDocuments(
+            this._selectDocuments(this._buildRangeQuery(startDate, endDate, timeScope, region)),
+            { timestamp: 1 }
+        ).map(doc => new Date(doc.timestamp));
+    }
+
+    /**
+     * Obtiene la distribución de generación por tipo para un rango de fechas
+     *
+     * Las tecnologías agregadas (como la generación renovable total) se excluyen
+     * para no contar dos veces la misma energía.
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Object>} - Distribución de generación por tipo
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getGenerationDistribution(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        try {
+            const aggregateNames = new Set(getAggregateTechnologyNames());
+            const groups = new Map();
+
+            for (const document of this._selectDocuments(this._buildRangeQuery(startDate, endDate, timeScope, region), asOf)) {
+                for (const item of document.generation || []) {
+                    if (aggregateNames.has(item.type)) {
+                        continue;
+                    }
+
+                    if (!groups.has(item.type)) {
+                        groups.set(item.type, { type: item.type, color: item.color ?? null, values: [] });
+                    }
+
+                    groups.get(item.type).values.push(item.value);
+                }
+            }
+
+            const distribution = [...groups.values()]
+                .map(({ type, color, values }) => {
+                    const { total, average, max, min } = this._summarizeValues(values);
+
+                    return {
+                        type,
+                        totalValue: total,
+                        avgValue: average,
+                        maxValue: max,
+                        minValue: min,
+                        color,
+                        count: values.length
+                    };
+                })
+                .sort((a, b) => b.totalValue - a.totalValue);
+
+            const totalGeneration = distribution.reduce(
+                (sum, item) => sum + item.totalValue, 0
+            );
+
+            return distribution.map(item => ({
+                ...item,
+                percentage: totalGeneration > 0
+                    ? (item.totalValue / totalGeneration) * 100
+                    : 0
+            }));
+        } catch (error) {
+            this.logger.error(`Error getting generation distribution: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get generation distribution: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'getGenerationDistribution',
+                    metadata: { startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene la evolución temporal de un indicador específico
+     *
+     * @param {string} indicator - Indicador a obtener (totalGeneration, renewablePercentage, etc.)
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Array<Object>>} - Evolución temporal del indicador
+     * @throws {Error} - Si el indicador no es válido
+     */
+    async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        if (!TIME_SERIES_INDICATORS.includes(indicator)) {
+            throw new Error(`Invalid indicator: ${indicator}. Allowed values: ${TIME_SERIES_INDICATORS.join(', ')}`);
+        }
+
+        return this._sortDocuments(
+            this._selectDocuments(this._buildRangeQuery(startDate, endDate, timeScope, region), asOf),
+            { timestamp: 1 }
+        ).map(doc => ({
+            timestamp: new Date(doc.timestamp),
+            value: doc[indicator]
+        }));
+    }
+
+    /**
+     * Obtiene un lote de balances, ordenados por ID, con sus versiones sustituidas
+     *
+     * @param {Object} [options={}] - Opciones del lote
+     * @param {string} [options.afterId] - ID del último balance del lote anterior
+     * @param {number} [options.limit=500] - Número máximo de balances
+     * @returns {Promise<Object>} - { balances, revisions, lastId }
+     */
+    async exportBatch({ afterId = null, limit = 500 } = {}) {
+        const documents = [...this.documents.values()]
+            .filter(doc => !afterId || doc._id > String(afterId))
+            .sort((a, b) => (a._id < b._id ? -1 : 1))
+            .slice(0, limit);
+
+        const ids = new Set(documents.map(doc => doc._id));
+
+        const revisions = this.revisions
+            .filter(revision => ids.has(revision.balanceId))
+            .sort((a, b) => (a.balanceId === b.balanceId ? a.version - b.version : (a.balanceId < b.balanceId ? -1 : 1)));
+
+        return {
+            balances: documents.map(doc => this._mapToEntity(doc)),
+            revisions: revisions.map(revision => this._mapToRevision(revision)),
+            lastId: documents.length > 0 ? documents[documents.length - 1]._id : null
+        };
+    }
+
+    /**
+     * Guarda un lote exportado de otro almacenamiento conservando IDs, versiones y fechas
+     *
+     * @param {Object} batch - Lote devuelto por exportBatch
+     * @param {Array<ElectricBalance>} batch.balances - Balances vigentes
+     * @param {Array<ElectricBalanceRevision>} [batch.revisions=[]] - Versiones sustituidas
+     * @returns {Promise<Object>} - { importedCount, revisionCount, failedCount, failures }
+     */
+    async importBatch({ balances = [], revisions = [] }) {
+        const summary = { importedCount: 0, revisionCount: 0, failedCount: 0, failures: [] };
+
+        const recordFailure = (entity, message) => {
+            summary.failedCount++;
+            summary.failures.push({
+                id: entity.id,
+                timestamp: entity.timestamp,
+                timeScope: entity.timeScope,
+                region: entity.region,
+                message
+            });
+        };
+
+        for (const revision of revisions) {
+            const document = this._mapRevisionToDocument(revision);
+            const validationError = this._validateDocument(document);
+
+            if (validationError) {
+                recordFailure(revision.electricBalance, validationError);
+                continue;
+            }
+
+            // Una revisión que ya existe se deja como está
+            if (!this.revisions.some(archived => archived.balanceId === document.balanceId && archived.version === document.version)) {
+                this.revisions.push(structuredClone(document));
+                summary.revisionCount++;
+            }
+        }
+
+        for (const entity of balances) {
+            const document = this._castDocument({
+                ...this._mapToDocument(entity),
+                _id: String(entity.id),
+                version: entity.version,
+                validFrom: entity.validFrom,
+                createdAt: entity.createdAt,
+                updatedAt: entity.updatedAt
+            });
+            const validationError = this._validateDocument(document);
+            const key = this._getBalanceKey(document);
+            const ownerId = this.idsByKey.get(key);
+
+            if (validationError || (ownerId && ownerId !== document._id)) {
+                recordFailure(entity, validationError || `Duplicate electric balance for ${key}`);
+                continue;
+            }
+
+            const previous = this.documents.get(document._id);
+
+            if (previous) {
+                this.idsByKey.delete(this._getBalanceKey(previous));
+            }
+
+            this.documents.set(document._id, document);
+            this.idsByKey.set(key, document._id);
+            summary.importedCount++;
+        }
+
+        this.logger.debug(
+            `Imported ${summary.importedCount} electric balances and ${summary.revisionCount} revisions, ` +
+            `${summary.failedCount} failed`
+        );
+
+        return summary;
+    }
+
+    /**
+     * Elimina todos los balances y revisiones guardados
+     *
+     * No forma parte de la interfaz; permite reutilizar la instancia entre pruebas.
+     */
+    clear() {
+        this.documents.clear();
+        this.idsByKey.clear();
+        this.revisions = [];
+    }
+
+    /**
+     * Construye el filtro por rango de fechas, alcance y región
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Object} - Filtro
+     * @private
+     */
+    _buildRangeQuery(startDate, endDate, timeScope, region) {
+        return {
+            timestamp: { $gte: new Date(startDate), $lte: new Date(endDate) },
+            timeScope,
+            region
+        };
+    }
+
+    /**
+     * Obtiene los documentos que cumplen un filtro, en orden de inserción
+     *
+     * Sin `asOf` se usan los balances vigentes. Con `asOf` cada balance se toma en
+     * la versión que estaba vigente en ese instante: el documento actual si ya lo
+     * era, o la revisión cuyo intervalo de vigencia lo contiene.
+     *
+     * @param {Object} match - Filtro sobre los campos del balance
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos
+     * @returns {Array<Object>} - Documentos
+     * @private
+     */
+    _selectDocuments(match, asOf = null) {
+        let documents = [...this.documents.values()];
+
+        if (asOf) {
+            const asOfTime = new Date(asOf).getTime();
+
+            documents = documents
+                .filter(doc => new Date(doc.validFrom || doc.createdAt).getTime() <= asOfTime)
+                .concat(this.revisions
+                    .filter(revision => revision.validFrom.getTime() <= asOfTime && revision.supersededAt.getTime() > asOfTime)
+                    .map(revision => ({ ...revision, _id: revision.balanceId, updatedAt: revision.validFrom })));
+        }
+
+        return documents.filter(doc => this._matches(doc, match));
+    }
+
+    /**
+     * Indica si un documento cumple un filtro con la semántica de MongoDB
+     *
+     * @param {Object} document - Documento
+     * @param {Object} query - Filtro por campo
+     * @returns {boolean} - true si lo cumple
+     * @private
+     */
+    _matches(document, query) {
+        return Object.entries(query).every(([path, condition]) => {
+            const values = this._resolvePath(document, path);
+            const isOperatorObject = condition !== null && typeof condition === 'object' &&
+                !types.isDate(condition) && !Array.isArray(condition) &&
+                Object.keys(condition).length > 0 &&
+                Object.keys(condition).every(key => key.startsWith('$'));
+
+            if (!isOperatorObject) {
+                return values.some(value => this._equals(value, condition));
+            }
+
+            return Object.entries(condition).every(([operator, operand]) =>
+                this._matchesOperator(values, operator, operand)
+            );
+        });
+    }
+
+    /**
+     * Evalúa un operador de comparación sobre los valores de un campo
+     *
+     * @param {Array<*>} values - Valores del campo (varios si recorre un array)
+     * @param {string} operator - Operador ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin)
+     * @param {*} operand - Valor con el que se compara
+     * @returns {boolean} - true si se cumple
+     * @throws {Error} - Si el operador no está soportado
+     * @private
+     */
+    _matchesOperator(values, operator, operand) {
+        const compare = (predicate) => values.some(value => {
+            const result = this._compareValues(value, operand);
+            return result !== null && predicate(result);
+        });
+
+        switch (operator) {
+            case '$eq':
+                return values.some(value => this._equals(value, operand));
+            case '$ne':
+                return !values.some(value => this._equals(value, operand));
+            case '$gt':
+                return compare(result => result > 0);
+            case '$gte':
+                return compare(result => result >= 0);
+            case '$lt':
+                return compare(result => result < 0);
+            case '$lte':
+                return compare(result => result <= 0);
+            case '$in':
+                return operand.some(candidate => values.some(value => this._equals(value, candidate)));
+            case '$nin':
+                return !operand.some(candidate => values.some(value => this._equals(value, candidate)));
+            default:
+                throw new Error(`Unsupported query operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Obtiene los valores de un campo, recorriendo los arrays como hace MongoDB
+     *
+     * @param {Object} document - Documento
+     * @param {string} path - Ruta del campo con puntos (p. ej. `generation.type`)
+     * @returns {Array<*>} - Valores encontrados; [undefined] si el campo no existe
+     * @private
+     */
+    _resolvePath(document, path) {
+        let values = [document];
+
+        for (const segment of path.split('.')) {
+            values = values
+                .flatMap(value => Array.isArray(value) ? value : [value])
+                .map(value => (value !== null && typeof value === 'object') ? value[segment] : undefined);
+        }
+
+        const resolved = values.flatMap(value => Array.isArray(value) ? value : [value]);
+
+        return resolved.length > 0 ? resolved : [undefined];
+    }
+
+    /**
+     * Compara dos valores del mismo tipo
+     *
+     * Las fechas se reconocen con `util.types.isDate`, que también acepta las
+     * copiadas con `structuredClone` desde otro contexto de ejecución (como en Jest).
+     *
+     * @param {*} a - Primer valor
+     * @param {*} b - Segundo valor
+     * @returns {number|null} - Negativo, cero o positivo; null si no son comparables
+     * @private
+     */
+    _compareValues(a, b) {
+        const left = types.isDate(a) ? a.getTime() : a;
+        const right = types.isDate(b) ? b.getTime() : b;
+
+        if (left === null || left === undefined || right === null || right === undefined) {
+            return null;
+        }
+
+        if (typeof left !== typeof right) {
+            return null;
+        }
+
+        return left < right ? -1 : (left > right ? 1 : 0);
+    }
+
+    /**
+     * Indica si dos valores son iguales; las fechas se comparan por su instante
+     *
+     * @param {*} a - Primer valor
+     * @param {*} b - Segundo valor
+     * @returns {boolean} - true si son iguales
+     * @private
+     */
+    _equals(a, b) {
+        if ((a === undefined || a === null) && (b === undefined || b === null)) {
+            return true;
+        }
+
+        return this._compareValues(a, b) === 0;
+    }
+
+    /**
+     * Ordena documentos con una especificación de ordenación de MongoDB
+     *
+     * La ordenación es estable, así los empates conservan el orden de inserción.
+     *
+     * @param {Array<Object>} documents - Documentos a ordenar
+     * @param {Object} sort - Campos y sentido (1 ascendente, -1 descendente)
+     * @returns {Array<Object>} - Nuevo array ordenado
+     * @private
+     */
+    _sortDocuments(documents, sort) {
+        const criteria = Object.entries(sort).map(([path, direction]) => [
+            path,
+            direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1
+        ]);
+
+        return [...documents].sort((a, b) => {
+            for (const [path, direction] of criteria) {
+                const [left] = this._resolvePath(a, path);
+                const [right] = this._resolvePath(b, path);
+                const leftMissing = left === null || left === undefined;
+                const rightMissing = right === null || right === undefined;
+
+                // Como en MongoDB, los valores que faltan van antes en orden ascendente
+                if (leftMissing || rightMissing) {
+                    if (leftMissing !== rightMissing) {
+                        return (leftMissing ? -1 : 1) * direction;
+                    }
+                    continue;
+                }
+
+                const result = this._compareValues(left, right);
+
+                if (result) {
+                    return result * direction;
+                }
+            }
+
+            return 0;
+        });
+    }
+
+    /**
+     * Aplica una proyección de campos a un documento
+     *
+     * @param {Object} document - Documento
+     * @param {string|Object} select - Campos como en Mongoose ('a b', '-a' o { a: 1 })
+     * @returns {Object} - Documento con los campos seleccionados
+     * @private
+     */
+    _project(document, select) {
+        const fields = typeof select === 'string'
+            ? Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field =>
+                field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+            : select;
+
+        const entries = Object.entries(fields).filter(([field]) => field !== '_id');
+        const inclusive = entries.some(([, value]) => value);
+
+        if (!inclusive) {
+            const projected = { ...document };
+            entries.forEach(([field]) => delete projected[field]);
+            return projected;
+        }
+
+        return entries.reduce(
+            (projected, [field, value]) => (value ? { ...projected, [field]: document[field] } : projected),
+            { _id: document._id }
+        );
+    }
+
+    /**
+     * Calcula suma, media, máximo y mínimo de los valores numéricos
+     *
+     * Como los acumuladores de MongoDB, ignora los valores no numéricos.
+     *
+     * @param {Array<*>} values - Valores
+     * @returns {Object} - { total, average, max, min }; null si no hay valores numéricos
+     * @private
+     */
+    _summarizeValues(values) {
+        const numbers = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+        if (numbers.length === 0) {
+            return { total: 0, average: null, max: null, min: null };
+        }
+
+        const total = numbers.reduce((sum, value) => sum + value, 0);
+
+        return {
+            total,
+            average: total / numbers.length,
+            max: Math.max(...numbers),
+            min: Math.min(...numbers)
+        };
+    }
+
+    /**
+     * Valida un documento con las mismas reglas que el esquema de MongoDB
+     *
+     * @param {Object} document - Documento a validar
+     * @returns {string|null} - Mensaje de error o null si es válido
+     * @private
+     */
+    _validateDocument(document) {
+        const errors = [];
+
+        if (!types.isDate(document.timestamp) || isNaN(document.timestamp.getTime())) {
+            errors.push(`timestamp: Cast to date failed for value "${document.timestamp}"`);
+        }
+
+        if (!TIME_SCOPES.includes(document.timeScope)) {
+            errors.push(`timeScope: \`${document.timeScope}\` is not a valid enum value for path \`timeScope\``);
+        }
+
+        if (!REGIONS.includes(document.region)) {
+            errors.push(`region: \`${document.region}\` is not a valid enum value for path \`region\``);
+        }
+
+        if (!Number.isFinite(document.renewablePercentage)) {
+            errors.push(`renewablePercentage: ${document.renewablePercentage} is not a valid percentage value`);
+        }
+
+        ['generation', 'demand', 'interchange'].forEach(field => {
+            (document[field] || []).forEach((item, index) => {
+                if (!item.type) {
+                    errors.push(`${field}.${index}.type: Path \`type\` is required.`);
+                }
+                if (!Number.isFinite(Number(item.value))) {
+                    errors.push(`${field}.${index}.value: Cast to Number failed for value "${item.value}"`);
+                }
+            });
+        });
+
+        return errors.length > 0 ? `ElectricBalance validation failed: ${errors.join(', ')}` : null;
+    }
+
+    /**
+     * Guarda un documento nuevo, rechazando las claves o IDs repetidos
+     *
+     * @param {Object} document - Documento a guardar
+     * @param {Date} [now=new Date()] - Momento de creación
+     * @returns {Object} - Documento guardado
+     * @throws {Error} - Si el documento no es válido o ya existe
+     * @private
+     */
+    _insert(document, now = new Date()) {
+        const validationError = this._validateDocument(document);
+
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        const key = this._getBalanceKey(document);
+        const id = document._id ? String(document._id) : crypto.randomBytes(12).toString('hex');
+
+        if (this.idsByKey.has(key) || this.documents.has(id)) {
+            throw new Error(`Duplicate electric balance for ${key}`);
+        }
+
+        const savedDocument = this._castDocument({
+            ...document,
+            _id: id,
+            version: 1,
+            validFrom: now,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        this.documents.set(id, savedDocument);
+        this.idsByKey.set(key, id);
+
+        return savedDocument;
+    }
+
+    /**
+     * Sustituye un balance guardado por nuevos datos, copiando antes la versión actual a revisiones
+     *
+     * Si los datos no cambian se devuelve el documento existente sin escribir nada.
+     *
+     * @param {Object} existing - Documento actual
+     * @param {Object} document - Nuevos datos, sin `_id`
+     * @param {Date} [now=new Date()] - Momento de la sustitución
+     * @returns {Object} - Documento resultante
+     * @throws {Error} - Si los nuevos datos no son válidos o chocan con otro balance
+     * @private
+     */
+    _replaceWithRevision(existing, document, now = new Date()) {
+        if (!this._hasContentChanged(existing, document)) {
+            return existing;
+        }
+
+        const validationError = this._validateDocument(document);
+
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        const previousKey = this._getBalanceKey(existing);
+        const key = this._getBalanceKey(document);
+
+        if (key !== previousKey && this.idsByKey.has(key)) {
+            throw new Error(`Duplicate electric balance for ${key}`);
+        }
+
+        const version = existing.version || 1;
+        const revision = this._buildRevisionDocument(existing, now);
+
+        // Una revisión que ya existe se da por archivada, como con el índice único de MongoDB
+        if (!this.revisions.some(archived => archived.balanceId === revision.balanceId && archived.version === revision.version)) {
+            this.revisions.push(revision);
+        }
+
+        const updatedDocument = this._castDocument({
+            ...existing,
+            ...document,
+            _id: existing._id,
+            version: version + 1,
+            validFrom: now,
+            updatedAt: now
+        });
+
+        this.documents.set(existing._id, updatedDocument);
+        this.idsByKey.delete(previousKey);
+        this.idsByKey.set(key, existing._id);
+
+        this.logger.debug(`Electric balance ${existing._id} revised to version ${version + 1}`);
+
+        return updatedDocument;
+    }
+
+    /**
+     * Busca el documento vigente con la misma clave que otro
+     *
+     * @param {Object} document - Documento con timestamp, timeScope y region
+     * @returns {Object|undefined} - Documento guardado
+     * @private
+     */
+    _findByKey(document) {
+        const id = this.idsByKey.get(this._getBalanceKey(document));
+
+        return id ? this.documents.get(id) : undefined;
+    }
+
+    /**
+     * Obtiene la clave única de un balance
+     *
+     * @param {Object} document - Documento con timestamp, timeScope y region
+     * @returns {string} - Clave del balance
+     * @private
+     */
+    _getBalanceKey(document) {
+        return `${new Date(document.timestamp).getTime()}|${document.timeScope}|${document.region || DEFAULT_REGION}`;
+    }
+
+    /**
+     * Normaliza un documento con los valores por defecto del esquema y lo copia
+     *
+     * La copia evita que cambios posteriores en las entidades alteren lo guardado.
+     * La respuesta original de REE no se guarda, igual que MongoDB no la devuelve.
+     *
+     * @param {Object} document - Documento a guardar
+     * @returns {Object} - Documento normalizado
+     * @private
+     */
+    _castDocument(document) {
+        const castItems = (items = []) => items.map(item => ({
+            type: item.type,
+            value: Number(item.value),
+            percentage: Number(item.percentage) || 0,
+            color: item.color ?? null,
+            unit: item.unit || 'MW'
+        }));
+
+        const metadata = document.metadata || {};
+
+        return structuredClone({
+            ...document,
+            region: document.region || DEFAULT_REGION,
+            generation: castItems(document.generation),
+            demand: castItems(document.demand),
+            interchange: castItems(document.interchange),
+            metadata: {
+                title: metadata.title,
+                description: metadata.description,
+                source: metadata.source || 'REE API'
+            },
+            qualityFlags: (document.qualityFlags || []).map(flag => ({
+                code: flag.code,
+                severity: flag.severity,
+                message: flag.message || '',
+                details: flag.details || {}
+            }))
+        });
+    }
+
+    /**
+     * Construye la revisión que conserva la versión vigente de un balance antes de sustituirla
+     *
+     * @param {Object} existing - Documento actual
+     * @param {Date} supersededAt - Momento en que deja de ser la versión vigente
+     * @returns {Object} - Documento de revisión
+     * @private
+     */
+    _buildRevisionDocument(existing, supersededAt) {
+        return structuredClone({
+            balanceId: existing._id,
+            version: existing.version || 1,
+            validFrom: existing.validFrom || existing.createdAt || supersededAt,
+            supersededAt,
+            timestamp: existing.timestamp,
+            timeScope: existing.timeScope,
+            region: existing.region || DEFAULT_REGION,
+            generation: existing.generation || [],
+            demand: existing.demand || [],
+            interchange: existing.interchange || [],
+            totalGeneration: existing.totalGeneration,
+            totalDemand: existing.totalDemand,
+            balance: existing.balance,
+            renewablePercentage: existing.renewablePercentage,
+            metadata: {
+                title: existing.metadata?.title,
+                description: existing.metadata?.description,
+                source: existing.metadata?.source
+            },
+            qualityFlags: existing.qualityFlags || [],
+            createdAt: existing.createdAt
+        });
+    }
+
+    /**
+     * Indica si los nuevos datos de un balance difieren de los guardados
+     *
+     * Se comparan los valores de cada item y los códigos de calidad; colores,
+     * unidades y metadatos no crean una versión nueva.
+     *
+     * @param {Object} existing - Documento guardado
+     * @param {Object} document - Nuevos datos
+     * @returns {boolean} - true si hay cambios
+     * @private
+     */
+    _hasContentChanged(existing, document) {
+        const fingerprint = (doc) => JSON.stringify({
+            generation: this._itemsFingerprint(doc.generation),
+            demand: this._itemsFingerprint(doc.demand),
+            interchange: this._itemsFingerprint(doc.interchange),
+            qualityFlags: (doc.qualityFlags || []).map(flag => flag.code).sort()
+        });
+
+        return fingerprint(existing) !== fingerprint(document);
+    }
+
+    /**
+     * Reduce una lista de items a los valores comparables, ordenados por tipo
+     *
+     * @param {Array<Object>} items - Items de generación, demanda o intercambio
+     * @returns {Array<Array>} - Pares [tipo, valor, porcentaje]
+     * @private
+     */
+    _itemsFingerprint(items = []) {
+        return items
+            .map(item => [item.type, Number(item.value) || 0, Number(item.percentage) || 0])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Convierte una versión sustituida a documento de revisión
+     *
+     * @param {ElectricBalanceRevision} revision - Versión del balance
+     * @returns {Object} - Documento de revisión
+     * @private
+     */
+    _mapRevisionToDocument(revision) {
+        const { _id, ...document } = this._castDocument(this._mapToDocument(revision.electricBalance));
+
+        return {
+            ...document,
+            balanceId: String(revision.balanceId),
+            version: revision.version,
+            validFrom: revision.validFrom,
+            supersededAt: revision.supersededAt,
+            createdAt: revision.electricBalance.createdAt
+        };
+    }
+
+    /**
+     * Convierte un documento de revisión a entidad de dominio
+     *
+     * @param {Object} revision - Documento de revisión
+     * @returns {ElectricBalanceRevision} - Versión del balance
+     * @private
+     */
+    _mapToRevision(revision) {
+        return new ElectricBalanceRevision({
+            balanceId: revision.balanceId,
+            version: revision.version,
+            validFrom: revision.validFrom,
+            supersededAt: revision.supersededAt,
+            electricBalance: this._mapToEntity({ ...revision, _id: revision.balanceId, updatedAt: revision.validFrom })
+        });
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento
+     *
+     * @param {ElectricBalance} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para guardar
+     * @private
+     */
+    _mapToDocument(entity) {
+        const totalGeneration = Number.isFinite(entity.getTotalGeneration())
+            ? entity.getTotalGeneration()
+            : 0;
+
+        const totalDemand = Number.isFinite(entity.getTotalDemand())
+            ? entity.getTotalDemand()
+            : 0;
+
+        const balance = Number.isFinite(entity.getBalance())
+            ? entity.getBalance()
+            : 0;
+
+        const renewablePercentage = Number.isFinite(entity.getRenewablePercentage())
+            ? entity.getRenewablePercentage()
+            : 0;
+
+        return {
+            ...(entity.id ? { _id: entity.id } : {}),
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
+            generation: entity.generation || [],
+            demand: entity.demand || [],
+            interchange: entity.interchange || [],
+            totalGeneration,
+            totalDemand,
+            balance,
+            renewablePercentage,
+            metadata: entity.metadata || {},
+            qualityFlags: entity.qualityFlags || []
+        };
+    }
+
+    /**
+     * Convierte un documento a entidad de dominio
+     *
+     * @param {Object} document - Documento guardado
+     * @returns {ElectricBalance} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = structuredClone(document);
+
+        return new ElectricBalance({
+            id: String(docObj._id),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            generation: docObj.generation,
+            demand: docObj.demand,
+            interchange: docObj.interchange,
+            metadata: docObj.metadata || {},
+            qualityFlags: docObj.qualityFlags || [],
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt,
+            version: docObj.version,
+            validFrom: docObj.validFrom
+        });
+    }
+}
+
+module.exports = InMemoryElectricBalanceRepository;
@@ -0,0 +1,239 @@
+/**
+ * @file MongoCo2EmissionRepository.js
+ * @description Implementación del repositorio de emisiones de CO2 utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz Co2EmissionRepository utilizando
+ * MongoDB como almacenamiento, a través del modelo de Mongoose.
+ */
+
+const Co2EmissionRepository = require('../../domain/repositories/Co2EmissionRepository');
+const Co2Emission = require('../../domain/entities/Co2Emission');
+const Co2EmissionModel = require('../database/models/Co2EmissionModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+/**
+ * Implementación del repositorio de emisiones de CO2 utilizando MongoDB
+ * @implements {Co2EmissionRepository}
+ */
+class MongoCo2EmissionRepository extends Co2EmissionRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = Co2EmissionModel;
+    }
+
+    /**
+     * Guarda múltiples registros de emisiones, sustituyendo los existentes para la misma fecha
+     *
+     * @param {Array<Co2Emission>} emissions - Array de entidades a guardar
+     * @returns {Promise<Array<Co2Emission>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async saveMany(emissions) {
+        if (!emissions || emissions.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of emissions) {
+                const document = this._mapToDocument(entity);
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope, region: document.region },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} CO2 emission records`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving CO2 emissions: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save CO2 emissions: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'Co2Emission',
+                    operation: 'saveMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca emisiones por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {Object} options - Opciones adicionales (región, solo conteo)
+     * @returns {Promise<Array<Co2Emission>|Object>} - Emisiones o { count } si se pide solo el conteo
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+        try {
+            const query = {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope,
+                region: options.region || DEFAULT_REGION
+            };
+
+            if (options.onlyCount) {
+                const count = await this.model.countDocuments(query);
+                return { count };
+            }
+
+            const documents = await this.model.find(query).sort({ timestamp: 1 });
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding CO2 emissions by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find CO2 emissions by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'Co2Emission',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope, region: options.region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Verifica si ya existen emisiones para una fecha, alcance y región
+     *
+     * @param {Date} timestamp - Fecha a verificar
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<boolean>} - true si existe, false si no
+     * @throws {RepositoryError} - Si hay problemas al verificar
+     */
+    async existsForDateAndScope(timestamp, timeScope, region = DEFAULT_REGION) {
+        try {
+            const exists = await this.model.exists({
+                timestamp: new Date(timestamp),
+                timeScope,
+                region
+            });
+
+            return exists !== null;
+        } catch (error) {
+            this.logger.error(`Error checking if CO2 emission exists: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to check if CO2 emission exists: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'Co2Emission',
+                    operation: 'existsForDateAndScope',
+                    metadata: { timestamp, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene las emisiones totales y por tecnología de un rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object>} - { count, totalEmissions, byTechnology }
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getTotalsByDateRange(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION) {
+        try {
+            const [byTechnology, count] = await Promise.all([
+                this.model.getTotalsByTechnology(startDate, endDate, timeScope, region),
+                this.model.countDocuments({
+                    timestamp: { $gte: startDate, $lte: endDate },
+                    timeScope,
+                    region
+                })
+            ]);
+
+            const totalEmissions = byTechnology.reduce((sum, item) => sum + item.value, 0);
+
+            return {
+                count,
+                totalEmissions,
+                byTechnology: byTechnology.map(item => ({
+                    ...item,
+                    percentage: totalEmissions > 0 ? (item.value / totalEmissions) * 100 : 0,
+                    unit: 'tCO2 eq.'
+                }))
+            };
+        } catch (error) {
+            this.logger.error(`Error getting CO2 emission totals: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get CO2 emission totals: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'Co2Emission',
+                    operation: 'getTotalsByDateRange',
+                    metadata: { startDate, endDate, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento de MongoDB
+     *
+     * @param {Co2Emission} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para MongoDB
+     * @private
+     */
+    _mapToDocument(entity) {
+        return {
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
+            byTechnology: entity.byTechnology || [],
+            totalEmissions: entity.getTotalEmissions(),
+            metadata: entity.metadata || {}
+        };
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {Co2Emission} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new Co2Emission({
+            id: docObj._id.toString(),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            byTechnology: docObj.byTechnology || [],
+            metadata: docObj.metadata || {},
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt
+        });
+    }
+}
+
+module.exports = MongoCo2EmissionRepository;
@@ -8,8 +8,16 @@
 
 const ElectricBalanceRepository = require('../../domain/repositories/ElectricBalanceRepository');
 const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const ElectricBalanceRevision = require('../../domain/entities/ElectricBalanceRevision');
 const ElectricBalanceModel = require('../database/models/ElectricBalanceModel');
+const ElectricBalanceRevisionModel = require('../database/models/ElectricBalanceRevisionModel');
 const { RepositoryError, NotFoundError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+/**
+ * Código de error de MongoDB para claves duplicadas
+ */
+const DUPLICATE_KEY_ERROR_CODE = 11000;
 
 /**
  * Implementación del repositorio de balance eléctrico utilizando MongoDB
@@ -101,6 +109,208 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
         }
     }
 
+    /**
+     * Guarda múltiples balances eléctricos, sustituyendo los existentes para la misma fecha, alcance y región
+     *
+     * Cuando los datos de un balance existente cambian, la versión sustituida se
+     * guarda como revisión antes de sobrescribirla; si no cambian no se escribe nada.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Array de entidades a guardar
+     * @returns {Promise<Array<ElectricBalance>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async upsertMany(electricBalances) {
+        if (!electricBalances || electricBalances.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of electricBalances) {
+                const { _id, ...document } = this._mapToDocument(entity);
+
+                const existing = await this.model
+                    .findOne({ timestamp: document.timestamp, timeScope: document.timeScope, region: document.region })
+                    .lean();
+
+                if (existing) {
+                    savedDocuments.push(await this._replaceWithRevision(existing, document));
+                    continue;
+                }
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope, region: document.region },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully upserted ${savedDocuments.length} electric balances`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'upsertMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Inserta o actualiza un lote de balances con una sola escritura masiva
+     *
+     * Es idempotente sobre la clave timestamp, alcance y región: volver a escribir
+     * los mismos datos no cambia nada. Sin `overwrite` solo se insertan los balances
+     * que no existen; con `overwrite` los que cambian se actualizan conservando la
+     * versión anterior como revisión. Un balance que falla no detiene el resto del
+     * lote: se cuenta y se devuelve en `failures`.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Balances a guardar
+     * @param {Object} [options={}] - Opciones de la escritura
+     * @param {boolean} [options.overwrite=false] - Sustituir los balances existentes cuyos datos cambian
+     * @returns {Promise<Object>} - { insertedCount, updatedCount, unchangedCount, failedCount, failures }
+     * @throws {RepositoryError} - Si no se puede escribir el lote
+     */
+    async bulkUpsert(electricBalances, { overwrite = false } = {}) {
+        const summary = {
+            insertedCount: 0,
+            updatedCount: 0,
+            unchangedCount: 0,
+            failedCount: 0,
+            failures: []
+        };
+
+        if (!electricBalances || electricBalances.length === 0) {
+            return summary;
+        }
+
+        const recordFailure = (document, message) => {
+            summary.failedCount++;
+            summary.failures.push({
+                timestamp: document.timestamp,
+                timeScope: document.timeScope,
+                region: document.region,
+                message
+            });
+        };
+
+        try {
+            const now = new Date();
+            const documents = [];
+
+            for (const entity of electricBalances) {
+                const { _id, ...document } = this._mapToDocument(entity);
+                const castDocument = new this.model(document);
+                const validationError = castDocument.validateSync();
+
+                if (validationError) {
+                    recordFailure(document, validationError.message);
+                    continue;
+                }
+
+                // El ID y las fechas de creación se asignan al escribir
+                const {
+                    _id: _castId,
+                    createdAt: _createdAt,
+                    updatedAt: _updatedAt,
+                    ...fields
+                } = castDocument.toObject({ depopulate: true });
+                documents.push(fields);
+            }
+
+            const existingByKey = overwrite ? await this._findExistingByKey(documents) : new Map();
+            const operations = [];
+            const changed = [];
+
+            for (const document of documents) {
+                const existing = existingByKey.get(this._getBalanceKey(document));
+
+                if (!existing) {
+                    operations.push({
+                        kind: 'insert',
+                        document,
+                        operation: {
+                            updateOne: {
+                                filter: { timestamp: document.timestamp, timeScope: document.timeScope, region: document.region },
+                                update: { $setOnInsert: { ...document, version: 1, validFrom: now, createdAt: now, updatedAt: now } },
+                                upsert: true
+                            }
+                        }
+                    });
+                } else if (this._hasContentChanged(existing, document)) {
+                    changed.push({ existing, document });
+                } else {
+                    summary.unchangedCount++;
+                }
+            }
+
+            // La revisión se guarda antes que el cambio; si falla, el balance no se actualiza
+            const revisionErrors = await this._archiveRevisions(changed.map(({ existing }) => existing), now);
+
+            changed.forEach(({ existing, document }, index) => {
+                if (revisionErrors.has(index)) {
+                    recordFailure(document, `Could not archive revision: ${revisionErrors.get(index)}`);
+                    return;
+                }
+
+                operations.push({
+                    kind: 'update',
+                    document,
+                    operation: {
+                        updateOne: {
+                            filter: { _id: existing._id },
+                            update: { $set: { ...document, version: (existing.version || 1) + 1, validFrom: now, updatedAt: now } }
+                        }
+                    }
+                });
+            });
+
+            const { upsertedIndexes, writeErrors } = await this._runBulkWrite(
+                this.model.collection,
+                operations.map(({ operation }) => operation)
+            );
+
+            operations.forEach(({ kind, document }, index) => {
+                if (writeErrors.has(index)) {
+                    recordFailure(document, writeErrors.get(index).message);
+                } else if (kind === 'update') {
+                    summary.updatedCount++;
+                } else if (upsertedIndexes.has(index)) {
+                    summary.insertedCount++;
+                } else {
+                    summary.unchangedCount++;
+                }
+            });
+
+            this.logger.debug(
+                `Bulk upsert of ${electricBalances.length} electric balances: ${summary.insertedCount} inserted, ` +
+                `${summary.updatedCount} updated, ${summary.unchangedCount} unchanged, ${summary.failedCount} failed`
+            );
+
+            return summary;
+        } catch (error) {
+            this.logger.error(`Error bulk upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to bulk upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'bulkUpsert'
+                }
+            );
+        }
+    }
+
     /**
      * Busca un balance eléctrico por su ID
      *
@@ -138,20 +348,25 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      * @param {Date} startDate - Fecha de inicio
      * @param {Date} endDate - Fecha de fin
      * @param {string} timeScope - Alcance temporal (day, month, year)
-     * @param {Object} options - Opciones adicionales (paginación, ordenación, etc.)
+     * @param {Object} options - Opciones adicionales (región, paginación, ordenación, asOf para ver los datos tal como se conocían en un instante, etc.)
      * @returns {Promise<Array<ElectricBalance>>} - Array de balances eléctricos
      * @throws {RepositoryError} - Si hay problemas al buscar los datos
      */
     async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
         try {
             const query = {
-                timestamp: { $gte: startDate, $lte: endDate }
+                timestamp: { $gte: startDate, $lte: endDate },
+                region: options.region || DEFAULT_REGION
             };
 
             if (timeScope) {
                 query.timeScope = timeScope;
             }
 
+            if (options.asOf) {
+                return await this._findByDateRangeAsOf(query, options);
+            }
+
             if (options.onlyCount) {
                 const count = await ElectricBalanceModel.countDocuments(query);
                 return { count };
@@ -198,7 +413,7 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                     originalError: error,
                     entity: 'ElectricBalance',
                     operation: 'findByDateRange',
-                    metadata: { startDate, endDate, timeScope }
+                    metadata: { startDate, endDate, timeScope, region: options.region, asOf: options.asOf }
                 }
             );
         }
@@ -210,15 +425,19 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      * @param {Date} startDate - Fecha de inicio
      * @param {Date} endDate - Fecha de fin
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
      * @returns {Promise<Object>} - Estadísticas agregadas
      * @throws {RepositoryError} - Si hay problemas al calcular las estadísticas
      */
-    async getStatsByDateRange(startDate, endDate, timeScope = 'day') {
+    async getStatsByDateRange(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
         try {
             const stats = await ElectricBalanceModel.getStatsByDateRange(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                region,
+                asOf
             );
 
             if (!stats || stats.length === 0) {
@@ -234,6 +453,7 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                 startDate,
                 endDate,
                 timeScope,
+                region,
                 stats: {
                     generation: {
                         average: stats[0].avgTotalGeneration,
@@ -261,7 +481,7 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                     originalError: error,
                     entity: 'ElectricBalance',
                     operation: 'getStatsByDateRange',
-                    metadata: { startDate, endDate, timeScope }
+                    metadata: { startDate, endDate, timeScope, region, asOf }
                 }
             );
         }
@@ -270,12 +490,13 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
     /**
      * Busca el balance eléctrico más reciente
      *
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<ElectricBalance|null>} - Balance eléctrico más reciente o null
      * @throws {RepositoryError} - Si hay problemas al buscar los datos
      */
-    async findMostRecent() {
+    async findMostRecent(region = DEFAULT_REGION) {
         try {
-            const document = await ElectricBalanceModel.findOne()
+            const document = await ElectricBalanceModel.findOne({ region })
                 .sort({ timestamp: -1 })
                 .limit(1);
 
@@ -292,14 +513,15 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                 {
                     originalError: error,
                     entity: 'ElectricBalance',
-                    operation: 'findMostRecent'
+                    operation: 'findMostRecent',
+                    metadata: { region }
                 }
             );
         }
     }
 
     /**
-     * Actualiza un balance eléctrico existente
+     * Actualiza un balance eléctrico existente, conservando como revisión la versión sustituida
      *
      * @param {string} id - ID del balance eléctrico
      * @param {ElectricBalance} electricBalance - Datos actualizados
@@ -309,22 +531,18 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      */
     async update(id, electricBalance) {
         try {
-            const exists = await ElectricBalanceModel.exists({ _id: id });
+            const existing = await ElectricBalanceModel.findById(id).lean();
 
-            if (!exists) {
+            if (!existing) {
                 throw new NotFoundError(
                     `Electric balance with ID ${id} not found`,
                     { resourceType: 'ElectricBalance', resourceId: id }
                 );
             }
 
-            const electricBalanceData = this._mapToDocument(electricBalance);
+            const { _id, ...electricBalanceData } = this._mapToDocument(electricBalance);
 
-            const updatedDocument = await ElectricBalanceModel.findByIdAndUpdate(
-                id,
-                electricBalanceData,
-                { new: true, runValidators: true }
-            );
+            const updatedDocument = await this._replaceWithRevision(existing, electricBalanceData);
 
             return this._mapToEntity(updatedDocument);
         } catch (error) {
@@ -378,20 +596,16 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      *
      * @param {Date} timestamp - Fecha y hora a verificar
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
      * @returns {Promise<boolean>} - true si existe, false si no
      * @throws {RepositoryError} - Si hay problemas al verificar
      */
-    async existsForDateAndScope(timestamp, timeScope) {
+    async existsForDateAndScope(timestamp, timeScope, region = DEFAULT_REGION) {
         try {
-            const startOfDay = new Date(timestamp);
-            startOfDay.setHours(0, 0, 0, 0);
-
-            const endOfDay = new Date(timestamp);
-            endOfDay.setHours(23, 59, 59, 999);
-
             const exists = await ElectricBalanceModel.exists({
-                timestamp: { $gte: startOfDay, $lte: endOfDay },
-                timeScope
+                timestamp: new Date(timestamp),
+                timeScope,
+                region
             });
 
             return exists !== null;
@@ -404,7 +618,88 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                     originalError: error,
                     entity: 'ElectricBalance',
                     operation: 'existsForDateAndScope',
-                    metadata: { timestamp, timeScope }
+                    metadata: { timestamp, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene todas las versiones de un balance eléctrico, de la más antigua a la vigente
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @returns {Promise<Array<ElectricBalanceRevision>>} - Versiones del balance; vacío si no existe
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findRevisions(id) {
+        try {
+            const [current, revisions] = await Promise.all([
+                ElectricBalanceModel.findById(id).lean(),
+                ElectricBalanceRevisionModel.find({ balanceId: id }).sort({ version: 1 }).lean()
+            ]);
+
+            const versions = revisions.map(revision => this._mapToRevision(revision));
+
+            if (current) {
+                const electricBalance = this._mapToEntity(current);
+
+                versions.push(new ElectricBalanceRevision({
+                    balanceId: electricBalance.id,
+                    version: electricBalance.version,
+                    validFrom: electricBalance.validFrom,
+                    supersededAt: null,
+                    electricBalance
+                }));
+            }
+
+            return versions;
+        } catch (error) {
+            this.logger.error(`Error finding electric balance revisions: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balance revisions: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findRevisions',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene las marcas temporales almacenadas en un rango, ordenadas y con repeticiones
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Array<Date>>} - Marcas temporales de los balances guardados
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findTimestamps(startDate, endDate, timeScope, region = DEFAULT_REGION) {
+        try {
+            const documents = await ElectricBalanceModel.find({
+                timestamp: { $gte: new Date(startDate), $lte: new Date(endDate) },
+                timeScope,
+                region
+            })
+                .select('timestamp')
+                .sort({ timestamp: 1 })
+                .lean();
+
+            return documents.map(doc => doc.timestamp);
+        } catch (error) {
+            this.logger.error(`Error finding electric balance timestamps: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balance timestamps: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findTimestamps',
+                    metadata: { startDate, endDate, timeScope, region }
                 }
             );
         }
@@ -416,15 +711,19 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      * @param {Date} startDate - Fecha de inicio
      * @param {Date} endDate - Fecha de fin
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
      * @returns {Promise<Object>} - Distribución de generación por tipo
      * @throws {RepositoryError} - Si hay problemas al obtener los datos
      */
-    async getGenerationDistribution(startDate, endDate, timeScope = 'day') {
+    async getGenerationDistribution(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
         try {
             const distribution = await ElectricBalanceModel.getGenerationDistribution(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                region,
+                asOf
             );
 
             const totalGeneration = distribution.reduce(
@@ -446,7 +745,7 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                     originalError: error,
                     entity: 'ElectricBalance',
                     operation: 'getGenerationDistribution',
-                    metadata: { startDate, endDate, timeScope }
+                    metadata: { startDate, endDate, timeScope, region, asOf }
                 }
             );
         }
@@ -459,16 +758,20 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
      * @param {Date} startDate - Fecha de inicio
      * @param {Date} endDate - Fecha de fin
      * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
      * @returns {Promise<Array<Object>>} - Evolución temporal del indicador
      * @throws {RepositoryError} - Si hay problemas al obtener los datos
      */
-    async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day') {
+    async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
         try {
             return ElectricBalanceModel.getTimeSeriesForIndicator(
                 indicator,
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                region,
+                asOf
             );
         } catch (error) {
             this.logger.error(`Error getting time series for indicator: ${error.message}`, error);
@@ -479,10 +782,461 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
                     originalError: error,
                     entity: 'ElectricBalance',
                     operation: 'getTimeSeriesForIndicator',
-                    metadata: { indicator, startDate, endDate, timeScope }
+                    metadata: { indicator, startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene un lote de balances, ordenados por ID, con sus versiones sustituidas
+     *
+     * @param {Object} [options={}] - Opciones del lote
+     * @param {string} [options.afterId] - ID del último balance del lote anterior
+     * @param {number} [options.limit=500] - Número máximo de balances
+     * @returns {Promise<Object>} - { balances, revisions, lastId }
+     * @throws {RepositoryError} - Si hay problemas al leer los datos
+     */
+    async exportBatch({ afterId = null, limit = 500 } = {}) {
+        try {
+            const documents = await this.model
+                .find(afterId ? { _id: { $gt: afterId } } : {})
+                .sort({ _id: 1 })
+                .limit(limit)
+                .lean();
+
+            const revisions = documents.length > 0
+                ? await ElectricBalanceRevisionModel
+                    .find({ balanceId: { $in: documents.map(doc => doc._id) } })
+                    .sort({ balanceId: 1, version: 1 })
+                    .lean()
+                : [];
+
+            return {
+                balances: documents.map(doc => this._mapToEntity(doc)),
+                revisions: revisions.map(revision => this._mapToRevision(revision)),
+                lastId: documents.length > 0 ? documents[documents.length - 1]._id.toString() : null
+            };
+        } catch (error) {
+            this.logger.error(`Error exporting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to export electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'exportBatch',
+                    metadata: { afterId, limit }
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda un lote exportado de otro almacenamiento conservando IDs, versiones y fechas
+     *
+     * @param {Object} batch - Lote devuelto por exportBatch
+     * @param {Array<ElectricBalance>} batch.balances - Balances vigentes
+     * @param {Array<ElectricBalanceRevision>} [batch.revisions=[]] - Versiones sustituidas
+     * @returns {Promise<Object>} - { importedCount, revisionCount, failedCount, failures }
+     * @throws {RepositoryError} - Si no se puede escribir el lote
+     */
+    async importBatch({ balances = [], revisions = [] }) {
+        const summary = { importedCount: 0, revisionCount: 0, failedCount: 0, failures: [] };
+
+        const recordFailure = (entity, message) => {
+            summary.failedCount++;
+            summary.failures.push({
+                id: entity.id,
+                timestamp: entity.timestamp,
+                timeScope: entity.timeScope,
+                region: entity.region,
+                message
+            });
+        };
+
+        try {
+            const revisionOperations = [];
+
+            for (const revision of revisions) {
+                const document = new ElectricBalanceRevisionModel(this._mapRevisionToDocument(revision));
+                const validationError = document.validateSync();
+
+                if (validationError) {
+                    recordFailure(revision.electricBalance, validationError.message);
+                    continue;
+                }
+
+                revisionOperations.push({
+                    revision,
+                    operation: { insertOne: { document: document.toObject({ depopulate: true }) } }
+                });
+            }
+
+            const { writeErrors: revisionErrors } = await this._runBulkWrite(
+                ElectricBalanceRevisionModel.collection,
+                revisionOperations.map(({ operation }) => operation)
+            );
+
+            // Una revisión que ya existe se deja como está
+            revisionOperations.forEach(({ revision }, index) => {
+                if (!revisionErrors.has(index)) {
+                    summary.revisionCount++;
+                } else if (revisionErrors.get(index).code !== DUPLICATE_KEY_ERROR_CODE) {
+                    recordFailure(revision.electricBalance, revisionErrors.get(index).message);
+                }
+            });
+
+            const balanceOperations = [];
+
+            for (const entity of balances) {
+                const document = new this.model({
+                    ...this._mapToDocument(entity),
+                    version: entity.version,
+                    validFrom: entity.validFrom,
+                    createdAt: entity.createdAt,
+                    updatedAt: entity.updatedAt
+                });
+                const validationError = document.validateSync();
+
+                if (validationError) {
+                    recordFailure(entity, validationError.message);
+                    continue;
+                }
+
+                const fields = document.toObject({ depopulate: true });
+
+                balanceOperations.push({
+                    entity,
+                    operation: { replaceOne: { filter: { _id: fields._id }, replacement: fields, upsert: true } }
+                });
+            }
+
+            const { writeErrors } = await this._runBulkWrite(
+                this.model.collection,
+                balanceOperations.map(({ operation }) => operation)
+            );
+
+            balanceOperations.forEach(({ entity }, index) => {
+                if (writeErrors.has(index)) {
+                    recordFailure(entity, writeErrors.get(index).message);
+                } else {
+                    summary.importedCount++;
                 }
+            });
+
+            this.logger.debug(
+                `Imported ${summary.importedCount} electric balances and ${summary.revisionCount} revisions, ` +
+                `${summary.failedCount} failed`
             );
+
+            return summary;
+        } catch (error) {
+            this.logger.error(`Error importing electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to import electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'importBatch'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca balances por rango de fechas tal como estaban en el instante `options.asOf`
+     *
+     * Los filtros adicionales se aplican sobre la versión vigente en ese instante.
+     *
+     * @param {Object} query - Filtro por fecha, alcance y región
+     * @param {Object} options - Opciones de findByDateRange
+     * @returns {Promise<Array<ElectricBalance>|Object>} - Balances, o { count } si se pide solo el recuento
+     * @private
+     */
+    async _findByDateRangeAsOf(query, options) {
+        const match = { ...query, ...(options.filters || {}) };
+
+        if (options.onlyCount) {
+            const count = await ElectricBalanceModel.countAsOf(match, options.asOf);
+            return { count };
+        }
+
+        const limit = options.limit || 100;
+        const skip = options.skip || ((options.page || 1) - 1) * limit;
+        const sort = options.sort && Object.keys(options.sort).length > 0 ? options.sort : { timestamp: 1 };
+
+        const documents = await ElectricBalanceModel.findAsOf(match, options.asOf, { sort, skip, limit });
+
+        if (options.onlyIds) {
+            return documents.map(doc => doc._id.toString());
+        }
+
+        return documents.map(doc => this._mapToEntity(doc));
+    }
+
+    /**
+     * Sustituye un balance guardado por nuevos datos, copiando antes la versión actual a revisiones
+     *
+     * Si los datos no cambian se devuelve el documento existente sin escribir nada.
+     *
+     * @param {Object} existing - Documento actual (objeto plano)
+     * @param {Object} document - Nuevos datos, sin `_id`
+     * @returns {Promise<Object>} - Documento resultante
+     * @private
+     */
+    async _replaceWithRevision(existing, document) {
+        if (!this._hasContentChanged(existing, document)) {
+            return existing;
+        }
+
+        const now = new Date();
+        const version = existing.version || 1;
+
+        await ElectricBalanceRevisionModel.create(this._buildRevisionDocument(existing, now));
+
+        this.logger.debug(`Electric balance ${existing._id} revised to version ${version + 1}`);
+
+        return this.model.findByIdAndUpdate(
+            existing._id,
+            { ...document, version: version + 1, validFrom: now },
+            { new: true, runValidators: true }
+        );
+    }
+
+    /**
+     * Carga en una consulta los balances guardados con la misma clave que los documentos
+     *
+     * @param {Array<Object>} documents - Documentos a guardar
+     * @returns {Promise<Map<string, Object>>} - Documentos guardados indexados por clave
+     * @private
+     */
+    async _findExistingByKey(documents) {
+        const groups = new Map();
+
+        for (const document of documents) {
+            const groupKey = `${document.timeScope}|${document.region}`;
+
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { timeScope: document.timeScope, region: document.region, timestamps: [] });
+            }
+
+            groups.get(groupKey).timestamps.push(document.timestamp);
         }
+
+        if (groups.size === 0) {
+            return new Map();
+        }
+
+        const existing = await this.model
+            .find({
+                $or: [...groups.values()].map(({ timeScope, region, timestamps }) => ({
+                    timeScope,
+                    region,
+                    timestamp: { $in: timestamps }
+                }))
+            })
+            .lean();
+
+        return new Map(existing.map(doc => [this._getBalanceKey(doc), doc]));
+    }
+
+    /**
+     * Obtiene la clave única de un balance
+     *
+     * @param {Object} document - Documento con timestamp, timeScope y region
+     * @returns {string} - Clave del balance
+     * @private
+     */
+    _getBalanceKey(document) {
+        return `${new Date(document.timestamp).getTime()}|${document.timeScope}|${document.region || DEFAULT_REGION}`;
+    }
+
+    /**
+     * Guarda las revisiones de los balances que se van a sustituir
+     *
+     * Una revisión que ya existe (de un intento anterior cuyo cambio no llegó a
+     * guardarse) se da por archivada.
+     *
+     * @param {Array<Object>} existingDocuments - Documentos vigentes que se van a sustituir
+     * @param {Date} supersededAt - Momento de la sustitución
+     * @returns {Promise<Map<number, string>>} - Errores por posición del documento
+     * @private
+     */
+    async _archiveRevisions(existingDocuments, supersededAt) {
+        const errors = new Map();
+        const revisions = [];
+        const positions = [];
+
+        existingDocuments.forEach((existing, index) => {
+            const revision = new ElectricBalanceRevisionModel(this._buildRevisionDocument(existing, supersededAt));
+            const validationError = revision.validateSync();
+
+            if (validationError) {
+                errors.set(index, validationError.message);
+                return;
+            }
+
+            revisions.push({ insertOne: { document: revision.toObject({ depopulate: true }) } });
+            positions.push(index);
+        });
+
+        const { writeErrors } = await this._runBulkWrite(ElectricBalanceRevisionModel.collection, revisions);
+
+        writeErrors.forEach(({ code, message }, revisionIndex) => {
+            if (code !== DUPLICATE_KEY_ERROR_CODE) {
+                errors.set(positions[revisionIndex], message);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Ejecuta operaciones sin orden sobre una colección y recoge el resultado de cada una
+     *
+     * Se usa el driver directamente porque las operaciones ya van validadas y así
+     * las posiciones de los errores corresponden con las de las operaciones.
+     *
+     * @param {Object} collection - Colección nativa de MongoDB
+     * @param {Array<Object>} operations - Operaciones de bulkWrite
+     * @returns {Promise<Object>} - { upsertedIndexes: Set<number>, writeErrors: Map<number, { code, message }> }
+     * @throws {Error} - Si falla el lote completo (por ejemplo, sin conexión)
+     * @private
+     */
+    async _runBulkWrite(collection, operations) {
+        if (operations.length === 0) {
+            return { upsertedIndexes: new Set(), writeErrors: new Map() };
+        }
+
+        let result;
+        let writeErrors = [];
+
+        try {
+            result = await collection.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            if (!error.result || !error.writeErrors) {
+                throw error;
+            }
+
+            result = error.result;
+            writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+        }
+
+        return {
+            upsertedIndexes: new Set(Object.keys(result.upsertedIds || {}).map(Number)),
+            writeErrors: new Map(writeErrors.map(writeError => [
+                writeError.index,
+                { code: writeError.code, message: writeError.errmsg || writeError.message }
+            ]))
+        };
+    }
+
+    /**
+     * Construye la revisión que conserva la versión vigente de un balance antes de sustituirla
+     *
+     * @param {Object} existing - Documento actual (objeto plano)
+     * @param {Date} supersededAt - Momento en que deja de ser la versión vigente
+     * @returns {Object} - Documento de revisión
+     * @private
+     */
+    _buildRevisionDocument(existing, supersededAt) {
+        return {
+            balanceId: existing._id,
+            version: existing.version || 1,
+            validFrom: existing.validFrom || existing.createdAt || supersededAt,
+            supersededAt,
+            timestamp: existing.timestamp,
+            timeScope: existing.timeScope,
+            region: existing.region || DEFAULT_REGION,
+            generation: existing.generation || [],
+            demand: existing.demand || [],
+            interchange: existing.interchange || [],
+            totalGeneration: existing.totalGeneration,
+            totalDemand: existing.totalDemand,
+            balance: existing.balance,
+            renewablePercentage: existing.renewablePercentage,
+            metadata: {
+                title: existing.metadata?.title,
+                description: existing.metadata?.description,
+                source: existing.metadata?.source
+            },
+            qualityFlags: existing.qualityFlags || [],
+            createdAt: existing.createdAt
+        };
+    }
+
+    /**
+     * Indica si los nuevos datos de un balance difieren de los guardados
+     *
+     * Se comparan los valores de cada item y los códigos de calidad; colores,
+     * unidades y metadatos no crean una versión nueva.
+     *
+     * @param {Object} existing - Documento guardado
+     * @param {Object} document - Nuevos datos
+     * @returns {boolean} - true si hay cambios
+     * @private
+     */
+    _hasContentChanged(existing, document) {
+        const fingerprint = (doc) => JSON.stringify({
+            generation: this._itemsFingerprint(doc.generation),
+            demand: this._itemsFingerprint(doc.demand),
+            interchange: this._itemsFingerprint(doc.interchange),
+            qualityFlags: (doc.qualityFlags || []).map(flag => flag.code).sort()
+        });
+
+        return fingerprint(existing) !== fingerprint(document);
+    }
+
+    /**
+     * Reduce una lista de items a los valores comparables, ordenados por tipo
+     *
+     * @param {Array<Object>} items - Items de generación, demanda o intercambio
+     * @returns {Array<Array>} - Pares [tipo, valor, porcentaje]
+     * @private
+     */
+    _itemsFingerprint(items = []) {
+        return items
+            .map(item => [item.type, Number(item.value) || 0, Number(item.percentage) || 0])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Convierte una versión sustituida a documento de revisión
+     *
+     * @param {ElectricBalanceRevision} revision - Versión del balance
+     * @returns {Object} - Documento de revisión
+     * @private
+     */
+    _mapRevisionToDocument(revision) {
+        const { _id, ...document } = this._mapToDocument(revision.electricBalance);
+
+        return {
+            ...document,
+            balanceId: revision.balanceId,
+            version: revision.version,
+            validFrom: revision.validFrom,
+            supersededAt: revision.supersededAt,
+            createdAt: revision.electricBalance.createdAt
+        };
+    }
+
+    /**
+     * Convierte un documento de revisión a entidad de dominio
+     *
+     * @param {Object} revision - Documento de revisión (objeto plano)
+     * @returns {ElectricBalanceRevision} - Versión del balance
+     * @private
+     */
+    _mapToRevision(revision) {
+        return new ElectricBalanceRevision({
+            balanceId: revision.balanceId.toString(),
+            version: revision.version,
+            validFrom: revision.validFrom,
+            supersededAt: revision.supersededAt,
+            electricBalance: this._mapToEntity({ ...revision, _id: revision.balanceId, updatedAt: revision.validFrom })
+        });
     }
 
     /**
@@ -513,6 +1267,7 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
             ...(entity.id ? { _id: entity.id } : {}),
             timestamp: entity.timestamp,
             timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
             generation: entity.generation || [],
             demand: entity.demand || [],
             interchange: entity.interchange || [],
@@ -520,7 +1275,8 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
             totalDemand,
             balance,
             renewablePercentage,
-            metadata: entity.metadata || {}
+            metadata: entity.metadata || {},
+            qualityFlags: entity.qualityFlags || []
         };
 
         return document;
@@ -542,12 +1298,16 @@ class MongoElectricBalanceRepository extends ElectricBalanceRepository {
             id: docObj._id.toString(),
             timestamp: docObj.timestamp,
             timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
             generation: docObj.generation,
             demand: docObj.demand,
             interchange: docObj.interchange,
             metadata: docObj.metadata || {},
+            qualityFlags: docObj.qualityFlags || [],
             createdAt: docObj.createdAt,
-            updatedAt: docObj.updatedAt
+            updatedAt: docObj.updatedAt,
+            version: docObj.version,
+            validFrom: docObj.validFrom
         });
 
         return entity;
@@ -0,0 +1,107 @@
+/**
+ * @file MongoFetchScheduleRepository.js
+ * @description Implementación de la programación de las obtenciones utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz FetchScheduleRepository utilizando
+ * MongoDB como almacenamiento.
+ */
+
+const FetchScheduleRepository = require('../../domain/repositories/FetchScheduleRepository');
+const FetchSchedule = require('../../domain/entities/FetchSchedule');
+const FetchScheduleModel = require('../database/models/FetchScheduleModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Implementación de la programación de las obtenciones utilizando MongoDB
+ * @implements {FetchScheduleRepository}
+ */
+class MongoFetchScheduleRepository extends FetchScheduleRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = FetchScheduleModel;
+    }
+
+    /**
+     * Lista las programaciones modificadas en tiempo de ejecución
+     *
+     * @returns {Promise<Array<FetchSchedule>>} - Programaciones guardadas
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findAll() {
+        try {
+            const documents = await this.model.find().lean();
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding fetch schedules: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find fetch schedules: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'FetchSchedule',
+                    operation: 'findAll'
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda la programación de un alcance temporal, sustituyendo la anterior
+     *
+     * @param {FetchSchedule} fetchSchedule - Programación a guardar
+     * @returns {Promise<FetchSchedule>} - Programación guardada
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(fetchSchedule) {
+        try {
+            const document = await this.model.findOneAndUpdate(
+                { timeScope: fetchSchedule.timeScope },
+                { $set: fetchSchedule.toJSON() },
+                { upsert: true, new: true, runValidators: true, lean: true }
+            );
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error saving fetch schedule: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save fetch schedule: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'FetchSchedule',
+                    operation: 'save',
+                    metadata: { timeScope: fetchSchedule.timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {FetchSchedule} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        return new FetchSchedule({
+            timeScope: document.timeScope,
+            cron: document.cron,
+            historicalDays: document.historicalDays,
+            enabled: document.enabled,
+            source: document.source,
+            updatedAt: document.updatedAt
+        });
+    }
+}
+
+module.exports = MongoFetchScheduleRepository;
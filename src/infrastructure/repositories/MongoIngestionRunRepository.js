@@ -0,0 +1,210 @@
+/**
+ * @file MongoIngestionRunRepository.js
+ * @description Implementación del registro de ejecuciones de ingesta utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz IngestionRunRepository utilizando
+ * MongoDB como almacenamiento.
+ */
+
+const IngestionRunRepository = require('../../domain/repositories/IngestionRunRepository');
+const IngestionRun = require('../../domain/entities/IngestionRun');
+const IngestionRunModel = require('../database/models/IngestionRunModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { DATASETS } = require('../../domain/constants/datasets');
+const { INGESTION_RUN_STATUSES } = require('../../domain/constants/ingestionRuns');
+
+/**
+ * Implementación del registro de ejecuciones de ingesta utilizando MongoDB
+ * @implements {IngestionRunRepository}
+ */
+class MongoIngestionRunRepository extends IngestionRunRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = IngestionRunModel;
+    }
+
+    /**
+     * Guarda una ejecución de ingesta
+     *
+     * @param {IngestionRun} ingestionRun - Ejecución a guardar
+     * @returns {Promise<IngestionRun>} - Ejecución guardada con ID asignado
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(ingestionRun) {
+        try {
+            const { id: _id, ...document } = ingestionRun.toJSON();
+
+            const savedDoc = await this.model.create(document);
+
+            return this._mapToEntity(savedDoc);
+        } catch (error) {
+            this.logger.error(`Error saving ingestion run: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save ingestion run: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'IngestionRun',
+                    operation: 'save'
+                }
+            );
+        }
+    }
+
+    /**
+     * Lista ejecuciones de ingesta, de la más reciente a la más antigua
+     *
+     * @param {Object} criteria - Filtros (dataset, trigger, status, timeScope, region, startedAfter, startedBefore)
+     * @param {Object} options - Opciones adicionales
+     * @param {number} [options.limit=20] - Máximo de ejecuciones a devolver
+     * @param {number} [options.skip=0] - Ejecuciones a saltar
+     * @returns {Promise<Array<IngestionRun>>} - Ejecuciones encontradas
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByCriteria(criteria = {}, options = {}) {
+        try {
+            const documents = await this.model
+                .find(this._buildQuery(criteria))
+                .sort({ startedAt: -1 })
+                .skip(options.skip || 0)
+                .limit(options.limit || 20);
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding ingestion runs: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find ingestion runs: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'IngestionRun',
+                    operation: 'findByCriteria',
+                    metadata: criteria
+                }
+            );
+        }
+    }
+
+    /**
+     * Cuenta las ejecuciones de ingesta que cumplen los filtros
+     *
+     * @param {Object} criteria - Filtros, como en findByCriteria
+     * @returns {Promise<number>} - Número de ejecuciones
+     * @throws {RepositoryError} - Si hay problemas al contar los datos
+     */
+    async countByCriteria(criteria = {}) {
+        try {
+            return await this.model.countDocuments(this._buildQuery(criteria));
+        } catch (error) {
+            this.logger.error(`Error counting ingestion runs: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to count ingestion runs: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'IngestionRun',
+                    operation: 'countByCriteria',
+                    metadata: criteria
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca la última ejecución que terminó sin errores para un alcance temporal
+     *
+     * @param {string} timeScope - Alcance temporal
+     * @param {Object} options - Opciones adicionales
+     * @param {string} [options.dataset='electricBalance'] - Conjunto de datos
+     * @param {string} [options.region='national'] - Ámbito geográfico
+     * @returns {Promise<IngestionRun|null>} - Última ejecución correcta o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findLastSuccessful(timeScope, { dataset = DATASETS.ELECTRIC_BALANCE, region = DEFAULT_REGION } = {}) {
+        try {
+            const document = await this.model
+                .findOne({ dataset, timeScope, region, status: INGESTION_RUN_STATUSES.SUCCESS })
+                .sort({ finishedAt: -1 });
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error finding last successful ingestion run: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find last successful ingestion run: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'IngestionRun',
+                    operation: 'findLastSuccessful',
+                    metadata: { dataset, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Construye la consulta de MongoDB a partir de los filtros
+     *
+     * @param {Object} criteria - Filtros de búsqueda
+     * @returns {Object} - Consulta de MongoDB
+     * @private
+     */
+    _buildQuery({ dataset, trigger, status, timeScope, region, startedAfter, startedBefore } = {}) {
+        const query = {};
+
+        if (dataset) query.dataset = dataset;
+        if (trigger) query.trigger = trigger;
+        if (status) query.status = status;
+        if (timeScope) query.timeScope = timeScope;
+        if (region) query.region = region;
+
+        if (startedAfter || startedBefore) {
+            query.startedAt = {};
+            if (startedAfter) query.startedAt.$gte = new Date(startedAfter);
+            if (startedBefore) query.startedAt.$lte = new Date(startedBefore);
+        }
+
+        return query;
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {IngestionRun} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new IngestionRun({
+            id: docObj._id.toString(),
+            dataset: docObj.dataset,
+            trigger: docObj.trigger,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            source: docObj.source || null,
+            startDate: docObj.startDate,
+            endDate: docObj.endDate,
+            status: docObj.status,
+            savedCount: docObj.savedCount,
+            skippedCount: docObj.skippedCount,
+            quarantinedCount: docObj.quarantinedCount,
+            failedChunkCount: docObj.failedChunkCount,
+            startedAt: docObj.startedAt,
+            finishedAt: docObj.finishedAt,
+            error: docObj.error
+        });
+    }
+}
+
+module.exports = MongoIngestionRunRepository;
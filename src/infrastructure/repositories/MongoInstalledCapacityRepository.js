@@ -0,0 +1,223 @@
+/**
+ * @file MongoInstalledCapacityRepository.js
+ * @description Implementación del repositorio de potencia instalada utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz InstalledCapacityRepository utilizando
+ * MongoDB como almacenamiento, a través del modelo de Mongoose.
+ */
+
+const InstalledCapacityRepository = require('../../domain/repositories/InstalledCapacityRepository');
+const InstalledCapacity = require('../../domain/entities/InstalledCapacity');
+const InstalledCapacityModel = require('../database/models/InstalledCapacityModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+/**
+ * Implementación del repositorio de potencia instalada utilizando MongoDB
+ * @implements {InstalledCapacityRepository}
+ */
+class MongoInstalledCapacityRepository extends InstalledCapacityRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = InstalledCapacityModel;
+    }
+
+    /**
+     * Guarda múltiples registros de potencia instalada, sustituyendo los existentes para la misma fecha
+     *
+     * @param {Array<InstalledCapacity>} capacities - Array de entidades a guardar
+     * @returns {Promise<Array<InstalledCapacity>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async saveMany(capacities) {
+        if (!capacities || capacities.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of capacities) {
+                const document = this._mapToDocument(entity);
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope, region: document.region },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} installed capacity records`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving installed capacity: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save installed capacity: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InstalledCapacity',
+                    operation: 'saveMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca la potencia instalada por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (month, year)
+     * @param {Object} options - Opciones adicionales (región, solo conteo)
+     * @returns {Promise<Array<InstalledCapacity>|Object>} - Registros o { count } si se pide solo el conteo
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'month', options = {}) {
+        try {
+            const query = {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope,
+                region: options.region || DEFAULT_REGION
+            };
+
+            if (options.onlyCount) {
+                const count = await this.model.countDocuments(query);
+                return { count };
+            }
+
+            const documents = await this.model.find(query).sort({ timestamp: 1 });
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding installed capacity by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find installed capacity by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InstalledCapacity',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope, region: options.region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca el último registro de potencia instalada anterior o igual a una fecha
+     *
+     * @param {Date} timestamp - Fecha de referencia
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<InstalledCapacity|null>} - Registro en vigor o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findLatestBefore(timestamp, timeScope = 'month', region = DEFAULT_REGION) {
+        try {
+            const document = await this.model
+                .findOne({ timestamp: { $lte: new Date(timestamp) }, timeScope, region })
+                .sort({ timestamp: -1 });
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error finding latest installed capacity: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find latest installed capacity: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InstalledCapacity',
+                    operation: 'findLatestBefore',
+                    metadata: { timestamp, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Verifica si ya existe potencia instalada para una fecha, alcance y región
+     *
+     * @param {Date} timestamp - Fecha a verificar
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<boolean>} - true si existe, false si no
+     * @throws {RepositoryError} - Si hay problemas al verificar
+     */
+    async existsForDateAndScope(timestamp, timeScope, region = DEFAULT_REGION) {
+        try {
+            const exists = await this.model.exists({
+                timestamp: new Date(timestamp),
+                timeScope,
+                region
+            });
+
+            return exists !== null;
+        } catch (error) {
+            this.logger.error(`Error checking if installed capacity exists: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to check if installed capacity exists: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InstalledCapacity',
+                    operation: 'existsForDateAndScope',
+                    metadata: { timestamp, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento de MongoDB
+     *
+     * @param {InstalledCapacity} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para MongoDB
+     * @private
+     */
+    _mapToDocument(entity) {
+        return {
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
+            byTechnology: entity.byTechnology || [],
+            totalCapacity: entity.getTotalCapacity(),
+            metadata: entity.metadata || {}
+        };
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {InstalledCapacity} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new InstalledCapacity({
+            id: docObj._id.toString(),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            byTechnology: docObj.byTechnology || [],
+            metadata: docObj.metadata || {},
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt
+        });
+    }
+}
+
+module.exports = MongoInstalledCapacityRepository;
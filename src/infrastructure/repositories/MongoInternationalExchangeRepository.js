@@ -0,0 +1,216 @@
+/**
+ * @file MongoInternationalExchangeRepository.js
+ * @description Implementación del repositorio de intercambios internacionales utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz InternationalExchangeRepository utilizando
+ * MongoDB como almacenamiento, a través del modelo de Mongoose.
+ */
+
+const InternationalExchangeRepository = require('../../domain/repositories/InternationalExchangeRepository');
+const InternationalExchange = require('../../domain/entities/InternationalExchange');
+const InternationalExchangeModel = require('../database/models/InternationalExchangeModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Implementación del repositorio de intercambios internacionales utilizando MongoDB
+ * @implements {InternationalExchangeRepository}
+ */
+class MongoInternationalExchangeRepository extends InternationalExchangeRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = InternationalExchangeModel;
+    }
+
+    /**
+     * Guarda múltiples registros de intercambios, sustituyendo los existentes para la misma fecha
+     *
+     * @param {Array<InternationalExchange>} exchanges - Array de entidades a guardar
+     * @returns {Promise<Array<InternationalExchange>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async saveMany(exchanges) {
+        if (!exchanges || exchanges.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of exchanges) {
+                const document = this._mapToDocument(entity);
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} international exchange records`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving international exchanges: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save international exchanges: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InternationalExchange',
+                    operation: 'saveMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca intercambios por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {Object} options - Opciones adicionales (solo conteo)
+     * @returns {Promise<Array<InternationalExchange>|Object>} - Intercambios o { count } si se pide solo el conteo
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+        try {
+            const query = {
+                timestamp: { $gte: startDate, $lte: endDate },
+                timeScope
+            };
+
+            if (options.onlyCount) {
+                const count = await this.model.countDocuments(query);
+                return { count };
+            }
+
+            const documents = await this.model.find(query).sort({ timestamp: 1 });
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding international exchanges by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find international exchanges by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InternationalExchange',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Verifica si ya existen intercambios para una fecha y alcance
+     *
+     * @param {Date} timestamp - Fecha a verificar
+     * @param {string} timeScope - Alcance temporal
+     * @returns {Promise<boolean>} - true si existe, false si no
+     * @throws {RepositoryError} - Si hay problemas al verificar
+     */
+    async existsForDateAndScope(timestamp, timeScope) {
+        try {
+            const exists = await this.model.exists({
+                timestamp: new Date(timestamp),
+                timeScope
+            });
+
+            return exists !== null;
+        } catch (error) {
+            this.logger.error(`Error checking if international exchange exists: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to check if international exchange exists: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InternationalExchange',
+                    operation: 'existsForDateAndScope',
+                    metadata: { timestamp, timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene las importaciones, exportaciones y saldo acumulados por frontera
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} [border] - Frontera concreta; si no se indica, todas
+     * @returns {Promise<Array<Object>>} - Array de { border, import, export, net, count }
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getNetPositionsByBorder(startDate, endDate, timeScope = 'day', border = null) {
+        try {
+            return await this.model.getTotalsByBorder(startDate, endDate, timeScope, border);
+        } catch (error) {
+            this.logger.error(`Error getting international exchange totals: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get international exchange totals: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'InternationalExchange',
+                    operation: 'getNetPositionsByBorder',
+                    metadata: { startDate, endDate, timeScope, border }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento de MongoDB
+     *
+     * @param {InternationalExchange} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para MongoDB
+     * @private
+     */
+    _mapToDocument(entity) {
+        return {
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            borders: entity.borders || [],
+            totalImports: entity.getTotalImports(),
+            totalExports: entity.getTotalExports(),
+            netPosition: entity.getNetPosition(),
+            metadata: entity.metadata || {}
+        };
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {InternationalExchange} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new InternationalExchange({
+            id: docObj._id.toString(),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            borders: docObj.borders || [],
+            metadata: docObj.metadata || {},
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt
+        });
+    }
+}
+
+module.exports = MongoInternationalExchangeRepository;
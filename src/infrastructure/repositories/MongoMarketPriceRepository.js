@@ -0,0 +1,260 @@
+/**
+ * @file MongoMarketPriceRepository.js
+ * @description Implementación del repositorio de precios de mercado utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz MarketPriceRepository utilizando
+ * MongoDB como almacenamiento, a través del modelo de Mongoose.
+ */
+
+const MarketPriceRepository = require('../../domain/repositories/MarketPriceRepository');
+const MarketPrice = require('../../domain/entities/MarketPrice');
+const MarketPriceModel = require('../database/models/MarketPriceModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Implementación del repositorio de precios de mercado utilizando MongoDB
+ * @implements {MarketPriceRepository}
+ */
+class MongoMarketPriceRepository extends MarketPriceRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = MarketPriceModel;
+    }
+
+    /**
+     * Guarda múltiples precios de mercado, sustituyendo los existentes para la misma hora
+     *
+     * @param {Array<MarketPrice>} marketPrices - Array de entidades a guardar
+     * @returns {Promise<Array<MarketPrice>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async saveMany(marketPrices) {
+        if (!marketPrices || marketPrices.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of marketPrices) {
+                const document = this._mapToDocument(entity);
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} market prices`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving market prices: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save market prices: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'MarketPrice',
+                    operation: 'saveMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca precios de mercado por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {Object} options - Opciones adicionales (paginación, ordenación, solo conteo)
+     * @returns {Promise<Array<MarketPrice>|Object>} - Precios o { count } si se pide solo el conteo
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'hour', options = {}) {
+        try {
+            const query = {
+                timestamp: { $gte: startDate, $lte: endDate }
+            };
+
+            if (timeScope) {
+                query.timeScope = timeScope;
+            }
+
+            if (options.onlyCount) {
+                const count = await this.model.countDocuments(query);
+                return { count };
+            }
+
+            const limit = options.limit || 1000;
+            const skip = options.skip || ((options.page || 1) - 1) * limit;
+
+            const documents = await this.model.find(query)
+                .sort(options.sort || { timestamp: 1 })
+                .skip(skip)
+                .limit(limit);
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding market prices by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find market prices by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'MarketPrice',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca el precio de mercado más reciente
+     *
+     * @param {string} timeScope - Alcance temporal
+     * @returns {Promise<MarketPrice|null>} - Precio más reciente o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findMostRecent(timeScope = 'hour') {
+        try {
+            const document = await this.model.findOne({ timeScope })
+                .sort({ timestamp: -1 })
+                .limit(1);
+
+            return document ? this._mapToEntity(document) : null;
+        } catch (error) {
+            this.logger.error(`Error finding most recent market price: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find most recent market price: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'MarketPrice',
+                    operation: 'findMostRecent',
+                    metadata: { timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Verifica si ya existen precios para una fecha y alcance específicos
+     *
+     * @param {Date} timestamp - Fecha y hora a verificar
+     * @param {string} timeScope - Alcance temporal
+     * @returns {Promise<boolean>} - true si existe, false si no
+     * @throws {RepositoryError} - Si hay problemas al verificar
+     */
+    async existsForDateAndScope(timestamp, timeScope) {
+        try {
+            const exists = await this.model.exists({
+                timestamp: new Date(timestamp),
+                timeScope
+            });
+
+            return exists !== null;
+        } catch (error) {
+            this.logger.error(`Error checking if market price exists: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to check if market price exists: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'MarketPrice',
+                    operation: 'existsForDateAndScope',
+                    metadata: { timestamp, timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene la evolución temporal de un precio
+     *
+     * @param {string} indicator - Precio a obtener (pvpc, spot)
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal
+     * @returns {Promise<Array<Object>>} - Puntos { timestamp, value }
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'hour') {
+        try {
+            return await this.model.getTimeSeriesForIndicator(
+                indicator,
+                startDate,
+                endDate,
+                timeScope
+            );
+        } catch (error) {
+            this.logger.error(`Error getting market price time series: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get market price time series: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'MarketPrice',
+                    operation: 'getTimeSeriesForIndicator',
+                    metadata: { indicator, startDate, endDate, timeScope }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento de MongoDB
+     *
+     * @param {MarketPrice} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para MongoDB
+     * @private
+     */
+    _mapToDocument(entity) {
+        return {
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            pvpc: entity.pvpc,
+            spot: entity.spot,
+            unit: entity.unit,
+            metadata: entity.metadata || {}
+        };
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {MarketPrice} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new MarketPrice({
+            id: docObj._id.toString(),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            pvpc: docObj.pvpc,
+            spot: docObj.spot,
+            unit: docObj.unit,
+            metadata: docObj.metadata || {},
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt
+        });
+    }
+}
+
+module.exports = MongoMarketPriceRepository;
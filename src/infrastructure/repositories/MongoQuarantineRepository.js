@@ -0,0 +1,163 @@
+/**
+ * @file MongoQuarantineRepository.js
+ * @description Implementación del repositorio de registros en cuarentena utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz QuarantineRepository utilizando
+ * MongoDB como almacenamiento.
+ */
+
+const QuarantineRepository = require('../../domain/repositories/QuarantineRepository');
+const QuarantinedRecord = require('../../domain/entities/QuarantinedRecord');
+const QuarantinedRecordModel = require('../database/models/QuarantinedRecordModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+/**
+ * Implementación del repositorio de registros en cuarentena utilizando MongoDB
+ * @implements {QuarantineRepository}
+ */
+class MongoQuarantineRepository extends QuarantineRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = QuarantinedRecordModel;
+    }
+
+    /**
+     * Guarda registros en cuarentena, sustituyendo los existentes para el mismo
+     * conjunto de datos, fecha, alcance y región
+     *
+     * @param {Array<QuarantinedRecord>} records - Registros a guardar
+     * @returns {Promise<Array<QuarantinedRecord>>} - Registros guardados
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async upsertMany(records) {
+        if (!records || records.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const record of records) {
+                const { id: _id, ...document } = record.toJSON();
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    {
+                        dataset: document.dataset,
+                        timestamp: document.timestamp,
+                        timeScope: document.timeScope,
+                        region: document.region
+                    },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Quarantined ${savedDocuments.length} records`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error quarantining records: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to quarantine records: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'QuarantinedRecord',
+                    operation: 'upsertMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Lista registros en cuarentena, del más reciente al más antiguo
+     *
+     * @param {Object} criteria - Filtros (dataset, region, timeScope, startDate, endDate, code)
+     * @param {Object} options - Opciones adicionales
+     * @param {number} [options.limit=50] - Máximo de registros a devolver
+     * @returns {Promise<Array<QuarantinedRecord>>} - Registros en cuarentena
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByCriteria(criteria = {}, options = {}) {
+        try {
+            const documents = await this.model
+                .find(this._buildQuery(criteria))
+                .sort({ quarantinedAt: -1 })
+                .limit(options.limit || 50);
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding quarantined records: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find quarantined records: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'QuarantinedRecord',
+                    operation: 'findByCriteria',
+                    metadata: criteria
+                }
+            );
+        }
+    }
+
+    /**
+     * Construye la consulta de MongoDB a partir de los filtros
+     *
+     * @param {Object} criteria - Filtros de búsqueda
+     * @returns {Object} - Consulta de MongoDB
+     * @private
+     */
+    _buildQuery({ dataset, region, timeScope, startDate, endDate, code } = {}) {
+        const query = {};
+
+        if (dataset) query.dataset = dataset;
+        if (region) query.region = region;
+        if (timeScope) query.timeScope = timeScope;
+        if (code) query['qualityFlags.code'] = code;
+
+        if (startDate || endDate) {
+            query.timestamp = {};
+            if (startDate) query.timestamp.$gte = new Date(startDate);
+            if (endDate) query.timestamp.$lte = new Date(endDate);
+        }
+
+        return query;
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {QuarantinedRecord} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new QuarantinedRecord({
+            id: docObj._id.toString(),
+            dataset: docObj.dataset,
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            record: docObj.record || {},
+            qualityFlags: docObj.qualityFlags || [],
+            source: docObj.source,
+            quarantinedAt: docObj.quarantinedAt
+        });
+    }
+}
+
+module.exports = MongoQuarantineRepository;
@@ -0,0 +1,229 @@
+/**
+ * @file MongoRawREEResponseRepository.js
+ * @description Implementación del archivo de respuestas de REE utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz RawREEResponseRepository utilizando
+ * MongoDB como almacenamiento. Los payloads se guardan comprimidos con gzip
+ * junto a su checksum SHA-256.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const RawREEResponseRepository = require('../../domain/repositories/RawREEResponseRepository');
+const RawREEResponse = require('../../domain/entities/RawREEResponse');
+const RawREEResponseModel = require('../database/models/RawREEResponseModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Implementación del archivo de respuestas de REE utilizando MongoDB
+ * @implements {RawREEResponseRepository}
+ */
+class MongoRawREEResponseRepository extends RawREEResponseRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = RawREEResponseModel;
+    }
+
+    /**
+     * Archiva una respuesta de REE comprimiendo su payload
+     *
+     * @param {RawREEResponse} rawResponse - Respuesta con su payload
+     * @returns {Promise<RawREEResponse>} - Respuesta archivada, sin payload
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(rawResponse) {
+        try {
+            const json = JSON.stringify(rawResponse.payload);
+            const compressed = await gzip(Buffer.from(json, 'utf8'));
+
+            const document = await this.model.create({
+                dataset: rawResponse.dataset,
+                endpoint: rawResponse.endpoint,
+                params: rawResponse.params,
+                paramsKey: this._getParamsKey(rawResponse.params),
+                timeScope: rawResponse.timeScope,
+                region: rawResponse.region || DEFAULT_REGION,
+                fetchedAt: rawResponse.fetchedAt,
+                payload: compressed,
+                sizeBytes: Buffer.byteLength(json, 'utf8'),
+                compressedBytes: compressed.length,
+                checksum: crypto.createHash('sha256').update(json).digest('hex')
+            });
+
+            this.logger.debug(
+                `Archived ${rawResponse.endpoint} response (${document.sizeBytes} bytes, ${document.compressedBytes} compressed)`
+            );
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error archiving REE response: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to archive REE response: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RawREEResponse',
+                    operation: 'save',
+                    metadata: { endpoint: rawResponse.endpoint }
+                }
+            );
+        }
+    }
+
+    /**
+     * Lista respuestas archivadas sin su payload, de la más reciente a la más antigua
+     *
+     * @param {Object} criteria - Filtros (dataset, region, timeScope, fetchedFrom, fetchedTo)
+     * @param {Object} options - Opciones adicionales
+     * @param {number} [options.limit=50] - Máximo de respuestas a devolver
+     * @returns {Promise<Array<RawREEResponse>>} - Respuestas archivadas
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByCriteria(criteria = {}, options = {}) {
+        try {
+            const documents = await this.model
+                .find(this._buildQuery(criteria))
+                .sort({ fetchedAt: -1 })
+                .limit(options.limit || 50);
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding archived REE responses: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find archived REE responses: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RawREEResponse',
+                    operation: 'findByCriteria',
+                    metadata: criteria
+                }
+            );
+        }
+    }
+
+    /**
+     * Recorre las respuestas archivadas con su payload en orden de recepción
+     *
+     * Usa un cursor para no cargar el archivo completo en memoria. Si el checksum
+     * de un payload no coincide se lanza un error con el id de la respuesta.
+     *
+     * @param {Object} criteria - Filtros (dataset, region, timeScope, fetchedFrom, fetchedTo)
+     * @returns {AsyncIterable<RawREEResponse>} - Respuestas con payload
+     * @throws {RepositoryError} - Si hay problemas al leer los datos
+     */
+    async *iterateByCriteria(criteria = {}) {
+        const cursor = this.model
+            .find(this._buildQuery(criteria))
+            .select('+payload')
+            .sort({ fetchedAt: 1 })
+            .cursor();
+
+        try {
+            for await (const document of cursor) {
+                const json = (await gunzip(document.payload)).toString('utf8');
+
+                if (crypto.createHash('sha256').update(json).digest('hex') !== document.checksum) {
+                    throw new Error(`Checksum mismatch for archived response ${document._id}`);
+                }
+
+                const entity = this._mapToEntity(document);
+                entity.payload = JSON.parse(json);
+
+                yield entity;
+            }
+        } catch (error) {
+            this.logger.error(`Error reading archived REE responses: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to read archived REE responses: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RawREEResponse',
+                    operation: 'iterateByCriteria',
+                    metadata: criteria
+                }
+            );
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    /**
+     * Construye la consulta de MongoDB a partir de los filtros
+     *
+     * @param {Object} criteria - Filtros de búsqueda
+     * @returns {Object} - Consulta de MongoDB
+     * @private
+     */
+    _buildQuery({ dataset, region, timeScope, fetchedFrom, fetchedTo } = {}) {
+        const query = {};
+
+        if (dataset) query.dataset = dataset;
+        if (region) query.region = region;
+        if (timeScope) query.timeScope = timeScope;
+
+        if (fetchedFrom || fetchedTo) {
+            query.fetchedAt = {};
+            if (fetchedFrom) query.fetchedAt.$gte = new Date(fetchedFrom);
+            if (fetchedTo) query.fetchedAt.$lte = new Date(fetchedTo);
+        }
+
+        return query;
+    }
+
+    /**
+     * Serializa los parámetros de una petición con las claves ordenadas
+     *
+     * @param {Object} params - Parámetros de la petición
+     * @returns {string} - Clave estable de los parámetros
+     * @private
+     */
+    _getParamsKey(params = {}) {
+        return JSON.stringify(
+            Object.keys(params).sort().reduce((sorted, key) => {
+                sorted[key] = params[key];
+                return sorted;
+            }, {})
+        );
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {RawREEResponse} - Entidad de dominio, sin payload
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new RawREEResponse({
+            id: docObj._id.toString(),
+            dataset: docObj.dataset,
+            endpoint: docObj.endpoint,
+            params: docObj.params || {},
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            fetchedAt: docObj.fetchedAt,
+            sizeBytes: docObj.sizeBytes,
+            compressedBytes: docObj.compressedBytes
+        });
+    }
+}
+
+module.exports = MongoRawREEResponseRepository;
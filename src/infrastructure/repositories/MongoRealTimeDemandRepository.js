@@ -0,0 +1,238 @@
+/**
+ * @file MongoRealTimeDemandRepository.js
+ * @description Implementación del repositorio de demanda en tiempo real utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz RealTimeDemandRepository utilizando
+ * MongoDB como almacenamiento, a través del modelo de Mongoose.
+ */
+
+const RealTimeDemandRepository = require('../../domain/repositories/RealTimeDemandRepository');
+const RealTimeDemand = require('../../domain/entities/RealTimeDemand');
+const RealTimeDemandModel = require('../database/models/RealTimeDemandModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+
+/**
+ * Implementación del repositorio de demanda en tiempo real utilizando MongoDB
+ * @implements {RealTimeDemandRepository}
+ */
+class MongoRealTimeDemandRepository extends RealTimeDemandRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = RealTimeDemandModel;
+    }
+
+    /**
+     * Guarda múltiples registros de demanda, sustituyendo los existentes para el mismo instante
+     *
+     * @param {Array<RealTimeDemand>} demands - Array de entidades a guardar
+     * @returns {Promise<Array<RealTimeDemand>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async saveMany(demands) {
+        if (!demands || demands.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of demands) {
+                const document = this._mapToDocument(entity);
+
+                const savedDoc = await this.model.findOneAndUpdate(
+                    { timestamp: document.timestamp, timeScope: document.timeScope, region: document.region },
+                    document,
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+
+                savedDocuments.push(savedDoc);
+            }
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} real-time demand records`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving real-time demand: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save real-time demand: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RealTimeDemand',
+                    operation: 'saveMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca la demanda por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {Object} options - Opciones adicionales (región, solo conteo)
+     * @returns {Promise<Array<RealTimeDemand>|Object>} - Registros o { count } si se pide solo el conteo
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, options = {}) {
+        try {
+            const query = {
+                timestamp: { $gte: startDate, $lte: endDate },
+                region: options.region || DEFAULT_REGION
+            };
+
+            if (options.onlyCount) {
+                const count = await this.model.countDocuments(query);
+                return { count };
+            }
+
+            const documents = await this.model.find(query).sort({ timestamp: 1 });
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding real-time demand by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find real-time demand by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RealTimeDemand',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, region: options.region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene el registro más reciente con demanda real
+     *
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<RealTimeDemand|null>} - Registro más reciente o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findMostRecent(region = DEFAULT_REGION) {
+        try {
+            const document = await this.model
+                .findOne({ region, real: { $ne: null } })
+                .sort({ timestamp: -1 });
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error finding most recent real-time demand: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find most recent real-time demand: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RealTimeDemand',
+                    operation: 'findMostRecent',
+                    metadata: { region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Calcula las estadísticas del error de previsión en un rango de fechas
+     *
+     * Solo se tienen en cuenta los instantes con demanda real y prevista.
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Object>} - Estadísticas del error (valores null si no hay datos)
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getForecastErrorStats(startDate, endDate, region = DEFAULT_REGION) {
+        try {
+            const stats = await this.model.getForecastErrorStats(startDate, endDate, region);
+
+            if (!stats) {
+                return {
+                    count: 0,
+                    meanError: null,
+                    meanAbsoluteError: null,
+                    rootMeanSquareError: null,
+                    meanAbsolutePercentageError: null,
+                    maxAbsoluteError: null
+                };
+            }
+
+            return {
+                count: stats.count,
+                meanError: stats.meanError,
+                meanAbsoluteError: stats.meanAbsoluteError,
+                rootMeanSquareError: Math.sqrt(stats.meanSquaredError),
+                meanAbsolutePercentageError: stats.meanAbsolutePercentageError,
+                maxAbsoluteError: stats.maxAbsoluteError
+            };
+        } catch (error) {
+            this.logger.error(`Error getting demand forecast error stats: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get demand forecast error stats: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'RealTimeDemand',
+                    operation: 'getForecastErrorStats',
+                    metadata: { startDate, endDate, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento de MongoDB
+     *
+     * @param {RealTimeDemand} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para MongoDB
+     * @private
+     */
+    _mapToDocument(entity) {
+        return {
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
+            real: entity.real,
+            forecast: entity.forecast,
+            programmed: entity.programmed,
+            metadata: entity.metadata || {}
+        };
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {RealTimeDemand} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        const docObj = document.toObject ? document.toObject() : document;
+
+        return new RealTimeDemand({
+            id: docObj._id.toString(),
+            timestamp: docObj.timestamp,
+            timeScope: docObj.timeScope,
+            region: docObj.region || DEFAULT_REGION,
+            real: docObj.real,
+            forecast: docObj.forecast,
+            programmed: docObj.programmed,
+            metadata: docObj.metadata || {},
+            createdAt: docObj.createdAt,
+            updatedAt: docObj.updatedAt
+        });
+    }
+}
+
+module.exports = MongoRealTimeDemandRepository;
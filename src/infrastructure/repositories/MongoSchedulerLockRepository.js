@@ -0,0 +1,181 @@
+/**
+ * @file MongoSchedulerLockRepository.js
+ * @description Implementación de las concesiones de tareas programadas utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz SchedulerLockRepository utilizando
+ * MongoDB como almacenamiento. Las fechas se calculan con el reloj del
+ * servidor de MongoDB para que las réplicas no dependan de tener sus relojes
+ * sincronizados.
+ */
+
+const SchedulerLockRepository = require('../../domain/repositories/SchedulerLockRepository');
+const SchedulerLock = require('../../domain/entities/SchedulerLock');
+const SchedulerLockModel = require('../database/models/SchedulerLockModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Código de MongoDB para una clave duplicada
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Implementación de las concesiones de tareas programadas utilizando MongoDB
+ * @implements {SchedulerLockRepository}
+ */
+class MongoSchedulerLockRepository extends SchedulerLockRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = SchedulerLockModel;
+    }
+
+    /**
+     * Obtiene o renueva la concesión de una tarea
+     *
+     * La actualización solo encuentra el documento si está caducado o ya es de
+     * la réplica. Si otra réplica lo tiene, el upsert choca con el _id existente
+     * y se devuelve la concesión de esa réplica.
+     *
+     * @param {string} name - Nombre de la tarea
+     * @param {string} holderId - Identificador de la réplica que la pide
+     * @param {number} ttlMs - Duración de la concesión en milisegundos
+     * @returns {Promise<SchedulerLock>} - Concesión vigente tras el intento
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async acquire(name, holderId, ttlMs) {
+        try {
+            const document = await this.model.findOneAndUpdate(
+                {
+                    _id: name,
+                    $expr: {
+                        $or: [
+                            { $eq: ['$holderId', { $literal: holderId }] },
+                            { $lte: ['$expiresAt', '$$NOW'] }
+                        ]
+                    }
+                },
+                [{
+                    $set: {
+                        acquiredAt: {
+                            $cond: [{ $eq: ['$holderId', { $literal: holderId }] }, '$acquiredAt', '$$NOW']
+                        },
+                        holderId: { $literal: holderId },
+                        renewedAt: '$$NOW',
+                        expiresAt: { $add: ['$$NOW', ttlMs] }
+                    }
+                }],
+                { upsert: true, new: true, lean: true }
+            );
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY_ERROR) {
+                return this._findByName(name);
+            }
+
+            this.logger.error(`Error acquiring scheduler lock ${name}: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to acquire scheduler lock: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SchedulerLock',
+                    operation: 'acquire',
+                    metadata: { name, holderId }
+                }
+            );
+        }
+    }
+
+    /**
+     * Libera la concesión de una tarea si pertenece a la réplica indicada
+     *
+     * @param {string} name - Nombre de la tarea
+     * @param {string} holderId - Identificador de la réplica titular
+     * @returns {Promise<boolean>} - true si se liberó
+     * @throws {RepositoryError} - Si hay problemas al eliminar los datos
+     */
+    async release(name, holderId) {
+        try {
+            const result = await this.model.deleteOne({ _id: name, holderId });
+
+            return result.deletedCount > 0;
+        } catch (error) {
+            this.logger.error(`Error releasing scheduler lock ${name}: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to release scheduler lock: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SchedulerLock',
+                    operation: 'release',
+                    metadata: { name, holderId }
+                }
+            );
+        }
+    }
+
+    /**
+     * Lista las concesiones registradas
+     *
+     * @returns {Promise<Array<SchedulerLock>>} - Concesiones ordenadas por nombre
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findAll() {
+        try {
+            const documents = await this.model.find().sort({ _id: 1 }).lean();
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding scheduler locks: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find scheduler locks: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SchedulerLock',
+                    operation: 'findAll'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca la concesión de una tarea
+     *
+     * @param {string} name - Nombre de la tarea
+     * @returns {Promise<SchedulerLock|null>} - Concesión encontrada o null
+     * @private
+     */
+    async _findByName(name) {
+        const document = await this.model.findById(name).lean();
+
+        return this._mapToEntity(document);
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {SchedulerLock} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        return new SchedulerLock({
+            name: document._id,
+            holderId: document.holderId,
+            acquiredAt: document.acquiredAt,
+            renewedAt: document.renewedAt,
+            expiresAt: document.expiresAt
+        });
+    }
+}
+
+module.exports = MongoSchedulerLockRepository;
@@ -0,0 +1,193 @@
+/**
+ * @file MongoSeedCheckpointRepository.js
+ * @description Implementación del avance de las cargas de histórico utilizando MongoDB
+ *
+ * Este archivo implementa la interfaz SeedCheckpointRepository utilizando
+ * MongoDB como almacenamiento.
+ */
+
+const SeedCheckpointRepository = require('../../domain/repositories/SeedCheckpointRepository');
+const SeedCheckpoint = require('../../domain/entities/SeedCheckpoint');
+const SeedCheckpointModel = require('../database/models/SeedCheckpointModel');
+const { RepositoryError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { SEED_STATUSES } = require('../../domain/constants/seedCheckpoints');
+
+/**
+ * Implementación del avance de las cargas de histórico utilizando MongoDB
+ * @implements {SeedCheckpointRepository}
+ */
+class MongoSeedCheckpointRepository extends SeedCheckpointRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(logger = console) {
+        super();
+        this.logger = logger;
+        this.model = SeedCheckpointModel;
+    }
+
+    /**
+     * Busca la carga de un alcance temporal, región y rango exactos
+     *
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} startDate - Inicio del rango
+     * @param {Date} endDate - Fin del rango
+     * @returns {Promise<SeedCheckpoint|null>} - Carga encontrada o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByRange(timeScope, region, startDate, endDate) {
+        try {
+            const document = await this.model
+                .findOne({ timeScope, region, startDate, endDate })
+                .lean();
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error finding seed checkpoint: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find seed checkpoint: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SeedCheckpoint',
+                    operation: 'findByRange',
+                    metadata: { timeScope, region, startDate, endDate }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca la última carga sin terminar de un alcance temporal y región
+     *
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<SeedCheckpoint|null>} - Carga encontrada o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findLatestUnfinished(timeScope, region) {
+        try {
+            const document = await this.model
+                .findOne({ timeScope, region, status: SEED_STATUSES.IN_PROGRESS })
+                .sort({ updatedAt: -1 })
+                .lean();
+
+            return this._mapToEntity(document);
+        } catch (error) {
+            this.logger.error(`Error finding unfinished seed checkpoint: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find unfinished seed checkpoint: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SeedCheckpoint',
+                    operation: 'findLatestUnfinished',
+                    metadata: { timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Lista las cargas, de la de avance más reciente a la más antigua
+     *
+     * @param {Object} [criteria={}] - Filtros (timeScope, region, status)
+     * @returns {Promise<Array<SeedCheckpoint>>} - Cargas encontradas
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findAll({ timeScope, region, status } = {}) {
+        const query = {};
+
+        if (timeScope) query.timeScope = timeScope;
+        if (region) query.region = region;
+        if (status) query.status = status;
+
+        try {
+            const documents = await this.model
+                .find(query)
+                .sort({ updatedAt: -1 })
+                .lean();
+
+            return documents.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error finding seed checkpoints: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find seed checkpoints: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SeedCheckpoint',
+                    operation: 'findAll',
+                    metadata: query
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda una carga, sustituyendo la del mismo alcance temporal, región y rango
+     *
+     * @param {SeedCheckpoint} seedCheckpoint - Carga a guardar
+     * @returns {Promise<SeedCheckpoint>} - Carga guardada con ID asignado
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(seedCheckpoint) {
+        const { id: _id, ...document } = seedCheckpoint.toJSON();
+
+        try {
+            const savedDoc = await this.model.findOneAndUpdate(
+                {
+                    timeScope: document.timeScope,
+                    region: document.region,
+                    startDate: document.startDate,
+                    endDate: document.endDate
+                },
+                { $set: document },
+                { upsert: true, new: true, runValidators: true, lean: true }
+            );
+
+            return this._mapToEntity(savedDoc);
+        } catch (error) {
+            this.logger.error(`Error saving seed checkpoint: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save seed checkpoint: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'SeedCheckpoint',
+                    operation: 'save',
+                    metadata: { timeScope: document.timeScope, region: document.region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Convierte un documento de MongoDB a entidad de dominio
+     *
+     * @param {Object} document - Documento de MongoDB
+     * @returns {SeedCheckpoint} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        return new SeedCheckpoint({
+            id: document._id.toString(),
+            timeScope: document.timeScope,
+            region: document.region || DEFAULT_REGION,
+            startDate: document.startDate,
+            endDate: document.endDate,
+            chunks: document.chunks || [],
+            startedAt: document.startedAt,
+            updatedAt: document.updatedAt,
+            completedAt: document.completedAt
+        });
+    }
+}
+
+module.exports = MongoSeedCheckpointRepository;
@@ -0,0 +1,1675 @@
+/**
+ * @file SQLiteElectricBalanceRepository.js
+ * @description Implementación del repositorio de balance eléctrico utilizando SQLite
+ *
+ * Este archivo implementa la interfaz ElectricBalanceRepository sobre el esquema
+ * relacional de `database/sqlite/schema.js`, para despliegues que no pueden
+ * usar MongoDB. Mantiene la misma semántica que la implementación de MongoDB:
+ * clave única por fecha, alcance y región, versionado de las correcciones,
+ * consultas en un instante (`asOf`), filtros con operadores de comparación,
+ * paginación y agregados calculados en SQL.
+ */
+
+const crypto = require('crypto');
+const ElectricBalanceRepository = require('../../domain/repositories/ElectricBalanceRepository');
+const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const ElectricBalanceRevision = require('../../domain/entities/ElectricBalanceRevision');
+const { RepositoryError, NotFoundError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION, REGIONS } = require('../../domain/constants/regions');
+const { TIME_SCOPES } = require('../../domain/constants/timeScopes');
+const { getAggregateTechnologyNames } = require('../../domain/constants/technologies');
+
+/**
+ * Columnas de los balances por campo del documento
+ */
+const BALANCE_COLUMNS = {
+    timestamp: 'timestamp',
+    timeScope: 'time_scope',
+    region: 'region',
+    totalGeneration: 'total_generation',
+    totalDemand: 'total_demand',
+    balance: 'balance',
+    renewablePercentage: 'renewable_percentage',
+    version: 'version',
+    validFrom: 'valid_from',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    'metadata.title': 'title',
+    'metadata.description': 'description',
+    'metadata.source': 'source'
+};
+
+/**
+ * Columnas que guardan fechas en milisegundos
+ */
+const DATE_COLUMNS = new Set(['timestamp', 'valid_from', 'created_at', 'updated_at']);
+
+/**
+ * Listas de items de un balance y campos por los que se puede filtrar
+ */
+const ITEM_CATEGORIES = ['generation', 'demand', 'interchange'];
+const ITEM_FIELDS = ['type', 'value', 'percentage', 'color', 'unit'];
+
+/**
+ * Campos de los indicadores de calidad por los que se puede filtrar
+ */
+const QUALITY_FLAG_FIELDS = ['code', 'severity', 'message'];
+
+/**
+ * Columnas de los indicadores disponibles para las series temporales
+ */
+const TIME_SERIES_COLUMNS = {
+    totalGeneration: 'total_generation',
+    totalDemand: 'total_demand',
+    balance: 'balance',
+    renewablePercentage: 'renewable_percentage'
+};
+
+/**
+ * Columnas comunes a los balances vigentes y a sus revisiones
+ */
+const SOURCE_COLUMNS = 'timestamp, time_scope, region, total_generation, total_demand, balance, ' +
+    'renewable_percentage, title, description, source, quality_flags, version, valid_from, created_at';
+
+/**
+ * Implementación del repositorio de balance eléctrico utilizando SQLite
+ * @implements {ElectricBalanceRepository}
+ */
+class SQLiteElectricBalanceRepository extends ElectricBalanceRepository {
+    /**
+     * Constructor del repositorio
+     *
+     * @param {Object} database - Base de datos de better-sqlite3 con el esquema aplicado
+     * @param {Object} logger - Instancia del logger para registro de eventos
+     */
+    constructor(database, logger = console) {
+        super();
+        this.db = database;
+        this.logger = logger;
+
+        this.statements = {
+            findById: this.db.prepare(
+                `SELECT id AS balance_id, ${SOURCE_COLUMNS}, updated_at FROM electric_balances WHERE id = ?`
+            ),
+            findByKey: this.db.prepare(
+                `SELECT id AS balance_id, ${SOURCE_COLUMNS}, updated_at FROM electric_balances ` +
+                'WHERE timestamp = ? AND time_scope = ? AND region = ?'
+            ),
+            findItems: this.db.prepare(
+                'SELECT category, type, value, percentage, color, unit FROM electric_balance_items ' +
+                'WHERE balance_id = ? AND version = ? ORDER BY category, position'
+            ),
+            findRevisions: this.db.prepare(
+                `SELECT balance_id, ${SOURCE_COLUMNS}, superseded_at FROM electric_balance_revisions ` +
+                'WHERE balance_id = ? ORDER BY version'
+            ),
+            insertBalance: this.db.prepare(`
+                INSERT INTO electric_balances (
+                    id, timestamp, time_scope, region, total_generation, total_demand, balance,
+                    renewable_percentage, title, description, source, quality_flags, version,
+                    valid_from, created_at, updated_at
+                ) VALUES (
+                    @id, @timestamp, @timeScope, @region, @totalGeneration, @totalDemand, @balance,
+                    @renewablePercentage, @title, @description, @source, @qualityFlags, @version,
+                    @validFrom, @createdAt, @updatedAt
+                )
+            `),
+            updateBalance: this.db.prepare(`
+                UPDATE electric_balances SET
+                    timestamp = @timestamp, time_scope = @timeScope, region = @region,
+                    total_generation = @totalGeneration, total_demand = @totalDemand, balance = @balance,
+                    renewable_percentage = @renewablePercentage, title = @title, description = @description,
+                    source = @source, quality_flags = @qualityFlags, version = @version,
+                    valid_from = @validFrom, created_at = @createdAt, updated_at = @updatedAt
+                WHERE id = @id
+            `),
+            insertRevision: this.db.prepare(`
+                INSERT OR IGNORE INTO electric_balance_revisions (
+                    balance_id, version, valid_from, superseded_at, timestamp, time_scope, region,
+                    total_generation, total_demand, balance, renewable_percentage, title, description,
+                    source, quality_flags, created_at
+                ) VALUES (
+                    @id, @version, @validFrom, @supersededAt, @timestamp, @timeScope, @region,
+                    @totalGeneration, @totalDemand, @balance, @renewablePercentage, @title, @description,
+                    @source, @qualityFlags, @createdAt
+                )
+            `),
+            insertItem: this.db.prepare(`
+                INSERT INTO electric_balance_items (
+                    balance_id, version, category, position, type, value, percentage, color, unit
+                ) VALUES (
+                    @balanceId, @version, @category, @position, @type, @value, @percentage, @color, @unit
+                )
+            `),
+            deleteItems: this.db.prepare('DELETE FROM electric_balance_items WHERE balance_id = ? AND version = ?'),
+            deleteBalance: this.db.prepare('DELETE FROM electric_balances WHERE id = ?')
+        };
+
+        this.logger.debug('SQLiteElectricBalanceRepository initialized');
+    }
+
+    /**
+     * Guarda un balance eléctrico en la base de datos
+     *
+     * @param {ElectricBalance} electricBalance - Instancia de ElectricBalance a guardar
+     * @returns {Promise<ElectricBalance>} - Balance eléctrico guardado con ID asignado
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async save(electricBalance) {
+        try {
+            const savedDocument = this._insert(this._mapToDocument(electricBalance));
+
+            return this._mapToEntity(savedDocument);
+        } catch (error) {
+            this.logger.error(`Error saving electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to save electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'save'
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda múltiples balances eléctricos en una operación
+     *
+     * Como en MongoDB, los balances se guardan uno a uno y un fallo deja guardados
+     * los anteriores.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Array de entidades a guardar
+     * @returns {Promise<Array<ElectricBalance>>} - Array de entidades guardadas con IDs asignados
+     * @throws {Error} - Si hay problemas al guardar los datos
+     */
+    async saveMany(electricBalances) {
+        if (!electricBalances || electricBalances.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = electricBalances.map(entity => this._insert(this._mapToDocument(entity)));
+
+            this.logger.debug(`Successfully saved ${savedDocuments.length} documents`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error saving multiple electric balances: ${error.message}`, error);
+            throw new Error(`Failed to save multiple electric balances: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guarda múltiples balances eléctricos, sustituyendo los existentes para la misma fecha, alcance y región
+     *
+     * Cuando los datos de un balance existente cambian, la versión sustituida se
+     * guarda como revisión antes de sobrescribirla; si no cambian no se escribe nada.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Array de entidades a guardar
+     * @returns {Promise<Array<ElectricBalance>>} - Array de entidades guardadas
+     * @throws {RepositoryError} - Si hay problemas al guardar los datos
+     */
+    async upsertMany(electricBalances) {
+        if (!electricBalances || electricBalances.length === 0) {
+            return [];
+        }
+
+        try {
+            const savedDocuments = [];
+
+            for (const entity of electricBalances) {
+                const { _id, ...document } = this._mapToDocument(entity);
+                const existing = this._findByKey(document);
+
+                savedDocuments.push(existing
+                    ? this._replaceWithRevision(existing, document)
+                    : this._insert(document));
+            }
+
+            this.logger.debug(`Successfully upserted ${savedDocuments.length} electric balances`);
+
+            return savedDocuments.map(doc => this._mapToEntity(doc));
+        } catch (error) {
+            this.logger.error(`Error upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'upsertMany'
+                }
+            );
+        }
+    }
+
+    /**
+     * Inserta o actualiza un lote de balances en una transacción
+     *
+     * Es idempotente sobre la clave timestamp, alcance y región: volver a escribir
+     * los mismos datos no cambia nada. Sin `overwrite` solo se insertan los balances
+     * que no existen; con `overwrite` los que cambian se actualizan conservando la
+     * versión anterior como revisión. Cada balance se escribe en su propio punto de
+     * guardado, así uno que falla no detiene el resto del lote: se cuenta y se
+     * devuelve en `failures`.
+     *
+     * @param {Array<ElectricBalance>} electricBalances - Balances a guardar
+     * @param {Object} [options={}] - Opciones de la escritura
+     * @param {boolean} [options.overwrite=false] - Sustituir los balances existentes cuyos datos cambian
+     * @returns {Promise<Object>} - { insertedCount, updatedCount, unchangedCount, failedCount, failures }
+     * @throws {RepositoryError} - Si no se puede escribir el lote
+     */
+    async bulkUpsert(electricBalances, { overwrite = false } = {}) {
+        const summary = {
+            insertedCount: 0,
+            updatedCount: 0,
+            unchangedCount: 0,
+            failedCount: 0,
+            failures: []
+        };
+
+        if (!electricBalances || electricBalances.length === 0) {
+            return summary;
+        }
+
+        const recordFailure = (document, message) => {
+            summary.failedCount++;
+            summary.failures.push({
+                timestamp: document.timestamp,
+                timeScope: document.timeScope,
+                region: document.region,
+                message
+            });
+        };
+
+        try {
+            const now = new Date();
+
+            this.db.transaction(() => {
+                for (const entity of electricBalances) {
+                    const { _id, ...document } = this._mapToDocument(entity);
+                    const validationError = this._validateDocument(document);
+
+                    if (validationError) {
+                        recordFailure(document, validationError);
+                        continue;
+                    }
+
+                    try {
+                        const existing = this._findByKey(document);
+
+                        if (!existing) {
+                            this._insert(document, now);
+                            summary.insertedCount++;
+                        } else if (overwrite && this._hasContentChanged(existing, document)) {
+                            this._replaceWithRevision(existing, document, now);
+                            summary.updatedCount++;
+                        } else {
+                            summary.unchangedCount++;
+                        }
+                    } catch (error) {
+                        recordFailure(document, error.message);
+                    }
+                }
+            })();
+
+            this.logger.debug(
+                `Bulk upsert of ${electricBalances.length} electric balances: ${summary.insertedCount} inserted, ` +
+                `${summary.updatedCount} updated, ${summary.unchangedCount} unchanged, ${summary.failedCount} failed`
+            );
+
+            return summary;
+        } catch (error) {
+            this.logger.error(`Error bulk upserting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to bulk upsert electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'bulkUpsert'
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca un balance eléctrico por su ID
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @returns {Promise<ElectricBalance|null>} - Balance eléctrico encontrado o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findById(id) {
+        try {
+            return this._mapToEntity(this._findDocumentById(id));
+        } catch (error) {
+            this.logger.error(`Error finding electric balance by ID: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balance by ID: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findById',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca balances eléctricos por rango de fechas
+     *
+     * Los filtros admiten igualdad y los operadores $eq, $ne, $gt, $gte, $lt, $lte,
+     * $in y $nin sobre los campos del balance, los de sus items (`generation.type`)
+     * y los de sus indicadores de calidad (`qualityFlags.code`).
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {Object} options - Opciones adicionales (región, paginación, ordenación, asOf para ver los datos tal como se conocían en un instante, etc.)
+     * @returns {Promise<Array<ElectricBalance>>} - Array de balances eléctricos
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findByDateRange(startDate, endDate, timeScope = 'day', options = {}) {
+        try {
+            const match = this._buildRangeQuery(startDate, endDate, timeScope, options.region || DEFAULT_REGION);
+
+            if (!timeScope) {
+                delete match.timeScope;
+            }
+
+            Object.assign(match, options.filters || {});
+
+            const params = [];
+            const source = this._buildSource(options.asOf, params);
+            const where = this._buildWhere(match, params);
+
+            if (options.onlyCount) {
+                const { count } = this.db
+                    .prepare(`WITH source AS (${source}) SELECT COUNT(*) AS count FROM source s WHERE ${where}`)
+                    .get(params);
+
+                return { count };
+            }
+
+            if (options.onlyIds && !options.asOf) {
+                return this.db
+                    .prepare(`WITH source AS (${source}) SELECT s.balance_id FROM source s WHERE ${where}`)
+                    .pluck()
+                    .all(params);
+            }
+
+            const limit = options.limit || 100;
+            const skip = options.skip || ((options.page || 1) - 1) * limit;
+            const sort = options.sort && Object.keys(options.sort).length > 0 ? options.sort : { timestamp: 1 };
+
+            const rows = this.db
+                .prepare(
+                    `WITH source AS (${source}) SELECT s.* FROM source s WHERE ${where} ` +
+                    `ORDER BY ${this._buildOrderBy(sort)} LIMIT ? OFFSET ?`
+                )
+                .all([...params, limit, skip]);
+
+            if (options.onlyIds) {
+                return rows.map(row => row.balance_id);
+            }
+
+            return rows.map(row => {
+                const document = this._rowToDocument(row);
+                return this._mapToEntity(options.select ? this._project(document, options.select) : document);
+            });
+        } catch (error) {
+            this.logger.error(`Error finding electric balances by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balances by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findByDateRange',
+                    metadata: { startDate, endDate, timeScope, region: options.region, asOf: options.asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene estadísticas agregadas de balance eléctrico por rango de fechas
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Object>} - Estadísticas agregadas
+     * @throws {RepositoryError} - Si hay problemas al calcular las estadísticas
+     */
+    async getStatsByDateRange(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        try {
+            const params = [];
+            const source = this._buildSource(asOf, params);
+            const where = this._buildWhere(this._buildRangeQuery(startDate, endDate, timeScope, region), params);
+
+            const stats = this.db.prepare(`
+                WITH source AS (${source})
+                SELECT
+                    COUNT(*) AS count,
+                    AVG(total_generation) AS avgTotalGeneration,
+                    MAX(total_generation) AS maxTotalGeneration,
+                    MIN(total_generation) AS minTotalGeneration,
+                    AVG(total_demand) AS avgTotalDemand,
+                    MAX(total_demand) AS maxTotalDemand,
+                    MIN(total_demand) AS minTotalDemand,
+                    AVG(renewable_percentage) AS avgRenewablePercentage,
+                    MAX(renewable_percentage) AS maxRenewablePercentage,
+                    MIN(renewable_percentage) AS minRenewablePercentage
+                FROM source s
+                WHERE ${where}
+            `).get(params);
+
+            if (stats.count === 0) {
+                return {
+                    count: 0,
+                    stats: null,
+                    message: 'No data available for the specified range'
+                };
+            }
+
+            return {
+                count: stats.count,
+                startDate,
+                endDate,
+                timeScope,
+                region,
+                stats: {
+                    generation: {
+                        average: stats.avgTotalGeneration,
+                        max: stats.maxTotalGeneration,
+                        min: stats.minTotalGeneration
+                    },
+                    demand: {
+                        average: stats.avgTotalDemand,
+                        max: stats.maxTotalDemand,
+                        min: stats.minTotalDemand
+                    },
+                    renewablePercentage: {
+                        average: stats.avgRenewablePercentage,
+                        max: stats.maxRenewablePercentage,
+                        min: stats.minRenewablePercentage
+                    }
+                }
+            };
+        } catch (error) {
+            this.logger.error(`Error getting stats by date range: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get stats by date range: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'getStatsByDateRange',
+                    metadata: { startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Busca el balance eléctrico más reciente
+     *
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<ElectricBalance|null>} - Balance eléctrico más reciente o null
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findMostRecent(region = DEFAULT_REGION) {
+        try {
+            const row = this.db
+                .prepare(
+                    `SELECT id AS balance_id, ${SOURCE_COLUMNS}, updated_at FROM electric_balances ` +
+                    'WHERE region = ? ORDER BY timestamp DESC LIMIT 1'
+                )
+                .get(region);
+
+            return this._mapToEntity(row ? this._rowToDocument(row) : null);
+        } catch (error) {
+            this.logger.error(`Error finding most recent electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find most recent electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findMostRecent',
+                    metadata: { region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Actualiza un balance eléctrico existente, conservando como revisión la versión sustituida
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @param {ElectricBalance} electricBalance - Datos actualizados
+     * @returns {Promise<ElectricBalance>} - Balance eléctrico actualizado
+     * @throws {NotFoundError} - Si el balance no existe
+     * @throws {RepositoryError} - Si hay problemas al actualizar
+     */
+    async update(id, electricBalance) {
+        try {
+            const existing = this._findDocumentById(id);
+
+            if (!existing) {
+                throw new NotFoundError(
+                    `Electric balance with ID ${id} not found`,
+                    { resourceType: 'ElectricBalance', resourceId: id }
+                );
+            }
+
+            const { _id, ...electricBalanceData } = this._mapToDocument(electricBalance);
+
+            return this._mapToEntity(this._replaceWithRevision(existing, electricBalanceData));
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+
+            this.logger.error(`Error updating electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to update electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'update',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Elimina un balance eléctrico por su ID
+     *
+     * Como en MongoDB, las revisiones del balance se conservan.
+     *
+     * @param {string} id - ID del balance a eliminar
+     * @returns {Promise<boolean>} - true si se eliminó, false si no existía
+     * @throws {RepositoryError} - Si hay problemas al eliminar
+     */
+    async delete(id) {
+        try {
+            return this.db.transaction(() => {
+                const existing = this.statements.findById.get(String(id));
+
+                if (!existing) {
+                    return false;
+                }
+
+                this.statements.deleteBalance.run(existing.balance_id);
+                this.statements.deleteItems.run(existing.balance_id, existing.version);
+
+                return true;
+            })();
+        } catch (error) {
+            this.logger.error(`Error deleting electric balance: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to delete electric balance: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'delete',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Verifica si ya existe un balance eléctrico para una fecha y alcance específicos
+     *
+     * @param {Date} timestamp - Fecha y hora a verificar
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<boolean>} - true si existe, false si no
+     * @throws {RepositoryError} - Si hay problemas al verificar
+     */
+    async existsForDateAndScope(timestamp, timeScope, region = DEFAULT_REGION) {
+        try {
+            return Boolean(this.statements.findByKey.get(this._toTime(timestamp), timeScope, region));
+        } catch (error) {
+            this.logger.error(`Error checking if electric balance exists: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to check if electric balance exists: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'existsForDateAndScope',
+                    metadata: { timestamp, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene todas las versiones de un balance eléctrico, de la más antigua a la vigente
+     *
+     * @param {string} id - ID del balance eléctrico
+     * @returns {Promise<Array<ElectricBalanceRevision>>} - Versiones del balance; vacío si no existe
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findRevisions(id) {
+        try {
+            const versions = this.statements.findRevisions
+                .all(String(id))
+                .map(row => this._mapToRevision(row));
+
+            const current = this._findDocumentById(id);
+
+            if (current) {
+                const electricBalance = this._mapToEntity(current);
+
+                versions.push(new ElectricBalanceRevision({
+                    balanceId: electricBalance.id,
+                    version: electricBalance.version,
+                    validFrom: electricBalance.validFrom,
+                    supersededAt: null,
+                    electricBalance
+                }));
+            }
+
+            return versions;
+        } catch (error) {
+            this.logger.error(`Error finding electric balance revisions: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balance revisions: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findRevisions',
+                    metadata: { id }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene las marcas temporales almacenadas en un rango, ordenadas y con repeticiones
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (hour, day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @returns {Promise<Array<Date>>} - Marcas temporales de los balances guardados
+     * @throws {RepositoryError} - Si hay problemas al buscar los datos
+     */
+    async findTimestamps(startDate, endDate, timeScope, region = DEFAULT_REGION) {
+        try {
+            return this.db
+                .prepare(
+                    'SELECT timestamp FROM electric_balances ' +
+                    'WHERE timestamp >= ? AND timestamp <= ? AND time_scope = ? AND region = ? ORDER BY timestamp'
+                )
+                .pluck()
+                .all(this._toTime(startDate), this._toTime(endDate), timeScope, region)
+                .map(timestamp => new Date(timestamp));
+        } catch (error) {
+            this.logger.error(`Error finding electric balance timestamps: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to find electric balance timestamps: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'findTimestamps',
+                    metadata: { startDate, endDate, timeScope, region }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene la distribución de generación por tipo para un rango de fechas
+     *
+     * Las tecnologías agregadas (como la generación renovable total) se excluyen
+     * para no contar dos veces la misma energía. El color de cada tipo es el de su
+     * primer item en el rango.
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Object>} - Distribución de generación por tipo
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getGenerationDistribution(startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        try {
+            const params = [];
+            const source = this._buildSource(asOf, params);
+            const where = this._buildWhere(this._buildRangeQuery(startDate, endDate, timeScope, region), params);
+            const aggregateNames = getAggregateTechnologyNames();
+
+            const distribution = this.db.prepare(`
+                WITH source AS (${source}),
+                generation AS (
+                    SELECT
+                        i.type,
+                        i.value,
+                        FIRST_VALUE(i.color) OVER (PARTITION BY i.type ORDER BY s.timestamp, i.position) AS first_color
+                    FROM source s
+                    JOIN electric_balance_items i
+                        ON i.balance_id = s.balance_id AND i.version = s.version AND i.category = 'generation'
+                    WHERE ${where} AND i.type NOT IN (${aggregateNames.map(() => '?').join(', ')})
+                )
+                SELECT
+                    type,
+                    SUM(value) AS totalValue,
+                    AVG(value) AS avgValue,
+                    MAX(value) AS maxValue,
+                    MIN(value) AS minValue,
+                    MAX(first_color) AS color,
+                    COUNT(*) AS count
+                FROM generation
+                GROUP BY type
+                ORDER BY totalValue DESC
+            `).all([...params, ...aggregateNames]);
+
+            const totalGeneration = distribution.reduce(
+                (sum, item) => sum + item.totalValue, 0
+            );
+
+            return distribution.map(item => ({
+                ...item,
+                percentage: totalGeneration > 0
+                    ? (item.totalValue / totalGeneration) * 100
+                    : 0
+            }));
+        } catch (error) {
+            this.logger.error(`Error getting generation distribution: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get generation distribution: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'getGenerationDistribution',
+                    metadata: { startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene la evolución temporal de un indicador específico
+     *
+     * @param {string} indicator - Indicador a obtener (totalGeneration, renewablePercentage, etc.)
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal (day, month, year)
+     * @param {string} region - Ámbito geográfico
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos (por defecto los vigentes)
+     * @returns {Promise<Array<Object>>} - Evolución temporal del indicador
+     * @throws {Error} - Si el indicador no es válido
+     * @throws {RepositoryError} - Si hay problemas al obtener los datos
+     */
+    async getTimeSeriesForIndicator(indicator, startDate, endDate, timeScope = 'day', region = DEFAULT_REGION, asOf = null) {
+        const column = TIME_SERIES_COLUMNS[indicator];
+
+        if (!column) {
+            throw new Error(`Invalid indicator: ${indicator}. Allowed values: ${Object.keys(TIME_SERIES_COLUMNS).join(', ')}`);
+        }
+
+        try {
+            const params = [];
+            const source = this._buildSource(asOf, params);
+            const where = this._buildWhere(this._buildRangeQuery(startDate, endDate, timeScope, region), params);
+
+            return this.db
+                .prepare(`WITH source AS (${source}) SELECT s.timestamp, s.${column} AS value FROM source s WHERE ${where} ORDER BY s.timestamp`)
+                .all(params)
+                .map(row => ({ timestamp: new Date(row.timestamp), value: row.value }));
+        } catch (error) {
+            this.logger.error(`Error getting time series for indicator: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to get time series for indicator: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'getTimeSeriesForIndicator',
+                    metadata: { indicator, startDate, endDate, timeScope, region, asOf }
+                }
+            );
+        }
+    }
+
+    /**
+     * Obtiene un lote de balances, ordenados por ID, con sus versiones sustituidas
+     *
+     * @param {Object} [options={}] - Opciones del lote
+     * @param {string} [options.afterId] - ID del último balance del lote anterior
+     * @param {number} [options.limit=500] - Número máximo de balances
+     * @returns {Promise<Object>} - { balances, revisions, lastId }
+     * @throws {RepositoryError} - Si hay problemas al leer los datos
+     */
+    async exportBatch({ afterId = null, limit = 500 } = {}) {
+        try {
+            const rows = this.db
+                .prepare(
+                    `SELECT id AS balance_id, ${SOURCE_COLUMNS}, updated_at FROM electric_balances ` +
+                    'WHERE id > ? ORDER BY id LIMIT ?'
+                )
+                .all(afterId ? String(afterId) : '', limit);
+
+            const revisions = rows.flatMap(row => this.statements.findRevisions.all(row.balance_id));
+
+            return {
+                balances: rows.map(row => this._mapToEntity(this._rowToDocument(row))),
+                revisions: revisions.map(row => this._mapToRevision(row)),
+                lastId: rows.length > 0 ? rows[rows.length - 1].balance_id : null
+            };
+        } catch (error) {
+            this.logger.error(`Error exporting electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to export electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'exportBatch',
+                    metadata: { afterId, limit }
+                }
+            );
+        }
+    }
+
+    /**
+     * Guarda un lote exportado de otro almacenamiento conservando IDs, versiones y fechas
+     *
+     * @param {Object} batch - Lote devuelto por exportBatch
+     * @param {Array<ElectricBalance>} batch.balances - Balances vigentes
+     * @param {Array<ElectricBalanceRevision>} [batch.revisions=[]] - Versiones sustituidas
+     * @returns {Promise<Object>} - { importedCount, revisionCount, failedCount, failures }
+     * @throws {RepositoryError} - Si no se puede escribir el lote
+     */
+    async importBatch({ balances = [], revisions = [] }) {
+        const summary = { importedCount: 0, revisionCount: 0, failedCount: 0, failures: [] };
+
+        const recordFailure = (entity, message) => {
+            summary.failedCount++;
+            summary.failures.push({
+                id: entity.id,
+                timestamp: entity.timestamp,
+                timeScope: entity.timeScope,
+                region: entity.region,
+                message
+            });
+        };
+
+        // Cada registro en su propio punto de guardado, para que un fallo no deshaga el resto
+        const write = (entity, document, writeDocument) => {
+            const validationError = this._validateDocument(document);
+
+            if (validationError) {
+                recordFailure(entity, validationError);
+                return false;
+            }
+
+            try {
+                return this.db.transaction(writeDocument)();
+            } catch (error) {
+                recordFailure(entity, error.message);
+                return false;
+            }
+        };
+
+        try {
+            this.db.transaction(() => {
+                for (const revision of revisions) {
+                    const { _id, ...document } = this._mapToDocument(revision.electricBalance);
+                    const row = this._toRow({
+                        ...document,
+                        _id: String(revision.balanceId),
+                        version: revision.version,
+                        validFrom: revision.validFrom,
+                        createdAt: revision.electricBalance.createdAt,
+                        updatedAt: revision.validFrom
+                    });
+
+                    // Una revisión que ya existe se deja como está
+                    const inserted = write(revision.electricBalance, document, () => {
+                        const { changes } = this.statements.insertRevision.run({
+                            ...row,
+                            supersededAt: this._toTime(revision.supersededAt)
+                        });
+
+                        if (changes > 0) {
+                            this._writeItems(row.id, row.version, document);
+                        }
+
+                        return changes > 0;
+                    });
+
+                    if (inserted) {
+                        summary.revisionCount++;
+                    }
+                }
+
+                for (const entity of balances) {
+                    const document = {
+                        ...this._mapToDocument(entity),
+                        _id: String(entity.id),
+                        version: entity.version,
+                        validFrom: entity.validFrom,
+                        createdAt: entity.createdAt,
+                        updatedAt: entity.updatedAt
+                    };
+
+                    const imported = write(entity, document, () => {
+                        const row = this._toRow(document);
+                        const { changes } = this.statements.updateBalance.run(row);
+
+                        if (changes === 0) {
+                            this.statements.insertBalance.run(row);
+                        }
+
+                        this._writeItems(row.id, row.version, document);
+
+                        return true;
+                    });
+
+                    if (imported) {
+                        summary.importedCount++;
+                    }
+                }
+            })();
+
+            this.logger.debug(
+                `Imported ${summary.importedCount} electric balances and ${summary.revisionCount} revisions, ` +
+                `${summary.failedCount} failed`
+            );
+
+            return summary;
+        } catch (error) {
+            this.logger.error(`Error importing electric balances: ${error.message}`, error);
+
+            throw new RepositoryError(
+                `Failed to import electric balances: ${error.message}`,
+                {
+                    originalError: error,
+                    entity: 'ElectricBalance',
+                    operation: 'importBatch'
+                }
+            );
+        }
+    }
+
+    /**
+     * Construye el filtro por rango de fechas, alcance y región
+     *
+     * @param {Date} startDate - Fecha de inicio
+     * @param {Date} endDate - Fecha de fin
+     * @param {string} timeScope - Alcance temporal
+     * @param {string} region - Ámbito geográfico
+     * @returns {Object} - Filtro
+     * @private
+     */
+    _buildRangeQuery(startDate, endDate, timeScope, region) {
+        return {
+            timestamp: { $gte: new Date(startDate), $lte: new Date(endDate) },
+            timeScope,
+            region
+        };
+    }
+
+    /**
+     * Construye la consulta de los balances sobre la que se filtra y agrega
+     *
+     * Sin `asOf` son los balances vigentes. Con `asOf` cada balance se toma en la
+     * versión que estaba vigente en ese instante: la fila actual si ya lo era, o la
+     * revisión cuyo intervalo de vigencia lo contiene.
+     *
+     * @param {Date} [asOf] - Instante en el que se quieren ver los datos
+     * @param {Array} params - Parámetros de la consulta, a los que se añaden los de esta parte
+     * @returns {string} - Consulta con las columnas de SOURCE_COLUMNS, `balance_id` y `updated_at`
+     * @private
+     */
+    _buildSource(asOf, params) {
+        const current = `SELECT id AS balance_id, ${SOURCE_COLUMNS}, updated_at FROM electric_balances`;
+
+        if (!asOf) {
+            return current;
+        }
+
+        const asOfTime = this._toTime(asOf);
+        params.push(asOfTime, asOfTime, asOfTime);
+
+        return `${current} WHERE valid_from <= ?
+            UNION ALL
+            SELECT balance_id, ${SOURCE_COLUMNS}, valid_from AS updated_at FROM electric_balance_revisions
+            WHERE valid_from <= ? AND superseded_at > ?`;
+    }
+
+    /**
+     * Traduce un filtro con la sintaxis de MongoDB a condiciones SQL sobre `source s`
+     *
+     * @param {Object} match - Filtro por campo
+     * @param {Array} params - Parámetros de la consulta, a los que se añaden los del filtro
+     * @returns {string} - Condición SQL
+     * @throws {Error} - Si un campo u operador no está soportado
+     * @private
+     */
+    _buildWhere(match, params) {
+        const conditions = Object.entries(match).flatMap(([path, condition]) => {
+            const isOperatorObject = condition !== null && typeof condition === 'object' &&
+                !(condition instanceof Date) && !Array.isArray(condition) &&
+                Object.keys(condition).length > 0 &&
+                Object.keys(condition).every(key => key.startsWith('$'));
+
+            const operators = isOperatorObject ? Object.entries(condition) : [['$eq', condition]];
+
+            return operators.map(([operator, operand]) => this._buildCondition(path, operator, operand, params));
+        });
+
+        return conditions.length > 0 ? conditions.join(' AND ') : '1 = 1';
+    }
+
+    /**
+     * Traduce la condición de un campo
+     *
+     * En los campos de los items y de los indicadores de calidad basta con que un
+     * elemento cumpla la condición, salvo con $ne y $nin, que exigen que ninguno
+     * tenga el valor, como en MongoDB.
+     *
+     * @param {string} path - Ruta del campo
+     * @param {string} operator - Operador
+     * @param {*} operand - Valor con el que se compara
+     * @param {Array} params - Parámetros de la consulta
+     * @returns {string} - Condición SQL
+     * @throws {Error} - Si el campo no está soportado
+     * @private
+     */
+    _buildCondition(path, operator, operand, params) {
+        const column = BALANCE_COLUMNS[path];
+
+        if (column) {
+            const value = DATE_COLUMNS.has(column) ? this._toDateOperand(operand) : operand;
+            return this._compare(`s.${column}`, operator, value, params);
+        }
+
+        const [list, field, ...rest] = path.split('.');
+        let from;
+        let expression;
+
+        if (ITEM_CATEGORIES.includes(list) && ITEM_FIELDS.includes(field) && rest.length === 0) {
+            from = 'electric_balance_items i WHERE i.balance_id = s.balance_id AND i.version = s.version ' +
+                `AND i.category = '${list}' AND`;
+            expression = `i.${field}`;
+        } else if (list === 'qualityFlags' && QUALITY_FLAG_FIELDS.includes(field) && rest.length === 0) {
+            from = 'json_each(s.quality_flags) f WHERE';
+            expression = `json_extract(f.value, '$.${field}')`;
+        } else {
+            throw new Error(`Unsupported filter field: ${path}`);
+        }
+
+        if (operator === '$ne' || operator === '$nin') {
+            return `NOT EXISTS (SELECT 1 FROM ${from} ${this._compare(expression, operator === '$ne' ? '$eq' : '$in', operand, params)})`;
+        }
+
+        return `EXISTS (SELECT 1 FROM ${from} ${this._compare(expression, operator, operand, params)})`;
+    }
+
+    /**
+     * Traduce un operador de comparación
+     *
+     * @param {string} expression - Expresión SQL a comparar
+     * @param {string} operator - Operador ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin)
+     * @param {*} operand - Valor con el que se compara
+     * @param {Array} params - Parámetros de la consulta
+     * @returns {string} - Condición SQL
+     * @throws {Error} - Si el operador no está soportado
+     * @private
+     */
+    _compare(expression, operator, operand, params) {
+        const comparisons = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+        const isMissing = operand === null || operand === undefined;
+
+        if (operator === '$eq' || operator === '$ne') {
+            if (isMissing) {
+                return `${expression} IS ${operator === '$eq' ? '' : 'NOT '}NULL`;
+            }
+
+            params.push(this._toParam(operand));
+
+            return operator === '$eq'
+                ? `${expression} = ?`
+                : `(${expression} IS NULL OR ${expression} <> ?)`;
+        }
+
+        if (comparisons[operator]) {
+            if (isMissing) {
+                return '0 = 1';
+            }
+
+            params.push(this._toParam(operand));
+
+            return `${expression} ${comparisons[operator]} ?`;
+        }
+
+        if (operator === '$in' || operator === '$nin') {
+            const values = operand.filter(value => value !== null && value !== undefined);
+            const includesMissing = values.length < operand.length;
+            const inList = values.length > 0 ? `${expression} IN (${values.map(() => '?').join(', ')})` : '0 = 1';
+
+            params.push(...values.map(value => this._toParam(value)));
+
+            if (operator === '$in') {
+                return includesMissing ? `(${expression} IS NULL OR ${inList})` : inList;
+            }
+
+            // Como en MongoDB, $nin acepta los campos sin valor salvo que la lista incluya null
+            return includesMissing
+                ? `(${expression} IS NOT NULL AND NOT (${inList}))`
+                : `(${expression} IS NULL OR NOT (${inList}))`;
+        }
+
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+
+    /**
+     * Traduce una ordenación con la sintaxis de MongoDB
+     *
+     * @param {Object} sort - Campos y sentido (1 ascendente, -1 descendente)
+     * @returns {string} - Cláusula ORDER BY sin la palabra clave
+     * @throws {Error} - Si un campo no está soportado
+     * @private
+     */
+    _buildOrderBy(sort) {
+        const criteria = Object.entries(sort).map(([path, direction]) => {
+            const column = BALANCE_COLUMNS[path];
+
+            if (!column) {
+                throw new Error(`Unsupported sort field: ${path}`);
+            }
+
+            const descending = direction === -1 || direction === 'desc' || direction === 'descending';
+
+            return `s.${column} ${descending ? 'DESC' : 'ASC'}`;
+        });
+
+        return [...criteria, 's.balance_id ASC'].join(', ');
+    }
+
+    /**
+     * Convierte un valor de filtro en parámetro de SQLite
+     *
+     * @param {*} value - Valor del filtro
+     * @returns {*} - Valor enlazable
+     * @private
+     */
+    _toParam(value) {
+        if (value instanceof Date) {
+            return value.getTime();
+        }
+
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+
+        return value;
+    }
+
+    /**
+     * Convierte el operando de un filtro sobre una fecha a milisegundos
+     *
+     * @param {*} operand - Fecha, texto de fecha o lista de ellas
+     * @returns {*} - Operando convertido
+     * @private
+     */
+    _toDateOperand(operand) {
+        if (Array.isArray(operand)) {
+            return operand.map(value => this._toDateOperand(value));
+        }
+
+        return operand === null || operand === undefined ? operand : this._toTime(operand);
+    }
+
+    /**
+     * Convierte una fecha a milisegundos desde la época
+     *
+     * @param {Date|string|number} value - Fecha
+     * @returns {number} - Milisegundos
+     * @private
+     */
+    _toTime(value) {
+        return value instanceof Date ? value.getTime() : new Date(value).getTime();
+    }
+
+    /**
+     * Busca el documento vigente con un ID
+     *
+     * @param {string} id - ID del balance
+     * @returns {Object|null} - Documento o null
+     * @private
+     */
+    _findDocumentById(id) {
+        const row = this.statements.findById.get(String(id));
+
+        return row ? this._rowToDocument(row) : null;
+    }
+
+    /**
+     * Busca el documento vigente con la misma clave que otro
+     *
+     * @param {Object} document - Documento con timestamp, timeScope y region
+     * @returns {Object|null} - Documento o null
+     * @private
+     */
+    _findByKey(document) {
+        const row = this.statements.findByKey.get(
+            this._toTime(document.timestamp),
+            document.timeScope,
+            document.region || DEFAULT_REGION
+        );
+
+        return row ? this._rowToDocument(row) : null;
+    }
+
+    /**
+     * Guarda un documento nuevo
+     *
+     * @param {Object} document - Documento a guardar
+     * @param {Date} [now=new Date()] - Momento de creación
+     * @returns {Object} - Documento guardado
+     * @throws {Error} - Si el documento no es válido o ya existe uno con la misma clave
+     * @private
+     */
+    _insert(document, now = new Date()) {
+        const validationError = this._validateDocument(document);
+
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        const savedDocument = {
+            ...document,
+            _id: document._id ? String(document._id) : crypto.randomBytes(12).toString('hex'),
+            version: 1,
+            validFrom: now,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.db.transaction(() => {
+            const row = this._toRow(savedDocument);
+
+            this.statements.insertBalance.run(row);
+            this._writeItems(row.id, row.version, savedDocument);
+        })();
+
+        return this._findDocumentById(savedDocument._id);
+    }
+
+    /**
+     * Sustituye un balance guardado por nuevos datos, copiando antes la versión actual a revisiones
+     *
+     * Si los datos no cambian se devuelve el documento existente sin escribir nada.
+     * Los items de la versión sustituida se quedan en la tabla para su revisión.
+     *
+     * @param {Object} existing - Documento actual
+     * @param {Object} document - Nuevos datos, sin `_id`
+     * @param {Date} [now=new Date()] - Momento de la sustitución
+     * @returns {Object} - Documento resultante
+     * @throws {Error} - Si los nuevos datos no son válidos o chocan con otro balance
+     * @private
+     */
+    _replaceWithRevision(existing, document, now = new Date()) {
+        if (!this._hasContentChanged(existing, document)) {
+            return existing;
+        }
+
+        const validationError = this._validateDocument(document);
+
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        const version = existing.version || 1;
+
+        this.db.transaction(() => {
+            // Una revisión que ya existe se da por archivada
+            this.statements.insertRevision.run({
+                ...this._toRow(existing),
+                supersededAt: now.getTime()
+            });
+
+            const row = this._toRow({
+                ...existing,
+                ...document,
+                _id: existing._id,
+                version: version + 1,
+                validFrom: now,
+                updatedAt: now
+            });
+
+            this.statements.updateBalance.run(row);
+            this._writeItems(row.id, row.version, document);
+        })();
+
+        this.logger.debug(`Electric balance ${existing._id} revised to version ${version + 1}`);
+
+        return this._findDocumentById(existing._id);
+    }
+
+    /**
+     * Sustituye los items de una versión de un balance
+     *
+     * @param {string} balanceId - ID del balance
+     * @param {number} version - Versión
+     * @param {Object} document - Documento con generation, demand e interchange
+     * @private
+     */
+    _writeItems(balanceId, version, document) {
+        this.statements.deleteItems.run(balanceId, version);
+
+        for (const category of ITEM_CATEGORIES) {
+            (document[category] || []).forEach((item, position) => {
+                this.statements.insertItem.run({
+                    balanceId,
+                    version,
+                    category,
+                    position,
+                    type: item.type,
+                    value: Number(item.value),
+                    percentage: Number(item.percentage) || 0,
+                    color: item.color ?? null,
+                    unit: item.unit || 'MW'
+                });
+            });
+        }
+    }
+
+    /**
+     * Convierte un documento en los parámetros de una fila de balance o revisión
+     *
+     * La respuesta original de REE no se guarda, igual que MongoDB no la devuelve.
+     *
+     * @param {Object} document - Documento
+     * @returns {Object} - Parámetros con nombre
+     * @private
+     */
+    _toRow(document) {
+        const metadata = document.metadata || {};
+
+        return {
+            id: String(document._id),
+            timestamp: this._toTime(document.timestamp),
+            timeScope: document.timeScope,
+            region: document.region || DEFAULT_REGION,
+            totalGeneration: document.totalGeneration ?? 0,
+            totalDemand: document.totalDemand ?? 0,
+            balance: document.balance ?? 0,
+            renewablePercentage: document.renewablePercentage ?? 0,
+            title: metadata.title ?? null,
+            description: metadata.description ?? null,
+            source: metadata.source || 'REE API',
+            qualityFlags: JSON.stringify((document.qualityFlags || []).map(flag => ({
+                code: flag.code,
+                severity: flag.severity,
+                message: flag.message || '',
+                details: flag.details || {}
+            }))),
+            version: document.version || 1,
+            validFrom: this._toTime(document.validFrom || document.createdAt),
+            createdAt: this._toTime(document.createdAt),
+            updatedAt: this._toTime(document.updatedAt || document.createdAt)
+        };
+    }
+
+    /**
+     * Convierte una fila de balance o revisión, con sus items, en documento
+     *
+     * @param {Object} row - Fila con las columnas de SOURCE_COLUMNS y `balance_id`
+     * @returns {Object} - Documento
+     * @private
+     */
+    _rowToDocument(row) {
+        const items = { generation: [], demand: [], interchange: [] };
+
+        for (const item of this.statements.findItems.all(row.balance_id, row.version)) {
+            items[item.category].push({
+                type: item.type,
+                value: item.value,
+                percentage: item.percentage,
+                color: item.color,
+                unit: item.unit
+            });
+        }
+
+        const toDate = (value) => (value === null || value === undefined ? undefined : new Date(value));
+
+        return {
+            _id: row.balance_id,
+            timestamp: new Date(row.timestamp),
+            timeScope: row.time_scope,
+            region: row.region,
+            ...items,
+            totalGeneration: row.total_generation,
+            totalDemand: row.total_demand,
+            balance: row.balance,
+            renewablePercentage: row.renewable_percentage,
+            metadata: {
+                ...(row.title !== null ? { title: row.title } : {}),
+                ...(row.description !== null ? { description: row.description } : {}),
+                ...(row.source !== null ? { source: row.source } : {})
+            },
+            qualityFlags: JSON.parse(row.quality_flags),
+            version: row.version,
+            validFrom: toDate(row.valid_from),
+            createdAt: toDate(row.created_at),
+            updatedAt: toDate(row.updated_at)
+        };
+    }
+
+    /**
+     * Aplica una proyección de campos a un documento
+     *
+     * @param {Object} document - Documento
+     * @param {string|Object} select - Campos como en Mongoose ('a b', '-a' o { a: 1 })
+     * @returns {Object} - Documento con los campos seleccionados
+     * @private
+     */
+    _project(document, select) {
+        const fields = typeof select === 'string'
+            ? Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field =>
+                field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+            : select;
+
+        const entries = Object.entries(fields).filter(([field]) => field !== '_id');
+        const inclusive = entries.some(([, value]) => value);
+
+        if (!inclusive) {
+            const projected = { ...document };
+            entries.forEach(([field]) => delete projected[field]);
+            return projected;
+        }
+
+        return entries.reduce(
+            (projected, [field, value]) => (value ? { ...projected, [field]: document[field] } : projected),
+            { _id: document._id }
+        );
+    }
+
+    /**
+     * Valida un documento con las mismas reglas que el esquema de MongoDB
+     *
+     * @param {Object} document - Documento a validar
+     * @returns {string|null} - Mensaje de error o null si es válido
+     * @private
+     */
+    _validateDocument(document) {
+        const errors = [];
+        const timestamp = new Date(document.timestamp);
+
+        if (isNaN(timestamp.getTime())) {
+            errors.push(`timestamp: Cast to date failed for value "${document.timestamp}"`);
+        }
+
+        if (!TIME_SCOPES.includes(document.timeScope)) {
+            errors.push(`timeScope: \`${document.timeScope}\` is not a valid enum value for path \`timeScope\``);
+        }
+
+        if (!REGIONS.includes(document.region || DEFAULT_REGION)) {
+            errors.push(`region: \`${document.region}\` is not a valid enum value for path \`region\``);
+        }
+
+        if (!Number.isFinite(document.renewablePercentage)) {
+            errors.push(`renewablePercentage: ${document.renewablePercentage} is not a valid percentage value`);
+        }
+
+        ITEM_CATEGORIES.forEach(field => {
+            (document[field] || []).forEach((item, index) => {
+                if (!item.type) {
+                    errors.push(`${field}.${index}.type: Path \`type\` is required.`);
+                }
+                if (!Number.isFinite(Number(item.value))) {
+                    errors.push(`${field}.${index}.value: Cast to Number failed for value "${item.value}"`);
+                }
+            });
+        });
+
+        return errors.length > 0 ? `ElectricBalance validation failed: ${errors.join(', ')}` : null;
+    }
+
+    /**
+     * Indica si los nuevos datos de un balance difieren de los guardados
+     *
+     * Se comparan los valores de cada item y los códigos de calidad; colores,
+     * unidades y metadatos no crean una versión nueva.
+     *
+     * @param {Object} existing - Documento guardado
+     * @param {Object} document - Nuevos datos
+     * @returns {boolean} - true si hay cambios
+     * @private
+     */
+    _hasContentChanged(existing, document) {
+        const fingerprint = (doc) => JSON.stringify({
+            generation: this._itemsFingerprint(doc.generation),
+            demand: this._itemsFingerprint(doc.demand),
+            interchange: this._itemsFingerprint(doc.interchange),
+            qualityFlags: (doc.qualityFlags || []).map(flag => flag.code).sort()
+        });
+
+        return fingerprint(existing) !== fingerprint(document);
+    }
+
+    /**
+     * Reduce una lista de items a los valores comparables, ordenados por tipo
+     *
+     * @param {Array<Object>} items - Items de generación, demanda o intercambio
+     * @returns {Array<Array>} - Pares [tipo, valor, porcentaje]
+     * @private
+     */
+    _itemsFingerprint(items = []) {
+        return items
+            .map(item => [item.type, Number(item.value) || 0, Number(item.percentage) || 0])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Convierte una fila de revisión a entidad de dominio
+     *
+     * @param {Object} row - Fila de `electric_balance_revisions`
+     * @returns {ElectricBalanceRevision} - Versión del balance
+     * @private
+     */
+    _mapToRevision(row) {
+        const document = this._rowToDocument({ ...row, updated_at: row.valid_from });
+
+        return new ElectricBalanceRevision({
+            balanceId: row.balance_id,
+            version: row.version,
+            validFrom: document.validFrom,
+            supersededAt: new Date(row.superseded_at),
+            electricBalance: this._mapToEntity(document)
+        });
+    }
+
+    /**
+     * Convierte una entidad de dominio a documento
+     *
+     * @param {ElectricBalance} entity - Entidad a convertir
+     * @returns {Object} - Documento listo para guardar
+     * @private
+     */
+    _mapToDocument(entity) {
+        const totalGeneration = Number.isFinite(entity.getTotalGeneration())
+            ? entity.getTotalGeneration()
+            : 0;
+
+        const totalDemand = Number.isFinite(entity.getTotalDemand())
+            ? entity.getTotalDemand()
+            : 0;
+
+        const balance = Number.isFinite(entity.getBalance())
+            ? entity.getBalance()
+            : 0;
+
+        const renewablePercentage = Number.isFinite(entity.getRenewablePercentage())
+            ? entity.getRenewablePercentage()
+            : 0;
+
+        return {
+            ...(entity.id ? { _id: entity.id } : {}),
+            timestamp: entity.timestamp,
+            timeScope: entity.timeScope,
+            region: entity.region || DEFAULT_REGION,
+            generation: entity.generation || [],
+            demand: entity.demand || [],
+            interchange: entity.interchange || [],
+            totalGeneration,
+            totalDemand,
+            balance,
+            renewablePercentage,
+            metadata: entity.metadata || {},
+            qualityFlags: entity.qualityFlags || []
+        };
+    }
+
+    /**
+     * Convierte un documento a entidad de dominio
+     *
+     * @param {Object} document - Documento leído de la base de datos
+     * @returns {ElectricBalance} - Entidad de dominio
+     * @private
+     */
+    _mapToEntity(document) {
+        if (!document) return null;
+
+        return new ElectricBalance({
+            id: String(document._id),
+            timestamp: document.timestamp,
+            timeScope: document.timeScope,
+            region: document.region || DEFAULT_REGION,
+            generation: document.generation,
+            demand: document.demand,
+            interchange: document.interchange,
+            metadata: document.metadata || {},
+            qualityFlags: document.qualityFlags || [],
+            createdAt: document.createdAt,
+            updatedAt: document.updatedAt,
+            version: document.version,
+            validFrom: document.validFrom
+        });
+    }
+}
+
+module.exports = SQLiteElectricBalanceRepository;
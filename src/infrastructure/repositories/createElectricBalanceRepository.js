@@ -0,0 +1,47 @@
+/**
+ * @file createElectricBalanceRepository.js
+ * @description Creación del repositorio de balances eléctricos según el almacenamiento configurado
+ */
+
+const MongoElectricBalanceRepository = require('./MongoElectricBalanceRepository');
+const InMemoryElectricBalanceRepository = require('./InMemoryElectricBalanceRepository');
+const SQLiteElectricBalanceRepository = require('./SQLiteElectricBalanceRepository');
+const SQLiteConnection = require('../database/sqlite/connection');
+const { ConfigurationError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Implementaciones del repositorio por tipo de almacenamiento
+ */
+const ELECTRIC_BALANCE_REPOSITORIES = {
+    mongo: (options, logger) => new MongoElectricBalanceRepository(logger),
+    memory: (options, logger) => new InMemoryElectricBalanceRepository(logger),
+    sqlite: ({ sqliteFile }, logger) => new SQLiteElectricBalanceRepository(
+        SQLiteConnection.open(sqliteFile, logger),
+        logger
+    )
+};
+
+/**
+ * Crea el repositorio de balances eléctricos del almacenamiento indicado
+ *
+ * @param {string} [storage='mongo'] - Tipo de almacenamiento (mongo, memory, sqlite)
+ * @param {Object} [options={}] - Opciones del almacenamiento
+ * @param {string} [options.sqliteFile] - Fichero de la base de datos SQLite
+ * @param {Object} [logger=console] - Logger para registrar eventos
+ * @returns {import('../../domain/repositories/ElectricBalanceRepository')} - Repositorio
+ * @throws {ConfigurationError} - Si el almacenamiento no existe o no se puede abrir
+ */
+function createElectricBalanceRepository(storage = 'mongo', options = {}, logger = console) {
+    const createRepository = ELECTRIC_BALANCE_REPOSITORIES[storage];
+
+    if (!createRepository) {
+        throw new ConfigurationError(
+            `Invalid electric balance storage: ${storage}. Valid values: ${Object.keys(ELECTRIC_BALANCE_REPOSITORIES).join(', ')}`,
+            { configKey: 'ELECTRIC_BALANCE_STORAGE' }
+        );
+    }
+
+    return createRepository(options, logger);
+}
+
+module.exports = createElectricBalanceRepository;
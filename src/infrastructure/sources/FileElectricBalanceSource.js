@@ -0,0 +1,342 @@
+/**
+ * @file FileElectricBalanceSource.js
+ * @description Fuente de balances eléctricos en ficheros CSV o NDJSON locales
+ *
+ * Permite cargar datos de otros operadores o revisados a mano. Se leen todos los
+ * ficheros `.csv`, `.ndjson` y `.jsonl` del directorio configurado en cada consulta,
+ * así que basta con dejar o sustituir los ficheros para que la siguiente
+ * obtención los recoja.
+ *
+ * NDJSON: una línea por balance, con los mismos campos que la entidad:
+ *   {"timestamp":"2024-01-01T00:00:00+01:00","timeScope":"day","region":"national",
+ *    "generation":[{"type":"Eólica","value":120.5,"percentage":22.1}],"demand":[...],"interchange":[...]}
+ *
+ * CSV: una fila por tecnología, con cabecera. Las filas con el mismo timestamp,
+ * timeScope y región forman un balance:
+ *   timestamp,timeScope,region,category,type,value,percentage,color
+ *   2024-01-01T00:00:00+01:00,day,national,generation,Eólica,120.5,22.1,
+ *
+ * `region`, `percentage` y `color` son opcionales; `category` es generation,
+ * demand o interchange. Si un mismo balance aparece en varias líneas NDJSON,
+ * se queda la última. Los timestamps sin desfase (`2024-01-01` o
+ * `2024-01-01T10:00`) se interpretan en hora de Madrid, como los de REE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ElectricBalanceSource = require('../../domain/sources/ElectricBalanceSource');
+const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const { BALANCE_SOURCES } = require('../../domain/constants/balanceSources');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { ConfigurationError } = require('../../application/errors/ApplicationErrors');
+const { parseMadridDateTime } = require('../../utils/madridTime');
+
+/**
+ * Extensiones de fichero que se leen y su formato
+ */
+const FILE_FORMATS = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+/**
+ * Categorías de un balance admitidas en la columna `category` del CSV
+ */
+const CATEGORIES = ['generation', 'demand', 'interchange'];
+
+/**
+ * Fuente de balances eléctricos en ficheros locales
+ * @implements {ElectricBalanceSource}
+ */
+class FileElectricBalanceSource extends ElectricBalanceSource {
+    /**
+     * Constructor de la fuente
+     *
+     * @param {string} directory - Directorio con los ficheros de balances
+     * @param {Object} logger - Logger para registrar eventos
+     */
+    constructor(directory, logger = console) {
+        super();
+        this.directory = path.resolve(directory);
+        this.logger = logger;
+    }
+
+    /**
+     * Obtiene el nombre con el que se selecciona la fuente
+     *
+     * @returns {string} - Nombre de la fuente
+     */
+    getName() {
+        return BALANCE_SOURCES.FILE;
+    }
+
+    /**
+     * Lee los ficheros y devuelve los balances del rango, granularidad y región pedidos
+     *
+     * Las líneas que no se pueden interpretar se descartan con un aviso. Los valores
+     * no numéricos de un balance del rango se devuelven como incidencias para que
+     * la validación lo marque.
+     *
+     * @param {Object} params - Parámetros de la consulta
+     * @param {Date} params.startDate - Fecha de inicio
+     * @param {Date} params.endDate - Fecha de fin
+     * @param {string} params.timeScope - Granularidad temporal
+     * @param {string} params.region - Ámbito geográfico
+     * @returns {Promise<Object>} - { balances, issues, failedChunks }
+     * @throws {ConfigurationError} - Si el directorio no existe
+     */
+    async fetchRange({ startDate, endDate, timeScope, region }) {
+        const files = await this._listFiles();
+        const points = new Map();
+        const issues = [];
+
+        const inRange = (row) => row.timeScope === timeScope &&
+            row.region === region &&
+            row.time >= startDate.getTime() &&
+            row.time <= endDate.getTime();
+
+        for (const file of files) {
+            const content = await fs.promises.readFile(file.path, 'utf8');
+            const rows = file.format === 'csv'
+                ? this._parseCsv(content, file.name)
+                : this._parseNdjson(content, file.name);
+
+            for (const row of rows.filter(inRange)) {
+                const key = row.time;
+
+                if (row.point) {
+                    points.set(key, { ...row.point, metadata: this._buildMetadata(file.name) });
+                    continue;
+                }
+
+                if (!points.has(key)) {
+                    points.set(key, {
+                        timestamp: new Date(row.time),
+                        timeScope,
+                        region,
+                        generation: [],
+                        demand: [],
+                        interchange: [],
+                        metadata: this._buildMetadata(file.name)
+                    });
+                }
+
+                if (row.issue) {
+                    issues.push({ path: row.location, message: row.issue, datetime: row.time });
+                    continue;
+                }
+
+                points.get(key)[row.category].push(row.item);
+            }
+        }
+
+        const balances = [...points.values()]
+            .map(point => new ElectricBalance({ ...point, timeScope, region }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        this.logger.info(`Read ${balances.length} ${timeScope} electric balances for ${region} from ${files.length} files in ${this.directory}`);
+
+        return { balances, issues, failedChunks: [] };
+    }
+
+    /**
+     * Lista los ficheros admitidos del directorio, ordenados por nombre
+     *
+     * @returns {Promise<Array<Object>>} - Ficheros { path, name, format }
+     * @throws {ConfigurationError} - Si el directorio no existe
+     * @private
+     */
+    async _listFiles() {
+        let entries;
+
+        try {
+            entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        } catch (error) {
+            throw new ConfigurationError(
+                `Cannot read balance source directory ${this.directory}: ${error.message}`,
+                { originalError: error }
+            );
+        }
+
+        return entries
+            .filter(entry => entry.isFile() && FILE_FORMATS[path.extname(entry.name).toLowerCase()])
+            .map(entry => ({
+                path: path.join(this.directory, entry.name),
+                name: entry.name,
+                format: FILE_FORMATS[path.extname(entry.name).toLowerCase()]
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Interpreta un fichero NDJSON con un balance por línea
+     *
+     * @param {string} content - Contenido del fichero
+     * @param {string} fileName - Nombre del fichero, para los avisos
+     * @returns {Array<Object>} - Filas { time, timeScope, region, point }
+     * @private
+     */
+    _parseNdjson(content, fileName) {
+        const rows = [];
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const location = `${fileName}:${index + 1}`;
+            let point;
+
+            try {
+                point = JSON.parse(line);
+            } catch (error) {
+                this.logger.warn(`Skipping invalid JSON line ${location}: ${error.message}`);
+                return;
+            }
+
+            const time = parseMadridDateTime(point.timestamp).getTime();
+
+            if (!Number.isFinite(time) || !point.timeScope) {
+                this.logger.warn(`Skipping line ${location} without a valid timestamp and timeScope`);
+                return;
+            }
+
+            rows.push({
+                time,
+                timeScope: point.timeScope,
+                region: point.region || DEFAULT_REGION,
+                point: {
+                    timestamp: new Date(time),
+                    generation: Array.isArray(point.generation) ? point.generation : [],
+                    demand: Array.isArray(point.demand) ? point.demand : [],
+                    interchange: Array.isArray(point.interchange) ? point.interchange : []
+                }
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Interpreta un fichero CSV con una tecnología por fila
+     *
+     * @param {string} content - Contenido del fichero
+     * @param {string} fileName - Nombre del fichero, para los avisos
+     * @returns {Array<Object>} - Filas { time, timeScope, region, category, item } o { ..., issue }
+     * @private
+     */
+    _parseCsv(content, fileName) {
+        const lines = content.split(/\r?\n/);
+        const header = this._splitCsvLine(lines[0] || '').map(column => column.trim());
+        const missingColumns = ['timestamp', 'timeScope', 'category', 'type', 'value']
+            .filter(column => !header.includes(column));
+
+        if (missingColumns.length > 0) {
+            this.logger.warn(`Skipping ${fileName}: missing columns ${missingColumns.join(', ')}`);
+            return [];
+        }
+
+        const rows = [];
+
+        lines.slice(1).forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const location = `${fileName}:${index + 2}`;
+            const values = this._splitCsvLine(line);
+            const record = {};
+            header.forEach((column, columnIndex) => {
+                record[column] = values[columnIndex] !== undefined ? values[columnIndex].trim() : '';
+            });
+
+            const time = parseMadridDateTime(record.timestamp).getTime();
+
+            if (!Number.isFinite(time) || !record.timeScope || !CATEGORIES.includes(record.category) || !record.type) {
+                this.logger.warn(`Skipping row ${location} without a valid timestamp, timeScope, category and type`);
+                return;
+            }
+
+            const row = {
+                time,
+                timeScope: record.timeScope,
+                region: record.region || DEFAULT_REGION,
+                category: record.category,
+                location
+            };
+
+            const value = Number(record.value);
+            const percentage = record.percentage ? Number(record.percentage) : 0;
+
+            if (record.value === '' || !Number.isFinite(value)) {
+                rows.push({ ...row, issue: `Non-numeric value for ${record.type}` });
+            } else if (!Number.isFinite(percentage)) {
+                rows.push({ ...row, issue: `Non-numeric percentage for ${record.type}` });
+            } else {
+                rows.push({
+                    ...row,
+                    item: { type: record.type, value, percentage, color: record.color || null }
+                });
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Separa una línea CSV en columnas, admitiendo valores entre comillas
+     *
+     * @param {string} line - Línea CSV
+     * @returns {Array<string>} - Valores de las columnas
+     * @private
+     */
+    _splitCsvLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        values.push(current);
+
+        return values;
+    }
+
+    /**
+     * Construye los metadatos de un balance leído de fichero
+     *
+     * @param {string} fileName - Fichero de origen
+     * @returns {Object} - Metadatos del balance
+     * @private
+     */
+    _buildMetadata(fileName) {
+        return {
+            title: 'Balance Eléctrico',
+            description: '',
+            source: `file:${fileName}`
+        };
+    }
+}
+
+module.exports = FileElectricBalanceSource;
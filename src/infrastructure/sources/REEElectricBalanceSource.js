@@ -0,0 +1,100 @@
+/**
+ * @file REEElectricBalanceSource.js
+ * @description Fuente de balances eléctricos de la API de REE
+ *
+ * Pide el rango a REEApiService, que divide las peticiones largas y gestiona los
+ * reintentos, y convierte la respuesta en un balance por punto temporal.
+ */
+
+const ElectricBalanceSource = require('../../domain/sources/ElectricBalanceSource');
+const ElectricBalance = require('../../domain/entities/ElectricBalance');
+const ElectricBalanceValidator = require('../../domain/services/ElectricBalanceValidator');
+const { BALANCE_SOURCES } = require('../../domain/constants/balanceSources');
+const { formatDateForREEApi } = require('../../utils/dateFormatter');
+const { ApiRequestError, ApiResponseError } = require('../../application/errors/ApplicationErrors');
+
+/**
+ * Fuente de balances eléctricos de la API de REE
+ * @implements {ElectricBalanceSource}
+ */
+class REEElectricBalanceSource extends ElectricBalanceSource {
+    /**
+     * Constructor de la fuente
+     *
+     * @param {import('../external/REEApiService')} reeApiService - Servicio para consumir la API de REE
+     * @param {Object} logger - Logger para registrar eventos
+     */
+    constructor(reeApiService, logger = console) {
+        super();
+        this.reeApiService = reeApiService;
+        this.logger = logger;
+        this.validator = new ElectricBalanceValidator();
+    }
+
+    /**
+     * Obtiene el nombre con el que se selecciona la fuente
+     *
+     * @returns {string} - Nombre de la fuente
+     */
+    getName() {
+        return BALANCE_SOURCES.REE;
+    }
+
+    /**
+     * Obtiene de REE los balances de un rango
+     *
+     * Los tramos de la petición que fallan se devuelven en `failedChunks` para que
+     * la ejecución quede como parcial.
+     *
+     * @param {Object} params - Parámetros de la consulta
+     * @param {Date} params.startDate - Fecha de inicio
+     * @param {Date} params.endDate - Fecha de fin
+     * @param {string} params.timeScope - Granularidad temporal
+     * @param {string} params.region - Ámbito geográfico
+     * @param {number} [params.maxRetries] - Intentos por petición (por defecto los del servicio)
+     * @returns {Promise<Object>} - { balances, issues, failedChunks }
+     * @throws {ApiRequestError} - Si no se pueden obtener los datos
+     * @throws {ApiResponseError} - Si la respuesta no tiene la estructura esperada
+     */
+    async fetchRange({ startDate, endDate, timeScope, region, maxRetries }) {
+        let apiResponse;
+
+        try {
+            apiResponse = await this.reeApiService.fetchBalanceData(
+                formatDateForREEApi(startDate),
+                formatDateForREEApi(endDate),
+                timeScope,
+                { region },
+                { maxAttempts: maxRetries }
+            );
+        } catch (error) {
+            this.logger.warn(`Fetching REE data failed: ${error.message}`);
+
+            throw new ApiRequestError(
+                `Failed to fetch data: ${error.message}`,
+                { originalError: error }
+            );
+        }
+
+        if (!apiResponse || !apiResponse.data || !apiResponse.included) {
+            throw new ApiResponseError('Invalid API response structure');
+        }
+
+        const failedChunks = (apiResponse.meta?.chunks || []).filter(chunk => chunk.status === 'rejected');
+
+        try {
+            return {
+                balances: ElectricBalance.listFromREEApiResponse(apiResponse, timeScope, region),
+                issues: this.validator.validateResponse(apiResponse),
+                failedChunks
+            };
+        } catch (error) {
+            throw new ApiResponseError(
+                `Error processing API response: ${error.message}`,
+                { originalError: error }
+            );
+        }
+    }
+}
+
+module.exports = REEElectricBalanceSource;
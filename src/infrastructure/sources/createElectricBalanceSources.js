@@ -0,0 +1,30 @@
+/**
+ * @file createElectricBalanceSources.js
+ * @description Creación de las fuentes de balances eléctricos disponibles
+ */
+
+const REEElectricBalanceSource = require('./REEElectricBalanceSource');
+const FileElectricBalanceSource = require('./FileElectricBalanceSource');
+
+/**
+ * Crea las fuentes de balances indexadas por nombre
+ *
+ * La fuente de ficheros solo se registra si se indica su directorio.
+ *
+ * @param {Object} reeApiService - Servicio para consumir la API de REE
+ * @param {Object} [options={}] - Opciones de las fuentes
+ * @param {string} [options.fileDirectory] - Directorio de la fuente de ficheros
+ * @param {Object} [logger=console] - Logger para registrar eventos
+ * @returns {Object<string, import('../../domain/sources/ElectricBalanceSource')>} - Fuentes por nombre
+ */
+function createElectricBalanceSources(reeApiService, { fileDirectory } = {}, logger = console) {
+    const sources = [new REEElectricBalanceSource(reeApiService, logger)];
+
+    if (fileDirectory) {
+        sources.push(new FileElectricBalanceSource(fileDirectory, logger));
+    }
+
+    return Object.fromEntries(sources.map(source => [source.getName(), source]));
+}
+
+module.exports = createElectricBalanceSources;
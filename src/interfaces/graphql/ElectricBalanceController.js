@@ -10,6 +10,9 @@
 const GetElectricBalanceByDateRange = require('../../application/use-cases/GetElectricBalanceByDateRange');
 const FetchREEData = require('../../application/use-cases/FetchREEData');
 const { InvalidDateRangeError } = require('../../application/errors/ApplicationErrors');
+const { DEFAULT_REGION } = require('../../domain/constants/regions');
+const { INGESTION_TRIGGERS } = require('../../domain/constants/ingestionRuns');
+const { DEFAULT_BALANCE_SOURCE } = require('../../domain/constants/balanceSources');
 
 /**
  * Clase que implementa el controlador de GraphQL para balance eléctrico
@@ -54,12 +57,13 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal (day, month, year)
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @param {string} params.format - Formato de respuesta (default, raw, analysis, compact)
      * @param {Object} params.options - Opciones adicionales (paginación, filtros, etc.)
      * @returns {Promise<Object>} - Balances eléctricos
      */
     async getElectricBalanceByDateRange(params) {
-        const { startDate, endDate, timeScope = 'day', format = 'default', options = {} } = params;
+        const { startDate, endDate, timeScope = 'day', format = 'default', options = {}, region = DEFAULT_REGION } = params;
 
         this.logger.debug(`Getting electric balance by date range: ${startDate} - ${endDate} (${timeScope})`);
 
@@ -75,7 +79,7 @@ class ElectricBalanceController {
             endDate,
             timeScope,
             format,
-            options
+            options: { ...options, region }
         });
 
         return result;
@@ -88,6 +92,7 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @param {Object} params.pagination - Opciones de paginación
      * @param {Object} params.filters - Filtros adicionales
      * @returns {Promise<Object>} - Resultado paginado
@@ -98,7 +103,8 @@ class ElectricBalanceController {
             endDate,
             timeScope = 'day',
             pagination = { page: 1, pageSize: 20 },
-            filters = {}
+            filters = {},
+            region = DEFAULT_REGION
         } = params;
 
         this.logger.debug(`Getting paginated electric balance: page ${pagination.page}, size ${pagination.pageSize}`);
@@ -127,13 +133,13 @@ class ElectricBalanceController {
                 startDate,
                 endDate,
                 timeScope,
-                { ...options, filters: dbFilters }
+                { ...options, region, filters: dbFilters }
             ),
             this.repositories.electricBalanceRepository.findByDateRange(
                 startDate,
                 endDate,
                 timeScope,
-                { onlyCount: true, filters: dbFilters }
+                { onlyCount: true, region, filters: dbFilters }
             )
         ]);
 
@@ -157,10 +163,11 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @returns {Promise<Object>} - Estadísticas
      */
     async getElectricBalanceStats(params) {
-        const { startDate, endDate, timeScope = 'day' } = params;
+        const { startDate, endDate, timeScope = 'day', region = DEFAULT_REGION } = params;
 
         this.logger.debug(`Getting electric balance stats: ${startDate} - ${endDate} (${timeScope})`);
 
@@ -169,7 +176,8 @@ class ElectricBalanceController {
         const stats = await this.repositories.electricBalanceRepository.getStatsByDateRange(
             startDate,
             endDate,
-            timeScope
+            timeScope,
+            region
         );
 
         return stats;
@@ -182,6 +190,7 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @param {Object} params.options - Opciones de análisis
      * @returns {Promise<Object>} - Análisis
      */
@@ -190,7 +199,8 @@ class ElectricBalanceController {
             startDate,
             endDate,
             timeScope = 'day',
-            options = {}
+            options = {},
+            region = DEFAULT_REGION
         } = params;
 
         this.logger.debug(`Getting electric balance analysis: ${startDate} - ${endDate} (${timeScope})`);
@@ -200,14 +210,16 @@ class ElectricBalanceController {
         const analysis = await this.services.electricBalanceService.analyzeBalanceDataByDateRange(
             startDate,
             endDate,
-            timeScope
+            timeScope,
+            region
         );
 
         if (options.includePatterns) {
             const patterns = await this.services.electricBalanceService.detectPatternsAndAnomalies(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                region
             );
 
             analysis.patterns = patterns.patterns;
@@ -218,7 +230,8 @@ class ElectricBalanceController {
             const sustainability = await this.services.electricBalanceService.calculateSustainabilityMetrics(
                 startDate,
                 endDate,
-                timeScope
+                timeScope,
+                region
             );
 
             analysis.sustainability = sustainability.metrics;
@@ -236,6 +249,7 @@ class ElectricBalanceController {
      * @param {Date} params.previousStartDate - Inicio del período anterior
      * @param {Date} params.previousEndDate - Fin del período anterior
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @returns {Promise<Object>} - Comparación
      */
     async compareElectricBalancePeriods(params) {
@@ -244,7 +258,8 @@ class ElectricBalanceController {
             currentEndDate,
             previousStartDate,
             previousEndDate,
-            timeScope = 'day'
+            timeScope = 'day',
+            region = DEFAULT_REGION
         } = params;
 
         this.logger.debug('Comparing electric balance periods');
@@ -257,7 +272,8 @@ class ElectricBalanceController {
             currentEndDate,
             previousStartDate,
             previousEndDate,
-            timeScope
+            timeScope,
+            region
         );
 
         return comparison;
@@ -266,54 +282,77 @@ class ElectricBalanceController {
     /**
      * Obtiene el balance eléctrico más reciente
      *
+     * @param {string} [region='national'] - Ámbito geográfico
      * @returns {Promise<Object>} - Balance eléctrico más reciente
      */
-    async getLatestElectricBalance() {
-        this.logger.debug('Getting latest electric balance');
+    async getLatestElectricBalance(region = DEFAULT_REGION) {
+        this.logger.debug(`Getting latest electric balance (${region})`);
 
-        const latestBalance = await this.repositories.electricBalanceRepository.findMostRecent();
+        const latestBalance = await this.repositories.electricBalanceRepository.findMostRecent(region);
 
         return latestBalance;
     }
 
     /**
-     * Refresca los datos de balance eléctrico desde la API de REE
+     * Refresca los datos de balance eléctrico desde la API de REE u otra fuente
      *
      * @param {Object} params - Parámetros para refrescar datos
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @param {boolean} params.forceUpdate - Forzar actualización
+     * @param {string} [params.source='ree'] - Fuente de los datos (ree, file)
      * @returns {Promise<Object>} - Resultado de la operación
      */
     async refreshElectricBalanceData(params) {
-        const { startDate, endDate, timeScope = 'day', forceUpdate = false } = params;
+        const {
+            startDate,
+            endDate,
+            timeScope = 'day',
+            forceUpdate = false,
+            region = DEFAULT_REGION,
+            source = DEFAULT_BALANCE_SOURCE
+        } = params;
 
         this.logger.debug(`Refreshing electric balance data: ${startDate} - ${endDate} (${timeScope})`);
 
         this._validateDateRange(startDate, endDate);
 
         const fetchREEDataUseCase = new FetchREEData(
-            this.services.reeApiService,
+            this.services.electricBalanceSources,
             this.repositories.electricBalanceRepository,
-            this.logger
+            this.logger,
+            this.repositories.quarantineRepository,
+            this.repositories.ingestionRunRepository
         );
 
         const result = await fetchREEDataUseCase.execute({
             startDate,
             endDate,
             timeScope,
-            forceUpdate
+            region,
+            forceUpdate,
+            trigger: INGESTION_TRIGGERS.API,
+            source
         });
 
         return {
             success: true,
             message: result.message,
             savedCount: result.savedCount,
+            insertedCount: result.insertedCount || 0,
+            updatedCount: result.updatedCount || 0,
+            unchangedCount: result.skippedCount || 0,
+            failedCount: result.failedCount || 0,
+            quarantinedCount: result.quarantinedCount || 0,
             timeScope: result.timeScope,
+            region: result.region,
+            source: result.source,
             startDate: result.startDate,
             endDate: result.endDate,
-            status: result.status
+            status: result.status,
+            failedChunks: result.failedChunks || []
         };
     }
 
@@ -324,10 +363,11 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
-     * @returns {Promise<Array>} - Distribución de generación
+     * @param {string} [params.region='national'] - Ámbito geográfico
+     * @returns {Promise<Array>} - Distribución de generación con factor de capacidad
      */
     async getGenerationDistribution(params) {
-        const { startDate, endDate, timeScope = 'day' } = params;
+        const { startDate, endDate, timeScope = 'day', region = DEFAULT_REGION } = params;
 
         this.logger.debug(`Getting generation distribution: ${startDate} - ${endDate} (${timeScope})`);
 
@@ -336,10 +376,17 @@ class ElectricBalanceController {
         const distribution = await this.repositories.electricBalanceRepository.getGenerationDistribution(
             startDate,
             endDate,
-            timeScope
+            timeScope,
+            region
         );
 
-        return distribution;
+        return this.services.electricBalanceService.addCapacityFactors(
+            distribution,
+            startDate,
+            endDate,
+            timeScope,
+            region
+        );
     }
 
     /**
@@ -349,11 +396,12 @@ class ElectricBalanceController {
      * @param {Date} params.startDate - Fecha de inicio
      * @param {Date} params.endDate - Fecha de fin
      * @param {string} params.timeScope - Alcance temporal
+     * @param {string} [params.region='national'] - Ámbito geográfico
      * @param {string} params.indicator - Indicador a obtener
      * @returns {Promise<Array>} - Serie temporal
      */
     async getTimeSeriesForIndicator(params) {
-        const { startDate, endDate, timeScope = 'day', indicator } = params;
+        const { startDate, endDate, timeScope = 'day', indicator, region = DEFAULT_REGION } = params;
 
         this.logger.debug(`Getting time series for indicator ${indicator}: ${startDate} - ${endDate} (${timeScope})`);
 
@@ -373,7 +421,8 @@ class ElectricBalanceController {
             indicator,
             startDate,
             endDate,
-            timeScope
+            timeScope,
+            region
         );
 
         return timeSeries;
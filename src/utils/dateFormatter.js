@@ -7,11 +7,20 @@
  * para trabajar con fechas en el contexto de la API de REE.
  */
 
+const { getMadridParts } = require('./madridTime');
+
 /**
  * Formatea una fecha para la API de REE
  *
+ * REE interpreta las fechas sin desfase como hora peninsular, así que se usa la
+ * hora de Madrid del instante y no la del servidor. El resultado no lleva desfase:
+ * los dos instantes de la hora repetida al retrasar el reloj en otoño dan el mismo
+ * texto. Los límites de período (medianoches, inicios de mes) nunca caen en esa
+ * hora, por lo que conviene cortar los rangos en ellos, como hace
+ * `REEApiService.splitDateRange`.
+ *
  * @param {Date|string} date - Fecha a formatear
- * @returns {string} - Fecha formateada en formato 'YYYY-MM-DDThh:mm'
+ * @returns {string} - Fecha formateada en formato 'YYYY-MM-DDThh:mm' (hora de Madrid)
  */
 function formatDateForREEApi(date) {
     const dateObj = date instanceof Date ? date : new Date(date);
@@ -20,13 +29,10 @@ function formatDateForREEApi(date) {
         throw new Error(`Invalid date: ${date}`);
     }
 
-    const year = dateObj.getFullYear();
-    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const day = String(dateObj.getDate()).padStart(2, '0');
-    const hours = String(dateObj.getHours()).padStart(2, '0');
-    const minutes = String(dateObj.getMinutes()).padStart(2, '0');
+    const { year, month, day, hour, minute } = getMadridParts(dateObj);
+    const pad = value => String(value).padStart(2, '0');
 
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
 }
 
 /**
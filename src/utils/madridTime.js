@@ -0,0 +1,128 @@
+/**
+ * @file madridTime.js
+ * @description Utilidades de calendario en la zona horaria de REE (Europe/Madrid)
+ *
+ * REE publica los datos diarios, mensuales y anuales a medianoche hora peninsular,
+ * por lo que su instante UTC cambia con el horario de verano: un día puede durar
+ * 23 o 25 horas. Estas funciones calculan los inicios de período en esa zona sin
+ * depender de la zona horaria del servidor.
+ */
+
+const {
+    getZonedParts,
+    getZoneOffsetMinutes,
+    fromZonedParts,
+    startOfZonedPeriod,
+    addZonedPeriods,
+    listZonedPeriods,
+    parseZonedDateTime,
+    formatZonedISO
+} = require('./zonedTime');
+
+/**
+ * Zona horaria en la que REE publica los datos
+ */
+const MADRID_TIME_ZONE = 'Europe/Madrid';
+
+/**
+ * Obtiene los componentes de fecha y hora de un instante en Europe/Madrid
+ *
+ * @param {Date|string} date - Instante a convertir
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+function getMadridParts(date) {
+    return getZonedParts(date, MADRID_TIME_ZONE);
+}
+
+/**
+ * Obtiene la diferencia en minutos entre la hora de Madrid y UTC en un instante
+ *
+ * @param {Date|string} date - Instante a consultar
+ * @returns {number} - 60 en horario de invierno, 120 en horario de verano
+ */
+function getMadridOffsetMinutes(date) {
+    return getZoneOffsetMinutes(date, MADRID_TIME_ZONE);
+}
+
+/**
+ * Construye el instante correspondiente a una fecha y hora de Madrid
+ *
+ * Los desbordamientos (día 32, mes 13...) se normalizan como en `Date.UTC`.
+ *
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} day - Día del mes
+ * @param {number} [hour=0] - Hora
+ * @param {number} [minute=0] - Minuto
+ * @returns {Date} - Instante UTC
+ */
+function fromMadridParts(year, month, day, hour = 0, minute = 0) {
+    return fromZonedParts({ year, month, day, hour, minute }, MADRID_TIME_ZONE);
+}
+
+/**
+ * Obtiene el inicio del período al que pertenece un instante
+ *
+ * @param {Date|string} date - Instante
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @returns {Date} - Inicio del período
+ */
+function startOfMadridPeriod(date, timeScope) {
+    return startOfZonedPeriod(date, timeScope, MADRID_TIME_ZONE);
+}
+
+/**
+ * Suma períodos a un inicio de período
+ *
+ * @param {Date|string} date - Inicio de período
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @param {number} [amount=1] - Períodos a sumar (puede ser negativo)
+ * @returns {Date} - Inicio del período resultante
+ */
+function addMadridPeriods(date, timeScope, amount = 1) {
+    return addZonedPeriods(date, timeScope, amount, MADRID_TIME_ZONE);
+}
+
+/**
+ * Lista los inicios de período comprendidos en un rango
+ *
+ * @param {Date|string} startDate - Inicio del rango (incluido)
+ * @param {Date|string} endDate - Fin del rango (incluido)
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @returns {Array<Date>} - Inicios de período ordenados
+ */
+function listMadridPeriods(startDate, endDate, timeScope) {
+    return listZonedPeriods(startDate, endDate, timeScope, MADRID_TIME_ZONE);
+}
+
+/**
+ * Interpreta una fecha textual; si no indica desfase, como hora de Madrid
+ *
+ * @param {Date|string} value - Fecha a interpretar
+ * @returns {Date} - Instante UTC (inválido si el valor no es una fecha)
+ */
+function parseMadridDateTime(value) {
+    return parseZonedDateTime(value, MADRID_TIME_ZONE);
+}
+
+/**
+ * Formatea un instante en hora de Madrid con su desfase, como los `datetime` de REE
+ *
+ * @param {Date|string} date - Instante a formatear
+ * @returns {string} - Fecha con formato 'YYYY-MM-DDThh:mm:ss+hh:mm'
+ */
+function formatMadridISO(date) {
+    return formatZonedISO(date, MADRID_TIME_ZONE);
+}
+
+module.exports = {
+    MADRID_TIME_ZONE,
+    getMadridParts,
+    getMadridOffsetMinutes,
+    fromMadridParts,
+    startOfMadridPeriod,
+    addMadridPeriods,
+    listMadridPeriods,
+    parseMadridDateTime,
+    formatMadridISO
+};
@@ -0,0 +1,341 @@
+/**
+ * @file zonedTime.js
+ * @description Utilidades de calendario en una zona horaria IANA cualquiera
+ *
+ * Los instantes se guardan siempre en UTC; estas funciones calculan a qué fecha y
+ * hora civil corresponden en una zona y dónde empiezan sus períodos, teniendo en
+ * cuenta los cambios de hora (días de 23 o 25 horas) sin depender de la zona
+ * horaria del servidor.
+ */
+
+/**
+ * Duración fija de los períodos que no dependen del calendario
+ */
+const FIXED_PERIOD_MS = {
+    '10min': 10 * 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+
+/**
+ * Milisegundos de un día de 24 horas
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formateadores por zona horaria; crearlos es costoso y se reutilizan
+ */
+const formatters = new Map();
+
+/**
+ * Obtiene el formateador de componentes de fecha de una zona horaria
+ *
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Intl.DateTimeFormat} - Formateador de la zona
+ * @private
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    return formatters.get(timeZone);
+}
+
+/**
+ * Convierte un valor en fecha comprobando que sea válida
+ *
+ * @param {Date|string} date - Valor a convertir
+ * @returns {Date} - Fecha
+ * @throws {Error} - Si la fecha no es válida
+ * @private
+ */
+function toDate(date) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+
+    if (isNaN(dateObj.getTime())) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+
+    return dateObj;
+}
+
+/**
+ * Indica si una zona horaria IANA es válida
+ *
+ * @param {string} timeZone - Zona horaria a comprobar
+ * @returns {boolean} - true si la zona existe
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Obtiene los componentes de fecha y hora de un instante en una zona
+ *
+ * @param {Date|string} date - Instante a convertir
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+
+    for (const { type, value } of getFormatter(timeZone).formatToParts(toDate(date))) {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Obtiene la diferencia en minutos entre la hora de una zona y UTC en un instante
+ *
+ * @param {Date|string} date - Instante a consultar
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {number} - Minutos que la zona va por delante de UTC
+ */
+function getZoneOffsetMinutes(date, timeZone) {
+    const dateObj = toDate(date);
+    const parts = getZonedParts(dateObj, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return Math.round((asUTC - Math.floor(dateObj.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Construye el instante correspondiente a una fecha y hora civil de una zona
+ *
+ * Los desbordamientos (día 32, mes 13...) se normalizan como en `Date.UTC`. Una
+ * hora que no existe por el adelanto de hora se desplaza al horario nuevo; una
+ * hora repetida por el retraso se resuelve a su segunda aparición.
+ *
+ * @param {Object} parts - { year, month (1-12), day, hour = 0, minute = 0 }
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} - Instante UTC
+ */
+function fromZonedParts({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Desfases antes y después de un posible cambio de hora cercano; fuera de los
+    // cambios coinciden y hay un único candidato
+    const offsetBefore = getZoneOffsetMinutes(new Date(wallClock - DAY_MS), timeZone);
+    const offsetAfter = getZoneOffsetMinutes(new Date(wallClock + DAY_MS), timeZone);
+    const candidates = [offsetBefore, offsetAfter].filter(offset =>
+        getZoneOffsetMinutes(new Date(wallClock - offset * 60000), timeZone) === offset
+    ).map(offset => wallClock - offset * 60000);
+
+    if (candidates.length === 0) {
+        // Hora inexistente: con el desfase anterior al cambio cae ya en el horario nuevo
+        return new Date(wallClock - offsetBefore * 60000);
+    }
+
+    return new Date(Math.max(...candidates));
+}
+
+/**
+ * Obtiene el inicio del período al que pertenece un instante
+ *
+ * @param {Date|string} date - Instante
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} - Inicio del período
+ */
+function startOfZonedPeriod(date, timeScope, timeZone) {
+    const dateObj = toDate(date);
+
+    if (FIXED_PERIOD_MS[timeScope]) {
+        // Se trunca la hora civil con el desfase del propio instante, así las horas
+        // repetidas al retrasar el reloj siguen siendo períodos distintos
+        const periodMs = FIXED_PERIOD_MS[timeScope];
+        const offsetMs = getZoneOffsetMinutes(dateObj, timeZone) * 60000;
+        return new Date(Math.floor((dateObj.getTime() + offsetMs) / periodMs) * periodMs - offsetMs);
+    }
+
+    const { year, month, day } = getZonedParts(dateObj, timeZone);
+
+    switch (timeScope) {
+        case 'day':
+            return fromZonedParts({ year, month, day }, timeZone);
+        case 'month':
+            return fromZonedParts({ year, month, day: 1 }, timeZone);
+        case 'year':
+            return fromZonedParts({ year, month: 1, day: 1 }, timeZone);
+        default:
+            throw new Error(`Unsupported time scope: ${timeScope}`);
+    }
+}
+
+/**
+ * Suma períodos a un instante
+ *
+ * Los períodos de calendario conservan la hora civil, de modo que sumar un día a
+ * una medianoche da la medianoche siguiente aunque ese día dure 23 o 25 horas.
+ * Al sumar meses o años el día se limita al último del mes de destino: el 31 de
+ * enero más un mes es el 29 de febrero (o el 28), no el 2 de marzo.
+ *
+ * @param {Date|string} date - Instante de partida
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @param {number} amount - Períodos a sumar (puede ser negativo)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} - Instante resultante
+ */
+function addZonedPeriods(date, timeScope, amount, timeZone) {
+    const dateObj = toDate(date);
+
+    if (FIXED_PERIOD_MS[timeScope]) {
+        return new Date(dateObj.getTime() + amount * FIXED_PERIOD_MS[timeScope]);
+    }
+
+    const { year, month, day, hour, minute } = getZonedParts(dateObj, timeZone);
+
+    switch (timeScope) {
+        case 'day':
+            return fromZonedParts({ year, month, day: day + amount, hour, minute }, timeZone);
+        case 'month':
+        case 'year': {
+            const monthIndex = (year * 12 + month - 1) + (timeScope === 'year' ? amount * 12 : amount);
+            const targetYear = Math.floor(monthIndex / 12);
+            const targetMonth = monthIndex - targetYear * 12 + 1;
+            const lastDay = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+            const targetDay = Math.min(day, lastDay);
+
+            return fromZonedParts(
+                { year: targetYear, month: targetMonth, day: targetDay, hour, minute },
+                timeZone
+            );
+        }
+        default:
+            throw new Error(`Unsupported time scope: ${timeScope}`);
+    }
+}
+
+/**
+ * Lista los inicios de período comprendidos en un rango
+ *
+ * @param {Date|string} startDate - Inicio del rango (incluido)
+ * @param {Date|string} endDate - Fin del rango (incluido)
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Array<Date>} - Inicios de período ordenados
+ */
+function listZonedPeriods(startDate, endDate, timeScope, timeZone) {
+    const start = toDate(startDate);
+    const end = toDate(endDate);
+    const periods = [];
+
+    let current = startOfZonedPeriod(start, timeScope, timeZone);
+    if (current < start) {
+        current = addZonedPeriods(current, timeScope, 1, timeZone);
+    }
+
+    while (current <= end) {
+        periods.push(current);
+        current = addZonedPeriods(current, timeScope, 1, timeZone);
+    }
+
+    return periods;
+}
+
+/**
+ * Amplía un rango para que empiece y termine en límites de período de una zona
+ *
+ * El inicio pasa al comienzo del período que lo contiene y el fin al último
+ * milisegundo del período que lo contiene.
+ *
+ * @param {Date|string} startDate - Inicio del rango
+ * @param {Date|string} endDate - Fin del rango
+ * @param {string} timeScope - Granularidad (10min, hour, day, month, year)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Object} - { startDate, endDate }
+ */
+function alignRangeToZonedPeriods(startDate, endDate, timeScope, timeZone) {
+    const nextPeriod = addZonedPeriods(startOfZonedPeriod(endDate, timeScope, timeZone), timeScope, 1, timeZone);
+
+    return {
+        startDate: startOfZonedPeriod(startDate, timeScope, timeZone),
+        endDate: new Date(nextPeriod.getTime() - 1)
+    };
+}
+
+/**
+ * Interpreta una fecha textual; si no indica desfase, como hora civil de una zona
+ *
+ * `2024-03-31` y `2024-03-31T02:30` se leen en la zona indicada; los valores con
+ * `Z` o desfase explícito (`+02:00`) se respetan tal cual.
+ *
+ * @param {Date|string} value - Fecha a interpretar
+ * @param {string} timeZone - Zona horaria IANA de las fechas sin desfase
+ * @returns {Date} - Instante UTC (inválido si el valor no es una fecha)
+ */
+function parseZonedDateTime(value, timeZone) {
+    if (value instanceof Date) {
+        return value;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(String(value).trim());
+
+    if (!match) {
+        return new Date(value);
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+    const instant = fromZonedParts({ year, month, day, hour, minute }, timeZone);
+
+    return new Date(instant.getTime() + second * 1000);
+}
+
+/**
+ * Formatea un instante como fecha ISO 8601 en la hora civil de una zona, con su desfase
+ *
+ * @param {Date|string} date - Instante a formatear
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string} - Fecha con formato 'YYYY-MM-DDThh:mm:ss+hh:mm'
+ */
+function formatZonedISO(date, timeZone) {
+    const dateObj = toDate(date);
+    const { year, month, day, hour, minute, second } = getZonedParts(dateObj, timeZone);
+    const offset = getZoneOffsetMinutes(dateObj, timeZone);
+    const pad = value => String(Math.abs(value)).padStart(2, '0');
+
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+        `${offset < 0 ? '-' : '+'}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+}
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    getZoneOffsetMinutes,
+    fromZonedParts,
+    startOfZonedPeriod,
+    addZonedPeriods,
+    listZonedPeriods,
+    alignRangeToZonedPeriods,
+    parseZonedDateTime,
+    formatZonedISO
+};
@@ -0,0 +1,15 @@
+/**
+ * @file silentLogger.js
+ * @description Logger que descarta los mensajes, para inyectar en las pruebas
+ */
+
+const discard = () => undefined;
+
+const silentLogger = {
+    debug: discard,
+    info: discard,
+    warn: discard,
+    error: discard
+};
+
+module.exports = silentLogger;
@@ -0,0 +1,244 @@
+/**
+ * @file REEApiService.chunking.test.js
+ * @description Troceado de rangos de REEApiService contra el servidor mock de REE
+ *
+ * Se comprueba que ninguna petición supera la amplitud máxima de su granularidad,
+ * que las ventanas cubren el rango sin huecos ni solapes y que el fallo de una
+ * ventana se informa sin perder las demás.
+ */
+
+const REEApiService = require('../../../src/infrastructure/external/REEApiService');
+const CircuitBreaker = require('../../../src/infrastructure/external/CircuitBreaker');
+const MockREEServer = require('../../../src/infrastructure/external/mockREE/MockREEServer');
+const { ApiResponseError } = require('../../../src/application/errors/ApplicationErrors');
+const { parseMadridDateTime, addMadridPeriods } = require('../../../src/utils/madridTime');
+const silentLogger = require('../../helpers/silentLogger');
+
+const BALANCE_PATH = '/es/datos/balance/balance-electrico';
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Crea un servicio sin esperas de reintento ni límite de ritmo apreciable
+ */
+function createService(baseUrl, overrides = {}) {
+    return new REEApiService({
+        baseUrl,
+        timeout: 2000,
+        retryAttempts: 1,
+        retryDelay: 10,
+        rateLimit: { requestsPerSecond: 1000, burst: 1000 },
+        circuitBreaker: new CircuitBreaker({ failureThreshold: 100 }, silentLogger),
+        ...overrides
+    }, silentLogger);
+}
+
+/**
+ * Obtiene los `datetime` de la primera tecnología de una respuesta de balance
+ */
+function firstSeriesDatetimes(response) {
+    const [group] = response.included;
+    return group.attributes.content[0].attributes.values.map(value => value.datetime);
+}
+
+describe('REEApiService range chunking', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = new MockREEServer({ port: 0 }, silentLogger);
+        ({ url: baseUrl } = await server.start());
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+    });
+
+    describe('splitDateRange', () => {
+        it('keeps every window within the limit and covers the range without gaps', () => {
+            const service = createService(baseUrl);
+            const chunks = service.splitDateRange('2024-01-10T00:00', '2024-04-20T23:59', 'hour');
+
+            expect(chunks.length).toBe(4);
+            expect(chunks[0].startDate).toBe('2024-01-10T00:00');
+            expect(chunks[chunks.length - 1].endDate).toBe('2024-04-20T23:59');
+
+            chunks.forEach((chunk, index) => {
+                const start = parseMadridDateTime(chunk.startDate);
+                const end = parseMadridDateTime(chunk.endDate);
+
+                expect(end.getTime()).toBeLessThan(addMadridPeriods(start, 'day', 31).getTime());
+
+                if (index > 0) {
+                    const previousEnd = parseMadridDateTime(chunks[index - 1].endDate);
+                    expect(start.getTime() - previousEnd.getTime()).toBe(MINUTE_MS);
+                }
+            });
+        });
+
+        it('uses the limit of each time scope', () => {
+            const service = createService(baseUrl);
+
+            expect(service.splitDateRange('2024-01-01T00:00', '2024-01-31T23:59', 'hour')).toHaveLength(1);
+            expect(service.splitDateRange('2024-01-01T00:00', '2024-02-01T00:00', 'hour')).toHaveLength(2);
+            expect(service.splitDateRange('2021-01-01T00:00', '2023-12-31T23:59', 'day')).toHaveLength(3);
+            expect(service.splitDateRange('2024-01-01T00:00', '2024-01-15T00:00', '10min')).toHaveLength(3);
+        });
+
+        it('cuts windows at Madrid midnights so no boundary falls in the repeated autumn hour', () => {
+            const service = createService(baseUrl);
+
+            // Sin alinear, 31 días desde las 02:30 terminarían a las 02:29 del 27 de octubre
+            expect(service.splitDateRange('2024-09-26T02:30', '2024-11-10T12:00', 'hour')).toEqual([
+                { startDate: '2024-09-26T02:30', endDate: '2024-10-26T23:59' },
+                { startDate: '2024-10-27T00:00', endDate: '2024-11-10T12:00' }
+            ]);
+        });
+
+        it('honours maxRangeDays overrides', () => {
+            const service = createService(baseUrl, { maxRangeDays: { day: 10 } });
+
+            expect(service.splitDateRange('2024-01-01T00:00', '2024-01-30T23:59', 'day')).toEqual([
+                { startDate: '2024-01-01T00:00', endDate: '2024-01-10T23:59' },
+                { startDate: '2024-01-11T00:00', endDate: '2024-01-20T23:59' },
+                { startDate: '2024-01-21T00:00', endDate: '2024-01-30T23:59' }
+            ]);
+        });
+    });
+
+    describe('fetchBalanceData', () => {
+        it('sends one request per window and merges the values in order', async () => {
+            const service = createService(baseUrl);
+            const completed = [];
+
+            const response = await service.fetchBalanceData(
+                '2024-01-01T00:00',
+                '2024-02-14T23:59',
+                'hour',
+                {},
+                { onChunkComplete: chunk => completed.push(chunk.status) }
+            );
+
+            const requests = server.getRequests().filter(request => request.path === BALANCE_PATH);
+            const windows = requests.map(({ query }) => [query.start_date, query.end_date]);
+            expect(windows).toEqual([
+                ['2024-01-01T00:00', '2024-01-31T23:59'],
+                ['2024-02-01T00:00', '2024-02-14T23:59']
+            ]);
+            expect(requests.every(request => request.query.time_trunc === 'hour')).toBe(true);
+
+            const datetimes = firstSeriesDatetimes(response);
+            expect(datetimes).toHaveLength(45 * 24);
+            expect(new Set(datetimes).size).toBe(datetimes.length);
+            expect([...datetimes].sort((a, b) => new Date(a) - new Date(b))).toEqual(datetimes);
+
+            expect(response.meta.chunks.map(chunk => chunk.status)).toEqual(['fulfilled', 'fulfilled']);
+            expect(completed).toEqual(['fulfilled', 'fulfilled']);
+        });
+
+        it('keeps at most `concurrency` windows in flight', async () => {
+            server.latency = 50;
+            const service = createService(baseUrl);
+            let inFlight = 0;
+            let maxInFlight = 0;
+
+            const originalGet = service.client.get.bind(service.client);
+            service.client.get = async (...args) => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+
+                try {
+                    return await originalGet(...args);
+                } finally {
+                    inFlight--;
+                }
+            };
+
+            try {
+                await service.fetchBalanceData('2023-01-01T00:00', '2023-06-30T23:59', 'hour', {}, { concurrency: 2 });
+            } finally {
+                server.latency = 0;
+            }
+
+            expect(server.getRequests()).toHaveLength(6);
+            expect(maxInFlight).toBe(2);
+        });
+
+        it('reports a failed window and returns the rest of the range', async () => {
+            server.addFault({ type: 500, count: 1, endpoint: 'balance-electrico' });
+            const service = createService(baseUrl);
+            const completed = [];
+
+            const response = await service.fetchBalanceData(
+                '2024-01-01T00:00',
+                '2024-03-15T23:59',
+                'hour',
+                {},
+                { concurrency: 1, onChunkComplete: chunk => completed.push(chunk) }
+            );
+
+            expect(response.meta.chunks).toEqual([
+                {
+                    startDate: '2024-01-01T00:00',
+                    endDate: '2024-01-31T23:59',
+                    status: 'rejected',
+                    error: expect.stringContaining('500')
+                },
+                { startDate: '2024-02-01T00:00', endDate: '2024-03-02T23:59', status: 'fulfilled' },
+                { startDate: '2024-03-03T00:00', endDate: '2024-03-15T23:59', status: 'fulfilled' }
+            ]);
+            expect(completed[0].error).toBeInstanceOf(ApiResponseError);
+
+            const datetimes = firstSeriesDatetimes(response);
+            expect(new Date(datetimes[0]).getTime()).toBe(parseMadridDateTime('2024-02-01T00:00').getTime());
+            expect(datetimes).toHaveLength((29 + 15) * 24);
+        });
+
+        it('retries a failed window before reporting it', async () => {
+            server.addFault({ type: 503, count: 1, endpoint: 'balance-electrico' });
+            const service = createService(baseUrl, { retryAttempts: 2 });
+
+            const response = await service.fetchBalanceData(
+                '2024-01-01T00:00',
+                '2024-02-14T23:59',
+                'hour',
+                {},
+                { concurrency: 1 }
+            );
+
+            expect(server.getRequests().map(request => request.status)).toEqual([503, 200, 200]);
+            expect(response.meta.chunks.every(chunk => chunk.status === 'fulfilled')).toBe(true);
+        });
+
+        it('throws the first error when every window fails', async () => {
+            server.addFault({ type: 500, endpoint: 'balance-electrico' });
+            const service = createService(baseUrl);
+            const completed = [];
+
+            await expect(service.fetchBalanceData(
+                '2024-01-01T00:00',
+                '2024-02-14T23:59',
+                'hour',
+                {},
+                { onChunkComplete: chunk => completed.push(chunk.status) }
+            )).rejects.toBeInstanceOf(ApiResponseError);
+
+            expect(completed).toEqual(['rejected', 'rejected']);
+        });
+
+        it('propagates the error of a single-window range and notifies it', async () => {
+            server.addFault({ type: 500, count: 1, endpoint: 'balance-electrico' });
+            const service = createService(baseUrl);
+            const onChunkComplete = jest.fn();
+
+            await expect(service.fetchBalanceData('2024-01-01T00:00', '2024-01-02T00:00', 'hour', {}, {
+                onChunkComplete
+            })).rejects.toBeInstanceOf(ApiResponseError);
+
+            expect(onChunkComplete).toHaveBeenCalledWith(expect.objectContaining({ status: 'rejected' }));
+        });
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * @file REEApiService.resilience.test.js
+ * @description Reintentos, circuit breaker y `Retry-After` de REEApiService contra el servidor mock de REE
+ *
+ * Los fallos (429, 5xx y timeouts) se inyectan en el mock, así que las peticiones
+ * recorren el cliente HTTP real, el limitador y el circuito compartidos.
+ */
+
+const REEApiService = require('../../../src/infrastructure/external/REEApiService');
+const CircuitBreaker = require('../../../src/infrastructure/external/CircuitBreaker');
+const TokenBucketRateLimiter = require('../../../src/infrastructure/external/TokenBucketRateLimiter');
+const MockREEServer = require('../../../src/infrastructure/external/mockREE/MockREEServer');
+const {
+    ApiRequestError,
+    ApiResponseError,
+    NetworkError,
+    CircuitBreakerOpenError
+} = require('../../../src/application/errors/ApplicationErrors');
+const silentLogger = require('../../helpers/silentLogger');
+
+const { STATES } = CircuitBreaker;
+
+/**
+ * Rango de un día, que se pide en una única petición
+ */
+const START = '2024-01-01T00:00';
+const END = '2024-01-01T23:59';
+
+/**
+ * Circuito que se abre con el primer fallo y no se vuelve a probar durante la prueba
+ */
+const OPEN_ON_FIRST_FAILURE = { failureThreshold: 1, resetTimeout: 60000 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('REEApiService resilience', () => {
+    let server;
+    let baseUrl;
+
+    /**
+     * Crea un servicio con esperas cortas; el circuito y el limitador se pueden compartir
+     */
+    const createService = (overrides = {}) => new REEApiService({
+        baseUrl,
+        timeout: 300,
+        retryAttempts: 1,
+        retryDelay: 100,
+        retryMaxDelay: 2000,
+        rateLimit: { requestsPerSecond: 1000, burst: 1000 },
+        circuitBreakerOptions: { failureThreshold: 3, resetTimeout: 200 },
+        ...overrides
+    }, silentLogger);
+
+    const fetchDay = service => service.fetchBalanceData(START, END, 'hour');
+
+    const statuses = () => server.getRequests().map(request => request.status);
+
+    beforeAll(async () => {
+        server = new MockREEServer({ port: 0, timeoutDelay: 1000 }, silentLogger);
+        ({ url: baseUrl } = await server.start());
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+    });
+
+    describe('circuit breaker', () => {
+        it('opens after consecutive 5xx and rejects without calling REE', async () => {
+            server.addFault({ type: 500, endpoint: 'balance-electrico' });
+            const service = createService();
+
+            for (let i = 0; i < 3; i++) {
+                await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiResponseError);
+            }
+
+            expect(service.getResilienceStatus().circuitBreaker).toMatchObject({
+                state: STATES.OPEN,
+                failureCount: 3
+            });
+
+            const error = await fetchDay(service).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(CircuitBreakerOpenError);
+            expect(error.retryAfterMs).toBeGreaterThan(0);
+            expect(error.retryAfterMs).toBeLessThanOrEqual(200);
+            expect(server.getRequests()).toHaveLength(3);
+        });
+
+        it('lets a single trial through when half-open and closes on success', async () => {
+            server.addFault({ type: 500, count: 3, endpoint: 'balance-electrico' });
+            server.latency = 100;
+            const service = createService();
+
+            try {
+                for (let i = 0; i < 3; i++) {
+                    await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiResponseError);
+                }
+
+                await sleep(250);
+
+                const trial = fetchDay(service);
+                const concurrent = fetchDay(service);
+
+                await expect(concurrent).rejects.toBeInstanceOf(CircuitBreakerOpenError);
+                expect(service.getResilienceStatus().circuitBreaker.state).toBe(STATES.HALF_OPEN);
+
+                await expect(trial).resolves.toHaveProperty('included');
+            } finally {
+                server.latency = 0;
+            }
+
+            expect(statuses()).toEqual([500, 500, 500, 200]);
+            expect(service.getResilienceStatus().circuitBreaker).toMatchObject({
+                state: STATES.CLOSED,
+                failureCount: 0,
+                nextAttemptAt: null
+            });
+
+            await expect(fetchDay(service)).resolves.toHaveProperty('included');
+        });
+
+        it('reopens when the half-open trial fails', async () => {
+            server.addFault({ type: 503, endpoint: 'balance-electrico' });
+            const service = createService();
+
+            for (let i = 0; i < 3; i++) {
+                await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiResponseError);
+            }
+
+            await sleep(250);
+
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiResponseError);
+            expect(service.getResilienceStatus().circuitBreaker.state).toBe(STATES.OPEN);
+
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(CircuitBreakerOpenError);
+            expect(server.getRequests()).toHaveLength(4);
+        });
+
+        it('counts timeouts as failures', async () => {
+            server.addFault({ type: 'timeout', endpoint: 'balance-electrico' });
+            const service = createService({ circuitBreakerOptions: OPEN_ON_FIRST_FAILURE });
+
+            const error = await fetchDay(service).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error.isTimeout).toBe(true);
+            expect(service.getResilienceStatus().circuitBreaker.state).toBe(STATES.OPEN);
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(CircuitBreakerOpenError);
+        });
+
+        it('does not open on 429 responses', async () => {
+            server.addFault({ type: 429, endpoint: 'balance-electrico' });
+            const service = createService({ circuitBreakerOptions: OPEN_ON_FIRST_FAILURE });
+
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiRequestError);
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiRequestError);
+
+            expect(service.getResilienceStatus().circuitBreaker.state).toBe(STATES.CLOSED);
+            expect(server.getRequests()).toHaveLength(2);
+        });
+
+        it('is shared between services that receive the same instance', async () => {
+            server.addFault({ type: 500, endpoint: 'balance-electrico' });
+            const circuitBreaker = new CircuitBreaker(
+                { failureThreshold: 2, resetTimeout: 60000 },
+                silentLogger
+            );
+            const first = createService({ circuitBreaker });
+            const second = createService({ circuitBreaker });
+
+            await expect(fetchDay(first)).rejects.toBeInstanceOf(ApiResponseError);
+            await expect(fetchDay(second)).rejects.toBeInstanceOf(ApiResponseError);
+
+            await expect(fetchDay(first)).rejects.toBeInstanceOf(CircuitBreakerOpenError);
+            await expect(fetchDay(second)).rejects.toBeInstanceOf(CircuitBreakerOpenError);
+            expect(server.getRequests()).toHaveLength(2);
+        });
+    });
+
+    describe('retries', () => {
+        it('retries 5xx with exponential backoff', async () => {
+            server.addFault({ type: 500, count: 2, endpoint: 'balance-electrico' });
+            const service = createService({ retryAttempts: 3 });
+
+            await expect(fetchDay(service)).resolves.toHaveProperty('included');
+
+            const times = server.getRequests().map(request => request.receivedAt.getTime());
+
+            expect(statuses()).toEqual([500, 500, 200]);
+            // Con jitter la espera está entre la mitad y el total de retryDelay * 2^(intento - 1)
+            expect(times[1] - times[0]).toBeGreaterThanOrEqual(50);
+            expect(times[2] - times[1]).toBeGreaterThanOrEqual(100);
+        });
+
+        it('retries a timeout and succeeds when REE answers again', async () => {
+            server.addFault({ type: 'timeout', count: 1, endpoint: 'balance-electrico' });
+            const service = createService({ retryAttempts: 2 });
+
+            await expect(fetchDay(service)).resolves.toHaveProperty('included');
+
+            expect(server.getRequests().map(request => request.fault)).toEqual(['timeout', null]);
+            expect(service.getResilienceStatus().circuitBreaker.state).toBe(STATES.CLOSED);
+        });
+
+        it('gives up after retryAttempts and does not retry 4xx', async () => {
+            server.addFault({ type: 502, endpoint: 'balance-electrico' });
+            const service = createService({ retryAttempts: 2, retryDelay: 10 });
+
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiResponseError);
+            expect(server.getRequests()).toHaveLength(2);
+
+            server.reset();
+            server.addFault({ type: 404, endpoint: 'balance-electrico' });
+
+            await expect(fetchDay(service)).rejects.toBeInstanceOf(ApiRequestError);
+            expect(server.getRequests()).toHaveLength(1);
+        });
+    });
+
+    describe('Retry-After', () => {
+        it('waits the time REE asks for before retrying a 429', async () => {
+            server.addFault({ type: 429, count: 1, retryAfter: 1, endpoint: 'balance-electrico' });
+            const service = createService({ retryAttempts: 2, retryDelay: 10 });
+
+            await expect(fetchDay(service)).resolves.toHaveProperty('included');
+
+            const [throttled, retried] = server.getRequests();
+
+            expect(statuses()).toEqual([429, 200]);
+            expect(retried.receivedAt - throttled.receivedAt).toBeGreaterThanOrEqual(1000);
+        });
+
+        it('pauses the shared rate limiter for other consumers', async () => {
+            server.addFault({ type: 503, count: 1, retryAfter: 1, endpoint: 'balance-electrico' });
+            const rateLimiter = new TokenBucketRateLimiter({
+                requestsPerSecond: 1000,
+                burst: 1000
+            });
+            const throttled = createService({ rateLimiter });
+            const other = createService({ rateLimiter });
+
+            await expect(fetchDay(throttled)).rejects.toBeInstanceOf(ApiResponseError);
+            expect(rateLimiter.getStatus().blockedUntil).toBeInstanceOf(Date);
+
+            const startedAt = Date.now();
+            await expect(fetchDay(other)).resolves.toHaveProperty('included');
+
+            expect(Date.now() - startedAt).toBeGreaterThanOrEqual(900);
+        });
+
+        it('fails fast when Retry-After exceeds retryMaxDelay', async () => {
+            server.addFault({ type: 429, count: 1, retryAfter: 5, endpoint: 'balance-electrico' });
+            const service = createService({ retryAttempts: 3, retryMaxDelay: 1000 });
+            const startedAt = Date.now();
+
+            const error = await fetchDay(service).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(ApiRequestError);
+            expect(error.statusCode).toBe(429);
+            expect(error.metadata.retryAfterMs).toBe(5000);
+            expect(Date.now() - startedAt).toBeLessThan(1000);
+            expect(server.getRequests()).toHaveLength(1);
+            expect(service.getResilienceStatus().rateLimiter.blockedUntil).toBeInstanceOf(Date);
+        });
+    });
+});
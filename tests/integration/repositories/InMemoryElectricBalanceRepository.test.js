@@ -0,0 +1,12 @@
+/**
+ * @file InMemoryElectricBalanceRepository.test.js
+ * @description Contrato del repositorio de balances en memoria
+ */
+
+const InMemoryElectricBalanceRepository = require('../../../src/infrastructure/repositories/InMemoryElectricBalanceRepository');
+const silentLogger = require('../../helpers/silentLogger');
+const { describeElectricBalanceRepositoryContract } = require('./electricBalanceRepositoryContract');
+
+describeElectricBalanceRepositoryContract('memory', {
+    createRepository: () => new InMemoryElectricBalanceRepository(silentLogger)
+});
@@ -0,0 +1,187 @@
+/**
+ * @file MongoElectricBalanceRepository.bulkUpsert.test.js
+ * @description Escritura por lotes del repositorio de balances en MongoDB
+ *
+ * Complementa el contrato comprobando lo que queda guardado en las colecciones:
+ * versiones, revisiones archivadas y fallos parciales, tanto de validación como
+ * de escritura. Usa un servidor de MongoDB en memoria; la primera ejecución
+ * descarga el binario.
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const MongoElectricBalanceRepository = require('../../../src/infrastructure/repositories/MongoElectricBalanceRepository');
+const ElectricBalanceModel = require('../../../src/infrastructure/database/models/ElectricBalanceModel');
+const ElectricBalanceRevisionModel = require('../../../src/infrastructure/database/models/ElectricBalanceRevisionModel');
+const silentLogger = require('../../helpers/silentLogger');
+const { buildBalance, counts, day, REGION } = require('./electricBalanceRepositoryContract');
+
+/**
+ * Lee el documento guardado de un día
+ *
+ * @param {number} dayOfMonth - Día de enero de 2024
+ * @returns {Promise<Object|null>} - Documento plano
+ */
+const findStoredDay = (dayOfMonth) => ElectricBalanceModel
+    .findOne({ timestamp: day(dayOfMonth), timeScope: 'day', region: REGION })
+    .lean();
+
+/**
+ * Valor eólico de un documento guardado
+ *
+ * @param {Object} document - Documento de balance o de revisión
+ * @returns {number} - MWh eólicos
+ */
+const windOf = (document) => document.generation.find(item => item.type === 'Eólica').value;
+
+/**
+ * Balances nuevos de los días 1 a 3 de enero de 2024
+ *
+ * @returns {Array<ElectricBalance>} - Lote de prueba
+ */
+const seedBatch = () => [1, 2, 3].map(dayOfMonth => buildBalance(dayOfMonth));
+
+describe('MongoElectricBalanceRepository.bulkUpsert', () => {
+    let mongoServer;
+    let repository;
+
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+        // Los índices únicos deben existir antes de la primera escritura
+        await Promise.all([ElectricBalanceModel.init(), ElectricBalanceRevisionModel.init()]);
+    });
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        if (mongoServer) {
+            await mongoServer.stop();
+        }
+    });
+
+    beforeEach(async () => {
+        await Promise.all([
+            ElectricBalanceModel.deleteMany({}),
+            ElectricBalanceRevisionModel.deleteMany({})
+        ]);
+
+        repository = new MongoElectricBalanceRepository(silentLogger);
+    });
+
+    it('inserts new balances as version 1', async () => {
+        const result = await repository.bulkUpsert(seedBatch());
+
+        expect(result).toEqual({ ...counts(3, 0, 0), failures: [] });
+
+        const stored = await ElectricBalanceModel.find({}).sort({ timestamp: 1 }).lean();
+
+        expect(stored.map(document => document.timestamp)).toEqual([day(1), day(2), day(3)]);
+        stored.forEach(document => {
+            expect(document).toMatchObject({ version: 1, region: REGION, totalGeneration: 150 });
+            expect(document.validFrom).toEqual(document.createdAt);
+        });
+        expect(await ElectricBalanceRevisionModel.countDocuments()).toBe(0);
+    });
+
+    it('leaves the collection untouched when the same batch is written again', async () => {
+        const batch = seedBatch();
+        await repository.bulkUpsert(batch);
+        const before = await ElectricBalanceModel.find({}).sort({ timestamp: 1 }).lean();
+
+        const rerun = await repository.bulkUpsert(batch);
+        const rerunWithOverwrite = await repository.bulkUpsert(batch, { overwrite: true });
+
+        expect(rerun).toMatchObject(counts(0, 0, 3));
+        expect(rerunWithOverwrite).toMatchObject(counts(0, 0, 3));
+        expect(await ElectricBalanceModel.find({}).sort({ timestamp: 1 }).lean()).toEqual(before);
+        expect(await ElectricBalanceRevisionModel.countDocuments()).toBe(0);
+    });
+
+    it('keeps the stored values when new ones arrive without overwrite', async () => {
+        await repository.bulkUpsert([buildBalance(1, { wind: 100 })]);
+
+        const result = await repository.bulkUpsert([buildBalance(1, { wind: 180 })]);
+
+        expect(result).toMatchObject(counts(0, 0, 1));
+        expect(windOf(await findStoredDay(1))).toBe(100);
+    });
+
+    it('updates changed balances with overwrite and archives the superseded version', async () => {
+        await repository.bulkUpsert([buildBalance(1), buildBalance(2)]);
+        const original = await findStoredDay(1);
+
+        const result = await repository.bulkUpsert(
+            [buildBalance(1, { wind: 180 }), buildBalance(2), buildBalance(3)],
+            { overwrite: true }
+        );
+
+        expect(result).toMatchObject(counts(1, 1, 1));
+
+        const updated = await findStoredDay(1);
+        expect(updated._id).toEqual(original._id);
+        expect(updated).toMatchObject({ version: 2, totalGeneration: 230 });
+        expect(windOf(updated)).toBe(180);
+        expect(updated.createdAt).toEqual(original.createdAt);
+        expect(updated.validFrom.getTime()).toBeGreaterThan(original.validFrom.getTime());
+
+        const revisions = await ElectricBalanceRevisionModel.find({}).lean();
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({
+            balanceId: original._id,
+            version: 1,
+            validFrom: original.validFrom,
+            supersededAt: updated.validFrom,
+            timestamp: day(1),
+            timeScope: 'day',
+            region: REGION,
+            totalGeneration: 150
+        });
+        expect(windOf(revisions[0])).toBe(100);
+
+        expect((await findStoredDay(2)).version).toBe(1);
+    });
+
+    it('reports an invalid balance and still writes the rest of the batch', async () => {
+        const result = await repository.bulkUpsert([
+            buildBalance(1),
+            buildBalance(2, { timeScope: 'fortnight' }),
+            buildBalance(3)
+        ]);
+
+        expect(result).toMatchObject(counts(2, 0, 0, 1));
+        expect(result.failures).toEqual([{
+            timestamp: day(2),
+            timeScope: 'fortnight',
+            region: REGION,
+            message: expect.stringContaining('fortnight')
+        }]);
+
+        const stored = await ElectricBalanceModel.find({}).sort({ timestamp: 1 }).lean();
+        expect(stored.map(document => document.timestamp)).toEqual([day(1), day(3)]);
+    });
+
+    it('reports a balance rejected by the database and still writes the rest of the batch', async () => {
+        const { db } = mongoose.connection;
+        const collectionName = ElectricBalanceModel.collection.collectionName;
+
+        // El validador de la colección rechaza el día 2 al escribir, tras pasar el esquema
+        await db.command({ collMod: collectionName, validator: { timestamp: { $ne: day(2) } } });
+
+        try {
+            const result = await repository.bulkUpsert(seedBatch());
+
+            expect(result).toMatchObject(counts(2, 0, 0, 1));
+            expect(result.failures).toEqual([{
+                timestamp: day(2),
+                timeScope: 'day',
+                region: REGION,
+                message: expect.stringMatching(/validation/i)
+            }]);
+        } finally {
+            await db.command({ collMod: collectionName, validator: {} });
+        }
+
+        expect(await ElectricBalanceModel.countDocuments()).toBe(2);
+        expect(await findStoredDay(2)).toBeNull();
+    });
+});
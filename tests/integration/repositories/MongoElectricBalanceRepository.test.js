@@ -0,0 +1,39 @@
+/**
+ * @file MongoElectricBalanceRepository.test.js
+ * @description Contrato del repositorio de balances en MongoDB
+ *
+ * Usa un servidor de MongoDB en memoria; la primera ejecución descarga el binario.
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const MongoElectricBalanceRepository = require('../../../src/infrastructure/repositories/MongoElectricBalanceRepository');
+const ElectricBalanceModel = require('../../../src/infrastructure/database/models/ElectricBalanceModel');
+const ElectricBalanceRevisionModel = require('../../../src/infrastructure/database/models/ElectricBalanceRevisionModel');
+const silentLogger = require('../../helpers/silentLogger');
+const { describeElectricBalanceRepositoryContract } = require('./electricBalanceRepositoryContract');
+
+let mongoServer;
+
+describeElectricBalanceRepositoryContract('mongo', {
+    setup: async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+        // Los índices únicos deben existir antes de la primera escritura
+        await Promise.all([ElectricBalanceModel.init(), ElectricBalanceRevisionModel.init()]);
+    },
+    teardown: async () => {
+        await mongoose.disconnect();
+        if (mongoServer) {
+            await mongoServer.stop();
+        }
+    },
+    createRepository: async () => {
+        await Promise.all([
+            ElectricBalanceModel.deleteMany({}),
+            ElectricBalanceRevisionModel.deleteMany({})
+        ]);
+
+        return new MongoElectricBalanceRepository(silentLogger);
+    }
+});
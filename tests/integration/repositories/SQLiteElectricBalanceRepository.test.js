@@ -0,0 +1,19 @@
+/**
+ * @file SQLiteElectricBalanceRepository.test.js
+ * @description Contrato del repositorio de balances en SQLite
+ *
+ * Cada prueba usa una base de datos en memoria nueva, con el esquema recién aplicado.
+ */
+
+const SQLiteElectricBalanceRepository = require('../../../src/infrastructure/repositories/SQLiteElectricBalanceRepository');
+const SQLiteConnection = require('../../../src/infrastructure/database/sqlite/connection');
+const silentLogger = require('../../helpers/silentLogger');
+const { describeElectricBalanceRepositoryContract } = require('./electricBalanceRepositoryContract');
+
+describeElectricBalanceRepositoryContract('sqlite', {
+    createRepository: () => new SQLiteElectricBalanceRepository(
+        SQLiteConnection.open(':memory:', silentLogger),
+        silentLogger
+    ),
+    releaseRepository: (repository) => repository.db.close()
+});
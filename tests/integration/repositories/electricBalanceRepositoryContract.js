@@ -0,0 +1,361 @@
+/**
+ * @file electricBalanceRepositoryContract.js
+ * @description Pruebas comunes a todas las implementaciones de ElectricBalanceRepository
+ *
+ * Cada almacenamiento ejecuta esta misma batería para garantizar que se comporta
+ * igual que los demás: recuentos de `bulkUpsert`, versiones y consultas `asOf`,
+ * estadísticas, distribución, series temporales y paginación.
+ */
+
+const ElectricBalance = require('../../../src/domain/entities/ElectricBalance');
+
+/**
+ * Región de los balances de prueba; no es la región por defecto para comprobar que se respeta
+ */
+const REGION = 'peninsular';
+
+/**
+ * Espera unos milisegundos para que dos escrituras no compartan instante
+ *
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Fecha UTC de un día de enero de 2024
+ *
+ * @param {number} dayOfMonth - Día del mes
+ * @returns {Date} - Instante
+ */
+const day = (dayOfMonth) => new Date(Date.UTC(2024, 0, dayOfMonth));
+
+/**
+ * Resultado esperado de bulkUpsert, sin el detalle de los fallos
+ *
+ * @param {number} insertedCount - Balances insertados
+ * @param {number} updatedCount - Balances actualizados
+ * @param {number} unchangedCount - Balances sin cambios
+ * @param {number} [failedCount=0] - Balances fallidos
+ * @returns {Object} - Recuentos
+ */
+const counts = (insertedCount, updatedCount, unchangedCount, failedCount = 0) =>
+    ({ insertedCount, updatedCount, unchangedCount, failedCount });
+
+/**
+ * Crea un balance diario con generación eólica y de ciclo combinado
+ *
+ * @param {number} dayOfMonth - Día de enero de 2024
+ * @param {Object} [values={}] - { wind, gas, demand, region, timeScope, extraGeneration }
+ * @returns {ElectricBalance} - Balance de prueba
+ */
+function buildBalance(dayOfMonth, {
+    wind = 100,
+    gas = 50,
+    demand = 120,
+    region = REGION,
+    timeScope = 'day',
+    extraGeneration = []
+} = {}) {
+    return new ElectricBalance({
+        timestamp: day(dayOfMonth),
+        timeScope,
+        region,
+        generation: [
+            { type: 'Eólica', value: wind },
+            { type: 'Ciclo combinado', value: gas },
+            ...extraGeneration
+        ],
+        demand: [{ type: 'Demanda en b.c.', value: demand }]
+    });
+}
+
+/**
+ * Declara la batería de pruebas del contrato para una implementación
+ *
+ * @param {string} name - Nombre del almacenamiento
+ * @param {Object} hooks - Ciclo de vida del almacenamiento
+ * @param {Function} hooks.createRepository - Devuelve un repositorio vacío antes de cada prueba
+ * @param {Function} [hooks.releaseRepository] - Libera el repositorio después de cada prueba
+ * @param {Function} [hooks.setup] - Prepara el almacenamiento antes de todas las pruebas
+ * @param {Function} [hooks.teardown] - Libera el almacenamiento al terminar
+ */
+function describeElectricBalanceRepositoryContract(name, {
+    createRepository,
+    releaseRepository = async () => {},
+    setup = async () => {},
+    teardown = async () => {}
+}) {
+    describe(`ElectricBalanceRepository contract (${name})`, () => {
+        let repository;
+
+        beforeAll(() => setup());
+        afterAll(() => teardown());
+
+        beforeEach(async () => {
+            repository = await createRepository();
+        });
+
+        afterEach(() => releaseRepository(repository));
+
+        /**
+         * Guarda los balances de los días indicados, todos nuevos
+         *
+         * @param {Array<number>} days - Días de enero de 2024
+         * @param {Object} [values] - Valores comunes de los balances
+         * @returns {Promise<Object>} - Resultado de bulkUpsert
+         */
+        const seedDays = (days, values) =>
+            repository.bulkUpsert(days.map(dayOfMonth => buildBalance(dayOfMonth, values)));
+
+        /**
+         * Lee el balance guardado de un día
+         *
+         * @param {number} dayOfMonth - Día de enero de 2024
+         * @param {Object} [options={}] - Opciones adicionales de findByDateRange
+         * @returns {Promise<ElectricBalance|undefined>} - Balance encontrado
+         */
+        const findDay = async (dayOfMonth, options = {}) => {
+            const [balance] = await repository.findByDateRange(day(dayOfMonth), day(dayOfMonth), 'day', {
+                region: REGION,
+                ...options
+            });
+
+            return balance;
+        };
+
+        describe('bulkUpsert', () => {
+            it('devuelve todos los recuentos a cero con un lote vacío', async () => {
+                await expect(repository.bulkUpsert([])).resolves.toEqual({
+                    insertedCount: 0,
+                    updatedCount: 0,
+                    unchangedCount: 0,
+                    failedCount: 0,
+                    failures: []
+                });
+            });
+
+            it('inserta los balances nuevos y deja sin cambios los ya guardados', async () => {
+                const first = await seedDays([1, 2, 3]);
+                const second = await seedDays([1, 2, 3]);
+
+                expect(first).toMatchObject(counts(3, 0, 0));
+                expect(second).toMatchObject(counts(0, 0, 3));
+                await expect(repository.findByDateRange(day(1), day(3), 'day', { region: REGION, onlyCount: true }))
+                    .resolves.toEqual({ count: 3 });
+            });
+
+            it('sin overwrite no modifica los balances existentes aunque cambien', async () => {
+                await seedDays([1]);
+
+                const result = await repository.bulkUpsert([buildBalance(1, { wind: 300 })]);
+                const stored = await findDay(1);
+
+                expect(result).toMatchObject(counts(0, 0, 1));
+                expect(stored.getTotalGeneration()).toBe(150);
+                expect(stored.version).toBe(1);
+            });
+
+            it('con overwrite actualiza solo los balances cuyos datos cambian', async () => {
+                await seedDays([1, 2]);
+
+                const result = await repository.bulkUpsert(
+                    [buildBalance(1, { wind: 300 }), buildBalance(2)],
+                    { overwrite: true }
+                );
+
+                expect(result).toMatchObject(counts(0, 1, 1));
+                expect((await findDay(1)).getTotalGeneration()).toBe(350);
+                expect((await findDay(1)).version).toBe(2);
+                expect((await findDay(2)).version).toBe(1);
+            });
+
+            it('cuenta los balances no válidos sin detener el resto del lote', async () => {
+                const result = await repository.bulkUpsert([
+                    buildBalance(1),
+                    buildBalance(2, { timeScope: 'fortnight' }),
+                    buildBalance(3)
+                ]);
+
+                expect(result).toMatchObject({ insertedCount: 2, failedCount: 1 });
+                expect(result.failures).toHaveLength(1);
+                expect(result.failures[0]).toMatchObject({ timeScope: 'fortnight', region: REGION });
+                expect(result.failures[0].message).toEqual(expect.any(String));
+                await expect(repository.existsForDateAndScope(day(1), 'day', REGION)).resolves.toBe(true);
+                await expect(repository.existsForDateAndScope(day(3), 'day', REGION)).resolves.toBe(true);
+            });
+        });
+
+        describe('revisiones y asOf', () => {
+            let createdAt;
+            let beforeCorrection;
+
+            beforeEach(async () => {
+                createdAt = new Date();
+                await tick();
+                await seedDays([1, 2]);
+                await tick();
+                beforeCorrection = new Date();
+                await tick();
+                await repository.bulkUpsert([buildBalance(1, { wind: 300 })], { overwrite: true });
+            });
+
+            it('conserva la versión sustituida como revisión', async () => {
+                const current = await findDay(1);
+                const revisions = await repository.findRevisions(current.id);
+
+                expect(revisions.map(revision => revision.version)).toEqual([1, 2]);
+                expect(revisions[0].electricBalance.getTotalGeneration()).toBe(150);
+                expect(revisions[0].supersededAt.getTime()).toBe(revisions[1].validFrom.getTime());
+                expect(revisions[1].supersededAt).toBeNull();
+                expect(revisions[1].electricBalance.getTotalGeneration()).toBe(350);
+            });
+
+            it('devuelve los balances tal como estaban en el instante pedido', async () => {
+                const asOf = beforeCorrection;
+
+                expect((await findDay(1)).getTotalGeneration()).toBe(350);
+                expect((await findDay(1, { asOf })).getTotalGeneration()).toBe(150);
+                expect((await findDay(2, { asOf })).getTotalGeneration()).toBe(150);
+                await expect(findDay(1, { asOf: createdAt })).resolves.toBeUndefined();
+            });
+
+            it('calcula los agregados con los datos vigentes en el instante pedido', async () => {
+                const stats = await repository.getStatsByDateRange(day(1), day(2), 'day', REGION, beforeCorrection);
+                const distribution = await repository.getGenerationDistribution(
+                    day(1), day(2), 'day', REGION, beforeCorrection
+                );
+                const series = await repository.getTimeSeriesForIndicator(
+                    'totalGeneration', day(1), day(2), 'day', REGION, beforeCorrection
+                );
+
+                expect(stats.stats.generation.max).toBe(150);
+                expect(distribution.find(item => item.type === 'Eólica').totalValue).toBe(200);
+                expect(series.map(point => point.value)).toEqual([150, 150]);
+            });
+        });
+
+        describe('findByDateRange', () => {
+            it('incluye los extremos y filtra por región y alcance temporal', async () => {
+                await seedDays([1, 2, 3, 4]);
+                await repository.bulkUpsert([
+                    buildBalance(2, { region: 'canarias' }),
+                    buildBalance(2, { timeScope: 'month' })
+                ]);
+
+                const balances = await repository.findByDateRange(day(2), day(3), 'day', { region: REGION });
+
+                expect(balances.map(balance => balance.timestamp)).toEqual([day(2), day(3)]);
+                expect(balances.every(balance => balance.region === REGION && balance.timeScope === 'day')).toBe(true);
+            });
+
+            it('pagina por página o desplazamiento y respeta la ordenación', async () => {
+                await seedDays([1, 2, 3, 4, 5]);
+
+                const days = (balances) => balances.map(balance => balance.timestamp.getUTCDate());
+
+                expect(days(await repository.findByDateRange(day(1), day(5), 'day', { region: REGION, limit: 2, page: 2 })))
+                    .toEqual([3, 4]);
+                expect(days(await repository.findByDateRange(day(1), day(5), 'day', { region: REGION, limit: 2, skip: 4 })))
+                    .toEqual([5]);
+                expect(days(await repository.findByDateRange(day(1), day(5), 'day', {
+                    region: REGION,
+                    limit: 3,
+                    sort: { timestamp: -1 }
+                }))).toEqual([5, 4, 3]);
+                await expect(repository.findByDateRange(day(1), day(5), 'day', { region: REGION, onlyCount: true }))
+                    .resolves.toEqual({ count: 5 });
+            });
+
+            it('devuelve como máximo 100 balances si no se indica límite', async () => {
+                const balances = Array.from({ length: 120 }, (_, index) => new ElectricBalance({
+                    timestamp: new Date(day(1).getTime() + index * 60 * 60 * 1000),
+                    timeScope: 'hour',
+                    region: REGION,
+                    generation: [{ type: 'Eólica', value: index }]
+                }));
+                await repository.bulkUpsert(balances);
+
+                const page = await repository.findByDateRange(day(1), day(31), 'hour', { region: REGION });
+
+                expect(page).toHaveLength(100);
+                expect(page[99].getTotalGeneration()).toBe(99);
+            });
+        });
+
+        describe('agregados', () => {
+            beforeEach(async () => {
+                await repository.bulkUpsert([
+                    buildBalance(1, { wind: 100, gas: 100, demand: 150 }),
+                    buildBalance(2, { wind: 300, gas: 100, demand: 250 }),
+                    buildBalance(3, {
+                        wind: 200,
+                        gas: 200,
+                        demand: 350,
+                        extraGeneration: [{ type: 'Generación total', value: 400 }]
+                    })
+                ]);
+            });
+
+            it('calcula media, máximo y mínimo de generación, demanda y porcentaje renovable', async () => {
+                const result = await repository.getStatsByDateRange(day(1), day(3), 'day', REGION);
+
+                expect(result.count).toBe(3);
+                expect(result.stats.generation).toMatchObject({ max: 400, min: 200 });
+                expect(result.stats.generation.average).toBeCloseTo(1000 / 3);
+                expect(result.stats.demand).toEqual({ average: 250, max: 350, min: 150 });
+                expect(result.stats.renewablePercentage.max).toBeCloseTo(75);
+                expect(result.stats.renewablePercentage.min).toBeCloseTo(50);
+                expect(result.stats.renewablePercentage.average).toBeCloseTo(175 / 3);
+            });
+
+            it('indica que no hay datos cuando el rango está vacío', async () => {
+                const result = await repository.getStatsByDateRange(day(10), day(20), 'day', REGION);
+
+                expect(result).toMatchObject({ count: 0, stats: null });
+            });
+
+            it('reparte la generación por tecnología sin contar las filas agregadas', async () => {
+                const distribution = await repository.getGenerationDistribution(day(1), day(3), 'day', REGION);
+
+                expect(distribution.map(item => item.type)).toEqual(['Eólica', 'Ciclo combinado']);
+                expect(distribution[0]).toMatchObject({
+                    totalValue: 600,
+                    avgValue: 200,
+                    maxValue: 300,
+                    minValue: 100,
+                    count: 3
+                });
+                expect(distribution[1]).toMatchObject({
+                    totalValue: 400,
+                    maxValue: 200,
+                    minValue: 100,
+                    count: 3
+                });
+                expect(distribution[0].percentage).toBeCloseTo(60);
+                expect(distribution[1].percentage).toBeCloseTo(40);
+            });
+
+            it('devuelve la serie temporal de un indicador ordenada por fecha', async () => {
+                const generation = await repository.getTimeSeriesForIndicator('totalGeneration', day(1), day(3), 'day', REGION);
+                const balance = await repository.getTimeSeriesForIndicator('balance', day(1), day(3), 'day', REGION);
+
+                expect(generation.map(point => point.timestamp)).toEqual([day(1), day(2), day(3)]);
+                expect(generation.map(point => point.value)).toEqual([200, 400, 400]);
+                expect(balance.map(point => point.value)).toEqual([50, 150, 50]);
+            });
+
+            it('rechaza los indicadores desconocidos', async () => {
+                await expect(repository.getTimeSeriesForIndicator('co2', day(1), day(3), 'day', REGION))
+                    .rejects.toThrow('Invalid indicator');
+            });
+        });
+    });
+}
+
+module.exports = {
+    describeElectricBalanceRepositoryContract,
+    buildBalance,
+    counts,
+    day,
+    REGION
+};
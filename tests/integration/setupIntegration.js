@@ -0,0 +1,7 @@
+/**
+ * @file setupIntegration.js
+ * @description Preparación de las pruebas de integración
+ */
+
+// Arrancar MongoDB en memoria puede tardar bastante la primera vez
+jest.setTimeout(60000);
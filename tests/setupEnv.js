@@ -0,0 +1,11 @@
+/**
+ * @file setupEnv.js
+ * @description Variables de entorno para las pruebas
+ *
+ * Se carga antes que cualquier módulo de la aplicación, para que la
+ * configuración no dependa del .env local ni arranque tareas programadas.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.SCHEDULED_TASKS_ENABLED = 'false';
+process.env.REE_API_ARCHIVE_RESPONSES = 'false';
@@ -0,0 +1,9 @@
+/**
+ * @file setupTests.js
+ * @description Preparación común de cada archivo de pruebas
+ */
+
+// Un test que falle con temporizadores falsos no debe arrastrarlos al siguiente
+afterEach(() => {
+    jest.useRealTimers();
+});
@@ -0,0 +1,196 @@
+/**
+ * @file DetectDataGaps.test.js
+ * @description Pruebas de la detección de huecos, con especial atención a los días de cambio de hora
+ *
+ * El repositorio se sustituye por un objeto que devuelve las marcas temporales
+ * indicadas en cada prueba.
+ */
+
+const DetectDataGaps = require('../../../../src/application/use-cases/DetectDataGaps');
+const {
+    InvalidDateRangeError,
+    ValidationError,
+    RepositoryError
+} = require('../../../../src/application/errors/ApplicationErrors');
+const { fromMadridParts, addMadridPeriods, listMadridPeriods } = require('../../../../src/utils/madridTime');
+const silentLogger = require('../../../helpers/silentLogger');
+
+/**
+ * Rango de un día completo de Madrid
+ *
+ * @param {number} month - Mes (1-12) de 2024
+ * @param {number} day - Día del mes
+ * @returns {Object} - { startDate, endDate }
+ */
+const madridDay = (month, day) => {
+    const startDate = fromMadridParts(2024, month, day);
+    return { startDate, endDate: new Date(addMadridPeriods(startDate, 'day', 1).getTime() - 1) };
+};
+
+describe('DetectDataGaps', () => {
+    let repository;
+    let detectDataGaps;
+
+    /**
+     * Hace que el repositorio devuelva estas marcas temporales
+     *
+     * @param {Array<Date>} timestamps - Marcas guardadas
+     */
+    const storeTimestamps = (timestamps) => {
+        repository.findTimestamps.mockResolvedValue(timestamps);
+    };
+
+    beforeEach(() => {
+        repository = { findTimestamps: jest.fn().mockResolvedValue([]) };
+        detectDataGaps = new DetectDataGaps(repository, silentLogger);
+    });
+
+    it('expects 23 hours on the day of the spring change', async () => {
+        const range = madridDay(3, 31);
+        storeTimestamps(listMadridPeriods(range.startDate, range.endDate, 'hour'));
+
+        const report = await detectDataGaps.execute({ ...range, timeScope: 'hour', region: 'peninsular' });
+
+        expect(report).toMatchObject({
+            timeScope: 'hour',
+            region: 'peninsular',
+            expectedCount: 23,
+            existingCount: 23,
+            missingCount: 0,
+            duplicateCount: 0,
+            complete: true,
+            gaps: []
+        });
+        expect(repository.findTimestamps)
+            .toHaveBeenCalledWith(range.startDate, range.endDate, 'hour', 'peninsular');
+    });
+
+    it('expects 25 hours on the day of the autumn change and finds the missing repeated hour', async () => {
+        const range = madridDay(10, 27);
+        const secondTwoOClock = new Date('2024-10-27T01:00:00Z');
+        const hours = listMadridPeriods(range.startDate, range.endDate, 'hour');
+
+        // 24 registros, pero falta la segunda 02:00: contar registros no bastaría
+        storeTimestamps(hours.filter(hour => hour.getTime() !== secondTwoOClock.getTime()));
+
+        const report = await detectDataGaps.execute({ ...range, timeScope: 'hour' });
+
+        expect(report).toMatchObject({
+            expectedCount: 25,
+            existingCount: 24,
+            missingCount: 1,
+            complete: false
+        });
+        expect(report.missingSlots).toEqual([secondTwoOClock]);
+        expect(report.gaps).toEqual([
+            { startDate: secondTwoOClock, endDate: secondTwoOClock, slotCount: 1 }
+        ]);
+    });
+
+    it('reports duplicates in one hour and the gap they hide in another', async () => {
+        const range = madridDay(10, 27);
+        const hours = listMadridPeriods(range.startDate, range.endDate, 'hour');
+        const duplicated = hours[5];
+        const missing = hours[10];
+
+        storeTimestamps([
+            ...hours.filter(hour => hour !== missing),
+            new Date(duplicated.getTime() + 15 * 60 * 1000)
+        ]);
+
+        const report = await detectDataGaps.execute({ ...range, timeScope: 'hour' });
+
+        expect(report.existingCount).toBe(25);
+        expect(report.complete).toBe(false);
+        expect(report.missingSlots).toEqual([missing]);
+        expect(report.duplicates).toEqual([{ timestamp: duplicated, count: 2 }]);
+        expect(report.duplicateCount).toBe(1);
+    });
+
+    it('groups contiguous missing days across a clock change into one gap', async () => {
+        const startDate = fromMadridParts(2024, 3, 28);
+        const endDate = new Date(fromMadridParts(2024, 4, 3).getTime() - 1);
+        const days = listMadridPeriods(startDate, endDate, 'day');
+
+        // Faltan del 30 de marzo al 1 de abril, que incluye el día de 23 horas
+        storeTimestamps([days[0], days[1], days[5]]);
+
+        const report = await detectDataGaps.execute({ startDate, endDate, timeScope: 'day' });
+
+        expect(report).toMatchObject({ expectedCount: 6, missingCount: 3 });
+        expect(report.gaps).toEqual([{
+            startDate: fromMadridParts(2024, 3, 30),
+            endDate: fromMadridParts(2024, 4, 1),
+            slotCount: 3
+        }]);
+    });
+
+    it('matches monthly balances by their Madrid month start', async () => {
+        const startDate = fromMadridParts(2024, 1, 1);
+        const endDate = new Date(fromMadridParts(2025, 1, 1).getTime() - 1);
+        const months = listMadridPeriods(startDate, endDate, 'month');
+
+        storeTimestamps(months.filter((month, index) => index !== 2 && index !== 9));
+
+        const report = await detectDataGaps.execute({ startDate, endDate, timeScope: 'month' });
+
+        expect(report.expectedCount).toBe(12);
+        expect(report.missingSlots).toEqual([
+            fromMadridParts(2024, 3, 1),
+            fromMadridParts(2024, 10, 1)
+        ]);
+        expect(report.gaps).toHaveLength(2);
+    });
+
+    it('accepts ISO strings and uses the national region by default', async () => {
+        await detectDataGaps.execute({ startDate: '2024-01-01T00:00:00Z', endDate: '2024-01-02T00:00:00Z' });
+
+        expect(repository.findTimestamps).toHaveBeenCalledWith(
+            new Date('2024-01-01T00:00:00Z'),
+            new Date('2024-01-02T00:00:00Z'),
+            'day',
+            'national'
+        );
+    });
+
+    describe('validation', () => {
+        it('rejects invalid and reversed ranges', async () => {
+            await expect(detectDataGaps.execute({ startDate: 'nope', endDate: '2024-01-02' }))
+                .rejects.toBeInstanceOf(InvalidDateRangeError);
+            await expect(detectDataGaps.execute({ startDate: '2024-01-02', endDate: '2024-01-01' }))
+                .rejects.toBeInstanceOf(InvalidDateRangeError);
+        });
+
+        it('rejects unsupported time scopes', async () => {
+            await expect(detectDataGaps.execute({ ...madridDay(1, 1), timeScope: '10min' }))
+                .rejects.toBeInstanceOf(ValidationError);
+        });
+
+        it('rejects ranges with too many periods', async () => {
+            await expect(detectDataGaps.execute({
+                startDate: new Date('2020-01-01T00:00:00Z'),
+                endDate: new Date('2024-01-01T00:00:00Z'),
+                timeScope: 'hour'
+            })).rejects.toThrow('too large');
+            expect(repository.findTimestamps).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('repository errors', () => {
+        it('wraps unexpected errors in a RepositoryError', async () => {
+            repository.findTimestamps.mockRejectedValue(new Error('connection lost'));
+
+            const error = await detectDataGaps.execute(madridDay(1, 1)).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(RepositoryError);
+            expect(error.message).toContain('connection lost');
+        });
+
+        it('rethrows repository errors as they are', async () => {
+            const repositoryError = new RepositoryError('query failed');
+            repository.findTimestamps.mockRejectedValue(repositoryError);
+
+            await expect(detectDataGaps.execute(madridDay(1, 1))).rejects.toBe(repositoryError);
+        });
+    });
+});
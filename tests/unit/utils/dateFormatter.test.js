@@ -0,0 +1,32 @@
+/**
+ * @file dateFormatter.test.js
+ * @description Pruebas del formato de fechas que se envía a la API de REE
+ */
+
+const { formatDateForREEApi } = require('../../../src/utils/dateFormatter');
+const { fromMadridParts, addMadridPeriods, parseMadridDateTime } = require('../../../src/utils/madridTime');
+
+describe('formatDateForREEApi', () => {
+    it('formats the Madrid civil time of the instant without offset', () => {
+        expect(formatDateForREEApi(new Date('2024-01-15T23:30:00Z'))).toBe('2024-01-16T00:30');
+        expect(formatDateForREEApi('2024-07-15T12:00:00Z')).toBe('2024-07-15T14:00');
+    });
+
+    it('gives the same text for both occurrences of the repeated autumn hour', () => {
+        expect(formatDateForREEApi('2024-10-27T00:30:00Z')).toBe('2024-10-27T02:30');
+        expect(formatDateForREEApi('2024-10-27T01:30:00Z')).toBe('2024-10-27T02:30');
+    });
+
+    it('round-trips Madrid midnights across both clock changes', () => {
+        let midnight = fromMadridParts(2024, 3, 25);
+
+        for (let i = 0; i < 220; i++) {
+            expect(parseMadridDateTime(formatDateForREEApi(midnight))).toEqual(midnight);
+            midnight = addMadridPeriods(midnight, 'day', 1);
+        }
+    });
+
+    it('throws on invalid dates', () => {
+        expect(() => formatDateForREEApi('not a date')).toThrow('Invalid date');
+    });
+});
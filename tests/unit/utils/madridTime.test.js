@@ -0,0 +1,137 @@
+/**
+ * @file madridTime.test.js
+ * @description Pruebas del calendario de Europe/Madrid en los días de cambio de hora
+ *
+ * En 2024 el reloj se adelanta el 31 de marzo (de 02:00 a 03:00) y se retrasa el
+ * 27 de octubre (de 03:00 a 02:00), así que esos días duran 23 y 25 horas.
+ */
+
+const {
+    getMadridParts,
+    getMadridOffsetMinutes,
+    fromMadridParts,
+    startOfMadridPeriod,
+    addMadridPeriods,
+    listMadridPeriods,
+    parseMadridDateTime,
+    formatMadridISO
+} = require('../../../src/utils/madridTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Último milisegundo del día de Madrid que empieza en `dayStart`
+ */
+const endOfDay = dayStart => new Date(addMadridPeriods(dayStart, 'day', 1).getTime() - 1);
+
+describe('madridTime', () => {
+    describe('day of the spring change (2024-03-31)', () => {
+        const dayStart = fromMadridParts(2024, 3, 31);
+
+        it('starts at 23:00 UTC and lasts 23 hours', () => {
+            expect(dayStart).toEqual(new Date('2024-03-30T23:00:00Z'));
+            expect(addMadridPeriods(dayStart, 'day', 1) - dayStart).toBe(23 * HOUR_MS);
+        });
+
+        it('has 23 hourly periods and no 02:00', () => {
+            const hours = listMadridPeriods(dayStart, endOfDay(dayStart), 'hour');
+
+            expect(hours).toHaveLength(23);
+            expect(hours.map(hour => getMadridParts(hour).hour)).not.toContain(2);
+            expect(new Set(hours.map(hour => hour.getTime())).size).toBe(23);
+        });
+
+        it('switches the offset from +01:00 to +02:00', () => {
+            expect(getMadridOffsetMinutes('2024-03-31T00:59:00Z')).toBe(60);
+            expect(getMadridOffsetMinutes('2024-03-31T01:00:00Z')).toBe(120);
+        });
+
+        it('reads the skipped 02:30 as 03:30 summer time', () => {
+            expect(parseMadridDateTime('2024-03-31T02:30')).toEqual(new Date('2024-03-31T01:30:00Z'));
+            expect(formatMadridISO(parseMadridDateTime('2024-03-31T02:30'))).toBe('2024-03-31T03:30:00+02:00');
+        });
+    });
+
+    describe('day of the autumn change (2024-10-27)', () => {
+        const dayStart = fromMadridParts(2024, 10, 27);
+
+        it('starts at 22:00 UTC and lasts 25 hours', () => {
+            expect(dayStart).toEqual(new Date('2024-10-26T22:00:00Z'));
+            expect(addMadridPeriods(dayStart, 'day', 1) - dayStart).toBe(25 * HOUR_MS);
+        });
+
+        it('has 25 hourly periods with 02:00 twice', () => {
+            const hours = listMadridPeriods(dayStart, endOfDay(dayStart), 'hour');
+            const twoOClock = hours.filter(hour => getMadridParts(hour).hour === 2);
+
+            expect(hours).toHaveLength(25);
+            expect(twoOClock).toEqual([new Date('2024-10-27T00:00:00Z'), new Date('2024-10-27T01:00:00Z')]);
+            expect(twoOClock.map(formatMadridISO)).toEqual([
+                '2024-10-27T02:00:00+02:00',
+                '2024-10-27T02:00:00+01:00'
+            ]);
+        });
+
+        it('keeps both 02:00 hours as distinct periods', () => {
+            expect(startOfMadridPeriod('2024-10-27T00:30:00Z', 'hour')).toEqual(new Date('2024-10-27T00:00:00Z'));
+            expect(startOfMadridPeriod('2024-10-27T01:30:00Z', 'hour')).toEqual(new Date('2024-10-27T01:00:00Z'));
+            expect(startOfMadridPeriod('2024-10-27T01:30:00Z', 'day')).toEqual(dayStart);
+        });
+
+        it('reads the repeated 02:30 as its second occurrence', () => {
+            expect(parseMadridDateTime('2024-10-27T02:30')).toEqual(new Date('2024-10-27T01:30:00Z'));
+            expect(formatMadridISO(parseMadridDateTime('2024-10-27T02:30'))).toBe('2024-10-27T02:30:00+01:00');
+        });
+
+        it('reads the first occurrence when the offset is explicit', () => {
+            expect(parseMadridDateTime('2024-10-27T02:30+02:00')).toEqual(new Date('2024-10-27T00:30:00Z'));
+        });
+    });
+
+    describe('startOfMadridPeriod', () => {
+        it('uses the Madrid calendar, not the UTC one', () => {
+            // 22:30 UTC del 31 de marzo ya es 1 de abril en Madrid
+            const instant = new Date('2024-03-31T22:30:00Z');
+
+            expect(startOfMadridPeriod(instant, 'day')).toEqual(new Date('2024-03-31T22:00:00Z'));
+            expect(startOfMadridPeriod(instant, 'month')).toEqual(new Date('2024-03-31T22:00:00Z'));
+            expect(startOfMadridPeriod('2023-12-31T23:30:00Z', 'year')).toEqual(new Date('2023-12-31T23:00:00Z'));
+        });
+    });
+
+    describe('addMadridPeriods', () => {
+        it('goes from a month start to the next one whatever the offset', () => {
+            const march = fromMadridParts(2024, 3, 1);
+
+            expect(addMadridPeriods(march, 'month', 1)).toEqual(new Date('2024-03-31T22:00:00Z'));
+            expect(addMadridPeriods(march, 'month', -1)).toEqual(new Date('2024-01-31T23:00:00Z'));
+        });
+
+        it('does not overflow into the next month when the day does not exist', () => {
+            const jan31 = fromMadridParts(2024, 1, 31);
+
+            expect(addMadridPeriods(jan31, 'month', 1)).toEqual(fromMadridParts(2024, 2, 29));
+            expect(addMadridPeriods(fromMadridParts(2023, 1, 31), 'month', 1)).toEqual(fromMadridParts(2023, 2, 28));
+            expect(addMadridPeriods(fromMadridParts(2024, 3, 31), 'month', 1)).toEqual(fromMadridParts(2024, 4, 30));
+            expect(addMadridPeriods(fromMadridParts(2024, 2, 29), 'year', 1)).toEqual(fromMadridParts(2025, 2, 28));
+        });
+    });
+
+    describe('listMadridPeriods', () => {
+        it('lists the months of a year with their Madrid starts', () => {
+            const months = listMadridPeriods(fromMadridParts(2024, 1, 1), fromMadridParts(2024, 12, 31), 'month');
+
+            expect(months).toHaveLength(12);
+            expect(months[2]).toEqual(new Date('2024-02-29T23:00:00Z'));
+            expect(months[3]).toEqual(new Date('2024-03-31T22:00:00Z'));
+            expect(months[10]).toEqual(new Date('2024-10-31T23:00:00Z'));
+        });
+
+        it('counts 8784 hours in the leap year 2024', () => {
+            const yearStart = fromMadridParts(2024, 1, 1);
+            const yearEnd = new Date(addMadridPeriods(yearStart, 'year', 1).getTime() - 1);
+
+            expect(listMadridPeriods(yearStart, yearEnd, 'hour')).toHaveLength(366 * 24);
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * @file zonedTime.test.js
+ * @description Pruebas de las utilidades de calendario en una zona horaria IANA cualquiera
+ *
+ * Se usan zonas distintas de Madrid para no depender de su desfase: Nueva York
+ * (al oeste de UTC), Calcuta (desfase de media hora sin cambio de hora) y Lord
+ * Howe (cambio de hora de media hora).
+ */
+
+const {
+    isValidTimeZone,
+    getZonedParts,
+    getZoneOffsetMinutes,
+    fromZonedParts,
+    startOfZonedPeriod,
+    addZonedPeriods,
+    listZonedPeriods,
+    alignRangeToZonedPeriods,
+    parseZonedDateTime,
+    formatZonedISO
+} = require('../../../src/utils/zonedTime');
+
+const NEW_YORK = 'America/New_York';
+const KOLKATA = 'Asia/Kolkata';
+const LORD_HOWE = 'Australia/Lord_Howe';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Instante de una hora civil de 2024 en una zona
+ */
+const civil2024 = (month, day, hour, minute, timeZone) =>
+    fromZonedParts({ year: 2024, month, day, hour, minute }, timeZone);
+
+describe('zonedTime', () => {
+    describe('isValidTimeZone', () => {
+        it('accepts IANA zones and rejects anything else', () => {
+            expect(isValidTimeZone(NEW_YORK)).toBe(true);
+            expect(isValidTimeZone('UTC')).toBe(true);
+            expect(isValidTimeZone('Europe/Atlantis')).toBe(false);
+            expect(isValidTimeZone('')).toBe(false);
+            expect(isValidTimeZone(undefined)).toBe(false);
+        });
+    });
+
+    describe('getZonedParts and getZoneOffsetMinutes', () => {
+        it('returns the civil time and offset of the instant in the zone', () => {
+            const instant = new Date('2024-07-01T03:15:00Z');
+
+            expect(getZonedParts(instant, NEW_YORK)).toEqual({
+                year: 2024, month: 6, day: 30, hour: 23, minute: 15, second: 0
+            });
+            expect(getZoneOffsetMinutes(instant, NEW_YORK)).toBe(-240);
+            expect(getZoneOffsetMinutes('2024-01-15T12:00:00Z', NEW_YORK)).toBe(-300);
+            expect(getZoneOffsetMinutes('2024-01-15T12:00:00Z', KOLKATA)).toBe(330);
+        });
+
+        it('throws on invalid dates', () => {
+            expect(() => getZonedParts('not a date', NEW_YORK)).toThrow('Invalid date');
+        });
+    });
+
+    describe('fromZonedParts', () => {
+        it('builds the instant of a civil time', () => {
+            expect(fromZonedParts({ year: 2024, month: 1, day: 1 }, KOLKATA))
+                .toEqual(new Date('2023-12-31T18:30:00Z'));
+            expect(fromZonedParts({ year: 2024, month: 7, day: 4, hour: 9, minute: 30 }, NEW_YORK))
+                .toEqual(new Date('2024-07-04T13:30:00Z'));
+        });
+
+        it('moves a time skipped by the spring change into the new offset', () => {
+            const instant = civil2024(3, 10, 2, 30, NEW_YORK);
+
+            expect(instant).toEqual(new Date('2024-03-10T07:30:00Z'));
+            expect(formatZonedISO(instant, NEW_YORK)).toBe('2024-03-10T03:30:00-04:00');
+        });
+
+        it('resolves a time repeated by the autumn change to its second occurrence', () => {
+            const instant = civil2024(11, 3, 1, 30, NEW_YORK);
+
+            expect(instant).toEqual(new Date('2024-11-03T06:30:00Z'));
+            expect(formatZonedISO(instant, NEW_YORK)).toBe('2024-11-03T01:30:00-05:00');
+        });
+
+        it('handles half-hour clock changes', () => {
+            const repeated = civil2024(4, 7, 1, 45, LORD_HOWE);
+            const skipped = civil2024(10, 6, 2, 15, LORD_HOWE);
+
+            expect(formatZonedISO(repeated, LORD_HOWE)).toBe('2024-04-07T01:45:00+10:30');
+            expect(formatZonedISO(skipped, LORD_HOWE)).toBe('2024-10-06T02:45:00+11:00');
+        });
+
+        it('normalises overflowing parts like Date.UTC', () => {
+            expect(fromZonedParts({ year: 2024, month: 13, day: 1 }, NEW_YORK))
+                .toEqual(fromZonedParts({ year: 2025, month: 1, day: 1 }, NEW_YORK));
+        });
+    });
+
+    describe('startOfZonedPeriod', () => {
+        it('truncates to the civil period of the zone', () => {
+            const instant = new Date('2024-03-01T02:00:00Z');
+
+            expect(startOfZonedPeriod(instant, 'day', NEW_YORK)).toEqual(new Date('2024-02-29T05:00:00Z'));
+            expect(startOfZonedPeriod(instant, 'month', NEW_YORK)).toEqual(new Date('2024-02-01T05:00:00Z'));
+            expect(startOfZonedPeriod(instant, 'year', NEW_YORK)).toEqual(new Date('2024-01-01T05:00:00Z'));
+            expect(startOfZonedPeriod('2024-01-01T10:47:00Z', 'hour', KOLKATA))
+                .toEqual(new Date('2024-01-01T10:30:00Z'));
+        });
+
+        it('keeps the two occurrences of a repeated hour as distinct periods', () => {
+            const first = startOfZonedPeriod('2024-11-03T05:40:00Z', 'hour', NEW_YORK);
+            const second = startOfZonedPeriod('2024-11-03T06:40:00Z', 'hour', NEW_YORK);
+
+            expect(first).toEqual(new Date('2024-11-03T05:00:00Z'));
+            expect(second).toEqual(new Date('2024-11-03T06:00:00Z'));
+        });
+
+        it('rejects unsupported time scopes', () => {
+            expect(() => startOfZonedPeriod(new Date(), 'week', NEW_YORK)).toThrow('Unsupported time scope');
+        });
+    });
+
+    describe('addZonedPeriods', () => {
+        it('keeps the civil time when adding days across a clock change', () => {
+            const midnight = fromZonedParts({ year: 2024, month: 3, day: 10 }, NEW_YORK);
+            const next = addZonedPeriods(midnight, 'day', 1, NEW_YORK);
+
+            expect(next).toEqual(new Date('2024-03-11T04:00:00Z'));
+            expect(next - midnight).toBe(23 * HOUR_MS);
+            expect(addZonedPeriods(next, 'day', -1, NEW_YORK)).toEqual(midnight);
+        });
+
+        it('adds fixed periods as elapsed time', () => {
+            const instant = new Date('2024-11-03T05:00:00Z');
+
+            expect(addZonedPeriods(instant, 'hour', 2, NEW_YORK)).toEqual(new Date('2024-11-03T07:00:00Z'));
+            expect(addZonedPeriods(instant, '10min', -3, NEW_YORK)).toEqual(new Date('2024-11-03T04:30:00Z'));
+        });
+
+        it('clamps the day to the end of the target month', () => {
+            const jan31 = fromZonedParts({ year: 2023, month: 1, day: 31, hour: 12 }, NEW_YORK);
+            const feb29 = fromZonedParts({ year: 2024, month: 2, day: 29 }, NEW_YORK);
+
+            expect(getZonedParts(addZonedPeriods(jan31, 'month', 1, NEW_YORK), NEW_YORK))
+                .toMatchObject({ year: 2023, month: 2, day: 28, hour: 12 });
+            expect(getZonedParts(addZonedPeriods(jan31, 'month', 13, NEW_YORK), NEW_YORK))
+                .toMatchObject({ year: 2024, month: 2, day: 29 });
+            expect(getZonedParts(addZonedPeriods(feb29, 'year', 1, NEW_YORK), NEW_YORK))
+                .toMatchObject({ year: 2025, month: 2, day: 28 });
+            expect(getZonedParts(addZonedPeriods(feb29, 'month', -14, NEW_YORK), NEW_YORK))
+                .toMatchObject({ year: 2022, month: 12, day: 29 });
+        });
+    });
+
+    describe('listZonedPeriods', () => {
+        it('lists 23 and 25 hours on the days of the clock changes', () => {
+            const springDay = fromZonedParts({ year: 2024, month: 3, day: 10 }, NEW_YORK);
+            const autumnDay = fromZonedParts({ year: 2024, month: 11, day: 3 }, NEW_YORK);
+            const lastMsOfDay = day => new Date(addZonedPeriods(day, 'day', 1, NEW_YORK).getTime() - 1);
+
+            expect(listZonedPeriods(springDay, lastMsOfDay(springDay), 'hour', NEW_YORK)).toHaveLength(23);
+            expect(listZonedPeriods(autumnDay, lastMsOfDay(autumnDay), 'hour', NEW_YORK)).toHaveLength(25);
+        });
+
+        it('starts at the first period that begins inside the range', () => {
+            const periods = listZonedPeriods('2024-03-09T12:00:00Z', '2024-03-12T04:00:00Z', 'day', NEW_YORK);
+
+            expect(periods).toEqual([
+                new Date('2024-03-10T05:00:00Z'),
+                new Date('2024-03-11T04:00:00Z'),
+                new Date('2024-03-12T04:00:00Z')
+            ]);
+        });
+
+        it('follows the zone calendar for months', () => {
+            const periods = listZonedPeriods('2024-01-01T00:00:00Z', '2024-03-31T23:59:59Z', 'month', KOLKATA);
+
+            expect(periods).toEqual([
+                new Date('2024-01-31T18:30:00Z'),
+                new Date('2024-02-29T18:30:00Z'),
+                new Date('2024-03-31T18:30:00Z')
+            ]);
+        });
+    });
+
+    describe('alignRangeToZonedPeriods', () => {
+        it('widens the range to whole periods of the zone', () => {
+            const range = alignRangeToZonedPeriods('2024-11-03T15:00:00Z', '2024-11-04T15:00:00Z', 'day', NEW_YORK);
+
+            expect(range).toEqual({
+                startDate: new Date('2024-11-03T04:00:00Z'),
+                endDate: new Date('2024-11-05T04:59:59.999Z')
+            });
+        });
+
+        it('aligns to half-hour offsets', () => {
+            const range = alignRangeToZonedPeriods('2024-02-10T00:00:00Z', '2024-02-10T00:00:00Z', 'month', KOLKATA);
+
+            expect(range).toEqual({
+                startDate: new Date('2024-01-31T18:30:00Z'),
+                endDate: new Date('2024-02-29T18:29:59.999Z')
+            });
+        });
+    });
+
+    describe('parseZonedDateTime', () => {
+        it('reads dates without offset as civil time of the zone', () => {
+            expect(parseZonedDateTime('2024-07-04', NEW_YORK)).toEqual(new Date('2024-07-04T04:00:00Z'));
+            expect(parseZonedDateTime('2024-07-04T09:30', NEW_YORK)).toEqual(new Date('2024-07-04T13:30:00Z'));
+            expect(parseZonedDateTime('2024-07-04 09:30:15', NEW_YORK)).toEqual(new Date('2024-07-04T13:30:15Z'));
+            expect(parseZonedDateTime('2024-11-03T01:30', NEW_YORK)).toEqual(new Date('2024-11-03T06:30:00Z'));
+        });
+
+        it('keeps explicit offsets and Date instances as they are', () => {
+            const date = new Date('2024-07-04T13:30:00Z');
+
+            expect(parseZonedDateTime('2024-11-03T01:30-04:00', NEW_YORK)).toEqual(new Date('2024-11-03T05:30:00Z'));
+            expect(parseZonedDateTime('2024-07-04T13:30:00Z', KOLKATA)).toEqual(date);
+            expect(parseZonedDateTime(date, KOLKATA)).toBe(date);
+        });
+
+        it('returns an invalid date for values that are not dates', () => {
+            expect(isNaN(parseZonedDateTime('tomorrow', NEW_YORK).getTime())).toBe(true);
+        });
+    });
+
+    describe('formatZonedISO', () => {
+        it('formats the civil time with the offset of the instant', () => {
+            expect(formatZonedISO('2024-01-15T12:00:00Z', NEW_YORK)).toBe('2024-01-15T07:00:00-05:00');
+            expect(formatZonedISO('2024-01-15T12:00:00Z', KOLKATA)).toBe('2024-01-15T17:30:00+05:30');
+            expect(formatZonedISO('2024-01-15T12:00:00Z', 'UTC')).toBe('2024-01-15T12:00:00+00:00');
+        });
+    });
+});